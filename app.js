@@ -131,6 +131,46 @@ class ChartManager {
     // Pre-trigger buffer
     this.preTriggerBuffer = [];
 
+    // Imported capture (.lsm / CSV) — read-only until cleared or a new capture
+    this.readOnly = false;
+    this.importInfo = null;     // { fileName, periodMs }
+    this.liveChannels = null;   // 라이브 채널 설정 백업 (Import 해제 시 복원)
+
+    // Math channels — 캡처 채널로부터 계산되는 파생 채널 정의
+    // (channels 배열 끝에 ch.math 가 있는 채널로 붙어 렌더/커서/Export에 참여)
+    this.mathDefs = [];
+
+    // 장시간 기록 (ChartRecorder) — 샘플은 IndexedDB 에 있고 ch.data 에는 렌더마다
+    // 보이는 구간(오버뷰 min/max 또는 원본)만 채운다
+    this.recording = null;  // { recorder, columns, view, loadingKey }
+
+    // Reference (golden) waveform — 저장된 캡처를 겹쳐 그리고 편차 비교
+    this.reference = null;  // { name, periodMs, channels: [{name, index, chNum?, points}] }
+    this.referenceOptions = {
+      align: 'trigger',     // 'trigger' (t=0 = 트리거) | 'xcorr' | 'none'
+      alignChannel: 0,      // xcorr 에 쓰는 reference 채널 순번
+      tolerancePct: 5,      // 허용 밴드 = toleranceAbs + 기준 채널 범위 × %
+      toleranceAbs: 0,
+      maxViolationPct: 0,   // 밴드 이탈 샘플 비율 상한 (%)
+      showBand: true
+    };
+    this.referenceResult = null;  // compareToReference() 결과
+
+    // Spectrum (FFT) view — 시간 파형 대신 구간 스펙트럼 표시
+    this.viewMode = 'time';  // 'time' | 'spectrum'
+    this.spectrum = {
+      window: 'hann',    // 'rect' | 'hann' | 'flattop'
+      scale: 'linear',   // 'linear' | 'db'
+      maxFreq: 0,        // 표시 상한 (Hz, 0 = Nyquist)
+      peakCount: 3,      // 채널별 피크 라벨 수
+      polePairs: 4,      // 전기 주파수 = rpm / 60 × polePairs
+      harmonics: 10,     // 전기 주파수 고조파 마커 수 (0 = 끔)
+      elecFreqHz: null,  // 수동 지정 (null = speedChannel 평균 속도로 계산)
+      speedChannel: -1,  // Velocity Feedback 채널 index (-1 = 없음)
+      result: null,      // 마지막 computeSpectrum() 결과 (렌더/Export 공용)
+      resultKey: null
+    };
+
     // Drawing margins
     this.chartMargins = {top: 20, right: 20, bottom: 40, left: 60};
 
@@ -204,6 +244,15 @@ class ChartManager {
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
 
+    // Spectrum 모드: 커서 주파수 표시만 (pan/Y축 드래그 없음)
+    if (this.viewMode === 'spectrum') {
+      this.cursorPos = {x, y};
+      this.showCursor = this.isInChartArea(x, y);
+      this.canvas.style.cursor = this.showCursor ? 'crosshair' : 'default';
+      if (!this.isRunning) this.render();
+      return;
+    }
+
     if (this.yAxisDrag) {
       const ch = this.channels[this.yAxisDrag.channelIdx];
       const dy = y - this.yAxisDrag.startY;
@@ -243,6 +292,7 @@ class ChartManager {
   }
 
   handleMouseDown(e) {
+    if (this.viewMode === 'spectrum') return;
     const rect = this.canvas.getBoundingClientRect();
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
@@ -295,6 +345,7 @@ class ChartManager {
 
   handleWheel(e) {
     e.preventDefault();
+    if (this.viewMode === 'spectrum') return;
     const rect = this.canvas.getBoundingClientRect();
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
@@ -321,7 +372,11 @@ class ChartManager {
           (chartWidth * this.zoom.x);
       const timeAtCursor = this.viewMinTime + relX * this.timeScale;
       const factor = e.deltaY > 0 ? 1.1 : 0.9;
-      this.timeScale = Math.max(0.1, Math.min(600000, this.timeScale * factor));
+      const maxTimeScale = this.recording ?
+          Math.max(600000, this.recording.recorder.lastTime) :
+          600000;
+      this.timeScale =
+          Math.max(0.1, Math.min(maxTimeScale, this.timeScale * factor));
       this.viewMinTime = timeAtCursor - relX * this.timeScale;
       const latestTime = this.getLatestTime();
       const maxMinTime = Math.max(0, latestTime - this.timeScale);
@@ -337,6 +392,7 @@ class ChartManager {
   }
 
   handleDblClick(e) {
+    if (this.viewMode === 'spectrum') return;
     const rect = this.canvas.getBoundingClientRect();
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
@@ -359,6 +415,7 @@ class ChartManager {
 
   handleClick(e) {
     e.preventDefault();
+    if (this.viewMode === 'spectrum') return;
     const rect = this.canvas.getBoundingClientRect();
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
@@ -378,6 +435,7 @@ class ChartManager {
   }
 
   getLatestTime() {
+    if (this.recording) return this.recording.recorder.lastTime;
     const active = this.channels.filter(ch => ch.enabled && ch.data.length > 0);
     if (active.length === 0) return this.timeScale;
     return Math.max(...active.map(ch => ch.data[ch.data.length - 1].t));
@@ -559,8 +617,10 @@ class ChartManager {
 
   // Data management
   addDataPoint(channelIndex, value, timestamp) {
+    if (this.readOnly) return;
     if (channelIndex < 0 || channelIndex >= this.channels.length) return;
-    if (!this.channels[channelIndex].enabled) return;
+    // 숨긴(disabled) 채널도 계속 수집 — Math 채널은 소스 샘플 index 로 정렬하므로
+    // 소스가 숨겨진 동안 빠지면 이후 계산이 어긋난다 (그리기·통계는 enabled 만)
 
     if (this.startTime === null) this.startTime = timestamp;
     const relTime = timestamp - this.startTime;
@@ -582,6 +642,8 @@ class ChartManager {
     // Update current value display
     this.updateChannelValue(channelIndex, value);
 
+    if (this.mathDefs.length > 0) this.updateMathChannels();
+
     // Update auto scale — now O(channels) not O(n_data)
     if (this.autoScale) {
       this.calculateAutoScale();
@@ -749,6 +811,7 @@ class ChartManager {
     this.trigger.armed = false;
     this.updateStatus('Stopped');
     this.cancelAnimation();
+    if (this.reference) this.compareReference();
   }
 
   pauseCapture() {
@@ -757,11 +820,15 @@ class ChartManager {
   }
 
   clearData() {
+    if (this.readOnly) this.unloadImportedData();
+    this.recording = null;
+
     for (const ch of this.channels) {
       ch.data = [];
       ch.runMin = null;
       ch.runMax = null;
     }
+    this.rebuildMathChannels();
     this.markers = [];
     this.preTriggerBuffer = [];
     this.trigger.triggered = false;
@@ -811,12 +878,137 @@ class ChartManager {
     // 트리거 라인 위치 기록 (t=0)
     this.triggerTimeMs = 0;
 
+    this.recomputeMathChannels();
+    if (this.reference) this.compareReference();
+
     if (this.autoScale) this.calculateAutoScale();
     this.updateStats();
     this.updateMarkersInfo();
     this.render();
   }
 
+  /**
+   * Import한 캡처(.lsm / CSV)를 읽기 전용 데이터셋으로 로드.
+   * 라이브 채널 설정은 백업해 두고 clearData() 또는 새 캡처 시작 시 복원한다.
+   * @param {Object} dataset
+   * @param {string} dataset.fileName
+   * @param {number} dataset.periodMs - 샘플 간격 (ms)
+   * @param {Array<{name: string, points: Array<{t: number, v: number}>}>}
+   *     dataset.channels - t: ms
+   */
+  loadImportedData(dataset) {
+    this.stopCapture();
+    this.clearData();
+
+    const palette = [
+      '#3498db', '#e74c3c', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c',
+      '#e67e22', '#34495e'
+    ];
+    this.liveChannels = this.channels;
+    this.channels = dataset.channels.map((imported, i) => {
+      const live = this.liveChannels[i];
+      const ch = {
+        enabled: true,
+        color: live ? live.color : palette[i % palette.length],
+        data: imported.points,
+        name: imported.name,
+        address: null,
+        scale: 1,
+        offset: 0,
+        yPan: 0,
+        yZoom: 1,
+        chYMin: null,
+        chYMax: null,
+        runMin: null,
+        runMax: null
+      };
+      for (const {v} of ch.data) {
+        if (ch.runMin === null || v < ch.runMin) ch.runMin = v;
+        if (ch.runMax === null || v > ch.runMax) ch.runMax = v;
+      }
+      return ch;
+    });
+
+    this.rebuildMathChannels();
+
+    this.readOnly = true;
+    this.importInfo = {fileName: dataset.fileName, periodMs: dataset.periodMs};
+    this.sampleRate = dataset.periodMs;
+    this.startTime = 0;
+
+    // 전체 캡처가 한 화면에 들어오도록 뷰 조정
+    const points = this.channels.flatMap(
+        ch => ch.data.length ? [ch.data[0].t, ch.data[ch.data.length - 1].t] :
+                               []);
+    const minT = points.length ? Math.min(...points) : 0;
+    const maxT = points.length ? Math.max(...points) : 0;
+    this.viewMinTime = minT;
+    this.timeScale = Math.max(maxT - minT, dataset.periodMs || 1);
+    this.autoScroll = false;
+    this.zoom = {x: 1, y: 1};
+    this.pan = {x: 0, y: 0};
+
+    if (this.reference) this.compareReference();
+
+    this.calculateAutoScale();
+    this.updateStats();
+    this.updateMarkersInfo();
+    this.updateStatus(`Imported: ${dataset.fileName}`);
+    this.render();
+  }
+
+  /**
+   * Import 데이터셋 해제 — 라이브 채널 설정 복원
+   */
+  unloadImportedData() {
+    if (!this.readOnly) return;
+    this.channels = this.liveChannels;
+    this.liveChannels = null;
+    this.readOnly = false;
+    this.importInfo = null;
+    this.rebuildMathChannels();
+    this.updateStatus('Stopped');
+  }
+
+  /**
+   * exportToCSV() 형식 파싱 (Time(ms),CH...,CH... / 빈 칸 = 해당 시점 샘플 없음)
+   * @param {string} text
+   * @returns {{channels: Array<{name: string, points: Array<{t, v}>}>,
+   *     periodMs: number}}
+   */
+  static parseCSV(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) throw new Error('빈 파일입니다');
+
+    const header = lines[0].split(',').map(cell => cell.trim());
+    if (!/^time/i.test(header[0]) || header.length < 2) {
+      throw new Error('차트 CSV 형식이 아닙니다 (첫 열: Time(ms))');
+    }
+
+    const channels = header.slice(1).map(name => ({name, points: []}));
+    const times = [];
+    for (let row = 1; row < lines.length; row++) {
+      const cells = lines[row].split(',');
+      const t = parseFloat(cells[0]);
+      if (!Number.isFinite(t)) continue;
+      times.push(t);
+      channels.forEach((ch, i) => {
+        const cell = (cells[i + 1] || '').trim();
+        if (cell === '') return;
+        const v = parseFloat(cell);
+        if (Number.isFinite(v)) ch.points.push({t, v});
+      });
+    }
+
+    // 샘플 주기: 연속 시각 간격의 중앙값 (채널별 샘플 시점이 달라도 안정적)
+    const gaps = [];
+    for (let i = 1; i < times.length; i++) gaps.push(times[i] - times[i - 1]);
+    gaps.sort((a, b) => a - b);
+    const periodMs = gaps.length ? gaps[Math.floor(gaps.length / 2)] : 0;
+
+    return {channels, periodMs};
+  }
+
   setMode(mode) {
     this.mode = mode;
     this.clearData();
@@ -864,12 +1056,18 @@ class ChartManager {
     let totalSamples = 0;
     let timeRange = 0;
 
-    for (const ch of this.channels) {
-      if (!ch.enabled) continue;
-      totalSamples += ch.data.length;
-      if (ch.data.length > 0) {
-        const lastT = ch.data[ch.data.length - 1].t;
-        if (lastT > timeRange) timeRange = lastT;
+    if (this.recording) {
+      const {recorder, columns} = this.recording;
+      totalSamples = recorder.sampleCount * columns.length;
+      timeRange = recorder.lastTime;
+    } else {
+      for (const ch of this.channels) {
+        if (!ch.enabled) continue;
+        totalSamples += ch.data.length;
+        if (ch.data.length > 0) {
+          const lastT = ch.data[ch.data.length - 1].t;
+          if (lastT > timeRange) timeRange = lastT;
+        }
       }
     }
 
@@ -929,6 +1127,13 @@ class ChartManager {
 
   // Rendering
   render() {
+    this.syncRecordingView();
+
+    if (this.viewMode === 'spectrum') {
+      this.renderSpectrum();
+      return;
+    }
+
     if (this.splitView) {
       this.renderSplit();
       return;
@@ -967,6 +1172,8 @@ class ChartManager {
     // Draw markers
     this.drawMarkers();
 
+    this.drawMathSuspendedHint();
+
     // Draw cursor
     if (this.showCursor && this.cursorPos) {
       this.drawCursor();
@@ -1060,6 +1267,8 @@ class ChartManager {
     this.yAxisMode = origYAxisMode;
     this.autoScroll = origAutoScroll;
 
+    this.drawMathSuspendedHint();
+
     // Cursor vertical line spanning all panels
     if (this.showCursor && this.cursorPos) {
       const x = this.cursorPos.x;
@@ -1319,18 +1528,7 @@ class ChartManager {
       for (let k = startIdx; k <= endIdx; k++) {
         const point = ch.data[k];
         const x = this.chartToScreenX(point.t);
-        let y;
-        if (this.yAxisMode === 'independent') {
-          const {visMin, visMax} = this.getChVisRange(ch);
-          y = this.valueToScreenY(point.v, visMin, visMax);
-        } else if (this.yAxisMode === 'normalize') {
-          const range = (ch.chYMax ?? 1) - (ch.chYMin ?? 0);
-          const normalized =
-              range !== 0 ? ((point.v - (ch.chYMin ?? 0)) / range) * 100 : 50;
-          y = this.chartToScreenY(normalized);
-        } else {
-          y = this.chartToScreenY(point.v * ch.scale + ch.offset);
-        }
+        const y = this.channelValueToScreenY(ch, point.v);
 
         if (!started) {
           ctx.moveTo(x, y);
@@ -1342,9 +1540,26 @@ class ChartManager {
       ctx.stroke();
     }
 
+    if (this.reference) this.drawReference();
+
     ctx.restore();
   }
 
+  /** 채널 값 → 화면 Y (현재 Y축 모드 반영) */
+  channelValueToScreenY(ch, v) {
+    if (this.yAxisMode === 'independent') {
+      const {visMin, visMax} = this.getChVisRange(ch);
+      return this.valueToScreenY(v, visMin, visMax);
+    }
+    if (this.yAxisMode === 'normalize') {
+      const range = (ch.chYMax ?? 1) - (ch.chYMin ?? 0);
+      const normalized =
+          range !== 0 ? ((v - (ch.chYMin ?? 0)) / range) * 100 : 50;
+      return this.chartToScreenY(normalized);
+    }
+    return this.chartToScreenY(v * ch.scale + ch.offset);
+  }
+
   drawTriggerLevel() {
     const ctx = this.ctx;
     const left = this.chartMargins.left;
@@ -1475,3599 +1690,6972 @@ class ChartManager {
     ctx.setLineDash([]);
   }
 
-  // Export functions
-  exportToCSV() {
-    let csv = 'Time(ms)';
-    for (const ch of this.channels) {
-      if (ch.enabled) csv += `,${ch.name}`;
+  // ─────────────────────────────────────────────────────────
+  //  Long recording (ChartRecorder)
+
+  /**
+   * 장시간 기록 연결. 이후 ch.data 는 렌더마다 보이는 구간으로 교체된다.
+   * @param {ChartRecorder} recorder
+   * @param {number[]} columns - recorder 컬럼(names 순서)별 차트 채널 index
+   */
+  attachRecording(recorder, columns) {
+    this.recording = {recorder, columns, view: null, loadingKey: null};
+    this.startTime = 0;
+
+    // 저장된 기록을 열었으면 전체가 한 화면에 들어오도록
+    if (recorder.readOnly) {
+      this.viewMinTime = 0;
+      this.timeScale = Math.max(recorder.lastTime, recorder.periodMs);
+      this.autoScroll = false;
     }
-    csv += '\n';
 
-    // Get all unique timestamps
-    const times = new Set();
-    for (const ch of this.channels) {
-      if (!ch.enabled) continue;
-      for (const point of ch.data) {
-        times.add(point.t);
+    this.updateStats();
+    this.render();
+  }
+
+  /**
+   * 보이는 구간 데이터를 ch.data 로 채운다.
+   * 오버뷰 버킷이 화면 폭보다 많으면 오버뷰, 아니면 청크 원본(화면 폭 기준 min/max
+   * 축약)을 쓰고, 캐시에 없는 청크를 불러오는 동안에는 오버뷰를 보여준다.
+   */
+  syncRecordingView() {
+    const rec = this.recording;
+    if (!rec) return;
+
+    const {recorder} = rec;
+    const t0 = this.viewMinTime;
+    const t1 = t0 + this.timeScale;
+    const chartWidth = Math.max(
+        1, this.width - this.chartMargins.left - this.chartMargins.right);
+
+    let columnsData = null;
+    if (this.timeScale / recorder.bucketMs < chartWidth &&
+        recorder.chunksInRange(t0, t1) <= recorder.cacheChunks) {
+      columnsData = recorder.getRange(t0, t1, chartWidth * 2);
+      const key = `${t0}:${t1}`;
+      if (!columnsData && rec.loadingKey !== key) {
+        rec.loadingKey = key;
+        recorder.ensureRange(t0, t1)
+            .then(() => {
+              if (!this.isRunning) this.render();
+            })
+            .catch(error => console.error('[Chart] 기록 청크 로드 실패:', error));
       }
     }
 
-    const sortedTimes = Array.from(times).sort((a, b) => a - b);
+    const samplesInView = this.timeScale / recorder.periodMs;
+    rec.view = !columnsData          ? 'overview' :
+        samplesInView <= chartWidth * 2 ? 'full' :
+                                          'decimated';
 
-    for (const t of sortedTimes) {
-      let row = t.toFixed(1);
-      for (const ch of this.channels) {
-        if (!ch.enabled) continue;
-        const point = ch.data.find(p => p.t === t);
-        row += ',' + (point ? point.v.toFixed(2) : '');
-      }
-      csv += row + '\n';
+    rec.columns.forEach((chIdx, c) => {
+      const ch = this.channels[chIdx];
+      if (!ch) return;
+      ch.data = columnsData ? columnsData[c] : recorder.getOverview(c, t0, t1);
+      ch.runMin = recorder.runMin[c];
+      ch.runMax = recorder.runMax[c];
+    });
+    // overview/decimated 는 채널마다 min/max 쌍 순서·빈 버킷이 달라 index 정렬이
+    // 깨지므로 Math 채널은 'full' 에서만 계산 (그 외에는 비워 두고 안내 표시)
+    if (this.mathDefs.length > 0) this.recomputeMathChannels();
+    if (this.autoScale) this.calculateAutoScale();
+  }
+
+  /** 기록 모드에서 시간 축 확대가 필요해 Math 채널을 계산하지 못하는 상태 */
+  isMathSuspended() {
+    return !!this.recording && this.recording.view !== 'full' &&
+        this.mathDefs.some(def => def.enabled !== false);
+  }
+
+  drawMathSuspendedHint() {
+    if (!this.isMathSuspended()) return;
+    const ctx = this.ctx;
+    ctx.fillStyle = '#8b95a1';
+    ctx.font = '11px Arial';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    ctx.fillText('Math 채널: 확대 필요', this.width - this.chartMargins.right - 4,
+                 this.chartMargins.top + 4);
+    ctx.textBaseline = 'alphabetic';
+  }
+
+  /**
+   * 기록 구간을 CSV / LSM 으로 저장 (Math 채널 제외, 기록된 채널만).
+   * 구간을 지정하지 않으면 마커 2개 구간, 없으면 현재 보이는 구간.
+   * @param {'csv'|'lsm'} format
+   * @param {number} [start] - ms
+   * @param {number} [end] - ms
+   * @returns {Promise<boolean>} 구간에 샘플이 없으면 false
+   */
+  async exportRecordingRange(format, start, end) {
+    if (!this.recording) return false;
+    if (start === undefined || end === undefined) {
+      ({start, end} = this.getAnalysisWindow());
     }
 
-    const blob = new Blob([csv], {type: 'text/csv'});
+    const {recorder} = this.recording;
+    const blob = await recorder.exportRange(start, end, format);
+    if (!blob) return false;
+
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `chart_data_${
-        new Date().toISOString().slice(0, 19).replace(/[:-]/g, '')}.csv`;
+    a.download = `recording_${recorder.id}_${Math.round(start)}-${
+        Math.round(end)}ms.${format}`;
     a.click();
     URL.revokeObjectURL(url);
+    return true;
   }
 
-  exportToPNG() {
-    const link = document.createElement('a');
-    link.download = `chart_${
-        new Date().toISOString().slice(0, 19).replace(/[:-]/g, '')}.png`;
-    link.href = this.canvas.toDataURL('image/png');
-    link.click();
-  }
-
-  // Zoom controls
-  zoomIn() {
-    this.zoom.y = Math.min(10, this.zoom.y * 1.2);
-    this.autoScale = false;
-    if (!this.isRunning) this.render();
-  }
+  // ─────────────────────────────────────────────────────────
+  //  Math channels
 
-  zoomOut() {
-    this.zoom.y = Math.max(0.1, this.zoom.y / 1.2);
-    this.autoScale = false;
-    if (!this.isRunning) this.render();
-  }
+  /**
+   * 파생 채널 연산 정의
+   * inputs: 사용하는 소스 채널 수 (A, B, C), param: 추가 파라미터 이름
+   */
+  static MATH_OPERATIONS = {
+    add: {label: 'A + B', inputs: 2},
+    sub: {label: 'A − B', inputs: 2},
+    mul: {label: 'A × B', inputs: 2},
+    div: {label: 'A ÷ B', inputs: 2},
+    rms3: {label: '3상 RMS √((A²+B²+C²)/3)', inputs: 3},
+    movavg: {label: '이동 평균 (N 샘플)', inputs: 1, param: 'window'},
+    deriv: {label: '미분 d(A)/dt (/s)', inputs: 1},
+    bit: {label: 'Bit 추출 (A >> n) & 1', inputs: 1, param: 'bit'},
+  };
 
-  resetZoom() {
-    this.zoom = {x: 1, y: 1};
-    this.pan = {x: 0, y: 0};
-    this.autoScale = true;
-    this.calculateAutoScale();
+  /**
+   * Math 채널 정의 교체
+   * @param {Array<{id: string, name: string, color: string, op: string,
+   *     sources: number[], param?: number, gain?: number, enabled?: boolean}>}
+   *     defs - sources: 소스 채널 index (A, B, C 순)
+   */
+  setMathChannels(defs) {
+    this.mathDefs = defs.map(def => ({...def, sources: [...def.sources]}));
+    this.rebuildMathChannels();
+    if (this.autoScale) this.calculateAutoScale();
+    this.updateStats();
     if (!this.isRunning) this.render();
   }
 
-  enableAutoScale() {
-    this.autoScale = true;
-    this.calculateAutoScale();
+  setMathChannelEnabled(id, enabled) {
+    const def = this.mathDefs.find(d => d.id === id);
+    if (def) def.enabled = enabled;
+    const ch = this.channels.find(c => c.math && c.math.def.id === id);
+    if (ch) ch.enabled = enabled;
+    if (this.autoScale) this.calculateAutoScale();
     if (!this.isRunning) this.render();
   }
 
-  // Y-axis mode
-  valueToScreenY(value, yMin, yMax) {
-    const chartHeight =
-        this.height - this.chartMargins.top - this.chartMargins.bottom;
-    const range = yMax - yMin || 1;
-    const relY = (value - yMin) / range;
-    return this.chartMargins.top + (1 - relY) * chartHeight;
-  }
-
-  setYAxisMode(mode) {
-    this.yAxisMode = mode;
-    this.calculateAutoScale();
-    if (!this.isRunning) this.render();
-  }
+  /**
+   * channels 끝의 Math 채널을 정의대로 다시 만들고 현재 데이터로 계산.
+   * channels 배열이 바뀔 때 (Import 로드/해제, clearData) 호출된다.
+   */
+  rebuildMathChannels() {
+    this.channels = this.channels.filter(ch => !ch.math);
+    const sourceCount = this.channels.length;
 
-  setChannelScale(index, scale) {
-    if (index >= 0 && index < this.channels.length) {
-      this.channels[index].scale = scale;
-      if (this.autoScale) this.calculateAutoScale();
-      if (!this.isRunning) this.render();
+    for (const def of this.mathDefs) {
+      const op = ChartManager.MATH_OPERATIONS[def.op];
+      const valid = op &&
+          def.sources.slice(0, op.inputs)
+              .every(i => Number.isInteger(i) && i >= 0 && i < sourceCount);
+      this.channels.push({
+        enabled: valid && def.enabled !== false,
+        color: def.color,
+        data: [],
+        name: def.name,
+        address: null,
+        scale: 1,
+        offset: 0,
+        yPan: 0,
+        yZoom: 1,
+        chYMin: null,
+        chYMax: null,
+        runMin: null,
+        runMax: null,
+        math: {def, valid, processed: 0, sum: 0}
+      });
     }
+    this.recomputeMathChannels();
   }
 
-  setChannelOffset(index, offset) {
-    if (index >= 0 && index < this.channels.length) {
-      this.channels[index].offset = offset;
-      if (this.autoScale) this.calculateAutoScale();
-      if (!this.isRunning) this.render();
+  /** Math 채널 데이터를 처음부터 다시 계산 */
+  recomputeMathChannels() {
+    for (const ch of this.channels) {
+      if (!ch.math) continue;
+      ch.data = [];
+      ch.runMin = null;
+      ch.runMax = null;
+      ch.math.processed = 0;
+      ch.math.sum = 0;
     }
+    this.updateMathChannels();
   }
 
-  // Channel configuration
-  setChannelEnabled(index, enabled) {
-    if (index >= 0 && index < this.channels.length) {
-      this.channels[index].enabled = enabled;
+  /**
+   * 소스 채널에 새로 들어온 샘플만큼 Math 채널을 이어서 계산.
+   * 같은 캡처의 채널은 샘플 index 가 같은 시각이므로 index 로 정렬한다.
+   */
+  updateMathChannels() {
+    if (this.recording && this.recording.view !== 'full') return;
+    for (const ch of this.channels) {
+      if (!ch.math || !ch.math.valid) continue;
+      const {def} = ch.math;
+      const op = ChartManager.MATH_OPERATIONS[def.op];
+      const sources = def.sources.slice(0, op.inputs).map(i => this.channels[i].data);
+      const available = Math.min(...sources.map(data => data.length));
+
+      for (let i = ch.math.processed; i < available; i++) {
+        const v = this._computeMathSample(ch.math, sources, i);
+        if (Number.isFinite(v)) {
+          ch.data.push({t: sources[0][i].t, v});
+          if (ch.runMin === null || v < ch.runMin) ch.runMin = v;
+          if (ch.runMax === null || v > ch.runMax) ch.runMax = v;
+        }
+      }
+      ch.math.processed = Math.max(ch.math.processed, available);
     }
   }
 
-  setChannelAddress(index, address) {
-    if (index >= 0 && index < this.channels.length) {
-      this.channels[index].address = address;
+  _computeMathSample(state, sources, i) {
+    const {def} = state;
+    const [A, B, C] = sources;
+    const a = A[i].v;
+    const gain = def.gain ?? 1;
+    let v;
+
+    switch (def.op) {
+      case 'add': v = a + B[i].v; break;
+      case 'sub': v = a - B[i].v; break;
+      case 'mul': v = a * B[i].v; break;
+      case 'div': v = B[i].v !== 0 ? a / B[i].v : NaN; break;
+      case 'rms3':
+        v = Math.sqrt((a * a + B[i].v * B[i].v + C[i].v * C[i].v) / 3);
+        break;
+      case 'movavg': {
+        // 누적 합으로 O(1) 이동 평균
+        const n = Math.max(1, Math.round(def.param || 10));
+        state.sum += a;
+        if (i >= n) state.sum -= A[i - n].v;
+        v = state.sum / Math.min(i + 1, n);
+        break;
+      }
+      case 'deriv': {
+        if (i === 0) return NaN;
+        const dt = (A[i].t - A[i - 1].t) / 1000;
+        v = dt > 0 ? (a - A[i - 1].v) / dt : NaN;
+        break;
+      }
+      case 'bit':
+        v = (Math.trunc(a) >> Math.max(0, Math.min(31, def.param || 0))) & 1;
+        break;
+      default:
+        return NaN;
     }
+    return v * gain;
   }
 
-  // Settings
-  setTimeScale(ms) {
-    this.timeScale = ms;
-  }
+  // ─────────────────────────────────────────────────────────
+  //  Reference (golden) waveform
+
+  /**
+   * 현재 분석 구간(마커 2개 또는 보이는 구간)의 채널 데이터를 기준 파형으로 복사
+   * @param {string} name
+   * @returns {Object|null} { name, createdAt, periodMs, channels: [{name, index, points}] }
+   */
+  captureReference(name) {
+    if (this.recording && this.recording.view !== 'full') return null;
+    const {start, end} = this.getAnalysisWindow();
+    const channels = [];
+    this.channels.forEach((ch, index) => {
+      if (ch.math || !ch.enabled || ch.data.length === 0) return;
+      const i0 = this._bisectLeft(ch.data, start);
+      const i1 = this._bisectRight(ch.data, end);
+      const points = ch.data.slice(i0, i1 + 1).map(({t, v}) => ({t, v}));
+      if (points.length >= 2) channels.push({name: ch.name, index, points});
+    });
+    if (channels.length === 0) return null;
 
-  setSampleRate(ms) {
-    this.sampleRate = ms;
+    const first = channels[0].points;
+    return {
+      name,
+      createdAt: Date.now(),
+      periodMs: this.importInfo?.periodMs ||
+          (first[first.length - 1].t - first[0].t) / (first.length - 1),
+      channels
+    };
   }
 
-  // Trigger settings
-  setTriggerChannel(index) {
-    this.trigger.channel = index;
+  /**
+   * 기준 파형 고정 (null 이면 해제)
+   * @param {Object|null} reference - captureReference() 형식
+   */
+  setReference(reference) {
+    this.reference = reference;
+    this.compareReference();
+    if (!this.isRunning) this.render();
   }
 
-  setTriggerEdge(edge) {
-    this.trigger.edge = edge;
+  setReferenceOptions(options) {
+    Object.assign(this.referenceOptions, options);
+    this.compareReference();
+    if (!this.isRunning) this.render();
   }
 
-  setTriggerLevel(level) {
-    this.trigger.level = level;
-  }
+  /**
+   * 현재 데이터와 기준 파형 비교 — reference 채널은 저장 시 차트 채널 index 로 짝지음
+   * @returns {Object|null}
+   */
+  compareReference() {
+    const ref = this.reference;
+    if (!ref) {
+      this.referenceResult = null;
+      this.updateReferenceInfo();
+      return null;
+    }
 
-  setPreSamples(count) {
-    this.trigger.preSamples = count;
-  }
-
-  setPostSamples(count) {
-    this.trigger.postSamples = count;
-  }
-}
-
-// ─────────────────────────────────────────────────────────
-//  MiniChart  —  HW Overview 인라인 차트 (경량 Canvas 렌더러)
-// ─────────────────────────────────────────────────────────
-class MiniChart {
-  constructor(canvas, channels, {maxPoints = 300, displayPoints} = {}) {
-    // channels: [{ name, color, chNum }]
-    this.canvas = canvas;
-    this.ctx = canvas.getContext('2d');
-    this.channels = channels.map(ch => ({...ch, data: []}));
-    this.maxPoints = maxPoints;
-    this.displayPoints = displayPoints ?? maxPoints;
+    const live = ref.channels.map(rc => {
+      const ch = this.channels[rc.index];
+      return {
+        name: ch ? ch.name : `CH${rc.index + 1}`,
+        points: ch && !ch.math ? ch.data : []
+      };
+    });
+    const hasData = live.some(ch => ch.points.length > 0);
+    this.referenceResult = hasData ?
+        ChartManager.compareToReference(
+            live, ref.channels, this.referenceOptions) :
+        null;
+    this.updateReferenceInfo();
+    return this.referenceResult;
   }
 
-  addDataPoint(chIdx, value) {
-    const ch = this.channels[chIdx];
-    if (!ch) return;
-    ch.data.push(value);
-    if (ch.data.length > this.maxPoints) ch.data.shift();
-    if (ch.min === undefined || value < ch.min) ch.min = value;
-    if (ch.max === undefined || value > ch.max) ch.max = value;
-  }
+  updateReferenceInfo() {
+    const el = document.getElementById('chartRefResult');
+    if (!el) return;
 
-  clear() {
-    this.channels.forEach(ch => {
-      ch.data = [];
-      ch.min = undefined;
-      ch.max = undefined;
-    });
-    this.render();
-  }
+    const result = this.referenceResult;
+    // 기준 이름은 사용자 입력, 채널 이름은 .lsm/CSV Import 에서 올 수 있다
+    const esc = OSTestReport.escape;
+    if (!this.reference) {
+      el.innerHTML = '<span class="chart-tab-hint">고정된 기준 파형이 없습니다.</span>';
+      return;
+    }
+    if (!result) {
+      el.innerHTML = `<span class="chart-tab-hint">기준: ${
+          esc(this.reference.name)} — 비교할 캡처 데이터가 없습니다.</span>`;
+      return;
+    }
 
-  resize() {
-    const canvas = this.canvas;
-    const dpr = window.devicePixelRatio || 1;
-    const w = canvas.offsetWidth || canvas.parentElement?.offsetWidth || 400;
-    const h = canvas.offsetHeight || canvas.parentElement?.offsetHeight || 200;
-    canvas.width = w * dpr;
-    canvas.height = h * dpr;
-    this.ctx = canvas.getContext('2d');
-    this.ctx.scale(dpr, dpr);
-    this.render();
+    const fmt = v => Number.isFinite(v) ? v.toPrecision(4) : '-';
+    const rows = result.channels.map(c => `
+        <tr class="${c.pass ? '' : 'chart-ref-fail'}">
+          <td>${esc(c.name)}</td>
+          <td>${fmt(c.rmsError)}</td>
+          <td>${fmt(c.maxDeviation)}${
+        c.maxDeviationAt !== null ? ` @ ${this.formatTime(c.maxDeviationAt)}` : ''}</td>
+          <td>±${fmt(c.tolerance)}</td>
+          <td>${c.violations} (${c.violationPct.toFixed(2)}%)</td>
+          <td>${(c.coverage * 100).toFixed(0)}%</td>
+          <td>${c.pass ? 'PASS' : 'FAIL'}</td>
+        </tr>`).join('');
+    el.innerHTML = `
+        <div class="chart-ref-verdict ${result.pass ? 'pass' : 'fail'}">
+          ${result.pass ? 'PASS' : 'FAIL'} · 기준: ${esc(this.reference.name)} · 정렬: ${
+        result.align} (offset ${result.offsetMs.toFixed(2)}ms)
+        </div>
+        <table class="chart-ref-table">
+          <tr><th>Channel</th><th>RMS err</th><th>Max dev</th><th>Band</th>
+              <th>Violations</th><th>Overlap</th><th></th></tr>
+          ${rows}
+        </table>`;
   }
 
-  render() {
-    const canvas = this.canvas;
+  /** 기준 파형과 허용 밴드 그리기 (drawData 클리핑 영역 안에서 호출) */
+  drawReference() {
     const ctx = this.ctx;
-    const dpr = window.devicePixelRatio || 1;
-    const W = canvas.width / dpr;
-    const H = canvas.height / dpr;
-    ctx.clearRect(0, 0, W, H);
+    const offsetMs = this.referenceResult?.offsetMs ?? 0;
+    const visMin = this.viewMinTime - offsetMs;
+    const visMax = visMin + this.timeScale;
 
-    ctx.fillStyle = '#fafafa';
-    ctx.fillRect(0, 0, W, H);
+    this.reference.channels.forEach((rc, k) => {
+      const ch = this.channels[rc.index];
+      if (!ch || !ch.enabled || rc.points.length < 2) return;
 
-    // Y축 범위 자동 계산 (표시 구간 기준)
-    let min = Infinity, max = -Infinity;
-    this.channels.forEach(ch => {
-      const view = ch.data.length > this.displayPoints ?
-          ch.data.slice(-this.displayPoints) :
-          ch.data;
-      view.forEach(v => {
-        if (v < min) min = v;
-        if (v > max) max = v;
-      });
-    });
-    if (!isFinite(min)) {
-      min = -1;
-      max = 1;
-    }
-    if (min === max) {
-      min -= 1;
-      max += 1;
-    }
-    const pad = (max - min) * 0.1;
-    min -= pad;
-    max += pad;
+      const startIdx = Math.max(0, this._bisectLeft(rc.points, visMin) - 1);
+      const endIdx = Math.min(
+          rc.points.length - 1, this._bisectRight(rc.points, visMax) + 1);
+      const visible = rc.points.slice(startIdx, endIdx + 1);
+      if (visible.length < 2) return;
 
-    // 수평 그리드 선 3개
-    ctx.strokeStyle = '#e9ecef';
-    ctx.lineWidth = 1;
-    for (let i = 0; i <= 3; i++) {
-      const y = Math.round((i / 3) * H) + 0.5;
-      ctx.beginPath();
-      ctx.moveTo(0, y);
-      ctx.lineTo(W, y);
-      ctx.stroke();
-    }
+      const tol = this.referenceResult?.channels[k]?.tolerance;
+      if (this.referenceOptions.showBand && Number.isFinite(tol)) {
+        ctx.fillStyle = ch.color;
+        ctx.globalAlpha = 0.12;
+        ctx.beginPath();
+        visible.forEach((p, i) => {
+          const x = this.chartToScreenX(p.t + offsetMs);
+          const y = this.channelValueToScreenY(ch, p.v + tol);
+          if (i === 0)
+            ctx.moveTo(x, y);
+          else
+            ctx.lineTo(x, y);
+        });
+        for (let i = visible.length - 1; i >= 0; i--) {
+          const p = visible[i];
+          ctx.lineTo(
+              this.chartToScreenX(p.t + offsetMs),
+              this.channelValueToScreenY(ch, p.v - tol));
+        }
+        ctx.closePath();
+        ctx.fill();
+      }
 
-    // 채널 라인
-    this.channels.forEach(ch => {
-      if (ch.data.length < 2) return;
+      ctx.globalAlpha = 0.6;
       ctx.strokeStyle = ch.color;
-      ctx.lineWidth = 1.5;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([4, 3]);
       ctx.beginPath();
-      const view = ch.data.length > this.displayPoints ?
-          ch.data.slice(-this.displayPoints) :
-          ch.data;
-      view.forEach((v, i) => {
-        const x = (i / (this.displayPoints - 1)) * W;
-        const y = H - ((v - min) / (max - min)) * H;
-        i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
+      visible.forEach((p, i) => {
+        const x = this.chartToScreenX(p.t + offsetMs);
+        const y = this.channelValueToScreenY(ch, p.v);
+        if (i === 0)
+          ctx.moveTo(x, y);
+        else
+          ctx.lineTo(x, y);
       });
       ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.globalAlpha = 1;
     });
-
-    // Y축 min/max 레이블
-    ctx.fillStyle = '#adb5bd';
-    ctx.font = '9px monospace';
-    ctx.textAlign = 'left';
-    ctx.fillText(max.toFixed(1), 3, 10);
-    ctx.fillText(min.toFixed(1), 3, H - 3);
   }
-}
 
-// ─────────────────────────────────────────────────────────
-//  Polar Chart — Clarke α-β 궤적 실시간 극좌표 표시
-// ─────────────────────────────────────────────────────────
-class PolarChart {
   /**
-   * Hall U/V/W → Clarke 변환 후 α/β 궤적을 극좌표로 표시.
-   *
-   * DC 제거 없음: 원점(0,0)이 캔버스 중심. DC 오프셋이 있으면 원이 중심에서
-   * 벗어나 보이는데, 이것이 Hall 오프셋 교정 목적상 확인해야 할 정보임.
+   * 정렬된 점 배열에서 t 의 선형 보간 값 (범위 밖이면 null)
+   * @param {Array<{t: number, v: number}>} points
    */
-  constructor(canvas, {maxPoints = 100000} = {}) {
-    this.canvas = canvas;
-    this.ctx = canvas.getContext('2d');
-    this.maxPoints = maxPoints;
-    this._a = [];  // α rolling buffer
-    this._b = [];  // β rolling buffer
-    // render() 후 DOM 업데이트용 공개 통계
-    this.lastAmp = undefined;
-    this.lastAngle = undefined;
-    this.ampMin = undefined;
-    this.ampMax = undefined;
-    this._maxR = 0;  // scale 고정용: 증가만 허용
+  static interpolateAt(points, t) {
+    const n = points.length;
+    if (n === 0 || t < points[0].t || t > points[n - 1].t) return null;
+    let lo = 0, hi = n - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (points[mid].t <= t)
+        lo = mid;
+      else
+        hi = mid;
+    }
+    const a = points[lo], b = points[hi];
+    if (b.t === a.t) return a.v;
+    return a.v + (b.v - a.v) * (t - a.t) / (b.t - a.t);
   }
 
-  /** U/V/W 샘플 → Clarke 변환 → 버퍼에 추가 */
-  addSample(rawU, rawV, rawW) {
-    const K = 2 / 3, S3 = Math.sqrt(3);
-    this._a.push(K * (rawU - rawV / 2 - rawW / 2));
-    this._b.push(K * (S3 / 2 * (rawV - rawW)));
-    if (this._a.length > this.maxPoints) {
-      this._a.shift();
-      this._b.shift();
+  /**
+   * 상호상관(FFT)으로 기준 파형의 시간 오프셋 추정.
+   * live(t) ≈ reference(t - offsetMs). 두 파형이 짧은 쪽 길이의 절반 이상
+   * 겹치는 지연만 후보로 본다.
+   * @returns {number} offsetMs
+   */
+  static findReferenceOffset(livePoints, refPoints) {
+    if (livePoints.length < 8 || refPoints.length < 8) return 0;
+
+    const MAX_SAMPLES = 16384;
+    const liveStart = livePoints[0].t;
+    const liveSpan = livePoints[livePoints.length - 1].t - liveStart;
+    const refStart = refPoints[0].t;
+    const refSpan = refPoints[refPoints.length - 1].t - refStart;
+    let dt = liveSpan / (livePoints.length - 1);
+    if (!(dt > 0)) return 0;
+    dt *= Math.max(1, Math.ceil(Math.max(liveSpan, refSpan) / dt / MAX_SAMPLES));
+
+    const resample = (points, start, span) => {
+      const n = Math.floor(span / dt) + 1;
+      const out = new Float64Array(n);
+      let mean = 0;
+      for (let i = 0; i < n; i++) {
+        out[i] = ChartManager.interpolateAt(points, start + i * dt) ?? 0;
+        mean += out[i];
+      }
+      mean /= n;
+      for (let i = 0; i < n; i++) out[i] -= mean;
+      return out;
+    };
+    const l = resample(livePoints, liveStart, liveSpan);
+    const r = resample(refPoints, refStart, refSpan);
+    const nL = l.length, nR = r.length;
+
+    let n = 1;
+    while (n < nL + nR) n <<= 1;
+    const lRe = new Float64Array(n), lIm = new Float64Array(n);
+    const rRe = new Float64Array(n), rIm = new Float64Array(n);
+    lRe.set(l);
+    rRe.set(r);
+    ChartManager.fft(lRe, lIm);
+    ChartManager.fft(rRe, rIm);
+
+    // L · conj(R) 의 역변환 = 상호상관 (역변환은 켤레 → FFT 로 계산, 실수부만 사용)
+    const cRe = new Float64Array(n), cIm = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+      cRe[i] = lRe[i] * rRe[i] + lIm[i] * rIm[i];
+      cIm[i] = -(lIm[i] * rRe[i] - lRe[i] * rIm[i]);
     }
+    ChartManager.fft(cRe, cIm);
+
+    // 겹치는 구간 에너지로 정규화 (겹침이 짧은 지연이 유리해지지 않도록)
+    const energy = values => {
+      const sums = new Float64Array(values.length + 1);
+      for (let i = 0; i < values.length; i++) {
+        sums[i + 1] = sums[i] + values[i] * values[i];
+      }
+      return sums;
+    };
+    const lSum = energy(l), rSum = energy(r);
+
+    const minOverlap = Math.max(2, Math.floor(Math.min(nL, nR) / 2));
+    let bestLag = 0;
+    let bestScore = -Infinity;
+    for (let lag = -(nR - 1); lag <= nL - 1; lag++) {
+      const from = Math.max(0, lag);
+      const to = Math.min(nL, nR + lag);
+      if (to - from < minOverlap) continue;
+      const norm = Math.sqrt(
+          (lSum[to] - lSum[from]) * (rSum[to - lag] - rSum[from - lag]));
+      if (!(norm > 0)) continue;
+      const score = cRe[lag >= 0 ? lag : n + lag] / norm;
+      if (score > bestScore) {
+        bestScore = score;
+        bestLag = lag;
+      }
+    }
+
+    // 포물선 보간으로 샘플 간격 이하 지연 보정
+    const at = lag => cRe[lag >= 0 ? lag : n + lag];
+    let frac = 0;
+    if (bestLag > -(nR - 1) && bestLag < nL - 1) {
+      const y0 = at(bestLag - 1), y1 = at(bestLag), y2 = at(bestLag + 1);
+      const denom = y0 - 2 * y1 + y2;
+      if (denom < 0) frac = Math.max(-0.5, Math.min(0.5, (y0 - y2) / (2 * denom)));
+    }
+    return liveStart - refStart + (bestLag + frac) * dt;
+  }
+
+  /**
+   * 캡처와 기준 파형의 채널별 편차 계산 (OS 테스트 스텝에서도 사용)
+   * @param {Array<{name: string, points: Array<{t, v}>}>} live
+   * @param {Array<{name: string, points: Array<{t, v}>}>} reference - live 와 순서로 짝지음
+   * @param {Object} [options] - referenceOptions 와 같은 키 (+ minCoverage, 기본 0.5)
+   * @returns {{pass: boolean, align: string, offsetMs: number,
+   *     channels: Array<{name, refName, samples, rmsError, maxDeviation,
+   *     maxDeviationAt, tolerance, violations, violationPct, coverage, pass}>}}
+   */
+  static compareToReference(live, reference, options = {}) {
+    const {
+      align = 'none',
+      alignChannel = 0,
+      tolerancePct = 5,
+      toleranceAbs = 0,
+      maxViolationPct = 0,
+      minCoverage = 0.5
+    } = options;
+
+    const offsetMs = align === 'xcorr' ?
+        ChartManager.findReferenceOffset(
+            live[alignChannel]?.points || [],
+            reference[alignChannel]?.points || []) :
+        0;
+
+    const channels = reference.map((ref, k) => {
+      const points = live[k]?.points || [];
+      const stats = {
+        name: live[k]?.name || ref.name,
+        refName: ref.name,
+        samples: 0,
+        rmsError: NaN,
+        maxDeviation: NaN,
+        maxDeviationAt: null,
+        tolerance: NaN,
+        violations: 0,
+        violationPct: 0,
+        coverage: 0,
+        pass: false
+      };
+      if (points.length === 0 || ref.points.length < 2) return stats;
+
+      let refMin = Infinity, refMax = -Infinity;
+      for (const {v} of ref.points) {
+        if (v < refMin) refMin = v;
+        if (v > refMax) refMax = v;
+      }
+      const range = (refMax - refMin) || Math.abs(refMax) || 1;
+      stats.tolerance = toleranceAbs + range * tolerancePct / 100;
+
+      let sumSq = 0;
+      let maxDev = 0;
+      for (const {t, v} of points) {
+        const r = ChartManager.interpolateAt(ref.points, t - offsetMs);
+        if (r === null) continue;
+        const err = v - r;
+        sumSq += err * err;
+        if (Math.abs(err) >= maxDev) {
+          maxDev = Math.abs(err);
+          stats.maxDeviationAt = t;
+        }
+        if (Math.abs(err) > stats.tolerance) stats.violations++;
+        stats.samples++;
+      }
+      if (stats.samples === 0) return stats;
+
+      // 겹치는 구간 / 둘 중 짧은 쪽 길이
+      const liveStart = points[0].t, liveEnd = points[points.length - 1].t;
+      const refStart = ref.points[0].t + offsetMs;
+      const refEnd = ref.points[ref.points.length - 1].t + offsetMs;
+      const shorter = Math.min(liveEnd - liveStart, refEnd - refStart);
+      const overlap = Math.min(liveEnd, refEnd) - Math.max(liveStart, refStart);
+      stats.coverage = shorter > 0 ? Math.max(0, Math.min(1, overlap / shorter)) : 1;
+
+      stats.rmsError = Math.sqrt(sumSq / stats.samples);
+      stats.maxDeviation = maxDev;
+      stats.violationPct = stats.violations / stats.samples * 100;
+      stats.pass = stats.violationPct <= maxViolationPct &&
+          stats.coverage >= minCoverage;
+      return stats;
+    });
+
+    return {
+      pass: channels.length > 0 && channels.every(c => c.pass),
+      align,
+      offsetMs,
+      channels
+    };
   }
 
-  clear() {
-    this._a = [];
-    this._b = [];
-    this.lastAmp = undefined;
-    this.lastAngle = undefined;
-    this.ampMin = undefined;
-    this.ampMax = undefined;
-    this._maxR = 0;
+  // ─────────────────────────────────────────────────────────
+  //  Spectrum (FFT) view
+
+  setViewMode(mode) {
+    this.viewMode = mode === 'spectrum' ? 'spectrum' : 'time';
+    this.spectrum.result = null;
+    this.spectrum.resultKey = null;
+    this.cursorPos = null;
+    this.showCursor = false;
+    this.hideCursorInfo();
     this.render();
   }
 
-  render() {
-    // 임계값 상수
-    const THRESH = [
-      {label: '평상시', min: 600, max: 2000, color: '#27ae60'},
-      {label: 'Offset 조정', min: 900, max: 1923, color: '#e67e22'},
-    ];
-    const THRESH_MAX = Math.max(...THRESH.map(t => t.max));  // 2000
+  setSpectrumOptions(options) {
+    Object.assign(this.spectrum, options);
+    this.spectrum.resultKey = null;  // 다음 render에서 재계산
+    if (!this.isRunning) this.render();
+  }
 
-    const canvas = this.canvas;
-    const ctx = this.ctx;
-    const dpr = window.devicePixelRatio || 1;
-    // ctx에 dpr scale이 적용되어 있으므로 CSS 픽셀 기준으로 좌표 계산
-    const W = canvas.width / dpr;
-    const H = canvas.height / dpr;
+  /**
+   * 분석 구간 — 마커 2개가 있으면 M1~M2, 없으면 현재 보이는 구간
+   * @returns {{start: number, end: number, source: string}}
+   */
+  getAnalysisWindow() {
+    if (this.markers.length === 2) {
+      const [a, b] = this.markers.map(m => m.x);
+      return {start: Math.min(a, b), end: Math.max(a, b), source: 'markers'};
+    }
+    return {
+      start: this.viewMinTime,
+      end: this.viewMinTime + this.timeScale,
+      source: 'view'
+    };
+  }
 
-    ctx.clearRect(0, 0, W, H);
-    ctx.fillStyle = '#fafafa';
-    ctx.fillRect(0, 0, W, H);
+  /**
+   * 창 함수 계수
+   * @param {string} type - 'rect' | 'hann' | 'flattop'
+   * @param {number} n
+   * @returns {Float64Array}
+   */
+  static windowCoefficients(type, n) {
+    const w = new Float64Array(n);
+    const denom = Math.max(1, n - 1);
+    for (let i = 0; i < n; i++) {
+      const x = 2 * Math.PI * i / denom;
+      if (type === 'hann') {
+        w[i] = 0.5 - 0.5 * Math.cos(x);
+      } else if (type === 'flattop') {
+        // SRS flat-top (진폭 정확도 우선, 주파수 분해능은 낮음)
+        w[i] = 0.21557895 - 0.41663158 * Math.cos(x) +
+            0.277263158 * Math.cos(2 * x) - 0.083578947 * Math.cos(3 * x) +
+            0.006947368 * Math.cos(4 * x);
+      } else {
+        w[i] = 1;
+      }
+    }
+    return w;
+  }
+
+  /**
+   * In-place radix-2 FFT (re/im 길이는 2의 거듭제곱)
+   */
+  static fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) j ^= bit;
+      j ^= bit;
+      if (i < j) {
+        [re[i], re[j]] = [re[j], re[i]];
+        [im[i], im[j]] = [im[j], im[i]];
+      }
+    }
+    for (let len = 2; len <= n; len <<= 1) {
+      const ang = -2 * Math.PI / len;
+      const wRe = Math.cos(ang), wIm = Math.sin(ang);
+      for (let i = 0; i < n; i += len) {
+        let curRe = 1, curIm = 0;
+        for (let k = 0; k < len / 2; k++) {
+          const aRe = re[i + k], aIm = im[i + k];
+          const bRe = re[i + k + len / 2] * curRe - im[i + k + len / 2] * curIm;
+          const bIm = re[i + k + len / 2] * curIm + im[i + k + len / 2] * curRe;
+          re[i + k] = aRe + bRe;
+          im[i + k] = aIm + bIm;
+          re[i + k + len / 2] = aRe - bRe;
+          im[i + k + len / 2] = aIm - bIm;
+          const nextRe = curRe * wRe - curIm * wIm;
+          curIm = curRe * wIm + curIm * wRe;
+          curRe = nextRe;
+        }
+      }
+    }
+  }
 
-    // 스케일: 임계값 최대값이 항상 들어오도록 보장
-    if (THRESH_MAX > this._maxR) this._maxR = THRESH_MAX;
+  /**
+   * 활성 채널의 단측 진폭 스펙트럼 계산 (분석 구간 기준)
+   * 진폭은 창 함수 coherent gain으로 보정 → 정현파 peak 값과 같은 단위
+   * @returns {Object|null} { start, end, source, window, elecFreqHz,
+   *   channels: [{index, name, color, fs, n, freqs, mags, peaks}] }
+   */
+  computeSpectrum() {
+    // 기록 모드에서 오버뷰/축약 데이터의 스펙트럼은 의미가 없음 — 확대 후 분석
+    if (this.recording && this.recording.view !== 'full') return null;
+
+    const {start, end, source} = this.getAnalysisWindow();
+    const opt = this.spectrum;
+    const MAX_FFT = 65536;
+    const channels = [];
+
+    this.channels.forEach((ch, index) => {
+      if (!ch.enabled || ch.data.length < 8) return;
+      let i0 = this._bisectLeft(ch.data, start);
+      const i1 = this._bisectRight(ch.data, end);
+      if (i1 - i0 + 1 > MAX_FFT) i0 = i1 - MAX_FFT + 1;  // 최근 구간 우선
+      const count = i1 - i0 + 1;
+      if (count < 8) return;
+
+      const dtMs = (ch.data[i1].t - ch.data[i0].t) / (count - 1);
+      if (!(dtMs > 0)) return;
+      const fs = 1000 / dtMs;
+
+      let n = 1;
+      while (n < count) n <<= 1;
+      const re = new Float64Array(n);
+      const im = new Float64Array(n);
+      const w = ChartManager.windowCoefficients(opt.window, count);
+
+      let mean = 0;
+      for (let k = 0; k < count; k++) mean += ch.data[i0 + k].v;
+      mean /= count;
+      let gain = 0;
+      for (let k = 0; k < count; k++) {
+        re[k] = (ch.data[i0 + k].v - mean) * w[k];
+        gain += w[k];
+      }
+      ChartManager.fft(re, im);
+
+      const bins = n / 2 + 1;
+      const freqs = new Float64Array(bins);
+      const mags = new Float64Array(bins);
+      for (let k = 0; k < bins; k++) {
+        freqs[k] = k * fs / n;
+        mags[k] = (k === 0 ? 1 : 2) * Math.hypot(re[k], im[k]) / gain;
+      }
+      mags[0] = Math.abs(mean);  // DC 성분은 창 보정 없이 평균값 크기
+
+      channels.push({
+        index,
+        name: ch.name,
+        color: ch.color,
+        fs,
+        n: count,
+        freqs,
+        mags,
+        peaks: this._findSpectrumPeaks(freqs, mags, opt.peakCount)
+      });
+    });
 
-    const cx = W / 2;
-    const cy = H / 2;
-    const radius = Math.min(W, H) / 2 * 0.82;
-    const scale = radius / (this._maxR * 1.1);
+    if (channels.length === 0) return null;
+    return {
+      start,
+      end,
+      source,
+      window: opt.window,
+      elecFreqHz: this._getElectricalFrequency(start, end),
+      channels
+    };
+  }
 
-    // 동심원 (배경 격자)
-    ctx.strokeStyle = '#e9ecef';
-    ctx.lineWidth = 0.8;
-    [0.25, 0.5, 1.0].forEach(frac => {
-      ctx.beginPath();
-      ctx.arc(cx, cy, radius * frac, 0, 2 * Math.PI);
-      ctx.stroke();
-    });
+  /** 국소 최대값 중 큰 순서로 count개 (서로 3 bin 이상 떨어진 것만) */
+  _findSpectrumPeaks(freqs, mags, count) {
+    if (!count) return [];
+    const candidates = [];
+    for (let k = 1; k < mags.length - 1; k++) {
+      if (mags[k] > mags[k - 1] && mags[k] >= mags[k + 1]) candidates.push(k);
+    }
+    candidates.sort((a, b) => mags[b] - mags[a]);
 
-    // 십자 축선
-    ctx.strokeStyle = '#dee2e6';
-    ctx.lineWidth = 0.8;
-    ctx.beginPath();
-    ctx.moveTo(cx, cy - radius * 1.05);
-    ctx.lineTo(cx, cy + radius * 1.05);
-    ctx.moveTo(cx - radius * 1.05, cy);
-    ctx.lineTo(cx + radius * 1.05, cy);
-    ctx.stroke();
+    const picked = [];
+    for (const k of candidates) {
+      if (picked.some(p => Math.abs(p - k) < 3)) continue;
+      picked.push(k);
+      if (picked.length >= count) break;
+    }
+    return picked.map(k => ({f: freqs[k], m: mags[k]}));
+  }
 
-    // 임계값 밴드 (채움 + 테두리 원 2개)
-    // 라벨 각도: 겹치지 않도록 각 항목마다 다른 각도 사용
-    const LABEL_ANGLES =
-        [30, 55];  // degrees, 첫번째=평상시, 두번째=Offset 조정
-    THRESH.forEach(({label, min, max, color}, i) => {
-      const rMin = min * scale;
-      const rMax = max * scale;
-      // min 원 (실선)
-      ctx.strokeStyle = color + 'aa';
-      ctx.lineWidth = 1;
-      ctx.setLineDash([]);
-      ctx.beginPath();
-      ctx.arc(cx, cy, rMin, 0, 2 * Math.PI);
-      ctx.stroke();
-      // max 원 (실선)
-      ctx.strokeStyle = color + 'cc';
-      ctx.lineWidth = 1.5;
-      ctx.setLineDash([]);
-      ctx.beginPath();
-      ctx.arc(cx, cy, rMax, 0, 2 * Math.PI);
-      ctx.stroke();
-      // 라벨 + min/max 값 (각도별 배치)
-      const ang = LABEL_ANGLES[i] * Math.PI / 180;
-      const lx = cx + rMax * Math.cos(-ang) + 4;
-      const ly = cy + rMax * Math.sin(-ang) - 3;
-      ctx.fillStyle = color;
-      ctx.font = '12px sans-serif';
-      ctx.textAlign = 'left';
-      ctx.fillText(label, lx, ly);
-      ctx.font = '10px sans-serif';
-      ctx.fillStyle = color + 'cc';
-      ctx.fillText(`${min} ~ ${max}`, lx, ly + 13);
-    });
+  /** 전기 주파수 (Hz) — 수동 지정값 또는 구간 평균 속도(rpm) × 극쌍수 / 60 */
+  _getElectricalFrequency(start, end) {
+    const opt = this.spectrum;
+    if (opt.elecFreqHz > 0) return opt.elecFreqHz;
+    const ch = this.channels[opt.speedChannel];
+    if (!ch || ch.data.length === 0) return null;
 
-    // 데이터 없으면 여기서 종료
-    const n = this._a.length;
-    if (n < 2) {
-      ctx.fillStyle = '#adb5bd';
-      ctx.font = '10px sans-serif';
-      ctx.textAlign = 'center';
-      ctx.fillText(
-          '데이터 대기 중… (카드 클릭하여 시작)', cx, cy + radius * 1.18);
-      return;
-    }
+    const i0 = this._bisectLeft(ch.data, start);
+    const i1 = this._bisectRight(ch.data, end);
+    if (i1 < i0) return null;
+    let sum = 0;
+    for (let k = i0; k <= i1; k++) sum += ch.data[k].v;
+    const rpm = Math.abs(sum / (i1 - i0 + 1));
+    return rpm > 0 ? rpm / 60 * opt.polePairs : null;
+  }
 
-    // 원점 기준 amplitude 통계
-    let maxR = 0, ampMin = Infinity, ampMax = -Infinity;
-    for (let i = 0; i < n; i++) {
-      const r = Math.sqrt(this._a[i] * this._a[i] + this._b[i] * this._b[i]);
-      if (r > maxR) maxR = r;
-      if (r < ampMin) ampMin = r;
-      if (r > ampMax) ampMax = r;
+  renderSpectrum() {
+    const ctx = this.ctx;
+    const opt = this.spectrum;
+    this.chartMargins.left = 60;
+    const left = this.chartMargins.left;
+    const right = this.width - this.chartMargins.right;
+    const top = this.chartMargins.top;
+    const bottom = this.height - this.chartMargins.bottom;
+
+    // 캡처 중에는 250ms 마다, 정지 상태에서는 구간/데이터가 바뀔 때만 재계산
+    const win = this.getAnalysisWindow();
+    const key = [
+      win.start, win.end,
+      ...this.channels.map(ch => `${ch.enabled}:${ch.data.length}`)
+    ].join('|');
+    const stale = !opt.result || Date.now() - opt.result.computedAt > 250;
+    if (opt.resultKey !== key && (!this.isRunning || stale)) {
+      opt.result = this.computeSpectrum();
+      if (opt.result) opt.result.computedAt = Date.now();
+      opt.resultKey = key;
     }
-    this.ampMin = ampMin;
-    this.ampMax = ampMax;
-    const la = this._a[n - 1], lb = this._b[n - 1];
-    this.lastAmp = Math.sqrt(la * la + lb * lb);
-    this.lastAngle = ((Math.atan2(lb, la) * 180 / Math.PI) + 360) % 360;
+    const result = opt.result;
 
-    // scale 갱신 (임계값 하한선 유지하면서 증가만 허용)
-    if (maxR > this._maxR) this._maxR = maxR;
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, this.width, this.height);
 
-    if (maxR < 1e-9) {
-      ctx.fillStyle = '#adb5bd';
-      ctx.font = '10px sans-serif';
+    if (!result) {
+      ctx.fillStyle = '#8b95a1';
+      ctx.font = '13px Arial';
       ctx.textAlign = 'center';
-      ctx.fillText('신호 없음 (정지 상태)', cx, cy + radius * 1.18);
-      ctx.fillStyle = '#6c757d';
-      ctx.beginPath();
-      ctx.arc(cx, cy, 4, 0, 2 * Math.PI);
-      ctx.fill();
+      ctx.fillText(
+          this.recording && this.recording.view !== 'full' ?
+              '기록 구간이 너무 넓습니다 — 시간 축을 확대한 뒤 분석하세요' :
+              '스펙트럼을 계산할 데이터가 없습니다 (구간 내 8샘플 이상 필요)',
+          (left + right) / 2, (top + bottom) / 2);
       return;
     }
 
-    // 현재 amplitude 평균 기준원 (파란 점선)
-    ctx.strokeStyle = 'rgba(52, 152, 219, 0.5)';
+    // X/Y 범위
+    const nyquist = Math.max(...result.channels.map(c => c.fs / 2));
+    const fMax = opt.maxFreq > 0 ? Math.min(opt.maxFreq, nyquist) : nyquist;
+    const isDb = opt.scale === 'db';
+    const toY = m => isDb ? 20 * Math.log10(Math.max(m, 1e-12)) : m;
+    let yMax = -Infinity;
+    for (const c of result.channels) {
+      for (let k = 1; k < c.mags.length && c.freqs[k] <= fMax; k++) {
+        yMax = Math.max(yMax, toY(c.mags[k]));
+      }
+    }
+    if (!isFinite(yMax)) yMax = isDb ? 0 : 1;
+    let yMin;
+    if (isDb) {
+      yMax = Math.ceil(yMax / 10) * 10 + 10;
+      yMin = yMax - 100;
+    } else {
+      yMax = (yMax || 1) * 1.1;
+      yMin = 0;
+    }
+    const sx = f => left + f / fMax * (right - left);
+    const sy = v => bottom -
+        (Math.max(yMin, Math.min(yMax, v)) - yMin) / (yMax - yMin) *
+            (bottom - top);
+
+    // Grid + axes
+    ctx.strokeStyle = '#f0f0f0';
     ctx.lineWidth = 1;
-    ctx.setLineDash([4, 3]);
+    ctx.fillStyle = '#666';
+    ctx.font = '10px Arial';
+    const xStep = this.niceStep(fMax, 10);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let f = 0; f <= fMax + xStep * 0.01; f += xStep) {
+      ctx.beginPath();
+      ctx.moveTo(sx(f), top);
+      ctx.lineTo(sx(f), bottom);
+      ctx.stroke();
+      ctx.fillText(`${+f.toFixed(2)}`, sx(f), bottom + 5);
+    }
+    ctx.fillText('Frequency (Hz)', (left + right) / 2, bottom + 20);
+    const yStep = this.niceStep(yMax - yMin, 8);
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let v = Math.ceil(yMin / yStep) * yStep; v <= yMax; v += yStep) {
+      ctx.beginPath();
+      ctx.moveTo(left, sy(v));
+      ctx.lineTo(right, sy(v));
+      ctx.stroke();
+      ctx.fillText(`${+v.toPrecision(4)}${isDb ? ' dB' : ''}`, left - 5, sy(v));
+    }
+    ctx.strokeStyle = '#333';
     ctx.beginPath();
-    ctx.arc(cx, cy, ((ampMax + ampMin) / 2) * scale, 0, 2 * Math.PI);
+    ctx.moveTo(left, top);
+    ctx.lineTo(left, bottom);
+    ctx.lineTo(right, bottom);
     ctx.stroke();
-    ctx.setLineDash([]);
 
-    // 궤적 (점)
-    ctx.fillStyle = 'rgba(46, 204, 113, 0.7)';
+    ctx.save();
     ctx.beginPath();
-    for (let i = 0; i < n; i++) {
-      const x = cx + this._a[i] * scale;
-      const y = cy - this._b[i] * scale;
-      ctx.moveTo(x + 1.5, y);
-      ctx.arc(x, y, 1.5, 0, 2 * Math.PI);
-    }
-    ctx.fill();
+    ctx.rect(left, top, right - left, bottom - top);
+    ctx.clip();
 
-    // 최신 점 강조
-    ctx.fillStyle = '#e74c3c';
-    ctx.beginPath();
-    ctx.arc(cx + la * scale, cy - lb * scale, 4, 0, 2 * Math.PI);
-    ctx.fill();
+    // 전기 주파수 고조파 마커
+    if (result.elecFreqHz && opt.harmonics > 0) {
+      ctx.strokeStyle = 'rgba(155, 89, 182, 0.6)';
+      ctx.fillStyle = '#9b59b6';
+      ctx.setLineDash([4, 4]);
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      for (let h = 1; h <= opt.harmonics; h++) {
+        const f = h * result.elecFreqHz;
+        if (f > fMax) break;
+        ctx.beginPath();
+        ctx.moveTo(sx(f), top);
+        ctx.lineTo(sx(f), bottom);
+        ctx.stroke();
+        ctx.fillText(`${h}×`, sx(f) + 2, top + 2);
+      }
+      ctx.setLineDash([]);
+    }
 
-    // 축 레이블
-    ctx.fillStyle = '#adb5bd';
-    ctx.font = '9px monospace';
-    ctx.textAlign = 'center';
-    ctx.fillText('β', cx + 6, cy - radius - 4);
-    ctx.textAlign = 'left';
-    ctx.fillText('α', cx + radius + 4, cy + 3);
-  }
-}
+    // 스펙트럼 트레이스 + 피크 라벨
+    for (const c of result.channels) {
+      ctx.strokeStyle = c.color;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      for (let k = 1; k < c.mags.length; k++) {
+        const x = sx(c.freqs[k]), y = sy(toY(c.mags[k]));
+        if (k === 1) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+        if (c.freqs[k] > fMax) break;
+      }
+      ctx.stroke();
 
+      ctx.fillStyle = c.color;
+      ctx.font = 'bold 10px Arial';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'bottom';
+      for (const p of c.peaks) {
+        if (p.f > fMax) continue;
+        const x = sx(p.f), y = sy(toY(p.m));
+        ctx.beginPath();
+        ctx.arc(x, y, 3, 0, 2 * Math.PI);
+        ctx.fill();
+        const label = isDb ? `${toY(p.m).toFixed(1)} dB` : p.m.toPrecision(3);
+        ctx.fillText(`${p.f.toFixed(2)} Hz · ${label}`, x, y - 4);
+      }
+    }
+    ctx.restore();
 
-// 드라이브 Serial Port 초기값 (단일 출처)
-const DEFAULT_SERIAL = {
-  baudRate: 19200,
-  dataBits: 8,
-  parity: 'even',
-  stopBits: 1,
-};
+    // 헤더: 구간/창 함수/전기 주파수
+    const windowNames = {rect: 'Rectangular', hann: 'Hann', flattop: 'Flat-top'};
+    const src = result.source === 'markers' ? 'M1–M2' : 'Visible';
+    let header = `${windowNames[result.window] || result.window} · ${src} ${
+        this.formatTime(result.start)} – ${this.formatTime(result.end)} · ${
+        result.channels[0].n} pts`;
+    if (result.elecFreqHz) header += ` · f_elec ${result.elecFreqHz.toFixed(2)} Hz`;
+    ctx.fillStyle = '#666';
+    ctx.font = '10px Arial';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(header, right, top - 4);
+
+    // 커서: 주파수 + 채널별 값
+    if (this.showCursor && this.cursorPos) {
+      const x = this.cursorPos.x;
+      const f = (x - left) / (right - left) * fMax;
+      ctx.strokeStyle = 'rgba(0, 123, 255, 0.5)';
+      ctx.setLineDash([3, 3]);
+      ctx.beginPath();
+      ctx.moveTo(x, top);
+      ctx.lineTo(x, bottom);
+      ctx.stroke();
+      ctx.setLineDash([]);
 
-class ModbusDashboard {
-  constructor() {
-    this.port = null;
-    this.reader = null;
-    this.writer = null;
-    this.isConnected = false;
-    this.modbus = new ModbusRTU();
-    this.receiveBuffer = new Uint8Array(256);
-    this.receiveIndex = 0;
-    this.readInProgress = false;
-    this._serialDataCb =
-        null;  // event-driven RX callback for sendAndReceiveFC64
-    this._autoReconnecting = false;  // 충돌 후 자동 재연결 시도 중 여부
-    this.displayFormat = 'hex';      // 'hex' or 'dec'
-    this.parameters = [];
+      const lines = [`${f.toFixed(2)} Hz`];
+      for (const c of result.channels) {
+        const k = Math.round(f / (c.fs / ((c.mags.length - 1) * 2)));
+        if (k >= 0 && k < c.mags.length) {
+          const v = toY(c.mags[k]);
+          lines.push(`${c.name}: ${isDb ? v.toFixed(1) + ' dB' : v.toPrecision(4)}`);
+        }
+      }
+      ctx.font = '11px Arial';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      const boxW = Math.max(...lines.map(l => ctx.measureText(l).width)) + 12;
+      const boxX = Math.min(x + 8, right - boxW);
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+      ctx.fillRect(boxX, top + 4, boxW, lines.length * 14 + 6);
+      ctx.fillStyle = '#333';
+      lines.forEach((l, i) => ctx.fillText(l, boxX + 6, top + 7 + i * 14));
+    }
+  }
+
+  /** 현재 스펙트럼을 CSV로 저장 (채널별 Frequency/Magnitude 열) */
+  exportSpectrumCSV() {
+    const result = this.spectrum.result || this.computeSpectrum();
+    if (!result) return;
+    const isDb = this.spectrum.scale === 'db';
+    const unit = isDb ? 'dB' : 'Amplitude';
+
+    const header = result.channels
+                       .map(c => `${c.name} Freq(Hz),${c.name} ${unit}`)
+                       .join(',');
+    const rows = [header];
+    const maxBins = Math.max(...result.channels.map(c => c.mags.length));
+    for (let k = 0; k < maxBins; k++) {
+      rows.push(result.channels
+                    .map(c => {
+                      if (k >= c.mags.length) return ',';
+                      const m = isDb ? 20 * Math.log10(Math.max(c.mags[k], 1e-12)) :
+                                       c.mags[k];
+                      return `${c.freqs[k].toFixed(4)},${m.toPrecision(6)}`;
+                    })
+                    .join(','));
+    }
+
+    const blob = new Blob([rows.join('\n') + '\n'], {type: 'text/csv'});
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `chart_spectrum_${
+        new Date().toISOString().slice(0, 19).replace(/[:-]/g, '')}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
 
-    // Simulator
-    this.simulator = new ModbusSimulator();
-    this.simulatorEnabled = false;
-    this.simulatorUpdateInterval = null;
+  // Export functions
+  exportToCSV() {
+    if (this.viewMode === 'spectrum') {
+      this.exportSpectrumCSV();
+      return;
+    }
+    if (this.recording) {
+      this.exportRecordingRange('csv');
+      return;
+    }
 
-    // Statistics
-    this.stats = {requests: 0, success: 0, errors: 0};
+    let csv = 'Time(ms)';
+    for (const ch of this.channels) {
+      if (ch.enabled) csv += `,${ch.name}`;
+    }
+    csv += '\n';
 
-    // Per-device statistics
-    this.deviceStats = {};  // { slaveId: { requests, success, errors } }
+    // Get all unique timestamps
+    const times = new Set();
+    for (const ch of this.channels) {
+      if (!ch.enabled) continue;
+      for (const point of ch.data) {
+        times.add(point.t);
+      }
+    }
 
-    // Settings
-    this.baseFrameCount =
-        1000;  // Default base frame count for error rate calculation
+    const sortedTimes = Array.from(times).sort((a, b) => a - b);
 
-    // Monitor timing
-    this.lastMonitorTime = null;
+    for (const t of sortedTimes) {
+      let row = t.toFixed(1);
+      for (const ch of this.channels) {
+        if (!ch.enabled) continue;
+        const point = ch.data.find(p => p.t === t);
+        row += ',' + (point ? point.v.toFixed(2) : '');
+      }
+      csv += row + '\n';
+    }
 
-    // Tooltip state
-    this.tooltipPinned = false;
-    this.pinnedBytesContainer = null;
-    this.pinnedGroup = null;
+    const blob = new Blob([csv], {type: 'text/csv'});
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `chart_data_${
+        new Date().toISOString().slice(0, 19).replace(/[:-]/g, '')}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
 
-    // Navbar stats tooltip state
-    this.statsTooltipPinned = false;
+  /**
+   * 활성 채널(Math 채널 포함)을 .lsm 으로 저장.
+   * 가장 긴 채널의 시각을 기준으로 다른 채널은 가장 가까운 샘플을 맞춘다.
+   */
+  exportToLSM() {
+    if (this.recording) {
+      this.exportRecordingRange('lsm');
+      return;
+    }
 
-    // Monitor scroll state
-    this.monitorAutoScroll = true;
-    this.newMessageCount = 0;
-    this.isUserScrolling = false;
+    const active = this.channels.map((ch, i) => ({ch, i}))
+                       .filter(({ch}) => ch.enabled && ch.data.length > 0);
+    if (active.length === 0) return;
 
-    // Virtual scroll for monitor
-    this.monitorEntries = [];       // Store all entries data
-    this.monitorItemHeight = 28;    // Approximate height of each entry
-    this.monitorVisibleCount = 50;  // Number of visible items
-    this.monitorScrollTop = 0;
-    this.monitorRenderScheduled = false;
+    const reference = active.reduce(
+        (longest, c) => c.ch.data.length > longest.ch.data.length ? c : longest);
+    const times = reference.ch.data.map(p => p.t);
+    const periodMs = this.importInfo?.periodMs ||
+        (times.length > 1 ?
+             (times[times.length - 1] - times[0]) / (times.length - 1) :
+             this.sampleRate);
 
-    // Product Test Dashboard
-    this.devices = [];
-    this.selectedDevices = new Set();
-    this.deviceViewMode =
-        localStorage.getItem('deviceViewMode') || 'card';  // 'card' or 'list'
+    LsmExporter.download(
+        active.map(({ch, i}) => ({
+                     name: ch.name,
+                     data: times.map(t => this.getValueAtTime(i, t))
+                   })),
+        periodMs,
+        `chart_${new Date().toISOString().slice(0, 19).replace(/[:-]/g, '')}.lsm`);
+  }
 
-    // Parameters page device selection
-    this.selectedParamDeviceId = null;
-    this.currentSetupDeviceId = null;
+  exportToPNG() {
+    const link = document.createElement('a');
+    const prefix = this.viewMode === 'spectrum' ? 'chart_spectrum' : 'chart';
+    link.download = `${prefix}_${
+        new Date().toISOString().slice(0, 19).replace(/[:-]/g, '')}.png`;
+    link.href = this.canvas.toDataURL('image/png');
+    link.click();
+  }
 
-    // Drag and drop state
-    this.draggedElement = null;
-    this.draggedDeviceId = null;
+  // Zoom controls
+  zoomIn() {
+    this.zoom.y = Math.min(10, this.zoom.y * 1.2);
+    this.autoScale = false;
+    if (!this.isRunning) this.render();
+  }
 
-    // Modbus Register Addresses
-    this.REGISTERS = {
-      SETPOINT: 0xD001,
-      MOTOR_STATUS: 0xD011,
-      ACTUAL_SPEED: 0xD02D,
-      OPERATION_MODE: 0xD106,
-      MAXIMUM_SPEED: 0xD119,
-      ALARM_RESET: 0x800E,
-      SOFTWARE_RESET: 0x8001
-    };
+  zoomOut() {
+    this.zoom.y = Math.max(0.1, this.zoom.y / 1.2);
+    this.autoScale = false;
+    if (!this.isRunning) this.render();
+  }
 
-    // Motor Status Bit Definitions (D011)
-    // MSB: 0 0 0 UzLow 0 RL_Cal 0 n_Limit
-    // LSB: BLK HLL TFM FB SKF TFE 0 PHA
-    this.MOTOR_STATUS_BITS = {
-      UzLow: {
-        mask: 0x1000,
-        name: 'DC Undervolt',
-        description: 'DC-link undervoltage'
-      },
-      RL_Cal: {
-        mask: 0x0400,
-        name: 'Rotor Cal',
-        description: 'Rotor position sensor calibration error'
-      },
-      n_Limit: {
-        mask: 0x0100,
-        name: 'Speed Limit',
-        description: 'Speed limit exceeded'
-      },
-      BLK: {mask: 0x0080, name: 'Blocked', description: 'Motor blocked'},
-      HLL: {mask: 0x0040, name: 'Hall Error', description: 'Hall sensor error'},
-      TFM: {mask: 0x0020, name: 'Motor OT', description: 'Motor overheated'},
-      FB: {
-        mask: 0x0010,
-        name: 'Fan Bad',
-        description: 'Fan Bad (general error)'
-      },
-      SKF: {
-        mask: 0x0008,
-        name: 'Comm Error',
-        description: 'Communication error between master and slave controller'
-      },
-      TFE: {
-        mask: 0x0004,
-        name: 'Stage OT',
-        description: 'Output stage overheated'
-      },
-      PHA: {
-        mask: 0x0001,
-        name: 'Phase Fail',
-        description: 'Phase failure or line undervoltage'
-      }
-    };
+  resetZoom() {
+    this.zoom = {x: 1, y: 1};
+    this.pan = {x: 0, y: 0};
+    this.autoScale = true;
+    this.calculateAutoScale();
+    if (!this.isRunning) this.render();
+  }
 
-    // Auto Scan settings
-    this.autoScanEnabled = true;
-    this.scanRangeStart = 1;
-    this.scanRangeEnd = 10;
-    this.scanTimeout = 200;
-    this.scanRegister = 0xD011;
-    this.scanRemoveNotFound = false;
-    this.isScanning = false;
-    this.scanAborted = false;
-    this.scanResolve = null;            // Callback for scan response
-    this.scanExpectedSlaveId = null;    // Expected slave ID for scan response
-    this.serialPortScanActive = false;  // Serial port scan in progress
+  enableAutoScale() {
+    this.autoScale = true;
+    this.calculateAutoScale();
+    if (!this.isRunning) this.render();
+  }
 
-    // Auto polling for device status
-    this.autoPollingEnabled = true;
-    this.autoPollingInterval = 50;  // ms between polls
-    this.autoPollingTimer = null;
-    this.currentPollingIndex = 0;
-    this.isPolling = false;  // Flag to prevent concurrent polling
-    this.commandQueue = [];  // Queue for user write commands - prevents 485 bus
-                             // collision during polling
-    this._busBusy =
-        false;  // Bus Mutex: true이면 TX/RX 쌍 진행 중 — 동시 TX 원천 차단
-    this._tabSeq =
-        0;  // Tab Context Token: 서브탭 전환 시 증가 — stale response 감지용
-    this._paramReadProgress =
-        null;  // 진행 중인 readAllParameters 프로그레스 컨트롤러
-    this.pollingTimeout = 200;  // Response timeout in ms for polling
-    this.commandTimeout =
-        200;  // Response timeout in ms for user commands (write/read)
-    this.pendingResponse = null;  // Current pending response promise
-    this.offlineThreshold =
-        3;  // Number of consecutive failures before marking offline
-    this.paramPollingDelay = 20;  // ms between monitoring parameters
-    this.backgroundPollingEnabled =
-        false;  // Use Web Worker timer to avoid browser throttling
-    this.pollingWorker = null;  // Web Worker for background polling
+  // Y-axis mode
+  valueToScreenY(value, yMin, yMax) {
+    const chartHeight =
+        this.height - this.chartMargins.top - this.chartMargins.bottom;
+    const range = yMax - yMin || 1;
+    const relY = (value - yMin) / range;
+    return this.chartMargins.top + (1 - relY) * chartHeight;
+  }
 
-    // Offset Calibration state
-    this.offsetCalibState = {
-      phase: 'idle',  // 'idle' | 'running' | 'complete' | 'error'
-      steps: [
-        {
-          id: 'current-offset',
-          label: '전류 Offset 보정',
-          status: 'pending',  // 'pending' | 'running' | 'done' | 'error'
-          axes: ['U상', 'V상', 'W상'],
-          before: [null, null, null],
-          after: [null, null, null],
-        },
-        {
-          id: 'hall-offset',
-          label: 'Hall Offset 보정',
-          status: 'pending',
-          axes: ['Hall A', 'Hall B', 'Hall C'],
-          before: [null, null, null],
-          after: [null, null, null],
-        },
-      ],
-    };
+  setYAxisMode(mode) {
+    this.yAxisMode = mode;
+    this.calculateAutoScale();
+    if (!this.isRunning) this.render();
+  }
 
-    // Current page tracking - restore from sessionStorage if available
-    this.currentPage = sessionStorage.getItem('currentPage') || 'dashboard';
+  setChannelScale(index, scale) {
+    if (index >= 0 && index < this.channels.length) {
+      this.channels[index].scale = scale;
+      if (this.autoScale) this.calculateAutoScale();
+      if (!this.isRunning) this.render();
+    }
+  }
 
-    // Chart Manager
-    this.chartManager = null;
-    this.chartPollingTimer = null;
-    this.chartSlaveId = 1;
-    this.chartRunning = false;
-    this.chartConfiguredChannels = [];  // [{ chIdx, chNum }, ...]
+  setChannelOffset(index, offset) {
+    if (index >= 0 && index < this.channels.length) {
+      this.channels[index].offset = offset;
+      if (this.autoScale) this.calculateAutoScale();
+      if (!this.isRunning) this.render();
+    }
+  }
 
-    // Mini Chart (HW Overview)
-    this.miniChartHall = null;
-    this.miniChartCurrent = null;
-    this.miniChartRunning = {hall: false, current: false, offsetHall: false};
-    this.offsetHallChart = null;
-    this.offsetPolarChart = null;  // Clarke α-β 극좌표 차트 (Offset 탭)
-    this._fc64Busy = false;  // FC64 전환(stop/start) 구간에서 버스 점유 표시
-    this.triggerRunning = false;  // FC65 Trigger 캡처 진행 중 여부
-    this.hidDevice = null;        // WebHID 연결 장치
-    this._currentRmsData =
-        [{sumSq: 0, count: 0}, {sumSq: 0, count: 0}, {sumSq: 0, count: 0}];
+  // Channel configuration
+  setChannelEnabled(index, enabled) {
+    if (index >= 0 && index < this.channels.length) {
+      this.channels[index].enabled = enabled;
+    }
+  }
 
-    // HW Overview 통합 폴링 (탭 진입 시 자동 시작)
-    this.ovPollingRunning = false;
-    this.ovOnceExecuted = false;  // OS버전/모터ID/EEPROM 1회 실행 여부
+  setChannelAddress(index, address) {
+    if (index >= 0 && index < this.channels.length) {
+      this.channels[index].address = address;
+    }
+  }
 
-    // Offset 탭 알람코드 / Status(0x2617) 폴링 (탭 진입 시 자동 시작)
-    this.offsetAlarmPollingRunning = false;
-    this.offsetStatus2617PollingRunning = false;
+  // Settings
+  setTimeScale(ms) {
+    this.timeScale = ms;
+  }
 
-    // Temp 0x2702 탭 폴링 상태
-    this.temp2702Polling = false;
-    this.temp2702Stats = {cycles: 0, errors: 0};
+  setSampleRate(ms) {
+    this.sampleRate = ms;
+  }
 
-    // Device Setup auto-apply debounce timers
-    this.applyDebounceTimers = {};
+  // Trigger settings
+  setTriggerChannel(index) {
+    this.trigger.channel = index;
+  }
 
-    // Active category in Configuration panel
-    this.activeConfigCategory = 'motorInfo';
+  setTriggerEdge(edge) {
+    this.trigger.edge = edge;
+  }
 
-    this.initializeUI();
-    this.loadParameters();
-    this.loadSettings();
-    this.loadPollingSettings();
-    this.loadDevices();
-    this.initializeChartPage();
+  setTriggerLevel(level) {
+    this.trigger.level = level;
   }
 
-  /**
-   * Initialize UI event listeners
-   */
-  initializeUI() {
-    // 485 컨버터(USB Serial) 물리적 제거 감지
-    if ('serial' in navigator) {
-      navigator.serial.addEventListener('disconnect', (event) => {
-        if (this.isConnected && event.target === this.port) {
-          this.addMonitorEntry('error', 'RS-485 converter physically removed');
-          // 자동 재연결 시도 중이라면 중단 (물리 제거 확정)
-          this._autoReconnecting = false;
-          this.disconnect();
-        }
-      });
-    }
+  setPreSamples(count) {
+    this.trigger.preSamples = count;
+  }
 
-    // Sidebar toggle with hover effect
-    const sidebarToggle = document.getElementById('sidebarToggle');
-    const sidebar = document.getElementById('sidebar');
-    let toggleTimeout;
+  setPostSamples(count) {
+    this.trigger.postSamples = count;
+  }
+}
 
-    sidebarToggle.addEventListener('click', () => {
-      sidebar.classList.toggle('collapsed');
-      // Adjust main content margin
-      const mainContent = document.querySelector('.main-content');
-      if (mainContent) {
-        mainContent.style.marginLeft =
-            sidebar.classList.contains('collapsed') ? '0' : '280px';
-      }
-    });
-
-    // Show toggle button on hover near left edge
-    document.addEventListener('mousemove', (e) => {
-      if (e.clientX < 50 && sidebar.classList.contains('collapsed')) {
-        sidebarToggle.classList.add('visible');
-        clearTimeout(toggleTimeout);
-        toggleTimeout = setTimeout(() => {
-          if (!sidebarToggle.matches(':hover')) {
-            sidebarToggle.classList.remove('visible');
-          }
-        }, 2000);
-      }
-    });
-
-    // Expandable menu item (Serial Port)
-    const serialPortMenu = document.getElementById('serialPortMenu');
-    const serialPortHeader = serialPortMenu.querySelector('.menu-item-header');
-    this.serialPortMenuCloseTimer = null;
-
-    serialPortHeader.addEventListener('click', () => {
-      serialPortMenu.classList.toggle('expanded');
-    });
+// ─────────────────────────────────────────────────────────
+//  MiniChart  —  HW Overview 인라인 차트 (경량 Canvas 렌더러)
+// ─────────────────────────────────────────────────────────
+class MiniChart {
+  constructor(canvas, channels, {maxPoints = 300, displayPoints} = {}) {
+    // channels: [{ name, color, chNum }]
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.channels = channels.map(ch => ({...ch, data: []}));
+    this.maxPoints = maxPoints;
+    this.displayPoints = displayPoints ?? maxPoints;
+  }
 
-    // Auto close Serial Port menu when connected and mouse leaves
-    serialPortMenu.addEventListener('mouseleave', () => {
-      if (this.isConnected || this.simulatorEnabled) {
-        this.serialPortMenuCloseTimer = setTimeout(() => {
-          serialPortMenu.classList.remove('expanded');
-        }, 1000);
-      }
-    });
+  addDataPoint(chIdx, value) {
+    const ch = this.channels[chIdx];
+    if (!ch) return;
+    ch.data.push(value);
+    if (ch.data.length > this.maxPoints) ch.data.shift();
+    if (ch.min === undefined || value < ch.min) ch.min = value;
+    if (ch.max === undefined || value > ch.max) ch.max = value;
+  }
 
-    serialPortMenu.addEventListener('mouseenter', () => {
-      if (this.serialPortMenuCloseTimer) {
-        clearTimeout(this.serialPortMenuCloseTimer);
-        this.serialPortMenuCloseTimer = null;
-      }
+  clear() {
+    this.channels.forEach(ch => {
+      ch.data = [];
+      ch.min = undefined;
+      ch.max = undefined;
     });
+    this.render();
+  }
 
-    // Initially open Serial Port menu if not connected
-    if (!this.isConnected && !this.simulatorEnabled) {
-      serialPortMenu.classList.add('expanded');
-    }
-
-    // Settings Modal
-    this.initSettingsModal();
+  resize() {
+    const canvas = this.canvas;
+    const dpr = window.devicePixelRatio || 1;
+    const w = canvas.offsetWidth || canvas.parentElement?.offsetWidth || 400;
+    const h = canvas.offsetHeight || canvas.parentElement?.offsetHeight || 200;
+    canvas.width = w * dpr;
+    canvas.height = h * dpr;
+    this.ctx = canvas.getContext('2d');
+    this.ctx.scale(dpr, dpr);
+    this.render();
+  }
 
-    // Monitor Panel toggle
-    this.initMonitorPanel();
+  render() {
+    const canvas = this.canvas;
+    const ctx = this.ctx;
+    const dpr = window.devicePixelRatio || 1;
+    const W = canvas.width / dpr;
+    const H = canvas.height / dpr;
+    ctx.clearRect(0, 0, W, H);
 
-    // Developer Mode - Logo Click Easter Egg
-    this.initDeveloperMode();
+    ctx.fillStyle = '#fafafa';
+    ctx.fillRect(0, 0, W, H);
 
-    // Top-level menu navigation
-    document.querySelectorAll('.menu-item').forEach(item => {
-      item.addEventListener('click', () => {
-        const page = item.dataset.page;
-        this.switchPage(page);
-        this._setMenuActive(page);
+    // Y축 범위 자동 계산 (표시 구간 기준)
+    let min = Infinity, max = -Infinity;
+    this.channels.forEach(ch => {
+      const view = ch.data.length > this.displayPoints ?
+          ch.data.slice(-this.displayPoints) :
+          ch.data;
+      view.forEach(v => {
+        if (v < min) min = v;
+        if (v > max) max = v;
       });
     });
+    if (!isFinite(min)) {
+      min = -1;
+      max = 1;
+    }
+    if (min === max) {
+      min -= 1;
+      max += 1;
+    }
+    const pad = (max - min) * 0.1;
+    min -= pad;
+    max += pad;
 
-    // Format toggle (HEX/DEC)
-    document.querySelectorAll('.format-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        this.displayFormat = btn.dataset.format;
-        document.querySelectorAll('.format-btn')
-            .forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-        this.refreshMonitorDisplay();
+    // 수평 그리드 선 3개
+    ctx.strokeStyle = '#e9ecef';
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= 3; i++) {
+      const y = Math.round((i / 3) * H) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(W, y);
+      ctx.stroke();
+    }
+
+    // 채널 라인
+    this.channels.forEach(ch => {
+      if (ch.data.length < 2) return;
+      ctx.strokeStyle = ch.color;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      const view = ch.data.length > this.displayPoints ?
+          ch.data.slice(-this.displayPoints) :
+          ch.data;
+      view.forEach((v, i) => {
+        const x = (i / (this.displayPoints - 1)) * W;
+        const y = H - ((v - min) / (max - min)) * H;
+        i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
       });
+      ctx.stroke();
     });
 
-    // Connection button (sidebar) - single toggle
-    document.getElementById('sidebar-connectBtn')
-        .addEventListener('click', () => {
-          if (this.isConnected) {
-            this.disconnect();
-          } else {
-            this.connect();
-          }
-        });
-
-    // Sync sidebar serial settings with main settings
-    this.syncSerialSettings();
+    // Y축 min/max 레이블
+    ctx.fillStyle = '#adb5bd';
+    ctx.font = '9px monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText(max.toFixed(1), 3, 10);
+    ctx.fillText(min.toFixed(1), 3, H - 3);
+  }
+}
 
-    // Modbus controls
-    document.getElementById('sendBtn').addEventListener(
-        'click', () => this.sendModbusRequest());
-    document.getElementById('clearBtn')
-        .addEventListener('click', () => this.clearMonitor());
+// ─────────────────────────────────────────────────────────
+//  Polar Chart — Clarke α-β 궤적 실시간 극좌표 표시
+// ─────────────────────────────────────────────────────────
+class PolarChart {
+  /**
+   * Hall U/V/W → Clarke 변환 후 α/β 궤적을 극좌표로 표시.
+   *
+   * DC 제거 없음: 원점(0,0)이 캔버스 중심. DC 오프셋이 있으면 원이 중심에서
+   * 벗어나 보이는데, 이것이 Hall 오프셋 교정 목적상 확인해야 할 정보임.
+   */
+  constructor(canvas, {maxPoints = 100000} = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.maxPoints = maxPoints;
+    this._a = [];  // α rolling buffer
+    this._b = [];  // β rolling buffer
+    // render() 후 DOM 업데이트용 공개 통계
+    this.lastAmp = undefined;
+    this.lastAngle = undefined;
+    this.ampMin = undefined;
+    this.ampMax = undefined;
+    this._maxR = 0;  // scale 고정용: 증가만 허용
+  }
 
-    // Temp 0x2702 탭 버튼
-    const t2702Start = document.getElementById('temp2702StartBtn');
-    const t2702Stop = document.getElementById('temp2702StopBtn');
-    if (t2702Start)
-      t2702Start.addEventListener('click', () => this.startTemp2702Polling());
-    if (t2702Stop)
-      t2702Stop.addEventListener('click', () => this.stopTemp2702Polling());
+  /** U/V/W 샘플 → Clarke 변환 → 버퍼에 추가 */
+  addSample(rawU, rawV, rawW) {
+    const K = 2 / 3, S3 = Math.sqrt(3);
+    this._a.push(K * (rawU - rawV / 2 - rawW / 2));
+    this._b.push(K * (S3 / 2 * (rawV - rawW)));
+    if (this._a.length > this.maxPoints) {
+      this._a.shift();
+      this._b.shift();
+    }
+  }
 
-    // 0x2703 write 버튼: Clear(1) / Read(2)
-    const t2703Clear = document.getElementById('temp2703ClearBtn');
-    const t2703Read = document.getElementById('temp2703ReadBtn');
-    if (t2703Clear)
-      t2703Clear.addEventListener('click', () => this._writeTemp2703(1));
-    if (t2703Read)
-      t2703Read.addEventListener('click', () => this._writeTemp2703(2));
+  clear() {
+    this._a = [];
+    this._b = [];
+    this.lastAmp = undefined;
+    this.lastAngle = undefined;
+    this.ampMin = undefined;
+    this.ampMax = undefined;
+    this._maxR = 0;
+    this.render();
+  }
 
-    // Real-time value conversion for Modbus input fields
-    const modbusInputs = [
-      {id: 'slaveId', min: 0, max: 255},
-      {id: 'startAddress', min: 0, max: 65535},
-      {id: 'quantity', min: 1, max: 125}, {id: 'writeValue', min: 0, max: 65535}
+  render() {
+    // 임계값 상수
+    const THRESH = [
+      {label: '평상시', min: 600, max: 2000, color: '#27ae60'},
+      {label: 'Offset 조정', min: 900, max: 1923, color: '#e67e22'},
     ];
+    const THRESH_MAX = Math.max(...THRESH.map(t => t.max));  // 2000
 
-    modbusInputs.forEach(({id, min, max}) => {
-      const input = document.getElementById(id);
-      if (input) {
-        // Update on input (real-time)
-        input.addEventListener('input', () => {
-          this.updateConvertedValue(id, min, max);
-        });
+    const canvas = this.canvas;
+    const ctx = this.ctx;
+    const dpr = window.devicePixelRatio || 1;
+    // ctx에 dpr scale이 적용되어 있으므로 CSS 픽셀 기준으로 좌표 계산
+    const W = canvas.width / dpr;
+    const H = canvas.height / dpr;
 
-        // Initial update
-        this.updateConvertedValue(id, min, max);
-      }
-    });
+    ctx.clearRect(0, 0, W, H);
+    ctx.fillStyle = '#fafafa';
+    ctx.fillRect(0, 0, W, H);
 
-    // Monitor scroll controls
-    this.initMonitorScrollControls();
+    // 스케일: 임계값 최대값이 항상 들어오도록 보장
+    if (THRESH_MAX > this._maxR) this._maxR = THRESH_MAX;
 
-    // Function code change handler
-    document.getElementById('functionCode').addEventListener('change', (e) => {
-      this.updateWriteValueVisibility(parseInt(e.target.value));
-    });
+    const cx = W / 2;
+    const cy = H / 2;
+    const radius = Math.min(W, H) / 2 * 0.82;
+    const scale = radius / (this._maxR * 1.1);
 
-    // FC 0x2B operation change handler (Read/Write)
-    document.getElementById('fc2bOperation').addEventListener('change', (e) => {
-      const isWrite = e.target.value === 'write';
-      document.getElementById('fc2bNumDataGroup').style.display =
-          isWrite ? 'none' : 'flex';
-      document.getElementById('fc2bWriteGroup').style.display =
-          isWrite ? 'flex' : 'none';
+    // 동심원 (배경 격자)
+    ctx.strokeStyle = '#e9ecef';
+    ctx.lineWidth = 0.8;
+    [0.25, 0.5, 1.0].forEach(frac => {
+      ctx.beginPath();
+      ctx.arc(cx, cy, radius * frac, 0, 2 * Math.PI);
+      ctx.stroke();
     });
 
-    // Parameter management
-    document.getElementById('addParamBtn')
-        .addEventListener('click', () => this.showAddParameterModal());
-    document.getElementById('cancelParamBtn')
-        .addEventListener('click', () => this.hideAddParameterModal());
-    document.getElementById('saveParamBtn')
-        .addEventListener('click', () => this.saveParameter());
-    document.querySelector('.modal-close')
-        .addEventListener('click', () => this.hideAddParameterModal());
+    // 십자 축선
+    ctx.strokeStyle = '#dee2e6';
+    ctx.lineWidth = 0.8;
+    ctx.beginPath();
+    ctx.moveTo(cx, cy - radius * 1.05);
+    ctx.lineTo(cx, cy + radius * 1.05);
+    ctx.moveTo(cx - radius * 1.05, cy);
+    ctx.lineTo(cx + radius * 1.05, cy);
+    ctx.stroke();
 
-    // CSV Import/Export
-    document.getElementById('importCsvBtn').addEventListener('click', () => {
-      document.getElementById('csvFileInput').click();
+    // 임계값 밴드 (채움 + 테두리 원 2개)
+    // 라벨 각도: 겹치지 않도록 각 항목마다 다른 각도 사용
+    const LABEL_ANGLES =
+        [30, 55];  // degrees, 첫번째=평상시, 두번째=Offset 조정
+    THRESH.forEach(({label, min, max, color}, i) => {
+      const rMin = min * scale;
+      const rMax = max * scale;
+      // min 원 (실선)
+      ctx.strokeStyle = color + 'aa';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([]);
+      ctx.beginPath();
+      ctx.arc(cx, cy, rMin, 0, 2 * Math.PI);
+      ctx.stroke();
+      // max 원 (실선)
+      ctx.strokeStyle = color + 'cc';
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash([]);
+      ctx.beginPath();
+      ctx.arc(cx, cy, rMax, 0, 2 * Math.PI);
+      ctx.stroke();
+      // 라벨 + min/max 값 (각도별 배치)
+      const ang = LABEL_ANGLES[i] * Math.PI / 180;
+      const lx = cx + rMax * Math.cos(-ang) + 4;
+      const ly = cy + rMax * Math.sin(-ang) - 3;
+      ctx.fillStyle = color;
+      ctx.font = '12px sans-serif';
+      ctx.textAlign = 'left';
+      ctx.fillText(label, lx, ly);
+      ctx.font = '10px sans-serif';
+      ctx.fillStyle = color + 'cc';
+      ctx.fillText(`${min} ~ ${max}`, lx, ly + 13);
     });
-    document.getElementById('csvFileInput')
-        .addEventListener('change', (e) => this.importCSV(e));
-    document.getElementById('exportCsvBtn')
-        .addEventListener('click', () => this.exportCSV());
-    document.getElementById('loadDefaultCsvBtn')
-        .addEventListener('click', () => this.loadDefaultCSV());
 
-    // Parameter filters
-    this.paramTypeFilter = 'all';
-    this.paramImplementedFilter = 'Y';
-    this.paramSearchText = '';
+    // 데이터 없으면 여기서 종료
+    const n = this._a.length;
+    if (n < 2) {
+      ctx.fillStyle = '#adb5bd';
+      ctx.font = '10px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.fillText(
+          '데이터 대기 중… (카드 클릭하여 시작)', cx, cy + radius * 1.18);
+      return;
+    }
 
-    document.querySelectorAll('.filter-btn[data-filter]').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        document.querySelectorAll('.filter-btn[data-filter]')
-            .forEach(b => b.classList.remove('active'));
-        e.target.classList.add('active');
-        this.paramTypeFilter = e.target.dataset.filter;
-        this.renderParameters();
-        if (this.selectedParamDeviceId &&
-            (this.writer || this.simulatorEnabled)) {
-          this.readAllParameters();
-        }
-      });
-    });
+    // 원점 기준 amplitude 통계
+    let maxR = 0, ampMin = Infinity, ampMax = -Infinity;
+    for (let i = 0; i < n; i++) {
+      const r = Math.sqrt(this._a[i] * this._a[i] + this._b[i] * this._b[i]);
+      if (r > maxR) maxR = r;
+      if (r < ampMin) ampMin = r;
+      if (r > ampMax) ampMax = r;
+    }
+    this.ampMin = ampMin;
+    this.ampMax = ampMax;
+    const la = this._a[n - 1], lb = this._b[n - 1];
+    this.lastAmp = Math.sqrt(la * la + lb * lb);
+    this.lastAngle = ((Math.atan2(lb, la) * 180 / Math.PI) + 360) % 360;
 
-    document.querySelectorAll('.filter-btn[data-implemented]').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        document.querySelectorAll('.filter-btn[data-implemented]')
-            .forEach(b => b.classList.remove('active'));
-        e.target.classList.add('active');
-        this.paramImplementedFilter = e.target.dataset.implemented;
-        this.renderParameters();
-        if (this.selectedParamDeviceId &&
-            (this.writer || this.simulatorEnabled)) {
-          this.readAllParameters();
-        }
-      });
-    });
+    // scale 갱신 (임계값 하한선 유지하면서 증가만 허용)
+    if (maxR > this._maxR) this._maxR = maxR;
 
-    let paramSearchDebounce = null;
-    document.getElementById('paramSearchInput')
-        .addEventListener('input', (e) => {
-          this.paramSearchText = e.target.value.toLowerCase();
-          this.renderParameters();
-          clearTimeout(paramSearchDebounce);
-          paramSearchDebounce = setTimeout(() => {
-            if (this.selectedParamDeviceId &&
-                (this.writer || this.simulatorEnabled)) {
-              this.readAllParameters();
-            }
-          }, 500);
-        });
+    if (maxR < 1e-9) {
+      ctx.fillStyle = '#adb5bd';
+      ctx.font = '10px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.fillText('신호 없음 (정지 상태)', cx, cy + radius * 1.18);
+      ctx.fillStyle = '#6c757d';
+      ctx.beginPath();
+      ctx.arc(cx, cy, 4, 0, 2 * Math.PI);
+      ctx.fill();
+      return;
+    }
 
-    // Close modal on outside click (with drag protection)
-    const addParamModal = document.getElementById('addParamModal');
-    let paramModalMouseDownTarget = null;
+    // 현재 amplitude 평균 기준원 (파란 점선)
+    ctx.strokeStyle = 'rgba(52, 152, 219, 0.5)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    ctx.arc(cx, cy, ((ampMax + ampMin) / 2) * scale, 0, 2 * Math.PI);
+    ctx.stroke();
+    ctx.setLineDash([]);
 
-    addParamModal.addEventListener('mousedown', (e) => {
-      paramModalMouseDownTarget = e.target;
-    });
+    // 궤적 (점)
+    ctx.fillStyle = 'rgba(46, 204, 113, 0.7)';
+    ctx.beginPath();
+    for (let i = 0; i < n; i++) {
+      const x = cx + this._a[i] * scale;
+      const y = cy - this._b[i] * scale;
+      ctx.moveTo(x + 1.5, y);
+      ctx.arc(x, y, 1.5, 0, 2 * Math.PI);
+    }
+    ctx.fill();
 
-    addParamModal.addEventListener('click', (e) => {
-      if (e.target.id === 'addParamModal' && paramModalMouseDownTarget &&
-          paramModalMouseDownTarget.id === 'addParamModal') {
-        this.hideAddParameterModal();
-      }
-      paramModalMouseDownTarget = null;
-    });
+    // 최신 점 강조
+    ctx.fillStyle = '#e74c3c';
+    ctx.beginPath();
+    ctx.arc(cx + la * scale, cy - lb * scale, 4, 0, 2 * Math.PI);
+    ctx.fill();
 
-    // Global ESC key handler for all modals
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
-        const addParamModal = document.getElementById('addParamModal');
-        const settingsModal = document.getElementById('settingsModal');
-        const deviceEditModal = document.getElementById('deviceEditModal');
-        const confirmModal = document.getElementById('confirmModal');
-        const addDeviceModal = document.getElementById('addDeviceModal');
+    // 축 레이블
+    ctx.fillStyle = '#adb5bd';
+    ctx.font = '9px monospace';
+    ctx.textAlign = 'center';
+    ctx.fillText('β', cx + 6, cy - radius - 4);
+    ctx.textAlign = 'left';
+    ctx.fillText('α', cx + radius + 4, cy + 3);
+  }
+}
 
-        if (addParamModal && addParamModal.style.display === 'flex') {
-          this.hideAddParameterModal();
-        } else if (
-            settingsModal && settingsModal.classList.contains('active')) {
-          this.closeSettingsModal();
-        } else if (
-            deviceEditModal && deviceEditModal.style.display === 'flex') {
-          const closeBtn = document.getElementById('closeDeviceEditBtn');
-          if (closeBtn) closeBtn.click();
-        } else if (confirmModal && confirmModal.style.display === 'flex') {
-          const cancelBtn = document.getElementById('confirmCancelBtn');
-          if (cancelBtn) cancelBtn.click();
-        } else if (
-            addDeviceModal && addDeviceModal.classList.contains('active')) {
-          this.hideAddDeviceModal();
-        }
-      }
-    });
 
-    // Parameter page device selector (event delegation for radio buttons)
-    const paramDeviceRadioGroup =
-        document.getElementById('paramDeviceRadioGroup');
-    if (paramDeviceRadioGroup) {
-      paramDeviceRadioGroup.addEventListener('change', (e) => {
-        if (e.target.classList.contains('param-device-radio')) {
-          this.selectedParamDeviceId = parseInt(e.target.value);
-          this.updateParamDeviceStatus();
-        }
-      });
-    }
-
-    // Parameter page device selector collapse/expand toggle
-    const paramDeviceHeaderLeft =
-        document.querySelector('.param-device-header-left');
-    const paramDeviceSelector =
-        document.querySelector('.param-device-selector');
-    if (paramDeviceHeaderLeft && paramDeviceSelector) {
-      // Fixed mode: when true, hover doesn't affect open/close
-      let isFixedMode = false;
-
-      // Start expanded
-      paramDeviceSelector.classList.add('expanded');
+// 드라이브 Serial Port 초기값 (단일 출처)
+const DEFAULT_SERIAL = {
+  baudRate: 19200,
+  dataBits: 8,
+  parity: 'even',
+  stopBits: 1,
+};
 
-      // Header left click: always toggle open/close
-      paramDeviceHeaderLeft.addEventListener('click', () => {
-        paramDeviceSelector.classList.toggle('collapsed');
-        paramDeviceSelector.classList.toggle('expanded');
+// RS-485 통신 설정 코드 (0xD149 Transmission speed / 0xD14A Parity configuration)
+const LINE_BAUD_CODES = [1200, 2400, 4800, 9600, 19200, 38400, 57600, 115200];
+const LINE_FRAMING_CODES = [
+  {parity: 'even', stopBits: 1, label: '8E1'},
+  {parity: 'odd', stopBits: 1, label: '8O1'},
+  {parity: 'none', stopBits: 2, label: '8N2'},
+  {parity: 'none', stopBits: 1, label: '8N1'},
+];
+
+// 모니터 바이트 해석기 공용 헬퍼 (multi-byte 필드 읽기)
+const DissectBytes = {
+  u16: (f, i) => ((f[i] << 8) | f[i + 1]) >>> 0,
+  u32: (f, i) =>
+      ((f[i] << 24) | (f[i + 1] << 16) | (f[i + 2] << 8) | f[i + 3]) >>> 0,
+  u32le: (f, i) =>
+      ((f[i + 3] << 24) | (f[i + 2] << 16) | (f[i + 1] << 8) | f[i]) >>> 0,
+  f32le: (f, i) =>
+      new DataView(f.buffer, f.byteOffset + i, 4).getFloat32(0, true),
+  hex: (v, digits = 2) =>
+      `0x${v.toString(16).toUpperCase().padStart(digits, '0')}`,
+  // float32 LE 배열 → 필드 목록 (4바이트 단위 그룹)
+  floats(f, start, count, end, label) {
+    const fields = [];
+    for (let i = 0; i < count && start + i * 4 + 4 <= end; i++) {
+      const offset = start + i * 4;
+      const v = DissectBytes.f32le(f, offset);
+      fields.push({
+        name: `${label}[${i}]`,
+        desc: `float32 LE = ${Number.isFinite(v) ? +v.toPrecision(7) : v}`,
+        offset,
+        size: 4,
+        class: 'byte-data',
+        value: DissectBytes.u32le(f, offset)
       });
+    }
+    return fields;
+  },
+};
 
-      // Box click (outside header-left): toggle fixed mode
-      paramDeviceSelector.addEventListener('click', (e) => {
-        // Ignore clicks on header-left (open/close area) or Read All button
-        if (e.target.closest('.param-device-header-left')) return;
-        if (e.target.closest('#paramReadAllBtn')) return;
+/**
+ * 사용자 정의 Function Code 모니터 해석기 레지스트리 (docs/protocol 기준)
+ *
+ * 새 FC는 여기에 항목 하나만 추가하면 getByteInfo / getFrameSummary / 상세
+ * 보기에 모두 반영된다. 예외 응답(FC | 0x80)도 같은 항목으로 이름을 찾는다.
+ *   name: 기능 이름, short: 요약 접두어
+ *   hasCrc(frame, dir): 끝 2바이트가 CRC인지 (기본 true)
+ *   dissect(frame, dir, ctx): { fields: [{name, desc, offset, size, class,
+ *       value}], summary } — dir은 'tx' | 'rx', ctx.end는 CRC 직전 위치,
+ *       ctx.channelName(chNum)은 차트 채널 이름, ctx.request는 RX가 응답하는
+ *       직전 TX 프레임 (모를 때 null)
+ */
+const CUSTOM_FC_DISSECTORS = {
+  0x64: {
+    name: 'Continuous Data Streaming',
+    short: 'FC64',
+    dissect(f, dir, ctx) {
+      const B = DissectBytes;
+      const ctrl = f[2];
+      const ctrlNames = {0x00: 'Stop', 0x02: 'Configure', 0x03: 'Request Data'};
+      const fields = [{
+        name: 'Control',
+        desc: ctrlNames[ctrl] || '알 수 없는 Control',
+        offset: 2,
+        class: 'byte-func',
+        value: ctrl
+      }];
+      let summary = ctrlNames[ctrl] || `Ctrl ${B.hex(ctrl)}`;
+
+      if (ctrl === 0x02 && ctx.end >= 5) {
+        // RX Configure는 TX 프레임 에코
+        const period = B.u16(f, 3);
+        fields.push({
+          name: 'Period',
+          desc: `${period} × 125μs = ${period * 0.125} ms`,
+          offset: 3,
+          size: 2,
+          class: 'byte-qty',
+          value: period
+        });
+        const slots = [];
+        for (let i = 5; i < ctx.end; i++) {
+          if (f[i] === 0xFF && i === ctx.end - 1) {
+            fields.push({
+              name: 'Terminator',
+              desc: '채널 목록 끝 (0xFF)',
+              offset: i,
+              class: 'byte-count',
+              value: f[i]
+            });
+            break;
+          }
+          const used = f[i] !== 0xFF;
+          if (used) slots.push(B.hex(f[i]));
+          fields.push({
+            name: `Channel Slot[${i - 5}]`,
+            desc: used ? ctx.channelName(f[i]) : '미사용 슬롯 (0xFF)',
+            offset: i,
+            class: 'byte-addr',
+            value: f[i]
+          });
+        }
+        summary += ` ${period * 0.125}ms ch ${slots.join(',') || '-'}`;
+      } else if (ctrl === 0x03 && dir === 'rx' && ctx.end >= 5) {
+        const status = f[3];
+        const len = f[4];
+        fields.push(
+            {
+              name: 'Status',
+              desc: status === 0 ? '0 = done (버퍼 비움)' :
+                                   '1 = stay (버퍼에 데이터 남음)',
+              offset: 3,
+              class: 'byte-qty',
+              value: status
+            },
+            {
+              name: 'Length',
+              desc: `float32 ${len}개`,
+              offset: 4,
+              class: 'byte-count',
+              value: len
+            },
+            ...B.floats(f, 5, len, ctx.end, 'Data'));
+        summary += ` ${len} samples${status ? ' (stay)' : ''}`;
+      }
+      return {fields, summary};
+    }
+  },
+
+  0x65: {
+    name: 'Trigger Data Streaming',
+    short: 'FC65',
+    dissect(f, dir, ctx) {
+      const B = DissectBytes;
+      const ctrl = f[2];
+      const ctrlNames =
+          {0x00: 'Stop', 0x01: 'Start/Status', 0x02: 'Configure', 0x03: 'Data Request'};
+      const fields = [{
+        name: 'Control',
+        desc: ctrlNames[ctrl] || '알 수 없는 Control',
+        offset: 2,
+        class: 'byte-func',
+        value: ctrl
+      }];
+      let summary = ctrlNames[ctrl] || `Ctrl ${B.hex(ctrl)}`;
+
+      if (ctrl === 0x02 && ctx.end >= 18) {
+        const period = B.u16(f, 3);
+        const source = f[9];
+        const edge = f[10];
+        const position = f[11];
+        const level = B.f32le(f, 12);
+        const numOfData = B.u16(f, 16);
+        fields.push({
+          name: 'Period',
+          desc: `${period} × 125μs = ${period * 0.125} ms`,
+          offset: 3,
+          size: 2,
+          class: 'byte-qty',
+          value: period
+        });
+        for (let i = 0; i < 4; i++) {
+          const chNum = f[5 + i];
+          fields.push({
+            name: `CH_Sel[${i}]`,
+            desc: chNum === 0xFF ? '미사용 슬롯 (0xFF)' : ctx.channelName(chNum),
+            offset: 5 + i,
+            class: 'byte-addr',
+            value: chNum
+          });
+        }
+        fields.push(
+            {
+              name: 'SourceSEL',
+              desc: source === 0xFF ? 'Immediate (0xFF)' :
+                                      `트리거 소스: ${ctx.channelName(source)}`,
+              offset: 9,
+              class: 'byte-addr',
+              value: source
+            },
+            {
+              name: 'Edge',
+              desc: edge === 0 ? 'Rising' : edge === 1 ? 'Falling' : '알 수 없음',
+              offset: 10,
+              class: 'byte-data',
+              value: edge
+            },
+            {
+              name: 'Position',
+              desc: `Pre-trigger ${position}%`,
+              offset: 11,
+              class: 'byte-data',
+              value: position
+            },
+            {
+              name: 'Level',
+              desc: `float32 LE = ${+level.toPrecision(7)}`,
+              offset: 12,
+              size: 4,
+              class: 'byte-data',
+              value: B.u32le(f, 12)
+            },
+            {
+              name: 'NumOfData',
+              desc: `채널당 샘플 수 ${numOfData}`,
+              offset: 16,
+              size: 2,
+              class: 'byte-count',
+              value: numOfData
+            });
+        summary += ` ${period * 0.125}ms ${
+            source === 0xFF ? 'Immediate' : 'src ' + B.hex(source)} ${
+            edge ? 'Falling' : 'Rising'} ${position}% x${numOfData}`;
+      } else if (ctrl === 0x01 && dir === 'rx' && ctx.end >= 4) {
+        const status = f[3];
+        fields.push({
+          name: 'Status',
+          desc: status ? '1 = 트리거 발생' : '0 = 트리거 미발생',
+          offset: 3,
+          class: 'byte-qty',
+          value: status
+        });
+        for (let i = 4; i < ctx.end; i++) {
+          fields.push({
+            name: 'Unused',
+            desc: '미사용 (레거시 FrameLength 패딩)',
+            offset: i,
+            class: 'byte-unknown',
+            value: f[i]
+          });
+        }
+        summary += status ? ' Triggered' : ' Waiting';
+      } else if (ctrl === 0x03 && dir === 'tx' && ctx.end >= 6) {
+        const addr = B.u16(f, 4);
+        fields.push(
+            {
+              name: 'CH_Sel',
+              desc: `채널 슬롯 ${f[3]}`,
+              offset: 3,
+              class: 'byte-addr',
+              value: f[3]
+            },
+            {
+              name: 'Start Address',
+              desc: '버퍼 읽기 시작 인덱스',
+              offset: 4,
+              size: 2,
+              class: 'byte-addr',
+              value: addr
+            });
+        summary += ` slot ${f[3]} @${addr}`;
+      } else if (ctrl === 0x03 && dir === 'rx' && ctx.end >= 8) {
+        const addr = B.u16(f, 5);
+        const len = f[7];
+        const dataEnd = Math.min(ctx.end, 8 + len * 4);
+        fields.push(
+            {
+              name: 'Status',
+              desc: f[3] ? '1 = 데이터 유효' : '0 = 미트리거',
+              offset: 3,
+              class: 'byte-qty',
+              value: f[3]
+            },
+            {
+              name: 'CH_Sel',
+              desc: `채널 슬롯 ${f[4]}`,
+              offset: 4,
+              class: 'byte-addr',
+              value: f[4]
+            },
+            {
+              name: 'Start Address',
+              desc: '버퍼 읽기 시작 인덱스',
+              offset: 5,
+              size: 2,
+              class: 'byte-addr',
+              value: addr
+            },
+            {
+              name: 'Length',
+              desc: `float32 ${len}개`,
+              offset: 7,
+              class: 'byte-count',
+              value: len
+            },
+            ...B.floats(f, 8, len, dataEnd, 'Data'));
+        for (let i = dataEnd; i < ctx.end; i++) {
+          fields.push({
+            name: 'Padding',
+            desc: '고정 길이(68B) 채움',
+            offset: i,
+            class: 'byte-unknown',
+            value: f[i]
+          });
+        }
+        summary += ` slot ${f[4]} @${addr} ${len} samples`;
+      }
+      return {fields, summary};
+    }
+  },
+
+  0x23: {
+    name: 'Fast Firmware Download',
+    short: 'FC23',
+    dissect(f, dir, ctx) {
+      const B = DissectBytes;
+      const op = f[2];
+      const opNames = {
+        0x90: 'Init',
+        0x91: 'Erase Poll',
+        0x03: 'Data',
+        0x99: 'Complete',
+        0x9A: 'Verify',
+        0xFF: 'Abort'
+      };
+      const fields = [{
+        name: 'OpCode',
+        desc: opNames[op] || '알 수 없는 OpCode',
+        offset: 2,
+        class: 'byte-func',
+        value: op
+      }];
+      let summary = opNames[op] || `Op ${B.hex(op)}`;
+      const u32Field = (name, offset, desc) => {
+        const v = B.u32(f, offset);
+        fields.push({
+          name,
+          desc: desc(v),
+          offset,
+          size: 4,
+          class: 'byte-data',
+          value: v
+        });
+        return v;
+      };
 
-        isFixedMode = !isFixedMode;
-        paramDeviceSelector.classList.toggle('click-mode', isFixedMode);
-      });
+      if (dir === 'tx') {
+        if (op === 0x90 && ctx.end >= 9) {
+          const targets = {
+            1: 'MAIN_MCU',
+            2: 'INVERTER_MCU',
+            3: 'CORE0',
+            4: 'CORE1',
+            5: 'FPGA'
+          };
+          fields.push(
+              {
+                name: 'TargetType',
+                desc: targets[f[3]] || '알 수 없는 타겟',
+                offset: 3,
+                class: 'byte-addr',
+                value: f[3]
+              },
+              {
+                name: 'TargetIndex',
+                desc: `${f[4]}번째 타겟`,
+                offset: 4,
+                class: 'byte-addr',
+                value: f[4]
+              });
+          const size = u32Field('FileSize', 5, v => `${v} bytes`);
+          summary += ` ${targets[f[3]] || B.hex(f[3])}#${f[4]} ${size}B`;
+        } else if (op === 0x03 && ctx.end >= 10) {
+          const seq = B.u16(f, 3);
+          fields.push({
+            name: 'SeqNum',
+            desc: `패킷 순번 ${seq}`,
+            offset: 3,
+            size: 2,
+            class: 'byte-qty',
+            value: seq
+          });
+          const offset = u32Field('FlashOffset', 5, v => `Flash 상대 주소 ${B.hex(v, 8)}`);
+          const len = f[9];
+          fields.push({
+            name: 'DataLen',
+            desc: `${len} bytes`,
+            offset: 9,
+            class: 'byte-count',
+            value: len
+          });
+          for (let i = 10; i < ctx.end && i < 10 + len; i++) {
+            fields.push({
+              name: `Data[${i - 10}]`,
+              desc: `${i - 10}번째 펌웨어 바이트`,
+              offset: i,
+              class: 'byte-data',
+              value: f[i]
+            });
+          }
+          summary += ` #${seq} @${B.hex(offset, 8)} ${len}B`;
+        } else if ((op === 0x99 || op === 0x9A) && ctx.end >= 11) {
+          const crc = u32Field('CRC32', 3, v => `펌웨어 CRC-32 ${B.hex(v, 8)}`);
+          const size = u32Field('Size', 7, v => `${v} bytes`);
+          summary += ` CRC ${B.hex(crc, 8)} ${size}B`;
+        }
+        return {fields, summary};
+      }
 
-      // Auto-collapse when mouse leaves (only if not fixed and a device is
-      // selected)
-      paramDeviceSelector.addEventListener('mouseleave', () => {
-        if (!isFixedMode && this.selectedParamDeviceId) {
-          paramDeviceSelector.classList.add('collapsed');
-          paramDeviceSelector.classList.remove('expanded');
+      if (op === 0x90 && ctx.end >= 9) {
+        const statuses = {
+          0: 'OK',
+          1: 'RESUME',
+          2: 'ERROR',
+          3: 'TARGET_MISMATCH',
+          4: 'TARGET_UNSUPPORTED',
+          5: 'VERSION_UNSUPPORTED'
+        };
+        fields.push(
+            {
+              name: 'ProtocolVersion',
+              desc: `프로토콜 버전 ${f[3]}`,
+              offset: 3,
+              class: 'byte-data',
+              value: f[3]
+            },
+            {
+              name: 'Status',
+              desc: statuses[f[4]] || '알 수 없는 Status',
+              offset: 4,
+              class: f[4] > 1 ? 'byte-error' : 'byte-qty',
+              value: f[4]
+            });
+        const last = u32Field('LastOffset', 5, v => `재개 오프셋 ${v}`);
+        summary += ` ${statuses[f[4]] || B.hex(f[4])}${f[4] === 1 ? ' @' + last : ''}`;
+      } else if (op === 0x91 && ctx.end >= 4) {
+        const states = {0: '진행 중', 1: '완료', 2: '오류'};
+        fields.push({
+          name: 'EraseStatus',
+          desc: states[f[3]] || '알 수 없음',
+          offset: 3,
+          class: f[3] === 2 ? 'byte-error' : 'byte-qty',
+          value: f[3]
+        });
+        summary += ` ${['busy', 'done', 'error'][f[3]] || B.hex(f[3])}`;
+      } else if (op === 0x03 && ctx.end >= 6) {
+        const ack = f[3] === 0x04;
+        const seq = B.u16(f, 4);
+        fields.push(
+            {
+              name: ack ? 'ACK' : 'NACK',
+              desc: ack ? '0x04 = 수신 성공' : '0x05 = 재전송 요청',
+              offset: 3,
+              class: ack ? 'byte-qty' : 'byte-error',
+              value: f[3]
+            },
+            {
+              name: 'SeqNum',
+              desc: `패킷 순번 ${seq}`,
+              offset: 4,
+              size: 2,
+              class: 'byte-qty',
+              value: seq
+            });
+        if (ack && ctx.end >= 10) {
+          const total = u32Field('TotalReceived', 6, v => `누적 수신 ${v} bytes`);
+          summary += ` ACK #${seq} total ${total}B`;
+        } else if (!ack && ctx.end >= 11) {
+          const errors = {
+            1: 'CRC_ERROR',
+            2: 'OFFSET_MISMATCH',
+            3: 'SEQ_MISMATCH',
+            4: 'FLASH_WRITE_FAIL',
+            5: 'BUFFER_OVERFLOW',
+            6: 'NOT_INITIALIZED',
+            7: 'ERASE_NOT_DONE'
+          };
+          fields.push({
+            name: 'ErrorCode',
+            desc: errors[f[6]] || '알 수 없는 오류',
+            offset: 6,
+            class: 'byte-error',
+            value: f[6]
+          });
+          u32Field('ExpectedOffset', 7, v => `슬레이브가 기대하는 오프셋 ${v}`);
+          summary += ` NACK #${seq} ${errors[f[6]] || B.hex(f[6])}`;
         }
-      });
+      } else if ((op === 0x99 || op === 0x9A) && ctx.end >= 8) {
+        const results =
+            {0: 'OK', 1: 'CRC mismatch', 2: 'Size mismatch', 3: 'Flash read error'};
+        fields.push({
+          name: 'VerifyResult',
+          desc: results[f[3]] || '알 수 없음',
+          offset: 3,
+          class: f[3] ? 'byte-error' : 'byte-qty',
+          value: f[3]
+        });
+        u32Field('DeviceCRC32', 4, v => `디바이스 계산 CRC-32 ${B.hex(v, 8)}`);
+        summary += ` ${results[f[3]] || B.hex(f[3])}`;
+      } else if (op === 0xFF && ctx.end >= 4) {
+        fields.push({
+          name: 'Status',
+          desc: f[3] === 0 ? '리셋 완료' : '알 수 없음',
+          offset: 3,
+          class: 'byte-qty',
+          value: f[3]
+        });
+      }
+      return {fields, summary};
+    }
+  },
+
+  0x66: {
+    name: 'Firmware Download (legacy)',
+    short: 'FC66',
+    // 레거시 펌웨어 응답에는 CRC가 없다
+    hasCrc: (f, dir) => dir === 'tx',
+    dissect(f, dir, ctx) {
+      const B = DissectBytes;
+      const op = f[2];
+      // RX 0x05는 Done(0x99)에 대한 응답일 때만 완료 ACK, Init/Erase/Data에는 오류(NAK)
+      const requestOp = ctx.request && ctx.request[1] === 0x66 ? ctx.request[2] : null;
+      const op05 = requestOp === 0x99 ? 'Done ACK' :
+          requestOp === null           ? 'Done ACK / Error (요청 미확인)' :
+                                         'Error/NAK';
+      const opNames = dir === 'tx' ?
+          {0x90: 'Init', 0x91: 'Erase Confirm', 0x03: 'Data', 0x99: 'Done'} :
+          {0x90: 'Init Echo', 0x91: 'Erase Status', 0x04: 'ACK', 0x05: op05};
+      const fields = [{
+        name: 'OpCode',
+        desc: opNames[op] || '알 수 없는 OpCode',
+        offset: 2,
+        class: 'byte-func',
+        value: op
+      }];
+      let summary = opNames[op] || `Op ${B.hex(op)}`;
+      const u32Field = (name, desc) => {
+        const v = B.u32(f, 3);
+        fields.push(
+            {name, desc: desc(v), offset: 3, size: 4, class: 'byte-data', value: v});
+        return v;
+      };
 
-      // Auto-expand when mouse enters (only if not fixed)
-      paramDeviceSelector.addEventListener('mouseenter', () => {
-        if (!isFixedMode) {
-          paramDeviceSelector.classList.remove('collapsed');
-          paramDeviceSelector.classList.add('expanded');
+      if (dir === 'tx' && op === 0x90 && ctx.end >= 7) {
+        summary += ` ${u32Field('FileSize', v => `${v} bytes`)}B`;
+      } else if (dir === 'tx' && op === 0x91 && ctx.end >= 7) {
+        u32Field('Erase Check', v => `확인용 매직 넘버 (${B.hex(v, 8)})`);
+      } else if (dir === 'tx' && op === 0x03 && ctx.end >= 4) {
+        const len = f[3];
+        fields.push({
+          name: 'DataLen',
+          desc: `${len} bytes`,
+          offset: 3,
+          class: 'byte-count',
+          value: len
+        });
+        for (let i = 4; i < ctx.end && i < 4 + len; i++) {
+          fields.push({
+            name: `Data[${i - 4}]`,
+            desc: `${i - 4}번째 펌웨어 바이트`,
+            offset: i,
+            class: 'byte-data',
+            value: f[i]
+          });
         }
-      });
-    }
+        summary += ` ${len}B`;
+      } else if (dir === 'rx' && op === 0x91 && ctx.end >= 7) {
+        const status = u32Field('Erase Status', v => v === 0xFFFFFFFF ?
+            '0xFFFFFFFF = Erase 완료' : 'Erase 실패/진행 중');
+        for (let i = 7; i < ctx.end; i++) {
+          fields.push({
+            name: i === 7 ? 'Firmware Select' : 'Padding',
+            desc: i === 7 ? '예약 (reserved)' : '고정 길이(65B) 채움',
+            offset: i,
+            class: 'byte-unknown',
+            value: f[i]
+          });
+        }
+        summary += status === 0xFFFFFFFF ? ' OK' : ' FAIL';
+      } else if (dir === 'rx' && op === 0x04 && ctx.end >= 7) {
+        const total = u32Field('TotalReceivedByte', v => `누적 수신 ${v} bytes`);
+        for (let i = 7; i < ctx.end; i++) {
+          fields.push({
+            name: `Echo[${i - 7}]`,
+            desc: '전송 데이터 에코',
+            offset: i,
+            class: 'byte-unknown',
+            value: f[i]
+          });
+        }
+        summary += ` total ${total}B`;
+      }
+      return {fields, summary};
+    }
+  },
+
+  0x2B: {
+    name: 'MEI Transport',
+    short: 'FC2B',
+    dissect(f, dir, ctx) {
+      const B = DissectBytes;
+      const mei = f[2];
+      const meiNames = {0x0D: 'CANopen General Reference', 0x0E: 'Read Device Identification'};
+      const fields = [{
+        name: 'MEI Type',
+        desc: meiNames[mei] || '알 수 없는 MEI Type',
+        offset: 2,
+        class: 'byte-func',
+        value: mei
+      }];
+      if (mei !== 0x0D || ctx.end < 13) {
+        return {fields, summary: `MEI ${B.hex(mei)}`};
+      }
+
+      const write = f[3] === 0x80;
+      const index = B.u16(f, 6);
+      const subIndex = f[8];
+      const numData = B.u16(f, 11);
+      // RX는 reserved / node_id_ex 순서가 TX와 반대
+      const nodeExAt = dir === 'tx' ? 4 : 5;
+      fields.push(
+          {
+            name: 'ProtocolCtrl',
+            desc: write ? '0x80 = Write (SDO Download)' :
+                          '0x00 = Read (SDO Upload)',
+            offset: 3,
+            class: 'byte-func',
+            value: f[3]
+          },
+          {
+            name: 'node_id_ex',
+            desc: '확장 노드 ID',
+            offset: nodeExAt,
+            class: 'byte-slave',
+            value: f[nodeExAt]
+          },
+          {
+            name: 'Reserved',
+            desc: '예약',
+            offset: dir === 'tx' ? 5 : 4,
+            class: 'byte-unknown',
+            value: f[dir === 'tx' ? 5 : 4]
+          },
+          {
+            name: 'Index',
+            desc: `Object ${B.hex(index, 4)}`,
+            offset: 6,
+            size: 2,
+            class: 'byte-addr',
+            value: index
+          },
+          {
+            name: 'SubIndex',
+            desc: `Sub-index ${subIndex}`,
+            offset: 8,
+            class: 'byte-addr',
+            value: subIndex
+          },
+          {
+            name: 'Start Address',
+            desc: '데이터 시작 위치',
+            offset: 9,
+            size: 2,
+            class: 'byte-addr',
+            value: B.u16(f, 9)
+          },
+          {
+            name: 'NumData',
+            desc: `데이터 ${numData} bytes`,
+            offset: 11,
+            size: 2,
+            class: 'byte-count',
+            value: numData
+          });
 
-    const paramReadAllBtn = document.getElementById('paramReadAllBtn');
-    if (paramReadAllBtn) {
-      paramReadAllBtn.addEventListener('click', () => this.readAllParameters());
+      // 데이터는 Big-Endian 16-bit 워드
+      const words = [];
+      for (let i = 13; i + 1 < ctx.end && i < 13 + numData; i += 2) {
+        const word = B.u16(f, i);
+        words.push(word);
+        fields.push({
+          name: `Data[${(i - 13) / 2}]`,
+          desc: `워드 ${(i - 13) / 2} = ${word}`,
+          offset: i,
+          size: 2,
+          class: 'byte-data',
+          value: word
+        });
+      }
+      let summary = `${write ? 'Write' : 'Read'} ${B.hex(index, 4)}.${subIndex}`;
+      if (words.length) summary += `=${words.join(',')}`;
+      return {fields, summary};
     }
+  },
+};
 
-    // Simulator controls
-    document.getElementById('simToggleBtn')
-        .addEventListener('click', () => this.toggleSimulator());
-    document.getElementById('simResetBtn')
-        .addEventListener('click', () => this.resetSimulator());
-    document.getElementById('simSlaveId').addEventListener('change', (e) => {
-      this.simulator.slaveId = parseInt(e.target.value);
-    });
-    document.getElementById('simDelay').addEventListener('change', (e) => {
-      this.simulator.responseDelay = parseInt(e.target.value);
-    });
-
-    // Settings controls
-    document.getElementById('baseFrameCount')
-        .addEventListener('change', (e) => {
-          this.baseFrameCount = parseInt(e.target.value);
-          this.saveSettings();
-          this.updateStatsDisplay();
-        });
+class ModbusDashboard {
+  constructor() {
+    this.port = null;
+    this.reader = null;
+    this.writer = null;
+    this.isConnected = false;
+    this.modbus = new ModbusRTU();
+    this.receiveBuffer = new Uint8Array(256);
+    this.receiveIndex = 0;
+    this.readInProgress = false;
+    this._serialDataCb =
+        null;  // event-driven RX callback for sendAndReceiveFC64
+    this._autoReconnecting = false;  // 충돌 후 자동 재연결 시도 중 여부
+    this.displayFormat = 'hex';      // 'hex' or 'dec'
+    this.parameters = [];
 
-    // Navbar stats tooltip click-to-pin
-    this.initNavbarStatsTooltip();
+    // Simulator — 멀티드롭 버스, this.simulator는 설정 패널에서 선택된 slave
+    this.simulatorBus = new ModbusSimulatorBus();
+    [1, 3, 5, 7, 10].forEach(id => this.simulatorBus.addSlave(id));
+    this.simulator = this.simulatorBus.getSlave(1);
+    this.simulatorEnabled = false;
+    this.simulatorUpdateInterval = null;
+    this.simulatorProfile = 'generic';  // 'generic' (기본) or 'drive' (EC-FAN 레지스터 맵)
 
-    // Product Test Dashboard controls
-    this.initDashboardUI();
+    // Statistics
+    this.stats = {requests: 0, success: 0, errors: 0};
 
-    // Auto Scan controls
-    this.initAutoScanUI();
-    this.initSerialPortScanUI();
+    // Per-device statistics
+    this.deviceStats = {};  // { slaveId: { requests, success, errors } }
 
-    // Firmware upload controls
-    this.initFirmwareUI();
+    // Settings
+    this.baseFrameCount =
+        1000;  // Default base frame count for error rate calculation
 
-    // Check Web Serial API support
-    if (!('serial' in navigator)) {
-      this.addMonitorEntry(
-          'error',
-          'Web Serial API is not supported in this browser. Please use Chrome, Edge, or Opera.');
-      // Don't disable connect button - simulator can still work
-    }
-  }
+    // Monitor timing
+    this.lastMonitorTime = null;
 
-  /**
-   * Initialize navbar stats tooltip click-to-pin
-   */
-  initNavbarStatsTooltip() {
-    const navbarStats = document.getElementById('navbarStats');
-    const statsTooltip = document.getElementById('navbarStatsTooltip');
+    // Tooltip state
+    this.tooltipPinned = false;
+    this.pinnedBytesContainer = null;
+    this.pinnedGroup = null;
 
-    if (!navbarStats || !statsTooltip) return;
+    // Navbar stats tooltip state
+    this.statsTooltipPinned = false;
 
-    // Click to toggle pin
-    navbarStats.addEventListener('click', (e) => {
-      e.stopPropagation();
-      this.toggleStatsTooltipPin();
-    });
+    // Monitor scroll state
+    this.monitorAutoScroll = true;
+    this.newMessageCount = 0;
+    this.isUserScrolling = false;
 
-    // Prevent clicks inside tooltip from unpinning
-    statsTooltip.addEventListener('click', (e) => {
-      e.stopPropagation();
-    });
+    // Virtual scroll for monitor
+    this.monitorEntries = [];       // Store all entries data
+    this._lastMonitorRequest = null;  // 마지막 TX 프레임 (RX 해석용)
+    this.monitorItemHeight = 28;    // Approximate height of each entry
+    this.monitorVisibleCount = 50;  // Number of visible items
+    this.monitorScrollTop = 0;
+    this.monitorRenderScheduled = false;
 
-    // Clear stats button
-    const clearBtn = document.getElementById('clearStatsBtn');
-    if (clearBtn) {
-      clearBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this.resetStats();
-      });
-    }
-  }
+    // Monitor capture (IndexedDB) / filter view / replay
+    this.monitorCapture = null;  // MonitorCapture — 켜져 있으면 모든 항목 기록
+    this.monitorView = null;     // { source: 'live' | sessionId, filter, records }
+    this.monitorReplay = null;   // { stop: boolean } — 리플레이 진행 중
+    this.busTiming = null;  // { result, selectedSlave, timer } — 타이밍 분석 창
+    this.osHistory = null;  // { runs, selected, compare } — OS 검증 실행 이력 창
+    this.osBatchRunning = false;  // OS 배치 검증 실행 중
+    this.osBatchShown = false;    // 매트릭스가 마지막 배치 결과를 보여주는 중
 
-  /**
-   * Reset communication statistics
-   */
-  resetStats() {
-    this.stats = {requests: 0, success: 0, errors: 0};
-    this.deviceStats = {};
-    this.updateStatsDisplay();
-  }
+    // Product Test Dashboard
+    this.devices = [];
+    this.selectedDevices = new Set();
+    this.deviceViewMode =
+        localStorage.getItem('deviceViewMode') || 'card';  // 'card' or 'list'
 
-  /**
-   * Toggle stats tooltip pin state
-   */
-  toggleStatsTooltipPin() {
-    const statsTooltip = document.getElementById('navbarStatsTooltip');
-    if (!statsTooltip) return;
+    // Parameters page device selection
+    this.selectedParamDeviceId = null;
+    this.currentSetupDeviceId = null;
 
-    if (this.statsTooltipPinned) {
-      this.unpinStatsTooltip();
-    } else {
-      this.pinStatsTooltip();
-    }
-  }
+    // Drag and drop state
+    this.draggedElement = null;
+    this.draggedDeviceId = null;
 
-  /**
-   * Pin stats tooltip
-   */
-  pinStatsTooltip() {
-    const statsTooltip = document.getElementById('navbarStatsTooltip');
-    if (!statsTooltip) return;
+    // Modbus Register Addresses
+    this.REGISTERS = {
+      SETPOINT: 0xD001,
+      MOTOR_STATUS: 0xD011,
+      ACTUAL_SPEED: 0xD02D,
+      OPERATION_MODE: 0xD106,
+      MAXIMUM_SPEED: 0xD119,
+      ALARM_RESET: 0x800E,
+      SOFTWARE_RESET: 0x8001
+    };
 
-    this.statsTooltipPinned = true;
-    statsTooltip.classList.add('pinned');
+    // Motor Status Bit Definitions (D011)
+    // MSB: 0 0 0 UzLow 0 RL_Cal 0 n_Limit
+    // LSB: BLK HLL TFM FB SKF TFE 0 PHA
+    this.MOTOR_STATUS_BITS = {
+      UzLow: {
+        mask: 0x1000,
+        name: 'DC Undervolt',
+        description: 'DC-link undervoltage'
+      },
+      RL_Cal: {
+        mask: 0x0400,
+        name: 'Rotor Cal',
+        description: 'Rotor position sensor calibration error'
+      },
+      n_Limit: {
+        mask: 0x0100,
+        name: 'Speed Limit',
+        description: 'Speed limit exceeded'
+      },
+      BLK: {mask: 0x0080, name: 'Blocked', description: 'Motor blocked'},
+      HLL: {mask: 0x0040, name: 'Hall Error', description: 'Hall sensor error'},
+      TFM: {mask: 0x0020, name: 'Motor OT', description: 'Motor overheated'},
+      FB: {
+        mask: 0x0010,
+        name: 'Fan Bad',
+        description: 'Fan Bad (general error)'
+      },
+      SKF: {
+        mask: 0x0008,
+        name: 'Comm Error',
+        description: 'Communication error between master and slave controller'
+      },
+      TFE: {
+        mask: 0x0004,
+        name: 'Stage OT',
+        description: 'Output stage overheated'
+      },
+      PHA: {
+        mask: 0x0001,
+        name: 'Phase Fail',
+        description: 'Phase failure or line undervoltage'
+      }
+    };
 
-    // Add outside click listener
-    setTimeout(() => {
-      document.addEventListener('click', this.handleStatsOutsideClick);
-    }, 0);
-  }
+    // Warning Bit Definitions (D012)
+    this.WARNING_BITS = {
+      DcUnder: {mask: 0x0001, name: 'DC Link under voltage'},
+      DcOver: {mask: 0x0002, name: 'DC Link over voltage'},
+      MotorOT: {mask: 0x0004, name: 'Motor over temperature'},
+      IgbtOT: {mask: 0x0008, name: 'IGBT Module over temperature'},
+      DriveOT: {mask: 0x0010, name: 'Drive over temperature'},
+      TorqueLimit: {mask: 0x0040, name: 'Torque Limit'}
+    };
 
-  /**
-   * Unpin stats tooltip
-   */
-  unpinStatsTooltip() {
-    const statsTooltip = document.getElementById('navbarStatsTooltip');
-    if (!statsTooltip) return;
+    // Auto Scan settings
+    this.autoScanEnabled = true;
+    this.scanRangeStart = 1;
+    this.scanRangeEnd = 10;
+    this.scanTimeout = 200;
+    this.scanRegister = 0xD011;
+    this.scanRemoveNotFound = false;
+    this.isScanning = false;
+    this.scanAborted = false;
+    this.scanResolve = null;            // Callback for scan response
+    this.scanExpectedSlaveId = null;    // Expected slave ID for scan response
+    this.serialPortScanActive = false;  // Serial port scan in progress
+    this.busMigrationActive = false;    // Bus-wide baud/parity migration
 
-    this.statsTooltipPinned = false;
-    statsTooltip.classList.remove('pinned');
+    // Auto polling for device status
+    this.autoPollingEnabled = true;
+    this.autoPollingInterval = 50;  // ms between polls
+    this.autoPollingTimer = null;
+    this.currentPollingIndex = 0;
+    this.isPolling = false;  // Flag to prevent concurrent polling
+    this.commandQueue = [];  // Queue for user write commands - prevents 485 bus
+                             // collision during polling
+    this._busBusy =
+        false;  // Bus Mutex: true이면 TX/RX 쌍 진행 중 — 동시 TX 원천 차단
+    this._tabSeq =
+        0;  // Tab Context Token: 서브탭 전환 시 증가 — stale response 감지용
+    this._paramReadProgress =
+        null;  // 진행 중인 readAllParameters 프로그레스 컨트롤러
+    this.pollingTimeout = 200;  // Response timeout in ms for polling
+    this.commandTimeout =
+        200;  // Response timeout in ms for user commands (write/read)
+    this.pendingResponse = null;  // Current pending response promise
+    this.offlineThreshold =
+        3;  // Number of consecutive failures before marking offline
+    this.paramPollingDelay = 20;  // ms between monitoring parameters
+    this.backgroundPollingEnabled =
+        false;  // Use Web Worker timer to avoid browser throttling
+    this.pollingWorker = null;  // Web Worker for background polling
 
-    // Remove outside click listener
-    document.removeEventListener('click', this.handleStatsOutsideClick);
-  }
+    // Offset Calibration state
+    this.offsetCalibState = {
+      phase: 'idle',  // 'idle' | 'running' | 'complete' | 'error'
+      steps: [
+        {
+          id: 'current-offset',
+          label: '전류 Offset 보정',
+          status: 'pending',  // 'pending' | 'running' | 'done' | 'error'
+          axes: ['U상', 'V상', 'W상'],
+          before: [null, null, null],
+          after: [null, null, null],
+        },
+        {
+          id: 'hall-offset',
+          label: 'Hall Offset 보정',
+          status: 'pending',
+          axes: ['Hall A', 'Hall B', 'Hall C'],
+          before: [null, null, null],
+          after: [null, null, null],
+        },
+      ],
+    };
 
-  /**
-   * Handle outside click to unpin stats tooltip
-   */
-  handleStatsOutsideClick =
-      (e) => {
-        const navbarStats = document.getElementById('navbarStats');
-        const statsTooltip = document.getElementById('navbarStatsTooltip');
+    // Current page tracking - restore from sessionStorage if available
+    this.currentPage = sessionStorage.getItem('currentPage') || 'dashboard';
 
-        if (navbarStats && statsTooltip && !navbarStats.contains(e.target) &&
-            !statsTooltip.contains(e.target)) {
-          this.unpinStatsTooltip();
-        }
-      }
+    // Chart Manager
+    this.chartManager = null;
+    this.chartPollingTimer = null;
+    this.chartSlaveId = 1;
+    this.chartRunning = false;
+    this.chartConfiguredChannels = [];  // [{ chIdx, chNum }, ...]
+    this.chartRecorder = null;  // ChartRecorder — 장시간 기록 (IndexedDB)
 
-  /**
-   * Sync sidebar serial settings
-   */
-  syncSerialSettings() {
-    const sidebarBaudRate = document.getElementById('sidebar-baudRate');
-    const sidebarParity = document.getElementById('sidebar-parity');
-    const sidebarDataBits = document.getElementById('sidebar-dataBits');
-    const sidebarStopBits = document.getElementById('sidebar-stopBits');
+    // Mini Chart (HW Overview)
+    this.miniChartHall = null;
+    this.miniChartCurrent = null;
+    this.miniChartRunning = {hall: false, current: false, offsetHall: false};
+    this.offsetHallChart = null;
+    this.offsetPolarChart = null;  // Clarke α-β 극좌표 차트 (Offset 탭)
+    this._fc64Busy = false;  // FC64 전환(stop/start) 구간에서 버스 점유 표시
+    this.triggerRunning = false;  // FC65 Trigger 캡처 진행 중 여부
+    this.triggerSegments = [];  // Trigger 캡처 세그먼트 (Triggered Date 목록)
+    this.chartSoftTrigger = null;  // TriggerSegmentCapture — S/W 복합 트리거
+    this.chartSoftTriggerAlarm = null;  // S/W 트리거용 최근 알람 코드 (0x603F)
+    this.triggerConditions = [];  // Complex trigger 조건 목록 (ComplexTrigger)
+    this.triggerSegmentIndex = -1;  // 차트에 표시 중인 세그먼트 index
+    this.hidDevice = null;        // WebHID 연결 장치
+    this._currentRmsData =
+        [{sumSq: 0, count: 0}, {sumSq: 0, count: 0}, {sumSq: 0, count: 0}];
 
-    // 드라이브 초기값으로 설정 (DEFAULT_SERIAL 상수 참조)
-    if (sidebarBaudRate)
-      sidebarBaudRate.value = String(DEFAULT_SERIAL.baudRate);
-    if (sidebarParity) sidebarParity.value = DEFAULT_SERIAL.parity;
-    if (sidebarDataBits)
-      sidebarDataBits.value = String(DEFAULT_SERIAL.dataBits);
-    if (sidebarStopBits)
-      sidebarStopBits.value = String(DEFAULT_SERIAL.stopBits);
+    // HW Overview 통합 폴링 (탭 진입 시 자동 시작)
+    this.ovPollingRunning = false;
+    this.ovOnceExecuted = false;  // OS버전/모터ID/EEPROM 1회 실행 여부
 
-    // Then load saved settings (will override defaults)
-    this.loadSerialSettings();
+    // Offset 탭 알람코드 / Status(0x2617) 폴링 (탭 진입 시 자동 시작)
+    this.offsetAlarmPollingRunning = false;
+    this.offsetStatus2617PollingRunning = false;
+
+    // Temp 0x2702 탭 폴링 상태
+    this.temp2702Polling = false;
+    this.temp2702Stats = {cycles: 0, errors: 0};
+
+    // Device Setup auto-apply debounce timers
+    this.applyDebounceTimers = {};
+
+    // Active category in Configuration panel
+    this.activeConfigCategory = 'motorInfo';
+
+    this.initializeUI();
+    this.loadParameters();
+    this.loadSettings();
+    this.initSimulatorProfile();
+    this.loadPollingSettings();
+    this.loadDevices();
+    this.initializeChartPage();
   }
 
   /**
-   * Initialize Developer Mode Easter Egg
-   * Logo click 5 times to activate manufacture menu
+   * Initialize UI event listeners
    */
-  initDeveloperMode() {
-    let clickCount = 0;
-    let clickTimer = null;
-    const logo = document.querySelector('.navbar-logo-img');
-    const manufactureMenuItem = document.getElementById('manufactureMenuItem');
-    const disableDevModeBtn = document.getElementById('disableDevModeBtn');
-
-    // Check if developer mode is already enabled
-    if (sessionStorage.getItem('developerMode') === 'true') {
-      this.enableDeveloperMode();
+  initializeUI() {
+    // 485 컨버터(USB Serial) 물리적 제거 감지
+    if ('serial' in navigator) {
+      navigator.serial.addEventListener('disconnect', (event) => {
+        if (this.isConnected && event.target === this.port) {
+          this.addMonitorEntry('error', 'RS-485 converter physically removed');
+          // 자동 재연결 시도 중이라면 중단 (물리 제거 확정)
+          this._autoReconnecting = false;
+          this.disconnect();
+        }
+      });
     }
 
-    // Logo click handler
-    if (logo) {
-      logo.addEventListener('click', () => {
-        clickCount++;
-
-        // Reset timer
-        if (clickTimer) {
-          clearTimeout(clickTimer);
-        }
+    // Sidebar toggle with hover effect
+    const sidebarToggle = document.getElementById('sidebarToggle');
+    const sidebar = document.getElementById('sidebar');
+    let toggleTimeout;
 
-        // If 5 clicks within 2 seconds, toggle developer mode
-        if (clickCount >= 5) {
-          if (sessionStorage.getItem('developerMode') === 'true') {
-            disableDevModeBtn && disableDevModeBtn.click();
-          } else {
-            sessionStorage.setItem('developerMode', 'true');
-            this.enableDeveloperMode();
-            this.refreshConfigForDevModeChange();
-            this.showToast('🔧 개발자 모드가 활성화되었습니다', 'success');
+    sidebarToggle.addEventListener('click', () => {
+      sidebar.classList.toggle('collapsed');
+      // Adjust main content margin
+      const mainContent = document.querySelector('.main-content');
+      if (mainContent) {
+        mainContent.style.marginLeft =
+            sidebar.classList.contains('collapsed') ? '0' : '280px';
+      }
+    });
+
+    // Show toggle button on hover near left edge
+    document.addEventListener('mousemove', (e) => {
+      if (e.clientX < 50 && sidebar.classList.contains('collapsed')) {
+        sidebarToggle.classList.add('visible');
+        clearTimeout(toggleTimeout);
+        toggleTimeout = setTimeout(() => {
+          if (!sidebarToggle.matches(':hover')) {
+            sidebarToggle.classList.remove('visible');
           }
-          clickCount = 0;
-        } else {
-          // Reset click count after 2 seconds
-          clickTimer = setTimeout(() => {
-            clickCount = 0;
-          }, 2000);
-        }
-      });
-    }
+        }, 2000);
+      }
+    });
 
-    // Disable developer mode button handler
-    if (disableDevModeBtn) {
-      disableDevModeBtn.addEventListener('click', () => {
-        sessionStorage.removeItem('developerMode');
-        if (manufactureMenuItem) {
-          manufactureMenuItem.style.display = 'none';
-        }
+    // Expandable menu item (Serial Port)
+    const serialPortMenu = document.getElementById('serialPortMenu');
+    const serialPortHeader = serialPortMenu.querySelector('.menu-item-header');
+    this.serialPortMenuCloseTimer = null;
 
-        // Hide Temp 0x2702 menu (dev-only)
-        const temp2702MenuItem = document.getElementById('temp2702MenuItem');
-        if (temp2702MenuItem) {
-          temp2702MenuItem.style.display = 'none';
-        }
+    serialPortHeader.addEventListener('click', () => {
+      serialPortMenu.classList.toggle('expanded');
+    });
 
-        // Hide manufacture tab in Device page
-        const deviceManufactureTab =
-            document.querySelector('.device-setup-tab[data-tab="manufacture"]');
-        if (deviceManufactureTab) {
-          deviceManufactureTab.style.display = 'none';
-        }
+    // Auto close Serial Port menu when connected and mouse leaves
+    serialPortMenu.addEventListener('mouseleave', () => {
+      if (this.isConnected || this.simulatorEnabled) {
+        this.serialPortMenuCloseTimer = setTimeout(() => {
+          serialPortMenu.classList.remove('expanded');
+        }, 1000);
+      }
+    });
 
-        // Hide communication statistics in navbar
-        const navbarStats = document.getElementById('navbarStats');
-        if (navbarStats) {
-          navbarStats.style.display = 'none';
-        }
+    serialPortMenu.addEventListener('mouseenter', () => {
+      if (this.serialPortMenuCloseTimer) {
+        clearTimeout(this.serialPortMenuCloseTimer);
+        this.serialPortMenuCloseTimer = null;
+      }
+    });
 
-        this.refreshConfigForDevModeChange();
-        this.showToast('🔧 개발자 모드가 비활성화되었습니다', 'error');
-        // Switch to dashboard if currently on a dev-only page
-        if (this.currentPage === 'manufacture' ||
-            this.currentPage === 'temp2702') {
-          this.switchPage('dashboard');
-          this._setMenuActive('dashboard');
-        }
-      });
+    // Initially open Serial Port menu if not connected
+    if (!this.isConnected && !this.simulatorEnabled) {
+      serialPortMenu.classList.add('expanded');
     }
 
-    // Restore last visited page from sessionStorage and activate immediately
-    const savedPage = sessionStorage.getItem('currentPage');
-    // firmware is no longer a separate page; redirect to device-setup
-    const pageToShow =
-        (savedPage === 'firmware' ? 'device-setup' : savedPage) || 'dashboard';
+    // Settings Modal
+    this.initSettingsModal();
 
-    // Immediately activate the correct page without rendering other pages first
-    const pageElement = document.getElementById(`page-${pageToShow}`);
-    if (pageElement) {
-      // Directly set active class to avoid rendering unwanted pages
-      pageElement.classList.add('active');
-      document.body.classList.toggle('chart-active', pageToShow === 'chart');
+    // Monitor Panel toggle
+    this.initMonitorPanel();
 
-      // Update menu item active state immediately
-      this._setMenuActive(pageToShow);
-    }
-  }
+    // Developer Mode - Logo Click Easter Egg
+    this.initDeveloperMode();
 
-  /**
-   * 현재 세션이 개발자 모드인지 여부
-   */
-  isDeveloperMode() {
-    return sessionStorage.getItem('developerMode') === 'true';
-  }
+    // Top-level menu navigation
+    document.querySelectorAll('.menu-item').forEach(item => {
+      item.addEventListener('click', () => {
+        const page = item.dataset.page;
+        this.switchPage(page);
+        this._setMenuActive(page);
+      });
+    });
 
-  /**
-   * Configuration 탭이 보이고 있을 때 디바이스를 다시 렌더링.
-   * 개발자 모드 토글 시 dev-only 탭/파라미터 표시 갱신용.
-   */
-  refreshConfigForDevModeChange() {
-    const device = this.devices &&
-        this.devices.find(d => d.id === this.currentSetupDeviceId);
-    if (!device) return;
-    const devOnly = new Set(
-        ['motorInfo', 'sensor', 'servoTuning', 'alarm', 'productSetting']);
-    if (!this.isDeveloperMode() && devOnly.has(this.activeConfigCategory)) {
-      this.activeConfigCategory = 'motor';
-    }
-    if (document.getElementById('deviceSetupConfig')) {
-      this.renderDeviceSetupConfig(device);
-    }
-  }
+    // Format toggle (HEX/DEC)
+    document.querySelectorAll('.format-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.displayFormat = btn.dataset.format;
+        document.querySelectorAll('.format-btn')
+            .forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        this.refreshMonitorDisplay();
+      });
+    });
 
-  /**
-   * Enable developer mode - show manufacture menu
-   */
-  enableDeveloperMode() {
-    const manufactureMenuItem = document.getElementById('manufactureMenuItem');
-    if (manufactureMenuItem) {
-      manufactureMenuItem.style.display = 'flex';
-    }
+    // Connection button (sidebar) - single toggle
+    document.getElementById('sidebar-connectBtn')
+        .addEventListener('click', () => {
+          if (this.isConnected) {
+            this.disconnect();
+          } else {
+            this.connect();
+          }
+        });
 
-    const temp2702MenuItem = document.getElementById('temp2702MenuItem');
-    if (temp2702MenuItem) {
-      temp2702MenuItem.style.display = 'flex';
-    }
+    // Transport 전환 (Web Serial / Modbus TCP / RTU over TCP)
+    document.getElementById('sidebar-transport')
+        .addEventListener('change', () => this.updateTransportFields());
 
-    // Also show manufacture tab in Device page
-    const deviceManufactureTab =
-        document.querySelector('.device-setup-tab[data-tab="manufacture"]');
-    if (deviceManufactureTab) {
-      deviceManufactureTab.style.display =
-          '';  // Remove inline display:none to show the button
-    }
+    // Sync sidebar serial settings with main settings
+    this.syncSerialSettings();
 
-    // Show communication statistics in navbar
-    const navbarStats = document.getElementById('navbarStats');
-    if (navbarStats) {
-      navbarStats.style.display = 'flex';
-    }
-  }
+    // Modbus controls
+    document.getElementById('sendBtn').addEventListener(
+        'click', () => this.sendModbusRequest());
+    document.getElementById('clearBtn')
+        .addEventListener('click', () => this.clearMonitor());
 
-  /**
-   * Set active state on menu item for the given page
-   */
-  _setMenuActive(page) {
-    document.querySelectorAll('.menu-item')
-        .forEach(mi => mi.classList.remove('active'));
-    const item = document.querySelector(`.menu-item[data-page="${page}"]`);
-    if (item) item.classList.add('active');
-  }
+    // Temp 0x2702 탭 버튼
+    const t2702Start = document.getElementById('temp2702StartBtn');
+    const t2702Stop = document.getElementById('temp2702StopBtn');
+    if (t2702Start)
+      t2702Start.addEventListener('click', () => this.startTemp2702Polling());
+    if (t2702Stop)
+      t2702Stop.addEventListener('click', () => this.stopTemp2702Polling());
 
-  /**
-   * Switch between pages
-   */
-  async switchPage(pageName) {
-    document.querySelectorAll('.page-content').forEach(page => {
-      page.classList.remove('active');
-    });
-    document.getElementById(`page-${pageName}`).classList.add('active');
+    // 0x2703 write 버튼: Clear(1) / Read(2)
+    const t2703Clear = document.getElementById('temp2703ClearBtn');
+    const t2703Read = document.getElementById('temp2703ReadBtn');
+    if (t2703Clear)
+      t2703Clear.addEventListener('click', () => this._writeTemp2703(1));
+    if (t2703Read)
+      t2703Read.addEventListener('click', () => this._writeTemp2703(2));
 
-    // Chart 페이지는 스크롤 없이 전체 화면을 채우도록 body 클래스 토글
-    document.body.classList.toggle('chart-active', pageName === 'chart');
+    // Real-time value conversion for Modbus input fields
+    const modbusInputs = [
+      {id: 'slaveId', min: 0, max: 255},
+      {id: 'startAddress', min: 0, max: 65535},
+      {id: 'quantity', min: 1, max: 125}, {id: 'writeValue', min: 0, max: 65535}
+    ];
 
-    // Track current page
-    this.currentPage = pageName;
+    modbusInputs.forEach(({id, min, max}) => {
+      const input = document.getElementById(id);
+      if (input) {
+        // Update on input (real-time)
+        input.addEventListener('input', () => {
+          this.updateConvertedValue(id, min, max);
+        });
 
-    // Save current page to sessionStorage for refresh persistence
-    sessionStorage.setItem('currentPage', pageName);
+        // Initial update
+        this.updateConvertedValue(id, min, max);
+      }
+    });
 
-    // Clear device setup tab state when leaving device-setup page
-    if (pageName !== 'device-setup') {
-      sessionStorage.removeItem('deviceSetupTab');
-      sessionStorage.removeItem('manufactureSubtab');
-    }
+    // Monitor scroll controls
+    this.initMonitorScrollControls();
+    this.initMonitorCapture();
+    this.initBusTiming();
+    this.initOsReport();
+    this.initOsHistory();
+    this.initOsSuites();
+    this.initOsBatch();
 
-    // HW Overview 폴링은 해당 탭에서만 동작 — 페이지 전환 시 항상 중지
-    this.stopOvPolling();
-    this.stopOffsetAlarmPolling();
-    this.stopOffsetStatus2617Polling();
-    this.stopMiniChart('offsetHall');
-
-    // Temp 0x2702 탭 폴링도 페이지 전환 시 중지
-    if (pageName !== 'temp2702') {
-      this.stopTemp2702Polling();
-    }
-
-    // Start/stop polling based on page
-    if (pageName === 'dashboard') {
-      // Start polling when on Dashboard
-      if (this.writer || this.simulatorEnabled) {
-        this.startAutoPolling();
-      }
-    } else {
-      // Stop polling when leaving Dashboard
-      this.stopAutoPolling();
-      // 진행 중인 폴링 사이클이 완전히 끝날 때까지 대기
-      // (isPolling=true 상태에서 refreshDevice가 직접 TX를 쏘면 버스 충돌 발생)
-      const deadline = Date.now() + 1000;
-      while (this.isPolling && Date.now() < deadline) {
-        await this.delay(5);
-      }
-    }
+    // Function code change handler
+    document.getElementById('functionCode').addEventListener('change', (e) => {
+      this.updateWriteValueVisibility(parseInt(e.target.value));
+    });
 
-    // Update device setup list when switching to device-setup page
-    if (pageName === 'device-setup') {
-      this.renderDeviceSetupList();
-    }
+    // FC 0x2B operation change handler (Read/Write)
+    document.getElementById('fc2bOperation').addEventListener('change', (e) => {
+      const isWrite = e.target.value === 'write';
+      document.getElementById('fc2bNumDataGroup').style.display =
+          isWrite ? 'none' : 'flex';
+      document.getElementById('fc2bWriteGroup').style.display =
+          isWrite ? 'flex' : 'none';
+    });
 
-    // Temp 0x2702 탭: 진입 시 슬레이브 드롭다운/테이블 렌더
-    if (pageName === 'temp2702') {
-      this._renderTemp2702Tab();
-    }
+    // Parameter management
+    document.getElementById('addParamBtn')
+        .addEventListener('click', () => this.showAddParameterModal());
+    document.getElementById('cancelParamBtn')
+        .addEventListener('click', () => this.hideAddParameterModal());
+    document.getElementById('saveParamBtn')
+        .addEventListener('click', () => this.saveParameter());
+    document.querySelector('.modal-close')
+        .addEventListener('click', () => this.hideAddParameterModal());
 
-    // Resize chart canvas when switching to chart page
-    if (pageName === 'chart' && this.chartManager) {
-      setTimeout(() => {
-        this.chartManager.resizeCanvas();
-        this.chartManager.render();
-      }, 50);
-    }
-  }
+    // CSV Import/Export
+    document.getElementById('importCsvBtn').addEventListener('click', () => {
+      document.getElementById('csvFileInput').click();
+    });
+    document.getElementById('csvFileInput')
+        .addEventListener('change', (e) => this.importCSV(e));
+    document.getElementById('exportCsvBtn')
+        .addEventListener('click', () => this.exportCSV());
+    document.getElementById('loadDefaultCsvBtn')
+        .addEventListener('click', () => this.loadDefaultCSV());
 
-  /**
-   * Initialize Monitor Panel (right slide panel)
-   */
-  initMonitorPanel() {
-    const toggleBtn = document.getElementById('monitorToggleBtn');
-    const panel = document.getElementById('monitorPanel');
-    const closeBtn = document.getElementById('monitorPanelClose');
-    const mainContent = document.querySelector('.main-content');
-    const resizeHandle = document.getElementById('monitorResizeHandle');
+    // Parameter filters
+    this.paramTypeFilter = 'all';
+    this.paramImplementedFilter = 'Y';
+    this.paramSearchText = '';
 
-    // State
-    this.monitorPanelOpen = false;
-    this.monitorPanelWidth =
-        parseInt(localStorage.getItem('monitorPanelWidth')) || 500;
+    document.querySelectorAll('.filter-btn[data-filter]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        document.querySelectorAll('.filter-btn[data-filter]')
+            .forEach(b => b.classList.remove('active'));
+        e.target.classList.add('active');
+        this.paramTypeFilter = e.target.dataset.filter;
+        this.renderParameters();
+        if (this.selectedParamDeviceId &&
+            (this.writer || this.simulatorEnabled)) {
+          this.readAllParameters();
+        }
+      });
+    });
 
-    // Apply saved width using CSS variable
-    panel.style.width = this.monitorPanelWidth + 'px';
-    document.documentElement.style.setProperty(
-        '--monitor-panel-width', this.monitorPanelWidth + 'px');
+    document.querySelectorAll('.filter-btn[data-implemented]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        document.querySelectorAll('.filter-btn[data-implemented]')
+            .forEach(b => b.classList.remove('active'));
+        e.target.classList.add('active');
+        this.paramImplementedFilter = e.target.dataset.implemented;
+        this.renderParameters();
+        if (this.selectedParamDeviceId &&
+            (this.writer || this.simulatorEnabled)) {
+          this.readAllParameters();
+        }
+      });
+    });
 
-    // Set initial closed position based on panel width
-    if (!panel.classList.contains('open')) {
-      panel.style.right = `-${this.monitorPanelWidth + 50}px`;
-    }
+    let paramSearchDebounce = null;
+    document.getElementById('paramSearchInput')
+        .addEventListener('input', (e) => {
+          this.paramSearchText = e.target.value.toLowerCase();
+          this.renderParameters();
+          clearTimeout(paramSearchDebounce);
+          paramSearchDebounce = setTimeout(() => {
+            if (this.selectedParamDeviceId &&
+                (this.writer || this.simulatorEnabled)) {
+              this.readAllParameters();
+            }
+          }, 500);
+        });
 
-    // Toggle button click
-    toggleBtn.addEventListener('click', () => {
-      this.toggleMonitorPanel();
-    });
+    // Close modal on outside click (with drag protection)
+    const addParamModal = document.getElementById('addParamModal');
+    let paramModalMouseDownTarget = null;
 
-    // Close button click
-    closeBtn.addEventListener('click', () => {
-      this.closeMonitorPanel();
+    addParamModal.addEventListener('mousedown', (e) => {
+      paramModalMouseDownTarget = e.target;
     });
 
-    // Keyboard shortcut (Ctrl+M or Cmd+M)
-    document.addEventListener('keydown', (e) => {
-      if ((e.ctrlKey || e.metaKey) && e.key === 'm') {
-        e.preventDefault();
-        this.toggleMonitorPanel();
+    addParamModal.addEventListener('click', (e) => {
+      if (e.target.id === 'addParamModal' && paramModalMouseDownTarget &&
+          paramModalMouseDownTarget.id === 'addParamModal') {
+        this.hideAddParameterModal();
       }
+      paramModalMouseDownTarget = null;
     });
 
-    // Resize functionality
-    this.initMonitorResize(resizeHandle, panel, mainContent);
+    // Global ESC key handler for all modals
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        const addParamModal = document.getElementById('addParamModal');
+        const settingsModal = document.getElementById('settingsModal');
+        const deviceEditModal = document.getElementById('deviceEditModal');
+        const confirmModal = document.getElementById('confirmModal');
+        const addDeviceModal = document.getElementById('addDeviceModal');
+        const busTimingModal = document.getElementById('busTimingModal');
+        const osReportModal = document.getElementById('osReportModal');
+        const osHistoryModal = document.getElementById('osHistoryModal');
+        const osSuiteModal = document.getElementById('osSuiteModal');
+        const osBatchModal = document.getElementById('osBatchModal');
 
-    // Raw data copy functionality (event delegation)
-    const monitorDisplay = document.getElementById('monitorDisplay');
-    monitorDisplay.addEventListener('click', (e) => {
-      const rawContainer = e.target.closest('.monitor-raw-container');
-      if (rawContainer) {
-        e.stopPropagation();
-        const rawData = rawContainer.dataset.raw;
-        navigator.clipboard.writeText(rawData)
-            .then(() => {
-              this.showToast(
-                  'Raw 데이터가 클립보드에 복사되었습니다', 'success');
-            })
-            .catch(() => {
-              this.showToast('복사에 실패했습니다', 'error');
-            });
+        if (addParamModal && addParamModal.style.display === 'flex') {
+          this.hideAddParameterModal();
+        } else if (
+            settingsModal && settingsModal.classList.contains('active')) {
+          this.closeSettingsModal();
+        } else if (
+            deviceEditModal && deviceEditModal.style.display === 'flex') {
+          const closeBtn = document.getElementById('closeDeviceEditBtn');
+          if (closeBtn) closeBtn.click();
+        } else if (confirmModal && confirmModal.style.display === 'flex') {
+          const cancelBtn = document.getElementById('confirmCancelBtn');
+          if (cancelBtn) cancelBtn.click();
+        } else if (
+            addDeviceModal && addDeviceModal.classList.contains('active')) {
+          this.hideAddDeviceModal();
+        } else if (
+            busTimingModal && busTimingModal.classList.contains('active')) {
+          this.closeBusTimingModal();
+        } else if (
+            osReportModal && osReportModal.classList.contains('active')) {
+          this.closeOsReportModal();
+        } else if (
+            osHistoryModal && osHistoryModal.classList.contains('active')) {
+          this.closeOsHistoryModal();
+        } else if (osSuiteModal && osSuiteModal.classList.contains('active')) {
+          this.closeOsSuiteModal();
+        } else if (osBatchModal && osBatchModal.classList.contains('active')) {
+          this.closeOsBatchModal();
+        }
       }
     });
-  }
-
-  /**
-   * Initialize monitor panel resize functionality
-   */
-  initMonitorResize(handle, panel, mainContent) {
-    let isResizing = false;
-    let startX = 0;
-    let startWidth = 0;
 
-    const startResize = (e) => {
-      isResizing = true;
-      startX = e.clientX || e.touches[0].clientX;
-      startWidth = panel.offsetWidth;
-      panel.classList.add('resizing');
-      handle.classList.add('active');
-      document.body.style.cursor = 'ew-resize';
-      document.body.style.userSelect = 'none';
-      e.preventDefault();
-    };
+    // Parameter page device selector (event delegation for radio buttons)
+    const paramDeviceRadioGroup =
+        document.getElementById('paramDeviceRadioGroup');
+    if (paramDeviceRadioGroup) {
+      paramDeviceRadioGroup.addEventListener('change', (e) => {
+        if (e.target.classList.contains('param-device-radio')) {
+          this.selectedParamDeviceId = parseInt(e.target.value);
+          this.updateParamDeviceStatus();
+        }
+      });
+    }
 
-    const doResize = (e) => {
-      if (!isResizing) return;
+    // Parameter page device selector collapse/expand toggle
+    const paramDeviceHeaderLeft =
+        document.querySelector('.param-device-header-left');
+    const paramDeviceSelector =
+        document.querySelector('.param-device-selector');
+    if (paramDeviceHeaderLeft && paramDeviceSelector) {
+      // Fixed mode: when true, hover doesn't affect open/close
+      let isFixedMode = false;
 
-      const clientX = e.clientX || (e.touches && e.touches[0].clientX);
-      if (clientX === undefined) return;
+      // Start expanded
+      paramDeviceSelector.classList.add('expanded');
 
-      const diff = startX - clientX;
-      let newWidth = startWidth + diff;
+      // Header left click: always toggle open/close
+      paramDeviceHeaderLeft.addEventListener('click', () => {
+        paramDeviceSelector.classList.toggle('collapsed');
+        paramDeviceSelector.classList.toggle('expanded');
+      });
 
-      // Constrain width
-      const minWidth = 350;
-      const maxWidth = window.innerWidth * 0.8;
-      newWidth = Math.max(minWidth, Math.min(maxWidth, newWidth));
+      // Box click (outside header-left): toggle fixed mode
+      paramDeviceSelector.addEventListener('click', (e) => {
+        // Ignore clicks on header-left (open/close area) or Read All button
+        if (e.target.closest('.param-device-header-left')) return;
+        if (e.target.closest('#paramReadAllBtn')) return;
 
-      // Apply new width
-      panel.style.width = newWidth + 'px';
-      this.monitorPanelWidth = newWidth;
+        isFixedMode = !isFixedMode;
+        paramDeviceSelector.classList.toggle('click-mode', isFixedMode);
+      });
 
-      // Update main content margin if panel is open
-      if (this.monitorPanelOpen) {
-        mainContent.style.marginRight = newWidth + 'px';
-        document.documentElement.style.setProperty(
-            '--monitor-width', newWidth + 'px');
-      }
-    };
+      // Auto-collapse when mouse leaves (only if not fixed and a device is
+      // selected)
+      paramDeviceSelector.addEventListener('mouseleave', () => {
+        if (!isFixedMode && this.selectedParamDeviceId) {
+          paramDeviceSelector.classList.add('collapsed');
+          paramDeviceSelector.classList.remove('expanded');
+        }
+      });
 
-    const stopResize = () => {
-      if (!isResizing) return;
-      isResizing = false;
-      panel.classList.remove('resizing');
-      handle.classList.remove('active');
-      document.body.style.cursor = '';
-      document.body.style.userSelect = '';
+      // Auto-expand when mouse enters (only if not fixed)
+      paramDeviceSelector.addEventListener('mouseenter', () => {
+        if (!isFixedMode) {
+          paramDeviceSelector.classList.remove('collapsed');
+          paramDeviceSelector.classList.add('expanded');
+        }
+      });
+    }
 
-      // Save width to localStorage
-      localStorage.setItem('monitorPanelWidth', this.monitorPanelWidth);
+    const paramReadAllBtn = document.getElementById('paramReadAllBtn');
+    if (paramReadAllBtn) {
+      paramReadAllBtn.addEventListener('click', () => this.readAllParameters());
+    }
 
-      // Update CSS variable for closed position calculation
-      document.documentElement.style.setProperty(
-          '--monitor-panel-width', this.monitorPanelWidth + 'px');
-    };
+    // Simulator controls
+    document.getElementById('simToggleBtn')
+        .addEventListener('click', () => this.toggleSimulator());
+    document.getElementById('simResetBtn')
+        .addEventListener('click', () => this.resetSimulator());
+    document.getElementById('simSlaveId').addEventListener('change', (e) => {
+      this.selectSimulatorSlave(parseInt(e.target.value));
+    });
+    document.getElementById('simDelay').addEventListener('change', (e) => {
+      this.simulator.responseDelay = parseInt(e.target.value);
+      this.renderSimulatorSlaves();
+      this.saveSettings();
+    });
+    document.getElementById('simProfile').addEventListener('change', (e) => {
+      this.setSimulatorProfile(e.target.value);
+    });
 
-    // Mouse events
-    handle.addEventListener('mousedown', startResize);
-    document.addEventListener('mousemove', doResize);
-    document.addEventListener('mouseup', stopResize);
+    // Settings controls
+    document.getElementById('baseFrameCount')
+        .addEventListener('change', (e) => {
+          this.baseFrameCount = parseInt(e.target.value);
+          this.saveSettings();
+          this.updateStatsDisplay();
+        });
 
-    // Touch events for mobile
-    handle.addEventListener('touchstart', startResize, {passive: false});
-    document.addEventListener('touchmove', doResize, {passive: false});
-    document.addEventListener('touchend', stopResize);
-  }
+    // Navbar stats tooltip click-to-pin
+    this.initNavbarStatsTooltip();
 
-  /**
-   * Toggle Monitor Panel
-   */
-  toggleMonitorPanel() {
-    if (this.monitorPanelOpen) {
-      this.closeMonitorPanel();
-    } else {
-      this.openMonitorPanel();
+    // Product Test Dashboard controls
+    this.initDashboardUI();
+
+    // Auto Scan controls
+    this.initAutoScanUI();
+    this.initSerialPortScanUI();
+    this.initBusMigrationUI();
+
+    // Firmware upload controls
+    this.initFirmwareUI();
+
+    // Check Web Serial API support
+    if (!('serial' in navigator)) {
+      this.addMonitorEntry(
+          'error',
+          'Web Serial API is not supported in this browser. Please use Chrome, Edge, or Opera.');
+      // Don't disable connect button - simulator can still work
     }
   }
 
   /**
-   * Open Monitor Panel
+   * Initialize navbar stats tooltip click-to-pin
    */
-  openMonitorPanel() {
-    const panel = document.getElementById('monitorPanel');
-    const toggleBtn = document.getElementById('monitorToggleBtn');
-    const mainContent = document.querySelector('.main-content');
-    const grid = document.querySelector('.device-grid');
+  initNavbarStatsTooltip() {
+    const navbarStats = document.getElementById('navbarStats');
+    const statsTooltip = document.getElementById('navbarStatsTooltip');
 
-    // Calculate grid columns for smooth transition
-    if (grid) {
-      const currentColumns = window.getComputedStyle(grid).gridTemplateColumns;
-      const currentCols = currentColumns.split(' ').length;
+    if (!navbarStats || !statsTooltip) return;
 
-      // Set current columns as explicit repeat()
-      grid.style.gridTemplateColumns = `repeat(${currentCols}, 1fr)`;
+    // Click to toggle pin
+    navbarStats.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toggleStatsTooltipPin();
+    });
 
-      // Force reflow
-      void grid.offsetHeight;
+    // Prevent clicks inside tooltip from unpinning
+    statsTooltip.addEventListener('click', (e) => {
+      e.stopPropagation();
+    });
 
-      // Calculate new column count after monitor opens
-      requestAnimationFrame(() => {
-        const newWidth = mainContent.offsetWidth - this.monitorPanelWidth;
-        const newCols = Math.max(1, Math.floor(newWidth / 320));
-        grid.style.gridTemplateColumns = `repeat(${newCols}, 1fr)`;
-        grid.style.transition = 'grid-template-columns 0.3s ease';
+    // Clear stats button
+    const clearBtn = document.getElementById('clearStatsBtn');
+    if (clearBtn) {
+      clearBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.resetStats();
       });
     }
+  }
 
-    panel.classList.add('open');
-    toggleBtn.classList.add('active');
-    mainContent.classList.add('monitor-open');
-    this.monitorPanelOpen = true;
+  /**
+   * Reset communication statistics
+   */
+  resetStats() {
+    this.stats = {requests: 0, success: 0, errors: 0};
+    this.deviceStats = {};
+    this.updateStatsDisplay();
+  }
 
-    // Apply saved width
-    mainContent.style.marginRight = this.monitorPanelWidth + 'px';
-    document.documentElement.style.setProperty(
-        '--monitor-width', this.monitorPanelWidth + 'px');
+  /**
+   * Toggle stats tooltip pin state
+   */
+  toggleStatsTooltipPin() {
+    const statsTooltip = document.getElementById('navbarStatsTooltip');
+    if (!statsTooltip) return;
 
-    // Restore auto-fill after transition completes
-    if (grid) {
-      setTimeout(() => {
-        grid.style.gridTemplateColumns = '';
-        grid.style.transition = '';
-      }, 300);
+    if (this.statsTooltipPinned) {
+      this.unpinStatsTooltip();
+    } else {
+      this.pinStatsTooltip();
     }
-
-    // Save state
-    localStorage.setItem('monitorPanelOpen', 'true');
   }
 
   /**
-   * Close Monitor Panel
+   * Pin stats tooltip
    */
-  closeMonitorPanel() {
-    const panel = document.getElementById('monitorPanel');
-    const toggleBtn = document.getElementById('monitorToggleBtn');
-    const mainContent = document.querySelector('.main-content');
-    const grid = document.querySelector('.device-grid');
-
-    // Calculate grid columns for smooth transition
-    if (grid) {
-      const currentColumns = window.getComputedStyle(grid).gridTemplateColumns;
-      const currentCols = currentColumns.split(' ').length;
-
-      // Set current columns as explicit repeat()
-      grid.style.gridTemplateColumns = `repeat(${currentCols}, 1fr)`;
-
-      // Force reflow
-      void grid.offsetHeight;
-
-      // Calculate new column count after monitor closes
-      requestAnimationFrame(() => {
-        const newWidth = mainContent.offsetWidth;
-        const newCols = Math.max(1, Math.floor(newWidth / 320));
-        grid.style.gridTemplateColumns = `repeat(${newCols}, 1fr)`;
-        grid.style.transition = 'grid-template-columns 0.3s ease';
-      });
-    }
+  pinStatsTooltip() {
+    const statsTooltip = document.getElementById('navbarStatsTooltip');
+    if (!statsTooltip) return;
 
-    panel.classList.remove('open');
-    toggleBtn.classList.remove('active');
-    mainContent.classList.remove('monitor-open');
-    this.monitorPanelOpen = false;
+    this.statsTooltipPinned = true;
+    statsTooltip.classList.add('pinned');
 
-    // Reset margin
-    mainContent.style.marginRight = '';
+    // Add outside click listener
+    setTimeout(() => {
+      document.addEventListener('click', this.handleStatsOutsideClick);
+    }, 0);
+  }
 
-    // Set closed position based on panel width to fully hide the panel
-    const panelWidth = panel.offsetWidth || this.monitorPanelWidth;
-    panel.style.right = `-${panelWidth + 50}px`;
+  /**
+   * Unpin stats tooltip
+   */
+  unpinStatsTooltip() {
+    const statsTooltip = document.getElementById('navbarStatsTooltip');
+    if (!statsTooltip) return;
 
-    // Restore auto-fill after transition completes
-    if (grid) {
-      setTimeout(() => {
-        grid.style.gridTemplateColumns = '';
-        grid.style.transition = '';
-      }, 300);
-    }
+    this.statsTooltipPinned = false;
+    statsTooltip.classList.remove('pinned');
 
-    // Save state
-    localStorage.setItem('monitorPanelOpen', 'false');
+    // Remove outside click listener
+    document.removeEventListener('click', this.handleStatsOutsideClick);
   }
 
   /**
-   * Initialize Settings Modal
+   * Handle outside click to unpin stats tooltip
    */
-  initSettingsModal() {
-    const settingsModal = document.getElementById('settingsModal');
-    const openSettingsBtn = document.getElementById('openSettingsBtn');
-    const closeSettingsBtn = document.getElementById('closeSettingsBtn');
-
-    // Open settings modal
-    openSettingsBtn.addEventListener('click', () => {
-      this.openSettingsModal();
-    });
+  handleStatsOutsideClick =
+      (e) => {
+        const navbarStats = document.getElementById('navbarStats');
+        const statsTooltip = document.getElementById('navbarStatsTooltip');
 
-    // Close settings modal
-    closeSettingsBtn.addEventListener('click', () => {
-      this.closeSettingsModal();
-    });
+        if (navbarStats && statsTooltip && !navbarStats.contains(e.target) &&
+            !statsTooltip.contains(e.target)) {
+          this.unpinStatsTooltip();
+        }
+      }
 
-    // Close on outside click (with drag protection)
-    let settingsMouseDownTarget = null;
+  /**
+   * Sync sidebar serial settings
+   */
+  syncSerialSettings() {
+    const sidebarBaudRate = document.getElementById('sidebar-baudRate');
+    const sidebarParity = document.getElementById('sidebar-parity');
+    const sidebarDataBits = document.getElementById('sidebar-dataBits');
+    const sidebarStopBits = document.getElementById('sidebar-stopBits');
 
-    settingsModal.addEventListener('mousedown', (e) => {
-      settingsMouseDownTarget = e.target;
-    });
+    // 드라이브 초기값으로 설정 (DEFAULT_SERIAL 상수 참조)
+    if (sidebarBaudRate)
+      sidebarBaudRate.value = String(DEFAULT_SERIAL.baudRate);
+    if (sidebarParity) sidebarParity.value = DEFAULT_SERIAL.parity;
+    if (sidebarDataBits)
+      sidebarDataBits.value = String(DEFAULT_SERIAL.dataBits);
+    if (sidebarStopBits)
+      sidebarStopBits.value = String(DEFAULT_SERIAL.stopBits);
 
-    settingsModal.addEventListener('click', (e) => {
-      if (e.target === settingsModal &&
-          settingsMouseDownTarget === settingsModal) {
-        this.closeSettingsModal();
-      }
-      settingsMouseDownTarget = null;
-    });
+    // Then load saved settings (will override defaults)
+    this.loadSerialSettings();
+    this.loadTransportSettings();
+  }
 
-    // Settings menu navigation
-    document.querySelectorAll('.settings-menu-item').forEach(item => {
-      item.addEventListener('click', () => {
-        const setting = item.dataset.setting;
-        this.switchSettingPanel(setting);
+  /**
+   * Initialize Developer Mode Easter Egg
+   * Logo click 5 times to activate manufacture menu
+   */
+  initDeveloperMode() {
+    let clickCount = 0;
+    let clickTimer = null;
+    const logo = document.querySelector('.navbar-logo-img');
+    const manufactureMenuItem = document.getElementById('manufactureMenuItem');
+    const disableDevModeBtn = document.getElementById('disableDevModeBtn');
 
-        // Update active state
-        document.querySelectorAll('.settings-menu-item')
-            .forEach(mi => mi.classList.remove('active'));
-        item.classList.add('active');
-      });
-    });
+    // Check if developer mode is already enabled
+    if (sessionStorage.getItem('developerMode') === 'true') {
+      this.enableDeveloperMode();
+    }
 
-    // Modal settings controls
-    document.getElementById('modal-baseFrameCount')
-        .addEventListener('change', (e) => {
-          this.baseFrameCount = parseInt(e.target.value);
-          this.saveSettings();
-          this.updateStatsDisplay();
-        });
+    // Logo click handler
+    if (logo) {
+      logo.addEventListener('click', () => {
+        clickCount++;
 
-    document.getElementById('modal-simToggleBtn')
-        .addEventListener('click', () => this.toggleSimulator());
-    document.getElementById('modal-simResetBtn')
-        .addEventListener('click', () => this.resetSimulator());
-    document.getElementById('modal-simSlaveId')
-        .addEventListener('change', (e) => {
-          this.simulator.slaveId = parseInt(e.target.value);
-          document.getElementById('simSlaveId').value = e.target.value;
-        });
-    document.getElementById('modal-simDelay')
-        .addEventListener('change', (e) => {
-          this.simulator.responseDelay = parseInt(e.target.value);
-          document.getElementById('simDelay').value = e.target.value;
-        });
+        // Reset timer
+        if (clickTimer) {
+          clearTimeout(clickTimer);
+        }
 
-    // Polling settings
-    document.getElementById('applyPollingSettings')
-        .addEventListener('click', () => {
-          this.applyPollingSettings();
-        });
-  }
+        // If 5 clicks within 2 seconds, toggle developer mode
+        if (clickCount >= 5) {
+          if (sessionStorage.getItem('developerMode') === 'true') {
+            disableDevModeBtn && disableDevModeBtn.click();
+          } else {
+            sessionStorage.setItem('developerMode', 'true');
+            this.enableDeveloperMode();
+            this.refreshConfigForDevModeChange();
+            this.showToast('🔧 개발자 모드가 활성화되었습니다', 'success');
+          }
+          clickCount = 0;
+        } else {
+          // Reset click count after 2 seconds
+          clickTimer = setTimeout(() => {
+            clickCount = 0;
+          }, 2000);
+        }
+      });
+    }
 
-  /**
-   * 예상 갱신 주기를 계산해 UI에 표시
-   * 공식: 디바이스당 최악 주기 = (읽기 타임아웃 × 2 + 메시지 간격 × 3) + 폴링
-   * 간격 "최악"은 두 번의 읽기(status, speed)가 모두 타임아웃 되는 경우
-   */
-  updatePollingEstimate() {
-    const el = document.getElementById('pollingEstimateText');
-    if (!el) return;
+    // Disable developer mode button handler
+    if (disableDevModeBtn) {
+      disableDevModeBtn.addEventListener('click', () => {
+        sessionStorage.removeItem('developerMode');
+        if (manufactureMenuItem) {
+          manufactureMenuItem.style.display = 'none';
+        }
 
-    const readTimeout =
-        parseInt(document.getElementById('pollingTimeout')?.value) ||
-        this.pollingTimeout;
-    const gap = parseInt(document.getElementById('paramPollingDelay')?.value) ||
-        this.paramPollingDelay;
-    const pollInterval =
-        parseInt(document.getElementById('pollingInterval')?.value) ||
-        this.autoPollingInterval;
-    const numDevices = this.devices ? this.devices.length : 0;
+        // Hide Temp 0x2702 menu (dev-only)
+        const temp2702MenuItem = document.getElementById('temp2702MenuItem');
+        if (temp2702MenuItem) {
+          temp2702MenuItem.style.display = 'none';
+        }
 
-    // 디바이스 1대당 1 사이클: status read + gap + speed read + gap + (모니터링
-    // 파라미터) + pollInterval 모니터링 파라미터 수는 평균으로 추정
-    const avgMonParams = numDevices > 0 ?
-        this.devices.reduce(
-            (s, d) => s + (d.monitoringParams?.length || 0), 0) /
-            numDevices :
-        0;
-    const readsPerDevice =
-        2 + Math.round(avgMonParams);  // status + speed + monitoring
-    const worstPerDevice =
-        readTimeout * readsPerDevice + gap * readsPerDevice + pollInterval;
-    const normalPerDevice =
-        gap * readsPerDevice + pollInterval;  // 응답이 빠를 때 (응답시간 무시)
+        // Hide manufacture tab in Device page
+        const deviceManufactureTab =
+            document.querySelector('.device-setup-tab[data-tab="manufacture"]');
+        if (deviceManufactureTab) {
+          deviceManufactureTab.style.display = 'none';
+        }
 
-    // 전체 라운드: 모든 디바이스 한 바퀴
-    const worstRound = worstPerDevice * Math.max(numDevices, 1);
-    const normalRound = normalPerDevice * Math.max(numDevices, 1);
+        // Hide communication statistics in navbar
+        const navbarStats = document.getElementById('navbarStats');
+        if (navbarStats) {
+          navbarStats.style.display = 'none';
+        }
 
-    const fmt = ms => ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+        this.refreshConfigForDevModeChange();
+        this.showToast('🔧 개발자 모드가 비활성화되었습니다', 'error');
+        // Switch to dashboard if currently on a dev-only page
+        if (this.currentPage === 'manufacture' ||
+            this.currentPage === 'temp2702') {
+          this.switchPage('dashboard');
+          this._setMenuActive('dashboard');
+        }
+      });
+    }
 
-    if (numDevices === 0) {
-      el.innerHTML = `
-                <span style="color:#aaa;">연결된 디바이스가 없습니다.</span><br>
-                <span style="color:#888; font-size:11px;">디바이스 추가 후 갱신 주기가 표시됩니다.</span>`;
-    } else {
-      el.innerHTML = `
-                <div style="display:grid; grid-template-columns:1fr 1fr; gap:8px;">
-                    <div>
-                        <div style="color:#888; font-size:11px;">디바이스 수</div>
-                        <div style="color:#fff; font-weight:600;">${
-          numDevices}대</div>
-                    </div>
-                    <div>
-                        <div style="color:#888; font-size:11px;">읽기 수 / 디바이스</div>
-                        <div style="color:#fff; font-weight:600;">${
-          readsPerDevice}회</div>
-                    </div>
-                    <div>
-                        <div style="color:#888; font-size:11px;">전체 라운드 (정상)</div>
-                        <div style="color:#90ee90; font-weight:600;">≈ ${
-          fmt(normalRound)}</div>
-                    </div>
-                    <div>
-                        <div style="color:#888; font-size:11px;">전체 라운드 (타임아웃 시)</div>
-                        <div style="color:#f08080; font-weight:600;">최대 ${
-          fmt(worstRound)}</div>
-                    </div>
-                </div>`;
+    // Restore last visited page from sessionStorage and activate immediately
+    const savedPage = sessionStorage.getItem('currentPage');
+    // firmware is no longer a separate page; redirect to device-setup
+    const pageToShow =
+        (savedPage === 'firmware' ? 'device-setup' : savedPage) || 'dashboard';
+
+    // Immediately activate the correct page without rendering other pages first
+    const pageElement = document.getElementById(`page-${pageToShow}`);
+    if (pageElement) {
+      // Directly set active class to avoid rendering unwanted pages
+      pageElement.classList.add('active');
+      document.body.classList.toggle('chart-active', pageToShow === 'chart');
+
+      // Update menu item active state immediately
+      this._setMenuActive(pageToShow);
     }
   }
 
   /**
-   * Apply polling settings from modal
+   * 현재 세션이 개발자 모드인지 여부
    */
-  applyPollingSettings() {
-    const interval = parseInt(document.getElementById('pollingInterval').value);
-    const readTimeout =
-        parseInt(document.getElementById('pollingTimeout').value);
-    const writeTimeout =
-        parseInt(document.getElementById('commandTimeout').value);
-    const paramDelay =
-        parseInt(document.getElementById('paramPollingDelay').value);
-    const backgroundToggle = document.getElementById('backgroundPollingToggle');
-
-    if (interval >= 10 && interval <= 5000) {
-      this.autoPollingInterval = interval;
-    }
-    if (readTimeout >= 50 && readTimeout <= 5000) {
-      this.pollingTimeout = readTimeout;
-    }
-    if (writeTimeout >= 50 && writeTimeout <= 5000) {
-      this.commandTimeout = writeTimeout;
-    }
-    if (paramDelay >= 0 && paramDelay <= 500) {
-      this.paramPollingDelay = paramDelay;
-    }
-
-    const wasEnabled = this.backgroundPollingEnabled;
-    this.backgroundPollingEnabled = backgroundToggle.checked;
-
-    // Create or destroy worker based on setting change
-    if (this.backgroundPollingEnabled && !wasEnabled && this.autoPollingTimer) {
-      this.createPollingWorker();
-    } else if (!this.backgroundPollingEnabled && wasEnabled) {
-      this.destroyPollingWorker();
-    }
-
-    this.savePollingSettings();
-    this.updatePollingEstimate();
-    this.showToast('폴링 설정이 적용되었습니다', 'success');
-  }
-
-  /**
-   * Save polling settings to localStorage
-   */
-  savePollingSettings() {
-    const settings = {
-      autoPollingInterval: this.autoPollingInterval,
-      pollingTimeout: this.pollingTimeout,
-      commandTimeout: this.commandTimeout,
-      paramPollingDelay: this.paramPollingDelay,
-      backgroundPollingEnabled: this.backgroundPollingEnabled
-    };
-    localStorage.setItem('pollingSettings', JSON.stringify(settings));
-  }
+  isDeveloperMode() {
+    return sessionStorage.getItem('developerMode') === 'true';
+  }
 
   /**
-   * Load polling settings from localStorage
+   * Configuration 탭이 보이고 있을 때 디바이스를 다시 렌더링.
+   * 개발자 모드 토글 시 dev-only 탭/파라미터 표시 갱신용.
    */
-  loadPollingSettings() {
-    const saved = localStorage.getItem('pollingSettings');
-    if (saved) {
-      try {
-        const settings = JSON.parse(saved);
-        if (settings.autoPollingInterval)
-          this.autoPollingInterval = settings.autoPollingInterval;
-        if (settings.pollingTimeout)
-          this.pollingTimeout = settings.pollingTimeout;
-        if (settings.commandTimeout)
-          this.commandTimeout = settings.commandTimeout;
-        if (settings.paramPollingDelay !== undefined)
-          this.paramPollingDelay = settings.paramPollingDelay;
-        if (settings.backgroundPollingEnabled !== undefined)
-          this.backgroundPollingEnabled = settings.backgroundPollingEnabled;
-      } catch (e) {
-        console.error('Failed to load polling settings:', e);
-      }
+  refreshConfigForDevModeChange() {
+    const device = this.devices &&
+        this.devices.find(d => d.id === this.currentSetupDeviceId);
+    if (!device) return;
+    const devOnly = new Set(
+        ['motorInfo', 'sensor', 'servoTuning', 'alarm', 'productSetting']);
+    if (!this.isDeveloperMode() && devOnly.has(this.activeConfigCategory)) {
+      this.activeConfigCategory = 'motor';
+    }
+    if (document.getElementById('deviceSetupConfig')) {
+      this.renderDeviceSetupConfig(device);
     }
   }
 
   /**
-   * Open Settings Modal
+   * Enable developer mode - show manufacture menu
    */
-  openSettingsModal() {
-    const modal = document.getElementById('settingsModal');
-    modal.classList.add('active');
-
-    // Sync values from main settings to modal
-    document.getElementById('modal-baseFrameCount').value = this.baseFrameCount;
-    document.getElementById('modal-simSlaveId').value = this.simulator.slaveId;
-    document.getElementById('modal-simDelay').value =
-        this.simulator.responseDelay;
+  enableDeveloperMode() {
+    const manufactureMenuItem = document.getElementById('manufactureMenuItem');
+    if (manufactureMenuItem) {
+      manufactureMenuItem.style.display = 'flex';
+    }
 
-    // Sync auto scan toggle
-    const autoScanToggle = document.getElementById('autoScanEnabled');
-    const autoScanStatus = document.getElementById('autoScanStatus');
-    if (autoScanToggle) {
-      autoScanToggle.checked = this.autoScanEnabled;
-      if (autoScanStatus) {
-        autoScanStatus.textContent = this.autoScanEnabled ? '활성' : '비활성';
-        autoScanStatus.classList.toggle('active', this.autoScanEnabled);
-      }
+    const temp2702MenuItem = document.getElementById('temp2702MenuItem');
+    if (temp2702MenuItem) {
+      temp2702MenuItem.style.display = 'flex';
     }
 
-    // Sync polling settings
-    document.getElementById('pollingInterval').value = this.autoPollingInterval;
-    document.getElementById('pollingTimeout').value = this.pollingTimeout;
-    document.getElementById('commandTimeout').value = this.commandTimeout;
-    document.getElementById('paramPollingDelay').value = this.paramPollingDelay;
-    document.getElementById('backgroundPollingToggle').checked =
-        this.backgroundPollingEnabled;
-    this.updatePollingEstimate();
+    // Also show manufacture tab in Device page
+    const deviceManufactureTab =
+        document.querySelector('.device-setup-tab[data-tab="manufacture"]');
+    if (deviceManufactureTab) {
+      deviceManufactureTab.style.display =
+          '';  // Remove inline display:none to show the button
+    }
 
-    // Update simulator button state
-    this.updateModalSimulatorDisplay();
+    // Show communication statistics in navbar
+    const navbarStats = document.getElementById('navbarStats');
+    if (navbarStats) {
+      navbarStats.style.display = 'flex';
+    }
   }
 
   /**
-   * Close Settings Modal
+   * Set active state on menu item for the given page
    */
-  closeSettingsModal() {
-    const modal = document.getElementById('settingsModal');
-    modal.classList.remove('active');
+  _setMenuActive(page) {
+    document.querySelectorAll('.menu-item')
+        .forEach(mi => mi.classList.remove('active'));
+    const item = document.querySelector(`.menu-item[data-page="${page}"]`);
+    if (item) item.classList.add('active');
   }
 
   /**
-   * Switch between settings panels in modal
+   * Switch between pages
    */
-  switchSettingPanel(panelName) {
-    document.querySelectorAll('.settings-panel').forEach(panel => {
-      panel.classList.remove('active');
+  async switchPage(pageName) {
+    document.querySelectorAll('.page-content').forEach(page => {
+      page.classList.remove('active');
     });
-    document.getElementById(`settings-${panelName}`).classList.add('active');
-  }
+    document.getElementById(`page-${pageName}`).classList.add('active');
 
-  /**
-   * Update modal simulator display
-   */
-  updateModalSimulatorDisplay() {
-    const modalBtn = document.getElementById('modal-simToggleBtn');
-    const modalStatus = document.getElementById('modal-simStatus');
+    // Chart 페이지는 스크롤 없이 전체 화면을 채우도록 body 클래스 토글
+    document.body.classList.toggle('chart-active', pageName === 'chart');
 
-    if (this.simulatorEnabled) {
-      modalBtn.textContent = 'Deactivate';
-      modalBtn.classList.remove('btn-success');
-      modalBtn.classList.add('btn-warning');
-      if (modalStatus) {
-        modalStatus.textContent = '활성';
-        modalStatus.style.color = '#28a745';
+    // Track current page
+    this.currentPage = pageName;
+
+    // Save current page to sessionStorage for refresh persistence
+    sessionStorage.setItem('currentPage', pageName);
+
+    // Clear device setup tab state when leaving device-setup page
+    if (pageName !== 'device-setup') {
+      sessionStorage.removeItem('deviceSetupTab');
+      sessionStorage.removeItem('manufactureSubtab');
+    }
+
+    // HW Overview 폴링은 해당 탭에서만 동작 — 페이지 전환 시 항상 중지
+    this.stopOvPolling();
+    this.stopOffsetAlarmPolling();
+    this.stopOffsetStatus2617Polling();
+    this.stopMiniChart('offsetHall');
+
+    // Temp 0x2702 탭 폴링도 페이지 전환 시 중지
+    if (pageName !== 'temp2702') {
+      this.stopTemp2702Polling();
+    }
+
+    // Start/stop polling based on page
+    if (pageName === 'dashboard') {
+      // Start polling when on Dashboard
+      if (this.writer || this.simulatorEnabled) {
+        this.startAutoPolling();
       }
     } else {
-      modalBtn.textContent = 'Activate';
-      modalBtn.classList.remove('btn-warning');
-      modalBtn.classList.add('btn-success');
-      if (modalStatus) {
-        modalStatus.textContent = '비활성';
-        modalStatus.style.color = '#6c757d';
+      // Stop polling when leaving Dashboard
+      this.stopAutoPolling();
+      // 진행 중인 폴링 사이클이 완전히 끝날 때까지 대기
+      // (isPolling=true 상태에서 refreshDevice가 직접 TX를 쏘면 버스 충돌 발생)
+      const deadline = Date.now() + 1000;
+      while (this.isPolling && Date.now() < deadline) {
+        await this.delay(5);
       }
     }
-  }
-
-  /**
-   * Update write value input visibility based on function code
-   */
-  updateWriteValueVisibility(functionCode) {
-    const writeValueGroup = document.getElementById('writeValueGroup');
-    const quantityGroup = document.getElementById('quantity').parentElement;
-    const startAddressRow = document.getElementById('startAddressRow');
-    const quantityRow = document.getElementById('quantityRow');
-    const fc2bGroup = document.getElementById('fc2bGroup');
 
-    if (functionCode === 43) {  // FC 0x2B MEI Transport (CANopen SDO)
-      writeValueGroup.style.display = 'none';
-      quantityGroup.style.display = 'none';
-      if (startAddressRow) startAddressRow.style.display = 'none';
-      if (quantityRow) quantityRow.style.display = 'none';
-      if (fc2bGroup) fc2bGroup.style.display = 'block';
-      return;
+    // Update device setup list when switching to device-setup page
+    if (pageName === 'device-setup') {
+      this.renderDeviceSetupList();
     }
 
-    if (startAddressRow) startAddressRow.style.display = 'flex';
-    if (quantityRow) quantityRow.style.display = 'flex';
-    if (fc2bGroup) fc2bGroup.style.display = 'none';
+    // Temp 0x2702 탭: 진입 시 슬레이브 드롭다운/테이블 렌더
+    if (pageName === 'temp2702') {
+      this._renderTemp2702Tab();
+    }
 
-    if ([5, 6].includes(functionCode)) {
-      writeValueGroup.style.display = 'flex';
-      quantityGroup.style.display = 'none';
-    } else if ([15, 16].includes(functionCode)) {
-      writeValueGroup.style.display = 'flex';
-      quantityGroup.style.display = 'flex';
-    } else {
-      writeValueGroup.style.display = 'none';
-      quantityGroup.style.display = 'flex';
+    // Resize chart canvas when switching to chart page
+    if (pageName === 'chart' && this.chartManager) {
+      setTimeout(() => {
+        this.chartManager.resizeCanvas();
+        this.chartManager.render();
+      }, 50);
     }
   }
 
   /**
-   * Connect to serial port
+   * Initialize Monitor Panel (right slide panel)
    */
-  async connect() {
-    try {
-      const baudRateEl = document.getElementById('sidebar-baudRate');
-      const dataBitsEl = document.getElementById('sidebar-dataBits');
-      const parityEl = document.getElementById('sidebar-parity');
-      const stopBitsEl = document.getElementById('sidebar-stopBits');
-
-      // Get values with validation
-      const baudRate = parseInt(baudRateEl.value) || DEFAULT_SERIAL.baudRate;
-      const dataBits = parseInt(dataBitsEl.value) || DEFAULT_SERIAL.dataBits;
-      const parity = parityEl.value || DEFAULT_SERIAL.parity;
-      const stopBits = parseInt(stopBitsEl.value) || DEFAULT_SERIAL.stopBits;
+  initMonitorPanel() {
+    const toggleBtn = document.getElementById('monitorToggleBtn');
+    const panel = document.getElementById('monitorPanel');
+    const closeBtn = document.getElementById('monitorPanelClose');
+    const mainContent = document.querySelector('.main-content');
+    const resizeHandle = document.getElementById('monitorResizeHandle');
 
-      // Log settings for debugging
-      console.log('Serial Settings:', {baudRate, dataBits, parity, stopBits});
+    // State
+    this.monitorPanelOpen = false;
+    this.monitorPanelWidth =
+        parseInt(localStorage.getItem('monitorPanelWidth')) || 500;
 
-      this.port = await navigator.serial.requestPort();
+    // Apply saved width using CSS variable
+    panel.style.width = this.monitorPanelWidth + 'px';
+    document.documentElement.style.setProperty(
+        '--monitor-panel-width', this.monitorPanelWidth + 'px');
 
-      const serialOptions = {
-        baudRate: baudRate,
-        dataBits: dataBits,
-        parity: parity,
-        stopBits: stopBits,
-        flowControl: 'none'
-      };
+    // Set initial closed position based on panel width
+    if (!panel.classList.contains('open')) {
+      panel.style.right = `-${this.monitorPanelWidth + 50}px`;
+    }
 
-      console.log('Opening port with options:', serialOptions);
+    // Toggle button click
+    toggleBtn.addEventListener('click', () => {
+      this.toggleMonitorPanel();
+    });
 
-      await this.port.open(serialOptions);
+    // Close button click
+    closeBtn.addEventListener('click', () => {
+      this.closeMonitorPanel();
+    });
 
-      this.writer = this.port.writable.getWriter();
-      this.startReading();
+    // Keyboard shortcut (Ctrl+M or Cmd+M)
+    document.addEventListener('keydown', (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key === 'm') {
+        e.preventDefault();
+        this.toggleMonitorPanel();
+      }
+    });
 
-      this.isConnected = true;
-      this.updateConnectionStatus(true);
+    // Resize functionality
+    this.initMonitorResize(resizeHandle, panel, mainContent);
 
-      // HW Overview 탭이 실제로 활성 상태일 때만 폴링 시작
-      // (manufactureHwOverview는 초기 inline style이 display:flex이므로
-      //  자체 style만 보면 안 됨 — 페이지/탭/서브탭을 모두 확인)
-      const onManufactureTab =
-          sessionStorage.getItem('deviceSetupTab') === 'manufacture';
-      const onHwOverview = (sessionStorage.getItem('manufactureSubtab') ||
-                            'hw-overview') === 'hw-overview';
-      if (this.currentPage === 'device-setup' && onManufactureTab &&
-          onHwOverview) {
-        this.initMiniCharts();
-        this.startOvPolling();
+    // Raw data copy functionality (event delegation)
+    const monitorDisplay = document.getElementById('monitorDisplay');
+    monitorDisplay.addEventListener('click', (e) => {
+      const rawContainer = e.target.closest('.monitor-raw-container');
+      if (rawContainer) {
+        e.stopPropagation();
+        const rawData = rawContainer.dataset.raw;
+        navigator.clipboard.writeText(rawData)
+            .then(() => {
+              this.showToast(
+                  'Raw 데이터가 클립보드에 복사되었습니다', 'success');
+            })
+            .catch(() => {
+              this.showToast('복사에 실패했습니다', 'error');
+            });
       }
+    });
+  }
 
-      // Configuration 탭이 열려있으면 현재 카테고리 파라미터 자동 읽기
-      if (this.currentSetupDeviceId) {
-        const cat = this.activeConfigCategory || 'motorInfo';
-        setTimeout(() => {
-          if (cat === 'alarm') {
-            // 알람 카테고리는 자체 Read All 사용 (FC 0x2B SDO)
-            this.alarmEnableReadAll();
-          } else {
-            this.readConfigCategory(cat, this.currentSetupDeviceId);
-          }
-        }, 800);
-      }
+  /**
+   * Initialize monitor panel resize functionality
+   */
+  initMonitorResize(handle, panel, mainContent) {
+    let isResizing = false;
+    let startX = 0;
+    let startWidth = 0;
 
-      // Save settings to localStorage
-      this.saveSerialSettings({baudRate, dataBits, parity, stopBits});
+    const startResize = (e) => {
+      isResizing = true;
+      startX = e.clientX || e.touches[0].clientX;
+      startWidth = panel.offsetWidth;
+      panel.classList.add('resizing');
+      handle.classList.add('active');
+      document.body.style.cursor = 'ew-resize';
+      document.body.style.userSelect = 'none';
+      e.preventDefault();
+    };
 
-      const settingsStr = `${baudRate} baud, ${dataBits}${
-          parity.charAt(0).toUpperCase()}${stopBits}`;
-      this.addMonitorEntry('received', `Connected: ${settingsStr}`);
-      this.showToast(
-          `시리얼 포트가 연결되었습니다 (${settingsStr})`, 'success');
+    const doResize = (e) => {
+      if (!isResizing) return;
 
-      // Auto scan if enabled
-      if (this.autoScanEnabled) {
-        this.showToast('자동 탐색을 시작합니다...', 'info');
-        setTimeout(() => this.startDeviceScan(true), 500);
-      }
+      const clientX = e.clientX || (e.touches && e.touches[0].clientX);
+      if (clientX === undefined) return;
 
-      // Start auto polling only if on Dashboard page
-      if (this.currentPage === 'dashboard') {
-        this.startAutoPolling();
-      }
+      const diff = startX - clientX;
+      let newWidth = startWidth + diff;
 
-      // 기존 등록 디바이스의 operationMode를 디바이스에서 다시 읽기
-      // (앱 재시작 시 localStorage 값과 실제 디바이스 설정이 다를 수 있음)
-      // auto-scan이 활성화된 경우: 스캔 완료 콜백(startDeviceScan 내부)에서
-      // 처리 auto-scan이 비활성화된 경우: 폴링 시작 후 바로 실행
-      if (!this.autoScanEnabled) {
-        const existingDevices = this.devices.filter(d => d.slaveId !== 0);
-        if (existingDevices.length > 0) {
-          setTimeout(() => {
-            existingDevices.forEach(d => this.initializeDeviceMode(d.id));
-          }, 500);
-        }
+      // Constrain width
+      const minWidth = 350;
+      const maxWidth = window.innerWidth * 0.8;
+      newWidth = Math.max(minWidth, Math.min(maxWidth, newWidth));
+
+      // Apply new width
+      panel.style.width = newWidth + 'px';
+      this.monitorPanelWidth = newWidth;
+
+      // Update main content margin if panel is open
+      if (this.monitorPanelOpen) {
+        mainContent.style.marginRight = newWidth + 'px';
+        document.documentElement.style.setProperty(
+            '--monitor-width', newWidth + 'px');
       }
+    };
 
-    } catch (error) {
-      console.error('Connection error:', error);
-      this.addMonitorEntry('error', `Connection failed: ${error.message}`);
-      this.showToast(`연결에 실패했습니다: ${error.message}`, 'error');
-    }
+    const stopResize = () => {
+      if (!isResizing) return;
+      isResizing = false;
+      panel.classList.remove('resizing');
+      handle.classList.remove('active');
+      document.body.style.cursor = '';
+      document.body.style.userSelect = '';
+
+      // Save width to localStorage
+      localStorage.setItem('monitorPanelWidth', this.monitorPanelWidth);
+
+      // Update CSS variable for closed position calculation
+      document.documentElement.style.setProperty(
+          '--monitor-panel-width', this.monitorPanelWidth + 'px');
+    };
+
+    // Mouse events
+    handle.addEventListener('mousedown', startResize);
+    document.addEventListener('mousemove', doResize);
+    document.addEventListener('mouseup', stopResize);
+
+    // Touch events for mobile
+    handle.addEventListener('touchstart', startResize, {passive: false});
+    document.addEventListener('touchmove', doResize, {passive: false});
+    document.addEventListener('touchend', stopResize);
   }
 
   /**
-   * Save serial settings to localStorage
+   * Toggle Monitor Panel
    */
-  saveSerialSettings(settings) {
-    localStorage.setItem('serialSettings', JSON.stringify(settings));
+  toggleMonitorPanel() {
+    if (this.monitorPanelOpen) {
+      this.closeMonitorPanel();
+    } else {
+      this.openMonitorPanel();
+    }
   }
 
   /**
-   * Load serial settings from localStorage
+   * Open Monitor Panel
    */
-  loadSerialSettings() {
-    const baudRateEl = document.getElementById('sidebar-baudRate');
-    const dataBitsEl = document.getElementById('sidebar-dataBits');
-    const parityEl = document.getElementById('sidebar-parity');
-    const stopBitsEl = document.getElementById('sidebar-stopBits');
+  openMonitorPanel() {
+    const panel = document.getElementById('monitorPanel');
+    const toggleBtn = document.getElementById('monitorToggleBtn');
+    const mainContent = document.querySelector('.main-content');
+    const grid = document.querySelector('.device-grid');
 
-    const saved = localStorage.getItem('serialSettings');
-    if (saved) {
-      try {
-        const settings = JSON.parse(saved);
+    // Calculate grid columns for smooth transition
+    if (grid) {
+      const currentColumns = window.getComputedStyle(grid).gridTemplateColumns;
+      const currentCols = currentColumns.split(' ').length;
 
-        if (baudRateEl && settings.baudRate)
-          baudRateEl.value = settings.baudRate;
-        if (dataBitsEl && settings.dataBits)
-          dataBitsEl.value = settings.dataBits;
-        if (parityEl && settings.parity) parityEl.value = settings.parity;
-        if (stopBitsEl && settings.stopBits)
-          stopBitsEl.value = settings.stopBits;
+      // Set current columns as explicit repeat()
+      grid.style.gridTemplateColumns = `repeat(${currentCols}, 1fr)`;
 
-        console.log('Loaded serial settings:', settings);
-      } catch (e) {
-        console.error('Failed to load serial settings:', e);
-      }
-    } else {
-      // 저장된 설정 없음 → syncSerialSettings()에서 이미 DEFAULT_SERIAL 적용됨
+      // Force reflow
+      void grid.offsetHeight;
+
+      // Calculate new column count after monitor opens
+      requestAnimationFrame(() => {
+        const newWidth = mainContent.offsetWidth - this.monitorPanelWidth;
+        const newCols = Math.max(1, Math.floor(newWidth / 320));
+        grid.style.gridTemplateColumns = `repeat(${newCols}, 1fr)`;
+        grid.style.transition = 'grid-template-columns 0.3s ease';
+      });
+    }
+
+    panel.classList.add('open');
+    toggleBtn.classList.add('active');
+    mainContent.classList.add('monitor-open');
+    this.monitorPanelOpen = true;
+
+    // Apply saved width
+    mainContent.style.marginRight = this.monitorPanelWidth + 'px';
+    document.documentElement.style.setProperty(
+        '--monitor-width', this.monitorPanelWidth + 'px');
+
+    // Restore auto-fill after transition completes
+    if (grid) {
+      setTimeout(() => {
+        grid.style.gridTemplateColumns = '';
+        grid.style.transition = '';
+      }, 300);
     }
+
+    // Save state
+    localStorage.setItem('monitorPanelOpen', 'true');
   }
 
   /**
-   * Disconnect from serial port
+   * Close Monitor Panel
    */
-  async disconnect() {
-    try {
-      // Stop auto polling (force=true: 즉시 강제 중단)
-      this.stopAutoPolling(true);
-      this._busBusy = false;  // 연결 해제 시 bus mutex 강제 해제 — stuck 방지
+  closeMonitorPanel() {
+    const panel = document.getElementById('monitorPanel');
+    const toggleBtn = document.getElementById('monitorToggleBtn');
+    const mainContent = document.querySelector('.main-content');
+    const grid = document.querySelector('.device-grid');
 
-      this.readInProgress = false;
+    // Calculate grid columns for smooth transition
+    if (grid) {
+      const currentColumns = window.getComputedStyle(grid).gridTemplateColumns;
+      const currentCols = currentColumns.split(' ').length;
 
-      if (this.reader) {
-        try {
-          await this.reader.cancel();
-        } catch (e) { /* ignore - port may be gone */
-        }
-        // startReading()의 finally 블록에서 이미 releaseLock()이 호출될 수
-        // 있으므로 재확인
-        if (this.reader) {
-          try {
-            this.reader.releaseLock();
-          } catch (e) { /* ignore */
-          }
-          this.reader = null;
-        }
-      }
+      // Set current columns as explicit repeat()
+      grid.style.gridTemplateColumns = `repeat(${currentCols}, 1fr)`;
 
-      if (this.writer) {
-        try {
-          this.writer.releaseLock();
-        } catch (e) { /* ignore - port may be gone */
-        }
-        this.writer = null;
-      }
+      // Force reflow
+      void grid.offsetHeight;
 
-      if (this.port) {
-        try {
-          await this.port.close();
-        } catch (e) {
-          // 물리적으로 제거된 경우 port.close()가 실패할 수 있음 - 무시
-          console.warn('Port close warning (physical removal?):', e.message);
-        }
-        this.port = null;
-      }
+      // Calculate new column count after monitor closes
+      requestAnimationFrame(() => {
+        const newWidth = mainContent.offsetWidth;
+        const newCols = Math.max(1, Math.floor(newWidth / 320));
+        grid.style.gridTemplateColumns = `repeat(${newCols}, 1fr)`;
+        grid.style.transition = 'grid-template-columns 0.3s ease';
+      });
+    }
 
-      this.addMonitorEntry('received', 'Disconnected from serial port');
-      this.showToast('시리얼 포트 연결이 해제되었습니다', 'info');
+    panel.classList.remove('open');
+    toggleBtn.classList.remove('active');
+    mainContent.classList.remove('monitor-open');
+    this.monitorPanelOpen = false;
 
-    } catch (error) {
-      this.addMonitorEntry('error', `Disconnect error: ${error.message}`);
-    } finally {
-      // 물리적 제거 포함 모든 경우에 항상 연결 상태를 해제
-      this.isConnected = false;
-      this.updateConnectionStatus(false);
-      // HW Overview 폴링 중지 + 1회 실행 플래그 리셋 (재연결 시 재실행)
-      this.ovPollingRunning = false;
-      this.ovOnceExecuted = false;
-      // Offset 탭 알람코드 / Status 폴링 중지
-      this.offsetAlarmPollingRunning = false;
-      this.offsetStatus2617PollingRunning = false;
+    // Reset margin
+    mainContent.style.marginRight = '';
+
+    // Set closed position based on panel width to fully hide the panel
+    const panelWidth = panel.offsetWidth || this.monitorPanelWidth;
+    panel.style.right = `-${panelWidth + 50}px`;
+
+    // Restore auto-fill after transition completes
+    if (grid) {
+      setTimeout(() => {
+        grid.style.gridTemplateColumns = '';
+        grid.style.transition = '';
+      }, 300);
     }
+
+    // Save state
+    localStorage.setItem('monitorPanelOpen', 'false');
   }
 
   /**
-   * 동일 포트를 새 통신 설정으로 재접속 (OS 검증용).
-   * requestPort() 없이 기존 포트 참조를 재사용하므로 사용자 제스처 불필요.
-   *
-   * @param {number} baudRate  - 새 Baudrate (예: 9600)
-   * @param {string} parity    - 'none' | 'even' | 'odd'
-   * @param {number} stopBits  - 1 | 2
+   * Initialize Settings Modal
    */
-  async reconnectSerial(baudRate, parity, stopBits = 1, silent = false) {
-    const port = this.port;
-    if (!port) throw new Error('포트 참조 없음 — 먼저 Connect 하세요');
+  initSettingsModal() {
+    const settingsModal = document.getElementById('settingsModal');
+    const openSettingsBtn = document.getElementById('openSettingsBtn');
+    const closeSettingsBtn = document.getElementById('closeSettingsBtn');
 
-    // 1. 현재 연결 종료 (this.port = null 로 설정됨)
-    await this.disconnect();
+    // Open settings modal
+    openSettingsBtn.addEventListener('click', () => {
+      this.openSettingsModal();
+    });
 
-    // 2. 사이드바 UI 동기화
-    const setEl = (id, val) => {
-      const e = document.getElementById(id);
-      if (e) e.value = String(val);
-    };
-    setEl('sidebar-baudRate', baudRate);
-    setEl('sidebar-parity', parity);
-    setEl('sidebar-stopBits', stopBits);
+    // Close settings modal
+    closeSettingsBtn.addEventListener('click', () => {
+      this.closeSettingsModal();
+    });
 
-    // 3. 저장해 둔 포트를 새 설정으로 재오픈
-    await port.open(
-        {baudRate, parity, stopBits, dataBits: 8, flowControl: 'none'});
+    // Close on outside click (with drag protection)
+    let settingsMouseDownTarget = null;
 
-    // 4. 대시보드 상태 복원
-    this.port = port;
-    this.writer = port.writable.getWriter();
-    this.startReading();
-    this.isConnected = true;
-    this.updateConnectionStatus(true);
-    this.saveSerialSettings({baudRate, dataBits: 8, parity, stopBits});
+    settingsModal.addEventListener('mousedown', (e) => {
+      settingsMouseDownTarget = e.target;
+    });
 
-    if (!silent)
-      this.showToast(
-          `재접속 완료: ${baudRate}bps, ${parity}, Stop${stopBits}`, 'success');
-  }
+    settingsModal.addEventListener('click', (e) => {
+      if (e.target === settingsModal &&
+          settingsMouseDownTarget === settingsModal) {
+        this.closeSettingsModal();
+      }
+      settingsMouseDownTarget = null;
+    });
 
-  /**
-   * Start reading from serial port
-   */
-  async startReading() {
-    this.readInProgress = true;
-    this.reader = this.port.readable.getReader();
+    // Settings menu navigation
+    document.querySelectorAll('.settings-menu-item').forEach(item => {
+      item.addEventListener('click', () => {
+        const setting = item.dataset.setting;
+        this.switchSettingPanel(setting);
 
-    try {
-      while (this.readInProgress && this.port.readable) {
-        const {value, done} = await this.reader.read();
+        // Update active state
+        document.querySelectorAll('.settings-menu-item')
+            .forEach(mi => mi.classList.remove('active'));
+        item.classList.add('active');
+      });
+    });
 
-        if (done) break;
-        if (value) this.handleReceivedData(value);
-      }
-    } catch (error) {
-      if (this.readInProgress) {
-        this.addMonitorEntry('error', `Read error: ${error.message}`);
-        // 예기치 않은 읽기 오류 → 충돌 원인인지 물리 제거인지 판단 후 자동
-        // 재연결 시도
-        setTimeout(() => {
-          if (this.isConnected) {
-            this.autoReconnectAfterCollision();
-          }
-        }, 0);
-      }
-    } finally {
-      if (this.reader) {
-        // cancel()은 stream을 취소하고 lock을 해제함 — releaseLock()만으로는
-        // errored stream에서 port.close()가 실패할 수 있어 cancel() 사용
-        try {
-          await this.reader.cancel();
-        } catch (e) { /* stream already errored — ignore */
-        }
-        this.reader = null;
-      }
-    }
-  }
+    // Modal settings controls
+    document.getElementById('modal-baseFrameCount')
+        .addEventListener('change', (e) => {
+          this.baseFrameCount = parseInt(e.target.value);
+          this.saveSettings();
+          this.updateStatsDisplay();
+        });
 
-  /**
-   * RS-485 버스 충돌로 인한 시리얼 포트 끊김 후 자동 재연결 시도.
-   * - 물리적 제거 시: port.open()이 실패 → 기존 disconnect() 호출
-   * - 충돌로 인한 끊김: 동일 포트를 close→reopen 후 폴링 재개
-   */
-  async autoReconnectAfterCollision() {
-    if (this._autoReconnecting) return;
-    this._autoReconnecting = true;
+    document.getElementById('modal-simToggleBtn')
+        .addEventListener('click', () => this.toggleSimulator());
+    document.getElementById('modal-simResetBtn')
+        .addEventListener('click', () => this.resetSimulator());
+    document.getElementById('modal-simSlaveId')
+        .addEventListener('change', (e) => {
+          this.selectSimulatorSlave(parseInt(e.target.value));
+        });
+    document.getElementById('modal-simDelay')
+        .addEventListener('change', (e) => {
+          this.simulator.responseDelay = parseInt(e.target.value);
+          document.getElementById('simDelay').value = e.target.value;
+          this.renderSimulatorSlaves();
+          this.saveSettings();
+        });
+    document.getElementById('modal-simSlaveAddBtn')
+        .addEventListener('click', () => {
+          const id =
+              parseInt(document.getElementById('modal-simSlaveAddId').value);
+          this.selectSimulatorSlave(id);
+        });
+    document.getElementById('modal-simProfile')
+        .addEventListener('change', (e) => {
+          this.setSimulatorProfile(e.target.value);
+        });
 
-    const port = this.port;
-    if (!port) {
-      this._autoReconnecting = false;
-      return;
-    }
+    // FC 0x23 fault injection
+    document.getElementById('modal-simFwEraseTime')
+        .addEventListener('change', (e) => {
+          this.simulator.fastFwConfig.eraseTime = parseInt(e.target.value) || 0;
+        });
+    document.getElementById('modal-simFwMaxDataLen')
+        .addEventListener('change', (e) => {
+          this.simulator.fastFwConfig.maxDataLen =
+              Math.min(244, Math.max(16, parseInt(e.target.value) || 244));
+        });
+    document.getElementById('modal-simFwFaultAddBtn')
+        .addEventListener('click', () => this.addSimulatorFwFault());
+    document.getElementById('modal-simFwFaultClearBtn')
+        .addEventListener('click', () => {
+          this.simulator.clearFastFwFaults();
+          this.renderSimulatorFwFaults();
+        });
 
-    const saved = localStorage.getItem('serialSettings');
-    if (!saved) {
-      this._autoReconnecting = false;
-      this.addMonitorEntry(
-          'error', 'Serial port physically removed - auto disconnecting');
-      this.showToast('시리얼 포트가 제거되어 연결이 해제되었습니다', 'error');
-      this.disconnect();
-      return;
-    }
+    // Drive alarm / warning injection
+    this.initSimulatorAlarmControls();
 
-    const {baudRate, dataBits, parity, stopBits} = JSON.parse(saved);
+    // Line impairments / virtual serial port
+    this.initSimulatorImpairmentControls();
 
-    // 폴링 즉시 중단 (reader/writer는 disconnect()가 아닌 여기서 직접 해제)
-    this.stopAutoPolling(true);
-    this._busBusy = false;
-    this.readInProgress = false;
+    // Polling settings
+    document.getElementById('applyPollingSettings')
+        .addEventListener('click', () => {
+          this.applyPollingSettings();
+        });
+  }
 
-    // 충돌로 깨진 수신 버퍼 초기화 — 재연결 후 첫 프레임 파싱 오류 방지
-    this.receiveIndex = 0;
-
-    // reader는 startReading() finally 블록에서 이미 cancel+null 처리됨 (안전망)
-    if (this.reader) {
-      try {
-        await this.reader.cancel();
-      } catch (e) {
-      }
-      this.reader = null;
-    }
-    if (this.writer) {
-      try {
-        this.writer.releaseLock();
-      } catch (e) {
-      }
-      this.writer = null;
-    }
+  /**
+   * 예상 갱신 주기를 계산해 UI에 표시
+   * 공식: 디바이스당 최악 주기 = (읽기 타임아웃 × 2 + 메시지 간격 × 3) + 폴링
+   * 간격 "최악"은 두 번의 읽기(status, speed)가 모두 타임아웃 되는 경우
+   */
+  updatePollingEstimate() {
+    const el = document.getElementById('pollingEstimateText');
+    if (!el) return;
 
-    const MAX_RETRIES = 3;
-    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-      // 물리적 제거 이벤트가 도착했으면 중단
-      if (!this._autoReconnecting) {
-        this.addMonitorEntry(
-            'error', 'Serial port physically removed - auto disconnecting');
-        this.showToast('시리얼 포트가 제거되어 연결이 해제되었습니다', 'error');
-        this.port = port;
-        this.disconnect();
-        return;
-      }
+    const readTimeout =
+        parseInt(document.getElementById('pollingTimeout')?.value) ||
+        this.pollingTimeout;
+    const gap = parseInt(document.getElementById('paramPollingDelay')?.value) ||
+        this.paramPollingDelay;
+    const pollInterval =
+        parseInt(document.getElementById('pollingInterval')?.value) ||
+        this.autoPollingInterval;
+    const numDevices = this.devices ? this.devices.length : 0;
 
-      try {
-        try {
-          await port.close();
-        } catch (e) {
-        }
+    // 디바이스 1대당 1 사이클: status read + gap + speed read + gap + (모니터링
+    // 파라미터) + pollInterval 모니터링 파라미터 수는 평균으로 추정
+    const avgMonParams = numDevices > 0 ?
+        this.devices.reduce(
+            (s, d) => s + (d.monitoringParams?.length || 0), 0) /
+            numDevices :
+        0;
+    const readsPerDevice =
+        2 + Math.round(avgMonParams);  // status + speed + monitoring
+    const worstPerDevice =
+        readTimeout * readsPerDevice + gap * readsPerDevice + pollInterval;
+    const normalPerDevice =
+        gap * readsPerDevice + pollInterval;  // 응답이 빠를 때 (응답시간 무시)
 
-        // 재시도 간 딜레이 (1회: 300ms, 2회: 700ms, 3회: 1200ms)
-        const delay = [300, 700, 1200][attempt - 1];
-        this.addMonitorEntry(
-            'error',
-            `버스 충돌 감지 — 재연결 시도 ${attempt}/${MAX_RETRIES} (${
-                delay}ms 후)`);
-        await new Promise(r => setTimeout(r, delay));
+    // 전체 라운드: 모든 디바이스 한 바퀴
+    const worstRound = worstPerDevice * Math.max(numDevices, 1);
+    const normalRound = normalPerDevice * Math.max(numDevices, 1);
 
-        if (!this._autoReconnecting) break;  // 물리 제거 이벤트 확인
+    const fmt = ms => ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
 
-        await port.open(
-            {baudRate, dataBits, parity, stopBits, flowControl: 'none'});
+    if (numDevices === 0) {
+      el.innerHTML = `
+                <span style="color:#aaa;">연결된 디바이스가 없습니다.</span><br>
+                <span style="color:#888; font-size:11px;">디바이스 추가 후 갱신 주기가 표시됩니다.</span>`;
+    } else {
+      el.innerHTML = `
+                <div style="display:grid; grid-template-columns:1fr 1fr; gap:8px;">
+                    <div>
+                        <div style="color:#888; font-size:11px;">디바이스 수</div>
+                        <div style="color:#fff; font-weight:600;">${
+          numDevices}대</div>
+                    </div>
+                    <div>
+                        <div style="color:#888; font-size:11px;">읽기 수 / 디바이스</div>
+                        <div style="color:#fff; font-weight:600;">${
+          readsPerDevice}회</div>
+                    </div>
+                    <div>
+                        <div style="color:#888; font-size:11px;">전체 라운드 (정상)</div>
+                        <div style="color:#90ee90; font-weight:600;">≈ ${
+          fmt(normalRound)}</div>
+                    </div>
+                    <div>
+                        <div style="color:#888; font-size:11px;">전체 라운드 (타임아웃 시)</div>
+                        <div style="color:#f08080; font-weight:600;">최대 ${
+          fmt(worstRound)}</div>
+                    </div>
+                </div>`;
+    }
+  }
 
-        // 재연결 성공
-        this.port = port;
-        this.writer = port.writable.getWriter();
-        this.isConnected = true;
-        this.receiveIndex = 0;  // 재오픈 직후 버퍼 재초기화 (이중 방어)
-        this.startReading();
-        this.updateConnectionStatus(true);
-        this._autoReconnecting = false;
+  /**
+   * Apply polling settings from modal
+   */
+  applyPollingSettings() {
+    const interval = parseInt(document.getElementById('pollingInterval').value);
+    const readTimeout =
+        parseInt(document.getElementById('pollingTimeout').value);
+    const writeTimeout =
+        parseInt(document.getElementById('commandTimeout').value);
+    const paramDelay =
+        parseInt(document.getElementById('paramPollingDelay').value);
+    const backgroundToggle = document.getElementById('backgroundPollingToggle');
 
-        this.addMonitorEntry(
-            'received', `자동 재연결 성공 (시도 ${attempt}회)`);
-        this.showToast('버스 충돌 후 자동 재연결 성공', 'success');
+    if (interval >= 10 && interval <= 5000) {
+      this.autoPollingInterval = interval;
+    }
+    if (readTimeout >= 50 && readTimeout <= 5000) {
+      this.pollingTimeout = readTimeout;
+    }
+    if (writeTimeout >= 50 && writeTimeout <= 5000) {
+      this.commandTimeout = writeTimeout;
+    }
+    if (paramDelay >= 0 && paramDelay <= 500) {
+      this.paramPollingDelay = paramDelay;
+    }
 
-        // 대시보드 페이지라면 폴링 재개
-        if (this.currentPage === 'dashboard' &&
-            this.devices.some(d => d.slaveId !== 0)) {
-          setTimeout(() => this.startAutoPolling(), 300);
-        }
-        return;
+    const wasEnabled = this.backgroundPollingEnabled;
+    this.backgroundPollingEnabled = backgroundToggle.checked;
 
-      } catch (e) {
-        this.addMonitorEntry(
-            'error', `재연결 시도 ${attempt} 실패: ${e.message}`);
-      }
+    // Create or destroy worker based on setting change
+    if (this.backgroundPollingEnabled && !wasEnabled && this.autoPollingTimer) {
+      this.createPollingWorker();
+    } else if (!this.backgroundPollingEnabled && wasEnabled) {
+      this.destroyPollingWorker();
     }
 
-    // 모든 시도 실패 → 물리적 제거로 판단
-    this._autoReconnecting = false;
-    this.port = port;
-    this.addMonitorEntry(
-        'error', 'Serial port physically removed - auto disconnecting');
-    this.showToast('시리얼 포트가 제거되어 연결이 해제되었습니다', 'error');
-    this.disconnect();
+    this.savePollingSettings();
+    this.updatePollingEstimate();
+    this.showToast('폴링 설정이 적용되었습니다', 'success');
   }
 
   /**
-   * Handle received data from serial port
+   * Save polling settings to localStorage
    */
-  handleReceivedData(data) {
-    for (let i = 0;
-         i < data.length && this.receiveIndex < this.receiveBuffer.length;
-         i++) {
-      this.receiveBuffer[this.receiveIndex++] = data[i];
-    }
+  savePollingSettings() {
+    const settings = {
+      autoPollingInterval: this.autoPollingInterval,
+      pollingTimeout: this.pollingTimeout,
+      commandTimeout: this.commandTimeout,
+      paramPollingDelay: this.paramPollingDelay,
+      backgroundPollingEnabled: this.backgroundPollingEnabled
+    };
+    localStorage.setItem('pollingSettings', JSON.stringify(settings));
+  }
 
-    // sendAndReceive에서 사용하는 responseBuffer에도 데이터 추가
-    if (this.responseBuffer) {
-      for (let i = 0; i < data.length; i++) {
-        this.responseBuffer.push(data[i]);
-      }
-      // event-driven: sendAndReceiveFC64 대기 중인 콜백 즉시 호출
-      if (this._serialDataCb) {
-        const fn = this._serialDataCb;
-        this._serialDataCb = null;
-        fn();
+  /**
+   * Load polling settings from localStorage
+   */
+  loadPollingSettings() {
+    const saved = localStorage.getItem('pollingSettings');
+    if (saved) {
+      try {
+        const settings = JSON.parse(saved);
+        if (settings.autoPollingInterval)
+          this.autoPollingInterval = settings.autoPollingInterval;
+        if (settings.pollingTimeout)
+          this.pollingTimeout = settings.pollingTimeout;
+        if (settings.commandTimeout)
+          this.commandTimeout = settings.commandTimeout;
+        if (settings.paramPollingDelay !== undefined)
+          this.paramPollingDelay = settings.paramPollingDelay;
+        if (settings.backgroundPollingEnabled !== undefined)
+          this.backgroundPollingEnabled = settings.backgroundPollingEnabled;
+      } catch (e) {
+        console.error('Failed to load polling settings:', e);
       }
     }
-
-    this.tryParseFrame();
   }
 
   /**
-   * Modbus RTU 응답 프레임의 예상 길이를 버퍼 내용으로부터 계산.
-   * 아직 길이를 확정할 수 없으면 null 반환.
+   * Open Settings Modal
    */
-  getExpectedFrameLength() {
-    if (this.receiveIndex < 2) return null;
-
-    const fc = this.receiveBuffer[1];
+  openSettingsModal() {
+    const modal = document.getElementById('settingsModal');
+    modal.classList.add('active');
 
-    // 에러 응답: slave(1) + fc|0x80(1) + exception_code(1) + CRC(2) = 5
-    if (fc & 0x80) return 5;
+    // Sync values from main settings to modal
+    document.getElementById('modal-baseFrameCount').value = this.baseFrameCount;
+    document.getElementById('modal-simSlaveId').value = this.simulator.slaveId;
+    document.getElementById('modal-simDelay').value =
+        this.simulator.responseDelay;
+    this.renderSimulatorSlaves();
 
-    // FC 01~04 읽기 응답: slave(1) + fc(1) + byte_count(1) + data(n) + CRC(2)
-    if (fc === 0x01 || fc === 0x02 || fc === 0x03 || fc === 0x04) {
-      if (this.receiveIndex < 3) return null;  // byte_count 아직 미수신
-      return 3 + this.receiveBuffer[2] + 2;
+    // Sync auto scan toggle
+    const autoScanToggle = document.getElementById('autoScanEnabled');
+    const autoScanStatus = document.getElementById('autoScanStatus');
+    if (autoScanToggle) {
+      autoScanToggle.checked = this.autoScanEnabled;
+      if (autoScanStatus) {
+        autoScanStatus.textContent = this.autoScanEnabled ? '활성' : '비활성';
+        autoScanStatus.classList.toggle('active', this.autoScanEnabled);
+      }
     }
 
-    // FC 05, 06, 0F, 10 쓰기 응답 에코: slave(1) + fc(1) + addr(2) +
-    // value/qty(2) + CRC(2) = 8
-    if (fc === 0x05 || fc === 0x06 || fc === 0x0F || fc === 0x10) return 8;
-
-    // FC 0x2B MEI Transport (CANopen): 가변 길이
-    // header(13) + NumData + CRC(2). NumData는 bytes[11..12] (Big-Endian)
-    // 13바이트 미만이면 null 반환해 더 기다림
-    if (fc === 0x2B) {
-      if (this.receiveIndex < 13) return null;
-      const numData = (this.receiveBuffer[11] << 8) | this.receiveBuffer[12];
-      return 13 + numData + 2;
-    }
+    // Sync polling settings
+    document.getElementById('pollingInterval').value = this.autoPollingInterval;
+    document.getElementById('pollingTimeout').value = this.pollingTimeout;
+    document.getElementById('commandTimeout').value = this.commandTimeout;
+    document.getElementById('paramPollingDelay').value = this.paramPollingDelay;
+    document.getElementById('backgroundPollingToggle').checked =
+        this.backgroundPollingEnabled;
+    this.updatePollingEstimate();
 
-    // 그 외 (알 수 없는 FC): 최소 5바이트로 폴백
-    return 5;
+    // Update simulator button state
+    this.updateModalSimulatorDisplay();
   }
 
   /**
-   * 수신 버퍼에서 완성된 Modbus RTU 프레임을 파싱.
-   *
-   * 기존 setTimeout(50ms) 방식 대신 FC 기반 길이 계산으로 즉시 처리:
-   * - 필요한 바이트 수가 정확히 차면 바로 처리 → split 오탐 없음
-   * - 50ms 타이머 중첩으로 인한 레이스 컨디션 제거
-   * - 처리 후 남은 바이트는 버퍼 앞으로 당겨 재귀 파싱
+   * Close Settings Modal
    */
-  tryParseFrame() {
-    if (this.receiveIndex < 2) return;
-
-    // FC 0x66: 펌웨어 업데이트 응답 — responseBuffer에서 별도 처리, 여기서는
-    // 무시
-    if (this.receiveBuffer[1] === 0x66) return;
-
-    // FC 0x64: Chart Continuous 응답 — responseBuffer에서 별도 처리, 여기서는
-    // 무시
-    if (this.receiveBuffer[1] === 0x64) return;
-
-    // FC 0x65: Trigger Streaming 응답 — responseBuffer에서 별도 처리, 여기서는
-    // 무시
-    if (this.receiveBuffer[1] === 0x65) return;
-
-    // FC 0x23: Fast Firmware Download 응답 — responseBuffer에서 별도 처리.
-    // FC 0x23 success: OpCode 기반 가변 길이.
-    // FC 0xA3 (= 0x23 | 0x80): 표준 Modbus exception (5 bytes).
-    if (this.receiveBuffer[1] === 0x23 || this.receiveBuffer[1] === 0xA3)
-      return;
-
-    // 버스 floating 노이즈 바이트 즉시 폐기:
-    // RS-485 DE→RE 전환 시 버스가 floating → 0xFF, 0xBF 등 무작위 바이트 수신됨
-    // Modbus 유효 슬레이브 주소는 1~247 (0x01~0xF7)이므로 범위 밖 바이트는
-    // 무효. pendingResponse가 있으면 기대 slaveId와 다른 선두 바이트도 노이즈로
-    // 처리.
-    {
-      const expectedId =
-          this.pendingResponse ? this.pendingResponse.slaveId : null;
-      const firstByte = this.receiveBuffer[0];
-      const isValidSlaveId = firstByte >= 0x01 && firstByte <= 0xF7;
-      const isExpectedSlave = expectedId === null || firstByte === expectedId;
-
-      if (!isValidSlaveId || !isExpectedSlave) {
-        // 유효한 슬레이브 ID (또는 기대 ID)가 나올 때까지 앞 바이트들 제거
-        let skipCount = 0;
-        while (skipCount < this.receiveIndex) {
-          const b = this.receiveBuffer[skipCount];
-          const valid = b >= 0x01 && b <= 0xF7;
-          const matches = expectedId === null || b === expectedId;
-          if (valid && matches) break;
-          skipCount++;
-        }
-        if (skipCount > 0) {
-          for (let i = 0; i < this.receiveIndex - skipCount; i++) {
-            this.receiveBuffer[i] = this.receiveBuffer[skipCount + i];
-          }
-          this.receiveIndex -= skipCount;
-        }
-        if (this.receiveIndex < 2) return;  // 유효 바이트 없음, 대기
-      }
-    }
-
-    const expectedLength = this.getExpectedFrameLength();
-    if (expectedLength === null) return;  // 길이 확정 불가 (바이트 부족)
-
-    // FC 0x2B 펌웨어 버그 워크어라운드:
-    // NumData 필드가 실제 전송 바이트보다 1 크게 잘못 계산된 펌웨어가 있음.
-    // → expectedLength 바이트가 아직 없더라도 expectedLength-1 바이트는 있고
-    //   그 끝 2바이트가 유효한 CRC라면 짧은 프레임으로 수용한다.
-    let actualLength = expectedLength;
-    let fc2bLengthShort = false;
-    if (this.receiveBuffer[1] === 0x2B &&
-        this.receiveIndex === expectedLength - 1 &&
-        this.modbus.verifyCRC(
-            this.receiveBuffer.slice(0, expectedLength - 1))) {
-      actualLength = expectedLength - 1;
-      fc2bLengthShort =
-          true;  // 펌웨어 버그: NumData 선언보다 1바이트 짧게 수신
-    } else if (this.receiveIndex < expectedLength) {
-      return;  // 프레임 미완성, 추가 바이트 대기
-    }
-
-    // 정확히 한 프레임만 추출
-    const frame = this.receiveBuffer.slice(0, actualLength);
-
-    // 나머지 바이트를 버퍼 앞으로 이동
-    const remaining = this.receiveIndex - actualLength;
-    for (let i = 0; i < remaining; i++) {
-      this.receiveBuffer[i] = this.receiveBuffer[actualLength + i];
-    }
-    this.receiveIndex = remaining;
-
-    // CRC 검증 (가장 먼저 — 깨진 프레임 조기 폐기)
-    if (!this.modbus.verifyCRC(frame)) {
-      this.addMonitorEntry('error', frame, null, 'CRC mismatch');
-      this.updateStats(false);
-      if (this.receiveIndex >= 2) this.tryParseFrame();
-      return;
-    }
+  closeSettingsModal() {
+    const modal = document.getElementById('settingsModal');
+    modal.classList.remove('active');
+  }
 
-    // FC 0x2B 길이 부족 경고 (CRC는 유효하나 NumData 선언보다 1바이트 짧게
-    // 수신) 별도 error 엔트리 대신 다음 received 엔트리에 경고 sub-line을 붙임
-    if (fc2bLengthShort) {
-      const declared = (frame[11] << 8) | frame[12];
-      this._pendingRxWarning =
-          `⚠ FC 0x2B: RX length mismatch — NumData declares ${
-              declared} bytes but received ${
-              declared - 1} (short by 1). Firmware bug suspected.`;
-    }
+  /**
+   * Switch between settings panels in modal
+   */
+  switchSettingPanel(panelName) {
+    document.querySelectorAll('.settings-panel').forEach(panel => {
+      panel.classList.remove('active');
+    });
+    document.getElementById(`settings-${panelName}`).classList.add('active');
+  }
 
-    // 스캔 응답 처리
-    if (this.scanResolve) {
-      const responseSlaveId = frame[0];
-      const functionCode = frame[1];
-      if (responseSlaveId === this.scanExpectedSlaveId &&
-          (functionCode & 0x80) === 0) {
-        const responseValue = (frame[3] << 8) | frame[4];
-        this.addMonitorEntry('received', frame);
-        this.updateStats(true);
-        this.scanResolve(responseValue);
-        if (this.receiveIndex >= 2) this.tryParseFrame();
-        return;
-      }
-    }
+  /**
+   * Update modal simulator display
+   */
+  updateModalSimulatorDisplay() {
+    const modalBtn = document.getElementById('modal-simToggleBtn');
+    const modalStatus = document.getElementById('modal-simStatus');
 
-    // pending 요청 응답 또는 비요청 프레임 처리
-    if (this.pendingResponse) {
-      this.handlePendingResponse(frame);
-      try {
-        const response = this.modbus.parseResponse(frame);
-        this.addMonitorEntry('received', frame, response);
-      } catch (error) {
-        this.addMonitorEntry('error', frame, null, error.message);
+    if (this.simulatorEnabled) {
+      modalBtn.textContent = 'Deactivate';
+      modalBtn.classList.remove('btn-success');
+      modalBtn.classList.add('btn-warning');
+      if (modalStatus) {
+        modalStatus.textContent = '활성';
+        modalStatus.style.color = '#28a745';
       }
     } else {
-      try {
-        const response = this.modbus.parseResponse(frame);
-        this.addMonitorEntry('received', frame, response);
-        this.updateStats(true);
-      } catch (error) {
-        this.addMonitorEntry('error', frame, null, error.message);
-        this.updateStats(false);
+      modalBtn.textContent = 'Activate';
+      modalBtn.classList.remove('btn-warning');
+      modalBtn.classList.add('btn-success');
+      if (modalStatus) {
+        modalStatus.textContent = '비활성';
+        modalStatus.style.color = '#6c757d';
       }
     }
-
-    // 버퍼에 남은 바이트가 있으면 다음 프레임도 파싱 (back-to-back 응답 대응)
-    if (this.receiveIndex >= 2) this.tryParseFrame();
   }
 
   /**
-   * Detect if input is hexadecimal (auto-detection)
-   * @param {string} value - Input value
-   * @returns {boolean} True if likely hexadecimal
+   * Update write value input visibility based on function code
    */
-  isHexadecimal(value) {
-    const trimmed = String(value).trim().toUpperCase();
+  updateWriteValueVisibility(functionCode) {
+    const writeValueGroup = document.getElementById('writeValueGroup');
+    const quantityGroup = document.getElementById('quantity').parentElement;
+    const startAddressRow = document.getElementById('startAddressRow');
+    const quantityRow = document.getElementById('quantityRow');
+    const fc2bGroup = document.getElementById('fc2bGroup');
 
-    // Explicit hex prefix
-    if (trimmed.startsWith('0X')) {
-      return true;
+    if (functionCode === 43) {  // FC 0x2B MEI Transport (CANopen SDO)
+      writeValueGroup.style.display = 'none';
+      quantityGroup.style.display = 'none';
+      if (startAddressRow) startAddressRow.style.display = 'none';
+      if (quantityRow) quantityRow.style.display = 'none';
+      if (fc2bGroup) fc2bGroup.style.display = 'block';
+      return;
     }
 
-    // Contains A-F characters (likely hex)
-    if (/[A-F]/.test(trimmed)) {
-      return true;
-    }
+    if (startAddressRow) startAddressRow.style.display = 'flex';
+    if (quantityRow) quantityRow.style.display = 'flex';
+    if (fc2bGroup) fc2bGroup.style.display = 'none';
 
-    // Otherwise, assume decimal
-    return false;
+    if ([5, 6].includes(functionCode)) {
+      writeValueGroup.style.display = 'flex';
+      quantityGroup.style.display = 'none';
+    } else if ([15, 16].includes(functionCode)) {
+      writeValueGroup.style.display = 'flex';
+      quantityGroup.style.display = 'flex';
+    } else {
+      writeValueGroup.style.display = 'none';
+      quantityGroup.style.display = 'flex';
+    }
   }
 
   /**
-   * Parse Modbus input value (supports decimal and hexadecimal with
-   * auto-detection)
-   * @param {string} value - Input value (e.g., "10", "D011", "0xFFFF")
-   * @param {number} min - Minimum allowed value
-   * @param {number} max - Maximum allowed value
-   * @returns {number} Parsed value
+   * Connect to serial port
+   * @param {boolean} simulated - true: 실제 포트 대신 시뮬레이터 버스에 연결된
+   *     가상 포트(SimulatedSerialPort) 사용 — 시리얼 수신 경로 + 회선 잡음 시험용
    */
-  parseModbusValue(value, min = 0, max = 65535) {
-    const trimmed = String(value).trim();
+  async connect(simulated = false) {
+    try {
+      const baudRateEl = document.getElementById('sidebar-baudRate');
+      const dataBitsEl = document.getElementById('sidebar-dataBits');
+      const parityEl = document.getElementById('sidebar-parity');
+      const stopBitsEl = document.getElementById('sidebar-stopBits');
 
-    if (!trimmed) {
-      throw new Error('빈 값은 허용되지 않습니다');
-    }
+      // Get values with validation
+      const baudRate = parseInt(baudRateEl.value) || DEFAULT_SERIAL.baudRate;
+      const dataBits = parseInt(dataBitsEl.value) || DEFAULT_SERIAL.dataBits;
+      const parity = parityEl.value || DEFAULT_SERIAL.parity;
+      const stopBits = parseInt(stopBitsEl.value) || DEFAULT_SERIAL.stopBits;
 
-    let parsed;
+      // Log settings for debugging
+      console.log('Serial Settings:', {baudRate, dataBits, parity, stopBits});
 
-    // Auto-detect hex or decimal
-    if (this.isHexadecimal(trimmed)) {
-      // Remove 0x prefix if present
-      const hexValue = trimmed.replace(/^0x/i, '');
+      const transport = simulated ?
+          TRANSPORT_MODES.SERIAL :
+          (document.getElementById('sidebar-transport')?.value ||
+           TRANSPORT_MODES.SERIAL);
+      const gatewayUrl =
+          document.getElementById('sidebar-gatewayUrl')?.value.trim() || '';
+
+      if (simulated) {
+        this.port = new SimulatedSerialPort(this.simulatorBus);
+      } else if (transport === TRANSPORT_MODES.SERIAL) {
+        this.port = await navigator.serial.requestPort();
+      } else {
+        this.port = this.createGatewayPort(transport, gatewayUrl);
+      }
 
-      // Check if empty after removing prefix (e.g., "0x" or "0X")
-      if (!hexValue) {
-        throw new Error('빈 값은 허용되지 않습니다');
+      const serialOptions = {
+        baudRate: baudRate,
+        dataBits: dataBits,
+        parity: parity,
+        stopBits: stopBits,
+        flowControl: 'none'
+      };
+
+      console.log('Opening port with options:', serialOptions);
+
+      try {
+        await this.port.open(serialOptions);
+      } catch (error) {
+        this.port = null;
+        throw error;
       }
 
-      // Validate hex string - only 0-9, A-F allowed
-      if (!/^[0-9A-Fa-f]+$/.test(hexValue)) {
-        throw new Error(`유효하지 않은 16진수: "${value}"`);
+      this.writer = this.port.writable.getWriter();
+      this.startReading();
+
+      this.isConnected = true;
+      this.updateConnectionStatus(true);
+
+      // HW Overview 탭이 실제로 활성 상태일 때만 폴링 시작
+      // (manufactureHwOverview는 초기 inline style이 display:flex이므로
+      //  자체 style만 보면 안 됨 — 페이지/탭/서브탭을 모두 확인)
+      const onManufactureTab =
+          sessionStorage.getItem('deviceSetupTab') === 'manufacture';
+      const onHwOverview = (sessionStorage.getItem('manufactureSubtab') ||
+                            'hw-overview') === 'hw-overview';
+      if (this.currentPage === 'device-setup' && onManufactureTab &&
+          onHwOverview) {
+        this.initMiniCharts();
+        this.startOvPolling();
       }
 
-      parsed = parseInt(hexValue, 16);
-    } else {
-      // Validate decimal string - only 0-9 allowed
-      if (!/^[0-9]+$/.test(trimmed)) {
-        throw new Error(`유효하지 않은 10진수: "${value}"`);
+      // Configuration 탭이 열려있으면 현재 카테고리 파라미터 자동 읽기
+      if (this.currentSetupDeviceId) {
+        const cat = this.activeConfigCategory || 'motorInfo';
+        setTimeout(() => {
+          if (cat === 'alarm') {
+            // 알람 카테고리는 자체 Read All 사용 (FC 0x2B SDO)
+            this.alarmEnableReadAll();
+          } else {
+            this.readConfigCategory(cat, this.currentSetupDeviceId);
+          }
+        }, 800);
       }
 
-      parsed = parseInt(trimmed, 10);
-    }
+      // Save settings to localStorage
+      this.saveSerialSettings({baudRate, dataBits, parity, stopBits});
+      if (!simulated) this.saveTransportSettings({transport, gatewayUrl});
 
-    if (isNaN(parsed)) {
-      throw new Error(`유효하지 않은 값: "${value}"`);
-    }
+      const settingsStr = transport === TRANSPORT_MODES.SERIAL ?
+          `${baudRate} baud, ${dataBits}${parity.charAt(0).toUpperCase()}${
+              stopBits}` :
+          `${this.getTransportLabel(transport)} via ${gatewayUrl}`;
+      this.addMonitorEntry('received', `Connected: ${settingsStr}`);
+      this.showToast(
+          transport === TRANSPORT_MODES.SERIAL ?
+              `시리얼 포트가 연결되었습니다 (${settingsStr})` :
+              `게이트웨이에 연결되었습니다 (${settingsStr})`,
+          'success');
 
-    if (parsed < min || parsed > max) {
-      throw new Error(`값 ${parsed} (0x${
-          parsed.toString(16).toUpperCase()})는 범위를 벗어났습니다 (${min}-${
-          max})`);
-    }
+      // Auto scan if enabled
+      if (this.autoScanEnabled) {
+        this.showToast('자동 탐색을 시작합니다...', 'info');
+        setTimeout(() => this.startDeviceScan(true), 500);
+      }
 
-    return parsed;
+      // Start auto polling only if on Dashboard page
+      if (this.currentPage === 'dashboard') {
+        this.startAutoPolling();
+      }
+
+      // 기존 등록 디바이스의 operationMode를 디바이스에서 다시 읽기
+      // (앱 재시작 시 localStorage 값과 실제 디바이스 설정이 다를 수 있음)
+      // auto-scan이 활성화된 경우: 스캔 완료 콜백(startDeviceScan 내부)에서
+      // 처리 auto-scan이 비활성화된 경우: 폴링 시작 후 바로 실행
+      if (!this.autoScanEnabled) {
+        const existingDevices = this.devices.filter(d => d.slaveId !== 0);
+        if (existingDevices.length > 0) {
+          setTimeout(() => {
+            existingDevices.forEach(d => this.initializeDeviceMode(d.id));
+          }, 500);
+        }
+      }
+
+    } catch (error) {
+      console.error('Connection error:', error);
+      this.addMonitorEntry('error', `Connection failed: ${error.message}`);
+      this.showToast(`연결에 실패했습니다: ${error.message}`, 'error');
+    }
   }
 
   /**
-   * Update converted value display — element-based (shared utility)
-   * @param {HTMLElement} inputEl
-   * @param {HTMLElement} convertedEl
-   * @param {number} min
-   * @param {number} max
+   * Serial-to-Ethernet 게이트웨이용 포트 생성 (SerialPort와 동일한 계약)
+   * - sim:// URL은 시뮬레이터 버스에 연결된 stand-in 게이트웨이 사용
+   * @param {string} transport - TRANSPORT_MODES.TCP | TRANSPORT_MODES.RTU_OVER_TCP
+   * @param {string} gatewayUrl - ws:// 또는 wss:// WebSocket 브리지 주소
+   * @returns {WebSocketModbusPort}
    */
-  updateConvertedValueEl(inputEl, convertedEl, min = 0, max = 65535) {
-    if (!inputEl || !convertedEl) return;
+  createGatewayPort(transport, gatewayUrl) {
+    if (gatewayUrl.startsWith('sim://')) {
+      // 직접 응답 모드와 동시 사용 불가 — 요청이 게이트웨이 경로를 타도록 비활성화
+      if (this.simulatorEnabled) this.toggleSimulator();
 
-    const value = inputEl.value.trim();
+      return new WebSocketModbusPort(gatewayUrl, {
+        mode: transport,
+        socketFactory: () =>
+            new SimulatedGatewaySocket(this.simulatorBus, transport)
+      });
+    }
 
-    if (!value || value.toLowerCase() === '0x') {
-      convertedEl.textContent = '';
-      inputEl.style.borderColor = '';
-      inputEl.style.background = '';
-      return;
+    if (!/^wss?:\/\//.test(gatewayUrl)) {
+      throw new Error(`게이트웨이 주소가 올바르지 않습니다: ${
+          gatewayUrl || '(비어 있음)'}`);
     }
+    return new WebSocketModbusPort(gatewayUrl, {mode: transport});
+  }
 
-    try {
-      const parsed = this.parseModbusValue(value, min, max);
-      const isHex = this.isHexadecimal(value);
+  /**
+   * Transport 표시 이름
+   */
+  getTransportLabel(transport) {
+    const labels = {
+      [TRANSPORT_MODES.SERIAL]: 'Web Serial',
+      [TRANSPORT_MODES.TCP]: 'Modbus TCP',
+      [TRANSPORT_MODES.RTU_OVER_TCP]: 'RTU over TCP'
+    };
+    return labels[transport] || transport;
+  }
 
-      convertedEl.textContent = isHex ?
-          `= ${parsed} (Dec)` :
-          `= 0x${parsed.toString(16).toUpperCase()} (Hex)`;
+  /**
+   * Transport 선택에 따라 시리얼 설정 / 게이트웨이 주소 입력 전환
+   */
+  updateTransportFields() {
+    const transport = document.getElementById('sidebar-transport')?.value ||
+        TRANSPORT_MODES.SERIAL;
+    const isSerial = transport === TRANSPORT_MODES.SERIAL;
 
-      inputEl.style.borderColor = '';
-      inputEl.style.background = '';
-      convertedEl.style.color = '';
-    } catch (error) {
-      convertedEl.textContent = `⚠ ${error.message}`;
-      convertedEl.style.color = '#dc3545';
-      inputEl.style.borderColor = '#dc3545';
-      inputEl.style.background = '#fff5f5';
+    const gatewayGroup = document.getElementById('sidebar-gatewayGroup');
+    const serialGroup = document.getElementById('sidebar-serialGroup');
+    if (gatewayGroup) gatewayGroup.style.display = isSerial ? 'none' : '';
+    if (serialGroup) serialGroup.style.display = isSerial ? '' : 'none';
+  }
 
-      setTimeout(() => {
-        convertedEl.style.color = '';
-      }, 2000);
+  /**
+   * Save transport settings to localStorage
+   */
+  saveTransportSettings(settings) {
+    localStorage.setItem('transportSettings', JSON.stringify(settings));
+  }
+
+  /**
+   * Load transport settings from localStorage
+   */
+  loadTransportSettings() {
+    const transportEl = document.getElementById('sidebar-transport');
+    const gatewayUrlEl = document.getElementById('sidebar-gatewayUrl');
+
+    const saved = localStorage.getItem('transportSettings');
+    if (saved) {
+      try {
+        const settings = JSON.parse(saved);
+        if (transportEl && settings.transport)
+          transportEl.value = settings.transport;
+        if (gatewayUrlEl && settings.gatewayUrl)
+          gatewayUrlEl.value = settings.gatewayUrl;
+      } catch (e) {
+        console.error('Failed to load transport settings:', e);
+      }
     }
+    this.updateTransportFields();
   }
 
   /**
-   * Update converted value display for an input field (ID-based, for Modbus
-   * tab)
-   * @param {string} inputId - Input element ID
-   * @param {number} min - Minimum value
-   * @param {number} max - Maximum value
+   * Save serial settings to localStorage
    */
-  updateConvertedValue(inputId, min = 0, max = 65535) {
-    this.updateConvertedValueEl(
-        document.getElementById(inputId),
-        document.getElementById(`${inputId}-converted`), min, max);
+  saveSerialSettings(settings) {
+    localStorage.setItem('serialSettings', JSON.stringify(settings));
   }
 
   /**
-   * Send Modbus request
+   * Load serial settings from localStorage
    */
-  async sendModbusRequest() {
-    if (!this.writer) {
-      this.addMonitorEntry('error', 'Not connected to serial port');
-      return;
+  loadSerialSettings() {
+    const baudRateEl = document.getElementById('sidebar-baudRate');
+    const dataBitsEl = document.getElementById('sidebar-dataBits');
+    const parityEl = document.getElementById('sidebar-parity');
+    const stopBitsEl = document.getElementById('sidebar-stopBits');
+
+    const saved = localStorage.getItem('serialSettings');
+    if (saved) {
+      try {
+        const settings = JSON.parse(saved);
+
+        if (baudRateEl && settings.baudRate)
+          baudRateEl.value = settings.baudRate;
+        if (dataBitsEl && settings.dataBits)
+          dataBitsEl.value = settings.dataBits;
+        if (parityEl && settings.parity) parityEl.value = settings.parity;
+        if (stopBitsEl && settings.stopBits)
+          stopBitsEl.value = settings.stopBits;
+
+        console.log('Loaded serial settings:', settings);
+      } catch (e) {
+        console.error('Failed to load serial settings:', e);
+      }
+    } else {
+      // 저장된 설정 없음 → syncSerialSettings()에서 이미 DEFAULT_SERIAL 적용됨
     }
+  }
 
+  /**
+   * Disconnect from serial port
+   */
+  async disconnect() {
     try {
-      const slaveId = this.parseModbusValue(
-          document.getElementById('slaveId').value, 0, 255);
-      const functionCode =
-          parseInt(document.getElementById('functionCode').value);
+      // Stop auto polling (force=true: 즉시 강제 중단)
+      this.stopAutoPolling(true);
+      this._busBusy = false;  // 연결 해제 시 bus mutex 강제 해제 — stuck 방지
 
-      // FC 0x2B CANopen SDO — 별도 처리 (readCANopenObject/writeCANopenObject)
-      if (functionCode === 43) {
-        const index = parseInt(document.getElementById('fc2bIndex').value, 16);
-        const subIndex =
-            parseInt(document.getElementById('fc2bSubIndex').value, 16);
-        const op = document.getElementById('fc2bOperation').value;
-        if (op === 'read') {
-          const numData =
-              parseInt(document.getElementById('fc2bNumData').value) || 2;
-          await this.readCANopenObject(slaveId, index, subIndex, numData);
-        } else {
-          const val = parseInt(
-              document.getElementById('fc2bWriteValue').value || '0', 16);
-          await this.writeCANopenObject(slaveId, index, subIndex, val);
+      this.readInProgress = false;
+
+      if (this.reader) {
+        try {
+          await this.reader.cancel();
+        } catch (e) { /* ignore - port may be gone */
+        }
+        // startReading()의 finally 블록에서 이미 releaseLock()이 호출될 수
+        // 있으므로 재확인
+        if (this.reader) {
+          try {
+            this.reader.releaseLock();
+          } catch (e) { /* ignore */
+          }
+          this.reader = null;
         }
-        return;  // stats는 sendCANopenAndWaitResponse에서 처리됨
       }
 
-      const startAddress = this.parseModbusValue(
-          document.getElementById('startAddress').value, 0, 65535);
-      const quantity = this.parseModbusValue(
-          document.getElementById('quantity').value, 1, 125);
-      const writeValue = this.parseModbusValue(
-          document.getElementById('writeValue').value || '0', 0, 65535);
-
-      let frame;
+      if (this.writer) {
+        try {
+          this.writer.releaseLock();
+        } catch (e) { /* ignore - port may be gone */
+        }
+        this.writer = null;
+      }
 
-      switch (functionCode) {
-        case 1:
-          frame = this.modbus.buildReadCoils(slaveId, startAddress, quantity);
-          break;
-        case 2:
-          frame = this.modbus.buildReadDiscreteInputs(
-              slaveId, startAddress, quantity);
-          break;
-        case 3:
-          frame = this.modbus.buildReadHoldingRegisters(
-              slaveId, startAddress, quantity);
-          break;
-        case 4:
-          frame = this.modbus.buildReadInputRegisters(
-              slaveId, startAddress, quantity);
-          break;
-        case 5:
-          frame = this.modbus.buildWriteSingleCoil(
-              slaveId, startAddress, writeValue !== 0);
-          break;
-        case 6:
-          frame = this.modbus.buildWriteSingleRegister(
-              slaveId, startAddress, writeValue);
-          break;
-        case 15:
-          const coilValues = Array(quantity).fill(writeValue !== 0);
-          frame = this.modbus.buildWriteMultipleCoils(
-              slaveId, startAddress, coilValues);
-          break;
-        case 16:
-          const registerValues = Array(quantity).fill(writeValue);
-          frame = this.modbus.buildWriteMultipleRegisters(
-              slaveId, startAddress, registerValues);
-          break;
-        default:
-          this.addMonitorEntry('error', 'Invalid function code');
-          return;
+      if (this.port) {
+        try {
+          await this.port.close();
+        } catch (e) {
+          // 물리적으로 제거된 경우 port.close()가 실패할 수 있음 - 무시
+          console.warn('Port close warning (physical removal?):', e.message);
+        }
+        this.port = null;
       }
 
-      if (this.autoPollingTimer || this._isFc64Active) {
-        // 폴링 중 — 큐에 등록해서 폴링 사이클 사이에 전송
-        const isRead = [1, 2, 3, 4].includes(functionCode);
-        return new Promise((resolve, reject) => {
-          this.commandQueue.push({
-            type: isRead ? 'read' : undefined,
-            frame,
-            slaveId,
-            address: startAddress,
-            resolve,
-            reject,
-            tabSeq: this._tabSeq
-          });
-        });
-      }
-      await this.writer.write(frame);
-      this.addMonitorEntry(
-          'sent', frame, {functionCode, startAddress, quantity});
-      this.stats.requests++;
-      this.updateStatsDisplay();
+      this.addMonitorEntry('received', 'Disconnected from serial port');
+      this.showToast('시리얼 포트 연결이 해제되었습니다', 'info');
 
     } catch (error) {
-      this.addMonitorEntry('error', `Send error: ${error.message}`);
-      this.updateStats(false);
+      this.addMonitorEntry('error', `Disconnect error: ${error.message}`);
+    } finally {
+      // 물리적 제거 포함 모든 경우에 항상 연결 상태를 해제
+      this.isConnected = false;
+      this.updateConnectionStatus(false);
+      // HW Overview 폴링 중지 + 1회 실행 플래그 리셋 (재연결 시 재실행)
+      this.ovPollingRunning = false;
+      this.ovOnceExecuted = false;
+      // Offset 탭 알람코드 / Status 폴링 중지
+      this.offsetAlarmPollingRunning = false;
+      this.offsetStatus2617PollingRunning = false;
     }
   }
 
   /**
-   * Add entry to unified monitor
+   * 동일 포트를 새 통신 설정으로 재접속 (OS 검증용).
+   * requestPort() 없이 기존 포트 참조를 재사용하므로 사용자 제스처 불필요.
+   *
+   * @param {number} baudRate  - 새 Baudrate (예: 9600)
+   * @param {string} parity    - 'none' | 'even' | 'odd'
+   * @param {number} stopBits  - 1 | 2
    */
-  addMonitorEntry(type, dataOrMessage, parsedData = null, errorMsg = null) {
-    // FC 0x2B 펌웨어 버그 워크어라운드: 경고 메시지를 다음 received 엔트리에
-    // one-shot으로 붙임
-    if (type === 'received' && this._pendingRxWarning) {
-      errorMsg = this._pendingRxWarning;
-      this._pendingRxWarning = null;
-    }
-    const monitorDisplay = document.getElementById('monitorDisplay');
-    if (!monitorDisplay) {
-      console.error('monitorDisplay element not found');
-      return;
-    }
-    const placeholder = monitorDisplay.querySelector('.placeholder');
-    if (placeholder) placeholder.remove();
-
-    const now = Date.now();
-    const timestamp = new Date(now);
-    const timeStr = `${timestamp.toLocaleTimeString()}.${
-        timestamp.getMilliseconds().toString().padStart(3, '0')}`;
+  async reconnectSerial(baudRate, parity, stopBits = 1, silent = false) {
+    const port = this.port;
+    if (!port) throw new Error('포트 참조 없음 — 먼저 Connect 하세요');
 
-    // Calculate time delta
-    const delta = this.lastMonitorTime ? now - this.lastMonitorTime : 0;
-    this.lastMonitorTime = now;
-    const deltaStr = delta > 0 ? `+${delta}ms` : '';
+    // 1. 현재 연결 종료 (this.port = null 로 설정됨)
+    await this.disconnect();
 
-    // Store entry data for virtual scrolling
-    const entryData = {
-      type,
-      dataOrMessage: dataOrMessage instanceof Uint8Array ?
-          new Uint8Array(dataOrMessage) :
-          dataOrMessage,
-      parsedData,
-      errorMsg,
-      timeStr,
-      deltaStr,
-      timestamp: now,
-      index: this.monitorEntries.length
+    // 2. 사이드바 UI 동기화
+    const setEl = (id, val) => {
+      const e = document.getElementById(id);
+      if (e) e.value = String(val);
     };
-    this.monitorEntries.push(entryData);
-
-    // Limit array size to prevent memory bloat (keep last 500 entries in
-    // memory)
-    const maxMemoryEntries = 500;
-    if (this.monitorEntries.length > maxMemoryEntries) {
-      const removeCount = this.monitorEntries.length - maxMemoryEntries;
-      this.monitorEntries.splice(0, removeCount);
-      // Re-index remaining entries
-      this.monitorEntries.forEach((entry, idx) => {
-        entry.index = idx;
-      });
-    }
-
-    // Update entry count display
-    this.updateMonitorEntryCount();
-
-    // Create and append DOM element
-    const entry = this.createMonitorEntryElement(entryData);
-    monitorDisplay.appendChild(entry);
+    setEl('sidebar-baudRate', baudRate);
+    setEl('sidebar-parity', parity);
+    setEl('sidebar-stopBits', stopBits);
 
-    // Limit DOM entries (keep data in array)
-    const maxDomEntries = 200;
-    const excessCount = monitorDisplay.children.length - maxDomEntries;
+    // 3. 저장해 둔 포트를 새 설정으로 재오픈
+    await port.open(
+        {baudRate, parity, stopBits, dataBits: 8, flowControl: 'none'});
 
-    if (excessCount > 0) {
-      this.isProgrammaticScroll = true;
+    // 4. 대시보드 상태 복원
+    this.port = port;
+    this.writer = port.writable.getWriter();
+    this.startReading();
+    this.isConnected = true;
+    this.updateConnectionStatus(true);
+    this.saveSerialSettings({baudRate, dataBits: 8, parity, stopBits});
 
-      if (this.isUserScrolling) {
-        // User is scrolling - preserve scroll position
-        const scrollHeightBefore = monitorDisplay.scrollHeight;
-        const currentScrollTop = monitorDisplay.scrollTop;
+    if (!silent)
+      this.showToast(
+          `재접속 완료: ${baudRate}bps, ${parity}, Stop${stopBits}`, 'success');
+  }
 
-        for (let i = 0; i < excessCount; i++) {
-          monitorDisplay.removeChild(monitorDisplay.firstChild);
-        }
+  /**
+   * Start reading from serial port
+   */
+  async startReading() {
+    this.readInProgress = true;
+    this.reader = this.port.readable.getReader();
 
-        const scrollHeightAfter = monitorDisplay.scrollHeight;
-        const removedHeight = scrollHeightBefore - scrollHeightAfter;
+    try {
+      while (this.readInProgress && this.port.readable) {
+        const {value, done} = await this.reader.read();
 
-        if (currentScrollTop > 0) {
-          monitorDisplay.scrollTop =
-              Math.max(0, currentScrollTop - removedHeight);
-        }
-        this.lastScrollTop = monitorDisplay.scrollTop;
-      } else {
-        // Auto-scrolling - just remove excess entries
-        for (let i = 0; i < excessCount; i++) {
-          monitorDisplay.removeChild(monitorDisplay.firstChild);
+        if (done) break;
+        if (value) this.handleReceivedData(value);
+      }
+    } catch (error) {
+      if (this.readInProgress) {
+        this.addMonitorEntry('error', `Read error: ${error.message}`);
+        // 예기치 않은 읽기 오류 → 충돌 원인인지 물리 제거인지 판단 후 자동
+        // 재연결 시도
+        setTimeout(() => {
+          if (this.isConnected) {
+            this.autoReconnectAfterCollision();
+          }
+        }, 0);
+      }
+    } finally {
+      if (this.reader) {
+        // cancel()은 stream을 취소하고 lock을 해제함 — releaseLock()만으로는
+        // errored stream에서 port.close()가 실패할 수 있어 cancel() 사용
+        try {
+          await this.reader.cancel();
+        } catch (e) { /* stream already errored — ignore */
         }
+        this.reader = null;
       }
-
-      this.isProgrammaticScroll = false;
-    }
-
-    // Smart scroll behavior
-    if (this.monitorAutoScroll && !this.isUserScrolling) {
-      this.isProgrammaticScroll = true;
-      monitorDisplay.scrollTop = monitorDisplay.scrollHeight;
-      this.lastScrollTop = monitorDisplay.scrollTop;
-      this.isProgrammaticScroll = false;
-    } else {
-      this.newMessageCount++;
-      this.updateScrollButton();
     }
   }
 
   /**
-   * Create a monitor entry DOM element from entry data
+   * RS-485 버스 충돌로 인한 시리얼 포트 끊김 후 자동 재연결 시도.
+   * - 물리적 제거 시: port.open()이 실패 → 기존 disconnect() 호출
+   * - 충돌로 인한 끊김: 동일 포트를 close→reopen 후 폴링 재개
    */
-  createMonitorEntryElement(entryData) {
-    const {type, dataOrMessage, parsedData, errorMsg, timeStr, deltaStr} =
-        entryData;
+  async autoReconnectAfterCollision() {
+    if (this._autoReconnecting) return;
+    this._autoReconnecting = true;
 
-    // Map 'tx'/'rx' to 'sent'/'received' for CSS styling
-    let cssType = type;
-    if (type === 'tx')
-      cssType = 'sent';
-    else if (type === 'rx')
-      cssType = 'received';
+    const port = this.port;
+    if (!port) {
+      this._autoReconnecting = false;
+      return;
+    }
 
-    const entry = document.createElement('div');
-    entry.className = `monitor-entry ${cssType}`;
-    entry.dataset.entryIndex = entryData.index;
+    const saved = localStorage.getItem('serialSettings');
+    if (!saved) {
+      this._autoReconnecting = false;
+      this.addMonitorEntry(
+          'error', 'Serial port physically removed - auto disconnecting');
+      this.showToast('시리얼 포트가 제거되어 연결이 해제되었습니다', 'error');
+      this.disconnect();
+      return;
+    }
 
-    // Determine type label
-    let typeLabel = 'SYSTEM';
-    if (type === 'sent' || type === 'tx')
-      typeLabel = 'TX';
-    else if (type === 'received' || type === 'rx')
-      typeLabel = 'RX';
-    else if (type === 'error')
-      typeLabel = 'ERROR';
-
-    const mainLine = document.createElement('div');
-    mainLine.className = 'monitor-main-line';
+    const {baudRate, dataBits, parity, stopBits} = JSON.parse(saved);
 
-    // Type badge
-    const typeBadge = document.createElement('span');
-    typeBadge.className = `monitor-type-badge ${cssType}`;
-    typeBadge.textContent = typeLabel;
-    mainLine.appendChild(typeBadge);
+    // 폴링 즉시 중단 (reader/writer는 disconnect()가 아닌 여기서 직접 해제)
+    this.stopAutoPolling(true);
+    this._busBusy = false;
+    this.readInProgress = false;
 
-    // Content area
-    if (dataOrMessage instanceof Uint8Array) {
-      const bytesContainer = document.createElement('span');
-      bytesContainer.className = 'monitor-bytes';
+    // 충돌로 깨진 수신 버퍼 초기화 — 재연결 후 첫 프레임 파싱 오류 방지
+    this.receiveIndex = 0;
 
-      const byteInfo = this.getByteInfo(dataOrMessage, parsedData, type);
+    // reader는 startReading() finally 블록에서 이미 cancel+null 처리됨 (안전망)
+    if (this.reader) {
+      try {
+        await this.reader.cancel();
+      } catch (e) {
+      }
+      this.reader = null;
+    }
+    if (this.writer) {
+      try {
+        this.writer.releaseLock();
+      } catch (e) {
+      }
+      this.writer = null;
+    }
 
-      Array.from(dataOrMessage).forEach((byte, index) => {
-        const info = byteInfo[index] ||
-            {name: 'Unknown', desc: '', class: 'byte-unknown'};
+    const MAX_RETRIES = 3;
+    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+      // 물리적 제거 이벤트가 도착했으면 중단
+      if (!this._autoReconnecting) {
+        this.addMonitorEntry(
+            'error', 'Serial port physically removed - auto disconnecting');
+        this.showToast('시리얼 포트가 제거되어 연결이 해제되었습니다', 'error');
+        this.port = port;
+        this.disconnect();
+        return;
+      }
 
-        if (index > 0 && !info.grouped) {
-          const prevInfo = byteInfo[index - 1];
-          if (prevInfo && prevInfo.class !== info.class) {
-            const separator = document.createElement('span');
-            separator.className = 'monitor-byte-separator';
-            bytesContainer.appendChild(separator);
-          }
+      try {
+        try {
+          await port.close();
+        } catch (e) {
         }
 
-        const byteSpan = document.createElement('span');
-        byteSpan.className = `monitor-byte ${info.class || ''}`;
-        byteSpan.textContent = this.displayFormat === 'hex' ?
-            byte.toString(16).toUpperCase().padStart(2, '0') :
-            byte.toString().padStart(3, ' ');
-        byteSpan.dataset.index = index;
-        byteSpan.dataset.value = byte;
+        // 재시도 간 딜레이 (1회: 300ms, 2회: 700ms, 3회: 1200ms)
+        const delay = [300, 700, 1200][attempt - 1];
+        this.addMonitorEntry(
+            'error',
+            `버스 충돌 감지 — 재연결 시도 ${attempt}/${MAX_RETRIES} (${
+                delay}ms 후)`);
+        await new Promise(r => setTimeout(r, delay));
 
-        if (info.group) {
-          byteSpan.dataset.group = info.group.join(',');
-        }
+        if (!this._autoReconnecting) break;  // 물리 제거 이벤트 확인
 
-        byteSpan.addEventListener('mouseenter', (e) => {
-          if (!this.tooltipPinned) {
-            this.highlightByteGroup(bytesContainer, info.group, true);
-            this.showByteTooltip(e, info, byte, index);
-          }
-        });
+        await port.open(
+            {baudRate, dataBits, parity, stopBits, flowControl: 'none'});
 
-        byteSpan.addEventListener('mousemove', (e) => {
-          if (!this.tooltipPinned) {
-            this.moveByteTooltip(e);
-          }
-        });
+        // 재연결 성공
+        this.port = port;
+        this.writer = port.writable.getWriter();
+        this.isConnected = true;
+        this.receiveIndex = 0;  // 재오픈 직후 버퍼 재초기화 (이중 방어)
+        this.startReading();
+        this.updateConnectionStatus(true);
+        this._autoReconnecting = false;
 
-        byteSpan.addEventListener('mouseleave', (e) => {
-          if (!this.tooltipPinned) {
-            const tooltip = document.getElementById('byteTooltip');
-            if (tooltip && e.relatedTarget &&
-                (tooltip.contains(e.relatedTarget) ||
-                 tooltip === e.relatedTarget)) {
-              return;
-            }
-            this.highlightByteGroup(bytesContainer, info.group, false);
-            this.hideByteTooltip();
-          }
-        });
+        this.addMonitorEntry(
+            'received', `자동 재연결 성공 (시도 ${attempt}회)`);
+        this.showToast('버스 충돌 후 자동 재연결 성공', 'success');
 
-        byteSpan.addEventListener('click', (e) => {
-          e.stopPropagation();
-          this.pinByteTooltip(bytesContainer, info, byte, index, e);
-        });
+        // 대시보드 페이지라면 폴링 재개
+        if (this.currentPage === 'dashboard' &&
+            this.devices.some(d => d.slaveId !== 0)) {
+          setTimeout(() => this.startAutoPolling(), 300);
+        }
+        return;
 
-        bytesContainer.appendChild(byteSpan);
-      });
+      } catch (e) {
+        this.addMonitorEntry(
+            'error', `재연결 시도 ${attempt} 실패: ${e.message}`);
+      }
+    }
 
-      mainLine.appendChild(bytesContainer);
+    // 모든 시도 실패 → 물리적 제거로 판단
+    this._autoReconnecting = false;
+    this.port = port;
+    this.addMonitorEntry(
+        'error', 'Serial port physically removed - auto disconnecting');
+    this.showToast('시리얼 포트가 제거되어 연결이 해제되었습니다', 'error');
+    this.disconnect();
+  }
 
-      const summary = document.createElement('span');
-      summary.className = 'monitor-summary';
-      summary.textContent =
-          this.getFrameSummary(dataOrMessage, parsedData, type);
-      mainLine.appendChild(summary);
+  /**
+   * Handle received data from serial port
+   */
+  handleReceivedData(data) {
+    for (let i = 0;
+         i < data.length && this.receiveIndex < this.receiveBuffer.length;
+         i++) {
+      this.receiveBuffer[this.receiveIndex++] = data[i];
+    }
 
-      // errorMsg가 있으면 바이트 아래에 경고 sub-line 표시
-      if (errorMsg) {
-        const warnLine = document.createElement('div');
-        warnLine.className = 'monitor-warn-line';
-        warnLine.style.cssText =
-            'font-size: 11px; color: #e67e00; padding: 2px 0 0 4px;';
-        warnLine.textContent = errorMsg;
-        entry.appendChild(warnLine);
+    // sendAndReceive에서 사용하는 responseBuffer에도 데이터 추가
+    if (this.responseBuffer) {
+      for (let i = 0; i < data.length; i++) {
+        this.responseBuffer.push(data[i]);
+      }
+      // event-driven: sendAndReceiveFC64 대기 중인 콜백 즉시 호출
+      if (this._serialDataCb) {
+        const fn = this._serialDataCb;
+        this._serialDataCb = null;
+        fn();
       }
-
-      entry.dataset.hasDetails = 'true';
-      entry._detailsData =
-          {frame: dataOrMessage, byteInfo, parsedData, type, timeStr, deltaStr};
-    } else {
-      const messageSpan = document.createElement('span');
-      messageSpan.className = 'monitor-message';
-      messageSpan.textContent = errorMsg || dataOrMessage;
-      mainLine.appendChild(messageSpan);
     }
 
-    // Time info
-    const timeInfo = document.createElement('span');
-    timeInfo.className = 'monitor-time-info';
-
-    const deltaSpan = document.createElement('span');
-    deltaSpan.className = 'monitor-delta';
-    deltaSpan.textContent = deltaStr;
+    this.tryParseFrame();
+  }
 
-    const timeSpan = document.createElement('span');
-    timeSpan.className = 'monitor-timestamp';
-    timeSpan.textContent = timeStr;
+  /**
+   * Modbus RTU 응답 프레임의 예상 길이를 버퍼 내용으로부터 계산.
+   * 아직 길이를 확정할 수 없으면 null 반환.
+   */
+  getExpectedFrameLength() {
+    if (this.receiveIndex < 2) return null;
 
-    timeInfo.appendChild(deltaSpan);
-    timeInfo.appendChild(timeSpan);
-    mainLine.appendChild(timeInfo);
+    const fc = this.receiveBuffer[1];
 
-    entry.appendChild(mainLine);
+    // 에러 응답: slave(1) + fc|0x80(1) + exception_code(1) + CRC(2) = 5
+    if (fc & 0x80) return 5;
 
-    // Add expandable details
-    if (entry.dataset.hasDetails === 'true' && entry._detailsData) {
-      const {
-        frame,
-        byteInfo,
-        parsedData: pData,
-        type: pType,
-        timeStr: pTime,
-        deltaStr: pDelta
-      } = entry._detailsData;
-      const details = document.createElement('div');
-      details.className = 'monitor-details';
-      details.innerHTML =
-          this.createDetailsHTML(frame, byteInfo, pData, pType, pTime, pDelta);
-      entry.appendChild(details);
-      delete entry._detailsData;
+    // FC 01~04 읽기 응답: slave(1) + fc(1) + byte_count(1) + data(n) + CRC(2)
+    if (fc === 0x01 || fc === 0x02 || fc === 0x03 || fc === 0x04) {
+      if (this.receiveIndex < 3) return null;  // byte_count 아직 미수신
+      return 3 + this.receiveBuffer[2] + 2;
     }
 
-    // Click to expand/collapse
-    if (entry.dataset.hasDetails === 'true') {
-      entry.addEventListener('click', (e) => {
-        if (e.target.classList.contains('monitor-byte')) return;
-        if (e.target.closest('.monitor-raw-container')) return;
-        const selection = window.getSelection();
-        if (selection && selection.toString().length > 0) return;
-        entry.classList.toggle('expanded');
-      });
+    // FC 05, 06, 0F, 10 쓰기 응답 에코: slave(1) + fc(1) + addr(2) +
+    // value/qty(2) + CRC(2) = 8
+    if (fc === 0x05 || fc === 0x06 || fc === 0x0F || fc === 0x10) return 8;
+
+    // FC 0x2B MEI Transport (CANopen): 가변 길이
+    // header(13) + NumData + CRC(2). NumData는 bytes[11..12] (Big-Endian)
+    // 13바이트 미만이면 null 반환해 더 기다림
+    if (fc === 0x2B) {
+      if (this.receiveIndex < 13) return null;
+      const numData = (this.receiveBuffer[11] << 8) | this.receiveBuffer[12];
+      return 13 + numData + 2;
     }
 
-    return entry;
+    // 그 외 (알 수 없는 FC): 최소 5바이트로 폴백
+    return 5;
   }
 
   /**
-   * Update monitor entry count display
-   */
-  updateMonitorEntryCount() {
-    const countEl = document.getElementById('monitorEntryCount');
-    if (countEl) {
-      countEl.textContent = `${this.monitorEntries.length} packets`;
+   * 수신 버퍼에서 완성된 Modbus RTU 프레임을 파싱.
+   *
+   * 기존 setTimeout(50ms) 방식 대신 FC 기반 길이 계산으로 즉시 처리:
+   * - 필요한 바이트 수가 정확히 차면 바로 처리 → split 오탐 없음
+   * - 50ms 타이머 중첩으로 인한 레이스 컨디션 제거
+   * - 처리 후 남은 바이트는 버퍼 앞으로 당겨 재귀 파싱
+   */
+  tryParseFrame() {
+    if (this.receiveIndex < 2) return;
+
+    // FC 0x66: 펌웨어 업데이트 응답 — responseBuffer에서 별도 처리, 여기서는
+    // 무시
+    if (this.receiveBuffer[1] === 0x66) return;
+
+    // FC 0x64: Chart Continuous 응답 — responseBuffer에서 별도 처리, 여기서는
+    // 무시
+    if (this.receiveBuffer[1] === 0x64) return;
+
+    // FC 0x65: Trigger Streaming 응답 — responseBuffer에서 별도 처리, 여기서는
+    // 무시
+    if (this.receiveBuffer[1] === 0x65) return;
+
+    // FC 0x23: Fast Firmware Download 응답 — responseBuffer에서 별도 처리.
+    // FC 0x23 success: OpCode 기반 가변 길이.
+    // FC 0xA3 (= 0x23 | 0x80): 표준 Modbus exception (5 bytes).
+    if (this.receiveBuffer[1] === 0x23 || this.receiveBuffer[1] === 0xA3)
+      return;
+
+    // 버스 floating 노이즈 바이트 즉시 폐기:
+    // RS-485 DE→RE 전환 시 버스가 floating → 0xFF, 0xBF 등 무작위 바이트 수신됨
+    // Modbus 유효 슬레이브 주소는 1~247 (0x01~0xF7)이므로 범위 밖 바이트는
+    // 무효. pendingResponse가 있으면 기대 slaveId와 다른 선두 바이트도 노이즈로
+    // 처리.
+    {
+      const expectedId =
+          this.pendingResponse ? this.pendingResponse.slaveId : null;
+      const firstByte = this.receiveBuffer[0];
+      const isValidSlaveId = firstByte >= 0x01 && firstByte <= 0xF7;
+      const isExpectedSlave = expectedId === null || firstByte === expectedId;
+
+      if (!isValidSlaveId || !isExpectedSlave) {
+        // 유효한 슬레이브 ID (또는 기대 ID)가 나올 때까지 앞 바이트들 제거
+        let skipCount = 0;
+        while (skipCount < this.receiveIndex) {
+          const b = this.receiveBuffer[skipCount];
+          const valid = b >= 0x01 && b <= 0xF7;
+          const matches = expectedId === null || b === expectedId;
+          if (valid && matches) break;
+          skipCount++;
+        }
+        if (skipCount > 0) {
+          for (let i = 0; i < this.receiveIndex - skipCount; i++) {
+            this.receiveBuffer[i] = this.receiveBuffer[skipCount + i];
+          }
+          this.receiveIndex -= skipCount;
+        }
+        if (this.receiveIndex < 2) return;  // 유효 바이트 없음, 대기
+      }
     }
-  }
 
-  /**
-   * Load older entries when scrolling to top
-   */
-  loadOlderEntries() {
-    const monitorDisplay = document.getElementById('monitorDisplay');
-    if (!monitorDisplay || monitorDisplay.children.length === 0) return;
+    const expectedLength = this.getExpectedFrameLength();
+    if (expectedLength === null) return;  // 길이 확정 불가 (바이트 부족)
 
-    const firstEntry = monitorDisplay.firstElementChild;
-    if (!firstEntry || !firstEntry.dataset) return;
-    const firstIndex = parseInt(firstEntry.dataset.entryIndex || '0');
+    // FC 0x2B 펌웨어 버그 워크어라운드:
+    // NumData 필드가 실제 전송 바이트보다 1 크게 잘못 계산된 펌웨어가 있음.
+    // → expectedLength 바이트가 아직 없더라도 expectedLength-1 바이트는 있고
+    //   그 끝 2바이트가 유효한 CRC라면 짧은 프레임으로 수용한다.
+    let actualLength = expectedLength;
+    let fc2bLengthShort = false;
+    if (this.receiveBuffer[1] === 0x2B &&
+        this.receiveIndex === expectedLength - 1 &&
+        this.modbus.verifyCRC(
+            this.receiveBuffer.slice(0, expectedLength - 1))) {
+      actualLength = expectedLength - 1;
+      fc2bLengthShort =
+          true;  // 펌웨어 버그: NumData 선언보다 1바이트 짧게 수신
+    } else if (this.receiveIndex < expectedLength) {
+      return;  // 프레임 미완성, 추가 바이트 대기
+    }
 
-    if (firstIndex <= 0) return;  // No more older entries
+    // 정확히 한 프레임만 추출
+    const frame = this.receiveBuffer.slice(0, actualLength);
 
-    const loadCount = 50;
-    const startIndex = Math.max(0, firstIndex - loadCount);
+    // 나머지 바이트를 버퍼 앞으로 이동
+    const remaining = this.receiveIndex - actualLength;
+    for (let i = 0; i < remaining; i++) {
+      this.receiveBuffer[i] = this.receiveBuffer[actualLength + i];
+    }
+    this.receiveIndex = remaining;
 
-    this.isProgrammaticScroll = true;
-    const scrollHeightBefore = monitorDisplay.scrollHeight;
+    // CRC 검증 (가장 먼저 — 깨진 프레임 조기 폐기)
+    if (!this.modbus.verifyCRC(frame)) {
+      this.addMonitorEntry('error', frame, null, 'CRC mismatch');
+      this.updateStats(false);
+      if (this.receiveIndex >= 2) this.tryParseFrame();
+      return;
+    }
 
-    // Prepend older entries
-    for (let i = firstIndex - 1; i >= startIndex; i--) {
-      const entryData = this.monitorEntries[i];
-      if (entryData) {
-        const entry = this.createMonitorEntryElement(entryData);
-        monitorDisplay.insertBefore(entry, monitorDisplay.firstChild);
+    // FC 0x2B 길이 부족 경고 (CRC는 유효하나 NumData 선언보다 1바이트 짧게
+    // 수신) 별도 error 엔트리 대신 다음 received 엔트리에 경고 sub-line을 붙임
+    if (fc2bLengthShort) {
+      const declared = (frame[11] << 8) | frame[12];
+      this._pendingRxWarning =
+          `⚠ FC 0x2B: RX length mismatch — NumData declares ${
+              declared} bytes but received ${
+              declared - 1} (short by 1). Firmware bug suspected.`;
+    }
+
+    // 스캔 응답 처리
+    if (this.scanResolve) {
+      const responseSlaveId = frame[0];
+      const functionCode = frame[1];
+      if (responseSlaveId === this.scanExpectedSlaveId &&
+          (functionCode & 0x80) === 0) {
+        const responseValue = (frame[3] << 8) | frame[4];
+        this.addMonitorEntry('received', frame);
+        this.updateStats(true);
+        this.scanResolve(responseValue);
+        if (this.receiveIndex >= 2) this.tryParseFrame();
+        return;
       }
     }
 
-    // Maintain scroll position
-    const scrollHeightAfter = monitorDisplay.scrollHeight;
-    monitorDisplay.scrollTop += (scrollHeightAfter - scrollHeightBefore);
-    this.lastScrollTop = monitorDisplay.scrollTop;
+    // pending 요청 응답 또는 비요청 프레임 처리
+    if (this.pendingResponse) {
+      this.handlePendingResponse(frame);
+      try {
+        const response = this.modbus.parseResponse(frame);
+        this.addMonitorEntry('received', frame, response);
+      } catch (error) {
+        this.addMonitorEntry('error', frame, null, error.message);
+      }
+    } else {
+      try {
+        const response = this.modbus.parseResponse(frame);
+        this.addMonitorEntry('received', frame, response);
+        this.updateStats(true);
+      } catch (error) {
+        this.addMonitorEntry('error', frame, null, error.message);
+        this.updateStats(false);
+      }
+    }
 
-    this.isProgrammaticScroll = false;
+    // 버퍼에 남은 바이트가 있으면 다음 프레임도 파싱 (back-to-back 응답 대응)
+    if (this.receiveIndex >= 2) this.tryParseFrame();
   }
 
   /**
-   * Clear monitor entries
+   * Detect if input is hexadecimal (auto-detection)
+   * @param {string} value - Input value
+   * @returns {boolean} True if likely hexadecimal
    */
-  clearMonitorEntries() {
-    this.monitorEntries = [];
-    const monitorDisplay = document.getElementById('monitorDisplay');
-    if (monitorDisplay) {
-      monitorDisplay.innerHTML =
-          '<div class="placeholder">Waiting for data...</div>';
+  isHexadecimal(value) {
+    const trimmed = String(value).trim().toUpperCase();
+
+    // Explicit hex prefix
+    if (trimmed.startsWith('0X')) {
+      return true;
     }
-    this.updateMonitorEntryCount();
+
+    // Contains A-F characters (likely hex)
+    if (/[A-F]/.test(trimmed)) {
+      return true;
+    }
+
+    // Otherwise, assume decimal
+    return false;
   }
 
   /**
-   * Initialize monitor scroll controls
+   * Parse Modbus input value (supports decimal and hexadecimal with
+   * auto-detection)
+   * @param {string} value - Input value (e.g., "10", "D011", "0xFFFF")
+   * @param {number} min - Minimum allowed value
+   * @param {number} max - Maximum allowed value
+   * @returns {number} Parsed value
    */
-  initMonitorScrollControls() {
-    const monitorDisplay = document.getElementById('monitorDisplay');
-    const scrollBtn = document.getElementById('monitorScrollBtn');
-    const autoScrollToggle = document.getElementById('autoScrollToggle');
+  parseModbusValue(value, min = 0, max = 65535) {
+    const trimmed = String(value).trim();
 
-    if (!monitorDisplay) return;
+    if (!trimmed) {
+      throw new Error('빈 값은 허용되지 않습니다');
+    }
 
-    // Scroll state tracking - use instance variables
-    let scrollTimeout;
-    this.lastScrollTop = monitorDisplay.scrollTop;
-    this.isProgrammaticScroll = false;
+    let parsed;
 
-    // Scroll event to detect user scrolling
-    let loadingOlder = false;
-    monitorDisplay.addEventListener('scroll', () => {
-      // Ignore programmatic scroll adjustments
-      if (this.isProgrammaticScroll) {
-        return;
-      }
+    // Auto-detect hex or decimal
+    if (this.isHexadecimal(trimmed)) {
+      // Remove 0x prefix if present
+      const hexValue = trimmed.replace(/^0x/i, '');
 
-      const currentScrollTop = monitorDisplay.scrollTop;
-      const isAtBottom = monitorDisplay.scrollHeight - currentScrollTop -
-              monitorDisplay.clientHeight <
-          50;
-      const isAtTop = currentScrollTop < 100;
-      const scrolledDown = currentScrollTop > this.lastScrollTop;
+      // Check if empty after removing prefix (e.g., "0x" or "0X")
+      if (!hexValue) {
+        throw new Error('빈 값은 허용되지 않습니다');
+      }
 
-      // Load older entries when near top
-      if (isAtTop && !loadingOlder && this.monitorEntries.length > 0) {
-        loadingOlder = true;
-        this.loadOlderEntries();
-        setTimeout(() => {
-          loadingOlder = false;
-        }, 200);
+      // Validate hex string - only 0-9, A-F allowed
+      if (!/^[0-9A-Fa-f]+$/.test(hexValue)) {
+        throw new Error(`유효하지 않은 16진수: "${value}"`);
       }
 
-      // Only reset to auto-scroll if user actively scrolls DOWN to bottom
-      if (isAtBottom && scrolledDown) {
-        this.isUserScrolling = false;
-        this.newMessageCount = 0;
-        this.updateScrollButton();
-      } else if (currentScrollTop < this.lastScrollTop) {
-        // User scrolled up
-        this.isUserScrolling = true;
-        this.updateScrollButton();
+      parsed = parseInt(hexValue, 16);
+    } else {
+      // Validate decimal string - only 0-9 allowed
+      if (!/^[0-9]+$/.test(trimmed)) {
+        throw new Error(`유효하지 않은 10진수: "${value}"`);
       }
 
-      this.lastScrollTop = currentScrollTop;
+      parsed = parseInt(trimmed, 10);
+    }
 
-      // Reset scroll detection after delay
-      clearTimeout(scrollTimeout);
-      scrollTimeout = setTimeout(() => {
-        const stillAtBottom = monitorDisplay.scrollHeight -
-                monitorDisplay.scrollTop - monitorDisplay.clientHeight <
-            50;
-        // Only auto-reset if at bottom AND user hasn't scrolled up
-        if (stillAtBottom && !this.isUserScrolling) {
-          this.newMessageCount = 0;
-          this.updateScrollButton();
-        }
-      }, 150);
-    });
-
-    // Scroll to bottom button
-    if (scrollBtn) {
-      scrollBtn.addEventListener('click', () => {
-        this.isProgrammaticScroll = true;
-        monitorDisplay.scrollTop = monitorDisplay.scrollHeight;
-        this.isUserScrolling = false;
-        this.newMessageCount = 0;
-        this.lastScrollTop = monitorDisplay.scrollTop;
-        this.updateScrollButton();
-        this.isProgrammaticScroll = false;
-      });
+    if (isNaN(parsed)) {
+      throw new Error(`유효하지 않은 값: "${value}"`);
     }
 
-    // Auto scroll toggle
-    if (autoScrollToggle) {
-      autoScrollToggle.checked = this.monitorAutoScroll;
-      autoScrollToggle.addEventListener('change', (e) => {
-        this.monitorAutoScroll = e.target.checked;
-        if (this.monitorAutoScroll) {
-          // Scroll to bottom when enabled
-          this.isProgrammaticScroll = true;
-          monitorDisplay.scrollTop = monitorDisplay.scrollHeight;
-          this.isUserScrolling = false;
-          this.newMessageCount = 0;
-          this.lastScrollTop = monitorDisplay.scrollTop;
-          this.updateScrollButton();
-          this.isProgrammaticScroll = false;
-        }
-      });
+    if (parsed < min || parsed > max) {
+      throw new Error(`값 ${parsed} (0x${
+          parsed.toString(16).toUpperCase()})는 범위를 벗어났습니다 (${min}-${
+          max})`);
     }
+
+    return parsed;
   }
 
   /**
-   * Update scroll button visibility and count
+   * Update converted value display — element-based (shared utility)
+   * @param {HTMLElement} inputEl
+   * @param {HTMLElement} convertedEl
+   * @param {number} min
+   * @param {number} max
    */
-  updateScrollButton() {
-    const scrollBtn = document.getElementById('monitorScrollBtn');
-    const countEl = document.getElementById('newMessageCount');
+  updateConvertedValueEl(inputEl, convertedEl, min = 0, max = 65535) {
+    if (!inputEl || !convertedEl) return;
 
-    if (!scrollBtn) return;
+    const value = inputEl.value.trim();
 
-    // Show button when user is scrolling up
-    if (this.isUserScrolling) {
-      scrollBtn.classList.add('visible');
-    } else {
-      scrollBtn.classList.remove('visible');
+    if (!value || value.toLowerCase() === '0x') {
+      convertedEl.textContent = '';
+      inputEl.style.borderColor = '';
+      inputEl.style.background = '';
+      return;
     }
 
-    // Update new message count
-    if (countEl) {
-      countEl.textContent = this.newMessageCount;
-      if (this.newMessageCount > 0) {
-        countEl.classList.add('visible');
-      } else {
-        countEl.classList.remove('visible');
-      }
+    try {
+      const parsed = this.parseModbusValue(value, min, max);
+      const isHex = this.isHexadecimal(value);
+
+      convertedEl.textContent = isHex ?
+          `= ${parsed} (Dec)` :
+          `= 0x${parsed.toString(16).toUpperCase()} (Hex)`;
+
+      inputEl.style.borderColor = '';
+      inputEl.style.background = '';
+      convertedEl.style.color = '';
+    } catch (error) {
+      convertedEl.textContent = `⚠ ${error.message}`;
+      convertedEl.style.color = '#dc3545';
+      inputEl.style.borderColor = '#dc3545';
+      inputEl.style.background = '#fff5f5';
+
+      setTimeout(() => {
+        convertedEl.style.color = '';
+      }, 2000);
     }
   }
 
   /**
-   * Create detailed HTML for expanded view
+   * Update converted value display for an input field (ID-based, for Modbus
+   * tab)
+   * @param {string} inputId - Input element ID
+   * @param {number} min - Minimum value
+   * @param {number} max - Maximum value
    */
-  createDetailsHTML(frame, _byteInfo, _parsedData, type, timeStr, deltaStr) {
-    // frame이 너무 짧으면 기본 정보만 표시
-    if (!frame || frame.length < 2) {
-      return `<div class="monitor-details-grid">
-                <div class="monitor-detail-item detail-timestamp">
-                    <div class="monitor-detail-label">Timestamp</div>
-                    <div class="monitor-detail-value">${timeStr}</div>
-                </div>
-                <div class="monitor-detail-item detail-raw">
-                    <div class="monitor-detail-label">Raw Data</div>
-                    <div class="monitor-detail-value">${
-          frame ? Array.from(frame)
-                      .map(b => b.toString(16).toUpperCase().padStart(2, '0'))
-                      .join(' ') :
-                  '-'}</div>
-                </div>
-            </div>`;
-    }
+  updateConvertedValue(inputId, min = 0, max = 65535) {
+    this.updateConvertedValueEl(
+        document.getElementById(inputId),
+        document.getElementById(`${inputId}-converted`), min, max);
+  }
 
-    const funcCode = frame[1];
-    const isError = funcCode > 0x80;
-    const actualFunc = isError ? funcCode - 0x80 : funcCode;
+  /**
+   * Send Modbus request
+   */
+  async sendModbusRequest() {
+    if (!this.writer) {
+      this.addMonitorEntry('error', 'Not connected to serial port');
+      return;
+    }
 
-    const funcNames = {
-      1: 'Read Coils',
-      2: 'Read Discrete Inputs',
-      3: 'Read Holding Registers',
-      4: 'Read Input Registers',
-      5: 'Write Single Coil',
-      6: 'Write Single Register',
-      15: 'Write Multiple Coils',
-      16: 'Write Multiple Registers'
-    };
+    try {
+      const slaveId = this.parseModbusValue(
+          document.getElementById('slaveId').value, 0, 255);
+      const functionCode =
+          parseInt(document.getElementById('functionCode').value);
 
-    let detailsHTML = '<div class="monitor-details-grid">';
+      // FC 0x2B CANopen SDO — 별도 처리 (readCANopenObject/writeCANopenObject)
+      if (functionCode === 43) {
+        const index = parseInt(document.getElementById('fc2bIndex').value, 16);
+        const subIndex =
+            parseInt(document.getElementById('fc2bSubIndex').value, 16);
+        const op = document.getElementById('fc2bOperation').value;
+        if (op === 'read') {
+          const numData =
+              parseInt(document.getElementById('fc2bNumData').value) || 2;
+          await this.readCANopenObject(slaveId, index, subIndex, numData);
+        } else {
+          const val = parseInt(
+              document.getElementById('fc2bWriteValue').value || '0', 16);
+          await this.writeCANopenObject(slaveId, index, subIndex, val);
+        }
+        return;  // stats는 sendCANopenAndWaitResponse에서 처리됨
+      }
 
-    // Basic info
-    detailsHTML += `
-            <div class="monitor-detail-item detail-timestamp">
-                <div class="monitor-detail-label">Timestamp</div>
-                <div class="monitor-detail-value">${timeStr}</div>
-            </div>
-            <div class="monitor-detail-item detail-delta">
-                <div class="monitor-detail-label">Delta</div>
-                <div class="monitor-detail-value">${deltaStr || '-'}</div>
-            </div>
-            <div class="monitor-detail-item detail-slave">
-                <div class="monitor-detail-label">Slave ID</div>
-                <div class="monitor-detail-value">${frame[0]}</div>
-            </div>
-            <div class="monitor-detail-item detail-func">
-                <div class="monitor-detail-label">Function</div>
-                <div class="monitor-detail-value">${isError ? 'Error' : ''} ${
-        funcNames[actualFunc] || 'Unknown'} (0x${
-        actualFunc.toString(16).toUpperCase().padStart(2, '0')})</div>
-            </div>
-        `;
+      const startAddress = this.parseModbusValue(
+          document.getElementById('startAddress').value, 0, 65535);
+      const quantity = this.parseModbusValue(
+          document.getElementById('quantity').value, 1, 125);
+      const writeValue = this.parseModbusValue(
+          document.getElementById('writeValue').value || '0', 0, 65535);
 
-    // Address and quantity for requests
-    if (frame.length >= 6 && !isError) {
-      const addr = (frame[2] << 8) | frame[3];
-      detailsHTML += `
-                <div class="monitor-detail-item detail-addr">
-                    <div class="monitor-detail-label">Address</div>
-                    <div class="monitor-detail-value">0x${
-          addr.toString(16).toUpperCase().padStart(4, '0')} (${addr})</div>
-                </div>
-            `;
+      let frame;
 
-      if ([1, 2, 3, 4, 15, 16].includes(actualFunc) && type === 'sent') {
-        const qty = (frame[4] << 8) | frame[5];
-        detailsHTML += `
-                    <div class="monitor-detail-item detail-qty">
-                        <div class="monitor-detail-label">Quantity</div>
-                        <div class="monitor-detail-value">${qty}</div>
-                    </div>
-                `;
+      switch (functionCode) {
+        case 1:
+          frame = this.modbus.buildReadCoils(slaveId, startAddress, quantity);
+          break;
+        case 2:
+          frame = this.modbus.buildReadDiscreteInputs(
+              slaveId, startAddress, quantity);
+          break;
+        case 3:
+          frame = this.modbus.buildReadHoldingRegisters(
+              slaveId, startAddress, quantity);
+          break;
+        case 4:
+          frame = this.modbus.buildReadInputRegisters(
+              slaveId, startAddress, quantity);
+          break;
+        case 5:
+          frame = this.modbus.buildWriteSingleCoil(
+              slaveId, startAddress, writeValue !== 0);
+          break;
+        case 6:
+          frame = this.modbus.buildWriteSingleRegister(
+              slaveId, startAddress, writeValue);
+          break;
+        case 15:
+          const coilValues = Array(quantity).fill(writeValue !== 0);
+          frame = this.modbus.buildWriteMultipleCoils(
+              slaveId, startAddress, coilValues);
+          break;
+        case 16:
+          const registerValues = Array(quantity).fill(writeValue);
+          frame = this.modbus.buildWriteMultipleRegisters(
+              slaveId, startAddress, registerValues);
+          break;
+        default:
+          this.addMonitorEntry('error', 'Invalid function code');
+          return;
       }
-    }
 
-    // Frame length
-    detailsHTML += `
-            <div class="monitor-detail-item detail-length">
-                <div class="monitor-detail-label">Frame Length</div>
-                <div class="monitor-detail-value">${frame.length} bytes</div>
-            </div>
-        `;
-
-    detailsHTML += '</div>';
-
-    // Raw hex string (clickable to copy)
-    const hexString =
-        Array.from(frame)
-            .map(b => b.toString(16).toUpperCase().padStart(2, '0'))
-            .join(' ');
-    detailsHTML += `
-            <div class="monitor-raw-container" data-raw="${
-        hexString}" title="클릭하여 복사">
-                <strong>Raw:</strong> <span class="monitor-raw-value">${
-        hexString}</span>
-                <span class="monitor-raw-copy-icon">📋</span>
-            </div>
-        `;
+      if (this.autoPollingTimer || this._isFc64Active) {
+        // 폴링 중 — 큐에 등록해서 폴링 사이클 사이에 전송
+        const isRead = [1, 2, 3, 4].includes(functionCode);
+        return new Promise((resolve, reject) => {
+          this.commandQueue.push({
+            type: isRead ? 'read' : undefined,
+            frame,
+            slaveId,
+            address: startAddress,
+            resolve,
+            reject,
+            tabSeq: this._tabSeq
+          });
+        });
+      }
+      await this.writer.write(frame);
+      this.addMonitorEntry(
+          'sent', frame, {functionCode, startAddress, quantity});
+      this.stats.requests++;
+      this.updateStatsDisplay();
 
-    return detailsHTML;
+    } catch (error) {
+      this.addMonitorEntry('error', `Send error: ${error.message}`);
+      this.updateStats(false);
+    }
   }
 
   /**
-   * Get byte information for Modbus frame analysis (data-unit grouped)
+   * Add entry to unified monitor
    */
-  getByteInfo(frame, parsedData, type) {
-    const info = [];
-    const len = frame.length;
+  addMonitorEntry(type, dataOrMessage, parsedData = null, errorMsg = null) {
+    // FC 0x2B 펌웨어 버그 워크어라운드: 경고 메시지를 다음 received 엔트리에
+    // one-shot으로 붙임
+    if (type === 'received' && this._pendingRxWarning) {
+      errorMsg = this._pendingRxWarning;
+      this._pendingRxWarning = null;
+    }
+    const monitorDisplay = document.getElementById('monitorDisplay');
+    if (!monitorDisplay) {
+      console.error('monitorDisplay element not found');
+      return;
+    }
+    const placeholder = monitorDisplay.querySelector('.placeholder');
+    if (placeholder) placeholder.remove();
 
-    if (len < 4) {
-      for (let i = 0; i < len; i++) {
-        info[i] = {
-          name: 'Unknown',
-          desc: '유효하지 않은 프레임입니다.',
-          class: 'byte-unknown'
-        };
+    const now = Date.now();
+    const timeStr = this.formatMonitorTime(now);
+
+    // Calculate time delta
+    const delta = this.lastMonitorTime ? now - this.lastMonitorTime : 0;
+    this.lastMonitorTime = now;
+    const deltaStr = delta > 0 ? `+${delta}ms` : '';
+
+    // Store entry data for virtual scrolling
+    const isFrame = dataOrMessage instanceof Uint8Array;
+    const isRx = type === 'received' || type === 'rx';
+    const entryData = {
+      type,
+      dataOrMessage: isFrame ? new Uint8Array(dataOrMessage) : dataOrMessage,
+      // RX 해석용: 이 응답이 답하는 직전 TX 프레임
+      request: isRx ? this._lastMonitorRequest : null,
+      parsedData,
+      errorMsg,
+      timeStr,
+      deltaStr,
+      timestamp: now,
+      index: this.monitorEntries.length
+    };
+    this.monitorEntries.push(entryData);
+    if (this.monitorCapture) this.monitorCapture.append(entryData);
+    if ((type === 'sent' || type === 'tx') && isFrame) {
+      this._lastMonitorRequest = entryData.dataOrMessage;
+    }
+
+    // Limit array size to prevent memory bloat (keep last 500 entries in
+    // memory)
+    const maxMemoryEntries = 500;
+    if (this.monitorEntries.length > maxMemoryEntries) {
+      const removeCount = this.monitorEntries.length - maxMemoryEntries;
+      this.monitorEntries.splice(0, removeCount);
+      // Re-index remaining entries
+      this.monitorEntries.forEach((entry, idx) => {
+        entry.index = idx;
+      });
+    }
+
+    // Update entry count display
+    this.updateMonitorEntryCount();
+
+    // 필터 보기: 지금 기록 중인 대상을 보고 있고 조건에 맞는 항목만 추가
+    if (this.monitorView && !this.isLiveMonitorEntryVisible(entryData)) {
+      return;
+    }
+
+    // Create and append DOM element
+    const entry = this.createMonitorEntryElement(entryData);
+    monitorDisplay.appendChild(entry);
+
+    // Limit DOM entries (keep data in array)
+    const maxDomEntries = 200;
+    const excessCount = monitorDisplay.children.length - maxDomEntries;
+
+    if (excessCount > 0) {
+      this.isProgrammaticScroll = true;
+
+      if (this.isUserScrolling) {
+        // User is scrolling - preserve scroll position
+        const scrollHeightBefore = monitorDisplay.scrollHeight;
+        const currentScrollTop = monitorDisplay.scrollTop;
+
+        for (let i = 0; i < excessCount; i++) {
+          monitorDisplay.removeChild(monitorDisplay.firstChild);
+        }
+
+        const scrollHeightAfter = monitorDisplay.scrollHeight;
+        const removedHeight = scrollHeightBefore - scrollHeightAfter;
+
+        if (currentScrollTop > 0) {
+          monitorDisplay.scrollTop =
+              Math.max(0, currentScrollTop - removedHeight);
+        }
+        this.lastScrollTop = monitorDisplay.scrollTop;
+      } else {
+        // Auto-scrolling - just remove excess entries
+        for (let i = 0; i < excessCount; i++) {
+          monitorDisplay.removeChild(monitorDisplay.firstChild);
+        }
       }
-      return info;
+
+      this.isProgrammaticScroll = false;
     }
 
-    const funcCode = frame[1];
-    const isResponse = type === 'received';
-    const isError = funcCode > 0x80;
-    const actualFunc = isError ? funcCode - 0x80 : funcCode;
+    // Smart scroll behavior
+    if (this.monitorAutoScroll && !this.isUserScrolling) {
+      this.isProgrammaticScroll = true;
+      monitorDisplay.scrollTop = monitorDisplay.scrollHeight;
+      this.lastScrollTop = monitorDisplay.scrollTop;
+      this.isProgrammaticScroll = false;
+    } else {
+      this.newMessageCount++;
+      this.updateScrollButton();
+    }
+  }
 
-    const funcNames = {
-      1: 'Read Coils',
-      2: 'Read Discrete Inputs',
-      3: 'Read Holding Registers',
-      4: 'Read Input Registers',
-      5: 'Write Single Coil',
-      6: 'Write Single Register',
-      15: 'Write Multiple Coils',
-      16: 'Write Multiple Registers'
-    };
+  /**
+   * Create a monitor entry DOM element from entry data
+   */
+  createMonitorEntryElement(entryData) {
+    const {type, dataOrMessage, parsedData, errorMsg, timeStr, deltaStr,
+           request} = entryData;
 
-    // Byte 0: Slave ID (1 byte)
-    info[0] = {
-      name: 'Slave ID',
-      desc: 'Modbus 슬레이브 장치의 고유 주소',
-      value: frame[0],
-      class: 'byte-slave',
-      size: 1
-    };
+    // Map 'tx'/'rx' to 'sent'/'received' for CSS styling
+    let cssType = type;
+    if (type === 'tx')
+      cssType = 'sent';
+    else if (type === 'rx')
+      cssType = 'received';
 
-    // Byte 1: Function Code (1 byte)
-    info[1] = {
-      name: isError ? 'Error Code' : 'Function Code',
-      desc: isError ?
-          `에러 응답 (원본: ${funcNames[actualFunc] || 'Unknown'})` :
-          funcNames[actualFunc] || 'Unknown',
-      value: frame[1],
-      class: isError ? 'byte-error' : 'byte-func',
-      size: 1
-    };
+    const entry = document.createElement('div');
+    entry.className = `monitor-entry ${cssType}`;
+    entry.dataset.entryIndex = entryData.index;
 
-    // Parse based on function code and type
-    if (isError && isResponse) {
-      const exceptionNames = {
-        1: 'Illegal Function',
-        2: 'Illegal Data Address',
-        3: 'Illegal Data Value',
-        4: 'Slave Device Failure',
-        5: 'Acknowledge',
-        6: 'Slave Device Busy'
-      };
-      info[2] = {
-        name: 'Exception Code',
-        desc: exceptionNames[frame[2]] || 'Unknown Error',
-        value: frame[2],
-        class: 'byte-error',
-        size: 1
-      };
-    } else if (type === 'sent') {
-      if ([1, 2, 3, 4].includes(funcCode)) {
-        const addr = (frame[2] << 8) | frame[3];
-        const qty = (frame[4] << 8) | frame[5];
-        info[2] = {
-          name: 'Start Address',
-          desc: '읽기 시작할 주소',
-          value: addr,
-          class: 'byte-addr',
-          size: 2,
-          group: [2, 3]
-        };
-        info[3] = {
-          name: 'Start Address',
-          desc: '읽기 시작할 주소',
-          value: addr,
-          class: 'byte-addr',
-          size: 2,
-          group: [2, 3],
-          grouped: true
-        };
-        info[4] = {
-          name: 'Quantity',
-          desc: '읽을 개수',
-          value: qty,
-          class: 'byte-qty',
-          size: 2,
-          group: [4, 5]
-        };
-        info[5] = {
-          name: 'Quantity',
-          desc: '읽을 개수',
-          value: qty,
-          class: 'byte-qty',
-          size: 2,
-          group: [4, 5],
-          grouped: true
-        };
-      } else if (funcCode === 5) {
-        const addr = (frame[2] << 8) | frame[3];
-        const val = (frame[4] << 8) | frame[5];
-        info[2] = {
+    // Determine type label
+    let typeLabel = 'SYSTEM';
+    if (type === 'sent' || type === 'tx')
+      typeLabel = 'TX';
+    else if (type === 'received' || type === 'rx')
+      typeLabel = 'RX';
+    else if (type === 'error')
+      typeLabel = 'ERROR';
+
+    const mainLine = document.createElement('div');
+    mainLine.className = 'monitor-main-line';
+
+    // Type badge
+    const typeBadge = document.createElement('span');
+    typeBadge.className = `monitor-type-badge ${cssType}`;
+    typeBadge.textContent = typeLabel;
+    mainLine.appendChild(typeBadge);
+
+    // Content area
+    if (dataOrMessage instanceof Uint8Array) {
+      const bytesContainer = document.createElement('span');
+      bytesContainer.className = 'monitor-bytes';
+
+      const byteInfo =
+          this.getByteInfo(dataOrMessage, parsedData, type, request);
+
+      Array.from(dataOrMessage).forEach((byte, index) => {
+        const info = byteInfo[index] ||
+            {name: 'Unknown', desc: '', class: 'byte-unknown'};
+
+        if (index > 0 && !info.grouped) {
+          const prevInfo = byteInfo[index - 1];
+          if (prevInfo && prevInfo.class !== info.class) {
+            const separator = document.createElement('span');
+            separator.className = 'monitor-byte-separator';
+            bytesContainer.appendChild(separator);
+          }
+        }
+
+        const byteSpan = document.createElement('span');
+        byteSpan.className = `monitor-byte ${info.class || ''}`;
+        byteSpan.textContent = this.displayFormat === 'hex' ?
+            byte.toString(16).toUpperCase().padStart(2, '0') :
+            byte.toString().padStart(3, ' ');
+        byteSpan.dataset.index = index;
+        byteSpan.dataset.value = byte;
+
+        if (info.group) {
+          byteSpan.dataset.group = info.group.join(',');
+        }
+
+        byteSpan.addEventListener('mouseenter', (e) => {
+          if (!this.tooltipPinned) {
+            this.highlightByteGroup(bytesContainer, info.group, true);
+            this.showByteTooltip(e, info, byte, index);
+          }
+        });
+
+        byteSpan.addEventListener('mousemove', (e) => {
+          if (!this.tooltipPinned) {
+            this.moveByteTooltip(e);
+          }
+        });
+
+        byteSpan.addEventListener('mouseleave', (e) => {
+          if (!this.tooltipPinned) {
+            const tooltip = document.getElementById('byteTooltip');
+            if (tooltip && e.relatedTarget &&
+                (tooltip.contains(e.relatedTarget) ||
+                 tooltip === e.relatedTarget)) {
+              return;
+            }
+            this.highlightByteGroup(bytesContainer, info.group, false);
+            this.hideByteTooltip();
+          }
+        });
+
+        byteSpan.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.pinByteTooltip(bytesContainer, info, byte, index, e);
+        });
+
+        bytesContainer.appendChild(byteSpan);
+      });
+
+      mainLine.appendChild(bytesContainer);
+
+      const summary = document.createElement('span');
+      summary.className = 'monitor-summary';
+      summary.textContent =
+          this.getFrameSummary(dataOrMessage, parsedData, type, request);
+      mainLine.appendChild(summary);
+
+      // errorMsg가 있으면 바이트 아래에 경고 sub-line 표시
+      if (errorMsg) {
+        const warnLine = document.createElement('div');
+        warnLine.className = 'monitor-warn-line';
+        warnLine.style.cssText =
+            'font-size: 11px; color: #e67e00; padding: 2px 0 0 4px;';
+        warnLine.textContent = errorMsg;
+        entry.appendChild(warnLine);
+      }
+
+      entry.dataset.hasDetails = 'true';
+      entry._detailsData = {
+        frame: dataOrMessage,
+        byteInfo,
+        parsedData,
+        type,
+        timeStr,
+        deltaStr,
+        request
+      };
+    } else {
+      const messageSpan = document.createElement('span');
+      messageSpan.className = 'monitor-message';
+      messageSpan.textContent = errorMsg || dataOrMessage;
+      mainLine.appendChild(messageSpan);
+    }
+
+    // Time info
+    const timeInfo = document.createElement('span');
+    timeInfo.className = 'monitor-time-info';
+
+    const deltaSpan = document.createElement('span');
+    deltaSpan.className = 'monitor-delta';
+    deltaSpan.textContent = deltaStr;
+
+    const timeSpan = document.createElement('span');
+    timeSpan.className = 'monitor-timestamp';
+    timeSpan.textContent = timeStr;
+
+    timeInfo.appendChild(deltaSpan);
+    timeInfo.appendChild(timeSpan);
+    mainLine.appendChild(timeInfo);
+
+    entry.appendChild(mainLine);
+
+    // Add expandable details
+    if (entry.dataset.hasDetails === 'true' && entry._detailsData) {
+      const {
+        frame,
+        byteInfo,
+        parsedData: pData,
+        type: pType,
+        timeStr: pTime,
+        deltaStr: pDelta,
+        request: pRequest
+      } = entry._detailsData;
+      const details = document.createElement('div');
+      details.className = 'monitor-details';
+      details.innerHTML = this.createDetailsHTML(
+          frame, byteInfo, pData, pType, pTime, pDelta, pRequest);
+      entry.appendChild(details);
+      delete entry._detailsData;
+    }
+
+    // Click to expand/collapse
+    if (entry.dataset.hasDetails === 'true') {
+      entry.addEventListener('click', (e) => {
+        if (e.target.classList.contains('monitor-byte')) return;
+        if (e.target.closest('.monitor-raw-container')) return;
+        const selection = window.getSelection();
+        if (selection && selection.toString().length > 0) return;
+        entry.classList.toggle('expanded');
+      });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Update monitor entry count display
+   */
+  updateMonitorEntryCount() {
+    const countEl = document.getElementById('monitorEntryCount');
+    if (countEl) {
+      countEl.textContent = `${this.monitorEntries.length} packets`;
+    }
+  }
+
+  /**
+   * Load older entries when scrolling to top
+   */
+  loadOlderEntries() {
+    const monitorDisplay = document.getElementById('monitorDisplay');
+    if (!monitorDisplay || monitorDisplay.children.length === 0) return;
+
+    const firstEntry = monitorDisplay.firstElementChild;
+    if (!firstEntry || !firstEntry.dataset) return;
+    const firstIndex = parseInt(firstEntry.dataset.entryIndex || '0');
+
+    if (firstIndex <= 0) return;  // No more older entries
+    if (this.monitorView) return;  // 필터 보기는 조회 결과 전체를 이미 표시
+
+    const loadCount = 50;
+    const startIndex = Math.max(0, firstIndex - loadCount);
+
+    this.isProgrammaticScroll = true;
+    const scrollHeightBefore = monitorDisplay.scrollHeight;
+
+    // Prepend older entries
+    for (let i = firstIndex - 1; i >= startIndex; i--) {
+      const entryData = this.monitorEntries[i];
+      if (entryData) {
+        const entry = this.createMonitorEntryElement(entryData);
+        monitorDisplay.insertBefore(entry, monitorDisplay.firstChild);
+      }
+    }
+
+    // Maintain scroll position
+    const scrollHeightAfter = monitorDisplay.scrollHeight;
+    monitorDisplay.scrollTop += (scrollHeightAfter - scrollHeightBefore);
+    this.lastScrollTop = monitorDisplay.scrollTop;
+
+    this.isProgrammaticScroll = false;
+  }
+
+  /**
+   * Clear monitor entries
+   */
+  clearMonitorEntries() {
+    this.monitorEntries = [];
+    const monitorDisplay = document.getElementById('monitorDisplay');
+    if (monitorDisplay) {
+      monitorDisplay.innerHTML =
+          '<div class="placeholder">Waiting for data...</div>';
+    }
+    this.updateMonitorEntryCount();
+  }
+
+  /** 모니터 시각 표시 (HH:MM:SS.mmm) */
+  formatMonitorTime(ms) {
+    const timestamp = new Date(ms);
+    return `${timestamp.toLocaleTimeString()}.${
+        timestamp.getMilliseconds().toString().padStart(3, '0')}`;
+  }
+
+  // ─────────────────────────────────────────────────────────
+  //  Monitor capture — IndexedDB 무제한 기록 / 필터 / 검색 / 리플레이
+  // ─────────────────────────────────────────────────────────
+
+  initMonitorCapture() {
+    const toggle = document.getElementById('monitorCaptureToggle');
+    if (!toggle) return;
+    if (!window.indexedDB) {
+      toggle.disabled = true;
+      toggle.parentElement.title = '이 브라우저는 IndexedDB를 지원하지 않습니다';
+    }
+
+    toggle.addEventListener('change', () => {
+      localStorage.setItem('monitorCaptureEnabled', toggle.checked);
+      if (toggle.checked) {
+        this.startMonitorCapture();
+      } else {
+        this.stopMonitorCapture();
+      }
+    });
+
+    document.getElementById('monitorSessionSelect')
+        .addEventListener('change', () => this.applyMonitorFilter());
+    document.getElementById('monitorFilterApplyBtn')
+        .addEventListener('click', () => this.applyMonitorFilter());
+    document.getElementById('monitorFilterResetBtn')
+        .addEventListener('click', () => this.resetMonitorFilter());
+    document.getElementById('monitorFilterSearch')
+        .addEventListener('keydown', (e) => {
+          if (e.key === 'Enter') this.applyMonitorFilter();
+        });
+    document.getElementById('monitorExportBtn')
+        .addEventListener('click', () => this.exportMonitorCapture());
+    document.getElementById('monitorSessionDeleteBtn')
+        .addEventListener('click', () => this.deleteMonitorSession());
+    document.getElementById('monitorReplayBtn')
+        .addEventListener('click', () => this.replayMonitorTx());
+
+    const importFile = document.getElementById('monitorImportFile');
+    document.getElementById('monitorImportBtn')
+        .addEventListener('click', () => importFile.click());
+    importFile.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) this.importMonitorCapture(file);
+    });
+
+    // 페이지를 닫기 전에 남은 배치 저장 시도
+    window.addEventListener('beforeunload', () => this.monitorCapture?.flush());
+
+    if (window.indexedDB &&
+        localStorage.getItem('monitorCaptureEnabled') === 'true') {
+      toggle.checked = true;
+      this.startMonitorCapture();
+    } else {
+      this.refreshMonitorSessionList();
+    }
+  }
+
+  async startMonitorCapture() {
+    if (this.monitorCapture) return;
+
+    const capture = new MonitorCapture();
+    capture.onError = (error) => {
+      this.showToast(
+          `모니터 캡처 저장 실패: ${error.message || error}`, 'error', 6000);
+    };
+    try {
+      await capture.start();
+    } catch (error) {
+      console.error(error);
+      this.showToast(
+          `모니터 캡처를 시작할 수 없습니다: ${error.message || error}`,
+          'error');
+      const toggle = document.getElementById('monitorCaptureToggle');
+      if (toggle) toggle.checked = false;
+      return;
+    }
+
+    this.monitorCapture = capture;
+    await this.refreshMonitorSessionList();
+    this.updateMonitorFilterStatus();
+  }
+
+  async stopMonitorCapture() {
+    const capture = this.monitorCapture;
+    if (!capture) return;
+
+    this.monitorCapture = null;
+    await capture.stop();
+    await this.refreshMonitorSessionList();
+    this.updateMonitorFilterStatus();
+  }
+
+  async refreshMonitorSessionList(selectId) {
+    const select = document.getElementById('monitorSessionSelect');
+    if (!select || !window.indexedDB) return;
+
+    let sessions = [];
+    try {
+      sessions = await MonitorCapture.listSessions();
+    } catch (error) {
+      console.error('[Monitor] 캡처 세션 목록 조회 실패:', error);
+    }
+
+    const previous = selectId ?? select.value;
+    const liveId = this.monitorCapture?.sessionId;
+    select.innerHTML = '<option value="live">Live</option>' +
+        sessions.filter(session => session.id !== liveId)
+            .map(session => `<option value="${session.id}">${
+                     session.name} · ${session.frameCount} frames</option>`)
+            .join('');
+    if ([...select.options].some(o => o.value === String(previous))) {
+      select.value = String(previous);
+    }
+  }
+
+  /** 필터 입력 → MonitorCapture 필터 */
+  readMonitorFilter() {
+    const value = id => document.getElementById(id)?.value ?? '';
+    return MonitorCapture.normalizeFilter({
+      slaveId: value('monitorFilterSlave'),
+      fc: value('monitorFilterFc'),
+      dir: value('monitorFilterDir'),
+      errorsOnly: document.getElementById('monitorFilterErrors')?.checked,
+      t0: value('monitorFilterFrom'),
+      t1: value('monitorFilterTo'),
+      search: value('monitorFilterSearch')
+    });
+  }
+
+  /** 필터 조건이 하나라도 있는지 */
+  hasMonitorFilter(filter) {
+    return filter.slaveId !== null || filter.fc !== null || !!filter.dir ||
+        filter.errorsOnly || filter.t0 !== null || filter.t1 !== null ||
+        !!filter.search;
+  }
+
+  /**
+   * 보기 대상(Live / 저장 세션)을 필터로 조회해 모니터에 표시.
+   * Live + 캡처 중이면 IndexedDB 전체, 캡처가 꺼져 있으면 메모리 500개에서 찾는다.
+   */
+  async applyMonitorFilter() {
+    const select = document.getElementById('monitorSessionSelect');
+    const source = select.value === 'live' ? 'live' : parseInt(select.value);
+    const filter = this.readMonitorFilter();
+
+    if (source === 'live' && !this.hasMonitorFilter(filter)) {
+      this.resetMonitorFilter();
+      return;
+    }
+
+    let records;
+    let total;
+    try {
+      if (source === 'live' && !this.monitorCapture) {
+        records = this.monitorEntries.map(e => MonitorCapture.toRecord(e))
+                      .filter(r => MonitorCapture.matches(r, filter));
+        total = records.length;
+      } else {
+        const sessionId =
+            source === 'live' ? this.monitorCapture.sessionId : source;
+        if (source === 'live') await this.monitorCapture.flush();
+        ({frames: records, total} =
+             await MonitorCapture.query(sessionId, filter));
+      }
+    } catch (error) {
+      console.error(error);
+      this.showToast(`캡처 조회 실패: ${error.message || error}`, 'error');
+      return;
+    }
+
+    this.monitorView = {source, filter, records, total};
+    this.renderMonitorRecords(records);
+    this.updateMonitorFilterStatus();
+  }
+
+  /** 필터 해제 — 입력 초기화 후 Live 보기로 복귀 */
+  resetMonitorFilter() {
+    ['monitorFilterSlave', 'monitorFilterFc', 'monitorFilterDir',
+     'monitorFilterFrom', 'monitorFilterTo', 'monitorFilterSearch']
+        .forEach(id => {
+          const el = document.getElementById(id);
+          if (el) el.value = '';
+        });
+    const errorsEl = document.getElementById('monitorFilterErrors');
+    if (errorsEl) errorsEl.checked = false;
+    const select = document.getElementById('monitorSessionSelect');
+    if (select) select.value = 'live';
+
+    this.monitorView = null;
+    this.renderMonitorRecords(null);
+    this.updateMonitorFilterStatus();
+  }
+
+  /**
+   * 필터 보기 중 새로 들어온 항목을 화면에 추가할지 — 보고 있는 대상이 지금
+   * 기록 중인 Live이고 조건에 맞을 때만
+   */
+  isLiveMonitorEntryVisible(entryData) {
+    const view = this.monitorView;
+    if (view.source !== 'live') return false;
+    return MonitorCapture.matches(MonitorCapture.toRecord(entryData), view.filter);
+  }
+
+  /**
+   * 모니터 화면 다시 그리기
+   * @param {Object[]|null} records - 필터 결과 (null이면 메모리의 최근 항목)
+   */
+  renderMonitorRecords(records) {
+    const monitorDisplay = document.getElementById('monitorDisplay');
+    if (!monitorDisplay) return;
+
+    this.hideByteTooltip();
+    monitorDisplay.innerHTML = '';
+    const maxDomEntries = 200;
+    let entries;
+    if (records) {
+      // 조회 결과는 DOM을 전부 그리지 않고 최근 항목부터 표시 (마지막 1000개)
+      let request = null;
+      entries = records.slice(-1000).map((record, i, list) => {
+        const prev = list[i - 1];
+        const delta = prev ? record.t - prev.t : 0;
+        const entryRequest =
+            record.type === 'received' || record.type === 'rx' ? request : null;
+        if ((record.type === 'sent' || record.type === 'tx') && record.bytes) {
+          request = record.bytes;
+        }
+        return {
+          type: record.type,
+          dataOrMessage: record.bytes || record.text,
+          request: entryRequest,
+          parsedData: null,
+          errorMsg: record.errorMsg,
+          timeStr: this.formatMonitorTime(record.t),
+          deltaStr: delta > 0 ? `+${delta}ms` : '',
+          timestamp: record.t,
+          index: -1
+        };
+      });
+    } else {
+      entries = this.monitorEntries.slice(-maxDomEntries);
+    }
+
+    if (entries.length === 0) {
+      monitorDisplay.innerHTML = records ?
+          '<p class="placeholder">일치하는 프레임이 없습니다</p>' :
+          '<p class="placeholder">Waiting for communication...</p>';
+      return;
+    }
+
+    const fragment = document.createDocumentFragment();
+    entries.forEach(entryData => {
+      fragment.appendChild(this.createMonitorEntryElement(entryData));
+    });
+    monitorDisplay.appendChild(fragment);
+
+    this.isProgrammaticScroll = true;
+    monitorDisplay.scrollTop = monitorDisplay.scrollHeight;
+    this.lastScrollTop = monitorDisplay.scrollTop;
+    this.isProgrammaticScroll = false;
+    this.isUserScrolling = false;
+    this.newMessageCount = 0;
+    this.updateScrollButton();
+  }
+
+  updateMonitorFilterStatus() {
+    const statusEl = document.getElementById('monitorFilterStatus');
+    if (!statusEl) return;
+
+    const view = this.monitorView;
+    if (view) {
+      const shown = Math.min(view.records.length, 1000);
+      statusEl.textContent = view.total > shown ?
+          `${view.total} matches (최근 ${shown}개 표시)` :
+          `${view.total} matches`;
+    } else if (this.monitorCapture) {
+      statusEl.textContent = '● REC';
+    } else {
+      statusEl.textContent = '';
+    }
+    statusEl.classList.toggle('active', !!view || !!this.monitorCapture);
+  }
+
+  /** 보기 대상을 캡처 파일(JSON)로 저장 — 필터 보기 중이면 일치 항목만 */
+  async exportMonitorCapture() {
+    const view = this.monitorView;
+    const select = document.getElementById('monitorSessionSelect');
+    const source = select.value === 'live' ? 'live' : parseInt(select.value);
+    const filter = view ? view.filter : {};
+
+    let blob;
+    try {
+      if (source === 'live' && !this.monitorCapture) {
+        const records = this.monitorEntries.map(e => MonitorCapture.toRecord(e))
+                            .filter(r => MonitorCapture.matches(r, filter));
+        blob = MonitorCapture.toFile('monitor', Date.now(), records);
+      } else {
+        if (source === 'live') await this.monitorCapture.flush();
+        blob = await MonitorCapture.exportSession(
+            source === 'live' ? this.monitorCapture.sessionId : source,
+            filter);
+      }
+    } catch (error) {
+      this.showToast(`캡처 내보내기 실패: ${error.message || error}`, 'error');
+      return;
+    }
+
+    const ts = new Date().toISOString().slice(0, 19).replace(/[:-]/g, '');
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `monitor_capture_${ts}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    this.showToast('모니터 캡처 파일로 내보냈습니다', 'success');
+  }
+
+  async importMonitorCapture(file) {
+    try {
+      const id = await MonitorCapture.importFile(await file.text());
+      await this.refreshMonitorSessionList(id);
+      await this.applyMonitorFilter();
+      this.showToast(`캡처 파일을 불러왔습니다: ${file.name}`, 'success');
+    } catch (error) {
+      console.error(error);
+      this.showToast(`캡처 파일 불러오기 실패: ${error.message || error}`, 'error');
+    }
+  }
+
+  async deleteMonitorSession() {
+    const select = document.getElementById('monitorSessionSelect');
+    const id = parseInt(select.value);
+    if (isNaN(id)) {
+      this.showToast('삭제할 저장 세션을 선택하세요', 'warning');
+      return;
+    }
+    if (!confirm(`선택한 캡처 세션을 삭제하시겠습니까?\n${
+            select.selectedOptions[0].textContent}`)) {
+      return;
+    }
+
+    try {
+      await MonitorCapture.removeSession(id);
+    } catch (error) {
+      this.showToast(`세션 삭제 실패: ${error.message || error}`, 'error');
+      return;
+    }
+    await this.refreshMonitorSessionList('live');
+    this.resetMonitorFilter();
+    this.showToast('캡처 세션을 삭제했습니다', 'success');
+  }
+
+  /**
+   * 필터 결과의 TX 프레임을 원래 간격으로 재전송 (벤치 재현용).
+   * 폴링/차트 스트림이 버스를 쓰는 동안에는 충돌하므로 실행하지 않는다.
+   */
+  async replayMonitorTx() {
+    const button = document.getElementById('monitorReplayBtn');
+    if (this.monitorReplay) {
+      this.monitorReplay.stop = true;
+      return;
+    }
+
+    const view = this.monitorView;
+    if (!view) {
+      this.showToast('먼저 필터로 재전송할 TX 구간을 선택하세요', 'warning');
+      return;
+    }
+    const speed =
+        parseFloat(document.getElementById('monitorReplaySpeed')?.value ?? 1);
+    const plan = MonitorCapture.replayPlan(view.records, speed);
+    if (plan.length === 0) {
+      this.showToast('필터 결과에 재전송할 TX 프레임이 없습니다', 'warning');
+      return;
+    }
+    if (!this.writer && !this.simulatorEnabled) {
+      this.showToast('시리얼 포트가 연결되어 있지 않습니다', 'error');
+      return;
+    }
+    if (this.autoPollingTimer || this._isFc64Active ||
+        window.osTestManager?.isTestRunning) {
+      this.showToast(
+          '폴링/차트 캡처/OS 테스트를 정지한 후 리플레이하세요', 'warning');
+      return;
+    }
+    if (view.total > view.records.length) {
+      this.showToast(
+          `일치 ${view.total}개 중 최근 ${
+              view.records.length}개만 재전송합니다 — 필터로 구간을 좁히세요`,
+          'warning', 5000);
+    }
+    const durationMs = plan.reduce((sum, step) => sum + step.delayMs, 0);
+    if (!confirm(`TX ${plan.length}개 프레임을 재전송합니다 (약 ${
+            (durationMs / 1000).toFixed(1)}s, ${speed || 'Max'}×).\n` +
+        '버스에 연결된 장치가 실제로 명령을 실행합니다. 계속하시겠습니까?')) {
+      return;
+    }
+
+    const replay = {stop: false};
+    this.monitorReplay = replay;
+    if (button) button.textContent = 'Stop Replay';
+
+    let sent = 0;
+    let answered = 0;
+    let lastSendAt = 0;
+    try {
+      for (const step of plan) {
+        const wait = lastSendAt + step.delayMs - Date.now();
+        if (wait > 0) await this.delay(wait);
+        if (replay.stop) break;
+
+        await this._acquireBus();
+        try {
+          lastSendAt = Date.now();
+          const response = await this.sendAndReceive(step.frame, 1000);
+          sent++;
+          if (response) answered++;
+        } finally {
+          this._releaseBus();
+        }
+      }
+    } catch (error) {
+      this.showToast(`리플레이 오류: ${error.message || error}`, 'error');
+    } finally {
+      this.monitorReplay = null;
+      if (button) button.textContent = 'Replay TX';
+    }
+
+    this.showToast(
+        `리플레이 ${replay.stop ? '중단' : '완료'}: TX ${sent}/${
+            plan.length}, 응답 ${answered}`,
+        replay.stop ? 'warning' : 'success');
+  }
+
+  // ─────────────────────────────────────────────────────────
+  //  Bus timing analyzer — 응답 지연 분포 / 프레임 간격 / 타임아웃·재시도
+  // ─────────────────────────────────────────────────────────
+
+  initBusTiming() {
+    const modal = document.getElementById('busTimingModal');
+    if (!modal) return;
+
+    document.getElementById('monitorTimingBtn')
+        ?.addEventListener('click', () => this.openBusTimingModal());
+    document.getElementById('busTimingCloseBtn')
+        ?.addEventListener('click', () => this.closeBusTimingModal());
+    document.getElementById('busTimingRefreshBtn')
+        ?.addEventListener('click', () => this.runBusTimingAnalysis());
+    document.getElementById('busTimingAutoRefresh')
+        ?.addEventListener('change', () => this.updateBusTimingAutoRefresh());
+
+    document.getElementById('busTimingSlaveList')
+        ?.addEventListener('click', (e) => {
+          const row = e.target.closest('tr[data-slave-id]');
+          if (!row || !this.busTiming?.result) return;
+          this.busTiming.selectedSlave = parseInt(row.dataset.slaveId);
+          this.renderBusTiming();
+        });
+
+    // 바깥 클릭 시 닫기 (드래그 보호)
+    let mouseDownTarget = null;
+    modal.addEventListener('mousedown', (e) => {
+      mouseDownTarget = e.target;
+    });
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal && mouseDownTarget === modal) {
+        this.closeBusTimingModal();
+      }
+      mouseDownTarget = null;
+    });
+  }
+
+  openBusTimingModal() {
+    document.getElementById('busTimingModal')?.classList.add('active');
+    this.busTiming = this.busTiming || {result: null, selectedSlave: null};
+    this.runBusTimingAnalysis();
+    this.updateBusTimingAutoRefresh();
+  }
+
+  closeBusTimingModal() {
+    document.getElementById('busTimingModal')?.classList.remove('active');
+    if (this.busTiming?.timer) {
+      clearInterval(this.busTiming.timer);
+      this.busTiming.timer = null;
+    }
+  }
+
+  /** Auto 체크 시 Live 보기면 2초마다 재분석 */
+  updateBusTimingAutoRefresh() {
+    if (!this.busTiming) return;
+    if (this.busTiming.timer) clearInterval(this.busTiming.timer);
+    this.busTiming.timer = null;
+    const auto = document.getElementById('busTimingAutoRefresh')?.checked;
+    const open =
+        document.getElementById('busTimingModal')?.classList.contains('active');
+    if (auto && open) {
+      this.busTiming.timer = setInterval(() => {
+        const select = document.getElementById('monitorSessionSelect');
+        if (!select || select.value === 'live') this.runBusTimingAnalysis();
+      }, 2000);
+    }
+  }
+
+  /**
+   * 분석 대상 레코드 — Monitor 의 보기 대상(Live / 세션)에 Slave·FC·시간
+   * 필터만 적용. 방향/오류/검색 필터는 TX-RX 짝을 깨므로 무시한다.
+   * @returns {Promise<{label: string, records: Object[]}>}
+   */
+  async collectBusTimingRecords() {
+    const select = document.getElementById('monitorSessionSelect');
+    const source = !select || select.value === 'live' ? 'live' :
+                                                        parseInt(select.value);
+    const {slaveId, fc, t0, t1} = this.readMonitorFilter();
+    const filter = {slaveId, fc, t0, t1};
+
+    if (source === 'live' && !this.monitorCapture) {
+      return {
+        label: `Live (메모리 ${this.monitorEntries.length}건)`,
+        records: this.monitorEntries.map(e => MonitorCapture.toRecord(e))
+                     .filter(r => MonitorCapture.matches(r, filter))
+      };
+    }
+
+    const sessionId =
+        source === 'live' ? this.monitorCapture.sessionId : source;
+    if (source === 'live') await this.monitorCapture.flush();
+    const {frames} = await MonitorCapture.query(sessionId, filter, 200000);
+    const label = source === 'live' ?
+        'Live (캡처 세션)' :
+        select.options[select.selectedIndex]?.textContent || `세션 ${source}`;
+    return {label, records: frames};
+  }
+
+  async runBusTimingAnalysis() {
+    if (!this.busTiming || this.busTiming.running) return;
+    this.busTiming.running = true;
+    try {
+      const {label, records} = await this.collectBusTimingRecords();
+      const serial = {
+        dataBits:
+            parseInt(document.getElementById('sidebar-dataBits')?.value) || 8,
+        parity: document.getElementById('sidebar-parity')?.value ||
+            DEFAULT_SERIAL.parity,
+        stopBits:
+            parseInt(document.getElementById('sidebar-stopBits')?.value) || 1
+      };
+      const baudRate =
+          parseInt(document.getElementById('sidebar-baudRate')?.value) ||
+          DEFAULT_SERIAL.baudRate;
+
+      this.busTiming.label = label;
+      this.busTiming.result = BusTimingAnalyzer.analyze(records, {
+        baudRate,
+        bitsPerChar: BusTimingAnalyzer.bitsPerChar(serial)
+      });
+      const slaves = this.busTiming.result.slaves;
+      if (!slaves.some(s => s.slaveId === this.busTiming.selectedSlave)) {
+        this.busTiming.selectedSlave = slaves[0]?.slaveId ?? null;
+      }
+      this.renderBusTiming();
+    } catch (error) {
+      console.error(error);
+      this.showToast(`타이밍 분석 실패: ${error.message || error}`, 'error');
+    } finally {
+      this.busTiming.running = false;
+    }
+  }
+
+  renderBusTiming() {
+    const {result, label, selectedSlave} = this.busTiming;
+    if (!result) return;
+    const fmt = (v) => v === null || v === undefined ? '-' : v.toFixed(1);
+
+    const sourceEl = document.getElementById('busTimingSource');
+    if (sourceEl) sourceEl.textContent = label;
+
+    const summaryEl = document.getElementById('busTimingSummary');
+    if (summaryEl) {
+      const {master, turnaround} = result.gaps;
+      const spanSec = (result.span.t1 - result.span.t0) / 1000;
+      const requests = result.slaves.reduce((n, s) => n + s.requests, 0);
+      const gapCell = (title, gap) => `<div>${title} <b>min ${
+          fmt(gap.minMs)} / avg ${fmt(gap.avgMs)}ms</b>${
+          gap.violations > 0 ?
+              ` <span class="warn">(&lt; t3.5: ${gap.violations}회)</span>` :
+              ''}</div>`;
+      summaryEl.innerHTML = `
+        <div>Baud <b>${result.baudRate}</b> · ${result.bitsPerChar} bit/char</div>
+        <div>1 char <b>${result.charMs.toFixed(3)}ms</b> · t3.5 <b>${
+          result.t35Ms.toFixed(2)}ms</b></div>
+        <div>프레임 <b>${result.frames}</b> · ${spanSec.toFixed(1)}s · ${
+          spanSec > 0 ? (requests / spanSec).toFixed(1) : '-'} req/s</div>
+        ${gapCell('Master gap', master)}
+        ${gapCell('Slave turnaround', turnaround)}
+        <div>Broadcast <b>${result.broadcasts}</b> · 짝 없는 RX <b>${
+          result.unsolicited}</b></div>
+        <div>폴링 간격 <b>${this.autoPollingInterval}ms</b> · Timeout <b>${
+          this.pollingTimeout}ms</b></div>
+        <div>권장 Timeout <b>${
+          result.recommendedTimeoutMs !== null ?
+              `≥ ${result.recommendedTimeoutMs}ms` :
+              '-'}</b> <span>(최대 지연 × 1.5)</span></div>
+        ${
+          result.driftingSlaves.length > 0 ?
+              `<div class="warn">지연 드리프트: Slave ${
+                  result.driftingSlaves.join(', ')}</div>` :
+              ''}`;
+    }
+
+    const listEl = document.getElementById('busTimingSlaveList');
+    if (listEl) {
+      listEl.innerHTML = result.slaves.length === 0 ?
+          '<tr><td colspan="10">분석할 TX/RX 프레임이 없습니다</td></tr>' :
+          result.slaves
+              .map(s => {
+                const drift = s.drift ?
+                    `${s.drift.deltaMs >= 0 ? '+' : ''}${
+                        s.drift.deltaMs.toFixed(1)}ms` :
+                    '-';
+                return `<tr data-slave-id="${s.slaveId}" class="${
+                    s.slaveId === selectedSlave ? 'selected' : ''}">
+              <td>${s.slaveId}</td><td>${s.requests}</td><td>${s.responses}</td>
+              <td class="${s.timeouts > 0 ? 'warn' : ''}">${s.timeouts}</td>
+              <td class="${s.retries > 0 ? 'warn' : ''}">${s.retries}</td>
+              <td>${fmt(s.minMs)}</td><td>${fmt(s.avgMs)}</td>
+              <td>${fmt(s.p95Ms)}</td><td>${fmt(s.maxMs)}</td>
+              <td class="${s.drift?.flagged ? 'warn' : ''}" title="${
+                    s.drift ?
+                        `기준 ${fmt(s.drift.baselineMs)}ms → 최근 ${
+                            fmt(s.drift.recentMs)}ms, ${
+                            s.drift.slopeMsPerMin.toFixed(2)}ms/min` :
+                        '샘플 부족'}">${drift}</td>
+            </tr>`;
+              })
+              .join('');
+    }
+
+    const slave = result.slaves.find(s => s.slaveId === selectedSlave);
+    const histCanvas = document.getElementById('busTimingHistogram');
+    if (slave) {
+      BusTimingAnalyzer.drawHistogram(histCanvas, slave);
+    } else if (histCanvas) {
+      histCanvas.getContext('2d').clearRect(
+          0, 0, histCanvas.width, histCanvas.height);
+    }
+    BusTimingAnalyzer.drawTimeline(
+        document.getElementById('busTimingTimeline'), result.timeline);
+  }
+
+  // ─────────────────────────────────────────────────────────
+  //  OS verification report — 스위트 전체 보고서 (HTML / PDF / JSON)
+  // ─────────────────────────────────────────────────────────
+
+  initOsReport() {
+    const modal = document.getElementById('osReportModal');
+    if (!modal) return;
+
+    const operatorInput = document.getElementById('osReportOperator');
+    if (operatorInput) {
+      operatorInput.value = localStorage.getItem('osReportOperator') || '';
+      operatorInput.addEventListener('change', () => {
+        localStorage.setItem('osReportOperator', operatorInput.value.trim());
+      });
+    }
+
+    document.getElementById('osReportBtn')
+        ?.addEventListener('click', () => this.openOsReportModal());
+    document.getElementById('osReportCloseBtn')
+        ?.addEventListener('click', () => this.closeOsReportModal());
+    modal.querySelectorAll('[data-report-format]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        window.osTestManager?.exportSuiteReport(
+            btn.dataset.reportFormat, operatorInput?.value.trim() || '');
+      });
+    });
+
+    // 바깥 클릭 시 닫기 (드래그 보호)
+    let mouseDownTarget = null;
+    modal.addEventListener('mousedown', (e) => {
+      mouseDownTarget = e.target;
+    });
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal && mouseDownTarget === modal) {
+        this.closeOsReportModal();
+      }
+      mouseDownTarget = null;
+    });
+  }
+
+  openOsReportModal() {
+    const manager = window.osTestManager;
+    const info = document.getElementById('osReportInfo');
+    if (manager && info) {
+      const identity = OSTestReport.readDeviceIdentity();
+      const visible = Object.values(manager.tests).filter(
+          t => !OSTestManager.HIDDEN_CATEGORIES.has(t.category || '기타'));
+      const passed =
+          visible.filter(t => manager.results[t.id]?.result === 'pass').length;
+      const failed =
+          visible.filter(t => manager.results[t.id]?.result === 'fail').length;
+      const rows = [
+        ['디바이스',
+         identity.name ? `${identity.name} (ID ${identity.slaveId})` : '-'],
+        ['시리얼 번호', identity.serialNumber || '-'],
+        ...OSTestReport.OS_VERSION_FIELDS.map(
+            f => [f.label, identity.osVersions[f.key] || '-']),
+        ['결과',
+         `${passed}/${visible.length} 합격 · ${failed} 불합격 · ` +
+             `${visible.length - passed - failed} 미실행`],
+      ];
+      info.innerHTML = rows.map(([k, v]) => `<tr><th>${k}</th><td>${
+                                    OSTestReport.escape(v)}</td></tr>`)
+                           .join('');
+    }
+    document.getElementById('osReportModal')?.classList.add('active');
+  }
+
+  closeOsReportModal() {
+    document.getElementById('osReportModal')?.classList.remove('active');
+  }
+
+  // ─────────────────────────────────────────────────────────
+  //  OS verification history — 이름 붙은 Run 보관 / 비교 / 다시 열기
+  // ─────────────────────────────────────────────────────────
+
+  initOsHistory() {
+    const modal = document.getElementById('osHistoryModal');
+    if (!modal) return;
+    this.osHistory = {runs: [], selected: [], compare: null};
+
+    document.getElementById('osHistoryBtn')
+        ?.addEventListener('click', () => this.openOsHistoryModal());
+    document.getElementById('osHistoryCloseBtn')
+        ?.addEventListener('click', () => this.closeOsHistoryModal());
+    document.getElementById('osHistoryDevice')
+        ?.addEventListener('change', () => this.renderOsHistory());
+    document.getElementById('osHistorySaveBtn')
+        ?.addEventListener('click', () => this.saveOsHistoryRun());
+    document.getElementById('osHistoryCompareBtn')
+        ?.addEventListener('click', () => this.compareOsHistoryRuns());
+    document.getElementById('osHistoryShowSame')
+        ?.addEventListener('change', () => this.renderOsHistoryCompare());
+
+    const list = document.getElementById('osHistoryList');
+    list?.addEventListener('change', (e) => {
+      if (!e.target.matches('input[type="checkbox"][data-run-id]')) return;
+      const id = parseInt(e.target.dataset.runId);
+      const selected = this.osHistory.selected.filter(x => x !== id);
+      if (e.target.checked) selected.push(id);
+      // 비교는 두 Run 까지 — 세 번째를 고르면 가장 먼저 고른 것을 해제
+      this.osHistory.selected = selected.slice(-2);
+      this.renderOsHistoryList();
+    });
+    list?.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-action]');
+      if (!btn) return;
+      const id = parseInt(btn.closest('tr').dataset.runId);
+      this.handleOsHistoryAction(btn.dataset.action, id);
+    });
+
+    // 바깥 클릭 시 닫기 (드래그 보호)
+    let mouseDownTarget = null;
+    modal.addEventListener('mousedown', (e) => {
+      mouseDownTarget = e.target;
+    });
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal && mouseDownTarget === modal) {
+        this.closeOsHistoryModal();
+      }
+      mouseDownTarget = null;
+    });
+  }
+
+  openOsHistoryModal() {
+    document.getElementById('osHistoryModal')?.classList.add('active');
+    this.renderOsHistory();
+  }
+
+  closeOsHistoryModal() {
+    document.getElementById('osHistoryModal')?.classList.remove('active');
+  }
+
+  /** 저장된 Run 목록을 다시 읽어 디바이스 선택지와 목록 갱신 */
+  async renderOsHistory() {
+    try {
+      this.osHistory.runs = await OSTestHistory.listRuns();
+    } catch (e) {
+      this.showToast(`실행 이력 조회 실패: ${e.message}`, 'error');
+      return;
+    }
+    const existing = new Set(this.osHistory.runs.map(r => r.id));
+    this.osHistory.selected =
+        this.osHistory.selected.filter(id => existing.has(id));
+
+    const select = document.getElementById('osHistoryDevice');
+    if (select) {
+      const current = select.value;
+      const serials =
+          [...new Set(this.osHistory.runs.map(r => r.serialNumber))].sort();
+      select.innerHTML = '<option value="">All devices</option>' +
+          serials
+              .map(sn => `<option value="${OSTestReport.escape(sn)}">${
+                       OSTestReport.escape(sn || '(S/N 없음)')}</option>`)
+              .join('');
+      select.value = serials.includes(current) ? current : '';
+    }
+    this.renderOsHistoryList();
+  }
+
+  renderOsHistoryList() {
+    const list = document.getElementById('osHistoryList');
+    if (!list) return;
+    const esc = OSTestReport.escape;
+    const device = document.getElementById('osHistoryDevice')?.value ?? '';
+    const runs = this.osHistory.runs.filter(
+        r => !device || r.serialNumber === device);
+
+    if (runs.length === 0) {
+      list.innerHTML =
+          '<tr><td colspan="8" style="color:#868e96;">저장된 Run 이 없습니다</td></tr>';
+    } else {
+      list.innerHTML = runs.map(r => {
+        const {passed, failed, total} = r.summary;
+        const result = failed > 0 ? 'fail' : passed === total ? 'pass' : 'pending';
+        const checked = this.osHistory.selected.includes(r.id) ? 'checked' : '';
+        return `<tr data-run-id="${r.id}">
+          <td><input type="checkbox" data-run-id="${r.id}" ${checked}></td>
+          <td class="os-history-name">${esc(r.name)}${
+            r.operator ? ` <span style="color:#868e96;">· ${esc(r.operator)}</span>` : ''}</td>
+          <td>${new Date(r.createdAt).toLocaleString('ko-KR')}</td>
+          <td>${esc(r.serialNumber || '-')}</td>
+          <td>${esc(r.osVersions?.mcuFw || '-')}</td>
+          <td>${esc(r.osVersions?.invFw || '-')}</td>
+          <td class="os-history-result ${result}">${passed}/${total}${
+            failed ? ` (${failed} 불합격)` : ''}</td>
+          <td class="os-history-actions">
+            <button data-action="open" title="보고서로 열기 (로그·스냅샷·패킷)">Open</button>
+            <button data-action="json" title="JSON 저장">JSON</button>
+            <button data-action="rename" title="이름 변경">✎</button>
+            <button data-action="delete" title="삭제">🗑</button>
+          </td>
+        </tr>`;
+      }).join('');
+    }
+
+    const compareBtn = document.getElementById('osHistoryCompareBtn');
+    if (compareBtn) compareBtn.disabled = this.osHistory.selected.length !== 2;
+  }
+
+  async saveOsHistoryRun() {
+    const manager = window.osTestManager;
+    if (!manager) return;
+    if (manager.isTestRunning) {
+      this.showToast('테스트 실행 중에는 저장할 수 없습니다.', 'warning');
+      return;
+    }
+    const nameInput = document.getElementById('osHistoryName');
+    const id = await manager.archiveRun(null, false, nameInput?.value.trim() || '');
+    if (id === null) return;
+    if (nameInput) nameInput.value = '';
+    this.showToast('현재 결과를 실행 이력에 저장했습니다.', 'success');
+    this.renderOsHistory();
+  }
+
+  async handleOsHistoryAction(action, runId) {
+    const run = this.osHistory.runs.find(r => r.id === runId);
+    if (!run) return;
+
+    try {
+      if (action === 'open') {
+        // 팝업 차단을 피하려면 비동기 작업 전에 창을 열어야 한다
+        const win = window.open('', '_blank');
+        if (!win) {
+          alert('팝업이 차단되어 보고서 창을 열 수 없습니다.');
+          return;
+        }
+        const report = await OSTestHistory.getReport(runId);
+        if (!report) {
+          win.close();
+          throw new Error('보고서 본문이 없습니다');
+        }
+        win.document.open();
+        win.document.write(OSTestReport.toHtml(report));
+        win.document.close();
+      } else if (action === 'json') {
+        const report = await OSTestHistory.getReport(runId);
+        if (!report) throw new Error('보고서 본문이 없습니다');
+        const filename = run.name.replace(/[\\/:*?"<>|]/g, '-').trim() || `run_${runId}`;
+        OSTestReport.download(JSON.stringify(report, null, 2),
+                              `${filename}.json`, 'application/json');
+      } else if (action === 'rename') {
+        const name = prompt('Run 이름', run.name);
+        if (!name || !name.trim() || name.trim() === run.name) return;
+        await OSTestHistory.renameRun(runId, name.trim());
+        this.renderOsHistory();
+      } else if (action === 'delete') {
+        if (!confirm(`Run "${run.name}" 을(를) 삭제하시겠습니까?`)) return;
+        await OSTestHistory.removeRun(runId);
+        if (this.osHistory.compare?.ids.includes(runId)) {
+          this.osHistory.compare = null;
+          this.renderOsHistoryCompare();
+        }
+        this.renderOsHistory();
+      }
+    } catch (e) {
+      this.showToast(`실행 이력 작업 실패: ${e.message}`, 'error');
+    }
+  }
+
+  /** 선택한 두 Run 비교 — 이전 Run 을 기준(A)으로 */
+  async compareOsHistoryRuns() {
+    const runs = this.osHistory.selected
+                     .map(id => this.osHistory.runs.find(r => r.id === id))
+                     .filter(Boolean)
+                     .sort((a, b) => a.createdAt - b.createdAt);
+    if (runs.length !== 2) return;
+
+    try {
+      const [base, other] = await Promise.all(
+          runs.map(r => OSTestHistory.getReport(r.id)));
+      if (!base || !other) throw new Error('보고서 본문이 없습니다');
+      this.osHistory.compare = {
+        ids: runs.map(r => r.id),
+        names: runs.map(r => r.name),
+        ...OSTestHistory.compare(base, other)
+      };
+    } catch (e) {
+      this.showToast(`비교 실패: ${e.message}`, 'error');
+      return;
+    }
+    this.renderOsHistoryCompare();
+  }
+
+  renderOsHistoryCompare() {
+    const panel = document.getElementById('osHistoryCompare');
+    const body = document.getElementById('osHistoryCompareList');
+    if (!panel || !body) return;
+    const compare = this.osHistory?.compare;
+    panel.style.display = compare ? '' : 'none';
+    if (!compare) return;
+
+    const esc = OSTestReport.escape;
+    const labels = OSTestHistory.CHANGE_LABELS;
+    const resultLabel = {pass: 'PASS', fail: 'FAIL', pending: 'PENDING'};
+    document.getElementById('osHistoryCompareA').textContent =
+        `A: ${compare.names[0]}`;
+    document.getElementById('osHistoryCompareB').textContent =
+        `B: ${compare.names[1]}`;
+    document.getElementById('osHistoryCompareSummary').textContent =
+        Object.entries(compare.counts)
+            .filter(([, n]) => n > 0)
+            .map(([k, n]) => `${labels[k]} ${n}`)
+            .join(' · ');
+
+    // 신규 불합격 → 해결 → 나머지 변화 순
+    const order = ['new-failure', 'fixed', 'changed', 'added', 'removed', 'same'];
+    const showSame = document.getElementById('osHistoryShowSame')?.checked;
+    const rows = compare.rows.filter(r => showSame || r.change !== 'same')
+                     .sort((a, b) => order.indexOf(a.change) - order.indexOf(b.change));
+    body.innerHTML = rows.length === 0 ?
+        '<tr><td colspan="5" style="color:#868e96;">변화 없음</td></tr>' :
+        rows.map(r => `<tr>
+          <td>${esc(r.number ?? r.id)}</td>
+          <td class="os-history-name">${esc(r.title)}</td>
+          <td class="os-history-result ${r.a || ''}">${resultLabel[r.a] || '-'}</td>
+          <td class="os-history-result ${r.b || ''}">${resultLabel[r.b] || '-'}</td>
+          <td class="os-history-change ${r.change}">${labels[r.change]}</td>
+        </tr>`).join('');
+  }
+
+  // ─────────────────────────────────────────────────────────
+  //  OS test suites — JSON 으로 가져온 테스트 스위트 관리
+  // ─────────────────────────────────────────────────────────
+
+  initOsSuites() {
+    const modal = document.getElementById('osSuiteModal');
+    if (!modal) return;
+
+    const fileInput = document.getElementById('osSuiteFileInput');
+    document.getElementById('osSuiteBtn')
+        ?.addEventListener('click', () => this.openOsSuiteModal());
+    document.getElementById('osSuiteCloseBtn')
+        ?.addEventListener('click', () => this.closeOsSuiteModal());
+    document.getElementById('osSuiteImportBtn')
+        ?.addEventListener('click', () => fileInput?.click());
+    fileInput?.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (file) this.importOsSuite(file.name, await file.text());
+    });
+    document.getElementById('osSuiteTemplateBtn')
+        ?.addEventListener('click', () => {
+          OSTestReport.download(JSON.stringify(OSTestSuite.TEMPLATE, null, 2),
+                                'os_test_suite_template.json', 'application/json');
+        });
+
+    document.getElementById('osSuiteList')?.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-action]');
+      if (!btn) return;
+      const name = btn.closest('tr').dataset.suiteName;
+      const suite = window.osTestManager?.suites[name];
+      if (!suite) return;
+      if (btn.dataset.action === 'export') {
+        OSTestReport.download(JSON.stringify(suite, null, 2),
+                              `${name.replace(/[\\/:*?"<>|]/g, '-')}.json`,
+                              'application/json');
+      } else if (btn.dataset.action === 'remove') {
+        if (!confirm(`스위트 "${name}" 의 테스트 ${
+                suite.tests.length}개를 목록에서 제거하시겠습니까?`)) {
+          return;
+        }
+        if (!window.osTestManager.removeSuite(name)) {
+          this.showToast('테스트 실행 중에는 제거할 수 없습니다.', 'warning');
+        }
+        this.renderOsSuites();
+      }
+    });
+
+    // 바깥 클릭 시 닫기 (드래그 보호)
+    let mouseDownTarget = null;
+    modal.addEventListener('mousedown', (e) => {
+      mouseDownTarget = e.target;
+    });
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal && mouseDownTarget === modal) {
+        this.closeOsSuiteModal();
+      }
+      mouseDownTarget = null;
+    });
+  }
+
+  openOsSuiteModal() {
+    const errorsEl = document.getElementById('osSuiteErrors');
+    if (errorsEl) errorsEl.style.display = 'none';
+    this.renderOsSuites();
+    document.getElementById('osSuiteModal')?.classList.add('active');
+  }
+
+  closeOsSuiteModal() {
+    document.getElementById('osSuiteModal')?.classList.remove('active');
+  }
+
+  importOsSuite(filename, text) {
+    const manager = window.osTestManager;
+    if (!manager) return;
+    const errorsEl = document.getElementById('osSuiteErrors');
+    const result = manager.importSuite(text);
+    if (!result.valid) {
+      if (errorsEl) {
+        errorsEl.textContent = `${filename}: 검증 오류 ${
+            result.errors.length}개\n${OSTestSuite.formatErrors(result.errors)}`;
+        errorsEl.style.display = '';
+      }
+      return;
+    }
+    if (errorsEl) errorsEl.style.display = 'none';
+    this.showToast(`스위트 "${result.suite.name}" — 테스트 ${
+                       result.suite.tests.length}개를 가져왔습니다.`,
+                   'success');
+    this.renderOsSuites();
+  }
+
+  renderOsSuites() {
+    const list = document.getElementById('osSuiteList');
+    const suites = Object.values(window.osTestManager?.suites || {});
+    if (!list) return;
+    const esc = OSTestReport.escape;
+    list.innerHTML = suites.length === 0 ?
+        '<tr><td colspan="4" style="color:#868e96;">가져온 스위트가 없습니다</td></tr>' :
+        suites.map(suite => {
+          const categories = [...new Set(suite.tests.map(t => t.category))];
+          return `<tr data-suite-name="${esc(suite.name)}">
+            <td class="os-history-name">${esc(suite.name)}${
+              suite.description ?
+                  `<div style="color:#868e96;">${esc(suite.description)}</div>` :
+                  ''}</td>
+            <td class="os-history-name">${esc(categories.join(', '))}</td>
+            <td>${suite.tests.length}</td>
+            <td class="os-history-actions">
+              <button data-action="export" title="JSON 저장">JSON</button>
+              <button data-action="remove" title="목록에서 제거">🗑</button>
+            </td>
+          </tr>`;
+        }).join('');
+  }
+
+  // ─────────────────────────────────────────────────────────
+  //  OS batch verification — 여러 디바이스에 같은 테스트 계획 실행
+  // ─────────────────────────────────────────────────────────
+
+  initOsBatch() {
+    const modal = document.getElementById('osBatchModal');
+    if (!modal) return;
+
+    document.getElementById('osBatchBtn')
+        ?.addEventListener('click', () => this.openOsBatchModal());
+    document.getElementById('osBatchCloseBtn')
+        ?.addEventListener('click', () => this.closeOsBatchModal());
+    document.getElementById('osBatchStartBtn')
+        ?.addEventListener('click', () => this.startOsBatch());
+    document.getElementById('osBatchStopBtn')
+        ?.addEventListener('click', () => window.osTestManager?.stopTest());
+    // 계획·디바이스를 바꾸면 지난 결과 대신 새 계획을 보여준다
+    const replan = () => {
+      this.osBatchShown = false;
+      this.renderOsBatchMatrix();
+    };
+    document.getElementById('osBatchPlan')?.addEventListener('change', replan);
+    document.getElementById('osBatchDevices')?.addEventListener('change', replan);
+
+    modal.querySelectorAll('[data-batch-format]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        window.osTestManager?.exportBatchReport(
+            btn.dataset.batchFormat,
+            localStorage.getItem('osReportOperator') || '');
+      });
+    });
+
+    // 바깥 클릭 시 닫기 (드래그 보호)
+    let mouseDownTarget = null;
+    modal.addEventListener('mousedown', (e) => {
+      mouseDownTarget = e.target;
+    });
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal && mouseDownTarget === modal) {
+        this.closeOsBatchModal();
+      }
+      mouseDownTarget = null;
+    });
+  }
+
+  openOsBatchModal() {
+    const manager = window.osTestManager;
+    if (!manager) return;
+    const esc = OSTestReport.escape;
+
+    // 배치 실행 중에는 계획·디바이스 선택을 유지한 채 진행 상황만 보여준다
+    if (!this.osBatchRunning) {
+      const plan = document.getElementById('osBatchPlan');
+      if (plan) {
+        const current = plan.value;
+        const categories = [...new Set(
+            manager.getBatchPlan().map(id => manager.tests[id].category || '기타'))];
+        plan.innerHTML = '<option value="">전체 (Run All)</option>' +
+            categories
+                .map(c => `<option value="${esc(c)}">${esc(c)}</option>`)
+                .join('');
+        plan.value = categories.includes(current) ? current : '';
+      }
+      this.renderOsBatchDevices();
+      this.renderOsBatchMatrix();
+    }
+    document.querySelectorAll('#osBatchModal [data-batch-format]')
+        .forEach(btn => btn.disabled = this.osBatchRunning || !manager.lastBatch);
+    document.getElementById('osBatchModal')?.classList.add('active');
+  }
+
+  closeOsBatchModal() {
+    document.getElementById('osBatchModal')?.classList.remove('active');
+  }
+
+  /** 등록된 디바이스 체크박스 (Broadcast ID 0 제외) */
+  renderOsBatchDevices() {
+    const container = document.getElementById('osBatchDevices');
+    if (!container) return;
+    const esc = OSTestReport.escape;
+    const checked = new Set(
+        [...container.querySelectorAll('input:checked')].map(i => i.value));
+    const first = container.children.length === 0;
+    const devices = this.devices.filter(d => d.slaveId !== 0);
+
+    container.innerHTML = devices.length === 0 ?
+        '<span style="color:#868e96;">등록된 디바이스가 없습니다</span>' :
+        devices.map(d => {
+          const on = first || checked.has(String(d.id)) ? 'checked' : '';
+          return `<label><input type="checkbox" value="${d.id}" ${on}>${
+              esc(d.name)} <span style="color:#868e96;">(ID ${d.slaveId}${
+              d.serialNumber ? ` · ${esc(d.serialNumber)}` : ''})</span></label>`;
+        }).join('');
+  }
+
+  getOsBatchSelection() {
+    const ids = new Set(
+        [...document.querySelectorAll('#osBatchDevices input:checked')].map(
+            i => Number(i.value)));
+    return this.devices.filter(d => ids.has(d.id));
+  }
+
+  /** 결과 매트릭스 — 행: 테스트, 열: 디바이스 */
+  renderOsBatchMatrix() {
+    const table = document.getElementById('osBatchMatrix');
+    const manager = window.osTestManager;
+    if (!table || !manager) return;
+    const esc = OSTestReport.escape;
+
+    const batch = this.osBatchRunning || !this.osBatchShown ? null : manager.lastBatch;
+    const category = document.getElementById('osBatchPlan')?.value || null;
+    const devices = batch ? batch.devices.map(e => e.device) : this.getOsBatchSelection();
+    const testIds = batch ? batch.testIds : manager.getBatchPlan(category);
+
+    if (devices.length === 0 || testIds.length === 0) {
+      table.innerHTML =
+          '<tr><td style="color:#868e96;">디바이스와 테스트 계획을 선택하세요</td></tr>';
+      return;
+    }
+
+    const cells = new Map((batch?.devices || []).map(e => [e.device.slaveId, e.cells]));
+    table.innerHTML = `<thead><tr><th>No.</th><th>테스트</th><th>방식</th>${
+        devices.map(d => `<th>${esc(d.name)}<br><span style="font-weight:400;">ID ${
+                        d.slaveId}</span></th>`).join('')}</tr></thead><tbody>${
+        testIds.map(id => {
+          const test = manager.tests[id];
+          return `<tr data-test-id="${esc(id)}">
+            <td>${esc(test.number || '')}</td>
+            <td class="os-history-name">${esc(test.title)}</td>
+            <td>${manager.getBatchMode(id) === 'parallel' ? '병렬' : '직렬'}</td>
+            ${devices.map(d => this.osBatchCellHtml(
+                d.slaveId, cells.get(d.slaveId)?.[id] || 'pending')).join('')}
+          </tr>`;
+        }).join('')}</tbody>`;
+    this.renderOsBatchSummary();
+  }
+
+  osBatchCellHtml(slaveId, state) {
+    const labels = {pending: '-', running: '⏳', pass: 'PASS', fail: 'FAIL', skipped: 'N/A'};
+    return `<td class="os-batch-cell ${state}" data-slave-id="${slaveId}">${
+        labels[state]}</td>`;
+  }
+
+  updateOsBatchCell(slaveId, testId, state) {
+    const row = document.querySelector(
+        `#osBatchMatrix tr[data-test-id="${CSS.escape(testId)}"]`);
+    const cell = row?.querySelector(`td[data-slave-id="${slaveId}"]`);
+    if (cell) cell.outerHTML = this.osBatchCellHtml(slaveId, state);
+    this.renderOsBatchSummary();
+  }
+
+  renderOsBatchSummary() {
+    const el = document.getElementById('osBatchSummary');
+    const batch = window.osTestManager?.lastBatch;
+    if (!el) return;
+    if (!batch || !(this.osBatchRunning || this.osBatchShown)) {
+      el.textContent = '';
+      return;
+    }
+    const states = batch.devices.flatMap(e => Object.values(e.cells));
+    const count = s => states.filter(v => v === s).length;
+    const failedDevices =
+        batch.devices.filter(e => Object.values(e.cells).includes('fail')).length;
+    el.textContent = `${this.osBatchRunning ? '실행 중' : batch.stopped ? '중단됨' : '완료'} — PASS ${
+        count('pass')} · FAIL ${count('fail')} · N/A ${count('skipped')}${
+        this.osBatchRunning ? '' : ` · 불합격 디바이스 ${failedDevices}/${batch.devices.length}`}`;
+  }
+
+  async startOsBatch() {
+    const manager = window.osTestManager;
+    if (!manager) return;
+    if (manager.isTestRunning) {
+      this.showToast('테스트가 이미 실행 중입니다.', 'warning');
+      return;
+    }
+    const devices = this.getOsBatchSelection();
+    if (devices.length === 0) {
+      this.showToast('배치 검증할 디바이스를 선택하세요.', 'warning');
+      return;
+    }
+    const category = document.getElementById('osBatchPlan')?.value || null;
+    const mode = document.getElementById('osBatchMode')?.value || 'parallel';
+
+    const modal = document.getElementById('osBatchModal');
+    const startBtn = document.getElementById('osBatchStartBtn');
+    const stopBtn = document.getElementById('osBatchStopBtn');
+    const setRunning = (running) => {
+      this.osBatchRunning = running;
+      if (startBtn) startBtn.disabled = running;
+      if (stopBtn) stopBtn.disabled = !running;
+      modal.querySelectorAll('#osBatchPlan, #osBatchMode, #osBatchDevices input')
+          .forEach(el => el.disabled = running);
+      modal.querySelectorAll('[data-batch-format]')
+          .forEach(btn => btn.disabled = running || !manager.lastBatch);
+    };
+
+    this.osBatchShown = false;
+    this.renderOsBatchMatrix();
+    setRunning(true);
+    try {
+      const batch = await manager.runBatch(devices, {
+        category,
+        mode,
+        onUpdate: (slaveId, testId, state) =>
+            this.updateOsBatchCell(slaveId, testId, state)
+      });
+      this.osBatchShown = !!batch;
+    } catch (e) {
+      this.showToast(`배치 검증 실패: ${e.message}`, 'error');
+    } finally {
+      setRunning(false);
+      this.renderOsBatchMatrix();
+    }
+    if (this.osBatchShown) {
+      const failed = manager.lastBatch.devices.filter(
+          e => Object.values(e.cells).includes('fail')).length;
+      this.showToast(`배치 검증 ${manager.lastBatch.stopped ? '중단' : '완료'} — 불합격 디바이스 ${
+                         failed}/${devices.length}`,
+                     failed > 0 ? 'warning' : 'success');
+    }
+  }
+
+  /**
+   * Initialize monitor scroll controls
+   */
+  initMonitorScrollControls() {
+    const monitorDisplay = document.getElementById('monitorDisplay');
+    const scrollBtn = document.getElementById('monitorScrollBtn');
+    const autoScrollToggle = document.getElementById('autoScrollToggle');
+
+    if (!monitorDisplay) return;
+
+    // Scroll state tracking - use instance variables
+    let scrollTimeout;
+    this.lastScrollTop = monitorDisplay.scrollTop;
+    this.isProgrammaticScroll = false;
+
+    // Scroll event to detect user scrolling
+    let loadingOlder = false;
+    monitorDisplay.addEventListener('scroll', () => {
+      // Ignore programmatic scroll adjustments
+      if (this.isProgrammaticScroll) {
+        return;
+      }
+
+      const currentScrollTop = monitorDisplay.scrollTop;
+      const isAtBottom = monitorDisplay.scrollHeight - currentScrollTop -
+              monitorDisplay.clientHeight <
+          50;
+      const isAtTop = currentScrollTop < 100;
+      const scrolledDown = currentScrollTop > this.lastScrollTop;
+
+      // Load older entries when near top
+      if (isAtTop && !loadingOlder && this.monitorEntries.length > 0) {
+        loadingOlder = true;
+        this.loadOlderEntries();
+        setTimeout(() => {
+          loadingOlder = false;
+        }, 200);
+      }
+
+      // Only reset to auto-scroll if user actively scrolls DOWN to bottom
+      if (isAtBottom && scrolledDown) {
+        this.isUserScrolling = false;
+        this.newMessageCount = 0;
+        this.updateScrollButton();
+      } else if (currentScrollTop < this.lastScrollTop) {
+        // User scrolled up
+        this.isUserScrolling = true;
+        this.updateScrollButton();
+      }
+
+      this.lastScrollTop = currentScrollTop;
+
+      // Reset scroll detection after delay
+      clearTimeout(scrollTimeout);
+      scrollTimeout = setTimeout(() => {
+        const stillAtBottom = monitorDisplay.scrollHeight -
+                monitorDisplay.scrollTop - monitorDisplay.clientHeight <
+            50;
+        // Only auto-reset if at bottom AND user hasn't scrolled up
+        if (stillAtBottom && !this.isUserScrolling) {
+          this.newMessageCount = 0;
+          this.updateScrollButton();
+        }
+      }, 150);
+    });
+
+    // Scroll to bottom button
+    if (scrollBtn) {
+      scrollBtn.addEventListener('click', () => {
+        this.isProgrammaticScroll = true;
+        monitorDisplay.scrollTop = monitorDisplay.scrollHeight;
+        this.isUserScrolling = false;
+        this.newMessageCount = 0;
+        this.lastScrollTop = monitorDisplay.scrollTop;
+        this.updateScrollButton();
+        this.isProgrammaticScroll = false;
+      });
+    }
+
+    // Auto scroll toggle
+    if (autoScrollToggle) {
+      autoScrollToggle.checked = this.monitorAutoScroll;
+      autoScrollToggle.addEventListener('change', (e) => {
+        this.monitorAutoScroll = e.target.checked;
+        if (this.monitorAutoScroll) {
+          // Scroll to bottom when enabled
+          this.isProgrammaticScroll = true;
+          monitorDisplay.scrollTop = monitorDisplay.scrollHeight;
+          this.isUserScrolling = false;
+          this.newMessageCount = 0;
+          this.lastScrollTop = monitorDisplay.scrollTop;
+          this.updateScrollButton();
+          this.isProgrammaticScroll = false;
+        }
+      });
+    }
+  }
+
+  /**
+   * Update scroll button visibility and count
+   */
+  updateScrollButton() {
+    const scrollBtn = document.getElementById('monitorScrollBtn');
+    const countEl = document.getElementById('newMessageCount');
+
+    if (!scrollBtn) return;
+
+    // Show button when user is scrolling up
+    if (this.isUserScrolling) {
+      scrollBtn.classList.add('visible');
+    } else {
+      scrollBtn.classList.remove('visible');
+    }
+
+    // Update new message count
+    if (countEl) {
+      countEl.textContent = this.newMessageCount;
+      if (this.newMessageCount > 0) {
+        countEl.classList.add('visible');
+      } else {
+        countEl.classList.remove('visible');
+      }
+    }
+  }
+
+  /**
+   * Create detailed HTML for expanded view
+   */
+  createDetailsHTML(
+      frame, _byteInfo, _parsedData, type, timeStr, deltaStr, request = null) {
+    // frame이 너무 짧으면 기본 정보만 표시
+    if (!frame || frame.length < 2) {
+      return `<div class="monitor-details-grid">
+                <div class="monitor-detail-item detail-timestamp">
+                    <div class="monitor-detail-label">Timestamp</div>
+                    <div class="monitor-detail-value">${timeStr}</div>
+                </div>
+                <div class="monitor-detail-item detail-raw">
+                    <div class="monitor-detail-label">Raw Data</div>
+                    <div class="monitor-detail-value">${
+          frame ? Array.from(frame)
+                      .map(b => b.toString(16).toUpperCase().padStart(2, '0'))
+                      .join(' ') :
+                  '-'}</div>
+                </div>
+            </div>`;
+    }
+
+    const funcCode = frame[1];
+    const isError = funcCode > 0x80;
+    const actualFunc = isError ? funcCode - 0x80 : funcCode;
+
+    const funcNames = {
+      1: 'Read Coils',
+      2: 'Read Discrete Inputs',
+      3: 'Read Holding Registers',
+      4: 'Read Input Registers',
+      5: 'Write Single Coil',
+      6: 'Write Single Register',
+      15: 'Write Multiple Coils',
+      16: 'Write Multiple Registers'
+    };
+
+    const custom = this.getCustomDissection(frame, type, request);
+
+    let detailsHTML = '<div class="monitor-details-grid">';
+
+    // Basic info
+    detailsHTML += `
+            <div class="monitor-detail-item detail-timestamp">
+                <div class="monitor-detail-label">Timestamp</div>
+                <div class="monitor-detail-value">${timeStr}</div>
+            </div>
+            <div class="monitor-detail-item detail-delta">
+                <div class="monitor-detail-label">Delta</div>
+                <div class="monitor-detail-value">${deltaStr || '-'}</div>
+            </div>
+            <div class="monitor-detail-item detail-slave">
+                <div class="monitor-detail-label">Slave ID</div>
+                <div class="monitor-detail-value">${frame[0]}</div>
+            </div>
+            <div class="monitor-detail-item detail-func">
+                <div class="monitor-detail-label">Function</div>
+                <div class="monitor-detail-value">${isError ? 'Error' : ''} ${
+        funcNames[actualFunc] || custom?.dissector.name || 'Unknown'} (0x${
+        actualFunc.toString(16).toUpperCase().padStart(2, '0')})</div>
+            </div>
+        `;
+
+    // Custom FC: 해석기 요약 (Address/Quantity 필드가 없는 프레임)
+    if (custom?.summary) {
+      detailsHTML += `
+                <div class="monitor-detail-item detail-addr">
+                    <div class="monitor-detail-label">Decoded</div>
+                    <div class="monitor-detail-value">${custom.summary}</div>
+                </div>
+            `;
+    }
+
+    // Address and quantity for requests
+    if (frame.length >= 6 && !isError && !custom) {
+      const addr = (frame[2] << 8) | frame[3];
+      detailsHTML += `
+                <div class="monitor-detail-item detail-addr">
+                    <div class="monitor-detail-label">Address</div>
+                    <div class="monitor-detail-value">0x${
+          addr.toString(16).toUpperCase().padStart(4, '0')} (${addr})</div>
+                </div>
+            `;
+
+      if ([1, 2, 3, 4, 15, 16].includes(actualFunc) && type === 'sent') {
+        const qty = (frame[4] << 8) | frame[5];
+        detailsHTML += `
+                    <div class="monitor-detail-item detail-qty">
+                        <div class="monitor-detail-label">Quantity</div>
+                        <div class="monitor-detail-value">${qty}</div>
+                    </div>
+                `;
+      }
+    }
+
+    // Frame length
+    detailsHTML += `
+            <div class="monitor-detail-item detail-length">
+                <div class="monitor-detail-label">Frame Length</div>
+                <div class="monitor-detail-value">${frame.length} bytes</div>
+            </div>
+        `;
+
+    detailsHTML += '</div>';
+
+    // Raw hex string (clickable to copy)
+    const hexString =
+        Array.from(frame)
+            .map(b => b.toString(16).toUpperCase().padStart(2, '0'))
+            .join(' ');
+    detailsHTML += `
+            <div class="monitor-raw-container" data-raw="${
+        hexString}" title="클릭하여 복사">
+                <strong>Raw:</strong> <span class="monitor-raw-value">${
+        hexString}</span>
+                <span class="monitor-raw-copy-icon">📋</span>
+            </div>
+        `;
+
+    return detailsHTML;
+  }
+
+  /**
+   * Get byte information for Modbus frame analysis (data-unit grouped)
+   */
+  getByteInfo(frame, parsedData, type, request = null) {
+    const info = [];
+    const len = frame.length;
+
+    if (len < 4) {
+      for (let i = 0; i < len; i++) {
+        info[i] = {
+          name: 'Unknown',
+          desc: '유효하지 않은 프레임입니다.',
+          class: 'byte-unknown'
+        };
+      }
+      return info;
+    }
+
+    const funcCode = frame[1];
+    const isResponse = type === 'received';
+    const isError = funcCode > 0x80;
+    const actualFunc = isError ? funcCode - 0x80 : funcCode;
+    const custom = this.getCustomDissection(frame, type, request);
+
+    const funcNames = {
+      1: 'Read Coils',
+      2: 'Read Discrete Inputs',
+      3: 'Read Holding Registers',
+      4: 'Read Input Registers',
+      5: 'Write Single Coil',
+      6: 'Write Single Register',
+      15: 'Write Multiple Coils',
+      16: 'Write Multiple Registers'
+    };
+
+    // Byte 0: Slave ID (1 byte)
+    info[0] = {
+      name: 'Slave ID',
+      desc: 'Modbus 슬레이브 장치의 고유 주소',
+      value: frame[0],
+      class: 'byte-slave',
+      size: 1
+    };
+
+    // Byte 1: Function Code (1 byte)
+    info[1] = {
+      name: isError ? 'Error Code' : 'Function Code',
+      desc: isError ?
+          `에러 응답 (원본: ${
+              funcNames[actualFunc] || custom?.dissector.name || 'Unknown'})` :
+          funcNames[actualFunc] || custom?.dissector.name || 'Unknown',
+      value: frame[1],
+      class: isError ? 'byte-error' : 'byte-func',
+      size: 1
+    };
+
+    // Parse based on function code and type
+    if (custom?.fields) {
+      custom.fields.forEach(field => {
+        const size = field.size || 1;
+        const group = size > 1 ?
+            Array.from({length: size}, (_, k) => field.offset + k) :
+            undefined;
+        for (let k = 0; k < size && field.offset + k < len; k++) {
+          info[field.offset + k] = {
+            name: field.name,
+            desc: field.desc,
+            value: field.value,
+            class: field.class,
+            size,
+            group,
+            grouped: k > 0 || undefined
+          };
+        }
+      });
+    } else if (isError && (isResponse || custom)) {
+      const exceptionNames = {
+        1: 'Illegal Function',
+        2: 'Illegal Data Address',
+        3: 'Illegal Data Value',
+        4: 'Slave Device Failure',
+        5: 'Acknowledge',
+        6: 'Slave Device Busy'
+      };
+      info[2] = {
+        name: 'Exception Code',
+        desc: exceptionNames[frame[2]] || 'Unknown Error',
+        value: frame[2],
+        class: 'byte-error',
+        size: 1
+      };
+    } else if (type === 'sent') {
+      if ([1, 2, 3, 4].includes(funcCode)) {
+        const addr = (frame[2] << 8) | frame[3];
+        const qty = (frame[4] << 8) | frame[5];
+        info[2] = {
+          name: 'Start Address',
+          desc: '읽기 시작할 주소',
+          value: addr,
+          class: 'byte-addr',
+          size: 2,
+          group: [2, 3]
+        };
+        info[3] = {
+          name: 'Start Address',
+          desc: '읽기 시작할 주소',
+          value: addr,
+          class: 'byte-addr',
+          size: 2,
+          group: [2, 3],
+          grouped: true
+        };
+        info[4] = {
+          name: 'Quantity',
+          desc: '읽을 개수',
+          value: qty,
+          class: 'byte-qty',
+          size: 2,
+          group: [4, 5]
+        };
+        info[5] = {
+          name: 'Quantity',
+          desc: '읽을 개수',
+          value: qty,
+          class: 'byte-qty',
+          size: 2,
+          group: [4, 5],
+          grouped: true
+        };
+      } else if (funcCode === 5) {
+        const addr = (frame[2] << 8) | frame[3];
+        const val = (frame[4] << 8) | frame[5];
+        info[2] = {
           name: 'Coil Address',
           desc: '쓸 코일 주소',
           value: addr,
@@ -5325,8 +8913,8 @@ class ModbusDashboard {
       }
     }
 
-    // CRC (2 bytes as one unit)
-    if (len >= 4) {
+    // CRC (2 bytes as one unit) — FC66 레거시 응답처럼 CRC 없는 프레임 제외
+    if (len >= 4 && (!custom || custom.hasCrc)) {
       const crc = (frame[len - 1] << 8) | frame[len - 2];
       info[len - 2] = {
         name: 'CRC-16',
@@ -5350,10 +8938,45 @@ class ModbusDashboard {
     return info;
   }
 
+  /**
+   * 사용자 정의 FC 프레임 해석 (CUSTOM_FC_DISSECTORS 레지스트리)
+   * @param {Uint8Array|null} [request] - RX가 응답하는 직전 TX 프레임
+   * @returns {{dissector, dir, hasCrc, fields, summary}|null} 등록되지 않은
+   *     FC면 null, 예외 응답(FC | 0x80)이면 fields/summary 없이 반환
+   */
+  getCustomDissection(frame, type, request = null) {
+    const funcCode = frame[1];
+    const dissector = CUSTOM_FC_DISSECTORS[funcCode & 0x7F];
+    if (!dissector) return null;
+
+    const dir = (type === 'sent' || type === 'tx') ? 'tx' : 'rx';
+    if (funcCode & 0x80) {
+      return {dissector, dir, hasCrc: true, fields: null, summary: null};
+    }
+
+    const hasCrc = dissector.hasCrc ? dissector.hasCrc(frame, dir) : true;
+    const ctx = {
+      end: hasCrc ? frame.length - 2 : frame.length,
+      request: dir === 'rx' ? request : null,
+      channelName: chNum => {
+        const def = this.getChartChannels().find(d => d.chNum === chNum);
+        return def ? def.name : `Ch# 0x${
+            chNum.toString(16).toUpperCase().padStart(2, '0')}`;
+      }
+    };
+    try {
+      const {fields, summary} = dissector.dissect(frame, dir, ctx);
+      return {dissector, dir, hasCrc, fields, summary};
+    } catch (error) {
+      // 잘린 프레임 등 — 이름만 표시하고 필드 해석은 생략
+      return {dissector, dir, hasCrc, fields: null, summary: null};
+    }
+  }
+
   /**
    * Get frame summary text
    */
-  getFrameSummary(frame, parsedData, type) {
+  getFrameSummary(frame, parsedData, type, request = null) {
     if (frame.length < 4) return '[Invalid Frame]';
 
     const funcCode = frame[1];
@@ -5371,6 +8994,8 @@ class ModbusDashboard {
       16: 'Write Regs'
     };
 
+    const custom = this.getCustomDissection(frame, type, request);
+
     if (isError) {
       const exCodes = {
         1: 'Illegal Func',
@@ -5378,7 +9003,13 @@ class ModbusDashboard {
         3: 'Illegal Value',
         4: 'Device Fail'
       };
-      return `[ERROR: ${exCodes[frame[2]] || 'Unknown'}]`;
+      const prefix = custom ? `${custom.dissector.short} ` : '';
+      return `[${prefix}ERROR: ${exCodes[frame[2]] || 'Unknown'}]`;
+    }
+
+    if (custom) {
+      return `[${custom.dissector.short} ${custom.summary || ''}`.trimEnd() +
+          ']';
     }
 
     let summary = `[${funcNames[actualFunc] || 'Func ' + actualFunc}`;
@@ -5449,12 +9080,13 @@ class ModbusDashboard {
 
     // Format values based on data size
     let hexVal, decVal, binVal;
-    if (size === 2) {
-      hexVal = `0x${dataValue.toString(16).toUpperCase().padStart(4, '0')}`;
+    if (size === 2 || size === 4) {
+      hexVal = `0x${
+          dataValue.toString(16).toUpperCase().padStart(size * 2, '0')}`;
       decVal = dataValue.toString();
-      binVal = dataValue.toString(2).padStart(16, '0');
+      binVal = dataValue.toString(2).padStart(size * 8, '0');
       // Format binary with space for readability
-      binVal = binVal.slice(0, 8) + ' ' + binVal.slice(8);
+      binVal = binVal.match(/.{8}/g).join(' ');
     } else {
       hexVal = `0x${dataValue.toString(16).toUpperCase().padStart(2, '0')}`;
       decVal = dataValue.toString();
@@ -5463,7 +9095,8 @@ class ModbusDashboard {
 
     // Byte position text
     const byteText =
-        info.group ? `Byte ${info.group[0]}-${info.group[1]}` : `Byte ${index}`;
+        info.group ? `Byte ${info.group[0]}-${info.group[info.group.length - 1]}` :
+                     `Byte ${index}`;
 
     tooltip.innerHTML = `
             <div class="byte-tooltip-header">
@@ -5664,6 +9297,10 @@ class ModbusDashboard {
    */
   clearMonitor() {
     this.monitorEntries = [];
+    this.monitorView = null;
+    this.updateMonitorFilterStatus();
+    const sessionSelect = document.getElementById('monitorSessionSelect');
+    if (sessionSelect) sessionSelect.value = 'live';
     const monitorDisplay = document.getElementById('monitorDisplay');
     monitorDisplay.innerHTML =
         '<p class="placeholder">Waiting for communication...</p>';
@@ -5961,6 +9598,11 @@ class ModbusDashboard {
       this.scanTimeout = settings.scanTimeout || 200;
       this.scanRegister = settings.scanRegister || 0xD011;
       this.scanRemoveNotFound = settings.scanRemoveNotFound || false;
+      this.simulatorProfile = settings.simulatorProfile || 'generic';
+      if (Array.isArray(settings.simulatorSlaves) &&
+          settings.simulatorSlaves.length > 0) {
+        this.restoreSimulatorSlaves(settings.simulatorSlaves);
+      }
 
       // Update UI
       const autoScanToggle = document.getElementById('autoScanEnabled');
@@ -6031,7 +9673,14 @@ class ModbusDashboard {
       scanRangeEnd: this.scanRangeEnd,
       scanTimeout: this.scanTimeout,
       scanRegister: this.scanRegister,
-      scanRemoveNotFound: this.scanRemoveNotFound
+      scanRemoveNotFound: this.scanRemoveNotFound,
+      simulatorProfile: this.simulatorProfile,
+      simulatorSlaves: [...this.simulatorBus.slaves.values()].map(
+          slave => ({
+            id: slave.slaveId,
+            delay: slave.responseDelay,
+            online: slave.online
+          }))
     };
     localStorage.setItem('modbusSettings', JSON.stringify(settings));
   }
@@ -8080,24 +11729,14 @@ class ModbusDashboard {
       frame = this.modbus.buildReadHoldingRegisters(slaveId, address, 1);
     }
 
-    if (this.simulatorEnabled) {
-      const functionCode = isLsm ? 0x2B : (param.type === 'input' ? 4 : 3);
+    if (this.simulatorEnabled && !isLsm) {
+      const functionCode = param.type === 'input' ? 4 : 3;
       this.addMonitorEntry(
           'sent', frame, {functionCode, startAddress: address, quantity: 1});
       this.stats.requests++;
       this.updateStatsDisplay();
 
-      if (isLsm) {
-        // Simulator does not support FC 0x2B — skip silently
-        this.updateStats(false);
-        if (!silent)
-          this.showToast(
-              `${param.name}: 시뮬레이터는 LSM(FC 0x2B)을 지원하지 않습니다`,
-              'warning');
-        return false;
-      }
-
-      const response = await this.simulator.processRequest(frame);
+      const response = await this.simulatorBus.processRequest(frame);
       if (response && response.length >= 5) {
         this.addMonitorEntry('received', response);
         const value = (response[3] << 8) | response[4];
@@ -8116,11 +11755,12 @@ class ModbusDashboard {
           this.showToast(`${param.name} 읽기에 실패했습니다`, 'error');
         return false;
       }
-    } else if (this.writer) {
+    } else if (this.writer || this.simulatorEnabled) {
       let value;
       // busyBus: polling 루프 또는 FC64 차트가 버스를 점유 중 → 큐에 등록해야
-      // 충돌 방지
-      const busyBus = this.autoPollingTimer || this._isFc64Active;
+      // 충돌 방지 (시뮬레이터는 버스가 없으므로 항상 직접 전송)
+      const busyBus = !this.simulatorEnabled &&
+          (this.autoPollingTimer || this._isFc64Active);
       if (isLsm) {
         // FC 0x2B (CANopen MEI Transport): 큐 또는 직접 전송
         let parsed;
@@ -8290,7 +11930,7 @@ class ModbusDashboard {
    */
   toggleSimulator() {
     this.simulatorEnabled = !this.simulatorEnabled;
-    this.simulator.enabled = this.simulatorEnabled;
+    this.simulatorBus.setEnabled(this.simulatorEnabled);
 
     const btn = document.getElementById('simToggleBtn');
     const status = document.getElementById('simStatus');
@@ -8324,38 +11964,429 @@ class ModbusDashboard {
     } else {
       btn.textContent = '시뮬레이터 활성화';
 
-      // Stop auto polling (force=true: 시뮬레이터 비활성화 시 강제 중단)
-      this.stopAutoPolling(true);
-      btn.classList.remove('btn-secondary');
-      btn.classList.add('btn-primary');
-      status.textContent = '비활성';
-      status.style.color = '#6c757d';
+      // Stop auto polling (force=true: 시뮬레이터 비활성화 시 강제 중단)
+      this.stopAutoPolling(true);
+      btn.classList.remove('btn-secondary');
+      btn.classList.add('btn-primary');
+      status.textContent = '비활성';
+      status.style.color = '#6c757d';
+
+      // Stop UI update
+      this.stopSimulatorUI();
+
+      // Disable virtual connection if no real port
+      if (!this.port) {
+        this.updateConnectionStatus(false);
+      }
+      this.addMonitorEntry(
+          'received', 'Virtual Modbus Slave Simulator deactivated');
+      this.showToast('가상 시뮬레이터가 비활성화되었습니다', 'info');
+    }
+
+    // Update modal simulator display
+    this.updateModalSimulatorDisplay();
+  }
+
+  /**
+   * Reset simulator memory
+   */
+  resetSimulator() {
+    if (confirm('시뮬레이터의 모든 메모리를 초기화하시겠습니까?')) {
+      this.simulatorBus.reset();
+      this.renderSimulatorFwFaults();
+      this.renderSimulatorAlarmState();
+      this.addMonitorEntry(
+          'received', 'Simulator memory reset to initial values');
+    }
+  }
+
+  /**
+   * 시뮬레이터 드라이브 맵 로드 (parameters.csv → 실패 시 내장 파라미터) 후 프로파일 적용
+   */
+  async initSimulatorProfile() {
+    let rows = null;
+    try {
+      const resp = await fetch('./parameters.csv', {cache: 'no-cache'});
+      if (resp.ok) {
+        rows = this.parseParameterRows(await resp.text());
+      }
+    } catch (e) {
+      // file:// 로 열었거나 파일 없음 → 내장 파라미터 사용
+    }
+    if (!rows || rows.length === 0) {
+      rows = this.getDefaultParameters();
+    }
+
+    this.simulatorBus.loadDriveMap(rows);
+    this.setSimulatorProfile(this.simulatorProfile, false);
+  }
+
+  /**
+   * parameters.csv 텍스트 → [{type, address, name}] (# 주석 행 제외)
+   */
+  parseParameterRows(csv) {
+    const lines = csv.split('\n');
+    const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
+    const rows = [];
+    for (let i = 1; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (!line || line.startsWith('#')) continue;
+
+      const values = this.parseCSVLine(line);
+      const row = {
+        type: values[headers.indexOf('type')],
+        address: values[headers.indexOf('address')],
+        name: values[headers.indexOf('name')] || ''
+      };
+      if (row.type && row.address) rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * 시뮬레이터 프로파일 변경 ('drive' | 'generic') — 메모리가 초기화됨
+   */
+  setSimulatorProfile(profile, notify = true) {
+    this.simulatorProfile = profile === 'drive' ? 'drive' : 'generic';
+    this.simulatorBus.setProfile(this.simulatorProfile);
+
+    ['simProfile', 'modal-simProfile'].forEach(id => {
+      const select = document.getElementById(id);
+      if (select) select.value = this.simulatorProfile;
+    });
+
+    this.renderSimulatorAlarmState();
+
+    if (notify) {
+      this.saveSettings();
+      this.renderSimulatorFwFaults();
+      this.addMonitorEntry(
+          'received',
+          `Simulator profile: ${
+              this.simulatorProfile === 'drive' ? 'EC-FAN drive' :
+                                                  'generic'}`);
+    }
+  }
+
+  /**
+   * 저장된 버스 구성 [{id, delay, online}]으로 시뮬레이터 slave 재구성
+   */
+  restoreSimulatorSlaves(list) {
+    this.simulatorBus.getSlaveIds().forEach(
+        id => this.simulatorBus.removeSlave(id));
+    list.forEach(({id, delay, online}) => {
+      this.simulatorBus.addSlave(id, {responseDelay: delay, online});
+    });
+
+    const ids = this.simulatorBus.getSlaveIds();
+    if (ids.length === 0) this.simulatorBus.addSlave(1);
+    this.simulator = this.simulatorBus.getSlave(ids[0] ?? 1);
+    this.renderSimulatorSlaves();
+  }
+
+  /**
+   * 설정 패널에서 편집할 slave 선택 (버스에 없으면 추가)
+   */
+  selectSimulatorSlave(slaveId) {
+    if (isNaN(slaveId) || slaveId < 1 || slaveId > 247) {
+      this.showToast('Slave ID는 1~247 범위여야 합니다', 'warning');
+      return;
+    }
+
+    const isNew = !this.simulatorBus.getSlave(slaveId);
+    this.simulator = this.simulatorBus.addSlave(slaveId);
+    if (isNew) {
+      this.saveSettings();
+      this.addMonitorEntry(
+          'received', `Simulator slave ${slaveId} added to the bus`);
+    }
+
+    ['simSlaveId', 'modal-simSlaveId'].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) input.value = slaveId;
+    });
+    ['simDelay', 'modal-simDelay'].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) input.value = this.simulator.responseDelay;
+    });
+
+    this.renderSimulatorSlaves();
+    this.renderSimulatorFwFaults();
+    this.renderSimulatorAlarmState();
+  }
+
+  /**
+   * 버스에서 slave 제거 (마지막 1대는 유지)
+   */
+  removeSimulatorSlave(slaveId) {
+    if (this.simulatorBus.slaves.size <= 1) {
+      this.showToast('버스에는 최소 1대의 slave가 필요합니다', 'warning');
+      return;
+    }
+
+    this.simulatorBus.removeSlave(slaveId);
+    this.saveSettings();
+    this.addMonitorEntry(
+        'received', `Simulator slave ${slaveId} removed from the bus`);
+    if (this.simulator.slaveId === slaveId) {
+      this.selectSimulatorSlave(this.simulatorBus.getSlaveIds()[0]);
+    } else {
+      this.renderSimulatorSlaves();
+    }
+  }
+
+  /**
+   * 버스 slave 목록 표시 (ID / 응답 지연 / Online / 제거)
+   */
+  renderSimulatorSlaves() {
+    const list = document.getElementById('modal-simSlaveList');
+    if (!list) return;
+
+    list.innerHTML =
+        this.simulatorBus.getSlaveIds()
+            .map(id => {
+              const slave = this.simulatorBus.getSlave(id);
+              const selected = slave === this.simulator;
+              return `
+                <div class="sim-slave-row" data-id="${id}" style="display: flex; align-items: center; gap: 10px; padding: 4px 6px; border-radius: 4px;${
+                  selected ? ' background: #e7f3ff;' : ''}">
+                  <button class="btn btn-secondary btn-sm" data-action="select" style="min-width: 60px;">ID ${
+                  id}</button>
+                  <label style="margin: 0;">지연 <input type="number" data-action="delay" min="0" max="1000" step="10" value="${
+                  slave.responseDelay}" style="width: 70px;"> ms</label>
+                  <label style="margin: 0;"><input type="checkbox" data-action="online"${
+                  slave.online ? ' checked' : ''}> Online</label>
+                  <button class="btn btn-secondary btn-sm" data-action="remove">제거</button>
+                </div>`;
+            })
+            .join('');
+
+    list.querySelectorAll('.sim-slave-row').forEach(row => {
+      const id = parseInt(row.dataset.id);
+      const slave = this.simulatorBus.getSlave(id);
+      row.querySelector('[data-action="select"]')
+          .addEventListener('click', () => this.selectSimulatorSlave(id));
+      row.querySelector('[data-action="remove"]')
+          .addEventListener('click', () => this.removeSimulatorSlave(id));
+      row.querySelector('[data-action="delay"]')
+          .addEventListener('change', (e) => {
+            slave.responseDelay = Math.max(0, parseInt(e.target.value) || 0);
+            if (slave === this.simulator) {
+              document.getElementById('simDelay').value = slave.responseDelay;
+              document.getElementById('modal-simDelay').value =
+                  slave.responseDelay;
+            }
+            this.saveSettings();
+          });
+      row.querySelector('[data-action="online"]')
+          .addEventListener('change', (e) => {
+            this.simulatorBus.setSlaveOnline(id, e.target.checked);
+            this.saveSettings();
+            this.addMonitorEntry(
+                'received',
+                `Simulator slave ${id} ${
+                    e.target.checked ? 'online' : 'offline'}`);
+          });
+    });
+  }
+
+  /**
+   * 회선 잡음(impairment) 설정 입력 바인딩
+   */
+  initSimulatorImpairmentControls() {
+    const bus = this.simulatorBus;
+    const fields = {
+      'modal-simImpCrc': 'crcError',
+      'modal-simImpTruncate': 'truncate',
+      'modal-simImpSplit': 'split',
+      'modal-simImpGarbage': 'garbage',
+      'modal-simImpSilence': 'silence',
+      'modal-simImpReadError': 'readError',
+      'modal-simImpJitter': 'jitter'
+    };
+
+    document.getElementById('modal-simImpEnabled')
+        .addEventListener('change', (e) => {
+          bus.impairments.enabled = e.target.checked;
+          this.addMonitorEntry(
+              'received',
+              `Simulator line impairments ${
+                  e.target.checked ? 'enabled' : 'disabled'}`);
+        });
+    Object.entries(fields).forEach(([id, key]) => {
+      document.getElementById(id).addEventListener('change', (e) => {
+        const max = key === 'jitter' ? 5000 : 100;
+        bus.impairments[key] =
+            Math.min(max, Math.max(0, parseFloat(e.target.value) || 0));
+        e.target.value = bus.impairments[key];
+      });
+    });
+
+    document.getElementById('modal-simImpResetCountBtn')
+        .addEventListener('click', () => {
+          bus.impairmentCounts = {};
+          this.renderSimulatorImpairmentCounts();
+        });
+    document.getElementById('modal-simPortConnectBtn')
+        .addEventListener('click', () => this.connectSimulatedPort());
+  }
+
+  /**
+   * 시뮬레이터 버스에 가상 시리얼 포트로 연결 (실제 수신 경로 사용)
+   */
+  async connectSimulatedPort() {
+    // 직접 응답 모드와 동시 사용 불가 — 요청이 시리얼 경로를 타도록 비활성화
+    if (this.simulatorEnabled) this.toggleSimulator();
+
+    if (this.port) {
+      this.showToast('먼저 현재 연결을 해제하세요', 'warning');
+      return;
+    }
+
+    await this.connect(true);
+  }
+
+  /**
+   * 발생한 impairment 횟수 표시
+   */
+  renderSimulatorImpairmentCounts() {
+    const el = document.getElementById('modal-simImpCounts');
+    if (!el) return;
+
+    const counts = Object.entries(this.simulatorBus.impairmentCounts);
+    el.textContent = counts.length ?
+        counts.map(([name, count]) => `${name}: ${count}`).join('  ·  ') :
+        '발생한 impairment 없음';
+  }
+
+  /**
+   * 알람 코드 목록(getAlarmCodeName 테이블)과 경고 비트 체크박스 구성
+   */
+  initSimulatorAlarmControls() {
+    const codeSelect = document.getElementById('modal-simAlarmCode');
+    for (let code = 0x01; code <= 0xFF; code++) {
+      const label = this.getAlarmCodeName(code);
+      if (label.endsWith('(Unknown)')) continue;
+      const option = document.createElement('option');
+      option.value = code;
+      option.textContent = label;
+      codeSelect.appendChild(option);
+    }
+
+    const warningList = document.getElementById('modal-simWarningList');
+    warningList.innerHTML =
+        Object.values(this.WARNING_BITS)
+            .map(w => `<label><input type="checkbox" data-mask="${w.mask}"> 0x${
+                     w.mask.toString(16).toUpperCase().padStart(2, '0')} ${
+                     w.name}</label>`)
+            .join('');
+    warningList.querySelectorAll('input').forEach(input => {
+      input.addEventListener('change', (e) => {
+        const mask = parseInt(e.target.dataset.mask);
+        if (!this.simulator.setWarning(mask, e.target.checked)) {
+          e.target.checked = false;
+          this.showToast('EC-FAN 드라이브 프로파일에서만 사용할 수 있습니다', 'warning');
+        }
+        this.renderSimulatorAlarmState();
+      });
+    });
+
+    document.getElementById('modal-simAlarmInjectBtn')
+        .addEventListener('click', () => this.injectSimulatorAlarm());
+    document.getElementById('modal-simAlarmCauseBtn')
+        .addEventListener('click', () => {
+          this.simulator.removeAlarmCause();
+          this.renderSimulatorAlarmState();
+        });
+  }
+
+  /**
+   * 설정 모달에서 선택한 알람 코드 주입
+   */
+  injectSimulatorAlarm() {
+    const code = parseInt(document.getElementById('modal-simAlarmCode').value);
+    const persistent =
+        document.getElementById('modal-simAlarmPersistent').checked;
+
+    if (!this.simulator.injectAlarm({code, persistent})) {
+      this.showToast('EC-FAN 드라이브 프로파일에서만 사용할 수 있습니다', 'warning');
+      return;
+    }
+    this.addMonitorEntry(
+        'received', `Simulator alarm injected: ${this.getAlarmCodeName(code)}`);
+    this.renderSimulatorAlarmState();
+  }
+
+  /**
+   * 시뮬레이터 알람/경고 상태 표시 (Alarm Reset 등으로 해제되면 함께 갱신)
+   */
+  renderSimulatorAlarmState() {
+    const stateEl = document.getElementById('modal-simAlarmState');
+    if (!stateEl) return;
 
-      // Stop UI update
-      this.stopSimulatorUI();
+    const drive = this.simulator.drive;
+    if (!drive) {
+      stateEl.textContent = '범용 프로파일 — 알람 주입 불가';
+      return;
+    }
 
-      // Disable virtual connection if no real port
-      if (!this.port) {
-        this.updateConnectionStatus(false);
-      }
-      this.addMonitorEntry(
-          'received', 'Virtual Modbus Slave Simulator deactivated');
-      this.showToast('가상 시뮬레이터가 비활성화되었습니다', 'info');
+    const lines = [];
+    if (drive.alarmCode) {
+      lines.push(`Alarm ${this.getAlarmCodeName(drive.alarmCode)}${
+          drive.alarmCauseActive ? ' — 원인 유지 중' : ''}`);
+      lines.push(`D011 = 0x${
+          drive.faultBits.toString(16).toUpperCase().padStart(4, '0')}`);
+    }
+    if (drive.warningBits) {
+      lines.push(`D012 = 0x${
+          drive.warningBits.toString(16).toUpperCase().padStart(4, '0')}`);
     }
+    stateEl.innerHTML = lines.length ? lines.join('<br>') : '알람 없음';
 
-    // Update modal simulator display
-    this.updateModalSimulatorDisplay();
+    document.querySelectorAll('#modal-simWarningList input').forEach(input => {
+      input.checked = (drive.warningBits & parseInt(input.dataset.mask)) !== 0;
+    });
   }
 
   /**
-   * Reset simulator memory
+   * 설정 모달 입력값으로 FC 0x23 장애 주입
    */
-  resetSimulator() {
-    if (confirm('시뮬레이터의 모든 메모리를 초기화하시겠습니까?')) {
-      this.simulator.reset();
-      this.addMonitorEntry(
-          'received', 'Simulator memory reset to initial values');
+  addSimulatorFwFault() {
+    const type = document.getElementById('modal-simFwFaultType').value;
+    const seqValue = document.getElementById('modal-simFwFaultSeq').value;
+    const count =
+        parseInt(document.getElementById('modal-simFwFaultCount').value) || 1;
+
+    this.simulator.injectFastFwFault({
+      type,
+      seq: seqValue === '' ? null : parseInt(seqValue),
+      errorCode:
+          parseInt(document.getElementById('modal-simFwFaultCode').value),
+      count
+    });
+    this.renderSimulatorFwFaults();
+  }
+
+  /**
+   * 주입된 FC 0x23 장애 목록 표시
+   */
+  renderSimulatorFwFaults() {
+    const list = document.getElementById('modal-simFwFaultList');
+    if (!list) return;
+
+    const faults = this.simulator.fastFwFaults;
+    if (faults.length === 0) {
+      list.textContent = '주입된 장애 없음';
+      return;
     }
+
+    list.innerHTML = faults.map(f => {
+      const seq = f.seq === null ? 'next' : f.seq;
+      const code = f.type === 'nack' ?
+          ` err=0x${f.errorCode.toString(16).padStart(2, '0')}` :
+          '';
+      return `${f.type} seq=${seq}${code} ×${f.count}`;
+    }).join('<br>');
   }
 
   /**
@@ -8419,6 +12450,11 @@ class ModbusDashboard {
         document.getElementById('modal-simCoil2').style.color =
             state.coils[2] ? '#28a745' : '#6c757d';
       }
+
+      // 소진된 fault가 목록에서 빠지도록 갱신
+      this.renderSimulatorFwFaults();
+      this.renderSimulatorAlarmState();
+      this.renderSimulatorImpairmentCounts();
     }, 500);
   }
 
@@ -8558,32 +12594,22 @@ class ModbusDashboard {
       const functionCode =
           parseInt(document.getElementById('functionCode').value);
 
-      // FC 0x2B는 시뮬레이터 미지원 — 프레임만 생성하여 monitor에 표시
+      // FC 0x2B CANopen SDO — 시뮬레이터 object dictionary 경유
       if (functionCode === 43) {
         const index = parseInt(document.getElementById('fc2bIndex').value, 16);
         const subIndex =
             parseInt(document.getElementById('fc2bSubIndex').value, 16);
         const op = document.getElementById('fc2bOperation').value;
-        let frame;
         if (op === 'read') {
           const numData =
               parseInt(document.getElementById('fc2bNumData').value) || 2;
-          frame = this.modbus.buildCANopenUpload(
-              slaveId, index, subIndex, 0, numData);
+          await this.readCANopenObject(slaveId, index, subIndex, numData);
         } else {
           const val = parseInt(
               document.getElementById('fc2bWriteValue').value || '0', 16);
-          frame =
-              this.modbus.buildCANopenDownload(slaveId, index, subIndex, val);
+          await this.writeCANopenObject(slaveId, index, subIndex, val);
         }
-        this.addMonitorEntry(
-            'sent', frame,
-            {functionCode: 0x2B, startAddress: (index << 8) | subIndex});
-        this.addMonitorEntry(
-            'error', 'FC 0x2B: 시뮬레이터 미지원 (실제 장치에서만 동작)');
-        this.stats.requests++;
-        this.updateStatsDisplay();
-        return;
+        return;  // stats는 sendCANopenAndWaitResponse에서 처리됨
       }
 
       const startAddress = this.parseModbusValue(
@@ -8641,7 +12667,7 @@ class ModbusDashboard {
       this.updateStatsDisplay();
 
       // Get simulated response
-      const responseFrame = await this.simulator.processRequest(frame);
+      const responseFrame = await this.simulatorBus.processRequest(frame);
 
       if (responseFrame) {
         try {
@@ -9239,2824 +13265,3371 @@ class ModbusDashboard {
   }
 
   /**
-   * Update total device count badge
+   * Update total device count badge
+   */
+  updateTotalDeviceCount() {
+    const badge = document.getElementById('totalDeviceCount');
+    const grid = document.getElementById('deviceGrid');
+    if (badge) {
+      badge.textContent = `${this.devices.length}개`;
+      badge.classList.toggle('has-devices', this.devices.length > 0);
+    }
+    if (grid) {
+      grid.classList.toggle('collapsed', this.devices.length === 0);
+    }
+  }
+
+  /**
+   * Set device view mode (card or list)
+   */
+  setDeviceViewMode(mode) {
+    this.deviceViewMode = mode;
+    localStorage.setItem('deviceViewMode', mode);
+    this.applyDeviceViewMode();
+    this.renderDeviceGrid();
+  }
+
+  /**
+   * Apply device view mode to UI
+   */
+  applyDeviceViewMode() {
+    const viewModeCard = document.getElementById('viewModeCard');
+    const viewModeList = document.getElementById('viewModeList');
+    const deviceGrid = document.getElementById('deviceGrid');
+
+    if (viewModeCard && viewModeList) {
+      viewModeCard.classList.toggle('active', this.deviceViewMode === 'card');
+      viewModeList.classList.toggle('active', this.deviceViewMode === 'list');
+    }
+
+    if (deviceGrid) {
+      deviceGrid.classList.toggle('list-view', this.deviceViewMode === 'list');
+    }
+  }
+
+  /**
+   * Load devices from localStorage
+   */
+  loadDevices() {
+    const stored = localStorage.getItem('modbusDevices');
+    if (stored) {
+      this.devices = JSON.parse(stored);
+      // 페이지 로드 시 runtime 상태 초기화 (연결 전이므로 이전 값 제거)
+      this.devices.forEach(device => {
+        device.motorStatus = 0;
+        device.setpoint = 0;
+        device.actualSpeed = 0;
+        device.online = false;
+        device.lastUpdate = null;
+        device.failCount = 0;
+      });
+      this.renderDeviceGrid();
+    }
+    // Apply view mode after loading devices
+    this.applyDeviceViewMode();
+    // Update parameter page device selector
+    this.updateParamDeviceSelector();
+  }
+
+  /**
+   * Save devices to localStorage
+   */
+  saveDevices() {
+    localStorage.setItem('modbusDevices', JSON.stringify(this.devices));
+    // Update parameter page device selector
+    this.updateParamDeviceSelector();
+  }
+
+  /**
+   * Show Add Device Modal
+   */
+  showAddDeviceModal() {
+    const modal = document.getElementById('addDeviceModal');
+    if (modal) {
+      modal.classList.add('active');
+      document.getElementById('deviceName').value = '';
+      document.getElementById('deviceSlaveId').value = this.devices.length + 1;
+      document.getElementById('deviceOperationMode').value = '0';
+    }
+  }
+
+  /**
+   * Hide Add Device Modal
+   */
+  hideAddDeviceModal() {
+    const modal = document.getElementById('addDeviceModal');
+    if (modal) {
+      modal.classList.remove('active');
+    }
+  }
+
+  /**
+   * Save a new device
+   */
+  saveDevice() {
+    const name = document.getElementById('deviceName').value.trim();
+    const slaveId = parseInt(document.getElementById('deviceSlaveId').value);
+    const operationMode =
+        parseInt(document.getElementById('deviceOperationMode').value);
+
+    if (!name) {
+      this.showToast('장치 이름을 입력해주세요', 'warning');
+      return;
+    }
+
+    if (isNaN(slaveId) || slaveId < 0 || slaveId > 247) {
+      this.showToast('Slave ID는 0~247 사이의 값이어야 합니다', 'error');
+      document.getElementById('deviceSlaveId').focus();
+      return;
+    }
+
+    // Check for duplicate SlaveID (NodeID)
+    if (slaveId !== 0) {
+      const existingDevice = this.devices.find(d => d.slaveId === slaveId);
+      if (existingDevice) {
+        this.showToast(
+            `Node ID ${slaveId}는 이미 사용 중입니다 (${existingDevice.name})`,
+            'error');
+        return;
+      }
+    }
+
+    const device = {
+      id: Date.now(),
+      name: name,
+      slaveId: slaveId,
+      operationMode: operationMode,
+      setpoint: 0,
+      actualSpeed: 0,
+      motorStatus: 0,
+      maxSpeed: 1600,
+      lastUpdate: null,
+      online: false,
+      failCount: 0,
+      runningDirection: 0,  // 0: CCW, 1: CW
+      maxCurrent: 0         // Maximum coil current in Amperes
+    };
+
+    this.devices.push(device);
+    this.saveDevices();
+    this.renderDeviceGrid();
+    this.hideAddDeviceModal();
+    this.showToast(`${name} 장치가 추가되었습니다`, 'success');
+
+    // 연결 후 디바이스에서 모드와 최대 속도 읽기
+    if (slaveId !== 0) {
+      this.initializeDeviceMode(device.id);
+      this.fetchDeviceSerialNumber(device);
+    }
+
+    // Start auto polling if connection is active, on Dashboard, and wasn't
+    // running
+    if (!this.autoPollingTimer && (this.simulatorEnabled || this.writer) &&
+        this.currentPage === 'dashboard') {
+      this.startAutoPolling();
+    }
+  }
+
+  /**
+   * Delete a device
+   */
+  async deleteDevice(deviceId) {
+    const device = this.devices.find(d => d.id === deviceId);
+    if (!device) {
+      this.showToast('장치를 찾을 수 없습니다', 'error');
+      return;
+    }
+
+    // Confirm before deleting device
+    const confirmed = await this.showConfirm(
+        `${device.name} (Slave ID: ${device.slaveId})을(를) 삭제하시겠습니까?`,
+        '🗑️ 장치 삭제', '🗑️');
+
+    if (confirmed) {
+      this.devices = this.devices.filter(d => d.id !== deviceId);
+      this.selectedDevices.delete(deviceId);
+      this.saveDevices();
+      this.renderDeviceGrid();
+      this.renderDeviceSetupList();
+      this.updateSelectedCount();
+      this.showToast('장치가 삭제되었습니다', 'info');
+
+      // If currently on Device Setup page for this device, go back to Dashboard
+      if (this.currentPage === 'device-setup' &&
+          this.currentSetupDeviceId === deviceId) {
+        this.showPage('dashboard');
+      }
+
+      // Close device edit modal if it's open
+      const deviceEditModal = document.getElementById('deviceEditModal');
+      if (deviceEditModal && deviceEditModal.style.display === 'flex') {
+        const closeBtn = document.getElementById('closeDeviceEditBtn');
+        if (closeBtn) closeBtn.click();
+      }
+    }
+  }
+
+  /**
+   * Render device grid
    */
-  updateTotalDeviceCount() {
-    const badge = document.getElementById('totalDeviceCount');
+  renderDeviceGrid() {
     const grid = document.getElementById('deviceGrid');
-    if (badge) {
-      badge.textContent = `${this.devices.length}개`;
-      badge.classList.toggle('has-devices', this.devices.length > 0);
+    const placeholder = document.getElementById('devicePlaceholder');
+
+    if (!grid) return;
+
+    // Clear existing items (except placeholder)
+    const existingCards = grid.querySelectorAll(
+        '.device-card, .device-list-item, .device-list-header');
+    existingCards.forEach(card => card.remove());
+
+    // Update total device count
+    this.updateTotalDeviceCount();
+
+    if (this.devices.length === 0) {
+      if (placeholder) placeholder.style.display = 'block';
+      return;
     }
-    if (grid) {
-      grid.classList.toggle('collapsed', this.devices.length === 0);
+
+    if (placeholder) placeholder.style.display = 'none';
+
+    // Apply view mode class
+    grid.classList.toggle('list-view', this.deviceViewMode === 'list');
+
+    if (this.deviceViewMode === 'list') {
+      // Add list header
+      const header = this.createDeviceListHeader();
+      grid.appendChild(header);
+
+      // Add list items
+      this.devices.forEach(device => {
+        const item = this.createDeviceListItem(device);
+        grid.appendChild(item);
+      });
+    } else {
+      // Add card items
+      this.devices.forEach(device => {
+        const card = this.createDeviceCard(device);
+        grid.appendChild(card);
+      });
+    }
+
+    // 시리얼 미연결 상태면 모든 카드 비활성화 (시뮬레이터 활성 시 제외)
+    if (!this.isConnected && !this.simulatorEnabled) {
+      grid.querySelectorAll('.device-card, .device-list-item').forEach(el => {
+        el.classList.add('serial-disconnected');
+      });
     }
   }
 
   /**
-   * Set device view mode (card or list)
+   * Create device list header for list view
    */
-  setDeviceViewMode(mode) {
-    this.deviceViewMode = mode;
-    localStorage.setItem('deviceViewMode', mode);
-    this.applyDeviceViewMode();
-    this.renderDeviceGrid();
+  createDeviceListHeader() {
+    const header = document.createElement('div');
+    header.className = 'device-list-header with-drag-handle';
+    header.innerHTML = `
+            <span></span>
+            <span></span>
+            <span>Device Name</span>
+            <span>ID</span>
+            <span>Status</span>
+            <span>Setpoint</span>
+            <span>Mode</span>
+            <span>Controls</span>
+            <span>Actions</span>
+        `;
+    return header;
   }
 
   /**
-   * Apply device view mode to UI
+   * Create device list item for list view
    */
-  applyDeviceViewMode() {
-    const viewModeCard = document.getElementById('viewModeCard');
-    const viewModeList = document.getElementById('viewModeList');
-    const deviceGrid = document.getElementById('deviceGrid');
+  createDeviceListItem(device) {
+    const item = document.createElement('div');
+    item.className = 'device-list-item';
+    item.dataset.deviceId = device.id;
+    item.draggable = true;
 
-    if (viewModeCard && viewModeList) {
-      viewModeCard.classList.toggle('active', this.deviceViewMode === 'card');
-      viewModeList.classList.toggle('active', this.deviceViewMode === 'list');
+    if (this.selectedDevices.has(device.id)) {
+      item.classList.add('selected');
     }
 
-    if (deviceGrid) {
-      deviceGrid.classList.toggle('list-view', this.deviceViewMode === 'list');
+    const modeText = device.operationMode === 0 ? 'RPM' : '%';
+    const statusInfo = this.getMotorStatusInfo(
+        device.motorStatus, device.online || this.simulatorEnabled);
+
+    item.innerHTML = `
+            <span class="drag-handle" title="Drag to reorder">≡</span>
+            <input type="checkbox" class="device-checkbox" ${
+        this.selectedDevices.has(device.id) ? 'checked' : ''}>
+            <span class="device-name-group">
+                <span class="device-name" title="Click to edit name">${
+        device.name}</span>
+                <span class="device-serial" data-serial-for="${device.id}">${
+        device.serialNumber ? 'S/N: ' + device.serialNumber : ''}</span>
+            </span>
+            <span class="device-id-badge ${
+        device.slaveId === 0 ? 'unassigned' : ''}">
+                ${device.slaveId === 0 ? 'ID 미할당' : 'ID: ' + device.slaveId}
+            </span>
+            <div class="device-status" title="${statusInfo.tooltip}">
+                <span class="status-indicator ${statusInfo.class}"></span>
+                <span class="status-text">${statusInfo.text}</span>
+            </div>
+            <div class="device-value">
+                <div class="device-value-number setpoint-display-value">
+                    ${device.setpoint}<span class="device-value-unit">${
+        modeText}</span>
+                </div>
+            </div>
+            <div class="device-mode-btns compact">
+                <button class="mode-btn ${
+        device.operationMode === 0 ? 'active' : ''}" data-mode="0">RPM</button>
+                <button class="mode-btn ${
+        device.operationMode !== 0 ? 'active' : ''}" data-mode="2">%</button>
+            </div>
+            <div class="device-controls">
+                <input type="number" class="device-setpoint-input" placeholder="${
+        modeText}" min="0" max="${
+        device.maxSpeed ||
+        (device.operationMode === 0 ? 1600 : 100)}" value="${device.setpoint}">
+                <span class="input-unit">${modeText}</span>
+            </div>
+            <div class="device-actions">
+                <button class="btn-action-icon btn-alarm-reset" title="알람 리셋"><svg viewBox="0 0 16 16" fill="currentColor" width="16" height="16"><path d="M8 16a2 2 0 0 0 2-2H6a2 2 0 0 0 2 2zm.995-14.901a1 1 0 1 0-1.99 0A5.002 5.002 0 0 0 3 6c0 1.098-.5 6-2 7h14c-1.5-1-2-5.902-2-7 0-2.42-1.72-4.44-4.005-4.901z"/></svg></button>
+                <button class="btn-action-icon btn-software-reset" title="소프트웨어 리셋">↺</button>
+                <button class="btn-delete-icon btn-delete" title="Delete device">×</button>
+            </div>
+        `;
+
+    // Event listeners
+    const checkbox = item.querySelector('.device-checkbox');
+    checkbox.addEventListener('change', () => {
+      this.toggleDeviceSelection(device.id);
+    });
+
+    // Device name click to edit
+    const nameSpan = item.querySelector('.device-name');
+    nameSpan.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.startEditDeviceName(device.id, nameSpan);
+    });
+
+    // Auto-apply setpoint on input change
+    const setpointInput = item.querySelector('.device-setpoint-input');
+    if (setpointInput) {
+      setpointInput.addEventListener('change', () => {
+        this.applyDeviceSetpoint(device.id, parseInt(setpointInput.value));
+      });
     }
-  }
 
-  /**
-   * Load devices from localStorage
-   */
-  loadDevices() {
-    const stored = localStorage.getItem('modbusDevices');
-    if (stored) {
-      this.devices = JSON.parse(stored);
-      // 페이지 로드 시 runtime 상태 초기화 (연결 전이므로 이전 값 제거)
-      this.devices.forEach(device => {
-        device.motorStatus = 0;
-        device.setpoint = 0;
-        device.actualSpeed = 0;
-        device.online = false;
-        device.lastUpdate = null;
-        device.failCount = 0;
+    const deleteBtn = item.querySelector('.btn-delete');
+    deleteBtn.addEventListener('click', () => {
+      this.deleteDevice(device.id);
+    });
+
+    // Alarm Reset button
+    const alarmResetBtn = item.querySelector('.btn-alarm-reset');
+    alarmResetBtn.addEventListener('click', () => {
+      this.performAlarmReset(device.id);
+    });
+
+    // Software Reset button
+    const softwareResetBtn = item.querySelector('.btn-software-reset');
+    softwareResetBtn.addEventListener('click', () => {
+      this.performSoftwareReset(device.id);
+    });
+
+    // ID badge → open settings modal on Fan Address field
+    const idBadgeList = item.querySelector('.device-id-badge');
+    if (idBadgeList) {
+      idBadgeList.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.showDeviceEditModal(device.id, 'fanAddress');
       });
-      this.renderDeviceGrid();
     }
-    // Apply view mode after loading devices
-    this.applyDeviceViewMode();
-    // Update parameter page device selector
-    this.updateParamDeviceSelector();
-  }
 
-  /**
-   * Save devices to localStorage
-   */
-  saveDevices() {
-    localStorage.setItem('modbusDevices', JSON.stringify(this.devices));
-    // Update parameter page device selector
-    this.updateParamDeviceSelector();
+    // Mode buttons
+    item.querySelectorAll('.device-mode-btns .mode-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const newMode = parseInt(btn.dataset.mode);
+        if (device.operationMode !== newMode) {
+          this.changeDeviceMode(device.id, newMode);
+        }
+      });
+    });
+
+    // Drag and drop event listeners
+    this.addDragEventListeners(item);
+
+    return item;
   }
 
   /**
-   * Show Add Device Modal
+   * Start editing device name inline
    */
-  showAddDeviceModal() {
-    const modal = document.getElementById('addDeviceModal');
-    if (modal) {
-      modal.classList.add('active');
-      document.getElementById('deviceName').value = '';
-      document.getElementById('deviceSlaveId').value = this.devices.length + 1;
-      document.getElementById('deviceOperationMode').value = '0';
-    }
-  }
+  startEditDeviceName(deviceId, nameSpan) {
+    const device = this.devices.find(d => d.id === deviceId);
+    if (!device) return;
+
+    const currentName = device.name;
+
+    // Get computed style from nameSpan to maintain same height
+    const computedStyle = window.getComputedStyle(nameSpan);
+
+    // Get parent container width for appropriate input sizing
+    const parentWidth = nameSpan.parentNode.offsetWidth;
+    const maxInputWidth = Math.max(
+        150, Math.min(300, parentWidth - 20));  // Between 150px and 300px
+
+    // Get exact height of nameSpan
+    const spanHeight = nameSpan.offsetHeight;
 
-  /**
-   * Hide Add Device Modal
-   */
-  hideAddDeviceModal() {
-    const modal = document.getElementById('addDeviceModal');
-    if (modal) {
-      modal.classList.remove('active');
-    }
-  }
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'device-name-input';
+    input.value = currentName;
+    input.title = 'Press Enter to save, Escape to cancel';
 
-  /**
-   * Save a new device
-   */
-  saveDevice() {
-    const name = document.getElementById('deviceName').value.trim();
-    const slaveId = parseInt(document.getElementById('deviceSlaveId').value);
-    const operationMode =
-        parseInt(document.getElementById('deviceOperationMode').value);
+    // Copy styles to maintain same dimensions
+    input.style.fontSize = computedStyle.fontSize;
+    input.style.fontWeight = computedStyle.fontWeight;
+    input.style.lineHeight = computedStyle.lineHeight;
+    input.style.padding = computedStyle.padding;
+    input.style.margin = computedStyle.margin;
+    input.style.height = spanHeight + 'px';  // Use exact measured height
+    input.style.boxSizing = 'border-box';
+    input.style.width = maxInputWidth + 'px';
+    input.style.maxWidth = '100%';
+    input.style.border = '1px solid #007bff';  // Explicit border
+    input.style.borderRadius = '4px';
 
-    if (!name) {
-      this.showToast('장치 이름을 입력해주세요', 'warning');
-      return;
-    }
+    nameSpan.style.display = 'none';
+    nameSpan.parentNode.insertBefore(input, nameSpan.nextSibling);
+    input.focus();
+    input.select();
 
-    if (isNaN(slaveId) || slaveId < 0 || slaveId > 247) {
-      this.showToast('Slave ID는 0~247 사이의 값이어야 합니다', 'error');
-      document.getElementById('deviceSlaveId').focus();
-      return;
-    }
+    const saveEdit = () => {
+      const newName = input.value.trim();
 
-    // Check for duplicate SlaveID (NodeID)
-    if (slaveId !== 0) {
-      const existingDevice = this.devices.find(d => d.slaveId === slaveId);
-      if (existingDevice) {
+      // Always restore UI first
+      input.remove();
+      nameSpan.style.display = '';
+
+      if (newName && newName !== currentName) {
+        device.name = newName;
+        this.saveDevices();
+        nameSpan.textContent = newName;
         this.showToast(
-            `Node ID ${slaveId}는 이미 사용 중입니다 (${existingDevice.name})`,
-            'error');
-        return;
-      }
-    }
+            `장치 이름이 "${newName}"으로 변경되었습니다`, 'success');
 
-    const device = {
-      id: Date.now(),
-      name: name,
-      slaveId: slaveId,
-      operationMode: operationMode,
-      setpoint: 0,
-      actualSpeed: 0,
-      motorStatus: 0,
-      maxSpeed: 1600,
-      lastUpdate: null,
-      online: false,
-      failCount: 0,
-      runningDirection: 0,  // 0: CCW, 1: CW
-      maxCurrent: 0         // Maximum coil current in Amperes
-    };
+        // Update Device List in Device Setup page
+        this.renderDeviceSetupList();
 
-    this.devices.push(device);
-    this.saveDevices();
-    this.renderDeviceGrid();
-    this.hideAddDeviceModal();
-    this.showToast(`${name} 장치가 추가되었습니다`, 'success');
+        // Update Dashboard
+        this.renderDashboard();
 
-    // 연결 후 디바이스에서 모드와 최대 속도 읽기
-    if (slaveId !== 0) {
-      this.initializeDeviceMode(device.id);
-      this.fetchDeviceSerialNumber(device);
-    }
+        // Update Parameters tab device selector
+        this.updateParamDeviceSelector();
+      }
+    };
 
-    // Start auto polling if connection is active, on Dashboard, and wasn't
-    // running
-    if (!this.autoPollingTimer && (this.simulatorEnabled || this.writer) &&
-        this.currentPage === 'dashboard') {
-      this.startAutoPolling();
-    }
+    const cancelEdit = () => {
+      input.remove();
+      nameSpan.style.display = '';
+    };
+
+    input.addEventListener('blur', saveEdit);
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        input.blur();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        input.removeEventListener('blur', saveEdit);
+        cancelEdit();
+      }
+    });
   }
 
   /**
-   * Delete a device
+   * Create a device card element
    */
-  async deleteDevice(deviceId) {
-    const device = this.devices.find(d => d.id === deviceId);
-    if (!device) {
-      this.showToast('장치를 찾을 수 없습니다', 'error');
-      return;
+  createDeviceCard(device) {
+    const card = document.createElement('div');
+    card.className = 'device-card';
+    card.dataset.deviceId = device.id;
+    card.draggable = false;  // 드래그 바 mousedown 시에만 활성화
+
+    if (this.selectedDevices.has(device.id)) {
+      card.classList.add('selected');
     }
 
-    // Confirm before deleting device
-    const confirmed = await this.showConfirm(
-        `${device.name} (Slave ID: ${device.slaveId})을(를) 삭제하시겠습니까?`,
-        '🗑️ 장치 삭제', '🗑️');
+    const modeText = device.operationMode === 0 ? 'RPM' : '%';
+    const statusInfo = this.getMotorStatusInfo(
+        device.motorStatus, device.online || this.simulatorEnabled);
+
+    card.innerHTML = `
+            <div class="card-drag-bar" title="Drag to reorder">
+                <span class="card-drag-dots"></span>
+            </div>
+            <div class="device-card-header">
+                <div class="device-select">
+                    <input type="checkbox" class="device-checkbox" ${
+        this.selectedDevices.has(device.id) ? 'checked' : ''}>
+                    <span class="device-name-group">
+                        <span class="device-name" title="Click to edit name">${
+        device.name}</span>
+                        <span class="device-serial" data-serial-for="${
+        device.id}">${
+        device.serialNumber ? 'S/N: ' + device.serialNumber : ''}</span>
+                    </span>
+                </div>
+                <div class="device-header-right">
+                    <span class="device-id-badge ${
+        device.slaveId === 0 ? 'unassigned' : ''}">
+                        ${
+        device.slaveId === 0 ? 'ID 미할당' : 'ID: ' + device.slaveId}
+                    </span>
+                    <button class="btn-delete-icon" title="Delete device">×</button>
+                </div>
+            </div>
+            <div class="device-action-bar">
+                <button class="btn-device-live-watch ${
+        device.liveWatch !== false ? 'active' :
+                                     ''}" title="Live Watch 켜기/끄기">
+                    <span class="device-lw-indicator"></span>
+                    <span class="lw-label">Live Watch</span>
+                </button>
+                <div class="action-bar-right">
+                    <button class="btn-action-icon btn-alarm-reset" title="알람 리셋"><svg viewBox="0 0 16 16" fill="currentColor" width="14" height="14"><path d="M8 16a2 2 0 0 0 2-2H6a2 2 0 0 0 2 2zm.995-14.901a1 1 0 1 0-1.99 0A5.002 5.002 0 0 0 3 6c0 1.098-.5 6-2 7h14c-1.5-1-2-5.902-2-7 0-2.42-1.72-4.44-4.005-4.901z"/></svg></button>
+                    <button class="btn-action-icon btn-software-reset" title="소프트웨어 리셋">↺</button>
+                    <button class="btn-edit" title="설정">⚙</button>
+                </div>
+            </div>
+            <div class="device-card-body">
+                <div class="device-status-row">
+                    <div class="device-status" title="${statusInfo.tooltip}">
+                        <span class="status-indicator ${
+        statusInfo.class}"></span>
+                        <span class="status-text">${statusInfo.text}</span>
+                    </div>
+                    <div class="device-mode-btns">
+                        <button class="mode-btn ${
+        device.operationMode === 0 ? 'active' : ''}" data-mode="0">RPM</button>
+                        <button class="mode-btn ${
+        device.operationMode !== 0 ? 'active' : ''}" data-mode="2">%</button>
+                    </div>
+                </div>
+                <div class="device-values">
+                    <div class="device-value-item">
+                        <div class="device-value-label">Setpoint</div>
+                        <div class="device-value-number setpoint-display-value">
+                            ${device.setpoint}<span class="device-value-unit">${
+        modeText}</span>
+                        </div>
+                    </div>
+                    <div class="device-value-item">
+                        <div class="device-value-label">Actual</div>
+                        <div class="device-value-number actual-speed-value">
+                            ${
+        device.actualSpeed}<span class="device-value-unit">RPM</span>
+                        </div>
+                    </div>
+                </div>
+                <div class="device-controls">
+                    <input type="number" class="device-setpoint-input" placeholder="Setpoint (${
+        modeText})" min="0" max="${
+        device.maxSpeed ||
+        (device.operationMode === 0 ? 1600 : 100)}" value="${device.setpoint}">
+                    <span class="input-unit">${modeText}</span>
+                </div>
+                <div class="device-quick-btns">
+                    ${this._quickBtnsHTML(device)}
+                </div>
+            </div>
+            <div class="device-monitoring-section">
+                <div class="monitoring-header ${
+        device.monitoringExpanded ? 'expanded' : ''}">
+                    <span class="monitoring-toggle-icon">▶</span>
+                    <span class="monitoring-title">Monitoring Parameters</span>
+                    <span class="monitoring-count">(${
+        (device.monitoringParams || []).length})</span>
+                </div>
+                <div class="monitoring-content" style="display: ${
+        device.monitoringExpanded ? 'block' : 'none'};">
+                    <div class="monitoring-add-section">
+                        <div class="add-param-tabs">
+                            <button class="add-tab active" data-tab="csv">Parameter List</button>
+                            <button class="add-tab" data-tab="manual">Manual Input</button>
+                        </div>
+                        <div class="add-tab-content active" data-tab="csv">
+                            <div class="param-picker-row">
+                                <button class="param-picker-trigger" type="button">
+                                    <span class="param-picker-trigger-label">파라미터 선택...</span>
+                                    <span class="param-picker-trigger-arrow">▾</span>
+                                </button>
+                                <button class="btn btn-success btn-sm add-param-btn">+ Add</button>
+                            </div>
+                        </div>
+                        <div class="add-tab-content" data-tab="manual">
+                            <div class="manual-input-row">
+                                <select class="manual-type">
+                                    <option value="holding">Holding</option>
+                                    <option value="input">Input</option>
+                                </select>
+                                <input type="text" class="manual-address" placeholder="D001">
+                                <input type="text" class="manual-name" placeholder="Name">
+                                <button class="btn btn-success btn-sm add-manual-btn">+ Add</button>
+                            </div>
+                            <small class="manual-address-converted"></small>
+                        </div>
+                    </div>
+                    <div class="monitoring-params-list">
+                        ${
+        this.renderMonitoringParamsHTML(device.monitoringParams)}
+                    </div>
+                </div>
+            </div>
+        `;
 
-    if (confirmed) {
-      this.devices = this.devices.filter(d => d.id !== deviceId);
-      this.selectedDevices.delete(deviceId);
-      this.saveDevices();
-      this.renderDeviceGrid();
-      this.renderDeviceSetupList();
-      this.updateSelectedCount();
-      this.showToast('장치가 삭제되었습니다', 'info');
+    // Event listeners
+    const checkbox = card.querySelector('.device-checkbox');
+    checkbox.addEventListener('change', () => {
+      this.toggleDeviceSelection(device.id);
+    });
 
-      // If currently on Device Setup page for this device, go back to Dashboard
-      if (this.currentPage === 'device-setup' &&
-          this.currentSetupDeviceId === deviceId) {
-        this.showPage('dashboard');
-      }
+    // Device name click to edit
+    const nameSpan = card.querySelector('.device-name');
+    nameSpan.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.startEditDeviceName(device.id, nameSpan);
+    });
 
-      // Close device edit modal if it's open
-      const deviceEditModal = document.getElementById('deviceEditModal');
-      if (deviceEditModal && deviceEditModal.style.display === 'flex') {
-        const closeBtn = document.getElementById('closeDeviceEditBtn');
-        if (closeBtn) closeBtn.click();
-      }
+    // Auto-apply setpoint on input change
+    const setpointInput = card.querySelector('.device-setpoint-input');
+    if (setpointInput) {
+      setpointInput.addEventListener('change', () => {
+        this.applyDeviceSetpoint(device.id, parseInt(setpointInput.value));
+      });
     }
-  }
 
-  /**
-   * Render device grid
-   */
-  renderDeviceGrid() {
-    const grid = document.getElementById('deviceGrid');
-    const placeholder = document.getElementById('devicePlaceholder');
+    // Per-device Live Watch toggle
+    const lwBtn = card.querySelector('.btn-device-live-watch');
+    lwBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toggleDeviceLiveWatch(device.id);
+    });
 
-    if (!grid) return;
+    // Delete button (X icon in header)
+    const deleteBtn = card.querySelector('.btn-delete-icon');
+    deleteBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.deleteDevice(device.id);
+    });
 
-    // Clear existing items (except placeholder)
-    const existingCards = grid.querySelectorAll(
-        '.device-card, .device-list-item, .device-list-header');
-    existingCards.forEach(card => card.remove());
+    // Alarm Reset button
+    const alarmResetBtn = card.querySelector('.btn-alarm-reset');
+    alarmResetBtn.addEventListener('click', () => {
+      this.performAlarmReset(device.id);
+    });
 
-    // Update total device count
-    this.updateTotalDeviceCount();
+    // Software Reset button
+    const softwareResetBtn = card.querySelector('.btn-software-reset');
+    softwareResetBtn.addEventListener('click', () => {
+      this.performSoftwareReset(device.id);
+    });
 
-    if (this.devices.length === 0) {
-      if (placeholder) placeholder.style.display = 'block';
-      return;
+    // ID badge → open settings modal on Fan Address field
+    const idBadge = card.querySelector('.device-id-badge');
+    if (idBadge) {
+      idBadge.addEventListener('click', () => {
+        this.showDeviceEditModal(device.id, 'fanAddress');
+      });
     }
 
-    if (placeholder) placeholder.style.display = 'none';
-
-    // Apply view mode class
-    grid.classList.toggle('list-view', this.deviceViewMode === 'list');
-
-    if (this.deviceViewMode === 'list') {
-      // Add list header
-      const header = this.createDeviceListHeader();
-      grid.appendChild(header);
-
-      // Add list items
-      this.devices.forEach(device => {
-        const item = this.createDeviceListItem(device);
-        grid.appendChild(item);
-      });
-    } else {
-      // Add card items
-      this.devices.forEach(device => {
-        const card = this.createDeviceCard(device);
-        grid.appendChild(card);
+    // Edit button
+    const editBtn = card.querySelector('.btn-edit');
+    if (editBtn) {
+      editBtn.addEventListener('click', () => {
+        this.showDeviceEditModal(device.id);
       });
     }
 
-    // 시리얼 미연결 상태면 모든 카드 비활성화 (시뮬레이터 활성 시 제외)
-    if (!this.isConnected && !this.simulatorEnabled) {
-      grid.querySelectorAll('.device-card, .device-list-item').forEach(el => {
-        el.classList.add('serial-disconnected');
+    // Mode buttons
+    card.querySelectorAll('.device-mode-btns .mode-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const newMode = parseInt(btn.dataset.mode);
+        if (device.operationMode !== newMode) {
+          this.changeDeviceMode(device.id, newMode);
+        }
       });
-    }
-  }
+    });
 
-  /**
-   * Create device list header for list view
-   */
-  createDeviceListHeader() {
-    const header = document.createElement('div');
-    header.className = 'device-list-header with-drag-handle';
-    header.innerHTML = `
-            <span></span>
-            <span></span>
-            <span>Device Name</span>
-            <span>ID</span>
-            <span>Status</span>
-            <span>Setpoint</span>
-            <span>Mode</span>
-            <span>Controls</span>
-            <span>Actions</span>
-        `;
-    return header;
-  }
+    // Quick setpoint buttons for device card.
+    // 가운데 3개 (data-mid-idx 0,1,2 = 25%/50%/75% 자리) 는 우클릭으로 값 조정.
+    card.querySelectorAll('.device-quick-btns .quick-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const value = parseInt(btn.dataset.value);
+        const input = card.querySelector('.device-controls input');
+        if (input) input.value = value;
+        this.applyDeviceSetpoint(device.id, value);
+      });
+      const midIdx = btn.dataset.midIdx;
+      if (midIdx != null) {
+        btn.addEventListener('contextmenu', (e) => {
+          e.preventDefault();
+          this.editQuickBtnValue(device.id, parseInt(midIdx));
+        });
+      }
+    });
 
-  /**
-   * Create device list item for list view
-   */
-  createDeviceListItem(device) {
-    const item = document.createElement('div');
-    item.className = 'device-list-item';
-    item.dataset.deviceId = device.id;
-    item.draggable = true;
+    // Drag and drop event listeners
+    this.addDragEventListeners(card);
 
-    if (this.selectedDevices.has(device.id)) {
-      item.classList.add('selected');
-    }
+    // 드래그 바에서만 드래그 가능하도록 제한
+    const dragBar = card.querySelector('.card-drag-bar');
+    dragBar.addEventListener('mousedown', () => {
+      card.draggable = true;
+      document.addEventListener('mouseup', () => {
+        card.draggable = false;
+      }, {once: true});
+    });
+    card.addEventListener('dragend', () => {
+      card.draggable = false;
+    });
 
-    const modeText = device.operationMode === 0 ? 'RPM' : '%';
-    const statusInfo = this.getMotorStatusInfo(
-        device.motorStatus, device.online || this.simulatorEnabled);
+    // Monitoring section event listeners
+    this.setupMonitoringEventListeners(card, device.id);
 
-    item.innerHTML = `
-            <span class="drag-handle" title="Drag to reorder">≡</span>
-            <input type="checkbox" class="device-checkbox" ${
-        this.selectedDevices.has(device.id) ? 'checked' : ''}>
-            <span class="device-name-group">
-                <span class="device-name" title="Click to edit name">${
-        device.name}</span>
-                <span class="device-serial" data-serial-for="${device.id}">${
-        device.serialNumber ? 'S/N: ' + device.serialNumber : ''}</span>
-            </span>
-            <span class="device-id-badge ${
-        device.slaveId === 0 ? 'unassigned' : ''}">
-                ${device.slaveId === 0 ? 'ID 미할당' : 'ID: ' + device.slaveId}
-            </span>
-            <div class="device-status" title="${statusInfo.tooltip}">
-                <span class="status-indicator ${statusInfo.class}"></span>
-                <span class="status-text">${statusInfo.text}</span>
-            </div>
-            <div class="device-value">
-                <div class="device-value-number setpoint-display-value">
-                    ${device.setpoint}<span class="device-value-unit">${
-        modeText}</span>
-                </div>
-            </div>
-            <div class="device-mode-btns compact">
-                <button class="mode-btn ${
-        device.operationMode === 0 ? 'active' : ''}" data-mode="0">RPM</button>
-                <button class="mode-btn ${
-        device.operationMode !== 0 ? 'active' : ''}" data-mode="2">%</button>
-            </div>
-            <div class="device-controls">
-                <input type="number" class="device-setpoint-input" placeholder="${
-        modeText}" min="0" max="${
-        device.maxSpeed ||
-        (device.operationMode === 0 ? 1600 : 100)}" value="${device.setpoint}">
-                <span class="input-unit">${modeText}</span>
-            </div>
-            <div class="device-actions">
-                <button class="btn-action-icon btn-alarm-reset" title="알람 리셋"><svg viewBox="0 0 16 16" fill="currentColor" width="16" height="16"><path d="M8 16a2 2 0 0 0 2-2H6a2 2 0 0 0 2 2zm.995-14.901a1 1 0 1 0-1.99 0A5.002 5.002 0 0 0 3 6c0 1.098-.5 6-2 7h14c-1.5-1-2-5.902-2-7 0-2.42-1.72-4.44-4.005-4.901z"/></svg></button>
-                <button class="btn-action-icon btn-software-reset" title="소프트웨어 리셋">↺</button>
-                <button class="btn-delete-icon btn-delete" title="Delete device">×</button>
-            </div>
-        `;
+    return card;
+  }
+
+  /**
+   * Add drag and drop event listeners to a device element
+   */
+  addDragEventListeners(element) {
+    element.addEventListener(
+        'dragstart', (e) => this.handleDragStart(e, element));
+    element.addEventListener('dragend', (e) => this.handleDragEnd(e, element));
+    element.addEventListener(
+        'dragover', (e) => this.handleDragOver(e, element));
+    element.addEventListener(
+        'dragenter', (e) => this.handleDragEnter(e, element));
+    element.addEventListener(
+        'dragleave', (e) => this.handleDragLeave(e, element));
+    element.addEventListener('drop', (e) => this.handleDrop(e, element));
+  }
 
-    // Event listeners
-    const checkbox = item.querySelector('.device-checkbox');
-    checkbox.addEventListener('change', () => {
-      this.toggleDeviceSelection(device.id);
-    });
+  /**
+   * Handle drag start
+   */
+  handleDragStart(e, element) {
+    this.draggedElement = element;
+    this.draggedDeviceId = element.dataset.deviceId;
 
-    // Device name click to edit
-    const nameSpan = item.querySelector('.device-name');
-    nameSpan.addEventListener('click', (e) => {
-      e.stopPropagation();
-      this.startEditDeviceName(device.id, nameSpan);
-    });
+    element.classList.add('dragging');
 
-    // Auto-apply setpoint on input change
-    const setpointInput = item.querySelector('.device-setpoint-input');
-    if (setpointInput) {
-      setpointInput.addEventListener('change', () => {
-        this.applyDeviceSetpoint(device.id, parseInt(setpointInput.value));
-      });
-    }
+    const grid = document.getElementById('deviceGrid');
+    if (grid) grid.classList.add('is-dragging');
 
-    const deleteBtn = item.querySelector('.btn-delete');
-    deleteBtn.addEventListener('click', () => {
-      this.deleteDevice(device.id);
-    });
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', element.dataset.deviceId);
 
-    // Alarm Reset button
-    const alarmResetBtn = item.querySelector('.btn-alarm-reset');
-    alarmResetBtn.addEventListener('click', () => {
-      this.performAlarmReset(device.id);
-    });
+    // Create a semi-transparent drag image
+    setTimeout(() => {
+      element.style.opacity = '0.5';
+    }, 0);
+  }
 
-    // Software Reset button
-    const softwareResetBtn = item.querySelector('.btn-software-reset');
-    softwareResetBtn.addEventListener('click', () => {
-      this.performSoftwareReset(device.id);
-    });
+  /**
+   * Handle drag end
+   */
+  handleDragEnd(e, element) {
+    element.classList.remove('dragging');
+    element.style.opacity = '';
 
-    // ID badge → open settings modal on Fan Address field
-    const idBadgeList = item.querySelector('.device-id-badge');
-    if (idBadgeList) {
-      idBadgeList.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this.showDeviceEditModal(device.id, 'fanAddress');
-      });
-    }
+    const grid = document.getElementById('deviceGrid');
+    if (grid) grid.classList.remove('is-dragging');
 
-    // Mode buttons
-    item.querySelectorAll('.device-mode-btns .mode-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        const newMode = parseInt(btn.dataset.mode);
-        if (device.operationMode !== newMode) {
-          this.changeDeviceMode(device.id, newMode);
-        }
-      });
+    // Remove drag-over class from all elements
+    document.querySelectorAll('.drag-over').forEach(el => {
+      el.classList.remove('drag-over');
     });
 
-    // Drag and drop event listeners
-    this.addDragEventListeners(item);
+    this.draggedElement = null;
+    this.draggedDeviceId = null;
+  }
 
-    return item;
+  /**
+   * Handle drag over
+   */
+  handleDragOver(e, element) {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
   }
 
   /**
-   * Start editing device name inline
+   * Handle drag enter
    */
-  startEditDeviceName(deviceId, nameSpan) {
-    const device = this.devices.find(d => d.id === deviceId);
-    if (!device) return;
+  handleDragEnter(e, element) {
+    e.preventDefault();
+    if (element !== this.draggedElement) {
+      element.classList.add('drag-over');
+    }
+  }
 
-    const currentName = device.name;
+  /**
+   * Handle drag leave
+   */
+  handleDragLeave(e, element) {
+    // Only remove if we're actually leaving the element
+    const rect = element.getBoundingClientRect();
+    const x = e.clientX;
+    const y = e.clientY;
 
-    // Get computed style from nameSpan to maintain same height
-    const computedStyle = window.getComputedStyle(nameSpan);
+    if (x < rect.left || x > rect.right || y < rect.top || y > rect.bottom) {
+      element.classList.remove('drag-over');
+    }
+  }
 
-    // Get parent container width for appropriate input sizing
-    const parentWidth = nameSpan.parentNode.offsetWidth;
-    const maxInputWidth = Math.max(
-        150, Math.min(300, parentWidth - 20));  // Between 150px and 300px
+  /**
+   * Handle drop
+   */
+  handleDrop(e, element) {
+    e.preventDefault();
+    element.classList.remove('drag-over');
 
-    // Get exact height of nameSpan
-    const spanHeight = nameSpan.offsetHeight;
+    if (!this.draggedElement || element === this.draggedElement) {
+      return;
+    }
 
-    const input = document.createElement('input');
-    input.type = 'text';
-    input.className = 'device-name-input';
-    input.value = currentName;
-    input.title = 'Press Enter to save, Escape to cancel';
+    const draggedId = this.draggedDeviceId;
+    const targetId = element.dataset.deviceId;
 
-    // Copy styles to maintain same dimensions
-    input.style.fontSize = computedStyle.fontSize;
-    input.style.fontWeight = computedStyle.fontWeight;
-    input.style.lineHeight = computedStyle.lineHeight;
-    input.style.padding = computedStyle.padding;
-    input.style.margin = computedStyle.margin;
-    input.style.height = spanHeight + 'px';  // Use exact measured height
-    input.style.boxSizing = 'border-box';
-    input.style.width = maxInputWidth + 'px';
-    input.style.maxWidth = '100%';
-    input.style.border = '1px solid #007bff';  // Explicit border
-    input.style.borderRadius = '4px';
+    if (draggedId && targetId) {
+      this.reorderDevices(draggedId, targetId);
+    }
+  }
 
-    nameSpan.style.display = 'none';
-    nameSpan.parentNode.insertBefore(input, nameSpan.nextSibling);
-    input.focus();
-    input.select();
+  /**
+   * Reorder devices in the array
+   */
+  reorderDevices(draggedId, targetId) {
+    // Convert to numbers since dataset.deviceId returns strings
+    const draggedIdNum = parseInt(draggedId, 10);
+    const targetIdNum = parseInt(targetId, 10);
 
-    const saveEdit = () => {
-      const newName = input.value.trim();
+    const draggedIndex = this.devices.findIndex(d => d.id === draggedIdNum);
+    const targetIndex = this.devices.findIndex(d => d.id === targetIdNum);
 
-      // Always restore UI first
-      input.remove();
-      nameSpan.style.display = '';
+    if (draggedIndex === -1 || targetIndex === -1) {
+      return;
+    }
 
-      if (newName && newName !== currentName) {
-        device.name = newName;
-        this.saveDevices();
-        nameSpan.textContent = newName;
-        this.showToast(
-            `장치 이름이 "${newName}"으로 변경되었습니다`, 'success');
+    // Remove the dragged item from array
+    const [draggedDevice] = this.devices.splice(draggedIndex, 1);
 
-        // Update Device List in Device Setup page
-        this.renderDeviceSetupList();
+    // Insert at the new position
+    this.devices.splice(targetIndex, 0, draggedDevice);
 
-        // Update Dashboard
-        this.renderDashboard();
+    // Save the new order
+    this.saveDevices();
 
-        // Update Parameters tab device selector
-        this.updateParamDeviceSelector();
+    // Re-render the grid
+    this.renderDeviceGrid();
+  }
+
+  /**
+   * Toggle device selection
+   */
+  toggleDeviceSelection(deviceId) {
+    if (this.selectedDevices.has(deviceId)) {
+      this.selectedDevices.delete(deviceId);
+    } else {
+      this.selectedDevices.add(deviceId);
+    }
+    this.updateDeviceCardSelection(deviceId);
+    this.updateSelectedCount();
+  }
+
+  /**
+   * Update device card/list item selection visual
+   */
+  updateDeviceCardSelection(deviceId) {
+    // Support both card and list view
+    const element = document.querySelector(`.device-card[data-device-id="${
+        deviceId}"], .device-list-item[data-device-id="${deviceId}"]`);
+    if (element) {
+      if (this.selectedDevices.has(deviceId)) {
+        element.classList.add('selected');
+      } else {
+        element.classList.remove('selected');
       }
-    };
+    }
+  }
 
-    const cancelEdit = () => {
-      input.remove();
-      nameSpan.style.display = '';
-    };
+  /**
+   * Update selected count display
+   */
+  updateSelectedCount() {
+    const countEl = document.getElementById('selectedDeviceCount');
+    if (countEl) {
+      countEl.textContent = this.selectedDevices.size;
+    }
 
-    input.addEventListener('blur', saveEdit);
-    input.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') {
-        e.preventDefault();
-        input.blur();
-      } else if (e.key === 'Escape') {
-        e.preventDefault();
-        input.removeEventListener('blur', saveEdit);
-        cancelEdit();
+    // Update tab badge
+    const selectedBadge = document.getElementById('selectedBadge');
+    if (selectedBadge) {
+      selectedBadge.textContent = this.selectedDevices.size;
+    }
+
+    // Update chips and button states
+    this.updateSelectedDevicesChips();
+    this.updateAllDeviceButtonsState();
+  }
+
+  /**
+   * Select all devices
+   */
+  selectAllDevices() {
+    this.devices.forEach(device => {
+      this.selectedDevices.add(device.id);
+      this.updateDeviceCardSelection(device.id);
+      // Support both card and list view
+      const element = document.querySelector(`.device-card[data-device-id="${
+          device.id}"], .device-list-item[data-device-id="${device.id}"]`);
+      if (element) {
+        const checkbox = element.querySelector('.device-checkbox');
+        if (checkbox) checkbox.checked = true;
       }
     });
+    this.updateSelectedCount();
   }
 
   /**
-   * Create a device card element
+   * Deselect all devices
    */
-  createDeviceCard(device) {
-    const card = document.createElement('div');
-    card.className = 'device-card';
-    card.dataset.deviceId = device.id;
-    card.draggable = false;  // 드래그 바 mousedown 시에만 활성화
-
-    if (this.selectedDevices.has(device.id)) {
-      card.classList.add('selected');
-    }
-
-    const modeText = device.operationMode === 0 ? 'RPM' : '%';
-    const statusInfo = this.getMotorStatusInfo(
-        device.motorStatus, device.online || this.simulatorEnabled);
-
-    card.innerHTML = `
-            <div class="card-drag-bar" title="Drag to reorder">
-                <span class="card-drag-dots"></span>
-            </div>
-            <div class="device-card-header">
-                <div class="device-select">
-                    <input type="checkbox" class="device-checkbox" ${
-        this.selectedDevices.has(device.id) ? 'checked' : ''}>
-                    <span class="device-name-group">
-                        <span class="device-name" title="Click to edit name">${
-        device.name}</span>
-                        <span class="device-serial" data-serial-for="${
-        device.id}">${
-        device.serialNumber ? 'S/N: ' + device.serialNumber : ''}</span>
-                    </span>
-                </div>
-                <div class="device-header-right">
-                    <span class="device-id-badge ${
-        device.slaveId === 0 ? 'unassigned' : ''}">
-                        ${
-        device.slaveId === 0 ? 'ID 미할당' : 'ID: ' + device.slaveId}
-                    </span>
-                    <button class="btn-delete-icon" title="Delete device">×</button>
-                </div>
-            </div>
-            <div class="device-action-bar">
-                <button class="btn-device-live-watch ${
-        device.liveWatch !== false ? 'active' :
-                                     ''}" title="Live Watch 켜기/끄기">
-                    <span class="device-lw-indicator"></span>
-                    <span class="lw-label">Live Watch</span>
-                </button>
-                <div class="action-bar-right">
-                    <button class="btn-action-icon btn-alarm-reset" title="알람 리셋"><svg viewBox="0 0 16 16" fill="currentColor" width="14" height="14"><path d="M8 16a2 2 0 0 0 2-2H6a2 2 0 0 0 2 2zm.995-14.901a1 1 0 1 0-1.99 0A5.002 5.002 0 0 0 3 6c0 1.098-.5 6-2 7h14c-1.5-1-2-5.902-2-7 0-2.42-1.72-4.44-4.005-4.901z"/></svg></button>
-                    <button class="btn-action-icon btn-software-reset" title="소프트웨어 리셋">↺</button>
-                    <button class="btn-edit" title="설정">⚙</button>
-                </div>
-            </div>
-            <div class="device-card-body">
-                <div class="device-status-row">
-                    <div class="device-status" title="${statusInfo.tooltip}">
-                        <span class="status-indicator ${
-        statusInfo.class}"></span>
-                        <span class="status-text">${statusInfo.text}</span>
-                    </div>
-                    <div class="device-mode-btns">
-                        <button class="mode-btn ${
-        device.operationMode === 0 ? 'active' : ''}" data-mode="0">RPM</button>
-                        <button class="mode-btn ${
-        device.operationMode !== 0 ? 'active' : ''}" data-mode="2">%</button>
-                    </div>
-                </div>
-                <div class="device-values">
-                    <div class="device-value-item">
-                        <div class="device-value-label">Setpoint</div>
-                        <div class="device-value-number setpoint-display-value">
-                            ${device.setpoint}<span class="device-value-unit">${
-        modeText}</span>
-                        </div>
-                    </div>
-                    <div class="device-value-item">
-                        <div class="device-value-label">Actual</div>
-                        <div class="device-value-number actual-speed-value">
-                            ${
-        device.actualSpeed}<span class="device-value-unit">RPM</span>
-                        </div>
-                    </div>
-                </div>
-                <div class="device-controls">
-                    <input type="number" class="device-setpoint-input" placeholder="Setpoint (${
-        modeText})" min="0" max="${
-        device.maxSpeed ||
-        (device.operationMode === 0 ? 1600 : 100)}" value="${device.setpoint}">
-                    <span class="input-unit">${modeText}</span>
-                </div>
-                <div class="device-quick-btns">
-                    ${this._quickBtnsHTML(device)}
-                </div>
-            </div>
-            <div class="device-monitoring-section">
-                <div class="monitoring-header ${
-        device.monitoringExpanded ? 'expanded' : ''}">
-                    <span class="monitoring-toggle-icon">▶</span>
-                    <span class="monitoring-title">Monitoring Parameters</span>
-                    <span class="monitoring-count">(${
-        (device.monitoringParams || []).length})</span>
-                </div>
-                <div class="monitoring-content" style="display: ${
-        device.monitoringExpanded ? 'block' : 'none'};">
-                    <div class="monitoring-add-section">
-                        <div class="add-param-tabs">
-                            <button class="add-tab active" data-tab="csv">Parameter List</button>
-                            <button class="add-tab" data-tab="manual">Manual Input</button>
-                        </div>
-                        <div class="add-tab-content active" data-tab="csv">
-                            <div class="param-picker-row">
-                                <button class="param-picker-trigger" type="button">
-                                    <span class="param-picker-trigger-label">파라미터 선택...</span>
-                                    <span class="param-picker-trigger-arrow">▾</span>
-                                </button>
-                                <button class="btn btn-success btn-sm add-param-btn">+ Add</button>
-                            </div>
-                        </div>
-                        <div class="add-tab-content" data-tab="manual">
-                            <div class="manual-input-row">
-                                <select class="manual-type">
-                                    <option value="holding">Holding</option>
-                                    <option value="input">Input</option>
-                                </select>
-                                <input type="text" class="manual-address" placeholder="D001">
-                                <input type="text" class="manual-name" placeholder="Name">
-                                <button class="btn btn-success btn-sm add-manual-btn">+ Add</button>
-                            </div>
-                            <small class="manual-address-converted"></small>
-                        </div>
-                    </div>
-                    <div class="monitoring-params-list">
-                        ${
-        this.renderMonitoringParamsHTML(device.monitoringParams)}
-                    </div>
-                </div>
-            </div>
-        `;
-
-    // Event listeners
-    const checkbox = card.querySelector('.device-checkbox');
-    checkbox.addEventListener('change', () => {
-      this.toggleDeviceSelection(device.id);
+  deselectAllDevices() {
+    this.devices.forEach(device => {
+      this.selectedDevices.delete(device.id);
+      this.updateDeviceCardSelection(device.id);
+      // Support both card and list view
+      const element = document.querySelector(`.device-card[data-device-id="${
+          device.id}"], .device-list-item[data-device-id="${device.id}"]`);
+      if (element) {
+        const checkbox = element.querySelector('.device-checkbox');
+        if (checkbox) checkbox.checked = false;
+      }
     });
+    this.updateSelectedCount();
+  }
 
-    // Device name click to edit
-    const nameSpan = card.querySelector('.device-name');
-    nameSpan.addEventListener('click', (e) => {
-      e.stopPropagation();
-      this.startEditDeviceName(device.id, nameSpan);
-    });
+  /**
+   * Set all device control mode (RPM or %)
+   */
+  setAllDeviceMode(mode) {
+    const rpmBtn = document.getElementById('allDeviceModeRpm');
+    const pctBtn = document.getElementById('allDeviceModePct');
+    const unitSpan = document.getElementById('allDeviceSetpointUnit');
+    const slider = document.getElementById('allDeviceSetpointSlider');
 
-    // Auto-apply setpoint on input change
-    const setpointInput = card.querySelector('.device-setpoint-input');
-    if (setpointInput) {
-      setpointInput.addEventListener('change', () => {
-        this.applyDeviceSetpoint(device.id, parseInt(setpointInput.value));
-      });
+    if (mode === 0) {
+      rpmBtn.classList.add('active');
+      pctBtn.classList.remove('active');
+      unitSpan.textContent = 'RPM';
+      slider.max = 1600;
+    } else {
+      rpmBtn.classList.remove('active');
+      pctBtn.classList.add('active');
+      unitSpan.textContent = '%';
+      slider.max = 100;
     }
+  }
 
-    // Per-device Live Watch toggle
-    const lwBtn = card.querySelector('.btn-device-live-watch');
-    lwBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      this.toggleDeviceLiveWatch(device.id);
-    });
+  /**
+   * Convert user-entered setpoint to raw register value based on operation mode
+   * Speed Control (mode 0): raw = rpm / max_speed * 64000
+   * Open-loop Control (mode 2): raw = percent / 100 * 65535
+   */
+  convertSetpointToRaw(device, setpoint) {
+    if (device.operationMode === 0) {
+      // Speed Control: user enters RPM
+      const maxSpeed = device.maxSpeed || 1600;
+      return Math.round(setpoint / maxSpeed * 64000);
+    } else {
+      // Open-loop Control: user enters %
+      return Math.round(setpoint / 100 * 65535);
+    }
+  }
 
-    // Delete button (X icon in header)
-    const deleteBtn = card.querySelector('.btn-delete-icon');
-    deleteBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      this.deleteDevice(device.id);
-    });
+  convertRawToSetpoint(device, raw) {
+    if (device.operationMode === 0) {
+      // Speed Control: raw → RPM
+      const maxSpeed = device.maxSpeed || 1600;
+      return Math.round(raw * maxSpeed / 64000);
+    } else {
+      // Open-loop Control: raw → %
+      return Math.round(raw * 100 / 65535);
+    }
+  }
 
-    // Alarm Reset button
-    const alarmResetBtn = card.querySelector('.btn-alarm-reset');
-    alarmResetBtn.addEventListener('click', () => {
-      this.performAlarmReset(device.id);
-    });
+  /**
+   * Dashboard 카드의 quick-btns 5개 HTML 생성.
+   * - 양 끝 (0, max) 은 항상 자동 계산
+   * - 가운데 3개 (25/50/75% 기본) 는 device.quickBtnsRpm / quickBtnsPct 에 저장된
+   *   override 가 있으면 우선 사용. data-mid-idx 0/1/2 로 우클릭 식별.
+   */
+  _quickBtnsHTML(device) {
+    const isRpm = device.operationMode === 0;
+    const max = isRpm ? (device.maxSpeed || 1600) : 100;
+    const defaults = [
+      Math.round(max * 0.25),
+      Math.round(max * 0.5),
+      Math.round(max * 0.75),
+    ];
+    const overrides = isRpm ? device.quickBtnsRpm : device.quickBtnsPct;
+    const mid = [0, 1, 2].map(
+        i => (overrides && overrides[i] != null) ? overrides[i] : defaults[i]);
+    const suffix = isRpm ? '' : '%';
+    const cap = isRpm ? max : 100;
+    const capLabel = isRpm ? `${max}` : `100%`;
+    return `
+                    <button class="quick-btn" data-value="0">0${suffix}</button>
+                    <button class="quick-btn" data-mid-idx="0" data-value="${
+        mid[0]}" title="우클릭하여 값 변경">${mid[0]}${suffix}</button>
+                    <button class="quick-btn" data-mid-idx="1" data-value="${
+        mid[1]}" title="우클릭하여 값 변경">${mid[1]}${suffix}</button>
+                    <button class="quick-btn" data-mid-idx="2" data-value="${
+        mid[2]}" title="우클릭하여 값 변경">${mid[2]}${suffix}</button>
+                    <button class="quick-btn" data-value="${
+        cap}">${capLabel}</button>`;
+  }
 
-    // Software Reset button
-    const softwareResetBtn = card.querySelector('.btn-software-reset');
-    softwareResetBtn.addEventListener('click', () => {
-      this.performSoftwareReset(device.id);
-    });
+  /**
+   * 우클릭으로 가운데 3개 quick-btn 값 조정.
+   * - 모드(RPM/%) 별 device.quickBtnsRpm / quickBtnsPct 배열에 저장
+   * - 유효 범위: RPM = 0..maxSpeed, % = 0..100
+   * - 변경 시 해당 카드의 quick-btns 영역만 갱신 (전체 재렌더 회피)
+   */
+  editQuickBtnValue(deviceId, midIdx) {
+    const device = this.devices.find(d => d.id === deviceId);
+    if (!device) return;
+    const isRpm = device.operationMode === 0;
+    const max = isRpm ? (device.maxSpeed || 1600) : 100;
+    const unit = isRpm ? 'RPM' : '%';
 
-    // ID badge → open settings modal on Fan Address field
-    const idBadge = card.querySelector('.device-id-badge');
-    if (idBadge) {
-      idBadge.addEventListener('click', () => {
-        this.showDeviceEditModal(device.id, 'fanAddress');
-      });
-    }
+    const overrides = isRpm ? device.quickBtnsRpm : device.quickBtnsPct;
+    const defaults =
+        [Math.round(max * 0.25), Math.round(max * 0.5), Math.round(max * 0.75)];
+    const cur = (overrides && overrides[midIdx] != null) ? overrides[midIdx] :
+                                                           defaults[midIdx];
 
-    // Edit button
-    const editBtn = card.querySelector('.btn-edit');
-    if (editBtn) {
-      editBtn.addEventListener('click', () => {
-        this.showDeviceEditModal(device.id);
-      });
+    const input =
+        prompt(`퀵 버튼 값 (${unit}, 0–${max})`, String(cur));
+    if (input == null) return;  // 취소
+    const val = parseInt(input.trim(), 10);
+    if (isNaN(val) || val < 0 || val > max) {
+      this.showToast(`유효하지 않은 값입니다 (0–${max})`, 'warning');
+      return;
     }
 
-    // Mode buttons
-    card.querySelectorAll('.device-mode-btns .mode-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        const newMode = parseInt(btn.dataset.mode);
-        if (device.operationMode !== newMode) {
-          this.changeDeviceMode(device.id, newMode);
-        }
-      });
-    });
+    const arr = (isRpm ? device.quickBtnsRpm : device.quickBtnsPct) || [];
+    arr[midIdx] = val;
+    if (isRpm)
+      device.quickBtnsRpm = arr;
+    else
+      device.quickBtnsPct = arr;
+    this.saveDevices();
 
-    // Quick setpoint buttons for device card.
-    // 가운데 3개 (data-mid-idx 0,1,2 = 25%/50%/75% 자리) 는 우클릭으로 값 조정.
-    card.querySelectorAll('.device-quick-btns .quick-btn').forEach(btn => {
+    // 카드의 quick-btns 영역만 다시 그리고 click/contextmenu 리스너 재바인딩.
+    const card = document.querySelector(`.device-card[data-device-id="${
+        deviceId}"]`);
+    if (!card) return;
+    const wrap = card.querySelector('.device-quick-btns');
+    if (!wrap) return;
+    wrap.innerHTML = this._quickBtnsHTML(device);
+    wrap.querySelectorAll('.quick-btn').forEach(btn => {
       btn.addEventListener('click', () => {
         const value = parseInt(btn.dataset.value);
-        const input = card.querySelector('.device-controls input');
-        if (input) input.value = value;
+        const ip = card.querySelector('.device-controls input');
+        if (ip) ip.value = value;
         this.applyDeviceSetpoint(device.id, value);
       });
-      const midIdx = btn.dataset.midIdx;
-      if (midIdx != null) {
+      const mi = btn.dataset.midIdx;
+      if (mi != null) {
         btn.addEventListener('contextmenu', (e) => {
           e.preventDefault();
-          this.editQuickBtnValue(device.id, parseInt(midIdx));
+          this.editQuickBtnValue(device.id, parseInt(mi));
         });
       }
     });
-
-    // Drag and drop event listeners
-    this.addDragEventListeners(card);
-
-    // 드래그 바에서만 드래그 가능하도록 제한
-    const dragBar = card.querySelector('.card-drag-bar');
-    dragBar.addEventListener('mousedown', () => {
-      card.draggable = true;
-      document.addEventListener('mouseup', () => {
-        card.draggable = false;
-      }, {once: true});
-    });
-    card.addEventListener('dragend', () => {
-      card.draggable = false;
-    });
-
-    // Monitoring section event listeners
-    this.setupMonitoringEventListeners(card, device.id);
-
-    return card;
   }
 
   /**
-   * Add drag and drop event listeners to a device element
+   * Apply setpoint to a single device
+   * @param {boolean} silent - If true, don't show toast message
    */
-  addDragEventListeners(element) {
-    element.addEventListener(
-        'dragstart', (e) => this.handleDragStart(e, element));
-    element.addEventListener('dragend', (e) => this.handleDragEnd(e, element));
-    element.addEventListener(
-        'dragover', (e) => this.handleDragOver(e, element));
-    element.addEventListener(
-        'dragenter', (e) => this.handleDragEnter(e, element));
-    element.addEventListener(
-        'dragleave', (e) => this.handleDragLeave(e, element));
-    element.addEventListener('drop', (e) => this.handleDrop(e, element));
-  }
+  async applyDeviceSetpoint(deviceId, setpoint, silent = false) {
+    const device = this.devices.find(d => d.id === deviceId);
+    if (!device) return;
 
-  /**
-   * Handle drag start
-   */
-  handleDragStart(e, element) {
-    this.draggedElement = element;
-    this.draggedDeviceId = element.dataset.deviceId;
+    if (device.slaveId === 0) {
+      if (!silent)
+        this.showToast('Slave ID가 설정되지 않은 장치입니다', 'warning');
+      return;
+    }
 
-    element.classList.add('dragging');
+    try {
+      // Convert user-entered value to raw register value
+      const rawSetpoint = this.convertSetpointToRaw(device, setpoint);
 
-    const grid = document.getElementById('deviceGrid');
-    if (grid) grid.classList.add('is-dragging');
+      // Set setpoint (send raw value to register)
+      await this.writeRegister(
+          device.slaveId, this.REGISTERS.SETPOINT, rawSetpoint);
 
-    e.dataTransfer.effectAllowed = 'move';
-    e.dataTransfer.setData('text/plain', element.dataset.deviceId);
+      // Update local state (keep user-entered value for display)
+      device.setpoint = setpoint;
+      this.saveDevices();
+      this.updateDeviceCardStatus(device);
 
-    // Create a semi-transparent drag image
-    setTimeout(() => {
-      element.style.opacity = '0.5';
-    }, 0);
+      const unit = device.operationMode === 0 ? 'RPM' : '%';
+      if (!silent)
+        this.showToast(
+            `${device.name}: Setpoint ${setpoint}${unit} 적용되었습니다`,
+            'success');
+    } catch (error) {
+      if (!silent)
+        this.showToast(`${device.name}: 설정에 실패했습니다`, 'error');
+    }
   }
 
   /**
-   * Handle drag end
+   * Perform Alarm Reset
    */
-  handleDragEnd(e, element) {
-    element.classList.remove('dragging');
-    element.style.opacity = '';
+  async performAlarmReset(deviceId) {
+    const device = this.devices.find(d => d.id === deviceId);
+    if (!device) return;
 
-    const grid = document.getElementById('deviceGrid');
-    if (grid) grid.classList.remove('is-dragging');
+    if (device.slaveId === 0) {
+      this.showToast('Slave ID가 설정되지 않은 장치입니다', 'warning');
+      return;
+    }
 
-    // Remove drag-over class from all elements
-    document.querySelectorAll('.drag-over').forEach(el => {
-      el.classList.remove('drag-over');
-    });
+    try {
+      // Send alarm reset command (write 1 to ALARM_RESET register)
+      await this.writeRegister(device.slaveId, this.REGISTERS.ALARM_RESET, 1);
+      this.showToast(`${device.name}: 알람이 리셋되었습니다`, 'success');
 
-    this.draggedElement = null;
-    this.draggedDeviceId = null;
+      // Read device status after reset to update UI
+      setTimeout(() => {
+        this.readDeviceStatus(deviceId);
+      }, 500);
+    } catch (error) {
+      this.showToast(`${device.name}: 알람 리셋에 실패했습니다`, 'error');
+    }
   }
 
   /**
-   * Handle drag over
+   * Perform Software Reset
    */
-  handleDragOver(e, element) {
-    e.preventDefault();
-    e.dataTransfer.dropEffect = 'move';
-  }
+  async performSoftwareReset(deviceId) {
+    const device = this.devices.find(d => d.id === deviceId);
+    if (!device) return;
 
-  /**
-   * Handle drag enter
-   */
-  handleDragEnter(e, element) {
-    e.preventDefault();
-    if (element !== this.draggedElement) {
-      element.classList.add('drag-over');
+    if (device.slaveId === 0) {
+      this.showToast('Slave ID가 설정되지 않은 장치입니다', 'warning');
+      return;
     }
-  }
 
-  /**
-   * Handle drag leave
-   */
-  handleDragLeave(e, element) {
-    // Only remove if we're actually leaving the element
-    const rect = element.getBoundingClientRect();
-    const x = e.clientX;
-    const y = e.clientY;
+    // Confirm before software reset
+    const confirmed = await this.showConfirm(
+        `${device.name}을(를) 재부팅 하시겠습니까?\n디바이스가 재시작됩니다.`,
+        '🔄 소프트웨어 리셋', '🔄');
 
-    if (x < rect.left || x > rect.right || y < rect.top || y > rect.bottom) {
-      element.classList.remove('drag-over');
+    if (!confirmed) {
+      return;
+    }
+
+    try {
+      // Send software reset command: FC06, 0xD000, bit3(4번째 비트) set =
+      // 0x0008
+      await this.writeRegister(device.slaveId, 0xD000, 0x0008);
+      this.showToast(
+          `${device.name}: 소프트웨어 리셋이 완료되었습니다`, 'success');
+
+      // Mark device as offline temporarily
+      device.online = false;
+      this.renderDeviceGrid();
+
+      // Try to reconnect after a delay
+      setTimeout(() => {
+        this.showToast(`${device.name}: 재연결 시도 중...`, 'info');
+        this.readDeviceStatus(deviceId);
+      }, 3000);
+    } catch (error) {
+      this.showToast(`${device.name}: 소프트웨어 리셋에 실패했습니다`, 'error');
     }
   }
 
   /**
-   * Handle drop
+   * Read device status
    */
-  handleDrop(e, element) {
-    e.preventDefault();
-    element.classList.remove('drag-over');
+  async readDeviceStatus(deviceId) {
+    const device = this.devices.find(d => d.id === deviceId);
+    if (!device) return;
 
-    if (!this.draggedElement || element === this.draggedElement) {
+    if (device.slaveId === 0) {
+      this.showToast('Slave ID가 설정되지 않은 장치입니다', 'warning');
       return;
     }
 
-    const draggedId = this.draggedDeviceId;
-    const targetId = element.dataset.deviceId;
+    try {
+      // Read motor status (Function Code 04 - Input Register)
+      const status = await this.readInputRegisterWithTimeout(
+          device.slaveId, this.REGISTERS.MOTOR_STATUS);
+      device.motorStatus = status;
 
-    if (draggedId && targetId) {
-      this.reorderDevices(draggedId, targetId);
+      // Read current setpoint
+      const setpoint =
+          await this.readRegister(device.slaveId, this.REGISTERS.SETPOINT);
+      device.setpoint = setpoint;
+
+      // Read operation mode
+      const mode = await this.readRegister(
+          device.slaveId, this.REGISTERS.OPERATION_MODE);
+      device.operationMode = mode;
+
+      // If Speed Control mode (RPM), read maximum speed
+      if (mode === 0) {
+        const maxSpeed = await this.readRegister(
+            device.slaveId, this.REGISTERS.MAXIMUM_SPEED);
+        device.maxSpeed = maxSpeed > 0 ? maxSpeed : 1600;
+      } else {
+        // Open-loop mode uses percentage (0-100%)
+        device.maxSpeed = 100;
+      }
+
+      device.lastUpdate = Date.now();
+      device.online = true;
+
+      this.saveDevices();
+      this.renderDeviceGrid();
+
+      this.showToast(`${device.name}: 상태 읽기가 완료되었습니다`, 'success');
+    } catch (error) {
+      device.online = false;
+      this.showToast(`${device.name}: 읽기에 실패했습니다`, 'error');
     }
   }
 
   /**
-   * Reorder devices in the array
+   * Initialize device mode by reading 0xD106 (Operating Mode) and 0xD119
+   * (Maximum Speed) Called when a new device is added
    */
-  reorderDevices(draggedId, targetId) {
-    // Convert to numbers since dataset.deviceId returns strings
-    const draggedIdNum = parseInt(draggedId, 10);
-    const targetIdNum = parseInt(targetId, 10);
+  async initializeDeviceMode(deviceId) {
+    const device = this.devices.find(d => d.id === deviceId);
+    if (!device || device.slaveId === 0) return;
 
-    const draggedIndex = this.devices.findIndex(d => d.id === draggedIdNum);
-    const targetIndex = this.devices.findIndex(d => d.id === targetIdNum);
+    try {
+      // Read operation mode (0xD106)
+      // 0: Speed Control (RPM), 2: Open-loop Control (%)
+      const mode = await this.readRegister(
+          device.slaveId, this.REGISTERS.OPERATION_MODE);
 
-    if (draggedIndex === -1 || targetIndex === -1) {
-      return;
-    }
+      // null = 타임아웃 (디바이스 미응답) → 연결 안 된 디바이스
+      if (mode === null) {
+        console.log(
+            `initializeDeviceMode: Slave ${device.slaveId} no response`);
+        return;
+      }
 
-    // Remove the dragged item from array
-    const [draggedDevice] = this.devices.splice(draggedIndex, 1);
+      device.operationMode = mode;
 
-    // Insert at the new position
-    this.devices.splice(targetIndex, 0, draggedDevice);
+      // If Speed Control mode (RPM), read maximum speed
+      if (mode === 0) {
+        const maxSpeed = await this.readRegister(
+            device.slaveId, this.REGISTERS.MAXIMUM_SPEED);
+        device.maxSpeed = maxSpeed > 0 ? maxSpeed : 1600;
+      } else {
+        // Open-loop mode uses percentage (0-100%)
+        device.maxSpeed = 100;
+      }
 
-    // Save the new order
-    this.saveDevices();
+      device.lastUpdate = Date.now();
+      device.online = true;
 
-    // Re-render the grid
-    this.renderDeviceGrid();
-  }
+      this.saveDevices();
+      this.renderDeviceGrid();
 
-  /**
-   * Toggle device selection
-   */
-  toggleDeviceSelection(deviceId) {
-    if (this.selectedDevices.has(deviceId)) {
-      this.selectedDevices.delete(deviceId);
-    } else {
-      this.selectedDevices.add(deviceId);
+      const modeText =
+          mode === 0 ? 'Speed Control (RPM)' : 'Open-loop Control (%)';
+      this.showToast(`${device.name}: ${modeText} 모드`, 'info');
+    } catch (error) {
+      console.log(
+          `Failed to initialize device mode for ${device.name}:`, error);
+      // Keep default values
     }
-    this.updateDeviceCardSelection(deviceId);
-    this.updateSelectedCount();
   }
 
   /**
-   * Update device card/list item selection visual
+   * Fetch and cache the drive serial number (0x2424) for a device.
+   * Uses readCANopenObject which is already queue-safe — safe to call during
+   * polling. Skips if already fetched or device has no valid slaveId.
    */
-  updateDeviceCardSelection(deviceId) {
-    // Support both card and list view
-    const element = document.querySelector(`.device-card[data-device-id="${
-        deviceId}"], .device-list-item[data-device-id="${deviceId}"]`);
-    if (element) {
-      if (this.selectedDevices.has(deviceId)) {
-        element.classList.add('selected');
-      } else {
-        element.classList.remove('selected');
+  async fetchDeviceSerialNumber(device) {
+    if (!device || device.slaveId === 0) return;
+    if (device.serialNumber) return;  // already cached
+    if (!this.writer && !this.simulatorEnabled) return;
+
+    try {
+      const result =
+          await this.readCANopenObject(device.slaveId, 0x2424, 0x00, 16);
+      if (!result || result.error) return;
+
+      const serial = result.rawBytes.filter(b => b !== 0)
+                         .map(b => String.fromCharCode(b))
+                         .join('')
+                         .trim()
+                         .toUpperCase();
+
+      if (serial) {
+        device.serialNumber = serial;
+        this.saveDevices();
+        // Update all serial display spans in DOM without full re-render
+        document.querySelectorAll(`[data-serial-for="${device.id}"]`)
+            .forEach(el => {
+              el.textContent = 'S/N: ' + serial;
+            });
       }
+    } catch (e) {
+      // silently ignore — serial number is optional display info
     }
   }
 
   /**
-   * Update selected count display
+   * Change device operating mode
+   * @param {number} deviceId - Device ID
+   * @param {number} newMode - 0: Speed Control (RPM), 2: Open-loop Control (%)
    */
-  updateSelectedCount() {
-    const countEl = document.getElementById('selectedDeviceCount');
-    if (countEl) {
-      countEl.textContent = this.selectedDevices.size;
-    }
+  async changeDeviceMode(deviceId, newMode) {
+    const device = this.devices.find(d => d.id === deviceId);
+    if (!device) return;
 
-    // Update tab badge
-    const selectedBadge = document.getElementById('selectedBadge');
-    if (selectedBadge) {
-      selectedBadge.textContent = this.selectedDevices.size;
+    if (device.slaveId === 0) {
+      this.showToast('Slave ID가 설정되지 않은 장치입니다', 'warning');
+      this.renderDeviceGrid();  // Reset toggle state
+      return;
     }
 
-    // Update chips and button states
-    this.updateSelectedDevicesChips();
-    this.updateAllDeviceButtonsState();
-  }
-
-  /**
-   * Select all devices
-   */
-  selectAllDevices() {
-    this.devices.forEach(device => {
-      this.selectedDevices.add(device.id);
-      this.updateDeviceCardSelection(device.id);
-      // Support both card and list view
-      const element = document.querySelector(`.device-card[data-device-id="${
-          device.id}"], .device-list-item[data-device-id="${device.id}"]`);
-      if (element) {
-        const checkbox = element.querySelector('.device-checkbox');
-        if (checkbox) checkbox.checked = true;
-      }
-    });
-    this.updateSelectedCount();
-  }
+    try {
+      // Write new mode to 0xD106
+      await this.writeRegister(
+          device.slaveId, this.REGISTERS.OPERATION_MODE, newMode);
+      device.operationMode = newMode;
 
-  /**
-   * Deselect all devices
-   */
-  deselectAllDevices() {
-    this.devices.forEach(device => {
-      this.selectedDevices.delete(device.id);
-      this.updateDeviceCardSelection(device.id);
-      // Support both card and list view
-      const element = document.querySelector(`.device-card[data-device-id="${
-          device.id}"], .device-list-item[data-device-id="${device.id}"]`);
-      if (element) {
-        const checkbox = element.querySelector('.device-checkbox');
-        if (checkbox) checkbox.checked = false;
+      // Update maxSpeed based on mode
+      if (newMode === 0) {
+        // Speed Control mode - read max speed from device
+        const maxSpeed = await this.readRegister(
+            device.slaveId, this.REGISTERS.MAXIMUM_SPEED);
+        device.maxSpeed = maxSpeed > 0 ? maxSpeed : 1600;
+      } else {
+        // Open-loop mode uses percentage (0-100%)
+        device.maxSpeed = 100;
       }
-    });
-    this.updateSelectedCount();
-  }
 
-  /**
-   * Set all device control mode (RPM or %)
-   */
-  setAllDeviceMode(mode) {
-    const rpmBtn = document.getElementById('allDeviceModeRpm');
-    const pctBtn = document.getElementById('allDeviceModePct');
-    const unitSpan = document.getElementById('allDeviceSetpointUnit');
-    const slider = document.getElementById('allDeviceSetpointSlider');
+      // Reset setpoint to 0 when changing mode
+      device.setpoint = 0;
+      await this.writeRegister(device.slaveId, this.REGISTERS.SETPOINT, 0);
 
-    if (mode === 0) {
-      rpmBtn.classList.add('active');
-      pctBtn.classList.remove('active');
-      unitSpan.textContent = 'RPM';
-      slider.max = 1600;
-    } else {
-      rpmBtn.classList.remove('active');
-      pctBtn.classList.add('active');
-      unitSpan.textContent = '%';
-      slider.max = 100;
+      device.lastUpdate = Date.now();
+      this.saveDevices();
+      this.renderDeviceGrid();
+
+      const modeText =
+          newMode === 0 ? 'Speed Control (RPM)' : 'Open-loop Control (%)';
+      this.showToast(
+          `${device.name}: ${modeText} 모드로 변경되었습니다`, 'success');
+    } catch (error) {
+      this.showToast(`${device.name}: 모드 변경에 실패했습니다`, 'error');
+      this.renderDeviceGrid();  // Reset toggle state
     }
   }
 
   /**
-   * Convert user-entered setpoint to raw register value based on operation mode
-   * Speed Control (mode 0): raw = rpm / max_speed * 64000
-   * Open-loop Control (mode 2): raw = percent / 100 * 65535
+   * Apply setpoint to all selected devices
    */
-  convertSetpointToRaw(device, setpoint) {
-    if (device.operationMode === 0) {
-      // Speed Control: user enters RPM
-      const maxSpeed = device.maxSpeed || 1600;
-      return Math.round(setpoint / maxSpeed * 64000);
-    } else {
-      // Open-loop Control: user enters %
-      return Math.round(setpoint / 100 * 65535);
+  async applyAllDeviceSetpoint() {
+    if (this.selectedDevices.size === 0) {
+      this.showToast('선택된 장치가 없습니다', 'warning');
+      return;
     }
-  }
 
-  convertRawToSetpoint(device, raw) {
-    if (device.operationMode === 0) {
-      // Speed Control: raw → RPM
-      const maxSpeed = device.maxSpeed || 1600;
-      return Math.round(raw * maxSpeed / 64000);
-    } else {
-      // Open-loop Control: raw → %
-      return Math.round(raw * 100 / 65535);
+    const setpoint =
+        parseInt(document.getElementById('allDeviceSetpoint').value);
+    const rpmBtn = document.getElementById('allDeviceModeRpm');
+    const mode = rpmBtn.classList.contains('active') ? 0 : 1;
+
+    let successCount = 0;
+    for (const deviceId of this.selectedDevices) {
+      const device = this.devices.find(d => d.id === deviceId);
+      if (device && device.slaveId !== 0) {
+        device.operationMode = mode;
+        await this.applyDeviceSetpoint(deviceId, setpoint, true);
+        successCount++;
+      }
     }
+
+    const unit = mode === 0 ? 'RPM' : '%';
+    this.showToast(
+        `${successCount}개 장치에 Setpoint ${setpoint}${unit}이 적용되었습니다`,
+        'success');
   }
 
   /**
-   * Dashboard 카드의 quick-btns 5개 HTML 생성.
-   * - 양 끝 (0, max) 은 항상 자동 계산
-   * - 가운데 3개 (25/50/75% 기본) 는 device.quickBtnsRpm / quickBtnsPct 에 저장된
-   *   override 가 있으면 우선 사용. data-mid-idx 0/1/2 로 우클릭 식별.
+   * Stop all selected devices
    */
-  _quickBtnsHTML(device) {
-    const isRpm = device.operationMode === 0;
-    const max = isRpm ? (device.maxSpeed || 1600) : 100;
-    const defaults = [
-      Math.round(max * 0.25),
-      Math.round(max * 0.5),
-      Math.round(max * 0.75),
-    ];
-    const overrides = isRpm ? device.quickBtnsRpm : device.quickBtnsPct;
-    const mid = [0, 1, 2].map(
-        i => (overrides && overrides[i] != null) ? overrides[i] : defaults[i]);
-    const suffix = isRpm ? '' : '%';
-    const cap = isRpm ? max : 100;
-    const capLabel = isRpm ? `${max}` : `100%`;
-    return `
-                    <button class="quick-btn" data-value="0">0${suffix}</button>
-                    <button class="quick-btn" data-mid-idx="0" data-value="${
-        mid[0]}" title="우클릭하여 값 변경">${mid[0]}${suffix}</button>
-                    <button class="quick-btn" data-mid-idx="1" data-value="${
-        mid[1]}" title="우클릭하여 값 변경">${mid[1]}${suffix}</button>
-                    <button class="quick-btn" data-mid-idx="2" data-value="${
-        mid[2]}" title="우클릭하여 값 변경">${mid[2]}${suffix}</button>
-                    <button class="quick-btn" data-value="${
-        cap}">${capLabel}</button>`;
+  async stopSelectedDevices() {
+    if (this.selectedDevices.size === 0) {
+      this.showToast('선택된 장치가 없습니다', 'warning');
+      return;
+    }
+
+    let successCount = 0;
+    for (const deviceId of this.selectedDevices) {
+      await this.applyDeviceSetpoint(deviceId, 0, true);
+      successCount++;
+    }
+
+    this.showToast(`${successCount}개 장치가 정지되었습니다`, 'info');
   }
 
   /**
-   * 우클릭으로 가운데 3개 quick-btn 값 조정.
-   * - 모드(RPM/%) 별 device.quickBtnsRpm / quickBtnsPct 배열에 저장
-   * - 유효 범위: RPM = 0..maxSpeed, % = 0..100
-   * - 변경 시 해당 카드의 quick-btns 영역만 갱신 (전체 재렌더 회피)
+   * Refresh all devices
    */
-  editQuickBtnValue(deviceId, midIdx) {
-    const device = this.devices.find(d => d.id === deviceId);
-    if (!device) return;
-    const isRpm = device.operationMode === 0;
-    const max = isRpm ? (device.maxSpeed || 1600) : 100;
-    const unit = isRpm ? 'RPM' : '%';
-
-    const overrides = isRpm ? device.quickBtnsRpm : device.quickBtnsPct;
-    const defaults =
-        [Math.round(max * 0.25), Math.round(max * 0.5), Math.round(max * 0.75)];
-    const cur = (overrides && overrides[midIdx] != null) ? overrides[midIdx] :
-                                                           defaults[midIdx];
+  async refreshAllDevices() {
+    this.showToast('모든 장치 상태를 읽는 중입니다...', 'info');
 
-    const input =
-        prompt(`퀵 버튼 값 (${unit}, 0–${max})`, String(cur));
-    if (input == null) return;  // 취소
-    const val = parseInt(input.trim(), 10);
-    if (isNaN(val) || val < 0 || val > max) {
-      this.showToast(`유효하지 않은 값입니다 (0–${max})`, 'warning');
-      return;
+    for (const device of this.devices) {
+      if (device.slaveId !== 0) {
+        await this.readDeviceStatus(device.id, true);
+      }
     }
 
-    const arr = (isRpm ? device.quickBtnsRpm : device.quickBtnsPct) || [];
-    arr[midIdx] = val;
-    if (isRpm)
-      device.quickBtnsRpm = arr;
-    else
-      device.quickBtnsPct = arr;
-    this.saveDevices();
-
-    // 카드의 quick-btns 영역만 다시 그리고 click/contextmenu 리스너 재바인딩.
-    const card = document.querySelector(`.device-card[data-device-id="${
-        deviceId}"]`);
-    if (!card) return;
-    const wrap = card.querySelector('.device-quick-btns');
-    if (!wrap) return;
-    wrap.innerHTML = this._quickBtnsHTML(device);
-    wrap.querySelectorAll('.quick-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        const value = parseInt(btn.dataset.value);
-        const ip = card.querySelector('.device-controls input');
-        if (ip) ip.value = value;
-        this.applyDeviceSetpoint(device.id, value);
-      });
-      const mi = btn.dataset.midIdx;
-      if (mi != null) {
-        btn.addEventListener('contextmenu', (e) => {
-          e.preventDefault();
-          this.editQuickBtnValue(device.id, parseInt(mi));
-        });
-      }
-    });
+    this.showToast('모든 장치 상태가 업데이트되었습니다', 'success');
   }
 
   /**
-   * Apply setpoint to a single device
-   * @param {boolean} silent - If true, don't show toast message
+   * Start auto polling for device status
    */
-  async applyDeviceSetpoint(deviceId, setpoint, silent = false) {
-    const device = this.devices.find(d => d.id === deviceId);
-    if (!device) return;
+  startAutoPolling() {
+    console.log('[AutoPolling] startAutoPolling called', {
+      devices: this.devices.length,
+      writer: !!this.writer,
+      simulatorEnabled: this.simulatorEnabled,
+      autoPollingTimer: this.autoPollingTimer,
+      isPolling: this.isPolling
+    });
 
-    if (device.slaveId === 0) {
-      if (!silent)
-        this.showToast('Slave ID가 설정되지 않은 장치입니다', 'warning');
+    if (this.devices.length === 0) {
+      console.log('[AutoPolling] No devices, returning');
+      return;
+    }
+    if (!this.writer && !this.simulatorEnabled) {
+      console.log('[AutoPolling] No connection, returning');
       return;
     }
 
-    try {
-      // Convert user-entered value to raw register value
-      const rawSetpoint = this.convertSetpointToRaw(device, setpoint);
+    // If already active but not currently polling, restart polling
+    if (this.autoPollingTimer && !this.isPolling) {
+      console.log('[AutoPolling] Restarting polling');
+      this.pollNextDeviceSequential();
+      return;
+    }
 
-      // Set setpoint (send raw value to register)
-      await this.writeRegister(
-          device.slaveId, this.REGISTERS.SETPOINT, rawSetpoint);
+    if (this.autoPollingTimer) {
+      console.log('[AutoPolling] Already active, returning');
+      return;
+    }
 
-      // Update local state (keep user-entered value for display)
-      device.setpoint = setpoint;
-      this.saveDevices();
-      this.updateDeviceCardStatus(device);
+    this.currentPollingIndex = 0;
+    this.isPolling = false;
 
-      const unit = device.operationMode === 0 ? 'RPM' : '%';
-      if (!silent)
-        this.showToast(
-            `${device.name}: Setpoint ${setpoint}${unit} 적용되었습니다`,
-            'success');
-    } catch (error) {
-      if (!silent)
-        this.showToast(`${device.name}: 설정에 실패했습니다`, 'error');
+    // Create Web Worker timer if background polling is enabled
+    if (this.backgroundPollingEnabled) {
+      this.createPollingWorker();
     }
+
+    // Use sequential polling instead of interval-based
+    this.autoPollingTimer = true;  // Flag to indicate polling is active
+    console.log('[AutoPolling] Starting new polling');
+    this.pollNextDeviceSequential();
+    this.updateLiveWatchToggleBtn();
+
+    // Queue serial number fetches for devices that don't have one yet.
+    // autoPollingTimer is now true so readCANopenObject will enqueue safely.
+    this.devices.filter(d => d.slaveId !== 0 && !d.serialNumber).forEach(d => {
+      this.fetchDeviceSerialNumber(d);
+    });
   }
 
   /**
-   * Perform Alarm Reset
+   * Stop auto polling
+   * @param {boolean} force - true: 연결 해제 등 강제 중단 (pendingResponse 즉시
+   *     취소)
+   *                          false(기본): 탭 전환 등 정상 중단 (in-flight
+   * 사이클 자연 완료 대기)
    */
-  async performAlarmReset(deviceId) {
-    const device = this.devices.find(d => d.id === deviceId);
-    if (!device) return;
-
-    if (device.slaveId === 0) {
-      this.showToast('Slave ID가 설정되지 않은 장치입니다', 'warning');
-      return;
+  stopAutoPolling(force = false) {
+    this.autoPollingTimer = null;
+    // isPolling은 pollNextDeviceSequential의 finally에서 관리 — 여기서 강제
+    // 리셋하지 않음 (강제 리셋 시 in-flight TX가 끝나기 전에 refreshDevice가
+    // 직접 TX를 쏴서 버스 충돌 발생)
+    if (force) {
+      this.isPolling = false;
+      if (this.pendingResponse) {
+        this.pendingResponse = null;
+      }
+    }
+    // 대기 중인 write 명령을 모두 reject (연결 해제 시 caller가 catch 처리
+    // 가능)
+    while (this.commandQueue.length > 0) {
+      const cmd = this.commandQueue.shift();
+      cmd.reject(new Error('Polling stopped (disconnected)'));
     }
 
-    try {
-      // Send alarm reset command (write 1 to ALARM_RESET register)
-      await this.writeRegister(device.slaveId, this.REGISTERS.ALARM_RESET, 1);
-      this.showToast(`${device.name}: 알람이 리셋되었습니다`, 'success');
+    this.destroyPollingWorker();
+    this.updateLiveWatchToggleBtn();
+  }
+
+  _syncAllDeviceLwBtns() {
+    this.devices.forEach(d => {
+      const card =
+          document.querySelector(`.device-card[data-device-id="${d.id}"]`);
+      const btn = card?.querySelector('.btn-device-live-watch');
+      if (btn) btn.classList.toggle('active', d.liveWatch !== false);
+    });
+  }
 
-      // Read device status after reset to update UI
-      setTimeout(() => {
-        this.readDeviceStatus(deviceId);
-      }, 500);
-    } catch (error) {
-      this.showToast(`${device.name}: 알람 리셋에 실패했습니다`, 'error');
-    }
+  updateLiveWatchToggleBtn() {
+    const btn = document.getElementById('liveWatchToggleBtn');
+    if (!btn) return;
+    const active = !!this.autoPollingTimer;
+    btn.classList.toggle('active', active);
+    btn.querySelector('.live-watch-label').textContent =
+        active ? 'Live Watch ON' : 'Live Watch OFF';
   }
 
-  /**
-   * Perform Software Reset
-   */
-  async performSoftwareReset(deviceId) {
+  toggleDeviceLiveWatch(deviceId) {
     const device = this.devices.find(d => d.id === deviceId);
     if (!device) return;
+    device.liveWatch = device.liveWatch === false ? true : false;
+    this.saveDevices();
 
-    if (device.slaveId === 0) {
-      this.showToast('Slave ID가 설정되지 않은 장치입니다', 'warning');
-      return;
-    }
-
-    // Confirm before software reset
-    const confirmed = await this.showConfirm(
-        `${device.name}을(를) 재부팅 하시겠습니까?\n디바이스가 재시작됩니다.`,
-        '🔄 소프트웨어 리셋', '🔄');
+    const card =
+        document.querySelector(`.device-card[data-device-id="${deviceId}"]`);
+    const lwBtn = card?.querySelector('.btn-device-live-watch');
+    if (lwBtn) lwBtn.classList.toggle('active', device.liveWatch !== false);
 
-    if (!confirmed) {
-      return;
+    if (device.liveWatch !== false) {
+      // 켜는 경우: 폴링이 꺼져 있으면 자동 시작
+      if (!this.autoPollingTimer && (this.writer || this.simulatorEnabled)) {
+        this.startAutoPolling();
+      }
+    } else {
+      // 끄는 경우: liveWatch ON인 디바이스가 없으면 폴링 중지
+      const anyOn = this.devices.some(d => d.liveWatch !== false);
+      if (!anyOn) this.stopAutoPolling();
     }
 
-    try {
-      // Send software reset command: FC06, 0xD000, bit3(4번째 비트) set =
-      // 0x0008
-      await this.writeRegister(device.slaveId, 0xD000, 0x0008);
-      this.showToast(
-          `${device.name}: 소프트웨어 리셋이 완료되었습니다`, 'success');
-
-      // Mark device as offline temporarily
-      device.online = false;
-      this.renderDeviceGrid();
+    this.updateLiveWatchToggleBtn();
 
-      // Try to reconnect after a delay
-      setTimeout(() => {
-        this.showToast(`${device.name}: 재연결 시도 중...`, 'info');
-        this.readDeviceStatus(deviceId);
-      }, 3000);
-    } catch (error) {
-      this.showToast(`${device.name}: 소프트웨어 리셋에 실패했습니다`, 'error');
-    }
+    const state = device.liveWatch !== false ? 'ON' : 'OFF';
+    this.showToast(
+        `${device.name} Live Watch ${state}`,
+        device.liveWatch !== false ? 'success' : 'error');
   }
 
   /**
-   * Read device status
+   * Create inline Web Worker for background polling timer.
+   * Worker thread is NOT throttled when the browser tab is hidden/minimized.
    */
-  async readDeviceStatus(deviceId) {
-    const device = this.devices.find(d => d.id === deviceId);
-    if (!device) return;
-
-    if (device.slaveId === 0) {
-      this.showToast('Slave ID가 설정되지 않은 장치입니다', 'warning');
-      return;
-    }
-
-    try {
-      // Read motor status (Function Code 04 - Input Register)
-      const status = await this.readInputRegisterWithTimeout(
-          device.slaveId, this.REGISTERS.MOTOR_STATUS);
-      device.motorStatus = status;
-
-      // Read current setpoint
-      const setpoint =
-          await this.readRegister(device.slaveId, this.REGISTERS.SETPOINT);
-      device.setpoint = setpoint;
-
-      // Read operation mode
-      const mode = await this.readRegister(
-          device.slaveId, this.REGISTERS.OPERATION_MODE);
-      device.operationMode = mode;
+  createPollingWorker() {
+    if (this.pollingWorker) return;
 
-      // If Speed Control mode (RPM), read maximum speed
-      if (mode === 0) {
-        const maxSpeed = await this.readRegister(
-            device.slaveId, this.REGISTERS.MAXIMUM_SPEED);
-        device.maxSpeed = maxSpeed > 0 ? maxSpeed : 1600;
-      } else {
-        // Open-loop mode uses percentage (0-100%)
-        device.maxSpeed = 100;
+    const workerCode = `
+            let timerId = null;
+            self.onmessage = function(e) {
+                if (e.data.command === 'start') {
+                    clearTimeout(timerId);
+                    timerId = setTimeout(() => self.postMessage('tick'), e.data.interval);
+                } else if (e.data.command === 'stop') {
+                    clearTimeout(timerId);
+                    timerId = null;
+                }
+            };
+        `;
+    const blob = new Blob([workerCode], {type: 'application/javascript'});
+    this.pollingWorker = new Worker(URL.createObjectURL(blob));
+    this.pollingWorker.onmessage = () => {
+      if (this.autoPollingTimer) {
+        this.pollNextDeviceSequential();
       }
+    };
+  }
 
-      device.lastUpdate = Date.now();
-      device.online = true;
-
-      this.saveDevices();
-      this.renderDeviceGrid();
-
-      this.showToast(`${device.name}: 상태 읽기가 완료되었습니다`, 'success');
-    } catch (error) {
-      device.online = false;
-      this.showToast(`${device.name}: 읽기에 실패했습니다`, 'error');
+  /**
+   * Destroy polling Web Worker
+   */
+  destroyPollingWorker() {
+    if (this.pollingWorker) {
+      this.pollingWorker.postMessage({command: 'stop'});
+      this.pollingWorker.terminate();
+      this.pollingWorker = null;
     }
   }
 
   /**
-   * Initialize device mode by reading 0xD106 (Operating Mode) and 0xD119
-   * (Maximum Speed) Called when a new device is added
+   * Schedule next poll using either Web Worker timer or regular setTimeout
    */
-  async initializeDeviceMode(deviceId) {
-    const device = this.devices.find(d => d.id === deviceId);
-    if (!device || device.slaveId === 0) return;
-
-    try {
-      // Read operation mode (0xD106)
-      // 0: Speed Control (RPM), 2: Open-loop Control (%)
-      const mode = await this.readRegister(
-          device.slaveId, this.REGISTERS.OPERATION_MODE);
-
-      // null = 타임아웃 (디바이스 미응답) → 연결 안 된 디바이스
-      if (mode === null) {
-        console.log(
-            `initializeDeviceMode: Slave ${device.slaveId} no response`);
-        return;
-      }
-
-      device.operationMode = mode;
-
-      // If Speed Control mode (RPM), read maximum speed
-      if (mode === 0) {
-        const maxSpeed = await this.readRegister(
-            device.slaveId, this.REGISTERS.MAXIMUM_SPEED);
-        device.maxSpeed = maxSpeed > 0 ? maxSpeed : 1600;
-      } else {
-        // Open-loop mode uses percentage (0-100%)
-        device.maxSpeed = 100;
-      }
-
-      device.lastUpdate = Date.now();
-      device.online = true;
-
-      this.saveDevices();
-      this.renderDeviceGrid();
+  scheduleNextPoll() {
+    if (!this.autoPollingTimer) return;
 
-      const modeText =
-          mode === 0 ? 'Speed Control (RPM)' : 'Open-loop Control (%)';
-      this.showToast(`${device.name}: ${modeText} 모드`, 'info');
-    } catch (error) {
-      console.log(
-          `Failed to initialize device mode for ${device.name}:`, error);
-      // Keep default values
+    if (this.backgroundPollingEnabled && this.pollingWorker) {
+      this.pollingWorker.postMessage(
+          {command: 'start', interval: this.autoPollingInterval});
+    } else {
+      setTimeout(
+          () => this.pollNextDeviceSequential(), this.autoPollingInterval);
     }
   }
 
   /**
-   * Fetch and cache the drive serial number (0x2424) for a device.
-   * Uses readCANopenObject which is already queue-safe — safe to call during
-   * polling. Skips if already fetched or device has no valid slaveId.
+   * Poll next device sequentially (TX -> wait response/timeout -> next)
    */
-  async fetchDeviceSerialNumber(device) {
-    if (!device || device.slaveId === 0) return;
-    if (device.serialNumber) return;  // already cached
-    if (!this.writer && !this.simulatorEnabled) return;
+  /** FC 0x64 스트림(메인 차트 또는 미니 차트)이 버스를 점유 중인지 여부 */
+  get _isFc64Active() {
+    return this.chartRunning ||
+        Object.values(this.miniChartRunning).some(v => v) || this._fc64Busy ||
+        this.triggerRunning;
+  }
 
-    try {
-      const result =
-          await this.readCANopenObject(device.slaveId, 0x2424, 0x00, 16);
-      if (!result || result.error) return;
+  /**
+   * commandQueue에 쌓인 명령을 모두 순차 실행.
+   * FC 0x64 차트 루프가 폴링 루프 대신 이 함수를 호출해 버스 충돌 없이 큐를
+   * 소진한다.
+   */
+  // ─────────────────────────────────────────────────────────
+  //  Bus Mutex — 모든 TX/RX 쌍을 serialize하여 485 버스 충돌 원천 차단
+  //  JS 싱글스레드 특성: while 루프 탈출 후 _busBusy = true 대입은 원자적으로
+  //  실행됨
+  // ─────────────────────────────────────────────────────────
+  async _acquireBus() {
+    while (this._busBusy) await this.delay(1);
+    this._busBusy = true;
+  }
 
-      const serial = result.rawBytes.filter(b => b !== 0)
-                         .map(b => String.fromCharCode(b))
-                         .join('')
-                         .trim()
-                         .toUpperCase();
+  _releaseBus() {
+    this._busBusy = false;
+  }
+
+  async _drainCommandQueue() {
+    while (this.commandQueue.length > 0) {
+      const cmd = this.commandQueue.shift();
+
+      // Stale 체크: 큐에 등록된 시점의 탭과 현재 탭이 다르면 조용히 폐기
+      if (cmd.tabSeq !== undefined && cmd.tabSeq !== this._tabSeq) {
+        cmd.resolve(null);
+        continue;
+      }
 
-      if (serial) {
-        device.serialNumber = serial;
-        this.saveDevices();
-        // Update all serial display spans in DOM without full re-render
-        document.querySelectorAll(`[data-serial-for="${device.id}"]`)
-            .forEach(el => {
-              el.textContent = 'S/N: ' + serial;
-            });
+      try {
+        if (cmd.type === 'read') {
+          const value = await this.sendAndWaitResponse(cmd.frame, cmd.slaveId);
+          cmd.resolve(value);
+        } else if (
+            cmd.type === 'canopen_read' || cmd.type === 'canopen_write') {
+          const result =
+              await this.sendCANopenAndWaitResponse(cmd.frame, cmd.slaveId);
+          cmd.resolve(result);
+        } else {
+          await this.sendWriteAndWaitResponse(
+              cmd.frame, cmd.slaveId, cmd.address);
+          cmd.resolve();
+        }
+      } catch (err) {
+        cmd.reject(err);
       }
-    } catch (e) {
-      // silently ignore — serial number is optional display info
     }
   }
 
-  /**
-   * Change device operating mode
-   * @param {number} deviceId - Device ID
-   * @param {number} newMode - 0: Speed Control (RPM), 2: Open-loop Control (%)
-   */
-  async changeDeviceMode(deviceId, newMode) {
-    const device = this.devices.find(d => d.id === deviceId);
-    if (!device) return;
-
-    if (device.slaveId === 0) {
-      this.showToast('Slave ID가 설정되지 않은 장치입니다', 'warning');
-      this.renderDeviceGrid();  // Reset toggle state
+  async pollNextDeviceSequential() {
+    // Check if polling should continue
+    if (!this.autoPollingTimer) {
       return;
     }
 
-    try {
-      // Write new mode to 0xD106
-      await this.writeRegister(
-          device.slaveId, this.REGISTERS.OPERATION_MODE, newMode);
-      device.operationMode = newMode;
-
-      // Update maxSpeed based on mode
-      if (newMode === 0) {
-        // Speed Control mode - read max speed from device
-        const maxSpeed = await this.readRegister(
-            device.slaveId, this.REGISTERS.MAXIMUM_SPEED);
-        device.maxSpeed = maxSpeed > 0 ? maxSpeed : 1600;
-      } else {
-        // Open-loop mode uses percentage (0-100%)
-        device.maxSpeed = 100;
-      }
-
-      // Reset setpoint to 0 when changing mode
-      device.setpoint = 0;
-      await this.writeRegister(device.slaveId, this.REGISTERS.SETPOINT, 0);
-
-      device.lastUpdate = Date.now();
-      this.saveDevices();
-      this.renderDeviceGrid();
+    // If scanning, wait and retry later
+    if (this.isScanning) {
+      setTimeout(() => this.pollNextDeviceSequential(), 500);
+      return;
+    }
 
-      const modeText =
-          newMode === 0 ? 'Speed Control (RPM)' : 'Open-loop Control (%)';
-      this.showToast(
-          `${device.name}: ${modeText} 모드로 변경되었습니다`, 'success');
-    } catch (error) {
-      this.showToast(`${device.name}: 모드 변경에 실패했습니다`, 'error');
-      this.renderDeviceGrid();  // Reset toggle state
+    // FC 0x64 스트림(미니차트/차트)이 버스를 점유 중이면 폴링 대기
+    if (this.chartRunning ||
+        Object.values(this.miniChartRunning).some(v => v)) {
+      setTimeout(() => this.pollNextDeviceSequential(), 100);
+      return;
     }
-  }
 
-  /**
-   * Apply setpoint to all selected devices
-   */
-  async applyAllDeviceSetpoint() {
-    if (this.selectedDevices.size === 0) {
-      this.showToast('선택된 장치가 없습니다', 'warning');
+    if (this.devices.length === 0) {
+      // No devices, wait and retry
+      setTimeout(() => this.pollNextDeviceSequential(), 500);
       return;
     }
 
-    const setpoint =
-        parseInt(document.getElementById('allDeviceSetpoint').value);
-    const rpmBtn = document.getElementById('allDeviceModeRpm');
-    const mode = rpmBtn.classList.contains('active') ? 0 : 1;
+    // Prevent concurrent polling
+    if (this.isPolling) return;
+    this.isPolling = true;
 
-    let successCount = 0;
-    for (const deviceId of this.selectedDevices) {
-      const device = this.devices.find(d => d.id === deviceId);
-      if (device && device.slaveId !== 0) {
-        device.operationMode = mode;
-        await this.applyDeviceSetpoint(deviceId, setpoint, true);
-        successCount++;
+    // Command queue: polling 사이클 사이에 사용자 write/read 명령을 처리
+    // 이 블록에서만 TX가 발생하므로 485 버스 충돌 원천 차단
+    if (this.commandQueue.length > 0) {
+      const cmd = this.commandQueue.shift();
+
+      // Stale 체크: 큐에 등록된 시점의 탭과 현재 탭이 다르면 조용히 폐기
+      if (cmd.tabSeq !== undefined && cmd.tabSeq !== this._tabSeq) {
+        cmd.resolve(null);
+        this.isPolling = false;
+        this.scheduleNextPoll();
+        return;
       }
-    }
 
-    const unit = mode === 0 ? 'RPM' : '%';
-    this.showToast(
-        `${successCount}개 장치에 Setpoint ${setpoint}${unit}이 적용되었습니다`,
-        'success');
-  }
+      try {
+        if (cmd.type === 'read') {
+          // Read 명령: sendAndWaitResponse로 값을 받아서 resolve에 전달
+          const value = await this.sendAndWaitResponse(cmd.frame, cmd.slaveId);
+          cmd.resolve(value);
+        } else if (
+            cmd.type === 'canopen_read' || cmd.type === 'canopen_write') {
+          // CANopen SDO 명령: 파싱은 sendCANopenAndWaitResponse 내부에서 처리
+          const result =
+              await this.sendCANopenAndWaitResponse(cmd.frame, cmd.slaveId);
+          cmd.resolve(result);
+        } else {
+          // Write 명령 (기존 동작): commandTimeout으로 응답 대기
+          await this.sendWriteAndWaitResponse(
+              cmd.frame, cmd.slaveId, cmd.address);
+          cmd.resolve();
+        }
+      } catch (err) {
+        cmd.reject(err);
+      } finally {
+        this.isPolling = false;
+        // Interval(설정의 Interval)만큼 대기 후 다음 사이클 (queue에 더 있으면
+        // 즉시 처리)
+        this.scheduleNextPoll();
+      }
+      return;
+    }
 
-  /**
-   * Stop all selected devices
-   */
-  async stopSelectedDevices() {
-    if (this.selectedDevices.size === 0) {
-      this.showToast('선택된 장치가 없습니다', 'warning');
+    // Get devices with valid slave IDs and Live Watch enabled
+    const validDevices =
+        this.devices.filter(d => d.slaveId !== 0 && d.liveWatch !== false);
+    if (validDevices.length === 0) {
+      this.isPolling = false;
+      setTimeout(() => this.pollNextDeviceSequential(), 500);
       return;
     }
 
-    let successCount = 0;
-    for (const deviceId of this.selectedDevices) {
-      await this.applyDeviceSetpoint(deviceId, 0, true);
-      successCount++;
+    // Reset index if out of bounds
+    if (this.currentPollingIndex >= validDevices.length) {
+      this.currentPollingIndex = 0;
     }
 
-    this.showToast(`${successCount}개 장치가 정지되었습니다`, 'info');
-  }
+    const device = validDevices[this.currentPollingIndex];
+    this.currentPollingIndex++;
 
-  /**
-   * Refresh all devices
-   */
-  async refreshAllDevices() {
-    this.showToast('모든 장치 상태를 읽는 중입니다...', 'info');
+    try {
+      // Read motor status with timeout (Function Code 04 - Input Register)
+      // Direct sendAndWaitResponse — bypasses queue since we are the polling
+      // loop.
+      const motorFrame = this.modbus.buildReadInputRegisters(
+          device.slaveId, this.REGISTERS.MOTOR_STATUS, 1);
+      const status = await this.sendAndWaitResponse(motorFrame, device.slaveId);
 
-    for (const device of this.devices) {
-      if (device.slaveId !== 0) {
-        await this.readDeviceStatus(device.id, true);
+      if (status !== null) {
+        device.motorStatus = status;
+        device.lastUpdate = Date.now();
+        device.online = true;
+        device.failCount = 0;  // Reset fail count on success
+        this.updateDeviceStats(device.slaveId, true);
+
+        // Inter-frame gap before next read (메시지 간격 설정 적용)
+        if (this.paramPollingDelay > 0)
+          await this.delay(this.paramPollingDelay);
+
+        // Read actual speed (Function Code 04 - Input Register)
+        const speedFrame = this.modbus.buildReadInputRegisters(
+            device.slaveId, this.REGISTERS.ACTUAL_SPEED, 1);
+        const actualSpeed =
+            await this.sendAndWaitResponse(speedFrame, device.slaveId);
+        if (actualSpeed !== null) {
+          // Handle signed 16-bit value
+          device.actualSpeed =
+              actualSpeed > 32767 ? actualSpeed - 65536 : actualSpeed;
+        }
+
+        // Inter-frame gap
+        if (this.paramPollingDelay > 0)
+          await this.delay(this.paramPollingDelay);
+
+        // Read setpoint (Function Code 03 - Holding Register)
+        const setpointFrame = this.modbus.buildReadHoldingRegisters(
+            device.slaveId, this.REGISTERS.SETPOINT, 1);
+        const rawSetpoint =
+            await this.sendAndWaitResponse(setpointFrame, device.slaveId);
+        if (rawSetpoint !== null) {
+          device.setpoint = this.convertRawToSetpoint(device, rawSetpoint);
+        }
+
+        this.updateDeviceCardStatus(device);
+
+        // Inter-frame gap before monitoring params (FC03→FC04 전환 시 Modbus
+        // RTU 3.5 char 간격 보장)
+        if (this.paramPollingDelay > 0)
+          await this.delay(this.paramPollingDelay);
+
+        // Poll monitoring parameters if any
+        if (device.monitoringParams && device.monitoringParams.length > 0) {
+          await this.pollMonitoringParams(device);
+        }
+      } else {
+        device.failCount = (device.failCount || 0) + 1;
+        this.updateDeviceStats(device.slaveId, false);
+        // Only mark offline after consecutive failures exceed threshold
+        if (device.failCount >= this.offlineThreshold) {
+          device.online = false;
+          this.updateDeviceCardOffline(device);
+        }
       }
-    }
+    } catch (error) {
+      console.error('Polling error:', error);
+      device.failCount = (device.failCount || 0) + 1;
+      try {
+        this.updateDeviceStats(device.slaveId, false);
+        // Only mark offline after consecutive failures exceed threshold
+        if (device.failCount >= this.offlineThreshold) {
+          device.online = false;
+          this.updateDeviceCardOffline(device);
+        }
+      } catch (e) {
+        console.error('Error updating device stats:', e);
+      }
+    } finally {
+      this.isPolling = false;
 
-    this.showToast('모든 장치 상태가 업데이트되었습니다', 'success');
+      // Schedule next poll after interval
+      this.scheduleNextPoll();
+    }
   }
 
   /**
-   * Start auto polling for device status
+   * Read register with timeout handling
    */
-  startAutoPolling() {
-    console.log('[AutoPolling] startAutoPolling called', {
-      devices: this.devices.length,
-      writer: !!this.writer,
-      simulatorEnabled: this.simulatorEnabled,
-      autoPollingTimer: this.autoPollingTimer,
-      isPolling: this.isPolling
-    });
+  async readRegisterWithTimeout(slaveId, address) {
+    const frame = this.modbus.buildReadHoldingRegisters(slaveId, address, 1);
 
-    if (this.devices.length === 0) {
-      console.log('[AutoPolling] No devices, returning');
-      return;
-    }
-    if (!this.writer && !this.simulatorEnabled) {
-      console.log('[AutoPolling] No connection, returning');
-      return;
-    }
+    if (this.simulatorEnabled) {
+      // Simulator mode - instant response
+      this.stats.requests++;
+      this.updateStatsDisplay();
 
-    // If already active but not currently polling, restart polling
-    if (this.autoPollingTimer && !this.isPolling) {
-      console.log('[AutoPolling] Restarting polling');
-      this.pollNextDeviceSequential();
-      return;
-    }
+      const response = await this.simulatorBus.processRequest(frame);
 
-    if (this.autoPollingTimer) {
-      console.log('[AutoPolling] Already active, returning');
-      return;
+      if (response && response.length >= 5 && (response[1] & 0x80) === 0) {
+        this.stats.success++;
+        this.updateStatsDisplay();
+        return (response[3] << 8) | response[4];
+      } else {
+        this.stats.errors++;
+        this.updateStatsDisplay();
+        return null;
+      }
+    } else if (this.writer) {
+      if (this.autoPollingTimer || this._isFc64Active ||
+          this.ovPollingRunning) {
+        // polling 루프 / FC64 차트 / OV 폴링 중 하나라도 버스를 점유 중이면
+        // 큐에 등록
+        return new Promise((resolve, reject) => {
+          this.commandQueue.push({
+            type: 'read',
+            frame,
+            slaveId,
+            address,
+            resolve,
+            reject,
+            tabSeq: this._tabSeq
+          });
+        });
+      }
+      // 버스 유휴 — 직접 전송
+      return await this.sendAndWaitResponse(frame, slaveId);
     }
 
-    this.currentPollingIndex = 0;
-    this.isPolling = false;
+    return null;
+  }
 
-    // Create Web Worker timer if background polling is enabled
-    if (this.backgroundPollingEnabled) {
-      this.createPollingWorker();
+  /**
+   * 임의 raw 프레임을 전송하고 응답을 기다린다 (CRC 재계산 없음).
+   * 테스트 목적으로 고의로 훼손된 프레임 전송 시 사용.
+   * 큐를 통해 안전하게 전송되므로 폴링 중에도 버스 충돌 없음.
+   * @param {Uint8Array} frame - 전송할 raw 바이트 (CRC 포함, 재계산 안 함)
+   * @param {number} slaveId  - 응답 대기 slave ID (무응답 확인이면 timeout으로
+   *     null 반환)
+   * @returns {Promise<number|null>} 응답값 또는 null (timeout/exception)
+   */
+  async sendRawFrameWithTimeout(frame, slaveId) {
+    if (this.simulatorEnabled) {
+      // 시뮬레이터는 CRC를 검증하지 않으므로 정상 응답이 올 수 있음 — null 강제
+      // 반환
+      return null;
     }
+    if (!this.writer) return null;
 
-    // Use sequential polling instead of interval-based
-    this.autoPollingTimer = true;  // Flag to indicate polling is active
-    console.log('[AutoPolling] Starting new polling');
-    this.pollNextDeviceSequential();
-    this.updateLiveWatchToggleBtn();
-
-    // Queue serial number fetches for devices that don't have one yet.
-    // autoPollingTimer is now true so readCANopenObject will enqueue safely.
-    this.devices.filter(d => d.slaveId !== 0 && !d.serialNumber).forEach(d => {
-      this.fetchDeviceSerialNumber(d);
-    });
+    if (this.autoPollingTimer || this._isFc64Active) {
+      return new Promise((resolve, reject) => {
+        this.commandQueue.push({
+          type: 'read',
+          frame,
+          slaveId,
+          address: 0,
+          resolve,
+          reject,
+          tabSeq: this._tabSeq
+        });
+      });
+    }
+    return await this.sendAndWaitResponse(frame, slaveId);
   }
 
   /**
-   * Stop auto polling
-   * @param {boolean} force - true: 연결 해제 등 강제 중단 (pendingResponse 즉시
-   *     취소)
-   *                          false(기본): 탭 전환 등 정상 중단 (in-flight
-   * 사이클 자연 완료 대기)
+   * Send frame and wait for response with timeout
    */
-  stopAutoPolling(force = false) {
-    this.autoPollingTimer = null;
-    // isPolling은 pollNextDeviceSequential의 finally에서 관리 — 여기서 강제
-    // 리셋하지 않음 (강제 리셋 시 in-flight TX가 끝나기 전에 refreshDevice가
-    // 직접 TX를 쏴서 버스 충돌 발생)
-    if (force) {
-      this.isPolling = false;
-      if (this.pendingResponse) {
-        this.pendingResponse = null;
-      }
-    }
-    // 대기 중인 write 명령을 모두 reject (연결 해제 시 caller가 catch 처리
-    // 가능)
-    while (this.commandQueue.length > 0) {
-      const cmd = this.commandQueue.shift();
-      cmd.reject(new Error('Polling stopped (disconnected)'));
+  async sendAndWaitResponse(frame, expectedSlaveId) {
+    // Simulator mode - bypass real serial port
+    if (this.simulatorEnabled) {
+      return new Promise(async (resolve) => {
+        this.addMonitorEntry('sent', frame, {
+          functionCode: frame[1],
+          startAddress: (frame[2] << 8) | frame[3],
+          quantity: 1
+        });
+        this.stats.requests++;
+        this.updateStatsDisplay();
+
+        const simulatedIds = this.getSimulatedDeviceIds();
+        if (!simulatedIds.includes(expectedSlaveId)) {
+          this.stats.errors++;
+          this.updateStatsDisplay();
+          resolve(null);
+          return;
+        }
+
+        const response = await this.simulatorBus.processRequest(frame);
+        if (response && response.length >= 5 &&
+            response[0] === expectedSlaveId && (response[1] & 0x80) === 0) {
+          this.addMonitorEntry('received', response);
+          this.stats.success++;
+          this.updateStatsDisplay();
+          resolve((response[3] << 8) | response[4]);
+        } else {
+          this.stats.errors++;
+          this.updateStatsDisplay();
+          resolve(null);
+        }
+      });
     }
 
-    this.destroyPollingWorker();
-    this.updateLiveWatchToggleBtn();
-  }
+    await this._acquireBus();
+    try {
+      return await new Promise(async (resolve) => {
+        // Clear receive buffer
+        this.receiveIndex = 0;
 
-  _syncAllDeviceLwBtns() {
-    this.devices.forEach(d => {
-      const card =
-          document.querySelector(`.device-card[data-device-id="${d.id}"]`);
-      const btn = card?.querySelector('.btn-device-live-watch');
-      if (btn) btn.classList.toggle('active', d.liveWatch !== false);
-    });
-  }
+        // Set up response handler
+        const responsePromise = new Promise((resResolve) => {
+          this.pendingResponse = {
+            slaveId: expectedSlaveId,
+            resolve: resResolve,
+            startTime: Date.now()
+          };
+        });
 
-  updateLiveWatchToggleBtn() {
-    const btn = document.getElementById('liveWatchToggleBtn');
-    if (!btn) return;
-    const active = !!this.autoPollingTimer;
-    btn.classList.toggle('active', active);
-    btn.querySelector('.live-watch-label').textContent =
-        active ? 'Live Watch ON' : 'Live Watch OFF';
-  }
+        // Set up timeout
+        const timeoutPromise = new Promise((_, reject) => {
+          setTimeout(() => {
+            reject(new Error('Timeout'));
+          }, this.pollingTimeout);
+        });
 
-  toggleDeviceLiveWatch(deviceId) {
-    const device = this.devices.find(d => d.id === deviceId);
-    if (!device) return;
-    device.liveWatch = device.liveWatch === false ? true : false;
-    this.saveDevices();
+        try {
+          // Send TX
+          await this.writer.write(frame);
+          this.addMonitorEntry('sent', frame, {
+            functionCode: frame[1],
+            startAddress: (frame[2] << 8) | frame[3],
+            quantity: 1
+          });
+          this.stats.requests++;
+          this.updateStatsDisplay();
 
-    const card =
-        document.querySelector(`.device-card[data-device-id="${deviceId}"]`);
-    const lwBtn = card?.querySelector('.btn-device-live-watch');
-    if (lwBtn) lwBtn.classList.toggle('active', device.liveWatch !== false);
+          // Wait for response or timeout
+          const response =
+              await Promise.race([responsePromise, timeoutPromise]);
 
-    if (device.liveWatch !== false) {
-      // 켜는 경우: 폴링이 꺼져 있으면 자동 시작
-      if (!this.autoPollingTimer && (this.writer || this.simulatorEnabled)) {
-        this.startAutoPolling();
-      }
-    } else {
-      // 끄는 경우: liveWatch ON인 디바이스가 없으면 폴링 중지
-      const anyOn = this.devices.some(d => d.liveWatch !== false);
-      if (!anyOn) this.stopAutoPolling();
+          this.pendingResponse = null;
+
+          if (response && response.length >= 5 &&
+              response[0] === expectedSlaveId && (response[1] & 0x80) === 0) {
+            this.stats.success++;
+            this.updateStatsDisplay();
+            resolve((response[3] << 8) | response[4]);
+          } else {
+            this.stats.errors++;
+            this.updateStatsDisplay();
+            resolve(null);
+          }
+        } catch (error) {
+          // Timeout occurred
+          this.pendingResponse = null;
+          this.stats.errors++;
+          this.updateStatsDisplay();
+          this.addMonitorEntry(
+              'error',
+              `Slave ${expectedSlaveId}: Response timeout (${
+                  this.pollingTimeout}ms)`);
+          resolve(null);
+        }
+      });
+    } finally {
+      this._releaseBus();
     }
-
-    this.updateLiveWatchToggleBtn();
-
-    const state = device.liveWatch !== false ? 'ON' : 'OFF';
-    this.showToast(
-        `${device.name} Live Watch ${state}`,
-        device.liveWatch !== false ? 'success' : 'error');
   }
 
   /**
-   * Create inline Web Worker for background polling timer.
-   * Worker thread is NOT throttled when the browser tab is hidden/minimized.
+   * Handle received frame for pending response
    */
-  createPollingWorker() {
-    if (this.pollingWorker) return;
-
-    const workerCode = `
-            let timerId = null;
-            self.onmessage = function(e) {
-                if (e.data.command === 'start') {
-                    clearTimeout(timerId);
-                    timerId = setTimeout(() => self.postMessage('tick'), e.data.interval);
-                } else if (e.data.command === 'stop') {
-                    clearTimeout(timerId);
-                    timerId = null;
-                }
-            };
-        `;
-    const blob = new Blob([workerCode], {type: 'application/javascript'});
-    this.pollingWorker = new Worker(URL.createObjectURL(blob));
-    this.pollingWorker.onmessage = () => {
-      if (this.autoPollingTimer) {
-        this.pollNextDeviceSequential();
+  handlePendingResponse(frame) {
+    if (this.pendingResponse && frame.length >= 3) {
+      const slaveId = frame[0];
+      if (slaveId === this.pendingResponse.slaveId) {
+        this.pendingResponse.resolve(frame);
       }
-    };
-  }
-
-  /**
-   * Destroy polling Web Worker
-   */
-  destroyPollingWorker() {
-    if (this.pollingWorker) {
-      this.pollingWorker.postMessage({command: 'stop'});
-      this.pollingWorker.terminate();
-      this.pollingWorker = null;
     }
   }
 
   /**
-   * Schedule next poll using either Web Worker timer or regular setTimeout
+   * Update device card/list item to show offline status
    */
-  scheduleNextPoll() {
-    if (!this.autoPollingTimer) return;
+  updateDeviceCardOffline(device) {
+    // Support both card and list view
+    const element = document.querySelector(`.device-card[data-device-id="${
+        device.id}"], .device-list-item[data-device-id="${device.id}"]`);
+    if (!element) return;
 
-    if (this.backgroundPollingEnabled && this.pollingWorker) {
-      this.pollingWorker.postMessage(
-          {command: 'start', interval: this.autoPollingInterval});
-    } else {
-      setTimeout(
-          () => this.pollNextDeviceSequential(), this.autoPollingInterval);
+    const statusIndicator = element.querySelector('.status-indicator');
+    const statusTextEl = element.querySelector('.status-text');
+
+    if (statusIndicator) {
+      statusIndicator.className = 'status-indicator stopped';
     }
+    if (statusTextEl) {
+      statusTextEl.textContent = 'Offline';
+    }
+
+    element.classList.add('offline');
   }
 
   /**
-   * Poll next device sequentially (TX -> wait response/timeout -> next)
+   * Read register silently (for backward compatibility)
    */
-  /** FC 0x64 스트림(메인 차트 또는 미니 차트)이 버스를 점유 중인지 여부 */
-  get _isFc64Active() {
-    return this.chartRunning ||
-        Object.values(this.miniChartRunning).some(v => v) || this._fc64Busy ||
-        this.triggerRunning;
+  async readRegisterSilent(slaveId, address) {
+    return await this.readRegisterWithTimeout(slaveId, address);
   }
 
   /**
-   * commandQueue에 쌓인 명령을 모두 순차 실행.
-   * FC 0x64 차트 루프가 폴링 루프 대신 이 함수를 호출해 버스 충돌 없이 큐를
-   * 소진한다.
+   * Update device card/list item status without full re-render
    */
-  // ─────────────────────────────────────────────────────────
-  //  Bus Mutex — 모든 TX/RX 쌍을 serialize하여 485 버스 충돌 원천 차단
-  //  JS 싱글스레드 특성: while 루프 탈출 후 _busBusy = true 대입은 원자적으로
-  //  실행됨
-  // ─────────────────────────────────────────────────────────
-  async _acquireBus() {
-    while (this._busBusy) await this.delay(1);
-    this._busBusy = true;
-  }
-
-  _releaseBus() {
-    this._busBusy = false;
-  }
-
-  async _drainCommandQueue() {
-    while (this.commandQueue.length > 0) {
-      const cmd = this.commandQueue.shift();
-
-      // Stale 체크: 큐에 등록된 시점의 탭과 현재 탭이 다르면 조용히 폐기
-      if (cmd.tabSeq !== undefined && cmd.tabSeq !== this._tabSeq) {
-        cmd.resolve(null);
-        continue;
-      }
-
-      try {
-        if (cmd.type === 'read') {
-          const value = await this.sendAndWaitResponse(cmd.frame, cmd.slaveId);
-          cmd.resolve(value);
-        } else if (
-            cmd.type === 'canopen_read' || cmd.type === 'canopen_write') {
-          const result =
-              await this.sendCANopenAndWaitResponse(cmd.frame, cmd.slaveId);
-          cmd.resolve(result);
-        } else {
-          await this.sendWriteAndWaitResponse(
-              cmd.frame, cmd.slaveId, cmd.address);
-          cmd.resolve();
-        }
-      } catch (err) {
-        cmd.reject(err);
-      }
-    }
-  }
-
-  async pollNextDeviceSequential() {
-    // Check if polling should continue
-    if (!this.autoPollingTimer) {
-      return;
-    }
-
-    // If scanning, wait and retry later
-    if (this.isScanning) {
-      setTimeout(() => this.pollNextDeviceSequential(), 500);
-      return;
-    }
-
-    // FC 0x64 스트림(미니차트/차트)이 버스를 점유 중이면 폴링 대기
-    if (this.chartRunning ||
-        Object.values(this.miniChartRunning).some(v => v)) {
-      setTimeout(() => this.pollNextDeviceSequential(), 100);
-      return;
-    }
-
-    if (this.devices.length === 0) {
-      // No devices, wait and retry
-      setTimeout(() => this.pollNextDeviceSequential(), 500);
-      return;
-    }
-
-    // Prevent concurrent polling
-    if (this.isPolling) return;
-    this.isPolling = true;
-
-    // Command queue: polling 사이클 사이에 사용자 write/read 명령을 처리
-    // 이 블록에서만 TX가 발생하므로 485 버스 충돌 원천 차단
-    if (this.commandQueue.length > 0) {
-      const cmd = this.commandQueue.shift();
+  updateDeviceCardStatus(device) {
+    // Support both card and list view
+    const element = document.querySelector(`.device-card[data-device-id="${
+        device.id}"], .device-list-item[data-device-id="${device.id}"]`);
+    if (!element) return;
 
-      // Stale 체크: 큐에 등록된 시점의 탭과 현재 탭이 다르면 조용히 폐기
-      if (cmd.tabSeq !== undefined && cmd.tabSeq !== this._tabSeq) {
-        cmd.resolve(null);
-        this.isPolling = false;
-        this.scheduleNextPoll();
-        return;
-      }
+    // Remove offline class when device comes back online
+    element.classList.remove('offline');
 
-      try {
-        if (cmd.type === 'read') {
-          // Read 명령: sendAndWaitResponse로 값을 받아서 resolve에 전달
-          const value = await this.sendAndWaitResponse(cmd.frame, cmd.slaveId);
-          cmd.resolve(value);
-        } else if (
-            cmd.type === 'canopen_read' || cmd.type === 'canopen_write') {
-          // CANopen SDO 명령: 파싱은 sendCANopenAndWaitResponse 내부에서 처리
-          const result =
-              await this.sendCANopenAndWaitResponse(cmd.frame, cmd.slaveId);
-          cmd.resolve(result);
-        } else {
-          // Write 명령 (기존 동작): commandTimeout으로 응답 대기
-          await this.sendWriteAndWaitResponse(
-              cmd.frame, cmd.slaveId, cmd.address);
-          cmd.resolve();
-        }
-      } catch (err) {
-        cmd.reject(err);
-      } finally {
-        this.isPolling = false;
-        // Interval(설정의 Interval)만큼 대기 후 다음 사이클 (queue에 더 있으면
-        // 즉시 처리)
-        this.scheduleNextPoll();
-      }
-      return;
-    }
+    const statusInfo = this.getMotorStatusInfo(
+        device.motorStatus, device.online || this.simulatorEnabled);
 
-    // Get devices with valid slave IDs and Live Watch enabled
-    const validDevices =
-        this.devices.filter(d => d.slaveId !== 0 && d.liveWatch !== false);
-    if (validDevices.length === 0) {
-      this.isPolling = false;
-      setTimeout(() => this.pollNextDeviceSequential(), 500);
-      return;
-    }
+    const statusIndicator = element.querySelector('.status-indicator');
+    const statusTextEl = element.querySelector('.status-text');
+    const statusContainer = element.querySelector('.device-status');
 
-    // Reset index if out of bounds
-    if (this.currentPollingIndex >= validDevices.length) {
-      this.currentPollingIndex = 0;
+    if (statusIndicator) {
+      statusIndicator.className = `status-indicator ${statusInfo.class}`;
+    }
+    if (statusTextEl) {
+      statusTextEl.textContent = statusInfo.text;
+    }
+    if (statusContainer) {
+      statusContainer.title = statusInfo.tooltip;
     }
 
-    const device = validDevices[this.currentPollingIndex];
-    this.currentPollingIndex++;
-
-    try {
-      // Read motor status with timeout (Function Code 04 - Input Register)
-      // Direct sendAndWaitResponse — bypasses queue since we are the polling
-      // loop.
-      const motorFrame = this.modbus.buildReadInputRegisters(
-          device.slaveId, this.REGISTERS.MOTOR_STATUS, 1);
-      const status = await this.sendAndWaitResponse(motorFrame, device.slaveId);
-
-      if (status !== null) {
-        device.motorStatus = status;
-        device.lastUpdate = Date.now();
-        device.online = true;
-        device.failCount = 0;  // Reset fail count on success
-        this.updateDeviceStats(device.slaveId, true);
-
-        // Inter-frame gap before next read (메시지 간격 설정 적용)
-        if (this.paramPollingDelay > 0)
-          await this.delay(this.paramPollingDelay);
-
-        // Read actual speed (Function Code 04 - Input Register)
-        const speedFrame = this.modbus.buildReadInputRegisters(
-            device.slaveId, this.REGISTERS.ACTUAL_SPEED, 1);
-        const actualSpeed =
-            await this.sendAndWaitResponse(speedFrame, device.slaveId);
-        if (actualSpeed !== null) {
-          // Handle signed 16-bit value
-          device.actualSpeed =
-              actualSpeed > 32767 ? actualSpeed - 65536 : actualSpeed;
-        }
-
-        // Inter-frame gap
-        if (this.paramPollingDelay > 0)
-          await this.delay(this.paramPollingDelay);
+    // Update actual speed value in card view
+    if (element.classList.contains('device-card')) {
+      const actualSpeedEl = element.querySelector('.actual-speed-value');
+      if (actualSpeedEl) {
+        actualSpeedEl.innerHTML =
+            `${device.actualSpeed}<span class="device-value-unit">RPM</span>`;
+      }
+    }
 
-        // Read setpoint (Function Code 03 - Holding Register)
-        const setpointFrame = this.modbus.buildReadHoldingRegisters(
-            device.slaveId, this.REGISTERS.SETPOINT, 1);
-        const rawSetpoint =
-            await this.sendAndWaitResponse(setpointFrame, device.slaveId);
-        if (rawSetpoint !== null) {
-          device.setpoint = this.convertRawToSetpoint(device, rawSetpoint);
-        }
+    // Update setpoint display (card & list view)
+    const modeText = device.operationMode === 0 ? 'RPM' : '%';
+    const setpointDisplayEl = element.querySelector('.setpoint-display-value');
+    if (setpointDisplayEl) {
+      setpointDisplayEl.innerHTML = `${
+          device.setpoint}<span class="device-value-unit">${modeText}</span>`;
+    }
+    // Update setpoint input only if not currently focused
+    const setpointInputEl = element.querySelector('.device-setpoint-input');
+    if (setpointInputEl && document.activeElement !== setpointInputEl) {
+      setpointInputEl.value = device.setpoint;
+    }
+  }
 
-        this.updateDeviceCardStatus(device);
+  /**
+   * Parse motor status bits and return status info
+   * @param {number} status - 16-bit motor status value from D011
+   * @param {boolean} online - Whether the device is online/connected
+   * @returns {Object} { text: string, class: string, errors: array, hasError:
+   *     boolean }
+   */
+  getMotorStatusInfo(status, online = true) {
+    // Check if device is disconnected
+    if (!online) {
+      return {
+        text: 'Disconnected',
+        class: 'disconnected',
+        errors: [],
+        hasError: false,
+        tooltip: 'Device not connected'
+      };
+    }
 
-        // Inter-frame gap before monitoring params (FC03→FC04 전환 시 Modbus
-        // RTU 3.5 char 간격 보장)
-        if (this.paramPollingDelay > 0)
-          await this.delay(this.paramPollingDelay);
+    const errors = [];
 
-        // Poll monitoring parameters if any
-        if (device.monitoringParams && device.monitoringParams.length > 0) {
-          await this.pollMonitoringParams(device);
-        }
-      } else {
-        device.failCount = (device.failCount || 0) + 1;
-        this.updateDeviceStats(device.slaveId, false);
-        // Only mark offline after consecutive failures exceed threshold
-        if (device.failCount >= this.offlineThreshold) {
-          device.online = false;
-          this.updateDeviceCardOffline(device);
-        }
-      }
-    } catch (error) {
-      console.error('Polling error:', error);
-      device.failCount = (device.failCount || 0) + 1;
-      try {
-        this.updateDeviceStats(device.slaveId, false);
-        // Only mark offline after consecutive failures exceed threshold
-        if (device.failCount >= this.offlineThreshold) {
-          device.online = false;
-          this.updateDeviceCardOffline(device);
-        }
-      } catch (e) {
-        console.error('Error updating device stats:', e);
+    // Check each error bit
+    for (const [key, bit] of Object.entries(this.MOTOR_STATUS_BITS)) {
+      if (status & bit.mask) {
+        errors.push({key, name: bit.name, description: bit.description});
       }
-    } finally {
-      this.isPolling = false;
+    }
 
-      // Schedule next poll after interval
-      this.scheduleNextPoll();
+    if (errors.length > 0) {
+      // Has errors - show first error name, full list in tooltip
+      const text = errors.length === 1 ?
+          errors[0].name :
+          `${errors[0].name} +${errors.length - 1}`;
+      return {
+        text,
+        class: 'error',
+        errors,
+        hasError: true,
+        tooltip: errors.map(e => e.description).join('\n')
+      };
+    }
+
+    // 0xD011: 0 = motor OK, non-zero = alarm
+    if (status === 0) {
+      return {
+        text: 'OK',
+        class: 'running',
+        errors: [],
+        hasError: false,
+        tooltip: 'Motor OK'
+      };
     }
+
+    // Non-zero but no matching error bit — undefined alarm bit
+    return {
+      text: 'Alarm',
+      class: 'error',
+      errors: [],
+      hasError: true,
+      tooltip: `Alarm — undefined bit (0x${
+          status.toString(16).toUpperCase().padStart(4, '0')})`
+    };
   }
 
   /**
-   * Read register with timeout handling
+   * Write register helper
    */
-  async readRegisterWithTimeout(slaveId, address) {
-    const frame = this.modbus.buildReadHoldingRegisters(slaveId, address, 1);
+  async writeRegister(slaveId, address, value) {
+    const frame = this.modbus.buildWriteSingleRegister(slaveId, address, value);
 
     if (this.simulatorEnabled) {
-      // Simulator mode - instant response
-      const originalSlaveId = this.simulator.slaveId;
-      this.simulator.slaveId = slaveId;
-
+      this.addMonitorEntry(
+          'sent', frame, {functionCode: 6, startAddress: address});
       this.stats.requests++;
       this.updateStatsDisplay();
-
-      const response = await this.simulator.processRequest(frame);
-      this.simulator.slaveId = originalSlaveId;
-
-      if (response && response.length >= 5 && (response[1] & 0x80) === 0) {
-        this.stats.success++;
-        this.updateStatsDisplay();
-        return (response[3] << 8) | response[4];
-      } else {
-        this.stats.errors++;
-        this.updateStatsDisplay();
-        return null;
+      const response = await this.simulatorBus.processRequest(frame);
+      if (response) {
+        this.addMonitorEntry('received', response);
+        this.updateStats(true);
       }
     } else if (this.writer) {
-      if (this.autoPollingTimer || this._isFc64Active ||
-          this.ovPollingRunning) {
-        // polling 루프 / FC64 차트 / OV 폴링 중 하나라도 버스를 점유 중이면
-        // 큐에 등록
+      if (this.autoPollingTimer || this._isFc64Active) {
+        // Polling 중이거나 FC64 차트가 버스를 점유 중이면 큐에 등록
         return new Promise((resolve, reject) => {
-          this.commandQueue.push({
-            type: 'read',
-            frame,
-            slaveId,
-            address,
-            resolve,
-            reject,
-            tabSeq: this._tabSeq
-          });
+          this.commandQueue.push(
+              {frame, slaveId, address, resolve, reject, tabSeq: this._tabSeq});
         });
+      } else {
+        await this.sendWriteAndWaitResponse(frame, slaveId, address);
       }
-      // 버스 유휴 — 직접 전송
-      return await this.sendAndWaitResponse(frame, slaveId);
+    } else {
+      throw new Error('Not connected');
     }
-
-    return null;
   }
 
   /**
-   * 임의 raw 프레임을 전송하고 응답을 기다린다 (CRC 재계산 없음).
-   * 테스트 목적으로 고의로 훼손된 프레임 전송 시 사용.
-   * 큐를 통해 안전하게 전송되므로 폴링 중에도 버스 충돌 없음.
-   * @param {Uint8Array} frame - 전송할 raw 바이트 (CRC 포함, 재계산 안 함)
-   * @param {number} slaveId  - 응답 대기 slave ID (무응답 확인이면 timeout으로
-   *     null 반환)
-   * @returns {Promise<number|null>} 응답값 또는 null (timeout/exception)
+   * Send write command and wait for response with timeout
    */
-  async sendRawFrameWithTimeout(frame, slaveId) {
+  async sendWriteAndWaitResponse(frame, slaveId, address) {
+    // Simulator mode - bypass real serial port
     if (this.simulatorEnabled) {
-      // 시뮬레이터는 CRC를 검증하지 않으므로 정상 응답이 올 수 있음 — null 강제
-      // 반환
-      return null;
+      return new Promise(async (resolve) => {
+        this.addMonitorEntry(
+            'sent', frame, {functionCode: 6, startAddress: address});
+        this.stats.requests++;
+        this.updateStatsDisplay();
+
+        const response = await this.simulatorBus.processRequest(frame);
+        if (response) {
+          this.addMonitorEntry('received', response);
+          this.stats.success++;
+          this.updateStatsDisplay();
+        } else if (slaveId !== 0) {
+          this.stats.errors++;
+          this.updateStatsDisplay();
+        }
+        resolve();
+      });
     }
-    if (!this.writer) return null;
 
-    if (this.autoPollingTimer || this._isFc64Active) {
-      return new Promise((resolve, reject) => {
-        this.commandQueue.push({
-          type: 'read',
-          frame,
-          slaveId,
-          address: 0,
-          resolve,
-          reject,
-          tabSeq: this._tabSeq
+    await this._acquireBus();
+    try {
+      await new Promise(async (resolve, reject) => {
+        // Set up response handler
+        const responsePromise = new Promise(res => {
+          this.pendingResponse = {slaveId: slaveId, resolve: res};
+        });
+
+        const timeoutPromise = new Promise((_, rej) => {
+          setTimeout(() => rej(new Error('Timeout')), this.commandTimeout);
         });
+
+        try {
+          // Send TX
+          await this.writer.write(frame);
+          this.addMonitorEntry(
+              'sent', frame, {functionCode: 6, startAddress: address});
+          this.stats.requests++;
+          this.updateStatsDisplay();
+
+          // Wait for response or timeout
+          const response =
+              await Promise.race([responsePromise, timeoutPromise]);
+
+          this.pendingResponse = null;
+
+          if (response && response.length >= 5 && response[0] === slaveId &&
+              (response[1] & 0x80) === 0) {
+            this.stats.success++;
+            this.updateStatsDisplay();
+            resolve();
+          } else {
+            this.stats.errors++;
+            this.updateStatsDisplay();
+            resolve();  // Still resolve to continue execution
+          }
+        } catch (error) {
+          // Timeout occurred
+          this.pendingResponse = null;
+          this.stats.errors++;
+          this.updateStatsDisplay();
+          this.addMonitorEntry(
+              'error',
+              `Slave ${slaveId}: Write response timeout (${
+                  this.commandTimeout}ms)`);
+          resolve();  // Still resolve to continue execution
+        }
       });
+    } finally {
+      this._releaseBus();
     }
-    return await this.sendAndWaitResponse(frame, slaveId);
   }
 
   /**
-   * Send frame and wait for response with timeout
+   * FC 0x2B CANopen SDO 명령 전송 후 응답 대기 및 파싱
+   * sendAndWaitResponse와 동일한 구조이나, 응답을 parseCANopenResponse로 처리.
+   * @param {Uint8Array} frame  전송할 프레임
+   * @param {number} slaveId   예상 Slave ID
+   * @returns {Promise<{cs, index, subIndex, value, abortCode, error}|null>}
    */
-  async sendAndWaitResponse(frame, expectedSlaveId) {
-    // Simulator mode - bypass real serial port
+  async sendCANopenAndWaitResponse(frame, slaveId) {
+    // Simulator mode - 가상 object dictionary로 응답
     if (this.simulatorEnabled) {
-      return new Promise(async (resolve) => {
-        this.addMonitorEntry('sent', frame, {
-          functionCode: frame[1],
-          startAddress: (frame[2] << 8) | frame[3],
-          quantity: 1
-        });
-        this.stats.requests++;
+      this.addMonitorEntry(
+          'sent', frame,
+          {functionCode: 0x2B, startAddress: (frame[6] << 8) | frame[7]});
+      this.stats.requests++;
+      this.updateStatsDisplay();
+
+      if (!this.getSimulatedDeviceIds().includes(slaveId)) {
+        this.stats.errors++;
         this.updateStatsDisplay();
+        return null;
+      }
 
-        const simulatedIds = this.getSimulatedDeviceIds();
-        if (!simulatedIds.includes(expectedSlaveId)) {
-          this.stats.errors++;
-          this.updateStatsDisplay();
-          resolve(null);
-          return;
-        }
+      const response = await this.simulatorBus.processRequest(frame);
 
-        const originalSlaveId = this.simulator.slaveId;
-        this.simulator.slaveId = expectedSlaveId;
-        try {
-          const response = await this.simulator.processRequest(frame);
-          if (response && response.length >= 5 &&
-              response[0] === expectedSlaveId && (response[1] & 0x80) === 0) {
-            this.addMonitorEntry('received', response);
-            this.stats.success++;
-            this.updateStatsDisplay();
-            resolve((response[3] << 8) | response[4]);
-          } else {
-            this.stats.errors++;
-            this.updateStatsDisplay();
-            resolve(null);
-          }
-        } finally {
-          this.simulator.slaveId = originalSlaveId;
-        }
-      });
+      try {
+        if (!response) throw new Error('No response');
+        const parsed = this.modbus.parseCANopenResponse(response);
+        this.addMonitorEntry('received', response);
+        this.stats.success++;
+        this.updateStatsDisplay();
+        return parsed;
+      } catch (e) {
+        if (response) this.addMonitorEntry('error', response, null, e.message);
+        this.stats.errors++;
+        this.updateStatsDisplay();
+        return null;
+      }
     }
 
     await this._acquireBus();
     try {
       return await new Promise(async (resolve) => {
-        // Clear receive buffer
         this.receiveIndex = 0;
 
-        // Set up response handler
         const responsePromise = new Promise((resResolve) => {
           this.pendingResponse = {
-            slaveId: expectedSlaveId,
+            slaveId,
             resolve: resResolve,
             startTime: Date.now()
           };
         });
 
-        // Set up timeout
         const timeoutPromise = new Promise((_, reject) => {
-          setTimeout(() => {
-            reject(new Error('Timeout'));
-          }, this.pollingTimeout);
+          setTimeout(() => reject(new Error('Timeout')), this.commandTimeout);
         });
 
         try {
-          // Send TX
           await this.writer.write(frame);
-          this.addMonitorEntry('sent', frame, {
-            functionCode: frame[1],
-            startAddress: (frame[2] << 8) | frame[3],
-            quantity: 1
-          });
+          this.addMonitorEntry(
+              'sent', frame,
+              {functionCode: 0x2B, startAddress: (frame[6] << 8) | frame[7]});
           this.stats.requests++;
           this.updateStatsDisplay();
 
-          // Wait for response or timeout
           const response =
               await Promise.race([responsePromise, timeoutPromise]);
-
           this.pendingResponse = null;
 
-          if (response && response.length >= 5 &&
-              response[0] === expectedSlaveId && (response[1] & 0x80) === 0) {
-            this.stats.success++;
-            this.updateStatsDisplay();
-            resolve((response[3] << 8) | response[4]);
+          if (response && response[0] === slaveId) {
+            try {
+              const parsed = this.modbus.parseCANopenResponse(response);
+              if (parsed.error) {
+                this.stats.errors++;
+              } else {
+                this.stats.success++;
+              }
+              this.updateStatsDisplay();
+              resolve(parsed);
+            } catch (e) {
+              this.stats.errors++;
+              this.updateStatsDisplay();
+              resolve(null);
+            }
           } else {
             this.stats.errors++;
             this.updateStatsDisplay();
             resolve(null);
           }
         } catch (error) {
-          // Timeout occurred
           this.pendingResponse = null;
           this.stats.errors++;
           this.updateStatsDisplay();
           this.addMonitorEntry(
               'error',
-              `Slave ${expectedSlaveId}: Response timeout (${
-                  this.pollingTimeout}ms)`);
+              `Slave ${slaveId}: CANopen response timeout (${
+                  this.commandTimeout}ms)`);
           resolve(null);
         }
       });
-    } finally {
-      this._releaseBus();
+    } finally {
+      this._releaseBus();
+    }
+  }
+
+  /**
+   * CANopen SDO 읽기 (Upload) — 485 버스 안전 래퍼
+   * polling 중이면 commandQueue에 등록, 아니면 직접 전송.
+   * @param {number} slaveId   Modbus Slave ID
+   * @param {number} index     CANopen Object Index
+   * @param {number} subIndex  CANopen Sub-Index
+   * @returns {Promise<{cs, index, subIndex, value, abortCode, error}|null>}
+   */
+  async readCANopenObject(slaveId, index, subIndex, numData = 2) {
+    const frame =
+        this.modbus.buildCANopenUpload(slaveId, index, subIndex, 0, numData);
+
+    if (this.simulatorEnabled) {
+      return await this.sendCANopenAndWaitResponse(frame, slaveId);
+    }
+    if (this.writer) {
+      if (this.autoPollingTimer || this._isFc64Active ||
+          this.ovPollingRunning || this.offsetAlarmPollingRunning ||
+          this.offsetStatus2617PollingRunning) {
+        // polling 루프 / FC64 차트 / OV 폴링 / Offset 탭 폴링 중 버스 점유 중 →
+        // 큐에 등록
+        return new Promise((resolve, reject) => {
+          this.commandQueue.push({
+            type: 'canopen_read',
+            frame,
+            slaveId,
+            resolve,
+            reject,
+            tabSeq: this._tabSeq
+          });
+        });
+      }
+      return await this.sendCANopenAndWaitResponse(frame, slaveId);
+    }
+    throw new Error('Not connected');
+  }
+
+  /**
+   * CANopen SDO 쓰기 (Download) — 485 버스 안전 래퍼
+   * polling 중이면 commandQueue에 등록, 아니면 직접 전송.
+   * @param {number} slaveId   Modbus Slave ID
+   * @param {number} index     CANopen Object Index
+   * @param {number} subIndex  CANopen Sub-Index
+   * @param {number} value     쓸 값
+   * @param {number} [size=4]  데이터 크기 (1, 2, 3, 4 bytes)
+   * @returns {Promise<{cs, index, subIndex, value, abortCode, error}|null>}
+   */
+  async writeCANopenObject(slaveId, index, subIndex, value, size = 4) {
+    const frame =
+        this.modbus.buildCANopenDownload(slaveId, index, subIndex, value, 0);
+
+    if (this.simulatorEnabled) {
+      return await this.sendCANopenAndWaitResponse(frame, slaveId);
+    }
+    if (this.writer) {
+      if (this.autoPollingTimer || this._isFc64Active ||
+          this.ovPollingRunning || this.offsetAlarmPollingRunning ||
+          this.offsetStatus2617PollingRunning) {
+        // Offset 탭 폴링이 버스 소유자일 때도 큐 경유 — 폴링 루프가
+        // _drainCommandQueue로 처리
+        return new Promise((resolve, reject) => {
+          this.commandQueue.push({
+            type: 'canopen_write',
+            frame,
+            slaveId,
+            resolve,
+            reject,
+            tabSeq: this._tabSeq
+          });
+        });
+      }
+      return await this.sendCANopenAndWaitResponse(frame, slaveId);
+    }
+    throw new Error('Not connected');
+  }
+
+  /**
+   * Read register helper (simplified - real implementation would wait for
+   * response)
+   */
+  async readRegister(slaveId, address) {
+    const frame = this.modbus.buildReadHoldingRegisters(slaveId, address, 1);
+
+    if (this.simulatorEnabled) {
+      this.addMonitorEntry(
+          'sent', frame, {functionCode: 3, startAddress: address, quantity: 1});
+      this.stats.requests++;
+      this.updateStatsDisplay();
+      const response = await this.simulatorBus.processRequest(frame);
+      if (response && response.length >= 5) {
+        this.addMonitorEntry('received', response);
+        this.updateStats(true);
+        // Parse register value from response
+        return (response[3] << 8) | response[4];
+      }
+    } else if (this.writer) {
+      // Delegate to readRegisterWithTimeout which handles queue + response
+      // parsing correctly
+      return await this.readRegisterWithTimeout(slaveId, address);
+    } else {
+      throw new Error('Not connected');
+    }
+    return 0;
+  }
+
+  // ==================== Monitoring Parameters Methods ====================
+
+  /**
+   * Toggle monitoring section visibility
+   */
+  toggleMonitoringSection(deviceId) {
+    const device = this.devices.find(d => d.id === deviceId);
+    if (!device) return;
+
+    device.monitoringExpanded = !device.monitoringExpanded;
+    this.saveDevices();
+
+    const element = document.querySelector(`.device-card[data-device-id="${
+        deviceId}"], .device-list-item[data-device-id="${deviceId}"]`);
+    if (!element) return;
+
+    const header = element.querySelector('.monitoring-header');
+    const content = element.querySelector('.monitoring-content');
+
+    if (device.monitoringExpanded) {
+      header.classList.add('expanded');
+      content.style.display = 'block';
+    } else {
+      header.classList.remove('expanded');
+      content.style.display = 'none';
+    }
+  }
+
+  /**
+   * Generate parameter options from parameters list
+   */
+  generateParameterOptions() {
+    const holdingParams = this.parameters.filter(p => p.type === 'holding');
+    const inputParams = this.parameters.filter(p => p.type === 'input');
+
+    let optionsHtml = '<option value="">-- Select Parameter --</option>';
+
+    if (holdingParams.length > 0) {
+      optionsHtml += '<optgroup label="Holding Registers">';
+      holdingParams.forEach(p => {
+        optionsHtml += `<option value="holding:${p.address}">${p.name} (${
+            p.address})</option>`;
+      });
+      optionsHtml += '</optgroup>';
     }
-  }
 
-  /**
-   * Handle received frame for pending response
-   */
-  handlePendingResponse(frame) {
-    if (this.pendingResponse && frame.length >= 3) {
-      const slaveId = frame[0];
-      if (slaveId === this.pendingResponse.slaveId) {
-        this.pendingResponse.resolve(frame);
-      }
+    if (inputParams.length > 0) {
+      optionsHtml += '<optgroup label="Input Registers">';
+      inputParams.forEach(p => {
+        optionsHtml += `<option value="input:${p.address}">${p.name} (${
+            p.address})</option>`;
+      });
+      optionsHtml += '</optgroup>';
     }
+
+    return optionsHtml;
   }
 
   /**
-   * Update device card/list item to show offline status
+   * Generate grouped parameter picker HTML (replaces flat <select>)
    */
-  updateDeviceCardOffline(device) {
-    // Support both card and list view
-    const element = document.querySelector(`.device-card[data-device-id="${
-        device.id}"], .device-list-item[data-device-id="${device.id}"]`);
-    if (!element) return;
+  generateParamPickerHTML() {
+    // Group by "type:group" — fallback group for params without group field
+    const grouped = {};
+    this.parameters.forEach(p => {
+      const typeLabel = p.type === 'input' ? 'Input' :
+          p.type === 'lsm'                 ? 'LSM' :
+                                             'Holding';
+      const groupKey = `${typeLabel} — ${
+          p.group ||
+          (p.type === 'input'   ? 'Input Registers' :
+               p.type === 'lsm' ? 'LSM' :
+                                  'Holding Registers')}`;
+      if (!grouped[groupKey]) grouped[groupKey] = [];
+      grouped[groupKey].push(p);
+    });
 
-    const statusIndicator = element.querySelector('.status-indicator');
-    const statusTextEl = element.querySelector('.status-text');
+    const keys = Object.keys(grouped);
+    const firstKey = keys[0] || '';
 
-    if (statusIndicator) {
-      statusIndicator.className = 'status-indicator stopped';
-    }
-    if (statusTextEl) {
-      statusTextEl.textContent = 'Offline';
-    }
+    let catHtml = '';
+    let paramHtml = '';
 
-    element.classList.add('offline');
+    keys.forEach((groupKey, i) => {
+      catHtml += `<div class="param-picker-cat-item${
+          i === 0 ? ' active' :
+                    ''}" data-group="${groupKey}">${groupKey}</div>`;
+      grouped[groupKey].forEach(p => {
+        paramHtml += `<div class="param-picker-item${
+            i === 0 ? '' : ' hidden-group'}" data-value="${p.type}:${
+            p.address}" data-group="${groupKey}">${
+            p.name}<span class="param-picker-addr">${p.address}</span></div>`;
+      });
+    });
+
+    return `
+            <div class="param-picker-panels">
+                <div class="param-picker-cat-panel">${catHtml}</div>
+                <div class="param-picker-param-panel">${paramHtml}</div>
+            </div>`;
   }
 
   /**
-   * Read register silently (for backward compatibility)
+   * Chart channel definitions (chNum = value sent in FC 0x64 configure)
    */
-  async readRegisterSilent(slaveId, address) {
-    return await this.readRegisterWithTimeout(slaveId, address);
+  getChartChannels() {
+    return [
+      // Velocity
+      {name: 'Velocity Feedback', chNum: 0x00, group: 'Velocity'},
+      {name: 'Velocity Command', chNum: 0x01, group: 'Velocity'},
+      {name: 'Velocity Error', chNum: 0x02, group: 'Velocity'},
+      {name: 'Position Command Velocity', chNum: 0x15, group: 'Velocity'},
+      // Torque
+      {name: 'Torque Feedback', chNum: 0x03, group: 'Torque'},
+      {name: 'Torque Command', chNum: 0x04, group: 'Torque'},
+      // Position
+      {name: 'Position Actual', chNum: 0x13, group: 'Position'},
+      {name: 'Position Demand', chNum: 0x14, group: 'Position'},
+      {name: 'Following Error', chNum: 0x05, group: 'Position'},
+      {name: 'Following Error Actual', chNum: 0x0B, group: 'Position'},
+      // Overload
+      {name: 'Accum. Operation Overload', chNum: 0x06, group: 'Overload'},
+      {name: 'Accum. Regen. Overload', chNum: 0x08, group: 'Overload'},
+      {name: 'Inertia Ratio', chNum: 0x0A, group: 'Overload'},
+      // Electrical
+      {name: 'DC Link Voltage', chNum: 0x07, group: 'Electrical'},
+      {name: 'U Phase Current', chNum: 0x10, group: 'Electrical'},
+      {name: 'V Phase Current', chNum: 0x11, group: 'Electrical'},
+      {name: 'W Phase Current', chNum: 0x12, group: 'Electrical'},
+      // Temperature
+      {name: 'Drive Temperature 1', chNum: 0x0C, group: 'Temperature'},
+      {name: 'Drive Temperature 2', chNum: 0x0D, group: 'Temperature'},
+      {name: 'Encoder Temperature', chNum: 0x0E, group: 'Temperature'},
+      // Encoder/Hall
+      {name: 'Encoder SingleTurn', chNum: 0x09, group: 'Encoder/Hall'},
+      {name: 'Hall Signal Value', chNum: 0x0F, group: 'Encoder/Hall'},
+      {name: 'Hall U', chNum: 0x16, group: 'Encoder/Hall'},
+      {name: 'Hall V', chNum: 0x17, group: 'Encoder/Hall'},
+      {name: 'Hall W', chNum: 0x18, group: 'Encoder/Hall'},
+      {name: 'Commanded Motor Phase Angle', chNum: 0x19, group: 'Encoder/Hall'},
+      {name: 'Hall Phase Angle', chNum: 0x1A, group: 'Encoder/Hall'},
+      {name: 'Electric Angle', chNum: 0x1B, group: 'Encoder/Hall'},
+      // Sensor/LMS
+      {name: 'Left Sensor Position', chNum: 0x20, group: 'Sensor/LMS'},
+      {name: 'Right Sensor Position', chNum: 0x21, group: 'Sensor/LMS'},
+      {name: 'L/R Position Difference', chNum: 0x22, group: 'Sensor/LMS'},
+      {name: 'Sensor Position Internal', chNum: 0x23, group: 'Sensor/LMS'},
+      {name: 'Left Sensor Valid (C36)', chNum: 0x24, group: 'Sensor/LMS'},
+      {name: 'Left Sensor Valid (C37)', chNum: 0x25, group: 'Sensor/LMS'},
+      {name: 'Left Sensor Singleturn', chNum: 0x26, group: 'Sensor/LMS'},
+      {name: 'Right Sensor Singleturn', chNum: 0x27, group: 'Sensor/LMS'},
+      {name: 'LMS READY', chNum: 0x28, group: 'Sensor/LMS'},
+      {name: 'Reserved 1 (LMS StateMachine)', chNum: 0x29, group: 'Sensor/LMS'},
+      {name: 'ROS', chNum: 0x2A, group: 'Sensor/LMS'},
+      {
+        name: 'Reserved 3 (L.Sensor Valid Raw)',
+        chNum: 0x2B,
+        group: 'Sensor/LMS'
+      },
+      {
+        name: 'Reserved 4 (R.Sensor Valid Raw)',
+        chNum: 0x2C,
+        group: 'Sensor/LMS'
+      },
+      // FFT
+      {name: 'FFT Input', chNum: 0x36, group: 'FFT'},
+      {name: 'FFT Output', chNum: 0x37, group: 'FFT'},
+      // Digital Input
+      {name: 'POT', chNum: 0x64, group: 'Digital Input'},
+      {name: 'NOT', chNum: 0x65, group: 'Digital Input'},
+      {name: 'HOME', chNum: 0x66, group: 'Digital Input'},
+      {name: 'STOP', chNum: 0x67, group: 'Digital Input'},
+      {name: 'PCON', chNum: 0x68, group: 'Digital Input'},
+      {name: 'GAIN', chNum: 0x69, group: 'Digital Input'},
+      {name: 'P_CL', chNum: 0x6A, group: 'Digital Input'},
+      {name: 'N_CL', chNum: 0x6B, group: 'Digital Input'},
+      {name: 'PROBE1', chNum: 0x6C, group: 'Digital Input'},
+      {name: 'PROBE2', chNum: 0x6D, group: 'Digital Input'},
+      {name: 'EMG', chNum: 0x6E, group: 'Digital Input'},
+      {name: 'A_RST', chNum: 0x6F, group: 'Digital Input'},
+      {name: 'SV_ON', chNum: 0x70, group: 'Digital Input'},
+      {name: 'START', chNum: 0x74, group: 'Digital Input'},
+      {name: 'PAUSE', chNum: 0x75, group: 'Digital Input'},
+      {name: 'REGT', chNum: 0x76, group: 'Digital Input'},
+      {name: 'HSTART', chNum: 0x77, group: 'Digital Input'},
+      {name: 'ISEL0', chNum: 0x78, group: 'Digital Input'},
+      {name: 'ISEL1', chNum: 0x79, group: 'Digital Input'},
+      {name: 'ISEL2', chNum: 0x7A, group: 'Digital Input'},
+      {name: 'ISEL3', chNum: 0x7B, group: 'Digital Input'},
+      {name: 'ISEL4', chNum: 0x7C, group: 'Digital Input'},
+      {name: 'ISEL5', chNum: 0x7D, group: 'Digital Input'},
+      {name: 'ABS_RQ', chNum: 0x7E, group: 'Digital Input'},
+      {name: 'JSTART', chNum: 0x7F, group: 'Digital Input'},
+      {name: 'JDIR', chNum: 0x80, group: 'Digital Input'},
+      {name: 'PCLR', chNum: 0x81, group: 'Digital Input'},
+      {name: 'AVOR', chNum: 0x82, group: 'Digital Input'},
+      {name: 'INHIB', chNum: 0x83, group: 'Digital Input'},
+      // Digital Output
+      {name: 'BRAKE', chNum: 0x84, group: 'Digital Output'},
+      {name: 'ALARM', chNum: 0x85, group: 'Digital Output'},
+      {name: 'READY', chNum: 0x86, group: 'Digital Output'},
+      {name: 'ZSPD', chNum: 0x87, group: 'Digital Output'},
+      {name: 'INPOS1', chNum: 0x88, group: 'Digital Output'},
+      {name: 'TLMT', chNum: 0x89, group: 'Digital Output'},
+      {name: 'VLMT', chNum: 0x8A, group: 'Digital Output'},
+      {name: 'INSPD', chNum: 0x8B, group: 'Digital Output'},
+      {name: 'WARN', chNum: 0x8C, group: 'Digital Output'},
+      {name: 'TGON', chNum: 0x8D, group: 'Digital Output'},
+      {name: 'INPOS2', chNum: 0x8E, group: 'Digital Output'},
+      {name: 'ORG', chNum: 0x94, group: 'Digital Output'},
+      {name: 'EOS', chNum: 0x95, group: 'Digital Output'},
+      {name: 'IOUT0', chNum: 0x96, group: 'Digital Output'},
+      {name: 'IOUT1', chNum: 0x97, group: 'Digital Output'},
+      {name: 'IOUT2', chNum: 0x98, group: 'Digital Output'},
+      {name: 'IOUT3', chNum: 0x99, group: 'Digital Output'},
+      {name: 'IOUT4', chNum: 0x9A, group: 'Digital Output'},
+      {name: 'IOUT5', chNum: 0x9B, group: 'Digital Output'},
+      // ControlWord
+      {name: 'ControlWord.0', chNum: 0xA4, group: 'ControlWord'},
+      {name: 'ControlWord.1', chNum: 0xA5, group: 'ControlWord'},
+      {name: 'ControlWord.2', chNum: 0xA6, group: 'ControlWord'},
+      {name: 'ControlWord.3', chNum: 0xA7, group: 'ControlWord'},
+      {name: 'ControlWord.4', chNum: 0xA8, group: 'ControlWord'},
+      {name: 'ControlWord.5', chNum: 0xA9, group: 'ControlWord'},
+      {name: 'ControlWord.6', chNum: 0xAA, group: 'ControlWord'},
+      {name: 'ControlWord.7', chNum: 0xAB, group: 'ControlWord'},
+      {name: 'ControlWord.8', chNum: 0xAC, group: 'ControlWord'},
+      {name: 'ControlWord.9', chNum: 0xAD, group: 'ControlWord'},
+      {name: 'ControlWord.10', chNum: 0xAE, group: 'ControlWord'},
+      {name: 'ControlWord.11', chNum: 0xAF, group: 'ControlWord'},
+      {name: 'ControlWord.12', chNum: 0xB0, group: 'ControlWord'},
+      {name: 'ControlWord.13', chNum: 0xB1, group: 'ControlWord'},
+      {name: 'ControlWord.14', chNum: 0xB2, group: 'ControlWord'},
+      {name: 'ControlWord.15', chNum: 0xB3, group: 'ControlWord'},
+      // StatusWord
+      {name: 'StatusWord.0', chNum: 0xB4, group: 'StatusWord'},
+      {name: 'StatusWord.1', chNum: 0xB5, group: 'StatusWord'},
+      {name: 'StatusWord.2', chNum: 0xB6, group: 'StatusWord'},
+      {name: 'StatusWord.3', chNum: 0xB7, group: 'StatusWord'},
+      {name: 'StatusWord.4', chNum: 0xB8, group: 'StatusWord'},
+      {name: 'StatusWord.5', chNum: 0xB9, group: 'StatusWord'},
+      {name: 'StatusWord.6', chNum: 0xBA, group: 'StatusWord'},
+      {name: 'StatusWord.7', chNum: 0xBB, group: 'StatusWord'},
+      {name: 'StatusWord.8', chNum: 0xBC, group: 'StatusWord'},
+      {name: 'StatusWord.9', chNum: 0xBD, group: 'StatusWord'},
+      {name: 'StatusWord.10', chNum: 0xBE, group: 'StatusWord'},
+      {name: 'StatusWord.11', chNum: 0xBF, group: 'StatusWord'},
+      {name: 'StatusWord.12', chNum: 0xC0, group: 'StatusWord'},
+      {name: 'StatusWord.13', chNum: 0xC1, group: 'StatusWord'},
+      {name: 'StatusWord.14', chNum: 0xC2, group: 'StatusWord'},
+      {name: 'StatusWord.15', chNum: 0xC3, group: 'StatusWord'},
+      // Other
+      {name: 'INDEX (Z-PHASE)', chNum: 0xD0, group: 'Other'},
+      {name: 'Object Monitor 1', chNum: 0xFA, group: 'Other'},
+      {name: 'Object Monitor 2', chNum: 0xFB, group: 'Other'},
+      {name: 'Object Monitor 3', chNum: 0xFC, group: 'Other'},
+      {name: 'Object Monitor 4', chNum: 0xFD, group: 'Other'},
+    ];
+  }
+
+  /**
+   * Generate channel picker panels HTML (reuses param-picker CSS)
+   */
+  generateChannelPickerHTML() {
+    const channels = this.getChartChannels();
+    const grouped = {};
+    channels.forEach(ch => {
+      if (!grouped[ch.group]) grouped[ch.group] = [];
+      grouped[ch.group].push(ch);
+    });
+    const keys = Object.keys(grouped);
+    let catHtml = '';
+    let itemHtml = '';
+    keys.forEach((group, i) => {
+      catHtml += `<div class="param-picker-cat-item${
+          i === 0 ? ' active' : ''}" data-group="${group}">${group}</div>`;
+      grouped[group].forEach(ch => {
+        const hex = `0x${ch.chNum.toString(16).toUpperCase().padStart(2, '0')}`;
+        itemHtml += `<div class="param-picker-item${
+            i === 0 ? '' : ' hidden-group'}" data-value="${
+            ch.chNum}" data-group="${group}">${
+            ch.name}<span class="param-picker-addr">${hex}</span></div>`;
+      });
+    });
+    return `
+            <div class="param-picker-panels">
+                <div class="param-picker-cat-panel">${catHtml}</div>
+                <div class="param-picker-param-panel">${itemHtml}</div>
+            </div>`;
   }
 
   /**
-   * Update device card/list item status without full re-render
+   * Initialize chart channel picker dropdowns (CH1~CH4)
+   * Pre-selects default channels C1~C4 (0x01~0x04).
    */
-  updateDeviceCardStatus(device) {
-    // Support both card and list view
-    const element = document.querySelector(`.device-card[data-device-id="${
-        device.id}"], .device-list-item[data-device-id="${device.id}"]`);
-    if (!element) return;
+  initChartChannelPickers() {
+    const defaults = [0x01, 0x02, 0x03, 0x04];
+    const channels = this.getChartChannels();
 
-    // Remove offline class when device comes back online
-    element.classList.remove('offline');
+    for (let i = 0; i < 4; i++) {
+      const triggerBtn = document.getElementById(`chartCh${i + 1}Trigger`);
+      if (!triggerBtn) continue;
 
-    const statusInfo = this.getMotorStatusInfo(
-        device.motorStatus, device.online || this.simulatorEnabled);
+      const popup = document.createElement('div');
+      popup.className = 'param-picker-popup';
+      popup.dataset.chartChIdx = String(i);
+      popup.style.display = 'none';
+      popup.innerHTML = `
+                <input type="text" class="param-picker-search" placeholder="채널 검색...">
+                ${this.generateChannelPickerHTML()}
+            `;
+      document.body.appendChild(popup);
 
-    const statusIndicator = element.querySelector('.status-indicator');
-    const statusTextEl = element.querySelector('.status-text');
-    const statusContainer = element.querySelector('.device-status');
+      // Category click
+      popup.querySelector('.param-picker-cat-panel')
+          .addEventListener('click', (e) => {
+            const cat = e.target.closest('.param-picker-cat-item');
+            if (!cat) return;
+            popup.querySelectorAll('.param-picker-cat-item')
+                .forEach(el => el.classList.remove('active'));
+            cat.classList.add('active');
+            const group = cat.dataset.group;
+            popup.querySelectorAll('.param-picker-item').forEach(item => {
+              item.classList.toggle(
+                  'hidden-group', item.dataset.group !== group);
+            });
+          });
 
-    if (statusIndicator) {
-      statusIndicator.className = `status-indicator ${statusInfo.class}`;
-    }
-    if (statusTextEl) {
-      statusTextEl.textContent = statusInfo.text;
-    }
-    if (statusContainer) {
-      statusContainer.title = statusInfo.tooltip;
-    }
+      // Item click
+      popup.querySelector('.param-picker-param-panel')
+          .addEventListener('click', (e) => {
+            const item = e.target.closest('.param-picker-item');
+            if (!item) return;
+            const addrEl = item.querySelector('.param-picker-addr');
+            const name = item.childNodes[0].textContent.trim();
+            const hex = addrEl ? addrEl.textContent.trim() : '';
+            triggerBtn.dataset.selectedValue = item.dataset.value;
+            triggerBtn.querySelector('.param-picker-trigger-label')
+                .textContent = `${name} (${hex})`;
+            triggerBtn.classList.add('has-selection');
+            popup.style.display = 'none';
+            // Persist selection
+            const saved =
+                JSON.parse(localStorage.getItem('chartChSettings') || '{}');
+            if (!saved[i]) saved[i] = {};
+            saved[i].value = item.dataset.value;
+            saved[i].label = `${name} (${hex})`;
+            localStorage.setItem('chartChSettings', JSON.stringify(saved));
+          });
 
-    // Update actual speed value in card view
-    if (element.classList.contains('device-card')) {
-      const actualSpeedEl = element.querySelector('.actual-speed-value');
-      if (actualSpeedEl) {
-        actualSpeedEl.innerHTML =
-            `${device.actualSpeed}<span class="device-value-unit">RPM</span>`;
-      }
-    }
+      // Search
+      const searchInput = popup.querySelector('.param-picker-search');
+      searchInput.addEventListener('input', () => {
+        const q = searchInput.value.toLowerCase().trim();
+        const catPanelEl = popup.querySelector('.param-picker-cat-panel');
+        if (q) {
+          catPanelEl.style.display = 'none';
+          popup.querySelectorAll('.param-picker-item').forEach(item => {
+            item.classList.toggle(
+                'hidden-group', !item.textContent.toLowerCase().includes(q));
+          });
+        } else {
+          catPanelEl.style.display = '';
+          const activeCat =
+              catPanelEl.querySelector('.param-picker-cat-item.active');
+          const group = activeCat ? activeCat.dataset.group : null;
+          popup.querySelectorAll('.param-picker-item').forEach(item => {
+            item.classList.toggle(
+                'hidden-group', group && item.dataset.group !== group);
+          });
+        }
+      });
 
-    // Update setpoint display (card & list view)
-    const modeText = device.operationMode === 0 ? 'RPM' : '%';
-    const setpointDisplayEl = element.querySelector('.setpoint-display-value');
-    if (setpointDisplayEl) {
-      setpointDisplayEl.innerHTML = `${
-          device.setpoint}<span class="device-value-unit">${modeText}</span>`;
-    }
-    // Update setpoint input only if not currently focused
-    const setpointInputEl = element.querySelector('.device-setpoint-input');
-    if (setpointInputEl && document.activeElement !== setpointInputEl) {
-      setpointInputEl.value = device.setpoint;
-    }
-  }
+      // Trigger click → position and show popup
+      triggerBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const isOpen = popup.style.display !== 'none';
+        document.querySelectorAll('.param-picker-popup').forEach(p => {
+          p.style.display = 'none';
+        });
+        if (isOpen) return;
+        popup.style.display = 'block';
+        const rect = triggerBtn.getBoundingClientRect();
+        const popupW = 400;
+        const popupH = 280;
+        let left = rect.left;
+        let top = rect.bottom + 4;
+        if (left + popupW > window.innerWidth - 8)
+          left = window.innerWidth - popupW - 8;
+        if (top + popupH > window.innerHeight - 8) top = rect.top - popupH - 4;
+        popup.style.left = left + 'px';
+        popup.style.top = top + 'px';
+        popup.style.width = popupW + 'px';
+        searchInput.value = '';
+        searchInput.dispatchEvent(new Event('input'));
+        setTimeout(() => searchInput.focus(), 50);
+      });
 
-  /**
-   * Parse motor status bits and return status info
-   * @param {number} status - 16-bit motor status value from D011
-   * @param {boolean} online - Whether the device is online/connected
-   * @returns {Object} { text: string, class: string, errors: array, hasError:
-   *     boolean }
-   */
-  getMotorStatusInfo(status, online = true) {
-    // Check if device is disconnected
-    if (!online) {
-      return {
-        text: 'Disconnected',
-        class: 'disconnected',
-        errors: [],
-        hasError: false,
-        tooltip: 'Device not connected'
-      };
-    }
+      popup.addEventListener('click', (e) => e.stopPropagation());
 
-    const errors = [];
+      document.addEventListener('click', () => {
+        popup.style.display = 'none';
+      });
 
-    // Check each error bit
-    for (const [key, bit] of Object.entries(this.MOTOR_STATUS_BITS)) {
-      if (status & bit.mask) {
-        errors.push({key, name: bit.name, description: bit.description});
+      // Pre-select default channel
+      const defNum = defaults[i];
+      const defCh = channels.find(c => c.chNum === defNum);
+      if (defCh) {
+        const hex = `0x${defNum.toString(16).toUpperCase().padStart(2, '0')}`;
+        triggerBtn.dataset.selectedValue = String(defNum);
+        triggerBtn.querySelector('.param-picker-trigger-label').textContent =
+            `${defCh.name} (${hex})`;
+        triggerBtn.classList.add('has-selection');
       }
-    }
-
-    if (errors.length > 0) {
-      // Has errors - show first error name, full list in tooltip
-      const text = errors.length === 1 ?
-          errors[0].name :
-          `${errors[0].name} +${errors.length - 1}`;
-      return {
-        text,
-        class: 'error',
-        errors,
-        hasError: true,
-        tooltip: errors.map(e => e.description).join('\n')
-      };
-    }
-
-    // 0xD011: 0 = motor OK, non-zero = alarm
-    if (status === 0) {
-      return {
-        text: 'OK',
-        class: 'running',
-        errors: [],
-        hasError: false,
-        tooltip: 'Motor OK'
-      };
-    }
-
-    // Non-zero but no matching error bit — undefined alarm bit
-    return {
-      text: 'Alarm',
-      class: 'error',
-      errors: [],
-      hasError: true,
-      tooltip: `Alarm — undefined bit (0x${
-          status.toString(16).toUpperCase().padStart(4, '0')})`
-    };
-  }
-
-  /**
-   * Write register helper
-   */
-  async writeRegister(slaveId, address, value) {
-    const frame = this.modbus.buildWriteSingleRegister(slaveId, address, value);
 
-    if (this.simulatorEnabled) {
-      this.addMonitorEntry(
-          'sent', frame, {functionCode: 6, startAddress: address});
-      this.stats.requests++;
-      this.updateStatsDisplay();
-      const response = await this.simulator.processRequest(frame);
-      if (response) {
-        this.addMonitorEntry('received', response);
-        this.updateStats(true);
-      }
-    } else if (this.writer) {
-      if (this.autoPollingTimer || this._isFc64Active) {
-        // Polling 중이거나 FC64 차트가 버스를 점유 중이면 큐에 등록
-        return new Promise((resolve, reject) => {
-          this.commandQueue.push(
-              {frame, slaveId, address, resolve, reject, tabSeq: this._tabSeq});
-        });
-      } else {
-        await this.sendWriteAndWaitResponse(frame, slaveId, address);
+      // Restore persisted settings (overrides defaults)
+      const savedSettings =
+          JSON.parse(localStorage.getItem('chartChSettings') || '{}');
+      const savedCh = savedSettings[i];
+      if (savedCh) {
+        if (savedCh.value != null && savedCh.label) {
+          triggerBtn.dataset.selectedValue = savedCh.value;
+          triggerBtn.querySelector('.param-picker-trigger-label').textContent =
+              savedCh.label;
+          triggerBtn.classList.add('has-selection');
+        }
+        if (typeof savedCh.enabled === 'boolean') {
+          const enableEl = document.getElementById(`chartCh${i + 1}Enable`);
+          if (enableEl) {
+            enableEl.dataset.enabled = String(savedCh.enabled);
+            this.chartManager.setChannelEnabled(i, savedCh.enabled);
+          }
+        }
       }
-    } else {
-      throw new Error('Not connected');
     }
   }
 
   /**
-   * Send write command and wait for response with timeout
+   * Trigger Source CH 피커 초기화.
+   * 채널 목록 상단에 "Immediate" 항목 포함. 기본 선택: Immediate.
    */
-  async sendWriteAndWaitResponse(frame, slaveId, address) {
-    // Simulator mode - bypass real serial port
-    if (this.simulatorEnabled) {
-      return new Promise(async (resolve) => {
-        this.addMonitorEntry(
-            'sent', frame, {functionCode: 6, startAddress: address});
-        this.stats.requests++;
-        this.updateStatsDisplay();
-
-        const originalSlaveId = this.simulator.slaveId;
-        this.simulator.slaveId = slaveId;
-        try {
-          const response = await this.simulator.processRequest(frame);
-          if (response) {
-            this.addMonitorEntry('received', response);
-            this.stats.success++;
-            this.updateStatsDisplay();
-          } else {
-            this.stats.errors++;
-            this.updateStatsDisplay();
-          }
-        } finally {
-          this.simulator.slaveId = originalSlaveId;
-        }
-        resolve();
-      });
-    }
-
-    await this._acquireBus();
-    try {
-      await new Promise(async (resolve, reject) => {
-        // Set up response handler
-        const responsePromise = new Promise(res => {
-          this.pendingResponse = {slaveId: slaveId, resolve: res};
-        });
+  initTriggerSourcePicker() {
+    const triggerBtn = document.getElementById('triggerSourcePicker');
+    if (!triggerBtn) return;
 
-        const timeoutPromise = new Promise((_, rej) => {
-          setTimeout(() => rej(new Error('Timeout')), this.commandTimeout);
-        });
+    // 팝업 생성 — 기존 채널 피커와 동일한 구조
+    const popup = document.createElement('div');
+    popup.className = 'param-picker-popup';
+    popup.id = 'triggerSourcePickerPopup';
+    popup.style.display = 'none';
 
-        try {
-          // Send TX
-          await this.writer.write(frame);
-          this.addMonitorEntry(
-              'sent', frame, {functionCode: 6, startAddress: address});
-          this.stats.requests++;
-          this.updateStatsDisplay();
+    // Immediate를 별도 카테고리로 맨 앞에 추가
+    const channelPickerInner = this.generateChannelPickerHTML();
+    // catPanel / paramPanel에 Immediate 항목 삽입
+    const tmpDiv = document.createElement('div');
+    tmpDiv.innerHTML = channelPickerInner;
+    const catPanel = tmpDiv.querySelector('.param-picker-cat-panel');
+    const paramPanel = tmpDiv.querySelector('.param-picker-param-panel');
 
-          // Wait for response or timeout
-          const response =
-              await Promise.race([responsePromise, timeoutPromise]);
+    const immCat = document.createElement('div');
+    immCat.className = 'param-picker-cat-item active';
+    immCat.dataset.group = 'Immediate';
+    immCat.textContent = 'Immediate';
+    catPanel.insertBefore(immCat, catPanel.firstChild);
+    // 기존 첫 번째 카테고리의 active 제거
+    catPanel.querySelectorAll('.param-picker-cat-item:not(:first-child)')
+        .forEach(el => el.classList.remove('active'));
 
-          this.pendingResponse = null;
+    const immItem = document.createElement('div');
+    immItem.className = 'param-picker-item';
+    immItem.dataset.value = '255';  // 0xFF
+    immItem.dataset.group = 'Immediate';
+    immItem.innerHTML =
+        'Immediate Trigger<span class="param-picker-addr">0xFF</span>';
+    paramPanel.insertBefore(immItem, paramPanel.firstChild);
+    // 기존 아이템들은 Immediate 카테고리가 아니므로 hidden
+    paramPanel.querySelectorAll('.param-picker-item:not(:first-child)')
+        .forEach(el => el.classList.add('hidden-group'));
 
-          if (response && response.length >= 5 && response[0] === slaveId &&
-              (response[1] & 0x80) === 0) {
-            this.stats.success++;
-            this.updateStatsDisplay();
-            resolve();
-          } else {
-            this.stats.errors++;
-            this.updateStatsDisplay();
-            resolve();  // Still resolve to continue execution
-          }
-        } catch (error) {
-          // Timeout occurred
-          this.pendingResponse = null;
-          this.stats.errors++;
-          this.updateStatsDisplay();
-          this.addMonitorEntry(
-              'error',
-              `Slave ${slaveId}: Write response timeout (${
-                  this.commandTimeout}ms)`);
-          resolve();  // Still resolve to continue execution
-        }
-      });
-    } finally {
-      this._releaseBus();
-    }
-  }
+    popup.innerHTML =
+        `<input type="text" class="param-picker-search" placeholder="채널 검색...">`;
+    popup.appendChild(tmpDiv.querySelector('.param-picker-panels'));
+    document.body.appendChild(popup);
 
-  /**
-   * FC 0x2B CANopen SDO 명령 전송 후 응답 대기 및 파싱
-   * sendAndWaitResponse와 동일한 구조이나, 응답을 parseCANopenResponse로 처리.
-   * @param {Uint8Array} frame  전송할 프레임
-   * @param {number} slaveId   예상 Slave ID
-   * @returns {Promise<{cs, index, subIndex, value, abortCode, error}|null>}
-   */
-  async sendCANopenAndWaitResponse(frame, slaveId) {
-    await this._acquireBus();
-    try {
-      return await new Promise(async (resolve) => {
-        this.receiveIndex = 0;
+    // 카테고리 클릭
+    popup.querySelector('.param-picker-cat-panel')
+        .addEventListener('click', (e) => {
+          const cat = e.target.closest('.param-picker-cat-item');
+          if (!cat) return;
+          popup.querySelectorAll('.param-picker-cat-item')
+              .forEach(el => el.classList.remove('active'));
+          cat.classList.add('active');
+          const group = cat.dataset.group;
+          popup.querySelectorAll('.param-picker-item').forEach(item => {
+            item.classList.toggle('hidden-group', item.dataset.group !== group);
+          });
+        });
 
-        const responsePromise = new Promise((resResolve) => {
-          this.pendingResponse = {
-            slaveId,
-            resolve: resResolve,
-            startTime: Date.now()
-          };
+    // 아이템 클릭
+    popup.querySelector('.param-picker-param-panel')
+        .addEventListener('click', (e) => {
+          const item = e.target.closest('.param-picker-item');
+          if (!item) return;
+          const addrEl = item.querySelector('.param-picker-addr');
+          const name = item.childNodes[0].textContent.trim();
+          const hex = addrEl ? addrEl.textContent.trim() : '';
+          triggerBtn.dataset.selectedValue = item.dataset.value;
+          triggerBtn.querySelector('.param-picker-trigger-label').textContent =
+              `${name} (${hex})`;
+          triggerBtn.classList.add('has-selection');
+          popup.style.display = 'none';
         });
 
-        const timeoutPromise = new Promise((_, reject) => {
-          setTimeout(() => reject(new Error('Timeout')), this.commandTimeout);
+    // 검색
+    const searchInput = popup.querySelector('.param-picker-search');
+    searchInput.addEventListener('input', () => {
+      const q = searchInput.value.toLowerCase().trim();
+      const catPanelEl = popup.querySelector('.param-picker-cat-panel');
+      if (q) {
+        catPanelEl.style.display = 'none';
+        popup.querySelectorAll('.param-picker-item').forEach(item => {
+          item.classList.toggle(
+              'hidden-group', !item.textContent.toLowerCase().includes(q));
+        });
+      } else {
+        catPanelEl.style.display = '';
+        const activeCat =
+            catPanelEl.querySelector('.param-picker-cat-item.active');
+        const group = activeCat ? activeCat.dataset.group : null;
+        popup.querySelectorAll('.param-picker-item').forEach(item => {
+          item.classList.toggle(
+              'hidden-group', group && item.dataset.group !== group);
         });
+      }
+    });
 
-        try {
-          await this.writer.write(frame);
-          this.addMonitorEntry(
-              'sent', frame,
-              {functionCode: 0x2B, startAddress: (frame[6] << 8) | frame[7]});
-          this.stats.requests++;
-          this.updateStatsDisplay();
+    // 버튼 클릭 → 팝업 표시
+    triggerBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const isOpen = popup.style.display !== 'none';
+      document.querySelectorAll('.param-picker-popup').forEach(p => {
+        p.style.display = 'none';
+      });
+      if (isOpen) return;
+      popup.style.display = 'block';
+      const rect = triggerBtn.getBoundingClientRect();
+      const popupW = 400;
+      const popupH = 280;
+      let left = rect.left;
+      let top = rect.bottom + 4;
+      if (left + popupW > window.innerWidth - 8)
+        left = window.innerWidth - popupW - 8;
+      if (top + popupH > window.innerHeight - 8) top = rect.top - popupH - 4;
+      popup.style.left = left + 'px';
+      popup.style.top = top + 'px';
+      popup.style.width = popupW + 'px';
+      searchInput.value = '';
+      searchInput.dispatchEvent(new Event('input'));
+      setTimeout(() => searchInput.focus(), 50);
+    });
 
-          const response =
-              await Promise.race([responsePromise, timeoutPromise]);
-          this.pendingResponse = null;
+    popup.addEventListener('click', (e) => e.stopPropagation());
 
-          if (response && response[0] === slaveId) {
-            try {
-              const parsed = this.modbus.parseCANopenResponse(response);
-              if (parsed.error) {
-                this.stats.errors++;
-              } else {
-                this.stats.success++;
-              }
-              this.updateStatsDisplay();
-              resolve(parsed);
-            } catch (e) {
-              this.stats.errors++;
-              this.updateStatsDisplay();
-              resolve(null);
-            }
-          } else {
-            this.stats.errors++;
-            this.updateStatsDisplay();
-            resolve(null);
-          }
-        } catch (error) {
-          this.pendingResponse = null;
-          this.stats.errors++;
-          this.updateStatsDisplay();
-          this.addMonitorEntry(
-              'error',
-              `Slave ${slaveId}: CANopen response timeout (${
-                  this.commandTimeout}ms)`);
-          resolve(null);
-        }
-      });
-    } finally {
-      this._releaseBus();
-    }
+    document.addEventListener('click', () => {
+      popup.style.display = 'none';
+    });
+
+    // 기본 선택: Immediate Trigger
+    triggerBtn.dataset.selectedValue = '255';
+    triggerBtn.querySelector('.param-picker-trigger-label').textContent =
+        'Immediate Trigger (0xFF)';
+    triggerBtn.classList.add('has-selection');
   }
 
   /**
-   * CANopen SDO 읽기 (Upload) — 485 버스 안전 래퍼
-   * polling 중이면 commandQueue에 등록, 아니면 직접 전송.
-   * @param {number} slaveId   Modbus Slave ID
-   * @param {number} index     CANopen Object Index
-   * @param {number} subIndex  CANopen Sub-Index
-   * @returns {Promise<{cs, index, subIndex, value, abortCode, error}|null>}
+   * Parse address string — supports 0xD001, D001 (bare hex), 53249 (dec)
+   * Delegates to parseModbusValue for unified HEX/DEC handling.
    */
-  async readCANopenObject(slaveId, index, subIndex, numData = 2) {
-    const frame =
-        this.modbus.buildCANopenUpload(slaveId, index, subIndex, 0, numData);
-
-    if (this.writer) {
-      if (this.autoPollingTimer || this._isFc64Active ||
-          this.ovPollingRunning || this.offsetAlarmPollingRunning ||
-          this.offsetStatus2617PollingRunning) {
-        // polling 루프 / FC64 차트 / OV 폴링 / Offset 탭 폴링 중 버스 점유 중 →
-        // 큐에 등록
-        return new Promise((resolve, reject) => {
-          this.commandQueue.push({
-            type: 'canopen_read',
-            frame,
-            slaveId,
-            resolve,
-            reject,
-            tabSeq: this._tabSeq
-          });
-        });
-      }
-      return await this.sendCANopenAndWaitResponse(frame, slaveId);
+  parseMonitoringAddress(addressStr) {
+    if (typeof addressStr === 'number') return addressStr;
+    try {
+      return this.parseModbusValue(String(addressStr).trim(), 0, 65535);
+    } catch {
+      return NaN;
     }
-    throw new Error('Not connected');
   }
 
   /**
-   * CANopen SDO 쓰기 (Download) — 485 버스 안전 래퍼
-   * polling 중이면 commandQueue에 등록, 아니면 직접 전송.
-   * @param {number} slaveId   Modbus Slave ID
-   * @param {number} index     CANopen Object Index
-   * @param {number} subIndex  CANopen Sub-Index
-   * @param {number} value     쓸 값
-   * @param {number} [size=4]  데이터 크기 (1, 2, 3, 4 bytes)
-   * @returns {Promise<{cs, index, subIndex, value, abortCode, error}|null>}
+   * Add monitoring parameter from CSV list
    */
-  async writeCANopenObject(slaveId, index, subIndex, value, size = 4) {
-    const frame =
-        this.modbus.buildCANopenDownload(slaveId, index, subIndex, value, 0);
+  addMonitoringParamFromCSV(deviceId, paramValue) {
+    if (!paramValue) return;
 
-    if (this.writer) {
-      if (this.autoPollingTimer || this._isFc64Active ||
-          this.ovPollingRunning || this.offsetAlarmPollingRunning ||
-          this.offsetStatus2617PollingRunning) {
-        // Offset 탭 폴링이 버스 소유자일 때도 큐 경유 — 폴링 루프가
-        // _drainCommandQueue로 처리
-        return new Promise((resolve, reject) => {
-          this.commandQueue.push({
-            type: 'canopen_write',
-            frame,
-            slaveId,
-            resolve,
-            reject,
-            tabSeq: this._tabSeq
-          });
-        });
-      }
-      return await this.sendCANopenAndWaitResponse(frame, slaveId);
-    }
-    throw new Error('Not connected');
-  }
+    const device = this.devices.find(d => d.id === deviceId);
+    if (!device) return;
 
-  /**
-   * Read register helper (simplified - real implementation would wait for
-   * response)
-   */
-  async readRegister(slaveId, address) {
-    const frame = this.modbus.buildReadHoldingRegisters(slaveId, address, 1);
+    const [type, addressStr] = paramValue.split(':');
+    const address = this.parseMonitoringAddress(addressStr);
 
-    if (this.simulatorEnabled) {
-      this.addMonitorEntry(
-          'sent', frame, {functionCode: 3, startAddress: address, quantity: 1});
-      this.stats.requests++;
-      this.updateStatsDisplay();
-      const response = await this.simulator.processRequest(frame);
-      if (response && response.length >= 5) {
-        this.addMonitorEntry('received', response);
-        this.updateStats(true);
-        // Parse register value from response
-        return (response[3] << 8) | response[4];
-      }
-    } else if (this.writer) {
-      // Delegate to readRegisterWithTimeout which handles queue + response
-      // parsing correctly
-      return await this.readRegisterWithTimeout(slaveId, address);
-    } else {
-      throw new Error('Not connected');
+    if (!device.monitoringParams) {
+      device.monitoringParams = [];
     }
-    return 0;
-  }
 
-  // ==================== Monitoring Parameters Methods ====================
+    // Check for duplicates
+    if (device.monitoringParams.some(
+            p => p.type === type && p.address === address)) {
+      this.showToast('이미 존재하는 파라미터입니다', 'warning');
+      return;
+    }
+
+    // Find name from parameters
+    const csvParam = this.parameters.find(
+        p => p.type === type &&
+            this.parseMonitoringAddress(p.address) === address);
+
+    const newParam = {
+      id: 'param_' + Date.now(),
+      type: type,
+      address: address,
+      name: csvParam?.name || `Register ${addressStr}`,
+      value: null,
+      lastRead: null,
+      source: 'csv'
+    };
+
+    device.monitoringParams.push(newParam);
+    this.saveDevices();
+    this.renderMonitoringParams(deviceId);
+    this.showToast(`${newParam.name} 추가되었습니다`, 'success');
+  }
 
   /**
-   * Toggle monitoring section visibility
+   * Add monitoring parameter manually
    */
-  toggleMonitoringSection(deviceId) {
+  addMonitoringParamManual(deviceId, type, addressStr, name) {
     const device = this.devices.find(d => d.id === deviceId);
     if (!device) return;
 
-    device.monitoringExpanded = !device.monitoringExpanded;
-    this.saveDevices();
-
-    const element = document.querySelector(`.device-card[data-device-id="${
-        deviceId}"], .device-list-item[data-device-id="${deviceId}"]`);
-    if (!element) return;
+    const address = this.parseMonitoringAddress(addressStr);
+    if (isNaN(address)) {
+      this.showToast('주소 형식이 올바르지 않습니다', 'error');
+      return;
+    }
 
-    const header = element.querySelector('.monitoring-header');
-    const content = element.querySelector('.monitoring-content');
+    if (!device.monitoringParams) {
+      device.monitoringParams = [];
+    }
 
-    if (device.monitoringExpanded) {
-      header.classList.add('expanded');
-      content.style.display = 'block';
-    } else {
-      header.classList.remove('expanded');
-      content.style.display = 'none';
+    // Check for duplicates
+    if (device.monitoringParams.some(
+            p => p.type === type && p.address === address)) {
+      this.showToast('이미 존재하는 파라미터입니다', 'warning');
+      return;
     }
+
+    const newParam = {
+      id: 'param_' + Date.now(),
+      type: type,
+      address: address,
+      name: name || `Register 0x${address.toString(16).toUpperCase()}`,
+      value: null,
+      lastRead: null,
+      source: 'manual'
+    };
+
+    device.monitoringParams.push(newParam);
+    this.saveDevices();
+    this.renderMonitoringParams(deviceId);
+    this.showToast(`${newParam.name} 추가되었습니다`, 'success');
   }
 
   /**
-   * Generate parameter options from parameters list
+   * Remove monitoring parameter
    */
-  generateParameterOptions() {
-    const holdingParams = this.parameters.filter(p => p.type === 'holding');
-    const inputParams = this.parameters.filter(p => p.type === 'input');
-
-    let optionsHtml = '<option value="">-- Select Parameter --</option>';
+  removeMonitoringParam(deviceId, paramId) {
+    const device = this.devices.find(d => d.id === deviceId);
+    if (!device || !device.monitoringParams) return;
 
-    if (holdingParams.length > 0) {
-      optionsHtml += '<optgroup label="Holding Registers">';
-      holdingParams.forEach(p => {
-        optionsHtml += `<option value="holding:${p.address}">${p.name} (${
-            p.address})</option>`;
-      });
-      optionsHtml += '</optgroup>';
-    }
+    const paramIndex = device.monitoringParams.findIndex(p => p.id === paramId);
+    if (paramIndex === -1) return;
 
-    if (inputParams.length > 0) {
-      optionsHtml += '<optgroup label="Input Registers">';
-      inputParams.forEach(p => {
-        optionsHtml += `<option value="input:${p.address}">${p.name} (${
-            p.address})</option>`;
-      });
-      optionsHtml += '</optgroup>';
-    }
+    const paramName = device.monitoringParams[paramIndex].name;
+    device.monitoringParams.splice(paramIndex, 1);
 
-    return optionsHtml;
+    this.saveDevices();
+    this.renderMonitoringParams(deviceId);
+    this.showToast(`${paramName} 삭제되었습니다`, 'info');
   }
 
   /**
-   * Generate grouped parameter picker HTML (replaces flat <select>)
+   * Render monitoring parameters list
    */
-  generateParamPickerHTML() {
-    // Group by "type:group" — fallback group for params without group field
-    const grouped = {};
-    this.parameters.forEach(p => {
-      const typeLabel = p.type === 'input' ? 'Input' :
-          p.type === 'lsm'                 ? 'LSM' :
-                                             'Holding';
-      const groupKey = `${typeLabel} — ${
-          p.group ||
-          (p.type === 'input'   ? 'Input Registers' :
-               p.type === 'lsm' ? 'LSM' :
-                                  'Holding Registers')}`;
-      if (!grouped[groupKey]) grouped[groupKey] = [];
-      grouped[groupKey].push(p);
-    });
+  renderMonitoringParams(deviceId) {
+    const device = this.devices.find(d => d.id === deviceId);
+    if (!device) return;
 
-    const keys = Object.keys(grouped);
-    const firstKey = keys[0] || '';
+    const element = document.querySelector(`.device-card[data-device-id="${
+        deviceId}"], .device-list-item[data-device-id="${deviceId}"]`);
+    if (!element) return;
+
+    const listContainer = element.querySelector('.monitoring-params-list');
+    const countBadge = element.querySelector('.monitoring-count');
+
+    if (!listContainer) return;
+
+    const params = device.monitoringParams || [];
+
+    if (countBadge) {
+      countBadge.textContent = `(${params.length})`;
+    }
+
+    if (params.length === 0) {
+      listContainer.innerHTML = `
+                <div class="monitoring-empty">
+                    No monitoring parameters.<br>
+                    Add parameters below.
+                </div>
+            `;
+      return;
+    }
 
-    let catHtml = '';
-    let paramHtml = '';
+    listContainer.innerHTML =
+        params
+            .map(
+                param => `
+            <div class="monitoring-param-item" data-param-id="${param.id}">
+                <div class="param-info">
+                    <span class="param-name">${param.name}</span>
+                    <span class="param-address">${
+                    param.type === 'holding' ? 'H' : 'I'}:0x${
+                    param.address.toString(16).toUpperCase()}</span>
+                </div>
+                <div class="param-value-wrapper">
+                    <div class="param-value ${
+                    param.value === null ? 'stale' :
+                                           ''}" id="param-value-${param.id}">
+                        ${param.value !== null ? param.value : '--'}
+                    </div>
+                    ${this.getParamConvertedHTML(param)}
+                </div>
+                <button class="param-remove-btn" data-device-id="${
+                    deviceId}" data-param-id="${
+                    param.id}" title="Remove">×</button>
+            </div>
+        `).join('');
 
-    keys.forEach((groupKey, i) => {
-      catHtml += `<div class="param-picker-cat-item${
-          i === 0 ? ' active' :
-                    ''}" data-group="${groupKey}">${groupKey}</div>`;
-      grouped[groupKey].forEach(p => {
-        paramHtml += `<div class="param-picker-item${
-            i === 0 ? '' : ' hidden-group'}" data-value="${p.type}:${
-            p.address}" data-group="${groupKey}">${
-            p.name}<span class="param-picker-addr">${p.address}</span></div>`;
+    // Re-attach remove button listeners
+    listContainer.querySelectorAll('.param-remove-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const dId = parseInt(btn.dataset.deviceId);
+        const pId = btn.dataset.paramId;
+        this.removeMonitoringParam(dId, pId);
       });
     });
-
-    return `
-            <div class="param-picker-panels">
-                <div class="param-picker-cat-panel">${catHtml}</div>
-                <div class="param-picker-param-panel">${paramHtml}</div>
-            </div>`;
-  }
-
-  /**
-   * Chart channel definitions (chNum = value sent in FC 0x64 configure)
-   */
-  getChartChannels() {
-    return [
-      // Velocity
-      {name: 'Velocity Feedback', chNum: 0x00, group: 'Velocity'},
-      {name: 'Velocity Command', chNum: 0x01, group: 'Velocity'},
-      {name: 'Velocity Error', chNum: 0x02, group: 'Velocity'},
-      {name: 'Position Command Velocity', chNum: 0x15, group: 'Velocity'},
-      // Torque
-      {name: 'Torque Feedback', chNum: 0x03, group: 'Torque'},
-      {name: 'Torque Command', chNum: 0x04, group: 'Torque'},
-      // Position
-      {name: 'Position Actual', chNum: 0x13, group: 'Position'},
-      {name: 'Position Demand', chNum: 0x14, group: 'Position'},
-      {name: 'Following Error', chNum: 0x05, group: 'Position'},
-      {name: 'Following Error Actual', chNum: 0x0B, group: 'Position'},
-      // Overload
-      {name: 'Accum. Operation Overload', chNum: 0x06, group: 'Overload'},
-      {name: 'Accum. Regen. Overload', chNum: 0x08, group: 'Overload'},
-      {name: 'Inertia Ratio', chNum: 0x0A, group: 'Overload'},
-      // Electrical
-      {name: 'DC Link Voltage', chNum: 0x07, group: 'Electrical'},
-      {name: 'U Phase Current', chNum: 0x10, group: 'Electrical'},
-      {name: 'V Phase Current', chNum: 0x11, group: 'Electrical'},
-      {name: 'W Phase Current', chNum: 0x12, group: 'Electrical'},
-      // Temperature
-      {name: 'Drive Temperature 1', chNum: 0x0C, group: 'Temperature'},
-      {name: 'Drive Temperature 2', chNum: 0x0D, group: 'Temperature'},
-      {name: 'Encoder Temperature', chNum: 0x0E, group: 'Temperature'},
-      // Encoder/Hall
-      {name: 'Encoder SingleTurn', chNum: 0x09, group: 'Encoder/Hall'},
-      {name: 'Hall Signal Value', chNum: 0x0F, group: 'Encoder/Hall'},
-      {name: 'Hall U', chNum: 0x16, group: 'Encoder/Hall'},
-      {name: 'Hall V', chNum: 0x17, group: 'Encoder/Hall'},
-      {name: 'Hall W', chNum: 0x18, group: 'Encoder/Hall'},
-      {name: 'Commanded Motor Phase Angle', chNum: 0x19, group: 'Encoder/Hall'},
-      {name: 'Hall Phase Angle', chNum: 0x1A, group: 'Encoder/Hall'},
-      {name: 'Electric Angle', chNum: 0x1B, group: 'Encoder/Hall'},
-      // Sensor/LMS
-      {name: 'Left Sensor Position', chNum: 0x20, group: 'Sensor/LMS'},
-      {name: 'Right Sensor Position', chNum: 0x21, group: 'Sensor/LMS'},
-      {name: 'L/R Position Difference', chNum: 0x22, group: 'Sensor/LMS'},
-      {name: 'Sensor Position Internal', chNum: 0x23, group: 'Sensor/LMS'},
-      {name: 'Left Sensor Valid (C36)', chNum: 0x24, group: 'Sensor/LMS'},
-      {name: 'Left Sensor Valid (C37)', chNum: 0x25, group: 'Sensor/LMS'},
-      {name: 'Left Sensor Singleturn', chNum: 0x26, group: 'Sensor/LMS'},
-      {name: 'Right Sensor Singleturn', chNum: 0x27, group: 'Sensor/LMS'},
-      {name: 'LMS READY', chNum: 0x28, group: 'Sensor/LMS'},
-      {name: 'Reserved 1 (LMS StateMachine)', chNum: 0x29, group: 'Sensor/LMS'},
-      {name: 'ROS', chNum: 0x2A, group: 'Sensor/LMS'},
-      {
-        name: 'Reserved 3 (L.Sensor Valid Raw)',
-        chNum: 0x2B,
-        group: 'Sensor/LMS'
-      },
-      {
-        name: 'Reserved 4 (R.Sensor Valid Raw)',
-        chNum: 0x2C,
-        group: 'Sensor/LMS'
-      },
-      // FFT
-      {name: 'FFT Input', chNum: 0x36, group: 'FFT'},
-      {name: 'FFT Output', chNum: 0x37, group: 'FFT'},
-      // Digital Input
-      {name: 'POT', chNum: 0x64, group: 'Digital Input'},
-      {name: 'NOT', chNum: 0x65, group: 'Digital Input'},
-      {name: 'HOME', chNum: 0x66, group: 'Digital Input'},
-      {name: 'STOP', chNum: 0x67, group: 'Digital Input'},
-      {name: 'PCON', chNum: 0x68, group: 'Digital Input'},
-      {name: 'GAIN', chNum: 0x69, group: 'Digital Input'},
-      {name: 'P_CL', chNum: 0x6A, group: 'Digital Input'},
-      {name: 'N_CL', chNum: 0x6B, group: 'Digital Input'},
-      {name: 'PROBE1', chNum: 0x6C, group: 'Digital Input'},
-      {name: 'PROBE2', chNum: 0x6D, group: 'Digital Input'},
-      {name: 'EMG', chNum: 0x6E, group: 'Digital Input'},
-      {name: 'A_RST', chNum: 0x6F, group: 'Digital Input'},
-      {name: 'SV_ON', chNum: 0x70, group: 'Digital Input'},
-      {name: 'START', chNum: 0x74, group: 'Digital Input'},
-      {name: 'PAUSE', chNum: 0x75, group: 'Digital Input'},
-      {name: 'REGT', chNum: 0x76, group: 'Digital Input'},
-      {name: 'HSTART', chNum: 0x77, group: 'Digital Input'},
-      {name: 'ISEL0', chNum: 0x78, group: 'Digital Input'},
-      {name: 'ISEL1', chNum: 0x79, group: 'Digital Input'},
-      {name: 'ISEL2', chNum: 0x7A, group: 'Digital Input'},
-      {name: 'ISEL3', chNum: 0x7B, group: 'Digital Input'},
-      {name: 'ISEL4', chNum: 0x7C, group: 'Digital Input'},
-      {name: 'ISEL5', chNum: 0x7D, group: 'Digital Input'},
-      {name: 'ABS_RQ', chNum: 0x7E, group: 'Digital Input'},
-      {name: 'JSTART', chNum: 0x7F, group: 'Digital Input'},
-      {name: 'JDIR', chNum: 0x80, group: 'Digital Input'},
-      {name: 'PCLR', chNum: 0x81, group: 'Digital Input'},
-      {name: 'AVOR', chNum: 0x82, group: 'Digital Input'},
-      {name: 'INHIB', chNum: 0x83, group: 'Digital Input'},
-      // Digital Output
-      {name: 'BRAKE', chNum: 0x84, group: 'Digital Output'},
-      {name: 'ALARM', chNum: 0x85, group: 'Digital Output'},
-      {name: 'READY', chNum: 0x86, group: 'Digital Output'},
-      {name: 'ZSPD', chNum: 0x87, group: 'Digital Output'},
-      {name: 'INPOS1', chNum: 0x88, group: 'Digital Output'},
-      {name: 'TLMT', chNum: 0x89, group: 'Digital Output'},
-      {name: 'VLMT', chNum: 0x8A, group: 'Digital Output'},
-      {name: 'INSPD', chNum: 0x8B, group: 'Digital Output'},
-      {name: 'WARN', chNum: 0x8C, group: 'Digital Output'},
-      {name: 'TGON', chNum: 0x8D, group: 'Digital Output'},
-      {name: 'INPOS2', chNum: 0x8E, group: 'Digital Output'},
-      {name: 'ORG', chNum: 0x94, group: 'Digital Output'},
-      {name: 'EOS', chNum: 0x95, group: 'Digital Output'},
-      {name: 'IOUT0', chNum: 0x96, group: 'Digital Output'},
-      {name: 'IOUT1', chNum: 0x97, group: 'Digital Output'},
-      {name: 'IOUT2', chNum: 0x98, group: 'Digital Output'},
-      {name: 'IOUT3', chNum: 0x99, group: 'Digital Output'},
-      {name: 'IOUT4', chNum: 0x9A, group: 'Digital Output'},
-      {name: 'IOUT5', chNum: 0x9B, group: 'Digital Output'},
-      // ControlWord
-      {name: 'ControlWord.0', chNum: 0xA4, group: 'ControlWord'},
-      {name: 'ControlWord.1', chNum: 0xA5, group: 'ControlWord'},
-      {name: 'ControlWord.2', chNum: 0xA6, group: 'ControlWord'},
-      {name: 'ControlWord.3', chNum: 0xA7, group: 'ControlWord'},
-      {name: 'ControlWord.4', chNum: 0xA8, group: 'ControlWord'},
-      {name: 'ControlWord.5', chNum: 0xA9, group: 'ControlWord'},
-      {name: 'ControlWord.6', chNum: 0xAA, group: 'ControlWord'},
-      {name: 'ControlWord.7', chNum: 0xAB, group: 'ControlWord'},
-      {name: 'ControlWord.8', chNum: 0xAC, group: 'ControlWord'},
-      {name: 'ControlWord.9', chNum: 0xAD, group: 'ControlWord'},
-      {name: 'ControlWord.10', chNum: 0xAE, group: 'ControlWord'},
-      {name: 'ControlWord.11', chNum: 0xAF, group: 'ControlWord'},
-      {name: 'ControlWord.12', chNum: 0xB0, group: 'ControlWord'},
-      {name: 'ControlWord.13', chNum: 0xB1, group: 'ControlWord'},
-      {name: 'ControlWord.14', chNum: 0xB2, group: 'ControlWord'},
-      {name: 'ControlWord.15', chNum: 0xB3, group: 'ControlWord'},
-      // StatusWord
-      {name: 'StatusWord.0', chNum: 0xB4, group: 'StatusWord'},
-      {name: 'StatusWord.1', chNum: 0xB5, group: 'StatusWord'},
-      {name: 'StatusWord.2', chNum: 0xB6, group: 'StatusWord'},
-      {name: 'StatusWord.3', chNum: 0xB7, group: 'StatusWord'},
-      {name: 'StatusWord.4', chNum: 0xB8, group: 'StatusWord'},
-      {name: 'StatusWord.5', chNum: 0xB9, group: 'StatusWord'},
-      {name: 'StatusWord.6', chNum: 0xBA, group: 'StatusWord'},
-      {name: 'StatusWord.7', chNum: 0xBB, group: 'StatusWord'},
-      {name: 'StatusWord.8', chNum: 0xBC, group: 'StatusWord'},
-      {name: 'StatusWord.9', chNum: 0xBD, group: 'StatusWord'},
-      {name: 'StatusWord.10', chNum: 0xBE, group: 'StatusWord'},
-      {name: 'StatusWord.11', chNum: 0xBF, group: 'StatusWord'},
-      {name: 'StatusWord.12', chNum: 0xC0, group: 'StatusWord'},
-      {name: 'StatusWord.13', chNum: 0xC1, group: 'StatusWord'},
-      {name: 'StatusWord.14', chNum: 0xC2, group: 'StatusWord'},
-      {name: 'StatusWord.15', chNum: 0xC3, group: 'StatusWord'},
-      // Other
-      {name: 'INDEX (Z-PHASE)', chNum: 0xD0, group: 'Other'},
-      {name: 'Object Monitor 1', chNum: 0xFA, group: 'Other'},
-      {name: 'Object Monitor 2', chNum: 0xFB, group: 'Other'},
-      {name: 'Object Monitor 3', chNum: 0xFC, group: 'Other'},
-      {name: 'Object Monitor 4', chNum: 0xFD, group: 'Other'},
-    ];
   }
 
   /**
-   * Generate channel picker panels HTML (reuses param-picker CSS)
+   * Render monitoring parameters HTML (for initial card creation)
    */
-  generateChannelPickerHTML() {
-    const channels = this.getChartChannels();
-    const grouped = {};
-    channels.forEach(ch => {
-      if (!grouped[ch.group]) grouped[ch.group] = [];
-      grouped[ch.group].push(ch);
-    });
-    const keys = Object.keys(grouped);
-    let catHtml = '';
-    let itemHtml = '';
-    keys.forEach((group, i) => {
-      catHtml += `<div class="param-picker-cat-item${
-          i === 0 ? ' active' : ''}" data-group="${group}">${group}</div>`;
-      grouped[group].forEach(ch => {
-        const hex = `0x${ch.chNum.toString(16).toUpperCase().padStart(2, '0')}`;
-        itemHtml += `<div class="param-picker-item${
-            i === 0 ? '' : ' hidden-group'}" data-value="${
-            ch.chNum}" data-group="${group}">${
-            ch.name}<span class="param-picker-addr">${hex}</span></div>`;
-      });
-    });
-    return `
-            <div class="param-picker-panels">
-                <div class="param-picker-cat-panel">${catHtml}</div>
-                <div class="param-picker-param-panel">${itemHtml}</div>
+  renderMonitoringParamsHTML(params) {
+    if (!params || params.length === 0) {
+      return `<div class="monitoring-empty">
+                No monitoring parameters.<br>
+                Add parameters below.
             </div>`;
+    }
+
+    return params
+        .map(
+            param => `
+            <div class="monitoring-param-item" data-param-id="${param.id}">
+                <div class="param-info">
+                    <span class="param-name">${param.name}</span>
+                    <span class="param-address">${
+                param.type === 'holding' ?
+                    'H' :
+                    'I'}:0x${param.address.toString(16).toUpperCase()}</span>
+                </div>
+                <div class="param-value-wrapper">
+                    <div class="param-value ${
+                param.value === null ? 'stale' :
+                                       ''}" id="param-value-${param.id}">
+                        ${param.value !== null ? param.value : '--'}
+                    </div>
+                    ${this.getParamConvertedHTML(param)}
+                </div>
+                <button class="param-remove-btn" title="Remove">×</button>
+            </div>
+        `)
+        .join('');
   }
 
   /**
-   * Initialize chart channel picker dropdowns (CH1~CH4)
-   * Pre-selects default channels C1~C4 (0x01~0x04).
+   * Setup monitoring section event listeners
    */
-  initChartChannelPickers() {
-    const defaults = [0x01, 0x02, 0x03, 0x04];
-    const channels = this.getChartChannels();
+  setupMonitoringEventListeners(card, deviceId) {
+    // Header click - toggle
+    const header = card.querySelector('.monitoring-header');
+    if (header) {
+      header.addEventListener(
+          'click', () => this.toggleMonitoringSection(deviceId));
+    }
 
-    for (let i = 0; i < 4; i++) {
-      const triggerBtn = document.getElementById(`chartCh${i + 1}Trigger`);
-      if (!triggerBtn) continue;
+    // Tab switching
+    const tabs = card.querySelectorAll('.add-tab');
+    tabs.forEach(tab => {
+      tab.addEventListener('click', () => {
+        const tabName = tab.dataset.tab;
+
+        card.querySelectorAll('.add-tab')
+            .forEach(t => t.classList.remove('active'));
+        tab.classList.add('active');
+
+        card.querySelectorAll('.add-tab-content').forEach(c => {
+          c.classList.toggle('active', c.dataset.tab === tabName);
+        });
+      });
+    });
+
+    // Param picker popup
+    const triggerBtn = card.querySelector('.param-picker-trigger');
+    if (triggerBtn) {
+      // Remove stale popup for this device if any
+      document
+          .querySelectorAll(`.param-picker-popup[data-device-id="${deviceId}"]`)
+          .forEach(p => p.remove());
 
+      // Create popup and append to body
       const popup = document.createElement('div');
       popup.className = 'param-picker-popup';
-      popup.dataset.chartChIdx = String(i);
+      popup.dataset.deviceId = deviceId;
       popup.style.display = 'none';
       popup.innerHTML = `
-                <input type="text" class="param-picker-search" placeholder="채널 검색...">
-                ${this.generateChannelPickerHTML()}
+                <input type="text" class="param-picker-search" placeholder="파라미터 검색...">
+                ${this.generateParamPickerHTML()}
             `;
       document.body.appendChild(popup);
 
@@ -12075,29 +16648,22 @@ class ModbusDashboard {
             });
           });
 
-      // Item click
+      // Item click → store value, update trigger label, close popup
       popup.querySelector('.param-picker-param-panel')
           .addEventListener('click', (e) => {
             const item = e.target.closest('.param-picker-item');
             if (!item) return;
             const addrEl = item.querySelector('.param-picker-addr');
             const name = item.childNodes[0].textContent.trim();
-            const hex = addrEl ? addrEl.textContent.trim() : '';
+            const addr = addrEl ? addrEl.textContent.trim() : '';
             triggerBtn.dataset.selectedValue = item.dataset.value;
             triggerBtn.querySelector('.param-picker-trigger-label')
-                .textContent = `${name} (${hex})`;
+                .textContent = `${name} (${addr})`;
             triggerBtn.classList.add('has-selection');
             popup.style.display = 'none';
-            // Persist selection
-            const saved =
-                JSON.parse(localStorage.getItem('chartChSettings') || '{}');
-            if (!saved[i]) saved[i] = {};
-            saved[i].value = item.dataset.value;
-            saved[i].label = `${name} (${hex})`;
-            localStorage.setItem('chartChSettings', JSON.stringify(saved));
           });
 
-      // Search
+      // Search filter
       const searchInput = popup.querySelector('.param-picker-search');
       searchInput.addEventListener('input', () => {
         const q = searchInput.value.toLowerCase().trim();
@@ -12124,10 +16690,12 @@ class ModbusDashboard {
       triggerBtn.addEventListener('click', (e) => {
         e.stopPropagation();
         const isOpen = popup.style.display !== 'none';
+        // Close all other open popups
         document.querySelectorAll('.param-picker-popup').forEach(p => {
           p.style.display = 'none';
         });
         if (isOpen) return;
+
         popup.style.display = 'block';
         const rect = triggerBtn.getBoundingClientRect();
         const popupW = 400;
@@ -12140,3325 +16708,4103 @@ class ModbusDashboard {
         popup.style.left = left + 'px';
         popup.style.top = top + 'px';
         popup.style.width = popupW + 'px';
+
+        // Reset search
         searchInput.value = '';
         searchInput.dispatchEvent(new Event('input'));
         setTimeout(() => searchInput.focus(), 50);
       });
 
+      // Stop popup click from bubbling to document
       popup.addEventListener('click', (e) => e.stopPropagation());
 
+      // Close on outside click
       document.addEventListener('click', () => {
         popup.style.display = 'none';
       });
+    }
+
+    // Add from CSV
+    const addCsvBtn = card.querySelector('.add-param-btn');
+    if (addCsvBtn) {
+      addCsvBtn.addEventListener('click', () => {
+        const value = triggerBtn ? triggerBtn.dataset.selectedValue : null;
+        if (!value) return;
+        this.addMonitoringParamFromCSV(deviceId, value);
+        if (triggerBtn) {
+          triggerBtn.dataset.selectedValue = '';
+          triggerBtn.querySelector('.param-picker-trigger-label').textContent =
+              '파라미터 선택...';
+          triggerBtn.classList.remove('has-selection');
+        }
+      });
+    }
+
+    // Manual address: live HEX/DEC conversion display
+    const manualAddrInput = card.querySelector('.manual-address');
+    const manualAddrConverted = card.querySelector('.manual-address-converted');
+    if (manualAddrInput && manualAddrConverted) {
+      manualAddrInput.addEventListener('input', () => {
+        this.updateConvertedValueEl(
+            manualAddrInput, manualAddrConverted, 0, 65535);
+      });
+    }
+
+    // Add manually
+    const addManualBtn = card.querySelector('.add-manual-btn');
+    if (addManualBtn) {
+      addManualBtn.addEventListener('click', () => {
+        const type = card.querySelector('.manual-type').value;
+        const address = card.querySelector('.manual-address').value;
+        const name = card.querySelector('.manual-name').value;
+
+        this.addMonitoringParamManual(deviceId, type, address, name);
+
+        card.querySelector('.manual-address').value = '';
+        card.querySelector('.manual-name').value = '';
+        if (manualAddrConverted) manualAddrConverted.textContent = '';
+      });
+    }
+
+    // Remove buttons
+    card.querySelectorAll('.param-remove-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const paramItem = btn.closest('.monitoring-param-item');
+        const paramId = paramItem.dataset.paramId;
+        this.removeMonitoringParam(deviceId, paramId);
+      });
+    });
+  }
+
+  /**
+   * Poll monitoring parameters for a device
+   */
+  async pollMonitoringParams(device) {
+    if (!device.monitoringParams || device.monitoringParams.length === 0)
+      return;
+
+    for (const param of device.monitoringParams) {
+      try {
+        let value = null;
+
+        if (param.type === 'lsm') {
+          // CANopen MEI (FC 0x2B) — 폴링 루프 내부이므로 직접 전송 가능
+          const paramFrame =
+              this.modbus.buildCANopenUpload(device.slaveId, param.address, 0);
+          const result =
+              await this.sendCANopenAndWaitResponse(paramFrame, device.slaveId);
+          value = result?.value ?? null;
+        } else {
+          // Direct sendAndWaitResponse — bypasses queue since we are inside the
+          // polling loop.
+          const paramFrame = param.type === 'input' ?
+              this.modbus.buildReadInputRegisters(
+                  device.slaveId, param.address, 1) :
+              this.modbus.buildReadHoldingRegisters(
+                  device.slaveId, param.address, 1);
+          value = await this.sendAndWaitResponse(paramFrame, device.slaveId);
+        }
+
+        if (value !== null) {
+          param.value = value;
+          param.lastRead = Date.now();
+          this.updateMonitoringParamValue(device.id, param.id, value);
+        }
+      } catch (error) {
+        console.warn(
+            `Failed to read param ${param.name} for device ${device.id}:`,
+            error);
+      }
+
+      // Small delay between parameters
+      await this.delay(this.paramPollingDelay);
+    }
+  }
+
+  /**
+   * Read Input Register with timeout (Function Code 4)
+   */
+  async readInputRegisterWithTimeout(slaveId, address) {
+    const frame = this.modbus.buildReadInputRegisters(slaveId, address, 1);
+
+    if (this.simulatorEnabled) {
+      this.stats.requests++;
+      this.updateStatsDisplay();
+
+      const response = await this.simulatorBus.processRequest(frame);
+
+      if (response && response.length >= 5 && (response[1] & 0x80) === 0) {
+        this.stats.success++;
+        this.updateStatsDisplay();
+        return (response[3] << 8) | response[4];
+      } else {
+        this.stats.errors++;
+        this.updateStatsDisplay();
+        return null;
+      }
+    } else if (this.writer) {
+      if (this.autoPollingTimer || this._isFc64Active ||
+          this.ovPollingRunning) {
+        // Polling 중이거나 FC64 차트 / OV 폴링이 버스를 점유 중이면 큐에 등록
+        return new Promise((resolve, reject) => {
+          this.commandQueue.push({
+            type: 'read',
+            frame,
+            slaveId,
+            address,
+            resolve,
+            reject,
+            tabSeq: this._tabSeq
+          });
+        });
+      }
+      return await this.sendAndWaitResponse(frame, slaveId);
+    }
+
+    return null;
+  }
+
+  /**
+   * Converts raw register value to human-readable string for special registers.
+   * D023: AIN1 voltage  → (raw / 65536) × 10000 mV
+   * D024: AIN2 current  → 4mA ~ 20mA linear (raw=0 → ≤4mA, raw=65535 → ≥20mA)
+   * Returns null if address is not a special register.
+   */
+  convertParamRawToString(address, raw) {
+    if (address === 0xD023) return ((raw / 65536) * 10100).toFixed(1) + ' mV';
+    if (address === 0xD024) {
+      const mA = 4 + (raw / 65535) * 16;
+      if (raw === 0) return '≤' + mA.toFixed(3) + ' mA';
+      if (raw >= 65535) return '≥' + mA.toFixed(3) + ' mA';
+      return mA.toFixed(3) + ' mA';
+    }
+    if (address === 0xD025) return ((raw / 65536) * 100).toFixed(2) + ' %';
+    return null;
+  }
+
+  /**
+   * Returns converted sub-value HTML for special registers (D023 → mV, D024 →
+   * mA)
+   */
+  getParamConvertedHTML(param) {
+    if (param.type !== 'input') return '';
+    const converted = param.value !== null ?
+        this.convertParamRawToString(param.address, param.value) :
+        null;
+    if (converted === null) return '';
+    return `<div class="param-converted" id="param-converted-${param.id}">${
+        param.value !== null ? converted : '--'}</div>`;
+  }
 
-      // Pre-select default channel
-      const defNum = defaults[i];
-      const defCh = channels.find(c => c.chNum === defNum);
-      if (defCh) {
-        const hex = `0x${defNum.toString(16).toUpperCase().padStart(2, '0')}`;
-        triggerBtn.dataset.selectedValue = String(defNum);
-        triggerBtn.querySelector('.param-picker-trigger-label').textContent =
-            `${defCh.name} (${hex})`;
-        triggerBtn.classList.add('has-selection');
-      }
+  /**
+   * Update monitoring parameter value in UI
+   */
+  updateMonitoringParamValue(deviceId, paramId, value) {
+    const valueEl = document.getElementById(`param-value-${paramId}`);
+    if (valueEl) {
+      valueEl.textContent = value;
+      valueEl.classList.remove('stale');
+    }
 
-      // Restore persisted settings (overrides defaults)
-      const savedSettings =
-          JSON.parse(localStorage.getItem('chartChSettings') || '{}');
-      const savedCh = savedSettings[i];
-      if (savedCh) {
-        if (savedCh.value != null && savedCh.label) {
-          triggerBtn.dataset.selectedValue = savedCh.value;
-          triggerBtn.querySelector('.param-picker-trigger-label').textContent =
-              savedCh.label;
-          triggerBtn.classList.add('has-selection');
-        }
-        if (typeof savedCh.enabled === 'boolean') {
-          const enableEl = document.getElementById(`chartCh${i + 1}Enable`);
-          if (enableEl) {
-            enableEl.dataset.enabled = String(savedCh.enabled);
-            this.chartManager.setChannelEnabled(i, savedCh.enabled);
-          }
-        }
+    const convertedEl = document.getElementById(`param-converted-${paramId}`);
+    if (convertedEl) {
+      const device = this.devices.find(d => d.id === deviceId);
+      const param = device?.monitoringParams?.find(p => p.id === paramId);
+      if (param) {
+        const converted = this.convertParamRawToString(param.address, value);
+        if (converted !== null) convertedEl.textContent = converted;
       }
     }
   }
 
   /**
-   * Trigger Source CH 피커 초기화.
-   * 채널 목록 상단에 "Immediate" 항목 포함. 기본 선택: Immediate.
+   * Delay utility
    */
-  initTriggerSourcePicker() {
-    const triggerBtn = document.getElementById('triggerSourcePicker');
-    if (!triggerBtn) return;
-
-    // 팝업 생성 — 기존 채널 피커와 동일한 구조
-    const popup = document.createElement('div');
-    popup.className = 'param-picker-popup';
-    popup.id = 'triggerSourcePickerPopup';
-    popup.style.display = 'none';
-
-    // Immediate를 별도 카테고리로 맨 앞에 추가
-    const channelPickerInner = this.generateChannelPickerHTML();
-    // catPanel / paramPanel에 Immediate 항목 삽입
-    const tmpDiv = document.createElement('div');
-    tmpDiv.innerHTML = channelPickerInner;
-    const catPanel = tmpDiv.querySelector('.param-picker-cat-panel');
-    const paramPanel = tmpDiv.querySelector('.param-picker-param-panel');
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
 
-    const immCat = document.createElement('div');
-    immCat.className = 'param-picker-cat-item active';
-    immCat.dataset.group = 'Immediate';
-    immCat.textContent = 'Immediate';
-    catPanel.insertBefore(immCat, catPanel.firstChild);
-    // 기존 첫 번째 카테고리의 active 제거
-    catPanel.querySelectorAll('.param-picker-cat-item:not(:first-child)')
-        .forEach(el => el.classList.remove('active'));
+  // ==================== End Monitoring Parameters Methods ====================
 
-    const immItem = document.createElement('div');
-    immItem.className = 'param-picker-item';
-    immItem.dataset.value = '255';  // 0xFF
-    immItem.dataset.group = 'Immediate';
-    immItem.innerHTML =
-        'Immediate Trigger<span class="param-picker-addr">0xFF</span>';
-    paramPanel.insertBefore(immItem, paramPanel.firstChild);
-    // 기존 아이템들은 Immediate 카테고리가 아니므로 hidden
-    paramPanel.querySelectorAll('.param-picker-item:not(:first-child)')
-        .forEach(el => el.classList.add('hidden-group'));
+  // ========================================
+  // Auto Scan Functions
+  // ========================================
 
-    popup.innerHTML =
-        `<input type="text" class="param-picker-search" placeholder="채널 검색...">`;
-    popup.appendChild(tmpDiv.querySelector('.param-picker-panels'));
-    document.body.appendChild(popup);
+  /**
+   * Initialize Auto Scan UI event listeners
+   */
+  initAutoScanUI() {
+    // Auto scan toggle
+    const autoScanToggle = document.getElementById('autoScanEnabled');
+    const autoScanStatus = document.getElementById('autoScanStatus');
+    if (autoScanToggle) {
+      autoScanToggle.addEventListener('change', () => {
+        this.autoScanEnabled = autoScanToggle.checked;
+        if (autoScanStatus) {
+          autoScanStatus.textContent = this.autoScanEnabled ? '활성' : '비활성';
+          autoScanStatus.classList.toggle('active', this.autoScanEnabled);
+        }
+        this.saveSettings();
+      });
+    }
 
-    // 카테고리 클릭
-    popup.querySelector('.param-picker-cat-panel')
-        .addEventListener('click', (e) => {
-          const cat = e.target.closest('.param-picker-cat-item');
-          if (!cat) return;
-          popup.querySelectorAll('.param-picker-cat-item')
-              .forEach(el => el.classList.remove('active'));
-          cat.classList.add('active');
-          const group = cat.dataset.group;
-          popup.querySelectorAll('.param-picker-item').forEach(item => {
-            item.classList.toggle('hidden-group', item.dataset.group !== group);
-          });
-        });
+    // Scan range inputs
+    const scanRangeStart = document.getElementById('scanRangeStart');
+    const scanRangeEnd = document.getElementById('scanRangeEnd');
+    const scanTimeout = document.getElementById('scanTimeout');
+    const scanRegister = document.getElementById('scanRegister');
 
-    // 아이템 클릭
-    popup.querySelector('.param-picker-param-panel')
-        .addEventListener('click', (e) => {
-          const item = e.target.closest('.param-picker-item');
-          if (!item) return;
-          const addrEl = item.querySelector('.param-picker-addr');
-          const name = item.childNodes[0].textContent.trim();
-          const hex = addrEl ? addrEl.textContent.trim() : '';
-          triggerBtn.dataset.selectedValue = item.dataset.value;
-          triggerBtn.querySelector('.param-picker-trigger-label').textContent =
-              `${name} (${hex})`;
-          triggerBtn.classList.add('has-selection');
-          popup.style.display = 'none';
-        });
+    if (scanRangeStart) {
+      scanRangeStart.addEventListener('change', () => {
+        this.scanRangeStart = parseInt(scanRangeStart.value);
+        this.saveSettings();
+      });
+    }
 
-    // 검색
-    const searchInput = popup.querySelector('.param-picker-search');
-    searchInput.addEventListener('input', () => {
-      const q = searchInput.value.toLowerCase().trim();
-      const catPanelEl = popup.querySelector('.param-picker-cat-panel');
-      if (q) {
-        catPanelEl.style.display = 'none';
-        popup.querySelectorAll('.param-picker-item').forEach(item => {
-          item.classList.toggle(
-              'hidden-group', !item.textContent.toLowerCase().includes(q));
-        });
-      } else {
-        catPanelEl.style.display = '';
-        const activeCat =
-            catPanelEl.querySelector('.param-picker-cat-item.active');
-        const group = activeCat ? activeCat.dataset.group : null;
-        popup.querySelectorAll('.param-picker-item').forEach(item => {
-          item.classList.toggle(
-              'hidden-group', group && item.dataset.group !== group);
-        });
-      }
-    });
+    if (scanRangeEnd) {
+      scanRangeEnd.addEventListener('change', () => {
+        this.scanRangeEnd = parseInt(scanRangeEnd.value);
+        this.saveSettings();
+      });
+    }
 
-    // 버튼 클릭 → 팝업 표시
-    triggerBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const isOpen = popup.style.display !== 'none';
-      document.querySelectorAll('.param-picker-popup').forEach(p => {
-        p.style.display = 'none';
+    if (scanTimeout) {
+      scanTimeout.addEventListener('change', () => {
+        this.scanTimeout = parseInt(scanTimeout.value);
+        this.saveSettings();
       });
-      if (isOpen) return;
-      popup.style.display = 'block';
-      const rect = triggerBtn.getBoundingClientRect();
-      const popupW = 400;
-      const popupH = 280;
-      let left = rect.left;
-      let top = rect.bottom + 4;
-      if (left + popupW > window.innerWidth - 8)
-        left = window.innerWidth - popupW - 8;
-      if (top + popupH > window.innerHeight - 8) top = rect.top - popupH - 4;
-      popup.style.left = left + 'px';
-      popup.style.top = top + 'px';
-      popup.style.width = popupW + 'px';
-      searchInput.value = '';
-      searchInput.dispatchEvent(new Event('input'));
-      setTimeout(() => searchInput.focus(), 50);
-    });
+    }
 
-    popup.addEventListener('click', (e) => e.stopPropagation());
+    if (scanRegister) {
+      scanRegister.addEventListener('change', () => {
+        const value = scanRegister.value.trim();
+        if (value.startsWith('0x') || value.startsWith('0X')) {
+          this.scanRegister = parseInt(value, 16);
+        } else {
+          this.scanRegister = parseInt(value);
+        }
+        this.saveSettings();
+      });
+    }
 
-    document.addEventListener('click', () => {
-      popup.style.display = 'none';
-    });
+    // Manual scan button
+    const manualScanBtn = document.getElementById('manualScanBtn');
+    if (manualScanBtn) {
+      manualScanBtn.addEventListener('click', () => this.startDeviceScan(true));
+    }
 
-    // 기본 선택: Immediate Trigger
-    triggerBtn.dataset.selectedValue = '255';
-    triggerBtn.querySelector('.param-picker-trigger-label').textContent =
-        'Immediate Trigger (0xFF)';
-    triggerBtn.classList.add('has-selection');
-  }
+    // Stop scan button
+    const stopScanBtn = document.getElementById('stopScanBtn');
+    if (stopScanBtn) {
+      stopScanBtn.addEventListener('click', () => this.stopDeviceScan());
+    }
 
-  /**
-   * Parse address string — supports 0xD001, D001 (bare hex), 53249 (dec)
-   * Delegates to parseModbusValue for unified HEX/DEC handling.
-   */
-  parseMonitoringAddress(addressStr) {
-    if (typeof addressStr === 'number') return addressStr;
-    try {
-      return this.parseModbusValue(String(addressStr).trim(), 0, 65535);
-    } catch {
-      return NaN;
+    // Remove not-found devices toggle
+    const scanRemoveNotFoundToggle =
+        document.getElementById('scanRemoveNotFound');
+    const scanRemoveNotFoundStatus =
+        document.getElementById('scanRemoveNotFoundStatus');
+    if (scanRemoveNotFoundToggle) {
+      scanRemoveNotFoundToggle.addEventListener('change', () => {
+        this.scanRemoveNotFound = scanRemoveNotFoundToggle.checked;
+        if (scanRemoveNotFoundStatus) {
+          scanRemoveNotFoundStatus.textContent =
+              this.scanRemoveNotFound ? '활성' : '비활성';
+          scanRemoveNotFoundStatus.classList.toggle(
+              'active', this.scanRemoveNotFound);
+        }
+        this.saveSettings();
+      });
     }
   }
 
   /**
-   * Add monitoring parameter from CSV list
+   * Initialize Serial Port Scan UI event listeners
    */
-  addMonitoringParamFromCSV(deviceId, paramValue) {
-    if (!paramValue) return;
-
-    const device = this.devices.find(d => d.id === deviceId);
-    if (!device) return;
-
-    const [type, addressStr] = paramValue.split(':');
-    const address = this.parseMonitoringAddress(addressStr);
+  initSerialPortScanUI() {
+    const startBtn = document.getElementById('spScanStartBtn');
+    const stopBtn = document.getElementById('spScanStopBtn');
+    if (startBtn)
+      startBtn.addEventListener('click', () => this.startSerialPortScan());
+    if (stopBtn)
+      stopBtn.addEventListener('click', () => this.stopSerialPortScan());
+  }
 
-    if (!device.monitoringParams) {
-      device.monitoringParams = [];
+  /**
+   * Scan through serial port setting combinations (baudRate × parity ×
+   * stopBits) and run device scan on each combination.
+   */
+  async startSerialPortScan() {
+    if (!this.isConnected || !this.port) {
+      this.showToast('시리얼 포트에 먼저 연결하세요', 'warning');
+      return;
+    }
+    if (this.isScanning || this.serialPortScanActive) {
+      this.showToast('이미 스캔 중입니다', 'warning');
+      return;
     }
 
-    // Check for duplicates
-    if (device.monitoringParams.some(
-            p => p.type === type && p.address === address)) {
-      this.showToast('이미 존재하는 파라미터입니다', 'warning');
+    // Collect selected options
+    const baudRates =
+        [...document.querySelectorAll('.spScan-baudRate:checked')].map(
+            e => parseInt(e.value));
+    const parities =
+        [...document.querySelectorAll('.spScan-parity:checked')].map(
+            e => e.value);
+    const stopBitOpts =
+        [...document.querySelectorAll('.spScan-stopBits:checked')].map(
+            e => parseInt(e.value));
+
+    if (!baudRates.length || !parities.length || !stopBitOpts.length) {
+      this.showToast('스캔할 설정을 최소 하나씩 선택하세요', 'warning');
       return;
     }
 
-    // Find name from parameters
-    const csvParam = this.parameters.find(
-        p => p.type === type &&
-            this.parseMonitoringAddress(p.address) === address);
+    // Build all combinations
+    const combos = [];
+    for (const baud of baudRates)
+      for (const parity of parities)
+        for (const stop of stopBitOpts)
+          combos.push({baudRate: baud, parity, stopBits: stop});
 
-    const newParam = {
-      id: 'param_' + Date.now(),
-      type: type,
-      address: address,
-      name: csvParam?.name || `Register ${addressStr}`,
-      value: null,
-      lastRead: null,
-      source: 'csv'
-    };
+    // Save original settings to restore after scan
+    const origBaud =
+        parseInt(document.getElementById('sidebar-baudRate')?.value) || 19200;
+    const origParity =
+        document.getElementById('sidebar-parity')?.value || 'even';
+    const origStop =
+        parseInt(document.getElementById('sidebar-stopBits')?.value) || 1;
 
-    device.monitoringParams.push(newParam);
-    this.saveDevices();
-    this.renderMonitoringParams(deviceId);
-    this.showToast(`${newParam.name} 추가되었습니다`, 'success');
-  }
+    this.serialPortScanActive = true;
+    this.scanAborted = false;
 
-  /**
-   * Add monitoring parameter manually
-   */
-  addMonitoringParamManual(deviceId, type, addressStr, name) {
-    const device = this.devices.find(d => d.id === deviceId);
-    if (!device) return;
+    const startBtn = document.getElementById('spScanStartBtn');
+    const stopBtn = document.getElementById('spScanStopBtn');
+    const progressWrap = document.getElementById('spScanProgress');
+    const progressBar = document.getElementById('spScanProgressBar');
+    const progressText = document.getElementById('spScanProgressText');
+    const resultsDiv = document.getElementById('spScanResults');
+    const resultsList = document.getElementById('spScanResultsList');
 
-    const address = this.parseMonitoringAddress(addressStr);
-    if (isNaN(address)) {
-      this.showToast('주소 형식이 올바르지 않습니다', 'error');
-      return;
-    }
+    if (startBtn) startBtn.disabled = true;
+    if (stopBtn) stopBtn.disabled = false;
+    if (progressWrap) progressWrap.style.display = 'block';
+    if (resultsDiv) resultsDiv.style.display = 'none';
+    if (progressBar) progressBar.style.width = '0%';
 
-    if (!device.monitoringParams) {
-      device.monitoringParams = [];
+    const allResults = [];  // { baudRate, parity, stopBits, foundIds, error? }
+
+    for (let i = 0; i < combos.length; i++) {
+      if (this.scanAborted) break;
+
+      const {baudRate, parity, stopBits} = combos[i];
+      const pct = Math.round((i / combos.length) * 100);
+      if (progressBar) progressBar.style.width = `${pct}%`;
+      if (progressText)
+        progressText.textContent = `(${i + 1}/${combos.length}) ${
+            baudRate} bps · ${parity} · Stop ${stopBits} — 스캔 중...`;
+
+      try {
+        await this.reconnectSerial(
+            baudRate, parity, stopBits, true /* silent */);
+        await new Promise(r => setTimeout(r, 300));  // 포트 안정화 대기
+        const foundIds = await this._scanAllSlaveIds();
+        allResults.push({baudRate, parity, stopBits, foundIds});
+      } catch (e) {
+        allResults.push(
+            {baudRate, parity, stopBits, foundIds: [], error: e.message});
+      }
     }
 
-    // Check for duplicates
-    if (device.monitoringParams.some(
-            p => p.type === type && p.address === address)) {
-      this.showToast('이미 존재하는 파라미터입니다', 'warning');
-      return;
+    // 원래 설정으로 복원
+    try {
+      if (progressText) progressText.textContent = '원래 설정으로 복원 중...';
+      await this.reconnectSerial(origBaud, origParity, origStop, true);
+    } catch (e) {
+      this.showToast(`원래 설정 복원 실패: ${e.message}`, 'error');
     }
 
-    const newParam = {
-      id: 'param_' + Date.now(),
-      type: type,
-      address: address,
-      name: name || `Register 0x${address.toString(16).toUpperCase()}`,
-      value: null,
-      lastRead: null,
-      source: 'manual'
-    };
+    this.serialPortScanActive = false;
+    if (startBtn) startBtn.disabled = false;
+    if (stopBtn) stopBtn.disabled = true;
+    if (progressBar) progressBar.style.width = '100%';
 
-    device.monitoringParams.push(newParam);
-    this.saveDevices();
-    this.renderMonitoringParams(deviceId);
-    this.showToast(`${newParam.name} 추가되었습니다`, 'success');
+    const successResults = allResults.filter(r => r.foundIds.length > 0);
+    if (progressText)
+      progressText.textContent = this.scanAborted ?
+          `스캔 중단 — 장치 발견된 설정: ${successResults.length}개` :
+          `스캔 완료 — 장치 발견된 설정: ${successResults.length}개`;
+
+    // 결과 표시
+    if (resultsDiv && resultsList) {
+      resultsDiv.style.display = 'block';
+      if (allResults.length === 0 || successResults.length === 0) {
+        resultsList.innerHTML =
+            '<p style="color:#6c757d;">어떤 설정에서도 장치를 찾지 못했습니다.</p>';
+      } else {
+        resultsList.innerHTML =
+            allResults
+                .map(r => {
+                  const label =
+                      `${r.baudRate} bps · ${r.parity} · Stop ${r.stopBits}`;
+                  if (r.error) {
+                    return `<div style="padding:8px;margin-bottom:5px;border-radius:4px;background:white;border:1px solid #f5c6cb;color:#721c24;">
+                            <strong>${label}</strong> — 오류: ${r.error}
+                        </div>`;
+                  }
+                  if (r.foundIds.length === 0) return '';
+                  const idList = r.foundIds.map(id => `ID ${id}`).join(', ');
+                  return `<div style="display:flex;justify-content:space-between;align-items:center;padding:8px;margin-bottom:5px;border-radius:4px;background:white;border:1px solid #c3e6cb;">
+                        <div>
+                            <strong style="color:#155724;">${
+                      label}</strong><br>
+                            <span style="font-size:12px;color:#6c757d;">발견된 장치: ${
+                      idList}</span>
+                        </div>
+                        <button class="btn btn-sm btn-primary spScan-applyBtn"
+                            data-baud="${r.baudRate}" data-parity="${
+                      r.parity}" data-stop="${r.stopBits}">
+                            이 설정 적용
+                        </button>
+                    </div>`;
+                })
+                .filter(Boolean)
+                .join('') ||
+            '<p style="color:#6c757d;">장치를 발견한 설정이 없습니다.</p>';
+
+        // "이 설정 적용" 버튼 리스너
+        resultsList.querySelectorAll('.spScan-applyBtn').forEach(btn => {
+          btn.addEventListener('click', async () => {
+            const baud = parseInt(btn.dataset.baud);
+            const parity = btn.dataset.parity;
+            const stop = parseInt(btn.dataset.stop);
+            await this.reconnectSerial(baud, parity, stop);
+            if (this.autoScanEnabled) {
+              setTimeout(() => this.startDeviceScan(true), 500);
+            }
+          });
+        });
+      }
+    }
+
+    this.showToast(
+        successResults.length > 0 ?
+            `포트 스캔 완료: ${successResults.length}개 설정에서 장치 발견` :
+            '포트 스캔 완료: 장치를 찾지 못했습니다',
+        successResults.length > 0 ? 'success' : 'info');
   }
 
   /**
-   * Remove monitoring parameter
+   * Abort an in-progress serial port scan
    */
-  removeMonitoringParam(deviceId, paramId) {
-    const device = this.devices.find(d => d.id === deviceId);
-    if (!device || !device.monitoringParams) return;
-
-    const paramIndex = device.monitoringParams.findIndex(p => p.id === paramId);
-    if (paramIndex === -1) return;
-
-    const paramName = device.monitoringParams[paramIndex].name;
-    device.monitoringParams.splice(paramIndex, 1);
+  stopSerialPortScan() {
+    if (!this.serialPortScanActive) return;
+    this.scanAborted = true;
+    this.showToast('포트 스캔을 중단합니다...', 'info');
+  }
 
-    this.saveDevices();
-    this.renderMonitoringParams(deviceId);
-    this.showToast(`${paramName} 삭제되었습니다`, 'info');
+  /**
+   * Internal: scan all slave IDs in the configured range, return array of found
+   * IDs. Does NOT update the device list or show scan UI.
+   */
+  async _scanAllSlaveIds() {
+    this.isScanning = true;
+    const found = [];
+    for (let slaveId = this.scanRangeStart; slaveId <= this.scanRangeEnd;
+         slaveId++) {
+      if (this.scanAborted) break;
+      const response = await this.scanSlaveId(slaveId);
+      if (response !== null) found.push(slaveId);
+    }
+    this.isScanning = false;
+    return found;
   }
 
   /**
-   * Render monitoring parameters list
+   * Initialize bus-wide baud/parity migration UI
    */
-  renderMonitoringParams(deviceId) {
-    const device = this.devices.find(d => d.id === deviceId);
-    if (!device) return;
-
-    const element = document.querySelector(`.device-card[data-device-id="${
-        deviceId}"], .device-list-item[data-device-id="${deviceId}"]`);
-    if (!element) return;
-
-    const listContainer = element.querySelector('.monitoring-params-list');
-    const countBadge = element.querySelector('.monitoring-count');
-
-    if (!listContainer) return;
+  initBusMigrationUI() {
+    const menuItem = document.querySelector(
+        '.settings-menu-item[data-setting="bus-migration"]');
+    if (menuItem)
+      menuItem.addEventListener(
+          'click', () => this.renderBusMigrationDevices());
 
-    const params = device.monitoringParams || [];
+    const startBtn = document.getElementById('busMigStartBtn');
+    if (startBtn)
+      startBtn.addEventListener('click', () => this.startBusMigration());
+  }
 
-    if (countBadge) {
-      countBadge.textContent = `(${params.length})`;
-    }
+  /**
+   * 마이그레이션 대상 장치 체크박스 목록 (등록된 장치)
+   */
+  renderBusMigrationDevices() {
+    const list = document.getElementById('busMigDeviceList');
+    if (!list) return;
 
-    if (params.length === 0) {
-      listContainer.innerHTML = `
-                <div class="monitoring-empty">
-                    No monitoring parameters.<br>
-                    Add parameters below.
-                </div>
-            `;
+    const devices = this.devices.filter(d => d.slaveId !== 0);
+    if (devices.length === 0) {
+      list.innerHTML =
+          '<p style="color:#6c757d;margin:0;">등록된 장치가 없습니다. 먼저 Auto Scan으로 장치를 추가하세요.</p>';
       return;
     }
 
-    listContainer.innerHTML =
-        params
-            .map(
-                param => `
-            <div class="monitoring-param-item" data-param-id="${param.id}">
-                <div class="param-info">
-                    <span class="param-name">${param.name}</span>
-                    <span class="param-address">${
-                    param.type === 'holding' ? 'H' : 'I'}:0x${
-                    param.address.toString(16).toUpperCase()}</span>
-                </div>
-                <div class="param-value-wrapper">
-                    <div class="param-value ${
-                    param.value === null ? 'stale' :
-                                           ''}" id="param-value-${param.id}">
-                        ${param.value !== null ? param.value : '--'}
-                    </div>
-                    ${this.getParamConvertedHTML(param)}
-                </div>
-                <button class="param-remove-btn" data-device-id="${
-                    deviceId}" data-param-id="${
-                    param.id}" title="Remove">×</button>
-            </div>
-        `).join('');
-
-    // Re-attach remove button listeners
-    listContainer.querySelectorAll('.param-remove-btn').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        const dId = parseInt(btn.dataset.deviceId);
-        const pId = btn.dataset.paramId;
-        this.removeMonitoringParam(dId, pId);
-      });
-    });
+    list.innerHTML =
+        devices
+            .map(d => `<label style="display:flex;align-items:center;gap:5px;font-weight:normal;cursor:pointer;">
+                    <input type="checkbox" class="busMig-device" value="${
+                     d.slaveId}" checked> ${d.name || 'Device'} (ID ${
+                     d.slaveId})</label>`)
+            .join('');
   }
 
   /**
-   * Render monitoring parameters HTML (for initial card creation)
+   * 마이그레이션 진행 로그 한 줄 추가
    */
-  renderMonitoringParamsHTML(params) {
-    if (!params || params.length === 0) {
-      return `<div class="monitoring-empty">
-                No monitoring parameters.<br>
-                Add parameters below.
-            </div>`;
+  addBusMigrationLog(message, type = 'info') {
+    const log = document.getElementById('busMigLog');
+    const colors =
+        {info: '#495057', success: '#155724', warning: '#856404', error: '#721c24'};
+    if (log) {
+      const line = document.createElement('div');
+      line.style.color = colors[type] || colors.info;
+      line.textContent = `[${new Date().toLocaleTimeString()}] ${message}`;
+      log.appendChild(line);
+      log.scrollTop = log.scrollHeight;
     }
-
-    return params
-        .map(
-            param => `
-            <div class="monitoring-param-item" data-param-id="${param.id}">
-                <div class="param-info">
-                    <span class="param-name">${param.name}</span>
-                    <span class="param-address">${
-                param.type === 'holding' ?
-                    'H' :
-                    'I'}:0x${param.address.toString(16).toUpperCase()}</span>
-                </div>
-                <div class="param-value-wrapper">
-                    <div class="param-value ${
-                param.value === null ? 'stale' :
-                                       ''}" id="param-value-${param.id}">
-                        ${param.value !== null ? param.value : '--'}
-                    </div>
-                    ${this.getParamConvertedHTML(param)}
-                </div>
-                <button class="param-remove-btn" title="Remove">×</button>
-            </div>
-        `)
-        .join('');
+    this.addMonitorEntry(
+        type === 'error' ? 'error' : 'received', `[Bus Migration] ${message}`);
   }
 
   /**
-   * Setup monitoring section event listeners
+   * Web Serial 설정 → 0xD149/0xD14A 코드 (표현 불가능한 조합이면 null)
    */
-  setupMonitoringEventListeners(card, deviceId) {
-    // Header click - toggle
-    const header = card.querySelector('.monitoring-header');
-    if (header) {
-      header.addEventListener(
-          'click', () => this.toggleMonitoringSection(deviceId));
-    }
-
-    // Tab switching
-    const tabs = card.querySelectorAll('.add-tab');
-    tabs.forEach(tab => {
-      tab.addEventListener('click', () => {
-        const tabName = tab.dataset.tab;
-
-        card.querySelectorAll('.add-tab')
-            .forEach(t => t.classList.remove('active'));
-        tab.classList.add('active');
-
-        card.querySelectorAll('.add-tab-content').forEach(c => {
-          c.classList.toggle('active', c.dataset.tab === tabName);
-        });
-      });
-    });
-
-    // Param picker popup
-    const triggerBtn = card.querySelector('.param-picker-trigger');
-    if (triggerBtn) {
-      // Remove stale popup for this device if any
-      document
-          .querySelectorAll(`.param-picker-popup[data-device-id="${deviceId}"]`)
-          .forEach(p => p.remove());
-
-      // Create popup and append to body
-      const popup = document.createElement('div');
-      popup.className = 'param-picker-popup';
-      popup.dataset.deviceId = deviceId;
-      popup.style.display = 'none';
-      popup.innerHTML = `
-                <input type="text" class="param-picker-search" placeholder="파라미터 검색...">
-                ${this.generateParamPickerHTML()}
-            `;
-      document.body.appendChild(popup);
-
-      // Category click
-      popup.querySelector('.param-picker-cat-panel')
-          .addEventListener('click', (e) => {
-            const cat = e.target.closest('.param-picker-cat-item');
-            if (!cat) return;
-            popup.querySelectorAll('.param-picker-cat-item')
-                .forEach(el => el.classList.remove('active'));
-            cat.classList.add('active');
-            const group = cat.dataset.group;
-            popup.querySelectorAll('.param-picker-item').forEach(item => {
-              item.classList.toggle(
-                  'hidden-group', item.dataset.group !== group);
-            });
-          });
-
-      // Item click → store value, update trigger label, close popup
-      popup.querySelector('.param-picker-param-panel')
-          .addEventListener('click', (e) => {
-            const item = e.target.closest('.param-picker-item');
-            if (!item) return;
-            const addrEl = item.querySelector('.param-picker-addr');
-            const name = item.childNodes[0].textContent.trim();
-            const addr = addrEl ? addrEl.textContent.trim() : '';
-            triggerBtn.dataset.selectedValue = item.dataset.value;
-            triggerBtn.querySelector('.param-picker-trigger-label')
-                .textContent = `${name} (${addr})`;
-            triggerBtn.classList.add('has-selection');
-            popup.style.display = 'none';
-          });
-
-      // Search filter
-      const searchInput = popup.querySelector('.param-picker-search');
-      searchInput.addEventListener('input', () => {
-        const q = searchInput.value.toLowerCase().trim();
-        const catPanelEl = popup.querySelector('.param-picker-cat-panel');
-        if (q) {
-          catPanelEl.style.display = 'none';
-          popup.querySelectorAll('.param-picker-item').forEach(item => {
-            item.classList.toggle(
-                'hidden-group', !item.textContent.toLowerCase().includes(q));
-          });
-        } else {
-          catPanelEl.style.display = '';
-          const activeCat =
-              catPanelEl.querySelector('.param-picker-cat-item.active');
-          const group = activeCat ? activeCat.dataset.group : null;
-          popup.querySelectorAll('.param-picker-item').forEach(item => {
-            item.classList.toggle(
-                'hidden-group', group && item.dataset.group !== group);
-          });
-        }
-      });
+  lineCodesFromSerial({baudRate, parity, stopBits}) {
+    const baudCode = LINE_BAUD_CODES.indexOf(baudRate);
+    const framingCode = LINE_FRAMING_CODES.findIndex(
+        f => f.parity === parity && f.stopBits === stopBits);
+    if (baudCode < 0 || framingCode < 0) return null;
+    return {baudCode, framingCode};
+  }
 
-      // Trigger click → position and show popup
-      triggerBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        const isOpen = popup.style.display !== 'none';
-        // Close all other open popups
-        document.querySelectorAll('.param-picker-popup').forEach(p => {
-          p.style.display = 'none';
-        });
-        if (isOpen) return;
+  /**
+   * 0xD149/0xD14A 코드 → Web Serial 설정
+   */
+  serialFromLineCodes(baudCode, framingCode) {
+    const framing = LINE_FRAMING_CODES[framingCode];
+    return {
+      baudRate: LINE_BAUD_CODES[baudCode],
+      parity: framing.parity,
+      stopBits: framing.stopBits,
+      baudCode,
+      framingCode
+    };
+  }
 
-        popup.style.display = 'block';
-        const rect = triggerBtn.getBoundingClientRect();
-        const popupW = 400;
-        const popupH = 280;
-        let left = rect.left;
-        let top = rect.bottom + 4;
-        if (left + popupW > window.innerWidth - 8)
-          left = window.innerWidth - popupW - 8;
-        if (top + popupH > window.innerHeight - 8) top = rect.top - popupH - 4;
-        popup.style.left = left + 'px';
-        popup.style.top = top + 'px';
-        popup.style.width = popupW + 'px';
+  /**
+   * 통신 설정 표시 문자열 (예: 19200 bps · 8E1)
+   */
+  formatLineSettings(line) {
+    const framingCode = line.framingCode ??
+        this.lineCodesFromSerial(line)?.framingCode;
+    const framing = LINE_FRAMING_CODES[framingCode];
+    return `${line.baudRate} bps · ${
+        framing ? framing.label : `${line.parity}/Stop${line.stopBits}`}`;
+  }
 
-        // Reset search
-        searchInput.value = '';
-        searchInput.dispatchEvent(new Event('input'));
-        setTimeout(() => searchInput.focus(), 50);
-      });
+  /**
+   * Bus-wide baud rate / parity migration
+   * 1. 선택된 모든 장치에 0xD149/0xD14A Write + Read back 확인 + EEPROM 저장
+   * 2. SW Reset (0xD000 ← 0x0008) — 재부팅 후 새 설정 적용
+   * 3. 새 설정으로 포트 재오픈 후 모든 장치 응답 확인
+   * 4. 하나라도 실패하면 이전된 장치를 원래 설정으로 롤백, 응답 없는 장치는
+   *    포트 스캔 방식(설정 조합 순회)으로 찾아서 롤백
+   */
+  async startBusMigration() {
+    if (!this.isConnected || !this.port) {
+      this.showToast('시리얼 포트에 먼저 연결하세요', 'warning');
+      return;
+    }
+    if (this.simulatorEnabled) {
+      this.showToast(
+          '직접 응답 시뮬레이터 모드에서는 통신 설정을 바꿀 수 없습니다 — 가상 시리얼 포트로 연결하세요',
+          'warning');
+      return;
+    }
+    if (this.busMigrationActive || this.isScanning ||
+        this.serialPortScanActive) {
+      this.showToast('이미 스캔 또는 마이그레이션이 진행 중입니다', 'warning');
+      return;
+    }
 
-      // Stop popup click from bubbling to document
-      popup.addEventListener('click', (e) => e.stopPropagation());
+    const slaveIds =
+        [...document.querySelectorAll('.busMig-device:checked')].map(
+            e => parseInt(e.value));
+    if (slaveIds.length === 0) {
+      this.showToast('마이그레이션할 장치를 선택하세요', 'warning');
+      return;
+    }
 
-      // Close on outside click
-      document.addEventListener('click', () => {
-        popup.style.display = 'none';
-      });
+    const oldSerial = {
+      baudRate: parseInt(document.getElementById('sidebar-baudRate')?.value) ||
+          DEFAULT_SERIAL.baudRate,
+      parity: document.getElementById('sidebar-parity')?.value ||
+          DEFAULT_SERIAL.parity,
+      stopBits: parseInt(document.getElementById('sidebar-stopBits')?.value) ||
+          DEFAULT_SERIAL.stopBits
+    };
+    const oldCodes = this.lineCodesFromSerial(oldSerial);
+    if (!oldCodes) {
+      this.showToast(
+          '현재 포트 설정은 드라이브가 지원하지 않는 조합이라 롤백할 수 없습니다',
+          'error');
+      return;
     }
+    const oldLine =
+        this.serialFromLineCodes(oldCodes.baudCode, oldCodes.framingCode);
+    const newLine = this.serialFromLineCodes(
+        parseInt(document.getElementById('busMigBaud').value),
+        parseInt(document.getElementById('busMigFraming').value));
 
-    // Add from CSV
-    const addCsvBtn = card.querySelector('.add-param-btn');
-    if (addCsvBtn) {
-      addCsvBtn.addEventListener('click', () => {
-        const value = triggerBtn ? triggerBtn.dataset.selectedValue : null;
-        if (!value) return;
-        this.addMonitoringParamFromCSV(deviceId, value);
-        if (triggerBtn) {
-          triggerBtn.dataset.selectedValue = '';
-          triggerBtn.querySelector('.param-picker-trigger-label').textContent =
-              '파라미터 선택...';
-          triggerBtn.classList.remove('has-selection');
-        }
-      });
+    if (newLine.baudCode === oldLine.baudCode &&
+        newLine.framingCode === oldLine.framingCode) {
+      this.showToast('현재 설정과 동일합니다', 'info');
+      return;
+    }
+    if (!confirm(`${slaveIds.length}개 장치의 통신 설정을 ${
+            this.formatLineSettings(oldLine)} → ${
+            this.formatLineSettings(
+                newLine)}(으)로 변경합니다.\n진행 중에는 버스 통신이 중단됩니다. 계속하시겠습니까?`)) {
+      return;
     }
 
-    // Manual address: live HEX/DEC conversion display
-    const manualAddrInput = card.querySelector('.manual-address');
-    const manualAddrConverted = card.querySelector('.manual-address-converted');
-    if (manualAddrInput && manualAddrConverted) {
-      manualAddrInput.addEventListener('input', () => {
-        this.updateConvertedValueEl(
-            manualAddrInput, manualAddrConverted, 0, 65535);
-      });
+    const startBtn = document.getElementById('busMigStartBtn');
+    const log = document.getElementById('busMigLog');
+    if (startBtn) startBtn.disabled = true;
+    if (log) {
+      log.innerHTML = '';
+      log.style.display = 'block';
     }
 
-    // Add manually
-    const addManualBtn = card.querySelector('.add-manual-btn');
-    if (addManualBtn) {
-      addManualBtn.addEventListener('click', () => {
-        const type = card.querySelector('.manual-type').value;
-        const address = card.querySelector('.manual-address').value;
-        const name = card.querySelector('.manual-name').value;
+    this.busMigrationActive = true;
+    this.stopAutoPolling(true);
 
-        this.addMonitoringParamManual(deviceId, type, address, name);
+    let result;
+    try {
+      result = await this._runBusMigration(slaveIds, oldLine, newLine);
+    } catch (e) {
+      result = {ok: false, message: e.message};
+      this.addBusMigrationLog(`중단: ${e.message}`, 'error');
+    }
 
-        card.querySelector('.manual-address').value = '';
-        card.querySelector('.manual-name').value = '';
-        if (manualAddrConverted) manualAddrConverted.textContent = '';
-      });
+    this.busMigrationActive = false;
+    if (startBtn) startBtn.disabled = false;
+    if (this.isConnected && this.currentPage === 'dashboard') {
+      this.startAutoPolling();
     }
 
-    // Remove buttons
-    card.querySelectorAll('.param-remove-btn').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        const paramItem = btn.closest('.monitoring-param-item');
-        const paramId = paramItem.dataset.paramId;
-        this.removeMonitoringParam(deviceId, paramId);
-      });
-    });
+    this.addBusMigrationLog(result.message, result.ok ? 'success' : 'error');
+    this.showToast(result.message, result.ok ? 'success' : 'error');
   }
 
   /**
-   * Poll monitoring parameters for a device
+   * Migration body — returns {ok, message}
    */
-  async pollMonitoringParams(device) {
-    if (!device.monitoringParams || device.monitoringParams.length === 0)
-      return;
-
-    for (const param of device.monitoringParams) {
-      try {
-        let value = null;
+  async _runBusMigration(slaveIds, oldLine, newLine) {
+    const oldLabel = this.formatLineSettings(oldLine);
+    const newLabel = this.formatLineSettings(newLine);
+    this.addBusMigrationLog(`대상: ID ${slaveIds.join(', ')} — ${oldLabel} → ${
+        newLabel}`);
 
-        if (param.type === 'lsm') {
-          // CANopen MEI (FC 0x2B) — 폴링 루프 내부이므로 직접 전송 가능
-          const paramFrame =
-              this.modbus.buildCANopenUpload(device.slaveId, param.address, 0);
-          const result =
-              await this.sendCANopenAndWaitResponse(paramFrame, device.slaveId);
-          value = result?.value ?? null;
-        } else {
-          // Direct sendAndWaitResponse — bypasses queue since we are inside the
-          // polling loop.
-          const paramFrame = param.type === 'input' ?
-              this.modbus.buildReadInputRegisters(
-                  device.slaveId, param.address, 1) :
-              this.modbus.buildReadHoldingRegisters(
-                  device.slaveId, param.address, 1);
-          value = await this.sendAndWaitResponse(paramFrame, device.slaveId);
+    // ── 1. 설정 Write + Read back + EEPROM 저장 ─────────────────────────────
+    const written = [];
+    for (const slaveId of slaveIds) {
+      const ok = await this._writeLineSettings(slaveId, newLine);
+      if (!ok) {
+        this.addBusMigrationLog(
+            `ID ${slaveId}: 설정 Write/확인 실패 — 리셋 전 단계에서 중단`,
+            'error');
+        // 아직 리셋 전이므로 원래 값만 되돌리면 됨 — 실패한 장치도 0xD149 등이
+        // 이미 쓰였을 수 있으므로 함께 되돌린다
+        const unreverted = [];
+        for (const id of [...written, slaveId]) {
+          if (!await this._writeLineSettings(id, oldLine)) {
+            this.addBusMigrationLog(`ID ${id}: 롤백 Write 실패`, 'error');
+            unreverted.push(id);
+          }
+        }
+        if (unreverted.length) {
+          return {
+            ok: false,
+            message: `ID ${slaveId} 설정 실패 — 롤백 불완전: ID ${
+                unreverted.join(', ')} 설정 확인 필요 (리셋 후 ${
+                newLabel} 적용 가능)`
+          };
         }
+        return {
+          ok: false,
+          message: `ID ${slaveId} 설정 실패 — 마이그레이션 취소 (원래 설정 복원)`
+        };
+      }
+      written.push(slaveId);
+      this.addBusMigrationLog(`ID ${slaveId}: 0xD149=${
+          newLine.baudCode}, 0xD14A=${newLine.framingCode} Write + EEPROM 저장`);
+    }
 
-        if (value !== null) {
-          param.value = value;
-          param.lastRead = Date.now();
-          this.updateMonitoringParamValue(device.id, param.id, value);
+    // ── 2. SW Reset ─────────────────────────────────────────────────────────
+    await this._resetDevicesForLineChange(slaveIds);
+
+    // ── 3. 새 설정으로 재접속 후 응답 확인 ──────────────────────────────────
+    this.addBusMigrationLog(`포트 재접속: ${newLabel}`);
+    await this.reconnectSerial(
+        newLine.baudRate, newLine.parity, newLine.stopBits, true);
+    const migrated = await this._verifyLineSettings(slaveIds, newLine);
+    const missing = slaveIds.filter(id => !migrated.includes(id));
+
+    if (missing.length === 0) {
+      this._updateDeviceLineSettings(slaveIds, newLine);
+      this.showToast(`재접속 완료: ${newLabel}`, 'success');
+      return {
+        ok: true,
+        message: `마이그레이션 완료 — ${slaveIds.length}개 장치 ${newLabel}`
+      };
+    }
+
+    // ── 4. 롤백 ─────────────────────────────────────────────────────────────
+    this.addBusMigrationLog(
+        `응답 없음: ID ${missing.join(', ')} — 원래 설정으로 롤백`, 'warning');
+
+    for (const slaveId of migrated) {
+      if (!await this._writeLineSettings(slaveId, oldLine)) {
+        this.addBusMigrationLog(`ID ${slaveId}: 롤백 Write 실패`, 'error');
+      }
+    }
+    if (migrated.length) await this._resetDevicesForLineChange(migrated);
+
+    this.addBusMigrationLog(`포트 재접속: ${oldLabel}`);
+    await this.reconnectSerial(
+        oldLine.baudRate, oldLine.parity, oldLine.stopBits, true);
+    let restored = await this._verifyLineSettings(slaveIds, oldLine);
+    let stragglers = slaveIds.filter(id => !restored.includes(id));
+
+    // 원래/새 설정 어디에도 없는 장치 — 설정 조합을 순회하며 탐색
+    if (stragglers.length) {
+      this.addBusMigrationLog(
+          `ID ${stragglers.join(', ')}: 원래 설정에서 응답 없음 — 설정 조합 탐색`,
+          'warning');
+      const found = await this._probeLineSettings(stragglers, newLine);
+
+      for (const [slaveId, line] of found) {
+        this.addBusMigrationLog(`ID ${slaveId}: ${
+            this.formatLineSettings(line)}에서 발견 — 롤백`);
+        await this.reconnectSerial(
+            line.baudRate, line.parity, line.stopBits, true);
+        if (await this._writeLineSettings(slaveId, oldLine)) {
+          await this._resetDevicesForLineChange([slaveId]);
+        } else {
+          this.addBusMigrationLog(`ID ${slaveId}: 롤백 Write 실패`, 'error');
         }
-      } catch (error) {
-        console.warn(
-            `Failed to read param ${param.name} for device ${device.id}:`,
-            error);
       }
 
-      // Small delay between parameters
-      await this.delay(this.paramPollingDelay);
+      await this.reconnectSerial(
+          oldLine.baudRate, oldLine.parity, oldLine.stopBits, true);
+      restored = await this._verifyLineSettings(slaveIds, oldLine);
+      stragglers = slaveIds.filter(id => !restored.includes(id));
+    }
+
+    this._updateDeviceLineSettings(restored, oldLine);
+    if (stragglers.length) {
+      return {
+        ok: false,
+        message: `롤백 불완전 — ID ${
+            stragglers.join(', ')} 응답 없음 (Port Scan으로 확인 필요)`
+      };
     }
+    return {
+      ok: false,
+      message: `마이그레이션 실패 (ID ${missing.join(', ')}) — 전체 장치 ${
+          oldLabel}(으)로 롤백 완료`
+    };
   }
 
   /**
-   * Read Input Register with timeout (Function Code 4)
+   * 0xD149/0xD14A Write → Read back 확인 → EEPROM 저장 (0x2000 ← 0x5555)
+   * @returns {Promise<boolean>}
    */
-  async readInputRegisterWithTimeout(slaveId, address) {
-    const frame = this.modbus.buildReadInputRegisters(slaveId, address, 1);
+  async _writeLineSettings(slaveId, line) {
+    await this.writeHoldingRegister(slaveId, 0xD149, line.baudCode);
+    await this.writeHoldingRegister(slaveId, 0xD14A, line.framingCode);
 
-    if (this.simulatorEnabled) {
-      const originalSlaveId = this.simulator.slaveId;
-      this.simulator.slaveId = slaveId;
-      this.stats.requests++;
-      this.updateStatsDisplay();
+    // writeRegister는 Exception/Timeout에도 resolve — Read back으로 판정
+    const baud = await this.readRegisterWithTimeout(slaveId, 0xD149);
+    const framing = await this.readRegisterWithTimeout(slaveId, 0xD14A);
+    if (baud !== line.baudCode || framing !== line.framingCode) return false;
 
-      const response = await this.simulator.processRequest(frame);
-      this.simulator.slaveId = originalSlaveId;
+    await this.writeHoldingRegister(slaveId, 0x2000, 0x5555);
+    return true;
+  }
 
-      if (response && response.length >= 5 && (response[1] & 0x80) === 0) {
-        this.stats.success++;
-        this.updateStatsDisplay();
-        return (response[3] << 8) | response[4];
-      } else {
-        this.stats.errors++;
-        this.updateStatsDisplay();
-        return null;
-      }
-    } else if (this.writer) {
-      if (this.autoPollingTimer || this._isFc64Active ||
-          this.ovPollingRunning) {
-        // Polling 중이거나 FC64 차트 / OV 폴링이 버스를 점유 중이면 큐에 등록
-        return new Promise((resolve, reject) => {
-          this.commandQueue.push({
-            type: 'read',
-            frame,
-            slaveId,
-            address,
-            resolve,
-            reject,
-            tabSeq: this._tabSeq
-          });
-        });
-      }
-      return await this.sendAndWaitResponse(frame, slaveId);
+  /**
+   * SW Reset (0xD000 ← 0x0008) 후 재부팅 대기 — 재부팅 시 0xD149/0xD14A 적용
+   */
+  async _resetDevicesForLineChange(slaveIds) {
+    for (const slaveId of slaveIds) {
+      await this.writeHoldingRegister(slaveId, 0xD000, 0x0008);
     }
+    this.addBusMigrationLog(`SW Reset: ID ${slaveIds.join(', ')} — 재부팅 대기 (3초)`);
+    await new Promise(r => setTimeout(r, 3000));
+  }
 
-    return null;
+  /**
+   * 현재 포트 설정에서 응답하고 0xD149/0xD14A가 일치하는 장치 ID 목록
+   * (재부팅 직후 지연 대비 최대 3회 시도)
+   */
+  async _verifyLineSettings(slaveIds, line) {
+    const answered = [];
+    for (const slaveId of slaveIds) {
+      for (let attempt = 1; attempt <= 3; attempt++) {
+        const baud = await this.readRegisterWithTimeout(slaveId, 0xD149);
+        if (baud !== null && baud !== undefined) {
+          const framing = await this.readRegisterWithTimeout(slaveId, 0xD14A);
+          if (baud === line.baudCode && framing === line.framingCode) {
+            answered.push(slaveId);
+            this.addBusMigrationLog(`ID ${slaveId}: 응답 확인 (${
+                this.formatLineSettings(line)})`, 'success');
+          } else {
+            this.addBusMigrationLog(`ID ${slaveId}: 응답하나 설정 불일치 (0xD149=${
+                baud}, 0xD14A=${framing})`, 'warning');
+          }
+          break;
+        }
+        await new Promise(r => setTimeout(r, 300));
+      }
+    }
+    return answered;
   }
 
   /**
-   * Converts raw register value to human-readable string for special registers.
-   * D023: AIN1 voltage  → (raw / 65536) × 10000 mV
-   * D024: AIN2 current  → 4mA ~ 20mA linear (raw=0 → ≤4mA, raw=65535 → ≥20mA)
-   * Returns null if address is not a special register.
+   * startSerialPortScan과 같은 방식으로 설정 조합을 순회하며 지정 장치를 탐색
+   * (전체 ID 범위 대신 지정 ID만 확인)
+   * @param {number[]} slaveIds
+   * @param {Object} preferred - 먼저 확인할 설정 (보통 새 설정)
+   * @returns {Promise<Map<number, Object>>} slaveId → 발견된 설정
    */
-  convertParamRawToString(address, raw) {
-    if (address === 0xD023) return ((raw / 65536) * 10100).toFixed(1) + ' mV';
-    if (address === 0xD024) {
-      const mA = 4 + (raw / 65535) * 16;
-      if (raw === 0) return '≤' + mA.toFixed(3) + ' mA';
-      if (raw >= 65535) return '≥' + mA.toFixed(3) + ' mA';
-      return mA.toFixed(3) + ' mA';
+  async _probeLineSettings(slaveIds, preferred) {
+    const combos = [preferred];
+    for (let baudCode = 3; baudCode < LINE_BAUD_CODES.length; baudCode++) {
+      for (let framingCode = 0; framingCode < LINE_FRAMING_CODES.length;
+           framingCode++) {
+        if (baudCode === preferred.baudCode &&
+            framingCode === preferred.framingCode)
+          continue;
+        combos.push(this.serialFromLineCodes(baudCode, framingCode));
+      }
     }
-    if (address === 0xD025) return ((raw / 65536) * 100).toFixed(2) + ' %';
-    return null;
+
+    const found = new Map();
+    let remaining = [...slaveIds];
+    for (const line of combos) {
+      if (remaining.length === 0) break;
+      await this.reconnectSerial(
+          line.baudRate, line.parity, line.stopBits, true);
+      await new Promise(r => setTimeout(r, 300));  // 포트 안정화 대기
+
+      for (const slaveId of remaining) {
+        const response = await this.scanSlaveId(slaveId);
+        if (response !== null) found.set(slaveId, line);
+      }
+      remaining = remaining.filter(id => !found.has(id));
+    }
+    return found;
   }
 
   /**
-   * Returns converted sub-value HTML for special registers (D023 → mV, D024 →
-   * mA)
+   * 등록 장치의 baudrate/parity 캐시 갱신 (Configuration 탭 표시용)
    */
-  getParamConvertedHTML(param) {
-    if (param.type !== 'input') return '';
-    const converted = param.value !== null ?
-        this.convertParamRawToString(param.address, param.value) :
-        null;
-    if (converted === null) return '';
-    return `<div class="param-converted" id="param-converted-${param.id}">${
-        param.value !== null ? converted : '--'}</div>`;
+  _updateDeviceLineSettings(slaveIds, line) {
+    this.devices.forEach(device => {
+      if (!slaveIds.includes(device.slaveId)) return;
+      device.baudrate = line.baudCode;
+      device.parity = line.framingCode;
+    });
+    this.saveDevices();
   }
 
   /**
-   * Update monitoring parameter value in UI
+   * Start device scanning
+   * @param {boolean} autoAdd - If true, automatically add found devices to
+   *     Dashboard
    */
-  updateMonitoringParamValue(deviceId, paramId, value) {
-    const valueEl = document.getElementById(`param-value-${paramId}`);
-    if (valueEl) {
-      valueEl.textContent = value;
-      valueEl.classList.remove('stale');
+  async startDeviceScan(autoAdd = false) {
+    if (this.isScanning) {
+      this.showToast('이미 탐색 중입니다', 'warning');
+      return;
     }
 
-    const convertedEl = document.getElementById(`param-converted-${paramId}`);
-    if (convertedEl) {
-      const device = this.devices.find(d => d.id === deviceId);
-      const param = device?.monitoringParams?.find(p => p.id === paramId);
-      if (param) {
-        const converted = this.convertParamRawToString(param.address, value);
-        if (converted !== null) convertedEl.textContent = converted;
+    if (!this.writer && !this.simulatorEnabled) {
+      this.showToast('시리얼 포트에 연결되어 있지 않습니다', 'warning');
+      return;
+    }
+
+    this.isScanning = true;
+    this.scanAborted = false;
+
+    // 스캔 시작 전 이미 등록된 디바이스 ID 저장 (스캔 완료 후 operationMode
+    // 동기화용)
+    const preExistingDeviceIds =
+        this.devices.filter(d => d.slaveId !== 0).map(d => d.id);
+
+    const manualScanBtn = document.getElementById('manualScanBtn');
+    const stopScanBtn = document.getElementById('stopScanBtn');
+    const scanProgress = document.getElementById('scanProgress');
+    const scanProgressBar = document.getElementById('scanProgressBar');
+    const scanProgressText = document.getElementById('scanProgressText');
+    const scanResults = document.getElementById('scanResults');
+    const scanResultsList = document.getElementById('scanResultsList');
+
+    if (manualScanBtn) manualScanBtn.disabled = true;
+    if (stopScanBtn) stopScanBtn.disabled = false;
+    if (scanProgress) scanProgress.style.display = 'block';
+    if (scanResults) scanResults.style.display = 'none';
+
+    const foundDevices = [];
+    const respondedSlaveIds =
+        new Set();  // 응답한 모든 slaveId (신규 + 기존 포함)
+    const totalToScan = this.scanRangeEnd - this.scanRangeStart + 1;
+
+    const scanToast = this.showProgressToast(
+        `ID ${this.scanRangeStart} ~ ${this.scanRangeEnd} 탐색 중...`,
+        totalToScan, () => this.stopDeviceScan());
+
+    this.addMonitorEntry(
+        'received',
+        `Device scan started (ID ${this.scanRangeStart} ~ ${
+            this.scanRangeEnd})${autoAdd ? ' [Auto Add]' : ''}`);
+
+    for (let slaveId = this.scanRangeStart; slaveId <= this.scanRangeEnd;
+         slaveId++) {
+      if (this.scanAborted) {
+        this.addMonitorEntry('received', 'Device scan aborted');
+        break;
       }
-    }
-  }
 
-  /**
-   * Delay utility
-   */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
+      const current = slaveId - this.scanRangeStart + 1;
+      const progress = (current / totalToScan) * 100;
+      scanToast.update(current);
+      if (scanProgressBar) scanProgressBar.style.width = `${progress}%`;
+      if (scanProgressText)
+        scanProgressText.textContent =
+            `Scanning ID ${slaveId}... (${current}/${totalToScan})`;
 
-  // ==================== End Monitoring Parameters Methods ====================
+      const response = await this.scanSlaveId(slaveId);
 
-  // ========================================
-  // Auto Scan Functions
-  // ========================================
+      if (response !== null) {
+        respondedSlaveIds.add(slaveId);
+        // Check if device already exists
+        const alreadyExists = this.devices.some(dev => dev.slaveId === slaveId);
 
-  /**
-   * Initialize Auto Scan UI event listeners
-   */
-  initAutoScanUI() {
-    // Auto scan toggle
-    const autoScanToggle = document.getElementById('autoScanEnabled');
-    const autoScanStatus = document.getElementById('autoScanStatus');
-    if (autoScanToggle) {
-      autoScanToggle.addEventListener('change', () => {
-        this.autoScanEnabled = autoScanToggle.checked;
-        if (autoScanStatus) {
-          autoScanStatus.textContent = this.autoScanEnabled ? '활성' : '비활성';
-          autoScanStatus.classList.toggle('active', this.autoScanEnabled);
+        if (!alreadyExists) {
+          foundDevices.push(
+              {slaveId: slaveId, responseValue: response, isNew: true});
+          this.addMonitorEntry(
+              'received', `New device found at Slave ID ${slaveId}`);
+
+          // Auto add to Dashboard if enabled
+          if (autoAdd) {
+            this.addScannedDevice(slaveId, true);  // silent mode
+          }
         }
-        this.saveSettings();
-      });
+      }
     }
 
-    // Scan range inputs
-    const scanRangeStart = document.getElementById('scanRangeStart');
-    const scanRangeEnd = document.getElementById('scanRangeEnd');
-    const scanTimeout = document.getElementById('scanTimeout');
-    const scanRegister = document.getElementById('scanRegister');
+    // Scan complete
+    this.isScanning = false;
 
-    if (scanRangeStart) {
-      scanRangeStart.addEventListener('change', () => {
-        this.scanRangeStart = parseInt(scanRangeStart.value);
-        this.saveSettings();
-      });
-    }
+    if (manualScanBtn) manualScanBtn.disabled = false;
+    if (stopScanBtn) stopScanBtn.disabled = true;
 
-    if (scanRangeEnd) {
-      scanRangeEnd.addEventListener('change', () => {
-        this.scanRangeEnd = parseInt(scanRangeEnd.value);
-        this.saveSettings();
-      });
+    if (scanProgressText) {
+      scanProgressText.textContent = this.scanAborted ?
+          `탐색 중단됨 - ${foundDevices.length}개 장치 발견` :
+          `탐색 완료 - ${foundDevices.length}개 장치 발견`;
     }
 
-    if (scanTimeout) {
-      scanTimeout.addEventListener('change', () => {
-        this.scanTimeout = parseInt(scanTimeout.value);
-        this.saveSettings();
-      });
-    }
+    // Show results
+    if (scanResults && scanResultsList) {
+      scanResults.style.display = 'block';
+      if (foundDevices.length === 0) {
+        scanResultsList.innerHTML =
+            '<p style="color: #6c757d;">발견된 장치가 없습니다.</p>';
+      } else {
+        scanResultsList.innerHTML =
+            foundDevices
+                .map(d => {
+                  const alreadyAdded = autoAdd ||
+                      this.devices.some(dev => dev.slaveId === d.slaveId);
+                  return `
+                    <div style="display: flex; justify-content: space-between; align-items: center; padding: 8px; background: white; margin-bottom: 5px; border-radius: 4px; border: 1px solid #e0e6ed;">
+                        <span><strong>ID ${d.slaveId}</strong> - Status: ${
+                      d.responseValue}</span>
+                        <button class="btn btn-sm btn-success add-scanned-device" data-slave-id="${
+                      d.slaveId}" ${alreadyAdded ? 'disabled' : ''}>${
+                      alreadyAdded ? '추가됨' : '추가'}</button>
+                    </div>
+                `;
+                })
+                .join('');
 
-    if (scanRegister) {
-      scanRegister.addEventListener('change', () => {
-        const value = scanRegister.value.trim();
-        if (value.startsWith('0x') || value.startsWith('0X')) {
-          this.scanRegister = parseInt(value, 16);
-        } else {
-          this.scanRegister = parseInt(value);
+        // Add click listeners for non-auto-added devices
+        if (!autoAdd) {
+          scanResultsList
+              .querySelectorAll('.add-scanned-device:not([disabled])')
+              .forEach(btn => {
+                btn.addEventListener('click', () => {
+                  const slaveId = parseInt(btn.dataset.slaveId);
+                  this.addScannedDevice(slaveId);
+                  btn.disabled = true;
+                  btn.textContent = '추가됨';
+                });
+              });
         }
-        this.saveSettings();
-      });
+      }
     }
 
-    // Manual scan button
-    const manualScanBtn = document.getElementById('manualScanBtn');
-    if (manualScanBtn) {
-      manualScanBtn.addEventListener('click', () => this.startDeviceScan(true));
-    }
+    const autoAddMsg =
+        autoAdd && foundDevices.length > 0 ? ' (자동 추가됨)' : '';
+    const finalMsg = this.scanAborted ?
+        `탐색 중단: ${foundDevices.length}개 발견` :
+        `탐색 완료: ${foundDevices.length}개 발견${autoAddMsg}`;
+    scanToast.dismiss(finalMsg);
 
-    // Stop scan button
-    const stopScanBtn = document.getElementById('stopScanBtn');
-    if (stopScanBtn) {
-      stopScanBtn.addEventListener('click', () => this.stopDeviceScan());
+    // 미발견 디바이스 자동 삭제 (스캔 범위 내, 응답 없는 등록 디바이스)
+    if (this.scanRemoveNotFound && !this.scanAborted) {
+      const toRemove = this.devices.filter(
+          dev => dev.slaveId >= this.scanRangeStart &&
+              dev.slaveId <= this.scanRangeEnd &&
+              !respondedSlaveIds.has(dev.slaveId));
+      if (toRemove.length > 0) {
+        toRemove.forEach(dev => {
+          this.devices = this.devices.filter(d => d.id !== dev.id);
+        });
+        this.saveDevices();
+        this.renderDeviceGrid();
+        this.showToast(
+            `미응답 디바이스 ${toRemove.length}개가 삭제되었습니다`, 'info');
+      }
     }
 
-    // Remove not-found devices toggle
-    const scanRemoveNotFoundToggle =
-        document.getElementById('scanRemoveNotFound');
-    const scanRemoveNotFoundStatus =
-        document.getElementById('scanRemoveNotFoundStatus');
-    if (scanRemoveNotFoundToggle) {
-      scanRemoveNotFoundToggle.addEventListener('change', () => {
-        this.scanRemoveNotFound = scanRemoveNotFoundToggle.checked;
-        if (scanRemoveNotFoundStatus) {
-          scanRemoveNotFoundStatus.textContent =
-              this.scanRemoveNotFound ? '활성' : '비활성';
-          scanRemoveNotFoundStatus.classList.toggle(
-              'active', this.scanRemoveNotFound);
-        }
-        this.saveSettings();
-      });
-    }
-  }
+    // 스캔 완료 후 Device 탭이 열려있으면 파라미터 자동 읽기
+    // readRegisterWithTimeout / readParameterByAddress 는 내부에서 큐
+    // 처리하므로 폴링 재개 이후 안전하게 순차 실행됨
+    this._autoReadAfterScan();
 
-  /**
-   * Initialize Serial Port Scan UI event listeners
-   */
-  initSerialPortScanUI() {
-    const startBtn = document.getElementById('spScanStartBtn');
-    const stopBtn = document.getElementById('spScanStopBtn');
-    if (startBtn)
-      startBtn.addEventListener('click', () => this.startSerialPortScan());
-    if (stopBtn)
-      stopBtn.addEventListener('click', () => this.stopSerialPortScan());
+    // 스캔 전부터 존재했던 디바이스의 operationMode 동기화
+    // (신규 발견 디바이스는 addScannedDevice() → initializeDeviceMode()로 이미
+    // 처리됨)
+    if (preExistingDeviceIds.length > 0) {
+      setTimeout(() => {
+        preExistingDeviceIds.forEach(id => this.initializeDeviceMode(id));
+      }, 300);
+    }
   }
 
   /**
-   * Scan through serial port setting combinations (baudRate × parity ×
-   * stopBits) and run device scan on each combination.
+   * 스캔 완료 직후 Configuration / Parameters 탭이 활성화된 경우 자동으로 값을
+   * 읽어옴. 폴링이 재개될 시간을 확보하기 위해 300ms 지연 후 실행.
    */
-  async startSerialPortScan() {
-    if (!this.isConnected || !this.port) {
-      this.showToast('시리얼 포트에 먼저 연결하세요', 'warning');
-      return;
-    }
-    if (this.isScanning || this.serialPortScanActive) {
-      this.showToast('이미 스캔 중입니다', 'warning');
-      return;
-    }
-
-    // Collect selected options
-    const baudRates =
-        [...document.querySelectorAll('.spScan-baudRate:checked')].map(
-            e => parseInt(e.value));
-    const parities =
-        [...document.querySelectorAll('.spScan-parity:checked')].map(
-            e => e.value);
-    const stopBitOpts =
-        [...document.querySelectorAll('.spScan-stopBits:checked')].map(
-            e => parseInt(e.value));
+  _autoReadAfterScan() {
+    if (this.currentPage !== 'device-setup') return;
 
-    if (!baudRates.length || !parities.length || !stopBitOpts.length) {
-      this.showToast('스캔할 설정을 최소 하나씩 선택하세요', 'warning');
-      return;
-    }
+    const activeTab =
+        sessionStorage.getItem('deviceSetupTab') || 'configuration';
 
-    // Build all combinations
-    const combos = [];
-    for (const baud of baudRates)
-      for (const parity of parities)
-        for (const stop of stopBitOpts)
-          combos.push({baudRate: baud, parity, stopBits: stop});
+    if (activeTab === 'configuration') {
+      if (!this.currentSetupDeviceId) return;
+      const device = this.devices.find(d => d.id === this.currentSetupDeviceId);
+      if (!device || device.slaveId === 0) return;
+      setTimeout(() => this.refreshDevice(this.currentSetupDeviceId), 300);
 
-    // Save original settings to restore after scan
-    const origBaud =
-        parseInt(document.getElementById('sidebar-baudRate')?.value) || 19200;
-    const origParity =
-        document.getElementById('sidebar-parity')?.value || 'even';
-    const origStop =
-        parseInt(document.getElementById('sidebar-stopBits')?.value) || 1;
+    } else if (activeTab === 'parameters') {
+      if (!this.selectedParamDeviceId) return;
+      setTimeout(() => this.readAllParameters(), 300);
+    }
+  }
 
-    this.serialPortScanActive = true;
-    this.scanAborted = false;
+  /**
+   * Stop device scanning
+   */
+  stopDeviceScan() {
+    this.scanAborted = true;
+    this.showToast('탐색을 중단합니다...', 'info');
+  }
 
-    const startBtn = document.getElementById('spScanStartBtn');
-    const stopBtn = document.getElementById('spScanStopBtn');
-    const progressWrap = document.getElementById('spScanProgress');
-    const progressBar = document.getElementById('spScanProgressBar');
-    const progressText = document.getElementById('spScanProgressText');
-    const resultsDiv = document.getElementById('spScanResults');
-    const resultsList = document.getElementById('spScanResultsList');
+  /**
+   * Scan a single slave ID
+   */
+  async scanSlaveId(slaveId) {
+    try {
+      const scanAddress = this.scanRegister;
+      const frame =
+          this.modbus.buildReadInputRegisters(slaveId, scanAddress, 1);
 
-    if (startBtn) startBtn.disabled = true;
-    if (stopBtn) stopBtn.disabled = false;
-    if (progressWrap) progressWrap.style.display = 'block';
-    if (resultsDiv) resultsDiv.style.display = 'none';
-    if (progressBar) progressBar.style.width = '0%';
+      if (this.simulatorEnabled) {
+        // For simulation, we'll create virtual devices at specific IDs
+        const simulatedDevices = this.getSimulatedDeviceIds();
 
-    const allResults = [];  // { baudRate, parity, stopBits, foundIds, error? }
+        if (simulatedDevices.includes(slaveId)) {
+          this.addMonitorEntry(
+              'sent', frame,
+              {functionCode: 4, startAddress: scanAddress, quantity: 1});
+          this.stats.requests++;
+          this.updateStatsDisplay();
 
-    for (let i = 0; i < combos.length; i++) {
-      if (this.scanAborted) break;
+          const response = await this.simulatorBus.processRequest(frame);
 
-      const {baudRate, parity, stopBits} = combos[i];
-      const pct = Math.round((i / combos.length) * 100);
-      if (progressBar) progressBar.style.width = `${pct}%`;
-      if (progressText)
-        progressText.textContent = `(${i + 1}/${combos.length}) ${
-            baudRate} bps · ${parity} · Stop ${stopBits} — 스캔 중...`;
+          if (response && response.length >= 5 && (response[1] & 0x80) === 0) {
+            this.addMonitorEntry('received', response);
+            this.updateStats(true);
+            return (response[3] << 8) | response[4];
+          }
+        } else {
+          // Show TX for non-responding IDs too (no response expected)
+          this.addMonitorEntry(
+              'sent', frame,
+              {functionCode: 4, startAddress: scanAddress, quantity: 1});
+        }
 
-      try {
-        await this.reconnectSerial(
-            baudRate, parity, stopBits, true /* silent */);
-        await new Promise(r => setTimeout(r, 300));  // 포트 안정화 대기
-        const foundIds = await this._scanAllSlaveIds();
-        allResults.push({baudRate, parity, stopBits, foundIds});
-      } catch (e) {
-        allResults.push(
-            {baudRate, parity, stopBits, foundIds: [], error: e.message});
+        // No response - wait for timeout simulation
+        await new Promise(resolve => setTimeout(resolve, 30));
+        return null;
+
+      } else if (this.writer) {
+        // Real serial communication
+        return await this.scanWithTimeout(frame, slaveId);
       }
-    }
 
-    // 원래 설정으로 복원
-    try {
-      if (progressText) progressText.textContent = '원래 설정으로 복원 중...';
-      await this.reconnectSerial(origBaud, origParity, origStop, true);
-    } catch (e) {
-      this.showToast(`원래 설정 복원 실패: ${e.message}`, 'error');
+      return null;
+    } catch (error) {
+      console.error('Scan error:', error);
+      return null;
     }
+  }
 
-    this.serialPortScanActive = false;
-    if (startBtn) startBtn.disabled = false;
-    if (stopBtn) stopBtn.disabled = true;
-    if (progressBar) progressBar.style.width = '100%';
+  /**
+   * Scan with timeout for real serial communication
+   */
+  async scanWithTimeout(frame, slaveId) {
+    // Wait for any in-progress polling cycle to finish before sending scan TX.
+    // isScanning=true already prevents NEW polling cycles from starting, but a
+    // cycle that was already executing (e.g. waiting for Slave 7's response)
+    // must complete first — otherwise the scan TX collides with the pending
+    // poll response.
+    while (this.isPolling) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
 
-    const successResults = allResults.filter(r => r.foundIds.length > 0);
-    if (progressText)
-      progressText.textContent = this.scanAborted ?
-          `스캔 중단 — 장치 발견된 설정: ${successResults.length}개` :
-          `스캔 완료 — 장치 발견된 설정: ${successResults.length}개`;
+    return new Promise(async (resolve) => {
+      // Set up scan response callback
+      this.scanExpectedSlaveId = slaveId;
+      this.scanResolve = (responseValue) => {
+        clearTimeout(timeout);
+        this.scanResolve = null;
+        this.scanExpectedSlaveId = null;
+        resolve(responseValue);
+      };
 
-    // 결과 표시
-    if (resultsDiv && resultsList) {
-      resultsDiv.style.display = 'block';
-      if (allResults.length === 0 || successResults.length === 0) {
-        resultsList.innerHTML =
-            '<p style="color:#6c757d;">어떤 설정에서도 장치를 찾지 못했습니다.</p>';
-      } else {
-        resultsList.innerHTML =
-            allResults
-                .map(r => {
-                  const label =
-                      `${r.baudRate} bps · ${r.parity} · Stop ${r.stopBits}`;
-                  if (r.error) {
-                    return `<div style="padding:8px;margin-bottom:5px;border-radius:4px;background:white;border:1px solid #f5c6cb;color:#721c24;">
-                            <strong>${label}</strong> — 오류: ${r.error}
-                        </div>`;
-                  }
-                  if (r.foundIds.length === 0) return '';
-                  const idList = r.foundIds.map(id => `ID ${id}`).join(', ');
-                  return `<div style="display:flex;justify-content:space-between;align-items:center;padding:8px;margin-bottom:5px;border-radius:4px;background:white;border:1px solid #c3e6cb;">
-                        <div>
-                            <strong style="color:#155724;">${
-                      label}</strong><br>
-                            <span style="font-size:12px;color:#6c757d;">발견된 장치: ${
-                      idList}</span>
-                        </div>
-                        <button class="btn btn-sm btn-primary spScan-applyBtn"
-                            data-baud="${r.baudRate}" data-parity="${
-                      r.parity}" data-stop="${r.stopBits}">
-                            이 설정 적용
-                        </button>
-                    </div>`;
-                })
-                .filter(Boolean)
-                .join('') ||
-            '<p style="color:#6c757d;">장치를 발견한 설정이 없습니다.</p>';
+      const timeout = setTimeout(() => {
+        this.scanResolve = null;
+        this.scanExpectedSlaveId = null;
+        resolve(null);
+      }, this.scanTimeout);
 
-        // "이 설정 적용" 버튼 리스너
-        resultsList.querySelectorAll('.spScan-applyBtn').forEach(btn => {
-          btn.addEventListener('click', async () => {
-            const baud = parseInt(btn.dataset.baud);
-            const parity = btn.dataset.parity;
-            const stop = parseInt(btn.dataset.stop);
-            await this.reconnectSerial(baud, parity, stop);
-            if (this.autoScanEnabled) {
-              setTimeout(() => this.startDeviceScan(true), 500);
-            }
-          });
-        });
+      try {
+        await this.writer.write(frame);
+        this.addMonitorEntry(
+            'sent', frame,
+            {functionCode: 4, startAddress: this.scanRegister, quantity: 1});
+        this.stats.requests++;
+        this.updateStatsDisplay();
+        // Response will be handled by tryParseFrame which calls scanResolve
+      } catch (error) {
+        clearTimeout(timeout);
+        this.scanResolve = null;
+        this.scanExpectedSlaveId = null;
+        resolve(null);
       }
-    }
-
-    this.showToast(
-        successResults.length > 0 ?
-            `포트 스캔 완료: ${successResults.length}개 설정에서 장치 발견` :
-            '포트 스캔 완료: 장치를 찾지 못했습니다',
-        successResults.length > 0 ? 'success' : 'info');
+    });
   }
 
   /**
-   * Abort an in-progress serial port scan
+   * Get simulated device IDs for testing
    */
-  stopSerialPortScan() {
-    if (!this.serialPortScanActive) return;
-    this.scanAborted = true;
-    this.showToast('포트 스캔을 중단합니다...', 'info');
+  getSimulatedDeviceIds() {
+    // 시뮬레이터 버스에 연결(online)된 slave만 응답
+    return this.simulatorBus.getSlaveIds(true);
   }
 
   /**
-   * Internal: scan all slave IDs in the configured range, return array of found
-   * IDs. Does NOT update the device list or show scan UI.
+   * Add a scanned device to the device list
+   * @param {number} slaveId - The slave ID
+   * @param {boolean} silent - If true, don't show individual toast messages
    */
-  async _scanAllSlaveIds() {
-    this.isScanning = true;
-    const found = [];
-    for (let slaveId = this.scanRangeStart; slaveId <= this.scanRangeEnd;
-         slaveId++) {
-      if (this.scanAborted) break;
-      const response = await this.scanSlaveId(slaveId);
-      if (response !== null) found.push(slaveId);
+  addScannedDevice(slaveId, silent = false) {
+    // Check if device already exists
+    const exists = this.devices.some(d => d.slaveId === slaveId);
+    if (exists) {
+      if (!silent) {
+        this.showToast(
+            `ID ${slaveId} 장치가 이미 등록되어 있습니다`, 'warning');
+      }
+      return false;
     }
-    this.isScanning = false;
-    return found;
+
+    const device = {
+      id: Date.now() + slaveId,  // Ensure unique ID when adding multiple
+      name: `Device ${slaveId}`,
+      slaveId: slaveId,
+      operationMode: 0,
+      setpoint: 0,
+      motorStatus: 0,
+      maxSpeed: 1600,
+      lastUpdate: Date.now(),
+      online: true,
+      runningDirection: 0,  // 0: CCW, 1: CW
+      maxCurrent: 0         // Maximum coil current in Amperes
+    };
+
+    this.devices.push(device);
+    this.saveDevices();
+    this.renderDeviceGrid();
+    this.renderDeviceSetupList();
+
+    // 연결 후 디바이스에서 모드와 최대 속도 읽기
+    this.initializeDeviceMode(device.id);
+
+    // Start auto polling if connection is active, on Dashboard, and wasn't
+    // running (first device added)
+    if (!this.autoPollingTimer && (this.simulatorEnabled || this.writer) &&
+        this.currentPage === 'dashboard') {
+      this.startAutoPolling();
+    }
+
+    if (!silent) {
+      this.showToast(`장치 ${slaveId}가 추가되었습니다`, 'success');
+    }
+    return true;
   }
 
+  // ===== Firmware Upload Functions =====
+
   /**
-   * Start device scanning
-   * @param {boolean} autoAdd - If true, automatically add found devices to
-   *     Dashboard
+   * Initialize firmware upload UI
    */
-  async startDeviceScan(autoAdd = false) {
-    if (this.isScanning) {
-      this.showToast('이미 탐색 중입니다', 'warning');
-      return;
-    }
+  initFirmwareUI() {
+    const dropzone = document.getElementById('firmwareDropzone');
+    const fileInput = document.getElementById('firmwareFileInput');
+    const selectBtn = document.getElementById('firmwareSelectBtn');
+    const removeBtn = document.getElementById('firmwareRemoveBtn');
+    const verifyBtn = document.getElementById('firmwareVerifyBtn');
+    const downloadBtn = document.getElementById('firmwareDownloadBtn');
+    const cancelBtn = document.getElementById('firmwareCancelBtn');
 
-    if (!this.writer && !this.simulatorEnabled) {
-      this.showToast('시리얼 포트에 연결되어 있지 않습니다', 'warning');
-      return;
-    }
+    if (!dropzone) return;
 
-    this.isScanning = true;
-    this.scanAborted = false;
+    // Initialize firmware state
+    this.firmwareFile = null;
+    this.firmwareData = null;
+    this.firmwareUpdateInProgress = false;
+    this.firmwareUpdateCancelled = false;
 
-    // 스캔 시작 전 이미 등록된 디바이스 ID 저장 (스캔 완료 후 operationMode
-    // 동기화용)
-    const preExistingDeviceIds =
-        this.devices.filter(d => d.slaveId !== 0).map(d => d.id);
+    // Click to select file
+    selectBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      fileInput.click();
+    });
 
-    const manualScanBtn = document.getElementById('manualScanBtn');
-    const stopScanBtn = document.getElementById('stopScanBtn');
-    const scanProgress = document.getElementById('scanProgress');
-    const scanProgressBar = document.getElementById('scanProgressBar');
-    const scanProgressText = document.getElementById('scanProgressText');
-    const scanResults = document.getElementById('scanResults');
-    const scanResultsList = document.getElementById('scanResultsList');
+    dropzone.addEventListener('click', () => {
+      fileInput.click();
+    });
 
-    if (manualScanBtn) manualScanBtn.disabled = true;
-    if (stopScanBtn) stopScanBtn.disabled = false;
-    if (scanProgress) scanProgress.style.display = 'block';
-    if (scanResults) scanResults.style.display = 'none';
+    // File input change
+    fileInput.addEventListener('change', (e) => {
+      if (e.target.files.length > 0) {
+        this.handleFirmwareFile(e.target.files[0]);
+      }
+    });
 
-    const foundDevices = [];
-    const respondedSlaveIds =
-        new Set();  // 응답한 모든 slaveId (신규 + 기존 포함)
-    const totalToScan = this.scanRangeEnd - this.scanRangeStart + 1;
+    // Drag and drop events
+    dropzone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      dropzone.classList.add('drag-over');
+    });
 
-    const scanToast = this.showProgressToast(
-        `ID ${this.scanRangeStart} ~ ${this.scanRangeEnd} 탐색 중...`,
-        totalToScan, () => this.stopDeviceScan());
+    dropzone.addEventListener('dragleave', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      dropzone.classList.remove('drag-over');
+    });
 
-    this.addMonitorEntry(
-        'received',
-        `Device scan started (ID ${this.scanRangeStart} ~ ${
-            this.scanRangeEnd})${autoAdd ? ' [Auto Add]' : ''}`);
+    dropzone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      dropzone.classList.remove('drag-over');
 
-    for (let slaveId = this.scanRangeStart; slaveId <= this.scanRangeEnd;
-         slaveId++) {
-      if (this.scanAborted) {
-        this.addMonitorEntry('received', 'Device scan aborted');
-        break;
+      const files = e.dataTransfer.files;
+      if (files.length > 0) {
+        this.handleFirmwareFile(files[0]);
       }
+    });
 
-      const current = slaveId - this.scanRangeStart + 1;
-      const progress = (current / totalToScan) * 100;
-      scanToast.update(current);
-      if (scanProgressBar) scanProgressBar.style.width = `${progress}%`;
-      if (scanProgressText)
-        scanProgressText.textContent =
-            `Scanning ID ${slaveId}... (${current}/${totalToScan})`;
-
-      const response = await this.scanSlaveId(slaveId);
+    // Remove file button
+    if (removeBtn) {
+      removeBtn.addEventListener('click', () => {
+        this.clearFirmwareFile();
+      });
+    }
 
-      if (response !== null) {
-        respondedSlaveIds.add(slaveId);
-        // Check if device already exists
-        const alreadyExists = this.devices.some(dev => dev.slaveId === slaveId);
+    // Verify button
+    if (verifyBtn) {
+      verifyBtn.addEventListener('click', () => {
+        this.verifyFirmware();
+      });
+    }
 
-        if (!alreadyExists) {
-          foundDevices.push(
-              {slaveId: slaveId, responseValue: response, isNew: true});
-          this.addMonitorEntry(
-              'received', `New device found at Slave ID ${slaveId}`);
+    // Download button
+    if (downloadBtn) {
+      downloadBtn.addEventListener('click', () => {
+        this.startFirmwareDownload();
+      });
+    }
 
-          // Auto add to Dashboard if enabled
-          if (autoAdd) {
-            this.addScannedDevice(slaveId, true);  // silent mode
-          }
-        }
-      }
+    // Cancel button
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', () => {
+        this.cancelFirmwareDownload();
+      });
     }
 
-    // Scan complete
-    this.isScanning = false;
+    // Initialize firmware state - online source additions
+    this.firmwareSource = 'local';
+    this._fwVersionsLoaded = false;
+    this._fwVersionList = [];
 
-    if (manualScanBtn) manualScanBtn.disabled = false;
-    if (stopScanBtn) stopScanBtn.disabled = true;
+    // Initialize source selector
+    this.initFirmwareSourceSelector();
+  }
 
-    if (scanProgressText) {
-      scanProgressText.textContent = this.scanAborted ?
-          `탐색 중단됨 - ${foundDevices.length}개 장치 발견` :
-          `탐색 완료 - ${foundDevices.length}개 장치 발견`;
-    }
+  /**
+   * Initialize firmware source selector (로컬 파일 / 온라인 업데이트 탭)
+   */
+  initFirmwareSourceSelector() {
+    const localBtn = document.getElementById('fwSourceLocalBtn');
+    const onlineBtn = document.getElementById('fwSourceOnlineBtn');
+    if (!localBtn || !onlineBtn) return;
 
-    // Show results
-    if (scanResults && scanResultsList) {
-      scanResults.style.display = 'block';
-      if (foundDevices.length === 0) {
-        scanResultsList.innerHTML =
-            '<p style="color: #6c757d;">발견된 장치가 없습니다.</p>';
-      } else {
-        scanResultsList.innerHTML =
-            foundDevices
-                .map(d => {
-                  const alreadyAdded = autoAdd ||
-                      this.devices.some(dev => dev.slaveId === d.slaveId);
-                  return `
-                    <div style="display: flex; justify-content: space-between; align-items: center; padding: 8px; background: white; margin-bottom: 5px; border-radius: 4px; border: 1px solid #e0e6ed;">
-                        <span><strong>ID ${d.slaveId}</strong> - Status: ${
-                      d.responseValue}</span>
-                        <button class="btn btn-sm btn-success add-scanned-device" data-slave-id="${
-                      d.slaveId}" ${alreadyAdded ? 'disabled' : ''}>${
-                      alreadyAdded ? '추가됨' : '추가'}</button>
-                    </div>
-                `;
-                })
-                .join('');
+    const switchSource = (source) => {
+      this.firmwareSource = source;
 
-        // Add click listeners for non-auto-added devices
-        if (!autoAdd) {
-          scanResultsList
-              .querySelectorAll('.add-scanned-device:not([disabled])')
-              .forEach(btn => {
-                btn.addEventListener('click', () => {
-                  const slaveId = parseInt(btn.dataset.slaveId);
-                  this.addScannedDevice(slaveId);
-                  btn.disabled = true;
-                  btn.textContent = '추가됨';
-                });
-              });
-        }
-      }
-    }
+      localBtn.classList.toggle('active', source === 'local');
+      onlineBtn.classList.toggle('active', source === 'online');
 
-    const autoAddMsg =
-        autoAdd && foundDevices.length > 0 ? ' (자동 추가됨)' : '';
-    const finalMsg = this.scanAborted ?
-        `탐색 중단: ${foundDevices.length}개 발견` :
-        `탐색 완료: ${foundDevices.length}개 발견${autoAddMsg}`;
-    scanToast.dismiss(finalMsg);
+      document.getElementById('fwPanelLocal').style.display =
+          source === 'local' ? 'block' : 'none';
+      document.getElementById('fwPanelOnline').style.display =
+          source === 'online' ? 'block' : 'none';
 
-    // 미발견 디바이스 자동 삭제 (스캔 범위 내, 응답 없는 등록 디바이스)
-    if (this.scanRemoveNotFound && !this.scanAborted) {
-      const toRemove = this.devices.filter(
-          dev => dev.slaveId >= this.scanRangeStart &&
-              dev.slaveId <= this.scanRangeEnd &&
-              !respondedSlaveIds.has(dev.slaveId));
-      if (toRemove.length > 0) {
-        toRemove.forEach(dev => {
-          this.devices = this.devices.filter(d => d.id !== dev.id);
-        });
-        this.saveDevices();
-        this.renderDeviceGrid();
-        this.showToast(
-            `미응답 디바이스 ${toRemove.length}개가 삭제되었습니다`, 'info');
+      if (source === 'online') {
+        this._initOnlinePanel();
+      } else {
+        this._clearOnlineSelection();
       }
+
+      this.updateFirmwareButtons();
+    };
+
+    localBtn.addEventListener('click', () => switchSource('local'));
+    onlineBtn.addEventListener('click', () => switchSource('online'));
+
+    const refreshBtn = document.getElementById('fwRefreshVersionsBtn');
+    if (refreshBtn) {
+      refreshBtn.addEventListener(
+          'click', () => this.loadFirmwareVersionList());
     }
 
-    // 스캔 완료 후 Device 탭이 열려있으면 파라미터 자동 읽기
-    // readRegisterWithTimeout / readParameterByAddress 는 내부에서 큐
-    // 처리하므로 폴링 재개 이후 안전하게 순차 실행됨
-    this._autoReadAfterScan();
+    const clearBtn = document.getElementById('fwOnlineClearBtn');
+    if (clearBtn) {
+      clearBtn.addEventListener('click', () => this._clearOnlineSelection());
+    }
+  }
 
-    // 스캔 전부터 존재했던 디바이스의 operationMode 동기화
-    // (신규 발견 디바이스는 addScannedDevice() → initializeDeviceMode()로 이미
-    // 처리됨)
-    if (preExistingDeviceIds.length > 0) {
-      setTimeout(() => {
-        preExistingDeviceIds.forEach(id => this.initializeDeviceMode(id));
-      }, 300);
+  /**
+   * 온라인 패널 초기화 — 환경 감지 후 UI 분기
+   */
+  _initOnlinePanel() {
+    const isLocalFile = window.location.protocol === 'file:';
+    const disabledDiv = document.getElementById('fwOnlineDisabled');
+    const contentDiv = document.getElementById('fwOnlineContent');
+
+    if (isLocalFile) {
+      if (disabledDiv) disabledDiv.style.display = 'flex';
+      if (contentDiv) contentDiv.style.display = 'none';
+    } else {
+      if (disabledDiv) disabledDiv.style.display = 'none';
+      if (contentDiv) contentDiv.style.display = 'block';
+      if (!this._fwVersionsLoaded) {
+        this.loadFirmwareVersionList();
+      }
     }
   }
 
   /**
-   * 스캔 완료 직후 Configuration / Parameters 탭이 활성화된 경우 자동으로 값을
-   * 읽어옴. 폴링이 재개될 시간을 확보하기 위해 300ms 지연 후 실행.
+   * 온라인 버전 목록 로드 (versions.json fetch)
    */
-  _autoReadAfterScan() {
-    if (this.currentPage !== 'device-setup') return;
+  async loadFirmwareVersionList() {
+    const loadingEl = document.getElementById('fwOnlineLoading');
+    const errorEl = document.getElementById('fwOnlineError');
+    const errorMsgEl = document.getElementById('fwOnlineErrorMsg');
+    const tableWrapper = document.getElementById('fwVersionTableWrapper');
+    const refreshIcon = document.getElementById('fwRefreshIcon');
 
-    const activeTab =
-        sessionStorage.getItem('deviceSetupTab') || 'configuration';
+    if (loadingEl) loadingEl.style.display = 'flex';
+    if (errorEl) errorEl.style.display = 'none';
+    if (tableWrapper) tableWrapper.style.display = 'none';
+    if (refreshIcon) refreshIcon.textContent = '⌛';
 
-    if (activeTab === 'configuration') {
-      if (!this.currentSetupDeviceId) return;
-      const device = this.devices.find(d => d.id === this.currentSetupDeviceId);
-      if (!device || device.slaveId === 0) return;
-      setTimeout(() => this.refreshDevice(this.currentSetupDeviceId), 300);
+    try {
+      const resp = await fetch('./firmware/versions.json', {cache: 'no-cache'});
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
 
-    } else if (activeTab === 'parameters') {
-      if (!this.selectedParamDeviceId) return;
-      setTimeout(() => this.readAllParameters(), 300);
+      const json = await resp.json();
+      if (!Array.isArray(json.versions) || json.versions.length === 0) {
+        throw new Error('버전 목록이 비어있습니다');
+      }
+
+      this._fwVersionsLoaded = true;
+      this._fwVersionList = json.versions;
+      this._renderVersionTable(json.versions);
+
+      if (loadingEl) loadingEl.style.display = 'none';
+      if (tableWrapper) tableWrapper.style.display = 'block';
+    } catch (err) {
+      if (loadingEl) loadingEl.style.display = 'none';
+      if (errorEl) errorEl.style.display = 'flex';
+      if (errorMsgEl)
+        errorMsgEl.textContent =
+            `버전 목록을 불러올 수 없습니다: ${err.message}`;
+      this._fwVersionsLoaded = false;
+    } finally {
+      if (refreshIcon) refreshIcon.textContent = '↻';
     }
   }
 
   /**
-   * Stop device scanning
+   * 버전 목록 테이블 렌더링
    */
-  stopDeviceScan() {
-    this.scanAborted = true;
-    this.showToast('탐색을 중단합니다...', 'info');
+  _renderVersionTable(versions) {
+    const tbody = document.getElementById('fwVersionTableBody');
+    if (!tbody) return;
+
+    tbody.innerHTML =
+        versions
+            .map((v, idx) => {
+              const isLatest = idx === 0;
+              const latestBadge = isLatest ?
+                  '<span class="fw-version-badge-latest">최신</span>' :
+                  '';
+              const sizeStr = v.size > 0 ? this.formatFileSize(v.size) : '-';
+              const changelog = v.changelog || '변경사항 없음';
+
+              return `
+                <tr class="fw-version-main-row" data-version-idx="${idx}">
+                    <td>
+                        <label class="fw-radio-label">
+                            <input type="radio" name="fwVersionRadio" class="fw-version-radio" value="${
+                  idx}">
+                            <span class="fw-version-number">${
+                  v.version}</span>${latestBadge}
+                        </label>
+                    </td>
+                    <td class="fw-version-date">${v.date}</td>
+                    <td class="fw-version-size">
+                        <span>${sizeStr}</span>
+                        <span class="fw-changelog-arrow" data-idx="${
+                  idx}">▼</span>
+                    </td>
+                </tr>
+                <tr class="fw-changelog-row" id="fwChangelogRow${
+                  idx}" style="display:none;">
+                    <td colspan="3" class="fw-changelog-detail-cell">
+                        <div class="fw-changelog-detail-inner">
+                            <span class="fw-changelog-label">변경사항</span>
+                            <div class="fw-changelog-content">${
+                  changelog.replace(/\n/g, '<br>')}</div>
+                        </div>
+                    </td>
+                </tr>
+            `;
+            })
+            .join('');
+
+    // 라디오 버튼 변경 시 버전 선택
+    tbody.querySelectorAll('.fw-version-radio').forEach(radio => {
+      radio.addEventListener('change', () => {
+        if (radio.checked) {
+          const idx = parseInt(radio.value);
+          tbody.querySelectorAll('.fw-version-main-row')
+              .forEach(tr => tr.classList.remove('fw-version-row-selected'));
+          radio.closest('tr').classList.add('fw-version-row-selected');
+          this.selectOnlineFirmwareVersion(this._fwVersionList[idx]);
+        }
+      });
+    });
+
+    // 행 클릭 시 변경사항 토글 + 라디오 선택
+    tbody.querySelectorAll('.fw-version-main-row').forEach(tr => {
+      tr.addEventListener('click', () => {
+        const idx = parseInt(tr.dataset.versionIdx);
+        const detailRow = document.getElementById(`fwChangelogRow${idx}`);
+        const arrow = tr.querySelector('.fw-changelog-arrow');
+        const isOpen = detailRow.style.display !== 'none';
+
+        // 다른 행 변경사항 닫기
+        tbody.querySelectorAll('.fw-changelog-row')
+            .forEach(r => r.style.display = 'none');
+        tbody.querySelectorAll('.fw-changelog-arrow').forEach(a => {
+          a.textContent = '▼';
+          a.classList.remove('fw-arrow-open');
+        });
+
+        // 현재 행 토글
+        if (!isOpen) {
+          detailRow.style.display = 'table-row';
+          arrow.textContent = '▲';
+          arrow.classList.add('fw-arrow-open');
+        }
+
+        // 라디오 선택
+        const radio = tr.querySelector('.fw-version-radio');
+        if (radio && !radio.checked) radio.click();
+      });
+    });
   }
 
   /**
-   * Scan a single slave ID
+   * 온라인 펌웨어 버전 선택 — bin 파일 fetch 후 메모리 로드
    */
-  async scanSlaveId(slaveId) {
-    try {
-      // Use a low address for scanning that the simulator supports
-      const scanAddress = this.simulatorEnabled ? 0 : this.scanRegister;
-      const frame =
-          this.modbus.buildReadInputRegisters(slaveId, scanAddress, 1);
+  async selectOnlineFirmwareVersion(version) {
+    const selectedInfo = document.getElementById('fwOnlineSelectedInfo');
+    const selectedName = document.getElementById('fwOnlineSelectedName');
+    const selectedSize = document.getElementById('fwOnlineSelectedSize');
+    const dlStatus = document.getElementById('fwOnlineDlStatus');
+    const fetchProgress = document.getElementById('fwOnlineFetchProgress');
+    const fetchFill = document.getElementById('fwOnlineFetchFill');
+    const fetchLabel = document.getElementById('fwOnlineFetchLabel');
 
-      if (this.simulatorEnabled) {
-        // For simulation, we'll create virtual devices at specific IDs
-        const simulatedDevices = this.getSimulatedDeviceIds();
+    // 정보 바 즉시 표시
+    if (selectedInfo) selectedInfo.style.display = 'block';
+    if (selectedName) selectedName.textContent = version.filename;
+    if (selectedSize)
+      selectedSize.textContent =
+          version.size > 0 ? this.formatFileSize(version.size) : '-';
+    if (dlStatus) dlStatus.textContent = '';
+    if (fetchProgress) fetchProgress.style.display = 'flex';
+    if (fetchFill) fetchFill.style.width = '0%';
+    if (fetchLabel) fetchLabel.textContent = '다운로드 중...';
 
-        if (simulatedDevices.includes(slaveId)) {
-          // Temporarily set simulator to respond to this slave ID
-          const originalSlaveId = this.simulator.slaveId;
-          const originalEnabled = this.simulator.enabled;
+    // 라디오/행 선택 상태는 _renderVersionTable에서 처리됨
 
-          this.simulator.slaveId = slaveId;
-          this.simulator.enabled = true;
+    try {
+      const url = `./firmware/${version.filename}`;
+      const resp = await fetch(url, {cache: 'no-cache'});
 
-          this.addMonitorEntry(
-              'sent', frame,
-              {functionCode: 4, startAddress: scanAddress, quantity: 1});
-          this.stats.requests++;
-          this.updateStatsDisplay();
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
 
-          const response = await this.simulator.processRequest(frame);
+      const contentLength = resp.headers.get('Content-Length');
+      let arrayBuffer;
 
-          // Restore original settings
-          this.simulator.slaveId = originalSlaveId;
-          this.simulator.enabled = originalEnabled;
+      if (contentLength && resp.body) {
+        const total = parseInt(contentLength);
+        let received = 0;
+        const reader = resp.body.getReader();
+        const chunks = [];
 
-          if (response && response.length >= 5 && (response[1] & 0x80) === 0) {
-            this.addMonitorEntry('received', response);
-            this.updateStats(true);
-            return (response[3] << 8) | response[4];
-          }
-        } else {
-          // Show TX for non-responding IDs too (no response expected)
-          this.addMonitorEntry(
-              'sent', frame,
-              {functionCode: 4, startAddress: scanAddress, quantity: 1});
+        while (true) {
+          const {done, value} = await reader.read();
+          if (done) break;
+          chunks.push(value);
+          received += value.length;
+          const pct = Math.round(received / total * 100);
+          if (fetchFill) fetchFill.style.width = pct + '%';
+          if (fetchLabel) fetchLabel.textContent = `다운로드 중... ${pct}%`;
         }
 
-        // No response - wait for timeout simulation
-        await new Promise(resolve => setTimeout(resolve, 30));
-        return null;
+        const combined = new Uint8Array(received);
+        let offset = 0;
+        for (const chunk of chunks) {
+          combined.set(chunk, offset);
+          offset += chunk.length;
+        }
+        arrayBuffer = combined.buffer;
+      } else {
+        if (fetchLabel) fetchLabel.textContent = '다운로드 중... (크기 미확인)';
+        arrayBuffer = await resp.arrayBuffer();
+        if (fetchFill) fetchFill.style.width = '100%';
+      }
+
+      // 기존 firmwareData/firmwareFile 인터페이스에 맞게 저장
+      this.firmwareData = new Uint8Array(arrayBuffer);
+      this.firmwareFile = {
+        name: version.filename,
+        size: this.firmwareData.length,
+        _onlineVersion: version.version
+      };
+
+      if (fetchLabel) fetchLabel.textContent = '완료';
+      if (dlStatus) dlStatus.textContent = '✔ 준비됨';
+      if (selectedSize)
+        selectedSize.textContent =
+            this.formatFileSize(this.firmwareData.length);
 
-      } else if (this.writer) {
-        // Real serial communication
-        return await this.scanWithTimeout(frame, slaveId);
-      }
+      this.updateFirmwareButtons();
+      this.showToast(
+          `${version.version} 펌웨어 로드가 완료되었습니다`, 'success');
 
-      return null;
-    } catch (error) {
-      console.error('Scan error:', error);
-      return null;
+    } catch (err) {
+      if (dlStatus) dlStatus.textContent = '⚠ 실패';
+      if (fetchLabel) fetchLabel.textContent = `오류: ${err.message}`;
+      if (fetchFill) fetchFill.style.background = '#dc3545';
+      this.firmwareData = null;
+      this.firmwareFile = null;
+      this.updateFirmwareButtons();
+      this.showToast(`펌웨어 다운로드에 실패했습니다: ${err.message}`, 'error');
+    } finally {
+      // (버튼 비활성 없음 — 라디오 방식으로 변경됨)
     }
   }
 
   /**
-   * Scan with timeout for real serial communication
+   * 온라인 선택 상태 초기화
    */
-  async scanWithTimeout(frame, slaveId) {
-    // Wait for any in-progress polling cycle to finish before sending scan TX.
-    // isScanning=true already prevents NEW polling cycles from starting, but a
-    // cycle that was already executing (e.g. waiting for Slave 7's response)
-    // must complete first — otherwise the scan TX collides with the pending
-    // poll response.
-    while (this.isPolling) {
-      await new Promise(resolve => setTimeout(resolve, 5));
-    }
-
-    return new Promise(async (resolve) => {
-      // Set up scan response callback
-      this.scanExpectedSlaveId = slaveId;
-      this.scanResolve = (responseValue) => {
-        clearTimeout(timeout);
-        this.scanResolve = null;
-        this.scanExpectedSlaveId = null;
-        resolve(responseValue);
-      };
-
-      const timeout = setTimeout(() => {
-        this.scanResolve = null;
-        this.scanExpectedSlaveId = null;
-        resolve(null);
-      }, this.scanTimeout);
-
-      try {
-        await this.writer.write(frame);
-        this.addMonitorEntry(
-            'sent', frame,
-            {functionCode: 4, startAddress: this.scanRegister, quantity: 1});
-        this.stats.requests++;
-        this.updateStatsDisplay();
-        // Response will be handled by tryParseFrame which calls scanResolve
-      } catch (error) {
-        clearTimeout(timeout);
-        this.scanResolve = null;
-        this.scanExpectedSlaveId = null;
-        resolve(null);
-      }
+  _clearOnlineSelection() {
+    this.firmwareData = null;
+    this.firmwareFile = null;
+    const selectedInfo = document.getElementById('fwOnlineSelectedInfo');
+    if (selectedInfo) selectedInfo.style.display = 'none';
+    document.querySelectorAll('.fw-version-main-row')
+        .forEach(tr => tr.classList.remove('fw-version-row-selected'));
+    document.querySelectorAll('.fw-version-radio')
+        .forEach(r => r.checked = false);
+    document.querySelectorAll('.fw-changelog-row')
+        .forEach(r => r.style.display = 'none');
+    document.querySelectorAll('.fw-changelog-arrow').forEach(a => {
+      a.textContent = '▼';
+      a.classList.remove('fw-arrow-open');
     });
+    this.updateFirmwareButtons();
   }
 
   /**
-   * Get simulated device IDs for testing
+   * Handle firmware file selection
    */
-  getSimulatedDeviceIds() {
-    // Return IDs that should respond in simulation mode
-    // This allows testing the scan feature without real devices
-    return [1, 3, 5, 7, 10];
-  }
+  handleFirmwareFile(file) {
+    const validExtensions = ['.bin', '.hex', '.fw'];
+    const fileName = file.name.toLowerCase();
+    const isValid = validExtensions.some(ext => fileName.endsWith(ext));
 
-  /**
-   * Add a scanned device to the device list
-   * @param {number} slaveId - The slave ID
-   * @param {boolean} silent - If true, don't show individual toast messages
-   */
-  addScannedDevice(slaveId, silent = false) {
-    // Check if device already exists
-    const exists = this.devices.some(d => d.slaveId === slaveId);
-    if (exists) {
-      if (!silent) {
-        this.showToast(
-            `ID ${slaveId} 장치가 이미 등록되어 있습니다`, 'warning');
-      }
-      return false;
+    if (!isValid) {
+      this.showToast(
+          '지원하지 않는 파일 형식입니다. (.bin, .hex, .fw)', 'error');
+      return;
     }
 
-    const device = {
-      id: Date.now() + slaveId,  // Ensure unique ID when adding multiple
-      name: `Device ${slaveId}`,
-      slaveId: slaveId,
-      operationMode: 0,
-      setpoint: 0,
-      motorStatus: 0,
-      maxSpeed: 1600,
-      lastUpdate: Date.now(),
-      online: true,
-      runningDirection: 0,  // 0: CCW, 1: CW
-      maxCurrent: 0         // Maximum coil current in Amperes
-    };
-
-    this.devices.push(device);
-    this.saveDevices();
-    this.renderDeviceGrid();
-    this.renderDeviceSetupList();
+    this.firmwareFile = file;
 
-    // 연결 후 디바이스에서 모드와 최대 속도 읽기
-    this.initializeDeviceMode(device.id);
+    // Read file content
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      this.firmwareData = new Uint8Array(e.target.result);
+      this.updateFirmwareFileInfo();
+      this.updateFirmwareButtons();
+    };
+    reader.readAsArrayBuffer(file);
+  }
 
-    // Start auto polling if connection is active, on Dashboard, and wasn't
-    // running (first device added)
-    if (!this.autoPollingTimer && (this.simulatorEnabled || this.writer) &&
-        this.currentPage === 'dashboard') {
-      this.startAutoPolling();
-    }
+  /**
+   * Update firmware file info display
+   */
+  updateFirmwareFileInfo() {
+    const fileInfo = document.getElementById('firmwareFileInfo');
+    const fileName = document.getElementById('firmwareFileName');
+    const fileSize = document.getElementById('firmwareFileSize');
 
-    if (!silent) {
-      this.showToast(`장치 ${slaveId}가 추가되었습니다`, 'success');
+    if (fileInfo && this.firmwareFile) {
+      fileInfo.style.display = 'block';
+      fileName.textContent = this.firmwareFile.name;
+      fileSize.textContent = this.formatFileSize(this.firmwareFile.size);
     }
-    return true;
   }
 
-  // ===== Firmware Upload Functions =====
-
   /**
-   * Initialize firmware upload UI
+   * Format file size for display
    */
-  initFirmwareUI() {
-    const dropzone = document.getElementById('firmwareDropzone');
-    const fileInput = document.getElementById('firmwareFileInput');
-    const selectBtn = document.getElementById('firmwareSelectBtn');
-    const removeBtn = document.getElementById('firmwareRemoveBtn');
-    const verifyBtn = document.getElementById('firmwareVerifyBtn');
-    const downloadBtn = document.getElementById('firmwareDownloadBtn');
-    const cancelBtn = document.getElementById('firmwareCancelBtn');
-
-    if (!dropzone) return;
+  formatFileSize(bytes) {
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+    return (bytes / (1024 * 1024)).toFixed(2) + ' MB';
+  }
 
-    // Initialize firmware state
+  /**
+   * Clear selected firmware file
+   */
+  clearFirmwareFile() {
     this.firmwareFile = null;
     this.firmwareData = null;
-    this.firmwareUpdateInProgress = false;
-    this.firmwareUpdateCancelled = false;
-
-    // Click to select file
-    selectBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      fileInput.click();
-    });
-
-    dropzone.addEventListener('click', () => {
-      fileInput.click();
-    });
 
-    // File input change
-    fileInput.addEventListener('change', (e) => {
-      if (e.target.files.length > 0) {
-        this.handleFirmwareFile(e.target.files[0]);
-      }
-    });
+    const fileInfo = document.getElementById('firmwareFileInfo');
+    const fileInput = document.getElementById('firmwareFileInput');
 
-    // Drag and drop events
-    dropzone.addEventListener('dragover', (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-      dropzone.classList.add('drag-over');
-    });
+    if (fileInfo) fileInfo.style.display = 'none';
+    if (fileInput) fileInput.value = '';
 
-    dropzone.addEventListener('dragleave', (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-      dropzone.classList.remove('drag-over');
-    });
+    this.updateFirmwareButtons();
+  }
 
-    dropzone.addEventListener('drop', (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-      dropzone.classList.remove('drag-over');
+  /**
+   * Update firmware action buttons state
+   */
+  updateFirmwareButtons() {
+    const verifyBtn = document.getElementById('firmwareVerifyBtn');
+    const downloadBtn = document.getElementById('firmwareDownloadBtn');
+    const hasFile = this.firmwareFile !== null;
 
-      const files = e.dataTransfer.files;
-      if (files.length > 0) {
-        this.handleFirmwareFile(files[0]);
-      }
-    });
+    if (verifyBtn) verifyBtn.disabled = !hasFile;
+    if (downloadBtn) downloadBtn.disabled = !hasFile;
+  }
 
-    // Remove file button
-    if (removeBtn) {
-      removeBtn.addEventListener('click', () => {
-        this.clearFirmwareFile();
-      });
-    }
 
-    // Verify button
-    if (verifyBtn) {
-      verifyBtn.addEventListener('click', () => {
-        this.verifyFirmware();
-      });
+  /**
+   * Verify firmware file
+   */
+  verifyFirmware() {
+    if (!this.firmwareData) {
+      this.showToast('펌웨어 파일이 선택되지 않았습니다', 'error');
+      return;
     }
 
-    // Download button
-    if (downloadBtn) {
-      downloadBtn.addEventListener('click', () => {
-        this.startFirmwareDownload();
-      });
+    // Simple verification - check file size and header
+    const size = this.firmwareData.length;
+    if (size < 100) {
+      this.showToast('펌웨어 파일이 너무 작습니다', 'error');
+      return;
     }
 
-    // Cancel button
-    if (cancelBtn) {
-      cancelBtn.addEventListener('click', () => {
-        this.cancelFirmwareDownload();
-      });
+    // Calculate simple checksum
+    let checksum = 0;
+    for (let i = 0; i < this.firmwareData.length; i++) {
+      checksum = (checksum + this.firmwareData[i]) & 0xFFFF;
     }
 
-    // Initialize firmware state - online source additions
-    this.firmwareSource = 'local';
-    this._fwVersionsLoaded = false;
-    this._fwVersionList = [];
+    this.addFirmwareLog(`파일 검증 완료: ${this.firmwareFile.name}`);
+    this.addFirmwareLog(`파일 크기: ${this.formatFileSize(size)}`);
+    this.addFirmwareLog(
+        `체크섬: 0x${checksum.toString(16).toUpperCase().padStart(4, '0')}`,
+        'success');
 
-    // Initialize source selector
-    this.initFirmwareSourceSelector();
+    this.showToast('펌웨어 검증이 완료되었습니다', 'success');
   }
 
   /**
-   * Initialize firmware source selector (로컬 파일 / 온라인 업데이트 탭)
+   * Start firmware download using Modbus Function Code 0x66
    */
-  initFirmwareSourceSelector() {
-    const localBtn = document.getElementById('fwSourceLocalBtn');
-    const onlineBtn = document.getElementById('fwSourceOnlineBtn');
-    if (!localBtn || !onlineBtn) return;
+  async startFirmwareDownload() {
+    if (!this.firmwareData) {
+      this.showToast('펌웨어 파일이 선택되지 않았습니다', 'error');
+      return;
+    }
 
-    const switchSource = (source) => {
-      this.firmwareSource = source;
+    if (!this.isConnected && !this.simulatorEnabled) {
+      this.showToast(
+          '시리얼 포트에 연결하거나 시뮬레이터를 활성화하세요', 'error');
+      return;
+    }
 
-      localBtn.classList.toggle('active', source === 'local');
-      onlineBtn.classList.toggle('active', source === 'online');
+    // Get target slave ID from currently selected device in Device page
+    const selectedDevice =
+        this.devices.find(d => d.id === this.currentSetupDeviceId);
+    if (!selectedDevice) {
+      this.showToast('왼쪽 목록에서 대상 장치를 선택하세요', 'error');
+      return;
+    }
+    const slaveId = selectedDevice.slaveId;
+    // 펌웨어 데이터는 4-byte 정렬되어야 함 (Flash 32-bit word 쓰기 호환)
+    let packetSize =
+        parseInt(document.getElementById('fwPacketSize')?.value) || 240;
+    packetSize =
+        Math.max(4, Math.floor(packetSize / 4) * 4);  // 4의 배수로 라운드
+    const responseTimeout =
+        parseInt(document.getElementById('fwResponseTimeout')?.value) || 1000;
 
-      document.getElementById('fwPanelLocal').style.display =
-          source === 'local' ? 'block' : 'none';
-      document.getElementById('fwPanelOnline').style.display =
-          source === 'online' ? 'block' : 'none';
+    // UI elements
+    const progressSection = document.getElementById('firmwareProgressSection');
+    const progressBar = document.getElementById('firmwareProgressBar');
+    const progressPercent = document.getElementById('firmwareProgressPercent');
+    const progressStatus = document.getElementById('firmwareProgressStatus');
+    const downloadBtn = document.getElementById('firmwareDownloadBtn');
+    const cancelBtn = document.getElementById('firmwareCancelBtn');
+    const verifyBtn = document.getElementById('firmwareVerifyBtn');
 
-      if (source === 'online') {
-        this._initOnlinePanel();
-      } else {
-        this._clearOnlineSelection();
-      }
+    // Show progress section and cancel button
+    if (progressSection) progressSection.style.display = 'block';
+    if (downloadBtn) downloadBtn.style.display = 'none';
+    if (cancelBtn) cancelBtn.style.display = 'inline-block';
+    if (verifyBtn) verifyBtn.disabled = true;
 
-      this.updateFirmwareButtons();
-    };
+    // Clear previous log and reset steps
+    const logEl = document.getElementById('firmwareProgressLog');
+    if (logEl) logEl.innerHTML = '';
+    this.resetFirmwareSteps();
 
-    localBtn.addEventListener('click', () => switchSource('local'));
-    onlineBtn.addEventListener('click', () => switchSource('online'));
+    this.firmwareUpdateInProgress = true;
+    this.firmwareUpdateCancelled = false;
 
-    const refreshBtn = document.getElementById('fwRefreshVersionsBtn');
-    if (refreshBtn) {
-      refreshBtn.addEventListener(
-          'click', () => this.loadFirmwareVersionList());
+    // 펌웨어 데이터를 4-byte 경계로 패딩 (Flash 32-bit word 쓰기 정렬).
+    // 0xFF 패딩 — Flash erase 값과 동일하므로 추가 쓰기 부담 없음.
+    if (this.firmwareData.length % 4 !== 0) {
+      const origLen = this.firmwareData.length;
+      const paddedLen = Math.ceil(origLen / 4) * 4;
+      const padded = new Uint8Array(paddedLen);
+      padded.set(this.firmwareData);
+      padded.fill(0xFF, origLen);
+      this.firmwareData = padded;
+      this.addFirmwareLog(
+          `파일 크기 ${origLen} bytes → 4-byte 정렬을 위해 ${
+              paddedLen} bytes로 0xFF 패딩`,
+          'warning');
     }
 
-    const clearBtn = document.getElementById('fwOnlineClearBtn');
-    if (clearBtn) {
-      clearBtn.addEventListener('click', () => this._clearOnlineSelection());
-    }
-  }
+    const totalSize = this.firmwareData.length;
 
-  /**
-   * 온라인 패널 초기화 — 환경 감지 후 UI 분기
-   */
-  _initOnlinePanel() {
-    const isLocalFile = window.location.protocol === 'file:';
-    const disabledDiv = document.getElementById('fwOnlineDisabled');
-    const contentDiv = document.getElementById('fwOnlineContent');
+    try {
+      // ===== Try FC 0x23 (Fast Firmware Download) first =====
+      this.addFirmwareLog(
+          `[0x23] Fast Firmware Download 시도 - Slave ID: ${slaveId}`);
 
-    if (isLocalFile) {
-      if (disabledDiv) disabledDiv.style.display = 'flex';
-      if (contentDiv) contentDiv.style.display = 'none';
-    } else {
-      if (disabledDiv) disabledDiv.style.display = 'none';
-      if (contentDiv) contentDiv.style.display = 'block';
-      if (!this._fwVersionsLoaded) {
-        this.loadFirmwareVersionList();
+      const fastResult = await this._runFastFirmwareDownload(
+          slaveId, packetSize, responseTimeout,
+          {progressBar, progressPercent, progressStatus});
+
+      if (fastResult.ok) {
+        this.addFirmwareLog('펌웨어 다운로드 성공! (FC 0x23)', 'success');
+        this.showToast('펌웨어 다운로드가 완료되었습니다 (Fast)', 'success');
+        return;  // finally 블록은 그대로 실행됨
       }
-    }
-  }
 
-  /**
-   * 온라인 버전 목록 로드 (versions.json fetch)
-   */
-  async loadFirmwareVersionList() {
-    const loadingEl = document.getElementById('fwOnlineLoading');
-    const errorEl = document.getElementById('fwOnlineError');
-    const errorMsgEl = document.getElementById('fwOnlineErrorMsg');
-    const tableWrapper = document.getElementById('fwVersionTableWrapper');
-    const refreshIcon = document.getElementById('fwRefreshIcon');
+      if (!fastResult.fallback) {
+        // 0x23 진행 중 실패 — 0x66로 되돌리지 않고 사용자에게 보고
+        throw new Error(fastResult.error || 'Fast firmware download failed');
+      }
 
-    if (loadingEl) loadingEl.style.display = 'flex';
-    if (errorEl) errorEl.style.display = 'none';
-    if (tableWrapper) tableWrapper.style.display = 'none';
-    if (refreshIcon) refreshIcon.textContent = '⌛';
+      // ===== Fallback to FC 0x66 (legacy) =====
+      this.addFirmwareLog(
+          '=== FC 0x66 (legacy) 프로토콜로 fallback ===', 'warning');
+      this.resetFirmwareSteps();
 
-    try {
-      const resp = await fetch('./firmware/versions.json', {cache: 'no-cache'});
-      if (!resp.ok) throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
+      // ===== Step 1: Initialize (OpCode 0x90) =====
+      this.setFirmwareStepStatus('0x90', 'active');
+      this.addFirmwareLog(`[0x90] 초기화 시작 - Slave ID: ${
+          slaveId}, 파일 크기: ${totalSize} bytes`);
 
-      const json = await resp.json();
-      if (!Array.isArray(json.versions) || json.versions.length === 0) {
-        throw new Error('버전 목록이 비어있습니다');
+      const initFrame = this.modbus.buildFirmwareInit(slaveId, totalSize);
+      this.addFirmwareLog(`TX: ${this.modbus.bufferToHex(initFrame)}`, 'tx');
+
+      // 펌웨어 응답은 슬레이브 ID 1바이트만 옴 (펌웨어 버그가 표준이 됨)
+      const initResponse = await this.sendAndReceive(
+          initFrame, responseTimeout, {minLength: 1, skipCRC: true});
+      if (!initResponse) {
+        throw new Error('초기화 응답 없음 (timeout)');
       }
+      this.addFirmwareLog(`RX: ${this.modbus.bufferToHex(initResponse)}`, 'rx');
 
-      this._fwVersionsLoaded = true;
-      this._fwVersionList = json.versions;
-      this._renderVersionTable(json.versions);
+      this.setFirmwareStepStatus('0x90', 'completed');
+      this.addFirmwareLog('[0x90] 초기화 완료 - Flash Unlock', 'success');
 
-      if (loadingEl) loadingEl.style.display = 'none';
-      if (tableWrapper) tableWrapper.style.display = 'block';
-    } catch (err) {
-      if (loadingEl) loadingEl.style.display = 'none';
-      if (errorEl) errorEl.style.display = 'flex';
-      if (errorMsgEl)
-        errorMsgEl.textContent =
-            `버전 목록을 불러올 수 없습니다: ${err.message}`;
-      this._fwVersionsLoaded = false;
-    } finally {
-      if (refreshIcon) refreshIcon.textContent = '↻';
-    }
-  }
+      if (this.firmwareUpdateCancelled) throw new Error('사용자에 의해 취소됨');
 
-  /**
-   * 버전 목록 테이블 렌더링
-   */
-  _renderVersionTable(versions) {
-    const tbody = document.getElementById('fwVersionTableBody');
-    if (!tbody) return;
+      // ===== Step 2: Erase Confirm (OpCode 0x91) =====
+      this.setFirmwareStepStatus('0x91', 'active');
+      this.addFirmwareLog('[0x91] Flash Erase 대기 중 (10초)...');
 
-    tbody.innerHTML =
-        versions
-            .map((v, idx) => {
-              const isLatest = idx === 0;
-              const latestBadge = isLatest ?
-                  '<span class="fw-version-badge-latest">최신</span>' :
-                  '';
-              const sizeStr = v.size > 0 ? this.formatFileSize(v.size) : '-';
-              const changelog = v.changelog || '변경사항 없음';
+      // Flash Erase 완료 대기 (10초)
+      await this.delay(10000);
 
-              return `
-                <tr class="fw-version-main-row" data-version-idx="${idx}">
-                    <td>
-                        <label class="fw-radio-label">
-                            <input type="radio" name="fwVersionRadio" class="fw-version-radio" value="${
-                  idx}">
-                            <span class="fw-version-number">${
-                  v.version}</span>${latestBadge}
-                        </label>
-                    </td>
-                    <td class="fw-version-date">${v.date}</td>
-                    <td class="fw-version-size">
-                        <span>${sizeStr}</span>
-                        <span class="fw-changelog-arrow" data-idx="${
-                  idx}">▼</span>
-                    </td>
-                </tr>
-                <tr class="fw-changelog-row" id="fwChangelogRow${
-                  idx}" style="display:none;">
-                    <td colspan="3" class="fw-changelog-detail-cell">
-                        <div class="fw-changelog-detail-inner">
-                            <span class="fw-changelog-label">변경사항</span>
-                            <div class="fw-changelog-content">${
-                  changelog.replace(/\n/g, '<br>')}</div>
-                        </div>
-                    </td>
-                </tr>
-            `;
-            })
-            .join('');
+      this.addFirmwareLog('[0x91] Flash Erase 확인 중...');
+      const eraseFrame = this.modbus.buildFirmwareEraseConfirm(slaveId);
+      this.addFirmwareLog(`TX: ${this.modbus.bufferToHex(eraseFrame)}`, 'tx');
 
-    // 라디오 버튼 변경 시 버전 선택
-    tbody.querySelectorAll('.fw-version-radio').forEach(radio => {
-      radio.addEventListener('change', () => {
-        if (radio.checked) {
-          const idx = parseInt(radio.value);
-          tbody.querySelectorAll('.fw-version-main-row')
-              .forEach(tr => tr.classList.remove('fw-version-row-selected'));
-          radio.closest('tr').classList.add('fw-version-row-selected');
-          this.selectOnlineFirmwareVersion(this._fwVersionList[idx]);
-        }
-      });
-    });
+      // 응답: 65바이트, CRC 없음
+      const eraseResponse = await this.sendAndReceive(
+          eraseFrame, responseTimeout, {minLength: 65, skipCRC: true});
+      if (!eraseResponse) {
+        throw new Error('Erase 확인 응답 없음 (timeout)');
+      }
+      this.addFirmwareLog(
+          `RX: ${this.modbus.bufferToHex(eraseResponse)}`, 'rx');
 
-    // 행 클릭 시 변경사항 토글 + 라디오 선택
-    tbody.querySelectorAll('.fw-version-main-row').forEach(tr => {
-      tr.addEventListener('click', () => {
-        const idx = parseInt(tr.dataset.versionIdx);
-        const detailRow = document.getElementById(`fwChangelogRow${idx}`);
-        const arrow = tr.querySelector('.fw-changelog-arrow');
-        const isOpen = detailRow.style.display !== 'none';
+      // Parse erase response
+      const eraseResult = this.modbus.parseFirmwareResponse(eraseResponse);
+      if (!eraseResult.success) {
+        const statusHex =
+            eraseResult.data?.eraseStatus?.toString(16).toUpperCase() ||
+            'unknown';
+        throw new Error(`Flash Erase 실패 (status: 0x${statusHex})`);
+      }
 
-        // 다른 행 변경사항 닫기
-        tbody.querySelectorAll('.fw-changelog-row')
-            .forEach(r => r.style.display = 'none');
-        tbody.querySelectorAll('.fw-changelog-arrow').forEach(a => {
-          a.textContent = '▼';
-          a.classList.remove('fw-arrow-open');
-        });
+      this.setFirmwareStepStatus('0x91', 'completed');
+      this.addFirmwareLog('[0x91] Flash Erase 완료 확인', 'success');
 
-        // 현재 행 토글
-        if (!isOpen) {
-          detailRow.style.display = 'table-row';
-          arrow.textContent = '▲';
-          arrow.classList.add('fw-arrow-open');
-        }
+      if (this.firmwareUpdateCancelled) throw new Error('사용자에 의해 취소됨');
 
-        // 라디오 선택
-        const radio = tr.querySelector('.fw-version-radio');
-        if (radio && !radio.checked) radio.click();
-      });
-    });
-  }
+      // ===== Step 3: Data Transfer (OpCode 0x03) =====
+      this.setFirmwareStepStatus('0x03', 'active');
 
-  /**
-   * 온라인 펌웨어 버전 선택 — bin 파일 fetch 후 메모리 로드
-   */
-  async selectOnlineFirmwareVersion(version) {
-    const selectedInfo = document.getElementById('fwOnlineSelectedInfo');
-    const selectedName = document.getElementById('fwOnlineSelectedName');
-    const selectedSize = document.getElementById('fwOnlineSelectedSize');
-    const dlStatus = document.getElementById('fwOnlineDlStatus');
-    const fetchProgress = document.getElementById('fwOnlineFetchProgress');
-    const fetchFill = document.getElementById('fwOnlineFetchFill');
-    const fetchLabel = document.getElementById('fwOnlineFetchLabel');
+      // Calculate total packets
+      const totalPackets = Math.ceil(totalSize / packetSize);
+      this.addFirmwareLog(`[0x03] 데이터 전송 시작 - 패킷 크기: ${
+          packetSize} bytes, 총 ${totalPackets} 패킷`);
 
-    // 정보 바 즉시 표시
-    if (selectedInfo) selectedInfo.style.display = 'block';
-    if (selectedName) selectedName.textContent = version.filename;
-    if (selectedSize)
-      selectedSize.textContent =
-          version.size > 0 ? this.formatFileSize(version.size) : '-';
-    if (dlStatus) dlStatus.textContent = '';
-    if (fetchProgress) fetchProgress.style.display = 'flex';
-    if (fetchFill) fetchFill.style.width = '0%';
-    if (fetchLabel) fetchLabel.textContent = '다운로드 중...';
+      let transferred = 0;
+      let packetCount = 0;
 
-    // 라디오/행 선택 상태는 _renderVersionTable에서 처리됨
+      // 전체 전송 시작 시간 기록
+      const transferStartTime = Date.now();
 
-    try {
-      const url = `./firmware/${version.filename}`;
-      const resp = await fetch(url, {cache: 'no-cache'});
+      while (transferred < totalSize) {
+        if (this.firmwareUpdateCancelled)
+          throw new Error('사용자에 의해 취소됨');
 
-      if (!resp.ok) throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
+        const remaining = totalSize - transferred;
+        const chunkSize = Math.min(packetSize, remaining);
+        const chunk =
+            this.firmwareData.slice(transferred, transferred + chunkSize);
 
-      const contentLength = resp.headers.get('Content-Length');
-      let arrayBuffer;
+        const dataFrame = this.modbus.buildFirmwareData(slaveId, chunk);
 
-      if (contentLength && resp.body) {
-        const total = parseInt(contentLength);
-        let received = 0;
-        const reader = resp.body.getReader();
-        const chunks = [];
+        // Only log every 10th packet or last packet to reduce log spam
+        if (packetCount % 10 === 0 || chunkSize < packetSize) {
+          this.addFirmwareLog(
+              `TX[${packetCount}]: ${chunkSize} bytes @ offset ${transferred}`,
+              'tx');
+        }
 
-        while (true) {
-          const {done, value} = await reader.read();
-          if (done) break;
-          chunks.push(value);
-          received += value.length;
-          const pct = Math.round(received / total * 100);
-          if (fetchFill) fetchFill.style.width = pct + '%';
-          if (fetchLabel) fetchLabel.textContent = `다운로드 중... ${pct}%`;
+        // 응답: 65바이트, CRC 없음
+        const dataResponse = await this.sendAndReceive(
+            dataFrame, responseTimeout, {minLength: 65, skipCRC: true});
+        if (!dataResponse) {
+          throw new Error(`데이터 전송 응답 없음 (packet ${packetCount})`);
         }
 
-        const combined = new Uint8Array(received);
-        let offset = 0;
-        for (const chunk of chunks) {
-          combined.set(chunk, offset);
-          offset += chunk.length;
+        // Parse response to check for ACK (0x04) or error (0x05)
+        const dataResult = this.modbus.parseFirmwareResponse(dataResponse);
+        if (!dataResult.success) {
+          throw new Error(
+              `데이터 전송 에러 (packet ${packetCount}): OpCode 0x05`);
         }
-        arrayBuffer = combined.buffer;
-      } else {
-        if (fetchLabel) fetchLabel.textContent = '다운로드 중... (크기 미확인)';
-        arrayBuffer = await resp.arrayBuffer();
-        if (fetchFill) fetchFill.style.width = '100%';
+
+        // Total Received Byte 검증
+        const expectedTotal = transferred + chunkSize;
+        if (dataResult.data?.totalReceivedByte !== expectedTotal) {
+          this.addFirmwareLog(
+              `경고: Total Received Byte 불일치 (expected: ${
+                  expectedTotal}, got: ${dataResult.data?.totalReceivedByte})`,
+              'warning');
+        }
+
+        transferred += chunkSize;
+        packetCount++;
+
+        // Calculate remaining time based on total elapsed time
+        let estimatedTimeMs = 0;
+        if (packetCount > 0) {
+          const elapsedTime = Date.now() - transferStartTime;
+          const avgTimePerPacket = elapsedTime / packetCount;
+          const remainingPackets = totalPackets - packetCount;
+          estimatedTimeMs = Math.round(remainingPackets * avgTimePerPacket);
+        }
+
+        // Update progress
+        const percent = Math.round((transferred / totalSize) * 100);
+        if (progressBar) progressBar.style.width = percent + '%';
+        if (progressPercent) progressPercent.textContent = percent + '%';
+        if (progressStatus)
+          progressStatus.textContent = `${this.formatFileSize(transferred)} / ${
+              this.formatFileSize(totalSize)}`;
+
+        // Update step progress with detailed info
+        this.updateFirmwareDataProgress(
+            transferred, totalSize, packetCount, totalPackets, estimatedTimeMs);
       }
 
-      // 기존 firmwareData/firmwareFile 인터페이스에 맞게 저장
-      this.firmwareData = new Uint8Array(arrayBuffer);
-      this.firmwareFile = {
-        name: version.filename,
-        size: this.firmwareData.length,
-        _onlineVersion: version.version
-      };
+      this.setFirmwareStepStatus('0x03', 'completed');
+      this.updateFirmwareDataProgress(
+          totalSize, totalSize, totalPackets, totalPackets, 0);
+      this.addFirmwareLog(
+          `[0x03] 데이터 전송 완료 - ${packetCount} 패킷, ${totalSize} bytes`,
+          'success');
 
-      if (fetchLabel) fetchLabel.textContent = '완료';
-      if (dlStatus) dlStatus.textContent = '✔ 준비됨';
-      if (selectedSize)
-        selectedSize.textContent =
-            this.formatFileSize(this.firmwareData.length);
+      // ===== Step 4: Done (OpCode 0x99) =====
+      this.setFirmwareStepStatus('0x99', 'active');
+      this.addFirmwareLog('[0x99] 펌웨어 업데이트 완료 처리 중...');
 
-      this.updateFirmwareButtons();
-      this.showToast(
-          `${version.version} 펌웨어 로드가 완료되었습니다`, 'success');
+      const doneFrame = this.modbus.buildFirmwareDone(slaveId);
+      this.addFirmwareLog(`TX: ${this.modbus.bufferToHex(doneFrame)}`, 'tx');
 
-    } catch (err) {
-      if (dlStatus) dlStatus.textContent = '⚠ 실패';
-      if (fetchLabel) fetchLabel.textContent = `오류: ${err.message}`;
-      if (fetchFill) fetchFill.style.background = '#dc3545';
-      this.firmwareData = null;
-      this.firmwareFile = null;
-      this.updateFirmwareButtons();
-      this.showToast(`펌웨어 다운로드에 실패했습니다: ${err.message}`, 'error');
-    } finally {
-      // (버튼 비활성 없음 — 라디오 방식으로 변경됨)
-    }
-  }
+      // 응답: 65바이트, CRC 없음
+      const doneResponse = await this.sendAndReceive(
+          doneFrame, responseTimeout, {minLength: 65, skipCRC: true});
+      if (!doneResponse) {
+        throw new Error('완료 응답 없음 (timeout)');
+      }
+      this.addFirmwareLog(`RX: ${this.modbus.bufferToHex(doneResponse)}`, 'rx');
 
-  /**
-   * 온라인 선택 상태 초기화
-   */
-  _clearOnlineSelection() {
-    this.firmwareData = null;
-    this.firmwareFile = null;
-    const selectedInfo = document.getElementById('fwOnlineSelectedInfo');
-    if (selectedInfo) selectedInfo.style.display = 'none';
-    document.querySelectorAll('.fw-version-main-row')
-        .forEach(tr => tr.classList.remove('fw-version-row-selected'));
-    document.querySelectorAll('.fw-version-radio')
-        .forEach(r => r.checked = false);
-    document.querySelectorAll('.fw-changelog-row')
-        .forEach(r => r.style.display = 'none');
-    document.querySelectorAll('.fw-changelog-arrow').forEach(a => {
-      a.textContent = '▼';
-      a.classList.remove('fw-arrow-open');
-    });
-    this.updateFirmwareButtons();
-  }
+      // 응답 OpCode가 0x05면 성공 (Done ACK)
+      const doneResult = this.modbus.parseFirmwareResponse(doneResponse);
+      if (!doneResult.success) {
+        throw new Error('펌웨어 완료 처리 실패');
+      }
 
-  /**
-   * Handle firmware file selection
-   */
-  handleFirmwareFile(file) {
-    const validExtensions = ['.bin', '.hex', '.fw'];
-    const fileName = file.name.toLowerCase();
-    const isValid = validExtensions.some(ext => fileName.endsWith(ext));
+      this.setFirmwareStepStatus('0x99', 'completed');
+      this.addFirmwareLog(
+          '[0x99] 펌웨어 업데이트 완료 - Flash Lock', 'success');
+
+      this.addFirmwareLog('펌웨어 다운로드 성공!', 'success');
+      this.showToast('펌웨어 다운로드가 완료되었습니다', 'success');
 
-    if (!isValid) {
+    } catch (error) {
+      this.addFirmwareLog(`에러: ${error.message}`, 'error');
       this.showToast(
-          '지원하지 않는 파일 형식입니다. (.bin, .hex, .fw)', 'error');
-      return;
-    }
+          `펌웨어 다운로드에 실패했습니다: ${error.message}`, 'error');
 
-    this.firmwareFile = file;
+      // Mark current active step as error
+      document.querySelectorAll('.firmware-step.active').forEach(step => {
+        step.classList.remove('active');
+        step.classList.add('error');
+      });
 
-    // Read file content
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      this.firmwareData = new Uint8Array(e.target.result);
-      this.updateFirmwareFileInfo();
-      this.updateFirmwareButtons();
-    };
-    reader.readAsArrayBuffer(file);
+    } finally {
+      this.firmwareUpdateInProgress = false;
+      if (downloadBtn) downloadBtn.style.display = 'inline-block';
+      if (cancelBtn) cancelBtn.style.display = 'none';
+      if (verifyBtn) verifyBtn.disabled = false;
+    }
   }
 
   /**
-   * Update firmware file info display
+   * Cancel firmware download
    */
-  updateFirmwareFileInfo() {
-    const fileInfo = document.getElementById('firmwareFileInfo');
-    const fileName = document.getElementById('firmwareFileName');
-    const fileSize = document.getElementById('firmwareFileSize');
-
-    if (fileInfo && this.firmwareFile) {
-      fileInfo.style.display = 'block';
-      fileName.textContent = this.firmwareFile.name;
-      fileSize.textContent = this.formatFileSize(this.firmwareFile.size);
+  cancelFirmwareDownload() {
+    if (this.firmwareUpdateInProgress) {
+      this.firmwareUpdateCancelled = true;
+      this.addFirmwareLog('취소 요청됨...', 'warning');
     }
   }
 
   /**
-   * Format file size for display
+   * FC 0x23 가변 길이 RX 헬퍼.
+   * OpCode + ACK/NACK 구분자로 길이 동적 결정 (modbus.getFastFwResponseLength).
+   * @param {Uint8Array} frame
+   * @param {number} timeout ms
+   * @returns {Promise<Uint8Array | null>} CRC 검증된 응답 프레임. timeout 시
+   *     null.
    */
-  formatFileSize(bytes) {
-    if (bytes < 1024) return bytes + ' B';
-    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
-    return (bytes / (1024 * 1024)).toFixed(2) + ' MB';
-  }
+  async _sendReceiveFastFw(frame, timeout = 1000) {
+    if (this.simulatorEnabled) {
+      this.addMonitorEntry('tx', frame);
+      const startTime = Date.now();
 
-  /**
-   * Clear selected firmware file
-   */
-  clearFirmwareFile() {
-    this.firmwareFile = null;
-    this.firmwareData = null;
+      const pending = this.simulatorBus.processRequest(frame);
 
-    const fileInfo = document.getElementById('firmwareFileInfo');
-    const fileInput = document.getElementById('firmwareFileInput');
+      const response = await Promise.race(
+          [pending, this.delay(timeout).then(() => null)]);
+      if (!response) {
+        // 응답 누락(fault 주입) → 실제 포트처럼 timeout까지 대기
+        await this.delay(Math.max(0, timeout - (Date.now() - startTime)));
+        return null;
+      }
+      this.addMonitorEntry('rx', response);
+      return response;
+    }
+    if (!this.writer) return null;
 
-    if (fileInfo) fileInfo.style.display = 'none';
-    if (fileInput) fileInput.value = '';
+    // 잔류 데이터 flush
+    this.responseBuffer = null;
+    this.expectedResponseLength = 0;
+    this.receiveIndex = 0;
 
-    this.updateFirmwareButtons();
-  }
+    await this.sendRawData(frame);
+    this.addMonitorEntry('tx', frame);
 
-  /**
-   * Update firmware action buttons state
-   */
-  updateFirmwareButtons() {
-    const verifyBtn = document.getElementById('firmwareVerifyBtn');
-    const downloadBtn = document.getElementById('firmwareDownloadBtn');
-    const hasFile = this.firmwareFile !== null;
+    // 수신 누적 시작
+    this.responseBuffer = [];
 
-    if (verifyBtn) verifyBtn.disabled = !hasFile;
-    if (downloadBtn) downloadBtn.disabled = !hasFile;
-  }
+    const startTime = Date.now();
+    const slaveId = frame[0];
 
+    while (Date.now() - startTime < timeout) {
+      const buf = this.responseBuffer;
 
-  /**
-   * Verify firmware file
-   */
-  verifyFirmware() {
-    if (!this.firmwareData) {
-      this.showToast('펌웨어 파일이 선택되지 않았습니다', 'error');
-      return;
-    }
+      if (buf.length >= 2 && buf[0] === slaveId) {
+        const fc = buf[1];
 
-    // Simple verification - check file size and header
-    const size = this.firmwareData.length;
-    if (size < 100) {
-      this.showToast('펌웨어 파일이 너무 작습니다', 'error');
-      return;
+        // FC 0xA3 = 0x23 | 0x80 → 표준 Modbus exception, 5 bytes
+        if (fc === 0xA3) {
+          if (buf.length >= 5) {
+            const respFrame = new Uint8Array(buf.slice(0, 5));
+            if (this.modbus.verifyCRC(respFrame)) {
+              this.addMonitorEntry('rx', respFrame);
+              return respFrame;
+            }
+            this.addMonitorEntry(
+                'error', respFrame, null, 'CRC mismatch (FC 0xA3)');
+            return null;
+          }
+        } else if (fc === 0x23) {
+          const expected =
+              this.modbus.getFastFwResponseLength(new Uint8Array(buf));
+          if (expected !== null && buf.length >= expected) {
+            const respFrame = new Uint8Array(buf.slice(0, expected));
+            if (this.modbus.verifyCRC(respFrame)) {
+              this.addMonitorEntry('rx', respFrame);
+              return respFrame;
+            }
+            this.addMonitorEntry(
+                'error', respFrame, null, 'CRC mismatch (FC 0x23)');
+            return null;
+          }
+        }
+      }
+      await this.delay(5);
     }
+    return null;
+  }
 
-    // Calculate simple checksum
-    let checksum = 0;
-    for (let i = 0; i < this.firmwareData.length; i++) {
-      checksum = (checksum + this.firmwareData[i]) & 0xFFFF;
+  /** FC 0x23 Abort (best-effort, 실패해도 무시) */
+  async _fastFwAbort(slaveId, timeout) {
+    try {
+      const abortFrame = this.modbus.buildFastFwAbort(slaveId);
+      this.addFirmwareLog(`[0x23/0xFF] Abort 송신`, 'warning');
+      await this._sendReceiveFastFw(abortFrame, timeout);
+    } catch (_) {
+      // ignore
     }
-
-    this.addFirmwareLog(`파일 검증 완료: ${this.firmwareFile.name}`);
-    this.addFirmwareLog(`파일 크기: ${this.formatFileSize(size)}`);
-    this.addFirmwareLog(
-        `체크섬: 0x${checksum.toString(16).toUpperCase().padStart(4, '0')}`,
-        'success');
-
-    this.showToast('펌웨어 검증이 완료되었습니다', 'success');
   }
 
   /**
-   * Start firmware download using Modbus Function Code 0x66
+   * FC 0x23 펌웨어 다운로드 메인 플로우.
+   * @returns {Promise<{ok: boolean, fallback: boolean, error?: string}>}
+   *   - ok=true : 성공
+   *   - ok=false, fallback=true : Init 단계에서 미지원 감지 → 0x66 fallback
+   * 가능
+   *   - ok=false, fallback=false : 0x23 진행 중 실패 → 사용자에게 에러
    */
-  async startFirmwareDownload() {
-    if (!this.firmwareData) {
-      this.showToast('펌웨어 파일이 선택되지 않았습니다', 'error');
-      return;
-    }
-
-    if (!this.isConnected && !this.simulatorEnabled) {
-      this.showToast(
-          '시리얼 포트에 연결하거나 시뮬레이터를 활성화하세요', 'error');
-      return;
-    }
-
-    // Get target slave ID from currently selected device in Device page
-    const selectedDevice =
-        this.devices.find(d => d.id === this.currentSetupDeviceId);
-    if (!selectedDevice) {
-      this.showToast('왼쪽 목록에서 대상 장치를 선택하세요', 'error');
-      return;
-    }
-    const slaveId = selectedDevice.slaveId;
-    // 펌웨어 데이터는 4-byte 정렬되어야 함 (Flash 32-bit word 쓰기 호환)
-    let packetSize =
-        parseInt(document.getElementById('fwPacketSize')?.value) || 240;
-    packetSize =
-        Math.max(4, Math.floor(packetSize / 4) * 4);  // 4의 배수로 라운드
-    const responseTimeout =
-        parseInt(document.getElementById('fwResponseTimeout')?.value) || 1000;
-
-    // UI elements
-    const progressSection = document.getElementById('firmwareProgressSection');
-    const progressBar = document.getElementById('firmwareProgressBar');
-    const progressPercent = document.getElementById('firmwareProgressPercent');
-    const progressStatus = document.getElementById('firmwareProgressStatus');
-    const downloadBtn = document.getElementById('firmwareDownloadBtn');
-    const cancelBtn = document.getElementById('firmwareCancelBtn');
-    const verifyBtn = document.getElementById('firmwareVerifyBtn');
-
-    // Show progress section and cancel button
-    if (progressSection) progressSection.style.display = 'block';
-    if (downloadBtn) downloadBtn.style.display = 'none';
-    if (cancelBtn) cancelBtn.style.display = 'inline-block';
-    if (verifyBtn) verifyBtn.disabled = true;
-
-    // Clear previous log and reset steps
-    const logEl = document.getElementById('firmwareProgressLog');
-    if (logEl) logEl.innerHTML = '';
-    this.resetFirmwareSteps();
-
-    this.firmwareUpdateInProgress = true;
-    this.firmwareUpdateCancelled = false;
-
-    // 펌웨어 데이터를 4-byte 경계로 패딩 (Flash 32-bit word 쓰기 정렬).
-    // 0xFF 패딩 — Flash erase 값과 동일하므로 추가 쓰기 부담 없음.
-    if (this.firmwareData.length % 4 !== 0) {
-      const origLen = this.firmwareData.length;
-      const paddedLen = Math.ceil(origLen / 4) * 4;
-      const padded = new Uint8Array(paddedLen);
-      padded.set(this.firmwareData);
-      padded.fill(0xFF, origLen);
-      this.firmwareData = padded;
-      this.addFirmwareLog(
-          `파일 크기 ${origLen} bytes → 4-byte 정렬을 위해 ${
-              paddedLen} bytes로 0xFF 패딩`,
-          'warning');
-    }
-
+  async _runFastFirmwareDownload(
+      slaveId, packetSize, responseTimeout, progressUI) {
     const totalSize = this.firmwareData.length;
+    const firmwareCRC32 = this.modbus.calculateCRC32(this.firmwareData);
 
-    try {
-      // ===== Try FC 0x23 (Fast Firmware Download) first =====
-      this.addFirmwareLog(
-          `[0x23] Fast Firmware Download 시도 - Slave ID: ${slaveId}`);
+    // ===== Step 1: Init (0x90) =====
+    this.setFirmwareStepStatus('0x90', 'active');
+    this.addFirmwareLog(`[0x23/0x90] Init - 파일 크기: ${totalSize} bytes`);
 
-      const fastResult = await this._runFastFirmwareDownload(
-          slaveId, packetSize, responseTimeout,
-          {progressBar, progressPercent, progressStatus});
+    const initFrame =
+        this.modbus.buildFastFwInit(slaveId, 0x01, 0x00, totalSize);
+    this.addFirmwareLog(`TX: ${this.modbus.bufferToHex(initFrame)}`, 'tx');
+
+    const initResponse =
+        await this._sendReceiveFastFw(initFrame, responseTimeout);
 
-      if (fastResult.ok) {
-        this.addFirmwareLog('펌웨어 다운로드 성공! (FC 0x23)', 'success');
-        this.showToast('펌웨어 다운로드가 완료되었습니다 (Fast)', 'success');
-        return;  // finally 블록은 그대로 실행됨
-      }
+    if (!initResponse) {
+      // 응답 없음 → slave가 0x23 모름
+      this.addFirmwareLog('[0x23] Init 응답 없음 → 0x66 fallback', 'warning');
+      this.setFirmwareStepStatus('0x90', '');
+      return {ok: false, fallback: true};
+    }
 
-      if (!fastResult.fallback) {
-        // 0x23 진행 중 실패 — 0x66로 되돌리지 않고 사용자에게 보고
-        throw new Error(fastResult.error || 'Fast firmware download failed');
-      }
+    this.addFirmwareLog(`RX: ${this.modbus.bufferToHex(initResponse)}`, 'rx');
 
-      // ===== Fallback to FC 0x66 (legacy) =====
+    const initResult = this.modbus.parseFastFwResponse(initResponse);
+
+    if (initResult.isException) {
       this.addFirmwareLog(
-          '=== FC 0x66 (legacy) 프로토콜로 fallback ===', 'warning');
-      this.resetFirmwareSteps();
+          `[0x23] Modbus Exception 0x${
+              initResult.exceptionCode.toString(16).padStart(
+                  2, '0')} → 0x66 fallback`,
+          'warning');
+      this.setFirmwareStepStatus('0x90', '');
+      return {ok: false, fallback: true};
+    }
 
-      // ===== Step 1: Initialize (OpCode 0x90) =====
-      this.setFirmwareStepStatus('0x90', 'active');
-      this.addFirmwareLog(`[0x90] 초기화 시작 - Slave ID: ${
-          slaveId}, 파일 크기: ${totalSize} bytes`);
+    if (!initResult.success) {
+      this.setFirmwareStepStatus('0x90', 'error');
+      return {
+        ok: false,
+        fallback: false,
+        error: `Init 실패: ${initResult.error || 'unknown'}`
+      };
+    }
 
-      const initFrame = this.modbus.buildFirmwareInit(slaveId, totalSize);
-      this.addFirmwareLog(`TX: ${this.modbus.bufferToHex(initFrame)}`, 'tx');
+    const {protocolVersion, status, lastOffset} = initResult.data;
+    this.addFirmwareLog(
+        `[0x23/0x90] Protocol v${protocolVersion}, Status=0x${
+            status.toString(16).padStart(2, '0')}, LastOffset=${lastOffset}`,
+        'success');
+    this.setFirmwareStepStatus('0x90', 'completed');
 
-      // 펌웨어 응답은 슬레이브 ID 1바이트만 옴 (펌웨어 버그가 표준이 됨)
-      const initResponse = await this.sendAndReceive(
-          initFrame, responseTimeout, {minLength: 1, skipCRC: true});
-      if (!initResponse) {
-        throw new Error('초기화 응답 없음 (timeout)');
-      }
-      this.addFirmwareLog(`RX: ${this.modbus.bufferToHex(initResponse)}`, 'rx');
+    if (this.firmwareUpdateCancelled) {
+      await this._fastFwAbort(slaveId, responseTimeout);
+      throw new Error('사용자에 의해 취소됨');
+    }
 
-      this.setFirmwareStepStatus('0x90', 'completed');
-      this.addFirmwareLog('[0x90] 초기화 완료 - Flash Unlock', 'success');
+    // ===== Step 2: Erase Poll (0x91) — Status=0x00 일 때만 =====
+    let resumeFromOffset = 0;
+    if (status === 0x00) {
+      this.setFirmwareStepStatus('0x91', 'active');
+      this.addFirmwareLog('[0x23/0x91] Flash Erase 폴링 (500ms 주기)...');
 
-      if (this.firmwareUpdateCancelled) throw new Error('사용자에 의해 취소됨');
+      const eraseStartTime = Date.now();
+      const eraseTimeout = 30000;
+      let eraseDone = false;
 
-      // ===== Step 2: Erase Confirm (OpCode 0x91) =====
-      this.setFirmwareStepStatus('0x91', 'active');
-      this.addFirmwareLog('[0x91] Flash Erase 대기 중 (10초)...');
+      while (Date.now() - eraseStartTime < eraseTimeout) {
+        if (this.firmwareUpdateCancelled) {
+          await this._fastFwAbort(slaveId, responseTimeout);
+          throw new Error('사용자에 의해 취소됨');
+        }
 
-      // Flash Erase 완료 대기 (10초)
-      await this.delay(10000);
+        await this.delay(500);
 
-      this.addFirmwareLog('[0x91] Flash Erase 확인 중...');
-      const eraseFrame = this.modbus.buildFirmwareEraseConfirm(slaveId);
-      this.addFirmwareLog(`TX: ${this.modbus.bufferToHex(eraseFrame)}`, 'tx');
+        const pollFrame = this.modbus.buildFastFwErasePoll(slaveId);
+        const pollResponse =
+            await this._sendReceiveFastFw(pollFrame, responseTimeout);
+        if (!pollResponse) {
+          this.setFirmwareStepStatus('0x91', 'error');
+          return {ok: false, fallback: false, error: 'Erase Poll 응답 없음'};
+        }
 
-      // 응답: 65바이트, CRC 없음
-      const eraseResponse = await this.sendAndReceive(
-          eraseFrame, responseTimeout, {minLength: 65, skipCRC: true});
-      if (!eraseResponse) {
-        throw new Error('Erase 확인 응답 없음 (timeout)');
+        const pollResult = this.modbus.parseFastFwResponse(pollResponse);
+        const eraseStatus = pollResult.data?.eraseStatus;
+
+        if (eraseStatus === 0x01) {
+          eraseDone = true;
+          break;
+        }
+        if (eraseStatus === 0x02) {
+          this.setFirmwareStepStatus('0x91', 'error');
+          return {ok: false, fallback: false, error: 'Flash Erase 오류'};
+        }
+        // 0x00 진행중 → 계속 폴링
       }
-      this.addFirmwareLog(
-          `RX: ${this.modbus.bufferToHex(eraseResponse)}`, 'rx');
 
-      // Parse erase response
-      const eraseResult = this.modbus.parseFirmwareResponse(eraseResponse);
-      if (!eraseResult.success) {
-        const statusHex =
-            eraseResult.data?.eraseStatus?.toString(16).toUpperCase() ||
-            'unknown';
-        throw new Error(`Flash Erase 실패 (status: 0x${statusHex})`);
+      if (!eraseDone) {
+        this.setFirmwareStepStatus('0x91', 'error');
+        await this._fastFwAbort(slaveId, responseTimeout);
+        return {ok: false, fallback: false, error: 'Erase 타임아웃 (30초)'};
       }
 
       this.setFirmwareStepStatus('0x91', 'completed');
-      this.addFirmwareLog('[0x91] Flash Erase 완료 확인', 'success');
+      this.addFirmwareLog('[0x23/0x91] Flash Erase 완료', 'success');
+    } else if (status === 0x01) {
+      resumeFromOffset = lastOffset;
+      this.setFirmwareStepStatus('0x91', 'completed');
+      this.addFirmwareLog(
+          `[0x23] Resume 모드: offset ${lastOffset}부터 재개`, 'success');
+    }
 
-      if (this.firmwareUpdateCancelled) throw new Error('사용자에 의해 취소됨');
+    if (this.firmwareUpdateCancelled) {
+      await this._fastFwAbort(slaveId, responseTimeout);
+      throw new Error('사용자에 의해 취소됨');
+    }
 
-      // ===== Step 3: Data Transfer (OpCode 0x03) =====
-      this.setFirmwareStepStatus('0x03', 'active');
+    // ===== Step 3: Data Transfer (0x03) =====
+    this.setFirmwareStepStatus('0x03', 'active');
 
-      // Calculate total packets
-      const totalPackets = Math.ceil(totalSize / packetSize);
-      this.addFirmwareLog(`[0x03] 데이터 전송 시작 - 패킷 크기: ${
-          packetSize} bytes, 총 ${totalPackets} 패킷`);
+    let currentDataLen = packetSize;
+    let transferred = resumeFromOffset;
+    let seqNum = packetSize > 0 ? Math.floor(resumeFromOffset / packetSize) : 0;
+    let packetCount = 0;
+    const totalPackets = Math.ceil(totalSize / Math.max(1, currentDataLen));
+    const transferStartTime = Date.now();
+    const maxRetries = 3;
 
-      let transferred = 0;
-      let packetCount = 0;
+    this.addFirmwareLog(`[0x23/0x03] 데이터 전송 시작 (DataLen=${
+        currentDataLen}, ~${totalPackets} 패킷)`);
 
-      // 전체 전송 시작 시간 기록
-      const transferStartTime = Date.now();
+    while (transferred < totalSize) {
+      if (this.firmwareUpdateCancelled) {
+        await this._fastFwAbort(slaveId, responseTimeout);
+        throw new Error('사용자에 의해 취소됨');
+      }
 
-      while (transferred < totalSize) {
-        if (this.firmwareUpdateCancelled)
-          throw new Error('사용자에 의해 취소됨');
+      const remaining = totalSize - transferred;
+      const chunkSize = Math.min(currentDataLen, remaining);
+      const chunk =
+          this.firmwareData.slice(transferred, transferred + chunkSize);
 
-        const remaining = totalSize - transferred;
-        const chunkSize = Math.min(packetSize, remaining);
-        const chunk =
-            this.firmwareData.slice(transferred, transferred + chunkSize);
+      let acked = false;
+      let bufferOverflow = false;
 
-        const dataFrame = this.modbus.buildFirmwareData(slaveId, chunk);
+      for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        const dataFrame =
+            this.modbus.buildFastFwData(slaveId, seqNum, transferred, chunk);
 
-        // Only log every 10th packet or last packet to reduce log spam
-        if (packetCount % 10 === 0 || chunkSize < packetSize) {
+        if (packetCount % 10 === 0 || chunkSize < currentDataLen) {
           this.addFirmwareLog(
-              `TX[${packetCount}]: ${chunkSize} bytes @ offset ${transferred}`,
-              'tx');
+              `TX[seq=${seqNum}, off=${transferred}, len=${chunkSize}]`, 'tx');
         }
 
-        // 응답: 65바이트, CRC 없음
-        const dataResponse = await this.sendAndReceive(
-            dataFrame, responseTimeout, {minLength: 65, skipCRC: true});
+        const dataResponse =
+            await this._sendReceiveFastFw(dataFrame, responseTimeout);
+
         if (!dataResponse) {
-          throw new Error(`데이터 전송 응답 없음 (packet ${packetCount})`);
+          if (attempt < maxRetries) {
+            this.addFirmwareLog(
+                `[0x23/0x03] seq=${seqNum} 응답 없음 — 재시도 ${attempt + 1}/${
+                    maxRetries}`,
+                'warning');
+            continue;
+          }
+          this.setFirmwareStepStatus('0x03', 'error');
+          await this._fastFwAbort(slaveId, responseTimeout);
+          return {
+            ok: false,
+            fallback: false,
+            error: `Data 응답 없음 (seq=${seqNum})`
+          };
         }
 
-        // Parse response to check for ACK (0x04) or error (0x05)
-        const dataResult = this.modbus.parseFirmwareResponse(dataResponse);
-        if (!dataResult.success) {
-          throw new Error(
-              `데이터 전송 에러 (packet ${packetCount}): OpCode 0x05`);
+        const dataResult = this.modbus.parseFastFwResponse(dataResponse);
+
+        if (dataResult.success && dataResult.data?.ackNack === 0x04) {
+          acked = true;
+          break;
         }
 
-        // Total Received Byte 검증
-        const expectedTotal = transferred + chunkSize;
-        if (dataResult.data?.totalReceivedByte !== expectedTotal) {
+        // NACK
+        const errCode = dataResult.data?.errorCode;
+        const expOff = dataResult.data?.expectedOffset;
+        this.addFirmwareLog(
+            `[0x23/0x03] NACK seq=${seqNum} err=0x${
+                errCode?.toString(16).padStart(2, '0')} expOff=${
+                expOff} (재시도 ${attempt + 1}/${maxRetries})`,
+            'warning');
+
+        if (errCode === 0x05) {
+          // BUFFER_OVERFLOW → DataLen 절반(4의 배수 유지)으로 축소 후 재포장
+          const halved = Math.floor(currentDataLen / 2);
+          currentDataLen = Math.max(16, halved - (halved % 4));
           this.addFirmwareLog(
-              `경고: Total Received Byte 불일치 (expected: ${
-                  expectedTotal}, got: ${dataResult.data?.totalReceivedByte})`,
-              'warning');
+              `[0x23/0x03] DataLen을 ${currentDataLen}로 축소`, 'warning');
+          bufferOverflow = true;
+          break;
+        }
+        if (errCode === 0x02 || errCode === 0x03) {
+          // OFFSET/SEQ MISMATCH → ExpectedOffset에 동기 후 재시도
+          if (typeof expOff === 'number' && expOff <= totalSize) {
+            transferred = expOff;
+            seqNum = currentDataLen > 0 ? Math.floor(expOff / currentDataLen) :
+                                          seqNum;
+            bufferOverflow = true;  // outer loop에서 재포장
+            break;
+          }
         }
+        // CRC_ERROR / FLASH_WRITE_FAIL / NOT_INITIALIZED / ERASE_NOT_DONE
+        // 동일 패킷 재전송 (다음 attempt)
+      }
+
+      if (!acked && !bufferOverflow) {
+        this.setFirmwareStepStatus('0x03', 'error');
+        await this._fastFwAbort(slaveId, responseTimeout);
+        return {
+          ok: false,
+          fallback: false,
+          error: `Data 전송 실패 (seq=${seqNum}, ${maxRetries}회 재시도 초과)`
+        };
+      }
 
+      if (acked) {
         transferred += chunkSize;
+        seqNum++;
         packetCount++;
 
-        // Calculate remaining time based on total elapsed time
-        let estimatedTimeMs = 0;
-        if (packetCount > 0) {
-          const elapsedTime = Date.now() - transferStartTime;
-          const avgTimePerPacket = elapsedTime / packetCount;
-          const remainingPackets = totalPackets - packetCount;
-          estimatedTimeMs = Math.round(remainingPackets * avgTimePerPacket);
-        }
+        // 진행률 / ETA
+        const elapsedTime = Date.now() - transferStartTime;
+        const avgTimePerPacket = elapsedTime / packetCount;
+        const remainingBytes = totalSize - transferred;
+        const remainingPackets =
+            Math.ceil(remainingBytes / Math.max(1, currentDataLen));
+        const estimatedTimeMs = Math.round(remainingPackets * avgTimePerPacket);
 
-        // Update progress
         const percent = Math.round((transferred / totalSize) * 100);
-        if (progressBar) progressBar.style.width = percent + '%';
-        if (progressPercent) progressPercent.textContent = percent + '%';
-        if (progressStatus)
-          progressStatus.textContent = `${this.formatFileSize(transferred)} / ${
-              this.formatFileSize(totalSize)}`;
+        if (progressUI?.progressBar)
+          progressUI.progressBar.style.width = percent + '%';
+        if (progressUI?.progressPercent)
+          progressUI.progressPercent.textContent = percent + '%';
+        if (progressUI?.progressStatus) {
+          progressUI.progressStatus.textContent =
+              `${this.formatFileSize(transferred)} / ${
+                  this.formatFileSize(totalSize)}`;
+        }
 
-        // Update step progress with detailed info
         this.updateFirmwareDataProgress(
-            transferred, totalSize, packetCount, totalPackets, estimatedTimeMs);
+            transferred, totalSize, packetCount, packetCount + remainingPackets,
+            estimatedTimeMs);
       }
+      // bufferOverflow=true && !acked: outer loop에서 같은 transferred로 재시도
+    }
 
-      this.setFirmwareStepStatus('0x03', 'completed');
-      this.updateFirmwareDataProgress(
-          totalSize, totalSize, totalPackets, totalPackets, 0);
-      this.addFirmwareLog(
-          `[0x03] 데이터 전송 완료 - ${packetCount} 패킷, ${totalSize} bytes`,
-          'success');
+    this.setFirmwareStepStatus('0x03', 'completed');
+    this.updateFirmwareDataProgress(
+        totalSize, totalSize, packetCount, packetCount, 0);
+    this.addFirmwareLog(
+        `[0x23/0x03] 데이터 전송 완료 (${packetCount} 패킷)`, 'success');
 
-      // ===== Step 4: Done (OpCode 0x99) =====
-      this.setFirmwareStepStatus('0x99', 'active');
-      this.addFirmwareLog('[0x99] 펌웨어 업데이트 완료 처리 중...');
+    if (this.firmwareUpdateCancelled) {
+      await this._fastFwAbort(slaveId, responseTimeout);
+      throw new Error('사용자에 의해 취소됨');
+    }
 
-      const doneFrame = this.modbus.buildFirmwareDone(slaveId);
-      this.addFirmwareLog(`TX: ${this.modbus.bufferToHex(doneFrame)}`, 'tx');
+    // ===== Step 4: Complete (0x99) — 이미지 CRC-32 검증 =====
+    this.setFirmwareStepStatus('0x99', 'active');
+    this.addFirmwareLog(`[0x23/0x99] 이미지 검증 (CRC32=0x${
+        firmwareCRC32.toString(16).padStart(8, '0')})`);
 
-      // 응답: 65바이트, CRC 없음
-      const doneResponse = await this.sendAndReceive(
-          doneFrame, responseTimeout, {minLength: 65, skipCRC: true});
-      if (!doneResponse) {
-        throw new Error('완료 응답 없음 (timeout)');
-      }
-      this.addFirmwareLog(`RX: ${this.modbus.bufferToHex(doneResponse)}`, 'rx');
+    const completeFrame =
+        this.modbus.buildFastFwComplete(slaveId, firmwareCRC32, totalSize);
+    this.addFirmwareLog(`TX: ${this.modbus.bufferToHex(completeFrame)}`, 'tx');
 
-      // 응답 OpCode가 0x05면 성공 (Done ACK)
-      const doneResult = this.modbus.parseFirmwareResponse(doneResponse);
-      if (!doneResult.success) {
-        throw new Error('펌웨어 완료 처리 실패');
-      }
+    const completeResponse =
+        await this._sendReceiveFastFw(completeFrame, responseTimeout);
+    if (!completeResponse) {
+      this.setFirmwareStepStatus('0x99', 'error');
+      return {ok: false, fallback: false, error: 'Complete 응답 없음'};
+    }
+    this.addFirmwareLog(
+        `RX: ${this.modbus.bufferToHex(completeResponse)}`, 'rx');
 
-      this.setFirmwareStepStatus('0x99', 'completed');
-      this.addFirmwareLog(
-          '[0x99] 펌웨어 업데이트 완료 - Flash Lock', 'success');
+    const completeResult = this.modbus.parseFastFwResponse(completeResponse);
+    if (!completeResult.success) {
+      this.setFirmwareStepStatus('0x99', 'error');
+      const vr = completeResult.data?.verifyResult;
+      const dCRC = completeResult.data?.deviceCRC32;
+      return {
+        ok: false,
+        fallback: false,
+        error: `이미지 검증 실패 (VerifyResult=0x${
+            vr?.toString(16).padStart(
+                2, '0')}, deviceCRC32=0x${dCRC?.toString(16).padStart(8, '0')})`
+      };
+    }
 
-      this.addFirmwareLog('펌웨어 다운로드 성공!', 'success');
-      this.showToast('펌웨어 다운로드가 완료되었습니다', 'success');
+    this.setFirmwareStepStatus('0x99', 'completed');
+    this.addFirmwareLog(
+        '[0x23/0x99] 이미지 검증 성공 — 다음 부팅 시 Flash Copy 예약',
+        'success');
 
-    } catch (error) {
-      this.addFirmwareLog(`에러: ${error.message}`, 'error');
-      this.showToast(
-          `펌웨어 다운로드에 실패했습니다: ${error.message}`, 'error');
+    return {ok: true, fallback: false};
+  }
 
-      // Mark current active step as error
-      document.querySelectorAll('.firmware-step.active').forEach(step => {
-        step.classList.remove('active');
-        step.classList.add('error');
-      });
+  /**
+   * Reset firmware step indicators
+   */
+  resetFirmwareSteps() {
+    document.querySelectorAll('.firmware-step').forEach(step => {
+      step.classList.remove('active', 'completed', 'error');
+    });
+    const progressFill = document.getElementById('fwDataProgressFill');
+    const progressPercent = document.getElementById('fwDataProgressPercent');
+    const progressBytes = document.getElementById('fwDataProgressBytes');
+    const progressPackets = document.getElementById('fwDataProgressPackets');
+    const progressTime = document.getElementById('fwDataProgressTime');
 
-    } finally {
-      this.firmwareUpdateInProgress = false;
-      if (downloadBtn) downloadBtn.style.display = 'inline-block';
-      if (cancelBtn) cancelBtn.style.display = 'none';
-      if (verifyBtn) verifyBtn.disabled = false;
-    }
+    if (progressFill) progressFill.style.width = '0%';
+    if (progressPercent) progressPercent.textContent = '0%';
+    if (progressBytes) progressBytes.textContent = '0 / 0 bytes';
+    if (progressPackets) progressPackets.textContent = '패킷: 0 / 0';
+    if (progressTime) progressTime.textContent = '남은 시간: --:--';
   }
 
   /**
-   * Cancel firmware download
+   * Set firmware step status
    */
-  cancelFirmwareDownload() {
-    if (this.firmwareUpdateInProgress) {
-      this.firmwareUpdateCancelled = true;
-      this.addFirmwareLog('취소 요청됨...', 'warning');
+  setFirmwareStepStatus(stepCode, status) {
+    const step = document.getElementById(`fwStep${stepCode}`);
+    if (step) {
+      step.classList.remove('active', 'completed', 'error');
+      // 빈 문자열은 reset 의미 — classList.add('')는 DOMException을 던지므로
+      // skip
+      if (status) step.classList.add(status);
     }
   }
 
   /**
-   * FC 0x23 가변 길이 RX 헬퍼.
-   * OpCode + ACK/NACK 구분자로 길이 동적 결정 (modbus.getFastFwResponseLength).
-   * @param {Uint8Array} frame
-   * @param {number} timeout ms
-   * @returns {Promise<Uint8Array | null>} CRC 검증된 응답 프레임. timeout 시
-   *     null.
+   * Update data transfer progress in step indicator
    */
-  async _sendReceiveFastFw(frame, timeout = 1000) {
-    // 시뮬레이터는 0x23 미구현 → null 반환하여 fallback 유도
-    if (this.simulatorEnabled) return null;
-    if (!this.writer) return null;
-
-    // 잔류 데이터 flush
-    this.responseBuffer = null;
-    this.expectedResponseLength = 0;
-    this.receiveIndex = 0;
-
-    await this.sendRawData(frame);
-    this.addMonitorEntry('tx', frame);
-
-    // 수신 누적 시작
-    this.responseBuffer = [];
-
-    const startTime = Date.now();
-    const slaveId = frame[0];
-
-    while (Date.now() - startTime < timeout) {
-      const buf = this.responseBuffer;
+  updateFirmwareDataProgress(
+      transferred, total, currentPacket = 0, totalPackets = 0,
+      remainingTimeMs = 0) {
+    const progressFill = document.getElementById('fwDataProgressFill');
+    const progressPercent = document.getElementById('fwDataProgressPercent');
+    const progressBytes = document.getElementById('fwDataProgressBytes');
+    const progressPackets = document.getElementById('fwDataProgressPackets');
+    const progressTime = document.getElementById('fwDataProgressTime');
 
-      if (buf.length >= 2 && buf[0] === slaveId) {
-        const fc = buf[1];
+    const percent = total > 0 ? Math.round((transferred / total) * 100) : 0;
 
-        // FC 0xA3 = 0x23 | 0x80 → 표준 Modbus exception, 5 bytes
-        if (fc === 0xA3) {
-          if (buf.length >= 5) {
-            const respFrame = new Uint8Array(buf.slice(0, 5));
-            if (this.modbus.verifyCRC(respFrame)) {
-              this.addMonitorEntry('rx', respFrame);
-              return respFrame;
-            }
-            this.addMonitorEntry(
-                'error', respFrame, null, 'CRC mismatch (FC 0xA3)');
-            return null;
-          }
-        } else if (fc === 0x23) {
-          const expected =
-              this.modbus.getFastFwResponseLength(new Uint8Array(buf));
-          if (expected !== null && buf.length >= expected) {
-            const respFrame = new Uint8Array(buf.slice(0, expected));
-            if (this.modbus.verifyCRC(respFrame)) {
-              this.addMonitorEntry('rx', respFrame);
-              return respFrame;
-            }
-            this.addMonitorEntry(
-                'error', respFrame, null, 'CRC mismatch (FC 0x23)');
-            return null;
-          }
-        }
+    if (progressFill) {
+      progressFill.style.width = `${percent}%`;
+    }
+    if (progressPercent) {
+      progressPercent.textContent = `${percent}%`;
+    }
+    if (progressBytes) {
+      progressBytes.textContent =
+          `${this.formatFileSize(transferred)} / ${this.formatFileSize(total)}`;
+    }
+    if (progressPackets) {
+      const remainingPackets = totalPackets - currentPacket;
+      progressPackets.textContent = `패킷: ${currentPacket} / ${
+          totalPackets} (남은: ${remainingPackets})`;
+    }
+    if (progressTime) {
+      if (remainingTimeMs > 0) {
+        progressTime.textContent =
+            `남은 시간: ${this.formatTime(remainingTimeMs)}`;
+      } else if (currentPacket >= totalPackets && totalPackets > 0) {
+        progressTime.textContent = '완료!';
+      } else {
+        progressTime.textContent = '남은 시간: 계산 중...';
       }
-      await this.delay(5);
     }
-    return null;
   }
 
-  /** FC 0x23 Abort (best-effort, 실패해도 무시) */
-  async _fastFwAbort(slaveId, timeout) {
-    try {
-      const abortFrame = this.modbus.buildFastFwAbort(slaveId);
-      this.addFirmwareLog(`[0x23/0xFF] Abort 송신`, 'warning');
-      await this._sendReceiveFastFw(abortFrame, timeout);
-    } catch (_) {
-      // ignore
+  /**
+   * Format time in mm:ss or hh:mm:ss format
+   */
+  formatTime(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (hours > 0) {
+      return `${hours}:${minutes.toString().padStart(2, '0')}:${
+          seconds.toString().padStart(2, '0')}`;
+    } else {
+      return `${minutes}:${seconds.toString().padStart(2, '0')}`;
     }
   }
 
   /**
-   * FC 0x23 펌웨어 다운로드 메인 플로우.
-   * @returns {Promise<{ok: boolean, fallback: boolean, error?: string}>}
-   *   - ok=true : 성공
-   *   - ok=false, fallback=true : Init 단계에서 미지원 감지 → 0x66 fallback
-   * 가능
-   *   - ok=false, fallback=false : 0x23 진행 중 실패 → 사용자에게 에러
+   * Send frame and wait for response
+   * @param {Uint8Array} frame - Frame to send
+   * @param {number} timeout - Timeout in ms
+   * @param {object} options - Options: { minLength: minimum response bytes,
+   *     skipCRC: skip CRC verification }
    */
-  async _runFastFirmwareDownload(
-      slaveId, packetSize, responseTimeout, progressUI) {
-    const totalSize = this.firmwareData.length;
-    const firmwareCRC32 = this.modbus.calculateCRC32(this.firmwareData);
-
-    // ===== Step 1: Init (0x90) =====
-    this.setFirmwareStepStatus('0x90', 'active');
-    this.addFirmwareLog(`[0x23/0x90] Init - 파일 크기: ${totalSize} bytes`);
-
-    const initFrame =
-        this.modbus.buildFastFwInit(slaveId, 0x01, 0x00, totalSize);
-    this.addFirmwareLog(`TX: ${this.modbus.bufferToHex(initFrame)}`, 'tx');
-
-    const initResponse =
-        await this._sendReceiveFastFw(initFrame, responseTimeout);
-
-    if (!initResponse) {
-      // 응답 없음 → slave가 0x23 모름 또는 simulator
-      this.addFirmwareLog('[0x23] Init 응답 없음 → 0x66 fallback', 'warning');
-      this.setFirmwareStepStatus('0x90', '');
-      return {ok: false, fallback: true};
-    }
+  async sendAndReceive(frame, timeout = 1000, options = {}) {
+    const {minLength = 4, skipCRC = false} = options;
 
-    this.addFirmwareLog(`RX: ${this.modbus.bufferToHex(initResponse)}`, 'rx');
+    // Simulator mode
+    if (this.simulatorEnabled) {
+      this.addMonitorEntry('tx', frame);
 
-    const initResult = this.modbus.parseFastFwResponse(initResponse);
+      const response = await this.simulatorBus.processRequest(frame);
 
-    if (initResult.isException) {
-      this.addFirmwareLog(
-          `[0x23] Modbus Exception 0x${
-              initResult.exceptionCode.toString(16).padStart(
-                  2, '0')} → 0x66 fallback`,
-          'warning');
-      this.setFirmwareStepStatus('0x90', '');
-      return {ok: false, fallback: true};
+      if (response) {
+        this.addMonitorEntry('rx', response);
+      }
+      return response;
     }
 
-    if (!initResult.success) {
-      this.setFirmwareStepStatus('0x90', 'error');
-      return {
-        ok: false,
-        fallback: false,
-        error: `Init 실패: ${initResult.error || 'unknown'}`
-      };
-    }
+    // Real serial port mode
+    return new Promise(async (resolve) => {
+      // Flush: 이전 통신에서 남은 데이터가 버퍼에 쌓이지 않도록
+      // null로 설정하여 handleReceivedData에서 데이터 축적 중지
+      this.responseBuffer = null;
+      this.expectedResponseLength = 0;
 
-    const {protocolVersion, status, lastOffset} = initResult.data;
-    this.addFirmwareLog(
-        `[0x23/0x90] Protocol v${protocolVersion}, Status=0x${
-            status.toString(16).padStart(2, '0')}, LastOffset=${lastOffset}`,
-        'success');
-    this.setFirmwareStepStatus('0x90', 'completed');
+      // receiveBuffer도 초기화하여 이전 패킷 데이터 제거
+      this.receiveIndex = 0;
 
-    if (this.firmwareUpdateCancelled) {
-      await this._fastFwAbort(slaveId, responseTimeout);
-      throw new Error('사용자에 의해 취소됨');
-    }
+      // Send the frame (await 중 도착하는 잔여 데이터는 null이므로 버려짐)
+      await this.sendRawData(frame);
+      this.addMonitorEntry('tx', frame);
 
-    // ===== Step 2: Erase Poll (0x91) — Status=0x00 일 때만 =====
-    let resumeFromOffset = 0;
-    if (status === 0x00) {
-      this.setFirmwareStepStatus('0x91', 'active');
-      this.addFirmwareLog('[0x23/0x91] Flash Erase 폴링 (500ms 주기)...');
+      // 프레임 전송 완료 후 새 버퍼 시작 - 이후 도착하는 데이터만 축적
+      this.responseBuffer = [];
 
-      const eraseStartTime = Date.now();
-      const eraseTimeout = 30000;
-      let eraseDone = false;
+      // Wait for response with timeout
+      const startTime = Date.now();
+      const checkInterval = 10;
 
-      while (Date.now() - eraseStartTime < eraseTimeout) {
-        if (this.firmwareUpdateCancelled) {
-          await this._fastFwAbort(slaveId, responseTimeout);
-          throw new Error('사용자에 의해 취소됨');
+      const checkResponse = () => {
+        if (this.responseBuffer.length >= minLength) {
+          const response = new Uint8Array(this.responseBuffer);
+          // Skip CRC check if requested, or verify CRC
+          if (skipCRC || this.modbus.verifyCRC(response)) {
+            // FC 0x66 등 tryParseFrame()이 무시하는 FC는 여기서 직접 기록
+            if (response.length >= 2 && response[1] === 0x66) {
+              this.addMonitorEntry('rx', response);
+            }
+            resolve(response);
+            return;
+          }
         }
 
-        await this.delay(500);
-
-        const pollFrame = this.modbus.buildFastFwErasePoll(slaveId);
-        const pollResponse =
-            await this._sendReceiveFastFw(pollFrame, responseTimeout);
-        if (!pollResponse) {
-          this.setFirmwareStepStatus('0x91', 'error');
-          return {ok: false, fallback: false, error: 'Erase Poll 응답 없음'};
+        if (Date.now() - startTime > timeout) {
+          resolve(null);  // Timeout
+          return;
         }
 
-        const pollResult = this.modbus.parseFastFwResponse(pollResponse);
-        const eraseStatus = pollResult.data?.eraseStatus;
+        setTimeout(checkResponse, checkInterval);
+      };
 
-        if (eraseStatus === 0x01) {
-          eraseDone = true;
-          break;
-        }
-        if (eraseStatus === 0x02) {
-          this.setFirmwareStepStatus('0x91', 'error');
-          return {ok: false, fallback: false, error: 'Flash Erase 오류'};
-        }
-        // 0x00 진행중 → 계속 폴링
-      }
+      setTimeout(checkResponse, checkInterval);
+    });
+  }
 
-      if (!eraseDone) {
-        this.setFirmwareStepStatus('0x91', 'error');
-        await this._fastFwAbort(slaveId, responseTimeout);
-        return {ok: false, fallback: false, error: 'Erase 타임아웃 (30초)'};
-      }
+  /**
+   * 시뮬레이터로 커스텀 FC 프레임을 전송하고 응답을 받는다.
+   * 실제 포트 경로(sendAndReceiveFC64/FC65 등)와 동일하게 monitor/stats를 갱신하며,
+   * 예외 응답은 실제 경로의 timeout과 같이 null로 반환한다.
+   * @param {Uint8Array} frame - 송신 프레임 (CRC 포함)
+   * @returns {Promise<Uint8Array|null>}
+   */
+  async sendSimulatedFrame(frame) {
+    this.addMonitorEntry('sent', frame);
+    this.stats.requests++;
 
-      this.setFirmwareStepStatus('0x91', 'completed');
-      this.addFirmwareLog('[0x23/0x91] Flash Erase 완료', 'success');
-    } else if (status === 0x01) {
-      resumeFromOffset = lastOffset;
-      this.setFirmwareStepStatus('0x91', 'completed');
-      this.addFirmwareLog(
-          `[0x23] Resume 모드: offset ${lastOffset}부터 재개`, 'success');
-    }
+    const response = await this.simulatorBus.processRequest(frame);
 
-    if (this.firmwareUpdateCancelled) {
-      await this._fastFwAbort(slaveId, responseTimeout);
-      throw new Error('사용자에 의해 취소됨');
+    if (response && (response[1] & 0x80) === 0) {
+      this.addMonitorEntry('received', response);
+      this.updateStats(true);
+      return response;
+    }
+    if (response) {
+      this.addMonitorEntry(
+          'error', response, null,
+          `Exception ${response[2]}: ${
+              this.modbus.getExceptionMessage(response[2])}`);
     }
+    this.updateStats(false);
+    return null;
+  }
 
-    // ===== Step 3: Data Transfer (0x03) =====
-    this.setFirmwareStepStatus('0x03', 'active');
+  /**
+   * FC 0x64 전용 TX/RX.
+   * responseBuffer로 수신하며, control 값에 따라 예상 길이를 동적으로 판단.
+   * @param {Uint8Array} frame  - 송신 프레임
+   * @param {number}     control - 0x00(stop) | 0x02(configure) | 0x03(data)
+   * @param {number}     timeout - ms
+   */
+  async sendAndReceiveFC64(frame, control, timeout = 500) {
+    if (this.simulatorEnabled) return this.sendSimulatedFrame(frame);
+    if (!this.writer) return null;
 
-    let currentDataLen = packetSize;
-    let transferred = resumeFromOffset;
-    let seqNum = packetSize > 0 ? Math.floor(resumeFromOffset / packetSize) : 0;
-    let packetCount = 0;
-    const totalPackets = Math.ceil(totalSize / Math.max(1, currentDataLen));
-    const transferStartTime = Date.now();
-    const maxRetries = 3;
+    // 이전 잔류 데이터 flush
+    this._serialDataCb = null;
+    this.responseBuffer = null;
+    this.receiveIndex = 0;
+    await Promise.resolve();
+    await Promise.resolve();
 
-    this.addFirmwareLog(`[0x23/0x03] 데이터 전송 시작 (DataLen=${
-        currentDataLen}, ~${totalPackets} 패킷)`);
+    await this.writer.write(frame);
+    this.addMonitorEntry('sent', frame);
 
-    while (transferred < totalSize) {
-      if (this.firmwareUpdateCancelled) {
-        await this._fastFwAbort(slaveId, responseTimeout);
-        throw new Error('사용자에 의해 취소됨');
-      }
+    // 이 호출 전용 버퍼 토큰 — 다른 호출과 버퍼가 섞이는 것을 방지
+    const myBuffer = [];
+    this.responseBuffer = myBuffer;
 
-      const remaining = totalSize - transferred;
-      const chunkSize = Math.min(currentDataLen, remaining);
-      const chunk =
-          this.firmwareData.slice(transferred, transferred + chunkSize);
+    this.stats.requests++;
 
-      let acked = false;
-      let bufferOverflow = false;
+    return new Promise((resolve) => {
+      const startTime = performance.now();
+      let hardTimeoutId = null;
 
-      for (let attempt = 0; attempt <= maxRetries; attempt++) {
-        const dataFrame =
-            this.modbus.buildFastFwData(slaveId, seqNum, transferred, chunk);
+      const done = (response) => {
+        this.updateStats(response !== null);
+        resolve(response);
+      };
 
-        if (packetCount % 10 === 0 || chunkSize < currentDataLen) {
-          this.addFirmwareLog(
-              `TX[seq=${seqNum}, off=${transferred}, len=${chunkSize}]`, 'tx');
+      const cleanup = () => {
+        if (this._serialDataCb === check) this._serialDataCb = null;
+        if (hardTimeoutId) {
+          clearTimeout(hardTimeoutId);
+          hardTimeoutId = null;
+        }
+        // 다른 호출이 responseBuffer를 이미 교체한 경우에는 건드리지 않음
+        if (this.responseBuffer === myBuffer) this.responseBuffer = null;
+      };
+
+      const check = () => {
+        const buf = this.responseBuffer;
+        // 버퍼가 교체되었으면(다른 호출이 시작됨) 즉시 포기
+        if (!buf || buf !== myBuffer) {
+          cleanup();
+          done(null);
+          return;
+        }
+
+        let expectedLen = null;
+        if (control === 0x00) {
+          if (buf.length >= 4) expectedLen = 4;
+        } else if (control === 0x02) {
+          if (buf.length >= frame.length) expectedLen = frame.length;
+        } else if (control === 0x03) {
+          if (buf.length >= 5) expectedLen = 5 + buf[4] * 4 + 2;
         }
 
-        const dataResponse =
-            await this._sendReceiveFastFw(dataFrame, responseTimeout);
-
-        if (!dataResponse) {
-          if (attempt < maxRetries) {
-            this.addFirmwareLog(
-                `[0x23/0x03] seq=${seqNum} 응답 없음 — 재시도 ${attempt + 1}/${
-                    maxRetries}`,
-                'warning');
-            continue;
+        if (expectedLen !== null && buf.length >= expectedLen) {
+          const response = new Uint8Array(buf.slice(0, expectedLen));
+          cleanup();
+          if (this.modbus.verifyCRC(response)) {
+            this.addMonitorEntry('received', response);
+            done(response);
+          } else {
+            done(null);
           }
-          this.setFirmwareStepStatus('0x03', 'error');
-          await this._fastFwAbort(slaveId, responseTimeout);
-          return {
-            ok: false,
-            fallback: false,
-            error: `Data 응답 없음 (seq=${seqNum})`
-          };
+          return;
         }
 
-        const dataResult = this.modbus.parseFastFwResponse(dataResponse);
-
-        if (dataResult.success && dataResult.data?.ackNack === 0x04) {
-          acked = true;
-          break;
+        if (performance.now() - startTime > timeout) {
+          cleanup();
+          done(null);
+          return;
         }
 
-        // NACK
-        const errCode = dataResult.data?.errorCode;
-        const expOff = dataResult.data?.expectedOffset;
-        this.addFirmwareLog(
-            `[0x23/0x03] NACK seq=${seqNum} err=0x${
-                errCode?.toString(16).padStart(2, '0')} expOff=${
-                expOff} (재시도 ${attempt + 1}/${maxRetries})`,
-            'warning');
+        // 다음 데이터 도착 시 즉시 재확인 (setTimeout 폴링 없음)
+        this._serialDataCb = check;
+      };
 
-        if (errCode === 0x05) {
-          // BUFFER_OVERFLOW → DataLen 절반(4의 배수 유지)으로 축소 후 재포장
-          const halved = Math.floor(currentDataLen / 2);
-          currentDataLen = Math.max(16, halved - (halved % 4));
-          this.addFirmwareLog(
-              `[0x23/0x03] DataLen을 ${currentDataLen}로 축소`, 'warning');
-          bufferOverflow = true;
-          break;
-        }
-        if (errCode === 0x02 || errCode === 0x03) {
-          // OFFSET/SEQ MISMATCH → ExpectedOffset에 동기 후 재시도
-          if (typeof expOff === 'number' && expOff <= totalSize) {
-            transferred = expOff;
-            seqNum = currentDataLen > 0 ? Math.floor(expOff / currentDataLen) :
-                                          seqNum;
-            bufferOverflow = true;  // outer loop에서 재포장
-            break;
-          }
+      // 안전망: 디바이스 무응답 시 강제 종료
+      hardTimeoutId = setTimeout(() => {
+        if (this._serialDataCb === check || this.responseBuffer === myBuffer) {
+          cleanup();
+          done(null);
         }
-        // CRC_ERROR / FLASH_WRITE_FAIL / NOT_INITIALIZED / ERASE_NOT_DONE
-        // 동일 패킷 재전송 (다음 attempt)
-      }
+      }, timeout + 100);
 
-      if (!acked && !bufferOverflow) {
-        this.setFirmwareStepStatus('0x03', 'error');
-        await this._fastFwAbort(slaveId, responseTimeout);
-        return {
-          ok: false,
-          fallback: false,
-          error: `Data 전송 실패 (seq=${seqNum}, ${maxRetries}회 재시도 초과)`
-        };
-      }
+      // 즉시 첫 확인
+      check();
+    });
+  }
 
-      if (acked) {
-        transferred += chunkSize;
-        seqNum++;
-        packetCount++;
+  /**
+   * FC 0x65 Trigger Streaming 전송 및 응답 수신.
+   * sendAndReceiveFC64와 동일한 구조이지만 FC65 응답 길이 적용.
+   *
+   * RX 응답 총 바이트 (NodeID + FrameLength + CRC):
+   *   0x00 stop      : 5  bytes (FrameLength=2)
+   *   0x02 configure : TX frame length (echo, FrameLength=17 → total 20)
+   *   0x01 startPoll : 24 bytes (FrameLength=21, byte[3]=Status)
+   *   0x03 dataReq   : 68 bytes (FrameLength=65, byte[7]=Len, byte[8+]=floats)
+   *
+   * @param {Uint8Array} frame   - TX 프레임
+   * @param {number}     control - 0x00|0x01|0x02|0x03
+   * @param {number}     timeout - ms
+   */
+  async sendAndReceiveFC65(frame, control, timeout = 500) {
+    if (this.simulatorEnabled) return this.sendSimulatedFrame(frame);
+    if (!this.writer) return null;
 
-        // 진행률 / ETA
-        const elapsedTime = Date.now() - transferStartTime;
-        const avgTimePerPacket = elapsedTime / packetCount;
-        const remainingBytes = totalSize - transferred;
-        const remainingPackets =
-            Math.ceil(remainingBytes / Math.max(1, currentDataLen));
-        const estimatedTimeMs = Math.round(remainingPackets * avgTimePerPacket);
+    this._serialDataCb = null;
+    this.responseBuffer = null;
+    this.receiveIndex = 0;
+    await Promise.resolve();
+    await Promise.resolve();
 
-        const percent = Math.round((transferred / totalSize) * 100);
-        if (progressUI?.progressBar)
-          progressUI.progressBar.style.width = percent + '%';
-        if (progressUI?.progressPercent)
-          progressUI.progressPercent.textContent = percent + '%';
-        if (progressUI?.progressStatus) {
-          progressUI.progressStatus.textContent =
-              `${this.formatFileSize(transferred)} / ${
-                  this.formatFileSize(totalSize)}`;
-        }
+    await this.writer.write(frame);
+    this.addMonitorEntry('sent', frame);
 
-        this.updateFirmwareDataProgress(
-            transferred, totalSize, packetCount, packetCount + remainingPackets,
-            estimatedTimeMs);
-      }
-      // bufferOverflow=true && !acked: outer loop에서 같은 transferred로 재시도
-    }
+    const myBuffer = [];
+    this.responseBuffer = myBuffer;
 
-    this.setFirmwareStepStatus('0x03', 'completed');
-    this.updateFirmwareDataProgress(
-        totalSize, totalSize, packetCount, packetCount, 0);
-    this.addFirmwareLog(
-        `[0x23/0x03] 데이터 전송 완료 (${packetCount} 패킷)`, 'success');
+    this.stats.requests++;
 
-    if (this.firmwareUpdateCancelled) {
-      await this._fastFwAbort(slaveId, responseTimeout);
-      throw new Error('사용자에 의해 취소됨');
-    }
+    return new Promise((resolve) => {
+      const startTime = performance.now();
+      let hardTimeoutId = null;
 
-    // ===== Step 4: Complete (0x99) — 이미지 CRC-32 검증 =====
-    this.setFirmwareStepStatus('0x99', 'active');
-    this.addFirmwareLog(`[0x23/0x99] 이미지 검증 (CRC32=0x${
-        firmwareCRC32.toString(16).padStart(8, '0')})`);
+      const done = (response) => {
+        this.updateStats(response !== null);
+        resolve(response);
+      };
 
-    const completeFrame =
-        this.modbus.buildFastFwComplete(slaveId, firmwareCRC32, totalSize);
-    this.addFirmwareLog(`TX: ${this.modbus.bufferToHex(completeFrame)}`, 'tx');
+      const cleanup = () => {
+        if (this._serialDataCb === check) this._serialDataCb = null;
+        if (hardTimeoutId) {
+          clearTimeout(hardTimeoutId);
+          hardTimeoutId = null;
+        }
+        if (this.responseBuffer === myBuffer) this.responseBuffer = null;
+      };
 
-    const completeResponse =
-        await this._sendReceiveFastFw(completeFrame, responseTimeout);
-    if (!completeResponse) {
-      this.setFirmwareStepStatus('0x99', 'error');
-      return {ok: false, fallback: false, error: 'Complete 응답 없음'};
-    }
-    this.addFirmwareLog(
-        `RX: ${this.modbus.bufferToHex(completeResponse)}`, 'rx');
+      const check = () => {
+        const buf = this.responseBuffer;
+        if (!buf || buf !== myBuffer) {
+          cleanup();
+          done(null);
+          return;
+        }
 
-    const completeResult = this.modbus.parseFastFwResponse(completeResponse);
-    if (!completeResult.success) {
-      this.setFirmwareStepStatus('0x99', 'error');
-      const vr = completeResult.data?.verifyResult;
-      const dCRC = completeResult.data?.deviceCRC32;
-      return {
-        ok: false,
-        fallback: false,
-        error: `이미지 검증 실패 (VerifyResult=0x${
-            vr?.toString(16).padStart(
-                2, '0')}, deviceCRC32=0x${dCRC?.toString(16).padStart(8, '0')})`
+        let expectedLen = null;
+        if (control === 0x00) {
+          // Stop: [NodeID][0x65][0x00][CRC_L][CRC_H] = 5 bytes
+          if (buf.length >= 5) expectedLen = 5;
+        } else if (control === 0x02) {
+          // Configure: echo of TX frame
+          if (buf.length >= frame.length) expectedLen = frame.length;
+        } else if (control === 0x01) {
+          // StartPoll: 24 bytes total (FrameLength=21)
+          if (buf.length >= 24) expectedLen = 24;
+        } else if (control === 0x03) {
+          // DataReq: 68 bytes total (FrameLength=65, USB-HID legacy 고정 크기)
+          if (buf.length >= 68) expectedLen = 68;
+        }
+
+        if (expectedLen !== null && buf.length >= expectedLen) {
+          const response = new Uint8Array(buf.slice(0, expectedLen));
+          cleanup();
+          if (this.modbus.verifyCRC(response)) {
+            this.addMonitorEntry('received', response);
+            done(response);
+          } else {
+            done(null);
+          }
+          return;
+        }
+
+        if (performance.now() - startTime > timeout) {
+          cleanup();
+          done(null);
+          return;
+        }
+
+        this._serialDataCb = check;
       };
-    }
 
-    this.setFirmwareStepStatus('0x99', 'completed');
-    this.addFirmwareLog(
-        '[0x23/0x99] 이미지 검증 성공 — 다음 부팅 시 Flash Copy 예약',
-        'success');
+      hardTimeoutId = setTimeout(() => {
+        if (this._serialDataCb === check || this.responseBuffer === myBuffer) {
+          cleanup();
+          done(null);
+        }
+      }, timeout + 100);
 
-    return {ok: true, fallback: false};
+      check();
+    });
   }
 
   /**
-   * Reset firmware step indicators
+   * Send raw data to serial port
    */
-  resetFirmwareSteps() {
-    document.querySelectorAll('.firmware-step').forEach(step => {
-      step.classList.remove('active', 'completed', 'error');
-    });
-    const progressFill = document.getElementById('fwDataProgressFill');
-    const progressPercent = document.getElementById('fwDataProgressPercent');
-    const progressBytes = document.getElementById('fwDataProgressBytes');
-    const progressPackets = document.getElementById('fwDataProgressPackets');
-    const progressTime = document.getElementById('fwDataProgressTime');
+  async sendRawData(data) {
+    if (!this.writer) return;
+    await this.writer.write(data);
+  }
 
-    if (progressFill) progressFill.style.width = '0%';
-    if (progressPercent) progressPercent.textContent = '0%';
-    if (progressBytes) progressBytes.textContent = '0 / 0 bytes';
-    if (progressPackets) progressPackets.textContent = '패킷: 0 / 0';
-    if (progressTime) progressTime.textContent = '남은 시간: --:--';
+  /**
+   * Delay helper
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
   }
 
   /**
-   * Set firmware step status
+   * Add log entry to firmware progress log
    */
-  setFirmwareStepStatus(stepCode, status) {
-    const step = document.getElementById(`fwStep${stepCode}`);
-    if (step) {
-      step.classList.remove('active', 'completed', 'error');
-      // 빈 문자열은 reset 의미 — classList.add('')는 DOMException을 던지므로
-      // skip
-      if (status) step.classList.add(status);
-    }
+  addFirmwareLog(message, type = '') {
+    const logEl = document.getElementById('firmwareProgressLog');
+    if (!logEl) return;
+
+    const entry = document.createElement('div');
+    entry.className = 'progress-log-entry' + (type ? ' ' + type : '');
+    entry.textContent = `[${new Date().toLocaleTimeString()}] ${message}`;
+    logEl.appendChild(entry);
+    logEl.scrollTop = logEl.scrollHeight;
   }
 
   /**
-   * Update data transfer progress in step indicator
+   * Initialize Chart Page
    */
-  updateFirmwareDataProgress(
-      transferred, total, currentPacket = 0, totalPackets = 0,
-      remainingTimeMs = 0) {
-    const progressFill = document.getElementById('fwDataProgressFill');
-    const progressPercent = document.getElementById('fwDataProgressPercent');
-    const progressBytes = document.getElementById('fwDataProgressBytes');
-    const progressPackets = document.getElementById('fwDataProgressPackets');
-    const progressTime = document.getElementById('fwDataProgressTime');
+  initializeChartPage() {
+    // Initialize Chart Manager
+    this.chartManager = new ChartManager('mainChart');
 
-    const percent = total > 0 ? Math.round((transferred / total) * 100) : 0;
+    // Mode toggle buttons
+    const continuousBtn = document.getElementById('chartModeContinuous');
+    const triggerBtn = document.getElementById('chartModeTrigger');
+    const triggerPanel = document.getElementById('chartTriggerPanel');
 
-    if (progressFill) {
-      progressFill.style.width = `${percent}%`;
+    if (continuousBtn) {
+      continuousBtn.addEventListener('click', () => {
+        continuousBtn.classList.add('active');
+        triggerBtn.classList.remove('active');
+        triggerPanel.style.display = 'none';
+        this.chartManager.setMode('continuous');
+      });
     }
-    if (progressPercent) {
-      progressPercent.textContent = `${percent}%`;
+
+    if (triggerBtn) {
+      triggerBtn.addEventListener('click', () => {
+        triggerBtn.classList.add('active');
+        continuousBtn.classList.remove('active');
+        triggerPanel.style.display = 'block';
+        this.chartManager.setMode('trigger');
+      });
     }
-    if (progressBytes) {
-      progressBytes.textContent =
-          `${this.formatFileSize(transferred)} / ${this.formatFileSize(total)}`;
+
+    // Control buttons
+    const startBtn = document.getElementById('chartStartBtn');
+    const stopBtn = document.getElementById('chartStopBtn');
+    const clearBtn = document.getElementById('chartClearBtn');
+
+    if (startBtn) {
+      startBtn.addEventListener('click', async () => {
+        startBtn.disabled = true;
+        stopBtn.disabled = false;
+        await this.startChartCapture();
+      });
     }
-    if (progressPackets) {
-      const remainingPackets = totalPackets - currentPacket;
-      progressPackets.textContent = `패킷: ${currentPacket} / ${
-          totalPackets} (남은: ${remainingPackets})`;
+
+    if (stopBtn) {
+      stopBtn.addEventListener('click', async () => {
+        await this.stopChartCapture();
+        startBtn.disabled = false;
+        stopBtn.disabled = true;
+      });
     }
-    if (progressTime) {
-      if (remainingTimeMs > 0) {
-        progressTime.textContent =
-            `남은 시간: ${this.formatTime(remainingTimeMs)}`;
-      } else if (currentPacket >= totalPackets && totalPackets > 0) {
-        progressTime.textContent = '완료!';
-      } else {
-        progressTime.textContent = '남은 시간: 계산 중...';
-      }
+
+    if (clearBtn) {
+      clearBtn.addEventListener('click', () => {
+        this.chartManager.clearData();
+      });
     }
-  }
 
-  /**
-   * Format time in mm:ss or hh:mm:ss format
-   */
-  formatTime(ms) {
-    const totalSeconds = Math.ceil(ms / 1000);
-    const hours = Math.floor(totalSeconds / 3600);
-    const minutes = Math.floor((totalSeconds % 3600) / 60);
-    const seconds = totalSeconds % 60;
+    // Settings dropdowns
+    const timeScaleEl = document.getElementById('chartTimeScale');
 
-    if (hours > 0) {
-      return `${hours}:${minutes.toString().padStart(2, '0')}:${
-          seconds.toString().padStart(2, '0')}`;
-    } else {
-      return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    if (timeScaleEl) {
+      timeScaleEl.addEventListener('change', () => {
+        this.chartManager.setTimeScale(parseInt(timeScaleEl.value));
+      });
     }
-  }
 
-  /**
-   * Send frame and wait for response
-   * @param {Uint8Array} frame - Frame to send
-   * @param {number} timeout - Timeout in ms
-   * @param {object} options - Options: { minLength: minimum response bytes,
-   *     skipCRC: skip CRC verification }
-   */
-  async sendAndReceive(frame, timeout = 1000, options = {}) {
-    const {minLength = 4, skipCRC = false} = options;
+    // sampleRateEl: FC 0x64 Period 드롭다운 — startChartCapture() 시점에 읽음,
+    // 리스너 불필요
 
-    // Simulator mode
-    if (this.simulatorEnabled) {
-      this.addMonitorEntry('tx', frame);
+    // Channel configuration — enable/disable만 ChartManager에 전달
+    // 채널 번호는 startChartCapture() 시점에 직접 읽음
+    for (let i = 0; i < 4; i++) {
+      const enableEl = document.getElementById(`chartCh${i + 1}Enable`);
+      if (enableEl) {
+        enableEl.addEventListener('click', () => {
+          const nowEnabled = enableEl.dataset.enabled !== 'true';
+          enableEl.dataset.enabled = String(nowEnabled);
+          this.chartManager.setChannelEnabled(i, nowEnabled);
+          // Persist enable state
+          const saved =
+              JSON.parse(localStorage.getItem('chartChSettings') || '{}');
+          if (!saved[i]) saved[i] = {};
+          saved[i].enabled = nowEnabled;
+          localStorage.setItem('chartChSettings', JSON.stringify(saved));
+        });
+      }
+    }
 
-      // Set simulator to respond to the target slave ID
-      const targetSlaveId = frame[0];
-      const originalSlaveId = this.simulator.slaveId;
-      this.simulator.slaveId = targetSlaveId;
+    // Trigger settings — FC 0x65 Hardware Trigger
+    // Source CH 피커는 initTriggerSourcePicker()에서 초기화됨.
+    // 실제 값은 startTriggerCapture() 시점에 직접 읽음.
+    const triggerLevelEl = document.getElementById('triggerLevel');
+    if (triggerLevelEl) {
+      triggerLevelEl.addEventListener('change', () => {
+        this.chartManager.setTriggerLevel(parseFloat(triggerLevelEl.value));
+      });
+    }
 
-      const response = await this.simulator.processRequest(frame);
+    // Export buttons
+    const exportCsvBtn = document.getElementById('chartExportCsvBtn');
+    const exportPngBtn = document.getElementById('chartExportPngBtn');
 
-      // Restore original slave ID
-      this.simulator.slaveId = originalSlaveId;
+    if (exportCsvBtn) {
+      exportCsvBtn.addEventListener(
+          'click', () => this.chartManager.exportToCSV());
+    }
 
-      if (response) {
-        this.addMonitorEntry('rx', response);
-      }
-      return response;
+    if (exportPngBtn) {
+      exportPngBtn.addEventListener(
+          'click', () => this.chartManager.exportToPNG());
     }
 
-    // Real serial port mode
-    return new Promise(async (resolve) => {
-      // Flush: 이전 통신에서 남은 데이터가 버퍼에 쌓이지 않도록
-      // null로 설정하여 handleReceivedData에서 데이터 축적 중지
-      this.responseBuffer = null;
-      this.expectedResponseLength = 0;
+    document.getElementById('chartExportLsmBtn')
+        ?.addEventListener('click', () => this.chartManager.exportToLSM());
 
-      // receiveBuffer도 초기화하여 이전 패킷 데이터 제거
-      this.receiveIndex = 0;
+    // Import (.lsm / CSV) — 오프라인 리뷰용 읽기 전용 데이터셋
+    const importBtn = document.getElementById('chartImportBtn');
+    const importFileEl = document.getElementById('chartImportFile');
+    if (importBtn && importFileEl) {
+      importBtn.addEventListener('click', () => importFileEl.click());
+      importFileEl.addEventListener('change', async () => {
+        const file = importFileEl.files[0];
+        importFileEl.value = '';  // 같은 파일 재선택 허용
+        if (file) await this.importChartCapture(file);
+      });
+    }
 
-      // Send the frame (await 중 도착하는 잔여 데이터는 null이므로 버려짐)
-      await this.sendRawData(frame);
-      this.addMonitorEntry('tx', frame);
+    // Hall UVW 편심/편축 진단
+    document.getElementById('hallAnRunBtn')
+        ?.addEventListener('click', () => this.runHallAnalysis());
 
-      // 프레임 전송 완료 후 새 버퍼 시작 - 이후 도착하는 데이터만 축적
-      this.responseBuffer = [];
+    // Spectrum (FFT) view
+    this.initChartSpectrumControls();
 
-      // Wait for response with timeout
-      const startTime = Date.now();
-      const checkInterval = 10;
+    // Math channels
+    this.initChartMathChannels();
 
-      const checkResponse = () => {
-        if (this.responseBuffer.length >= minLength) {
-          const response = new Uint8Array(this.responseBuffer);
-          // Skip CRC check if requested, or verify CRC
-          if (skipCRC || this.modbus.verifyCRC(response)) {
-            // FC 0x66 등 tryParseFrame()이 무시하는 FC는 여기서 직접 기록
-            if (response.length >= 2 && response[1] === 0x66) {
-              this.addMonitorEntry('rx', response);
-            }
-            resolve(response);
-            return;
-          }
-        }
+    // Long recording (IndexedDB)
+    this.initChartRecording();
+
+    // Reference (golden) waveform
+    this.initChartReference();
+
+    // Complex trigger 조건 + Triggered Date 세그먼트 목록
+    this.initChartComplexTrigger();
+
+    // Y-axis mode buttons
+    const yAxisModeA = document.getElementById('yAxisModeA');
+    const yAxisModeB = document.getElementById('yAxisModeB');
+    const yAxisModeC = document.getElementById('yAxisModeC');
+    const scaleOffsetDivs = document.querySelectorAll('.channel-scale-offset');
+
+    const modeHints = {
+      independent: 'Independent',
+      normalize: 'Normalize 0–100%',
+      scaleoffset: 'Scale + Offset'
+    };
+    const hintEl = document.getElementById('yAxisModeHint');
+    const setYAxisModeUI = (mode) => {
+      [yAxisModeA, yAxisModeB, yAxisModeC].forEach(
+          btn => btn?.classList.remove('active'));
+      if (mode === 'independent')
+        yAxisModeA?.classList.add('active');
+      else if (mode === 'normalize')
+        yAxisModeB?.classList.add('active');
+      else
+        yAxisModeC?.classList.add('active');
+      scaleOffsetDivs.forEach(d => {
+        d.style.display = mode === 'scaleoffset' ? 'flex' : 'none';
+      });
+      if (hintEl) hintEl.textContent = modeHints[mode] ?? '';
+      this.chartManager.setYAxisMode(mode);
+    };
+
+    if (yAxisModeA)
+      yAxisModeA.addEventListener('click', () => setYAxisModeUI('independent'));
+    if (yAxisModeB)
+      yAxisModeB.addEventListener('click', () => setYAxisModeUI('normalize'));
+    if (yAxisModeC)
+      yAxisModeC.addEventListener('click', () => setYAxisModeUI('scaleoffset'));
+
+    // Split view toggle
+    const splitViewBtn = document.getElementById('chartSplitViewBtn');
+    if (splitViewBtn) {
+      splitViewBtn.addEventListener('click', () => {
+        const enabled = !this.chartManager.splitView;
+        this.chartManager.setSplitView(enabled);
+        splitViewBtn.classList.toggle('active', enabled);
+      });
+    }
 
-        if (Date.now() - startTime > timeout) {
-          resolve(null);  // Timeout
-          return;
-        }
+    // Scale/Offset inputs
+    for (let i = 0; i < 4; i++) {
+      const scaleEl = document.getElementById(`chartCh${i + 1}Scale`);
+      const offsetEl = document.getElementById(`chartCh${i + 1}Offset`);
+      if (scaleEl) {
+        scaleEl.addEventListener('change', () => {
+          this.chartManager.setChannelScale(i, parseFloat(scaleEl.value) || 1);
+        });
+      }
+      if (offsetEl) {
+        offsetEl.addEventListener('change', () => {
+          this.chartManager.setChannelOffset(
+              i, parseFloat(offsetEl.value) || 0);
+        });
+      }
+    }
 
-        setTimeout(checkResponse, checkInterval);
-      };
+    this.initChartChannelPickers();
+    this.initTriggerSourcePicker();
 
-      setTimeout(checkResponse, checkInterval);
+    // ── 새 UI 요소 연결 ──────────────────────────────────────────
+
+    // 탭 전환
+    document.querySelectorAll('.chart-tab-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        document.querySelectorAll('.chart-tab-btn')
+            .forEach(b => b.classList.remove('active'));
+        document.querySelectorAll('.chart-tab-pane')
+            .forEach(p => p.classList.remove('active'));
+        btn.classList.add('active');
+        const tabId = {
+          yaxis: 'chartTabYAxis',
+          trigger: 'chartTabTrigger',
+          cursor: 'chartTabCursor',
+          spectrum: 'chartTabSpectrum',
+          math: 'chartTabMath',
+          record: 'chartTabRecord',
+          reference: 'chartTabReference',
+          freq: 'chartTabFreq',
+          hall: 'chartTabHall'
+        }[btn.dataset.tab];
+        const pane = document.getElementById(tabId);
+        if (pane) pane.classList.add('active');
+        if (btn.dataset.tab === 'hall') this.refreshHallAnalyzerChannels();
+        if (btn.dataset.tab === 'math') this.refreshChartMathSources();
+        if (btn.dataset.tab === 'record') this.refreshChartRecordingList();
+      });
     });
-  }
 
-  /**
-   * FC 0x64 전용 TX/RX.
-   * responseBuffer로 수신하며, control 값에 따라 예상 길이를 동적으로 판단.
-   * @param {Uint8Array} frame  - 송신 프레임
-   * @param {number}     control - 0x00(stop) | 0x02(configure) | 0x03(data)
-   * @param {number}     timeout - ms
-   */
-  async sendAndReceiveFC64(frame, control, timeout = 500) {
-    if (!this.writer) return null;
+    // 패널 접기/펼치기
+    const collapseBtn = document.getElementById('chartPanelCollapseBtn');
+    const panelBody = document.querySelector('.chart-panel-body');
+    if (collapseBtn && panelBody) {
+      collapseBtn.addEventListener('click', () => {
+        const isNowCollapsed = panelBody.classList.toggle('collapsed');
+        collapseBtn.classList.toggle('collapsed', isNowCollapsed);
+      });
+    }
 
-    // 이전 잔류 데이터 flush
-    this._serialDataCb = null;
-    this.responseBuffer = null;
-    this.receiveIndex = 0;
-    await Promise.resolve();
-    await Promise.resolve();
+    // X-Axis: Sampling Time + Time Span Multiplier →
+    // chartManager.setTimeScale()
+    const sampleRateEl = document.getElementById('chartSampleRate');
+    const timeSpanMultEl = document.getElementById('chartTimeSpanMult');
+    const timeSpanSecEl = document.getElementById('chartTimeSpanSeconds');
+    const timeSpanDecBtn = document.getElementById('chartTimeSpanDec');
+    const timeSpanIncBtn = document.getElementById('chartTimeSpanInc');
 
-    await this.writer.write(frame);
-    this.addMonitorEntry('sent', frame);
+    const updateTimeScale = () => {
+      const ticks = parseInt(sampleRateEl?.value ?? 160);
+      const mult = parseInt(timeSpanMultEl?.value ?? 250);
+      const ms = (ticks / 8) * mult;
+      if (timeSpanSecEl) timeSpanSecEl.textContent = (ms / 1000).toFixed(3);
+      this.chartManager.setTimeScale(ms);
+    };
 
-    // 이 호출 전용 버퍼 토큰 — 다른 호출과 버퍼가 섞이는 것을 방지
-    const myBuffer = [];
-    this.responseBuffer = myBuffer;
+    if (sampleRateEl) sampleRateEl.addEventListener('change', updateTimeScale);
+    if (timeSpanMultEl)
+      timeSpanMultEl.addEventListener('input', updateTimeScale);
+    if (timeSpanDecBtn)
+      timeSpanDecBtn.addEventListener('click', () => {
+        if (timeSpanMultEl) {
+          timeSpanMultEl.value =
+              Math.max(10, parseInt(timeSpanMultEl.value) - 10);
+          updateTimeScale();
+        }
+      });
+    if (timeSpanIncBtn)
+      timeSpanIncBtn.addEventListener('click', () => {
+        if (timeSpanMultEl) {
+          timeSpanMultEl.value =
+              Math.min(10000, parseInt(timeSpanMultEl.value) + 10);
+          updateTimeScale();
+        }
+      });
+    updateTimeScale();
 
-    this.stats.requests++;
+    // X-Axis: Mode (Continuous / Trigger) — 기존 chartMode 로직 연결
+    const timeModeEl = document.getElementById('chartTimeBaseMode');
 
-    return new Promise((resolve) => {
-      const startTime = performance.now();
-      let hardTimeoutId = null;
+    // Continuous 모드는 최소 20ms (period=160) 까지만 허용. Trigger 모드는
+    // sub-ms 포함 전체 허용.
+    const CONTINUOUS_MIN_PERIOD = 160;
+    const applySampleRateConstraints = () => {
+      if (!sampleRateEl || !timeModeEl) return;
+      const isContinuous = timeModeEl.value === 'continuous';
+      let needReselect = false;
+      Array.from(sampleRateEl.options).forEach(opt => {
+        const tooFast =
+            isContinuous && parseInt(opt.value) < CONTINUOUS_MIN_PERIOD;
+        opt.disabled = tooFast;
+        opt.hidden = tooFast;
+        if (tooFast && opt.selected) needReselect = true;
+      });
+      if (needReselect) {
+        sampleRateEl.value = String(CONTINUOUS_MIN_PERIOD);
+        updateTimeScale();
+      }
+    };
+    applySampleRateConstraints();
 
-      const done = (response) => {
-        this.updateStats(response !== null);
-        resolve(response);
-      };
+    if (timeModeEl) {
+      timeModeEl.addEventListener('change', () => {
+        applySampleRateConstraints();
+        this.chartManager.setMode(timeModeEl.value);
+      });
+    }
 
-      const cleanup = () => {
-        if (this._serialDataCb === check) this._serialDataCb = null;
-        if (hardTimeoutId) {
-          clearTimeout(hardTimeoutId);
-          hardTimeoutId = null;
-        }
-        // 다른 호출이 responseBuffer를 이미 교체한 경우에는 건드리지 않음
-        if (this.responseBuffer === myBuffer) this.responseBuffer = null;
-      };
+    // Y-Axis: Auto 체크박스 + Min/Max 입력 → fixedYRange
+    for (let i = 0; i < 4; i++) {
+      const autoEl = document.getElementById(`chartCh${i + 1}Auto`);
+      const minEl = document.getElementById(`chartCh${i + 1}Min`);
+      const maxEl = document.getElementById(`chartCh${i + 1}Max`);
+      if (!autoEl || !minEl || !maxEl) continue;
 
-      const check = () => {
-        const buf = this.responseBuffer;
-        // 버퍼가 교체되었으면(다른 호출이 시작됨) 즉시 포기
-        if (!buf || buf !== myBuffer) {
-          cleanup();
-          done(null);
-          return;
+      const applyRange = () => {
+        if (autoEl.checked) {
+          this.chartManager.clearChannelYRange(i);
+          minEl.disabled = true;
+          maxEl.disabled = true;
+        } else {
+          minEl.disabled = false;
+          maxEl.disabled = false;
+          this.chartManager.setChannelYRange(
+              i, parseFloat(minEl.value) || -100,
+              parseFloat(maxEl.value) || 100);
         }
+      };
 
-        let expectedLen = null;
-        if (control === 0x00) {
-          if (buf.length >= 4) expectedLen = 4;
-        } else if (control === 0x02) {
-          if (buf.length >= frame.length) expectedLen = frame.length;
-        } else if (control === 0x03) {
-          if (buf.length >= 5) expectedLen = 5 + buf[4] * 4 + 2;
-        }
+      autoEl.addEventListener('change', applyRange);
+      minEl.addEventListener('change', applyRange);
+      maxEl.addEventListener('change', applyRange);
+    }
+  }
 
-        if (expectedLen !== null && buf.length >= expectedLen) {
-          const response = new Uint8Array(buf.slice(0, expectedLen));
-          cleanup();
-          if (this.modbus.verifyCRC(response)) {
-            this.addMonitorEntry('received', response);
-            done(response);
-          } else {
-            done(null);
-          }
-          return;
-        }
+  /**
+   * .lsm / CSV 캡처 파일을 Charts 탭에 읽기 전용으로 로드
+   * @param {File} file
+   */
+  async importChartCapture(file) {
+    if (!this.chartManager) return;
+    if (this.chartRunning) {
+      this.showToast('캡처 중에는 가져올 수 없습니다 — 먼저 Stop 하세요', 'warning');
+      return;
+    }
 
-        if (performance.now() - startTime > timeout) {
-          cleanup();
-          done(null);
-          return;
-        }
+    try {
+      const text = await file.text();
+      const isLsm = /\.lsm$/i.test(file.name) || /^\s*CH1\s*:/.test(text);
 
-        // 다음 데이터 도착 시 즉시 재확인 (setTimeout 폴링 없음)
-        this._serialDataCb = check;
-      };
+      let dataset;
+      if (isLsm) {
+        const {channels, periodMs} = LsmExporter.parse(text);
+        dataset = {
+          periodMs,
+          channels: channels.map(ch => {
+            // LSM 시간은 초 단위 — 첫 시각 기준 균일 간격으로 복원
+            const t0 = (ch.times[0] || 0) * 1000;
+            return {
+              name: ch.name,
+              points: ch.data.map((v, i) => ({t: t0 + i * periodMs, v}))
+            };
+          })
+        };
+      } else {
+        dataset = ChartManager.parseCSV(text);
+      }
 
-      // 안전망: 디바이스 무응답 시 강제 종료
-      hardTimeoutId = setTimeout(() => {
-        if (this._serialDataCb === check || this.responseBuffer === myBuffer) {
-          cleanup();
-          done(null);
-        }
-      }, timeout + 100);
+      if (dataset.channels.every(ch => ch.points.length === 0)) {
+        throw new Error('샘플 데이터가 없습니다');
+      }
+      dataset.fileName = file.name;
 
-      // 즉시 첫 확인
-      check();
-    });
+      this.chartManager.loadImportedData(dataset);
+      this.updateSpectrumSpeedSource();
+      this.showToast(`${file.name} 로드 완료 — ${
+                         dataset.channels.length}채널, ${
+                         dataset.periodMs}ms 주기 (읽기 전용)`,
+                     'success');
+    } catch (e) {
+      console.error('Chart import error:', e);
+      this.showToast(`가져오기 실패: ${e.message}`, 'error');
+    }
   }
 
   /**
-   * FC 0x65 Trigger Streaming 전송 및 응답 수신.
-   * sendAndReceiveFC64와 동일한 구조이지만 FC65 응답 길이 적용.
-   *
-   * RX 응답 총 바이트 (NodeID + FrameLength + CRC):
-   *   0x00 stop      : 5  bytes (FrameLength=2)
-   *   0x02 configure : TX frame length (echo, FrameLength=17 → total 20)
-   *   0x01 startPoll : 24 bytes (FrameLength=21, byte[3]=Status)
-   *   0x03 dataReq   : 68 bytes (FrameLength=65, byte[7]=Len, byte[8+]=floats)
-   *
-   * @param {Uint8Array} frame   - TX 프레임
-   * @param {number}     control - 0x00|0x01|0x02|0x03
-   * @param {number}     timeout - ms
-   */
-  async sendAndReceiveFC65(frame, control, timeout = 500) {
-    if (!this.writer) return null;
+   * Spectrum (FFT) 탭 컨트롤 바인딩
+   */
+  initChartSpectrumControls() {
+    const enableEl = document.getElementById('chartSpectrumEnable');
+    const numberOf = (id, fallback) => {
+      const v = parseFloat(document.getElementById(id)?.value);
+      return isNaN(v) ? fallback : v;
+    };
 
-    this._serialDataCb = null;
-    this.responseBuffer = null;
-    this.receiveIndex = 0;
-    await Promise.resolve();
-    await Promise.resolve();
+    const apply = () => {
+      this.updateSpectrumSpeedSource();
+      this.chartManager.setSpectrumOptions({
+        window: document.getElementById('chartSpectrumWindow')?.value || 'hann',
+        scale: document.getElementById('chartSpectrumScale')?.value || 'linear',
+        maxFreq: Math.max(0, numberOf('chartSpectrumMaxFreq', 0)),
+        peakCount: Math.max(0, Math.min(10, numberOf('chartSpectrumPeaks', 3))),
+        polePairs: Math.max(1, numberOf('chartSpectrumPolePairs', 4)),
+        harmonics: Math.max(0, Math.min(40, numberOf('chartSpectrumHarmonics', 10))),
+        elecFreqHz: numberOf('chartSpectrumElecFreq', 0) > 0 ?
+            numberOf('chartSpectrumElecFreq', 0) :
+            null
+      });
+    };
 
-    await this.writer.write(frame);
-    this.addMonitorEntry('sent', frame);
+    ['chartSpectrumWindow', 'chartSpectrumScale', 'chartSpectrumMaxFreq',
+     'chartSpectrumPeaks', 'chartSpectrumPolePairs', 'chartSpectrumHarmonics',
+     'chartSpectrumElecFreq']
+        .forEach(id => document.getElementById(id)?.addEventListener('change', apply));
 
-    const myBuffer = [];
-    this.responseBuffer = myBuffer;
+    enableEl?.addEventListener('change', () => {
+      apply();
+      this.chartManager.setViewMode(enableEl.checked ? 'spectrum' : 'time');
+    });
+    apply();
+  }
 
-    this.stats.requests++;
+  /**
+   * Math 채널 탭 초기화 — 저장된 정의 복원 + 폼 바인딩
+   */
+  initChartMathChannels() {
+    const opEl = document.getElementById('chartMathOp');
+    if (opEl) {
+      opEl.innerHTML =
+          Object.entries(ChartManager.MATH_OPERATIONS)
+              .map(([key, op]) => `<option value="${key}">${op.label}</option>`)
+              .join('');
+      opEl.addEventListener('change', () => this.updateChartMathForm());
+    }
 
-    return new Promise((resolve) => {
-      const startTime = performance.now();
-      let hardTimeoutId = null;
+    document.getElementById('chartMathAddBtn')
+        ?.addEventListener('click', () => this.addChartMathChannel());
 
-      const done = (response) => {
-        this.updateStats(response !== null);
-        resolve(response);
-      };
+    const listEl = document.getElementById('chartMathList');
+    listEl?.addEventListener('change', (e) => {
+      const row = e.target.closest('[data-math-id]');
+      if (row && e.target.type === 'checkbox') {
+        this.chartManager.setMathChannelEnabled(
+            row.dataset.mathId, e.target.checked);
+        this.saveChartMathChannels();
+      }
+    });
+    listEl?.addEventListener('click', (e) => {
+      const btn = e.target.closest('.chart-math-remove');
+      const row = e.target.closest('[data-math-id]');
+      if (btn && row) this.removeChartMathChannel(row.dataset.mathId);
+    });
 
-      const cleanup = () => {
-        if (this._serialDataCb === check) this._serialDataCb = null;
-        if (hardTimeoutId) {
-          clearTimeout(hardTimeoutId);
-          hardTimeoutId = null;
-        }
-        if (this.responseBuffer === myBuffer) this.responseBuffer = null;
-      };
+    let saved = [];
+    try {
+      saved = JSON.parse(localStorage.getItem('chartMathChannels') || '[]');
+    } catch (e) {
+      saved = [];
+    }
+    this.chartManager.setMathChannels(Array.isArray(saved) ? saved : []);
+    this.refreshChartMathSources();
+    this.renderChartMathList();
+  }
+
+  /** 소스 선택 목록 갱신 (Math 채널 제외, 현재 라이브/Import 채널) */
+  refreshChartMathSources() {
+    const sourceCount = this.chartManager.channels.filter(ch => !ch.math).length;
+    const options = Array.from(
+        {length: sourceCount},
+        (_, i) => `<option value="${i}">${this.getChartChannelLabel(i)}</option>`)
+                        .join('');
+
+    ['A', 'B', 'C'].forEach((slot, k) => {
+      const el = document.getElementById(`chartMathSrc${slot}`);
+      if (!el) return;
+      const previous = el.value;
+      el.innerHTML = options;
+      el.value = previous !== '' && parseInt(previous) < sourceCount ?
+          previous :
+          String(Math.min(k, sourceCount - 1));
+    });
+    this.updateChartMathForm();
+  }
+
+  /** 연산에 따라 B/C 소스 및 파라미터 입력 활성화 */
+  updateChartMathForm() {
+    const op = ChartManager.MATH_OPERATIONS[document.getElementById('chartMathOp')?.value];
+    if (!op) return;
+    const srcB = document.getElementById('chartMathSrcB');
+    const srcC = document.getElementById('chartMathSrcC');
+    const paramEl = document.getElementById('chartMathParam');
+    if (srcB) srcB.disabled = op.inputs < 2;
+    if (srcC) srcC.disabled = op.inputs < 3;
+    if (paramEl) {
+      paramEl.disabled = !op.param;
+      paramEl.placeholder = op.param === 'window' ? 'N (샘플)' :
+          op.param === 'bit'                      ? 'bit (0~15)' :
+                                                    '-';
+    }
+  }
+
+  addChartMathChannel() {
+    const opKey = document.getElementById('chartMathOp')?.value;
+    const op = ChartManager.MATH_OPERATIONS[opKey];
+    if (!op) return;
+
+    const sources = ['A', 'B', 'C']
+                        .slice(0, op.inputs)
+                        .map(slot => parseInt(
+                                 document.getElementById(`chartMathSrc${slot}`)?.value));
+    if (sources.some(isNaN)) {
+      this.showToast('소스 채널을 선택하세요', 'warning');
+      return;
+    }
 
-      const check = () => {
-        const buf = this.responseBuffer;
-        if (!buf || buf !== myBuffer) {
-          cleanup();
-          done(null);
-          return;
-        }
+    const param = parseFloat(document.getElementById('chartMathParam')?.value);
+    if (op.param && isNaN(param)) {
+      this.showToast(
+          op.param === 'window' ? '이동 평균 샘플 수를 입력하세요' :
+                                  '추출할 bit 번호를 입력하세요',
+          'warning');
+      return;
+    }
+    const gain = parseFloat(document.getElementById('chartMathGain')?.value);
 
-        let expectedLen = null;
-        if (control === 0x00) {
-          // Stop: [NodeID][0x65][0x00][CRC_L][CRC_H] = 5 bytes
-          if (buf.length >= 5) expectedLen = 5;
-        } else if (control === 0x02) {
-          // Configure: echo of TX frame
-          if (buf.length >= frame.length) expectedLen = frame.length;
-        } else if (control === 0x01) {
-          // StartPoll: 24 bytes total (FrameLength=21)
-          if (buf.length >= 24) expectedLen = 24;
-        } else if (control === 0x03) {
-          // DataReq: 68 bytes total (FrameLength=65, USB-HID legacy 고정 크기)
-          if (buf.length >= 68) expectedLen = 68;
-        }
+    const palette = [
+      '#8e44ad', '#16a085', '#d35400', '#c0392b', '#2c3e50', '#7f8c8d'
+    ];
+    const defs = this.chartManager.mathDefs;
+    const nameEl = document.getElementById('chartMathName');
+    const def = {
+      id: `m${Date.now().toString(36)}`,
+      name: nameEl?.value.trim() || `Math${defs.length + 1}`,
+      color: palette[defs.length % palette.length],
+      op: opKey,
+      sources,
+      param: op.param ? param : undefined,
+      gain: isNaN(gain) ? 1 : gain,
+      enabled: true
+    };
 
-        if (expectedLen !== null && buf.length >= expectedLen) {
-          const response = new Uint8Array(buf.slice(0, expectedLen));
-          cleanup();
-          if (this.modbus.verifyCRC(response)) {
-            this.addMonitorEntry('received', response);
-            done(response);
-          } else {
-            done(null);
-          }
-          return;
-        }
+    this.chartManager.setMathChannels([...defs, def]);
+    this.saveChartMathChannels();
+    this.renderChartMathList();
+    if (nameEl) nameEl.value = '';
+  }
 
-        if (performance.now() - startTime > timeout) {
-          cleanup();
-          done(null);
-          return;
-        }
+  removeChartMathChannel(id) {
+    this.chartManager.setMathChannels(
+        this.chartManager.mathDefs.filter(def => def.id !== id));
+    this.saveChartMathChannels();
+    this.renderChartMathList();
+  }
 
-        this._serialDataCb = check;
-      };
+  saveChartMathChannels() {
+    localStorage.setItem(
+        'chartMathChannels', JSON.stringify(this.chartManager.mathDefs));
+  }
 
-      hardTimeoutId = setTimeout(() => {
-        if (this._serialDataCb === check || this.responseBuffer === myBuffer) {
-          cleanup();
-          done(null);
+  renderChartMathList() {
+    const listEl = document.getElementById('chartMathList');
+    if (!listEl) return;
+    const defs = this.chartManager.mathDefs;
+    if (defs.length === 0) {
+      listEl.innerHTML =
+          '<span class="chart-tab-hint">정의된 Math 채널이 없습니다.</span>';
+      return;
+    }
+
+    listEl.innerHTML = defs.map(def => {
+      const op = ChartManager.MATH_OPERATIONS[def.op];
+      const ch = this.chartManager.channels.find(c => c.math?.def.id === def.id);
+      const formula = op ?
+          op.label.replace(/\b[ABC]\b/g, slot => `CH${def.sources['ABC'.indexOf(slot)] + 1}`)
+              .replace(/\bN\b/, def.param ?? 'N')
+              .replace(/\bn\b/, def.param ?? 'n') :
+          def.op;
+      const gain = def.gain !== undefined && def.gain !== 1 ? ` × ${def.gain}` : '';
+      const invalid = ch && !ch.math.valid ? ' <b class="chart-math-invalid">소스 없음</b>' : '';
+      return `
+        <div class="chart-math-row" data-math-id="${def.id}">
+          <input type="checkbox" ${def.enabled !== false ? 'checked' : ''}>
+          <span class="chart-math-swatch" style="background:${def.color}"></span>
+          <span class="chart-math-name">${def.name}</span>
+          <span class="chart-math-formula">${formula}${gain}${invalid}</span>
+          <button class="chart-tool-btn chart-math-remove" title="삭제">✕</button>
+        </div>`;
+    }).join('');
+  }
+
+  /**
+   * 고조파 마커용 속도 채널 지정 — 라이브 캡처는 Ch# 0 (Velocity Feedback),
+   * Import 데이터는 채널 이름으로 찾음
+   */
+  updateSpectrumSpeedSource() {
+    if (!this.chartManager) return;
+    let speedChannel = -1;
+    if (this.chartManager.readOnly) {
+      speedChannel = this.chartManager.channels.findIndex(
+          ch => /vel(ocity)?\.?\s*(feedback|fb)/i.test(ch.name));
+    } else {
+      for (let i = 0; i < 4; i++) {
+        const triggerEl = document.getElementById(`chartCh${i + 1}Trigger`);
+        const enableEl = document.getElementById(`chartCh${i + 1}Enable`);
+        if (enableEl?.dataset.enabled === 'true' &&
+            parseInt(triggerEl?.dataset.selectedValue) === 0x00) {
+          speedChannel = i;
+          break;
         }
-      }, timeout + 100);
+      }
+    }
+    this.chartManager.spectrum.speedChannel = speedChannel;
+  }
 
-      check();
-    });
+  // ─────────────────────────────────────────────────────────
+  //  Long recording (ChartRecorder)
+
+  initChartRecording() {
+    const fileEl = document.getElementById('chartRecordToFile');
+    if (fileEl && !window.showSaveFilePicker) {
+      fileEl.disabled = true;
+      fileEl.parentElement.title = '이 브라우저는 파일 스트리밍을 지원하지 않습니다';
+    }
+
+    document.getElementById('chartRecordOpenBtn')
+        ?.addEventListener('click', () => this.openChartRecording());
+    document.getElementById('chartRecordDeleteBtn')
+        ?.addEventListener('click', () => this.deleteChartRecording());
+    document.getElementById('chartRecordMarkersBtn')
+        ?.addEventListener('click', () => {
+          const {start, end} = this.chartManager.getAnalysisWindow();
+          document.getElementById('chartRecordFrom').value =
+              (start / 1000).toFixed(3);
+          document.getElementById('chartRecordTo').value =
+              (end / 1000).toFixed(3);
+        });
+    document.getElementById('chartRecordExportCsvBtn')
+        ?.addEventListener('click', () => this.exportChartRecordingRange('csv'));
+    document.getElementById('chartRecordExportLsmBtn')
+        ?.addEventListener('click', () => this.exportChartRecordingRange('lsm'));
+
+    this.refreshChartRecordingList();
   }
 
   /**
-   * Send raw data to serial port
+   * CSV 스트리밍 파일 선택 (취소/미지원 시 null — IndexedDB 에만 기록)
+   * @returns {Promise<FileSystemFileHandle|null>}
    */
-  async sendRawData(data) {
-    if (!this.writer) return;
-    await this.writer.write(data);
+  async pickChartRecordingFile() {
+    if (!window.showSaveFilePicker) return null;
+    try {
+      const ts = new Date().toISOString().slice(0, 19).replace(/[:-]/g, '');
+      return await window.showSaveFilePicker({
+        suggestedName: `recording_${ts}.csv`,
+        types: [{description: 'CSV', accept: {'text/csv': ['.csv']}}]
+      });
+    } catch (error) {
+      if (error.name !== 'AbortError') console.error(error);
+      this.showToast('파일 선택 취소 — IndexedDB 에만 기록합니다', 'info');
+      return null;
+    }
   }
 
   /**
-   * Delay helper
+   * 연속 캡처 샘플을 ChartRecorder 로 보내기 시작
+   * @param {Array<{chIdx: number, chNum: number}>} configuredChannels
+   * @param {FileSystemFileHandle|null} fileHandle
    */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  async startChartRecording(configuredChannels, fileHandle) {
+    this.chartRecorder?.close();
+    this.chartRecorder = null;
+
+    const recorder = new ChartRecorder({
+      names: configuredChannels.map(c => this.getChartChannelLabel(c.chIdx)),
+      periodMs: this.chartPeriodMs
+    });
+    recorder.onError = (error) => {
+      this.showToast(`기록 저장 실패: ${error.message || error}`, 'error', 6000);
+    };
+
+    try {
+      await recorder.start({fileHandle});
+    } catch (error) {
+      console.error(error);
+      this.showToast(
+          `기록을 시작할 수 없습니다 — 메모리 모드로 캡처합니다 (${
+              error.message || error})`,
+          'error');
+      return;
+    }
+
+    this.chartRecorder = recorder;
+    this.chartManager.attachRecording(
+        recorder, configuredChannels.map(c => c.chIdx));
+    this.updateChartRecordingInfo();
   }
 
-  /**
-   * Add log entry to firmware progress log
-   */
-  addFirmwareLog(message, type = '') {
-    const logEl = document.getElementById('firmwareProgressLog');
-    if (!logEl) return;
+  /** 캡처 정지 시 남은 샘플 저장 */
+  async finishChartRecording() {
+    const recorder = this.chartRecorder;
+    if (!recorder || recorder.readOnly) return;
 
-    const entry = document.createElement('div');
-    entry.className = 'progress-log-entry' + (type ? ' ' + type : '');
-    entry.textContent = `[${new Date().toLocaleTimeString()}] ${message}`;
-    logEl.appendChild(entry);
-    logEl.scrollTop = logEl.scrollHeight;
+    await recorder.finish();
+    this.updateChartRecordingInfo();
+    if (!recorder.error) {
+      this.showToast(
+          `기록 저장 완료: ${recorder.name} (${
+              this.chartManager.formatTime(recorder.lastTime)})`,
+          'success');
+    }
+    this.chartManager.render();
+    await this.refreshChartRecordingList(recorder.id);
   }
 
-  /**
-   * Initialize Chart Page
-   */
-  initializeChartPage() {
-    // Initialize Chart Manager
-    this.chartManager = new ChartManager('mainChart');
+  async refreshChartRecordingList(selectId) {
+    const listEl = document.getElementById('chartRecordList');
+    if (!listEl || !window.indexedDB) return;
 
-    // Mode toggle buttons
-    const continuousBtn = document.getElementById('chartModeContinuous');
-    const triggerBtn = document.getElementById('chartModeTrigger');
-    const triggerPanel = document.getElementById('chartTriggerPanel');
+    let recordings = [];
+    try {
+      recordings = await ChartRecorder.list();
+    } catch (error) {
+      console.error('[Chart] 기록 목록 조회 실패:', error);
+    }
 
-    if (continuousBtn) {
-      continuousBtn.addEventListener('click', () => {
-        continuousBtn.classList.add('active');
-        triggerBtn.classList.remove('active');
-        triggerPanel.style.display = 'none';
-        this.chartManager.setMode('continuous');
-      });
+    const previous = selectId ?? listEl.value;
+    listEl.innerHTML = recordings.length ?
+        recordings
+            .map(rec => {
+              const duration = this.chartManager.formatTime(
+                  Math.max(0, rec.sampleCount - 1) * rec.periodMs);
+              return `<option value="${rec.id}">${rec.name} · ${
+                  rec.names.length}ch · ${duration}</option>`;
+            })
+            .join('') :
+        '<option value="">(저장된 기록 없음)</option>';
+    if (recordings.some(rec => String(rec.id) === String(previous))) {
+      listEl.value = String(previous);
     }
+  }
 
-    if (triggerBtn) {
-      triggerBtn.addEventListener('click', () => {
-        triggerBtn.classList.add('active');
-        continuousBtn.classList.remove('active');
-        triggerPanel.style.display = 'block';
-        this.chartManager.setMode('trigger');
-      });
+  async openChartRecording() {
+    const id = parseInt(document.getElementById('chartRecordList')?.value);
+    if (isNaN(id)) return;
+    if (this.chartRunning || this.triggerRunning) {
+      this.showToast('캡처를 정지한 후 기록을 여세요', 'warning');
+      return;
     }
 
-    // Control buttons
-    const startBtn = document.getElementById('chartStartBtn');
-    const stopBtn = document.getElementById('chartStopBtn');
-    const clearBtn = document.getElementById('chartClearBtn');
+    let recorder;
+    try {
+      recorder = await ChartRecorder.open(id);
+    } catch (error) {
+      this.showToast(`기록 열기 실패: ${error.message || error}`, 'error');
+      return;
+    }
 
-    if (startBtn) {
-      startBtn.addEventListener('click', async () => {
-        startBtn.disabled = true;
-        stopBtn.disabled = false;
-        await this.startChartCapture();
-      });
+    this.chartRecorder?.close();
+    this.chartRecorder = recorder;
+
+    // Import 와 같은 읽기 전용 채널 구성 (해제 시 라이브 채널 복원)
+    this.chartManager.loadImportedData({
+      fileName: recorder.name,
+      periodMs: recorder.periodMs,
+      channels: recorder.names.map(name => ({name, points: []}))
+    });
+    this.chartManager.attachRecording(
+        recorder, recorder.names.map((_, i) => i));
+    this.updateSpectrumSpeedSource();
+    this.updateChartRecordingInfo();
+  }
+
+  async deleteChartRecording() {
+    const id = parseInt(document.getElementById('chartRecordList')?.value);
+    if (isNaN(id)) return;
+    if (this.chartRecorder?.id === id && !this.chartRecorder.readOnly) {
+      this.showToast('기록 중인 데이터는 삭제할 수 없습니다', 'warning');
+      return;
     }
+    if (!confirm('선택한 기록을 삭제하시겠습니까?')) return;
 
-    if (stopBtn) {
-      stopBtn.addEventListener('click', async () => {
-        await this.stopChartCapture();
-        startBtn.disabled = false;
-        stopBtn.disabled = true;
-      });
+    if (this.chartRecorder?.id === id) {
+      this.chartManager.clearData();
+      this.chartRecorder.close();
+      this.chartRecorder = null;
+      this.updateChartRecordingInfo();
     }
+    await ChartRecorder.remove(id);
+    await this.refreshChartRecordingList();
+  }
 
-    if (clearBtn) {
-      clearBtn.addEventListener('click', () => {
-        this.chartManager.clearData();
-      });
+  /**
+   * 기록 구간 Export — From/To(초)가 비어 있으면 마커 구간 또는 보이는 구간
+   * @param {'csv'|'lsm'} format
+   */
+  async exportChartRecordingRange(format) {
+    if (!this.chartManager.recording) {
+      this.showToast('열려 있는 기록이 없습니다', 'warning');
+      return;
     }
 
-    // Settings dropdowns
-    const timeScaleEl = document.getElementById('chartTimeScale');
+    const from = parseFloat(document.getElementById('chartRecordFrom')?.value);
+    const to = parseFloat(document.getElementById('chartRecordTo')?.value);
+    const ranged = !isNaN(from) && !isNaN(to) && to > from;
 
-    if (timeScaleEl) {
-      timeScaleEl.addEventListener('change', () => {
-        this.chartManager.setTimeScale(parseInt(timeScaleEl.value));
-      });
+    try {
+      const saved = ranged ?
+          await this.chartManager.exportRecordingRange(
+              format, from * 1000, to * 1000) :
+          await this.chartManager.exportRecordingRange(format);
+      if (!saved) this.showToast('구간에 샘플이 없습니다', 'warning');
+    } catch (error) {
+      this.showToast(`Export 실패: ${error.message || error}`, 'error');
     }
+  }
 
-    // sampleRateEl: FC 0x64 Period 드롭다운 — startChartCapture() 시점에 읽음,
-    // 리스너 불필요
+  updateChartRecordingInfo() {
+    const infoEl = document.getElementById('chartRecordInfo');
+    if (!infoEl) return;
+    const recorder = this.chartRecorder;
+    if (!recorder) {
+      infoEl.textContent = '-';
+      return;
+    }
+    const state = recorder.error ? '저장 실패' :
+        recorder.readOnly        ? '저장됨' :
+                                   '기록 중';
+    infoEl.textContent = `${recorder.name} · ${state} · ${
+        recorder.names.join(', ')} · ${recorder.periodMs}ms`;
+  }
 
-    // Channel configuration — enable/disable만 ChartManager에 전달
-    // 채널 번호는 startChartCapture() 시점에 직접 읽음
-    for (let i = 0; i < 4; i++) {
-      const enableEl = document.getElementById(`chartCh${i + 1}Enable`);
-      if (enableEl) {
-        enableEl.addEventListener('click', () => {
-          const nowEnabled = enableEl.dataset.enabled !== 'true';
-          enableEl.dataset.enabled = String(nowEnabled);
-          this.chartManager.setChannelEnabled(i, nowEnabled);
-          // Persist enable state
-          const saved =
-              JSON.parse(localStorage.getItem('chartChSettings') || '{}');
-          if (!saved[i]) saved[i] = {};
-          saved[i].enabled = nowEnabled;
-          localStorage.setItem('chartChSettings', JSON.stringify(saved));
-        });
+  // ─────────────────────────────────────────────────────────
+  //  Reference (golden) waveform
+
+  initChartReference() {
+    const cm = this.chartManager;
+    const bindOption = (id, key, parse) => {
+      const el = document.getElementById(id);
+      if (!el) return;
+      el.addEventListener('change', () => {
+        const value = parse(el);
+        if (value !== null) cm.setReferenceOptions({[key]: value});
+      });
+    };
+    const number = el => {
+      const value = parseFloat(el.value);
+      return Number.isFinite(value) && value >= 0 ? value : null;
+    };
+    bindOption('chartRefAlign', 'align', el => el.value);
+    bindOption('chartRefTolPct', 'tolerancePct', number);
+    bindOption('chartRefTolAbs', 'toleranceAbs', number);
+    bindOption('chartRefMaxViolation', 'maxViolationPct', number);
+    bindOption('chartRefShowBand', 'showBand', el => el.checked);
+
+    document.getElementById('chartRefPinBtn')
+        ?.addEventListener('click', () => this.saveChartReference());
+    document.getElementById('chartRefLoadBtn')
+        ?.addEventListener('click', () => this.pinChartReference());
+    document.getElementById('chartRefDeleteBtn')
+        ?.addEventListener('click', () => this.deleteChartReference());
+    document.getElementById('chartRefClearBtn')?.addEventListener('click', () => {
+      localStorage.removeItem('chartReferencePinned');
+      cm.setReference(null);
+    });
+    document.getElementById('chartRefCompareBtn')
+        ?.addEventListener('click', () => cm.setReferenceOptions({}));
+
+    this.renderChartReferenceList();
+    const pinned = localStorage.getItem('chartReferencePinned');
+    cm.setReference(pinned ? this.getChartReference(pinned) : null);
+  }
+
+  /** 저장된 기준 파형 목록 (localStorage) */
+  loadChartReferences() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('chartReferences') || '[]');
+      return Array.isArray(saved) ? saved : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * 이름으로 기준 파형 조회 (OS 테스트 reference_compare 스텝에서도 사용)
+   * @param {string} name
+   * @returns {Object|null}
+   */
+  getChartReference(name) {
+    return this.loadChartReferences().find(ref => ref.name === name) || null;
+  }
+
+  renderChartReferenceList(selectName) {
+    const listEl = document.getElementById('chartRefList');
+    if (!listEl) return;
+    const references = this.loadChartReferences();
+    const previous = selectName ?? listEl.value;
+    listEl.innerHTML = references.length ?
+        references
+            .map(ref => `<option value="${ref.name}">${ref.name} · ${
+                     ref.channels.map(ch => ch.name).join(', ')}</option>`)
+            .join('') :
+        '<option value="">(저장된 기준 파형 없음)</option>';
+    if (references.some(ref => ref.name === previous)) listEl.value = previous;
+  }
+
+  /** 현재 분석 구간을 기준 파형으로 저장하고 고정 */
+  saveChartReference() {
+    const nameEl = document.getElementById('chartRefName');
+    const name = nameEl?.value.trim() ||
+        `ref_${new Date().toISOString().slice(0, 19).replace(/[:-]/g, '')}`;
+
+    const reference = this.chartManager.captureReference(name);
+    if (!reference) {
+      this.showToast(
+          this.chartManager.recording ?
+              '기록 구간이 너무 넓습니다 — 확대한 뒤 저장하세요' :
+              '저장할 캡처 데이터가 없습니다',
+          'warning');
+      return;
+    }
+
+    // 라이브 캡처면 Ch# 를 같이 저장 → OS 테스트가 같은 채널로 다시 캡처
+    if (!this.chartManager.readOnly) {
+      for (const ch of reference.channels) {
+        const configured =
+            this.chartConfiguredChannels.find(c => c.chIdx === ch.index);
+        if (configured) ch.chNum = configured.chNum;
       }
     }
 
-    // Trigger settings — FC 0x65 Hardware Trigger
-    // Source CH 피커는 initTriggerSourcePicker()에서 초기화됨.
-    // 실제 값은 startTriggerCapture() 시점에 직접 읽음.
-    const triggerLevelEl = document.getElementById('triggerLevel');
-    if (triggerLevelEl) {
-      triggerLevelEl.addEventListener('change', () => {
-        this.chartManager.setTriggerLevel(parseFloat(triggerLevelEl.value));
-      });
+    const references =
+        this.loadChartReferences().filter(ref => ref.name !== name);
+    references.push(reference);
+    try {
+      localStorage.setItem('chartReferences', JSON.stringify(references));
+    } catch (error) {
+      this.showToast(
+          '기준 파형 저장 실패 (저장 공간 부족) — 마커로 구간을 좁혀 보세요',
+          'error');
+      return;
     }
 
-    // Export buttons
-    const exportCsvBtn = document.getElementById('chartExportCsvBtn');
-    const exportPngBtn = document.getElementById('chartExportPngBtn');
+    localStorage.setItem('chartReferencePinned', name);
+    this.chartManager.setReference(reference);
+    this.renderChartReferenceList(name);
+    if (nameEl) nameEl.value = '';
+    this.showToast(`기준 파형 저장: ${name}`, 'success');
+  }
 
-    if (exportCsvBtn) {
-      exportCsvBtn.addEventListener(
-          'click', () => this.chartManager.exportToCSV());
-    }
+  pinChartReference() {
+    const name = document.getElementById('chartRefList')?.value;
+    const reference = name ? this.getChartReference(name) : null;
+    if (!reference) return;
+    localStorage.setItem('chartReferencePinned', name);
+    this.chartManager.setReference(reference);
+  }
 
-    if (exportPngBtn) {
-      exportPngBtn.addEventListener(
-          'click', () => this.chartManager.exportToPNG());
+  deleteChartReference() {
+    const name = document.getElementById('chartRefList')?.value;
+    if (!name || !confirm(`기준 파형 "${name}" 을(를) 삭제하시겠습니까?`)) return;
+
+    localStorage.setItem(
+        'chartReferences',
+        JSON.stringify(
+            this.loadChartReferences().filter(ref => ref.name !== name)));
+    if (this.chartManager.reference?.name === name) {
+      localStorage.removeItem('chartReferencePinned');
+      this.chartManager.setReference(null);
     }
+    this.renderChartReferenceList();
+  }
 
-    // Y-axis mode buttons
-    const yAxisModeA = document.getElementById('yAxisModeA');
-    const yAxisModeB = document.getElementById('yAxisModeB');
-    const yAxisModeC = document.getElementById('yAxisModeC');
-    const scaleOffsetDivs = document.querySelectorAll('.channel-scale-offset');
+  /**
+   * Hall 진단 입력 — Charts 탭 채널 중 데이터가 있는 것
+   * 라이브 캡처 채널은 Ch# 정의 이름(Hall U 등)으로 표시해 자동 지정에 사용
+   * @returns {Array<{name: string, data: number[], chartIdx: number}>}
+   */
+  getHallAnalyzerSources() {
+    if (!this.chartManager) return [];
 
-    const modeHints = {
-      independent: 'Independent',
-      normalize: 'Normalize 0–100%',
-      scaleoffset: 'Scale + Offset'
-    };
-    const hintEl = document.getElementById('yAxisModeHint');
-    const setYAxisModeUI = (mode) => {
-      [yAxisModeA, yAxisModeB, yAxisModeC].forEach(
-          btn => btn?.classList.remove('active'));
-      if (mode === 'independent')
-        yAxisModeA?.classList.add('active');
-      else if (mode === 'normalize')
-        yAxisModeB?.classList.add('active');
-      else
-        yAxisModeC?.classList.add('active');
-      scaleOffsetDivs.forEach(d => {
-        d.style.display = mode === 'scaleoffset' ? 'flex' : 'none';
-      });
-      if (hintEl) hintEl.textContent = modeHints[mode] ?? '';
-      this.chartManager.setYAxisMode(mode);
-    };
+    return this.chartManager.channels
+        .map((ch, i) => ({
+               name: this.getChartChannelLabel(i),
+               data: ch.data.map(p => p.v),
+               chartIdx: i
+             }))
+        .filter(src => src.data.length > 0);
+  }
 
-    if (yAxisModeA)
-      yAxisModeA.addEventListener('click', () => setYAxisModeUI('independent'));
-    if (yAxisModeB)
-      yAxisModeB.addEventListener('click', () => setYAxisModeUI('normalize'));
-    if (yAxisModeC)
-      yAxisModeC.addEventListener('click', () => setYAxisModeUI('scaleoffset'));
+  /**
+   * Charts 탭 채널 표시 이름 — 라이브 채널은 선택된 Ch# 정의 이름을 덧붙임
+   * (예: "CH1 · Hall U")
+   * @param {number} index - chartManager.channels index
+   */
+  getChartChannelLabel(index) {
+    const ch = this.chartManager?.channels[index];
+    if (!ch) return '';
+    if (this.chartManager.readOnly || ch.math) return ch.name;
 
-    // Split view toggle
-    const splitViewBtn = document.getElementById('chartSplitViewBtn');
-    if (splitViewBtn) {
-      splitViewBtn.addEventListener('click', () => {
-        const enabled = !this.chartManager.splitView;
-        this.chartManager.setSplitView(enabled);
-        splitViewBtn.classList.toggle('active', enabled);
-      });
-    }
+    const chNum = parseInt(document.getElementById(`chartCh${index + 1}Trigger`)
+                               ?.dataset.selectedValue);
+    const def = this.getChartChannels().find(d => d.chNum === chNum);
+    return def ? `${ch.name} · ${def.name}` : ch.name;
+  }
 
-    // Scale/Offset inputs
-    for (let i = 0; i < 4; i++) {
-      const scaleEl = document.getElementById(`chartCh${i + 1}Scale`);
-      const offsetEl = document.getElementById(`chartCh${i + 1}Offset`);
-      if (scaleEl) {
-        scaleEl.addEventListener('change', () => {
-          this.chartManager.setChannelScale(i, parseFloat(scaleEl.value) || 1);
-        });
-      }
-      if (offsetEl) {
-        offsetEl.addEventListener('change', () => {
-          this.chartManager.setChannelOffset(
-              i, parseFloat(offsetEl.value) || 0);
-        });
+  /**
+   * U/V/W 선택 목록 갱신 (자동 지정 결과로 초기 선택)
+   */
+  refreshHallAnalyzerChannels() {
+    const sources = this.getHallAnalyzerSources();
+    const roles = HallUvwAnalyzer.autoAssign(sources);
+
+    ['U', 'V', 'W'].forEach(role => {
+      const select = document.getElementById(`hallAn${role}`);
+      if (!select) return;
+      const previous = select.value;
+      // 채널 이름은 .lsm/CSV Import 에서 올 수 있으므로 텍스트로만 넣는다
+      select.replaceChildren(...sources.map(
+          (src, i) => new Option(`${src.name} (${src.data.length})`, String(i))));
+      // 사용자가 고른 값이 여전히 유효하면 유지
+      if (previous !== '' && sources[parseInt(previous)]) {
+        select.value = previous;
+      } else if (roles[role] >= 0) {
+        select.value = String(roles[role]);
       }
+    });
+
+    const hint = document.getElementById('hallAnHint');
+    if (hint) {
+      hint.textContent = sources.length >= 3 ?
+          `${sources.length}개 채널 사용 가능` :
+          'Hall U/V/W (Ch# 22/23/24) 를 캡처하거나 .lsm 을 Import 하세요';
     }
+  }
 
-    this.initChartChannelPickers();
-    this.initTriggerSourcePicker();
+  /**
+   * Charts 탭 데이터로 Hall UVW 편심/편축 진단 실행
+   */
+  runHallAnalysis() {
+    this.refreshHallAnalyzerChannels();
+    const sources = this.getHallAnalyzerSources();
+    const [u, v, w] = ['U', 'V', 'W'].map(
+        role => parseInt(document.getElementById(`hallAn${role}`)?.value));
 
-    // ── 새 UI 요소 연결 ──────────────────────────────────────────
+    if ([u, v, w].some(i => isNaN(i) || !sources[i])) {
+      this.showToast('U, V, W 채널을 모두 지정해주세요', 'warning');
+      return;
+    }
+    if (new Set([u, v, w]).size !== 3) {
+      this.showToast('U, V, W 에 서로 다른 채널을 지정해주세요', 'warning');
+      return;
+    }
 
-    // 탭 전환
-    document.querySelectorAll('.chart-tab-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        document.querySelectorAll('.chart-tab-btn')
-            .forEach(b => b.classList.remove('active'));
-        document.querySelectorAll('.chart-tab-pane')
-            .forEach(p => p.classList.remove('active'));
-        btn.classList.add('active');
-        const tabId = {
-          yaxis: 'chartTabYAxis',
-          trigger: 'chartTabTrigger',
-          cursor: 'chartTabCursor',
-          freq: 'chartTabFreq'
-        }[btn.dataset.tab];
-        const pane = document.getElementById(tabId);
-        if (pane) pane.classList.add('active');
-      });
-    });
+    const polePairs = Math.max(
+        1, parseInt(document.getElementById('hallAnPolePairs')?.value) || 1);
+    const numBins = Math.max(
+        36, parseInt(document.getElementById('hallAnBins')?.value) || 180);
 
-    // 패널 접기/펼치기
-    const collapseBtn = document.getElementById('chartPanelCollapseBtn');
-    const panelBody = document.querySelector('.chart-panel-body');
-    if (collapseBtn && panelBody) {
-      collapseBtn.addEventListener('click', () => {
-        const isNowCollapsed = panelBody.classList.toggle('collapsed');
-        collapseBtn.classList.toggle('collapsed', isNowCollapsed);
-      });
+    try {
+      const result =
+          HallUvwAnalyzer.analyze(sources, u, v, w, polePairs, numBins);
+      HallUvwAnalyzer.renderVerdict(
+          document.getElementById('hallAnVerdict'), result.metrics);
+      HallUvwAnalyzer.drawTrajectory(
+          document.getElementById('hallAnTrajectory'), result);
+      HallUvwAnalyzer.drawProfile(
+          document.getElementById('hallAnProfile'), result);
+      HallUvwAnalyzer.drawSpectrum(
+          document.getElementById('hallAnSpectrum'), result);
+    } catch (e) {
+      this.showToast(`Hall 진단 실패: ${e.message}`, 'error');
     }
+  }
 
-    // X-Axis: Sampling Time + Time Span Multiplier →
-    // chartManager.setTimeScale()
-    const sampleRateEl = document.getElementById('chartSampleRate');
-    const timeSpanMultEl = document.getElementById('chartTimeSpanMult');
-    const timeSpanSecEl = document.getElementById('chartTimeSpanSeconds');
-    const timeSpanDecBtn = document.getElementById('chartTimeSpanDec');
-    const timeSpanIncBtn = document.getElementById('chartTimeSpanInc');
-
-    const updateTimeScale = () => {
-      const ticks = parseInt(sampleRateEl?.value ?? 160);
-      const mult = parseInt(timeSpanMultEl?.value ?? 250);
-      const ms = (ticks / 8) * mult;
-      if (timeSpanSecEl) timeSpanSecEl.textContent = (ms / 1000).toFixed(3);
-      this.chartManager.setTimeScale(ms);
-    };
+  /**
+   * Charts 탭/미니 차트와 별도로 FC 0x64 스트림을 일정 시간 수집
+   * (OS 테스트 hall_uvw_analysis 스텝 등에서 사용)
+   * @param {number} slaveId
+   * @param {number[]} chNums  최대 4개 (getChartChannels 의 chNum)
+   * @param {Object} [options]
+   * @param {number} [options.period=160]  FC 0x64 Period (1 unit = 125μs)
+   * @param {number} [options.durationMs=3000]
+   * @param {Function} [options.shouldStop]  true 반환 시 수집 중단
+   * @returns {Promise<{periodMs: number, channels: number[][]}>}
+   * @throws {Error} 미연결, Configure 응답 없음, 수집 중 스트림을 빼앗긴 경우
+   */
+  async captureContinuousSamples(
+      slaveId, chNums, {period = 160, durationMs = 3000, shouldStop} = {}) {
+    if (!this.writer && !this.simulatorEnabled) {
+      throw new Error('시리얼 포트가 연결되지 않았습니다');
+    }
 
-    if (sampleRateEl) sampleRateEl.addEventListener('change', updateTimeScale);
-    if (timeSpanMultEl)
-      timeSpanMultEl.addEventListener('input', updateTimeScale);
-    if (timeSpanDecBtn)
-      timeSpanDecBtn.addEventListener('click', () => {
-        if (timeSpanMultEl) {
-          timeSpanMultEl.value =
-              Math.max(10, parseInt(timeSpanMultEl.value) - 10);
-          updateTimeScale();
-        }
-      });
-    if (timeSpanIncBtn)
-      timeSpanIncBtn.addEventListener('click', () => {
-        if (timeSpanMultEl) {
-          timeSpanMultEl.value =
-              Math.min(10000, parseInt(timeSpanMultEl.value) + 10);
-          updateTimeScale();
-        }
-      });
-    updateTimeScale();
+    // 다른 FC64 스트림 정지
+    if (this.chartRunning) await this.stopChartCapture();
+    for (const [key, running] of Object.entries(this.miniChartRunning)) {
+      if (running) await this.stopMiniChart(key);
+    }
 
-    // X-Axis: Mode (Continuous / Trigger) — 기존 chartMode 로직 연결
-    const timeModeEl = document.getElementById('chartTimeBaseMode');
+    const CAPTURE_TYPE = 'capture';
+    this._fc64Busy = true;
+    while (this.isPolling) await this.delay(5);
 
-    // Continuous 모드는 최소 20ms (period=160) 까지만 허용. Trigger 모드는
-    // sub-ms 포함 전체 허용.
-    const CONTINUOUS_MIN_PERIOD = 160;
-    const applySampleRateConstraints = () => {
-      if (!sampleRateEl || !timeModeEl) return;
-      const isContinuous = timeModeEl.value === 'continuous';
-      let needReselect = false;
-      Array.from(sampleRateEl.options).forEach(opt => {
-        const tooFast =
-            isContinuous && parseInt(opt.value) < CONTINUOUS_MIN_PERIOD;
-        opt.disabled = tooFast;
-        opt.hidden = tooFast;
-        if (tooFast && opt.selected) needReselect = true;
-      });
-      if (needReselect) {
-        sampleRateEl.value = String(CONTINUOUS_MIN_PERIOD);
-        updateTimeScale();
-      }
-    };
-    applySampleRateConstraints();
+    const channelSlots = [...chNums];
+    while (channelSlots.length < 4) channelSlots.push(0xFF);
 
-    if (timeModeEl) {
-      timeModeEl.addEventListener('change', () => {
-        applySampleRateConstraints();
-        this.chartManager.setMode(timeModeEl.value);
-      });
+    await this.sendAndReceiveFC64(
+        this.modbus.buildContinuousStop(slaveId), 0x00, 300);
+    const configResp = await this.sendAndReceiveFC64(
+        this.modbus.buildContinuousConfigure(slaveId, period, channelSlots),
+        0x02, 1000);
+    if (!configResp) {
+      this._fc64Busy = false;
+      throw new Error('FC 0x64 Configure 실패: 디바이스 응답 없음');
     }
 
-    // Y-Axis: Auto 체크박스 + Min/Max 입력 → fixedYRange
-    for (let i = 0; i < 4; i++) {
-      const autoEl = document.getElementById(`chartCh${i + 1}Auto`);
-      const minEl = document.getElementById(`chartCh${i + 1}Min`);
-      const maxEl = document.getElementById(`chartCh${i + 1}Max`);
-      if (!autoEl || !minEl || !maxEl) continue;
+    this.miniChartRunning[CAPTURE_TYPE] = true;
+    this._fc64Busy = false;
 
-      const applyRange = () => {
-        if (autoEl.checked) {
-          this.chartManager.clearChannelYRange(i);
-          minEl.disabled = true;
-          maxEl.disabled = true;
-        } else {
-          minEl.disabled = false;
-          maxEl.disabled = false;
-          this.chartManager.setChannelYRange(
-              i, parseFloat(minEl.value) || -100,
-              parseFloat(maxEl.value) || 100);
+    const channels = chNums.map(() => []);
+    const deadline = Date.now() + durationMs;
+    let interrupted = false;
+    try {
+      while (Date.now() < deadline && !(shouldStop && shouldStop())) {
+        // stopMiniChart('capture') 등으로 스트림을 빼앗기면 이후 응답은
+        // 다른 채널 구성의 데이터이므로 수집을 중단한다
+        if (!this.miniChartRunning[CAPTURE_TYPE]) {
+          interrupted = true;
+          break;
         }
-      };
+        const response = await this.sendAndReceiveFC64(
+            this.modbus.buildContinuousRequest(slaveId), 0x03, 300);
+        const parsed =
+            response && this.modbus.parseContinuousDataResponse(response);
+        if (parsed && parsed.data.length > 0) {
+          const samplesPerCh = Math.floor(parsed.data.length / chNums.length);
+          for (let s = 0; s < samplesPerCh; s++) {
+            channels.forEach((samples, ci) => {
+              const val = parsed.data[ci * samplesPerCh + s];
+              if (val !== undefined) samples.push(val);
+            });
+          }
+        }
+        if (!parsed || parsed.status === 0x00) await this.delay(5);
+        if (this.commandQueue.length > 0) await this._drainCommandQueue();
+      }
+    } finally {
+      // 빼앗긴 경우 Stop 은 이미 전송됨 — 새 스트림을 끊지 않도록 생략
+      if (!interrupted) {
+        this._fc64Busy = true;
+        this.miniChartRunning[CAPTURE_TYPE] = false;
+        await this.sendAndReceiveFC64(
+            this.modbus.buildContinuousStop(slaveId), 0x00, 300);
+        this._fc64Busy = false;
+      }
+    }
 
-      autoEl.addEventListener('change', applyRange);
-      minEl.addEventListener('change', applyRange);
-      maxEl.addEventListener('change', applyRange);
+    if (interrupted) {
+      throw new Error('FC 0x64 수집 중단: 다른 차트가 스트림을 점유했습니다');
     }
+    return {periodMs: period * 0.125, channels};
   }
 
   /**
@@ -15467,11 +20813,30 @@ class ModbusDashboard {
    */
   async startChartCapture() {
     if (!this.chartManager) return;
+    if (this.miniChartRunning.capture) {
+      this.showToast('OS 테스트가 차트 데이터를 수집 중입니다. 완료 후 다시 시도해주세요.',
+                     'warning');
+      const startBtn = document.getElementById('chartStartBtn');
+      const stopBtn = document.getElementById('chartStopBtn');
+      if (startBtn) startBtn.disabled = false;
+      if (stopBtn) stopBtn.disabled = true;
+      return;
+    }
     if (this.chartManager.mode === 'trigger') {
-      await this.startTriggerCapture();
+      // 복합 조건: 단일 edge/pulse 는 H/W(FC 0x65), 그 외는 S/W(FC 0x64)
+      const complex = this.readComplexTriggerConfig();
+      if (complex.enabled && complex.conditions.length > 0) {
+        const hwTrigger = ComplexTrigger.toHardware(complex);
+        if (hwTrigger)
+          await this.startTriggerCapture(hwTrigger);
+        else
+          await this.startSoftwareTriggerCapture(complex);
+      } else {
+        await this.startTriggerCapture();
+      }
       return;
     }
-    if (!this.writer) {
+    if (!this.writer && !this.simulatorEnabled) {
       this.showToast('시리얼 포트가 연결되지 않았습니다', 'error');
       // Restore buttons
       const startBtn = document.getElementById('chartStartBtn');
@@ -15506,6 +20871,15 @@ class ModbusDashboard {
       return;
     }
 
+    // 장시간 기록: 파일 선택은 클릭 직후(사용자 제스처 유효 시간 내)에 받는다
+    const recordEnabled =
+        document.getElementById('chartRecordEnable')?.checked === true;
+    let recordFileHandle = null;
+    if (recordEnabled &&
+        document.getElementById('chartRecordToFile')?.checked === true) {
+      recordFileHandle = await this.pickChartRecordingFile();
+    }
+
     const slaveId =
         parseInt(document.getElementById('chartSlaveId')?.value) || 1;
     const period =
@@ -15513,6 +20887,7 @@ class ModbusDashboard {
 
     this.chartSlaveId = slaveId;
     this.chartConfiguredChannels = configuredChannels;
+    this.updateSpectrumSpeedSource();
     this.chartPeriodMs = period * 0.125;  // 1 unit = 125μs
     this.chartRunning = true;
     this.chartManager.clearData();
@@ -15546,6 +20921,10 @@ class ModbusDashboard {
       return;
     }
 
+    if (recordEnabled) {
+      await this.startChartRecording(configuredChannels, recordFileHandle);
+    }
+
     if (statusEl) statusEl.textContent = 'Running';
 
     // 데이터 루프 시작 (비동기, await 불필요)
@@ -15561,9 +20940,14 @@ class ModbusDashboard {
     let totalSamples = 0;
     let nextSampleTime =
         null;  // 누적 타임스탬프 카운터 (패킷 도착 시점과 무관)
+    // S/W 복합 트리거에 Alarm 조건이 있으면 FC64 요청 사이에 0x603F 폴링
+    const pollAlarm = this.chartSoftTrigger ?
+        ComplexTrigger.needsAlarm(this.chartSoftTrigger.trigger.config) :
+        false;
+    let lastAlarmRead = 0;
 
     while (this.chartRunning) {
-      if (!this.writer) {
+      if (!this.writer && !this.simulatorEnabled) {
         await this.delay(50);
         continue;
       }
@@ -15591,10 +20975,55 @@ class ModbusDashboard {
         // 누적 카운터 초기화 (첫 데이터 수신 시점 기준)
         if (nextSampleTime === null) nextSampleTime = Date.now();
 
+        // 장시간 기록 중: 메모리 대신 ChartRecorder 로 (시각 = 샘플 index ×
+        // 주기)
+        const recorder = this.chartRecorder?.readOnly === false ?
+            this.chartRecorder :
+            null;
+        // S/W 복합 트리거: 차트 대신 세그먼트 캡처로 (세그먼트 완성 시 표시)
+        const softTrigger = this.chartSoftTrigger;
+
         // 채널 우선(Channel-first) 순서: [CH1_s0, CH1_s1, ..., CH2_s0, CH2_s1,
         // ..., CH3_s0, ...] 타임스탬프를 패킷 도착 시점이 아닌 누적 카운터로
         // 할당 → Len 변동 시에도 연속성 보장
         for (let s = 0; s < samplesPerCh; s++) {
+          if (softTrigger) {
+            const values = [];
+            this.chartConfiguredChannels.forEach((ch, cfgIdx) => {
+              values[ch.chIdx] = parsed.data[cfgIdx * samplesPerCh + s];
+            });
+            softTrigger.push(
+                nextSampleTime + s * this.chartPeriodMs, values,
+                this.chartSoftTriggerAlarm);
+            totalSamples += numCh;
+            if (s === samplesPerCh - 1) {
+              this.chartConfiguredChannels.forEach(ch => {
+                const valueEl =
+                    document.getElementById(`chartCh${ch.chIdx + 1}Value`);
+                if (valueEl && values[ch.chIdx] !== undefined)
+                  valueEl.textContent = values[ch.chIdx].toFixed(3);
+              });
+            }
+            continue;
+          }
+
+          if (recorder) {
+            recorder.append(this.chartConfiguredChannels.map(
+                (ch, cfgIdx) => parsed.data[cfgIdx * samplesPerCh + s]));
+            totalSamples += numCh;
+            if (s === samplesPerCh - 1) {
+              this.chartConfiguredChannels.forEach((ch, cfgIdx) => {
+                const val = parsed.data[cfgIdx * samplesPerCh + s];
+                const valueEl =
+                    document.getElementById(`chartCh${ch.chIdx + 1}Value`);
+                if (valueEl && val !== undefined)
+                  valueEl.textContent = val.toFixed(3);
+              });
+            }
+            continue;
+          }
+
+
           const t = nextSampleTime + s * this.chartPeriodMs;
           this.chartConfiguredChannels.forEach((ch, cfgIdx) => {
             const val = parsed.data[cfgIdx * samplesPerCh + s];
@@ -15612,6 +21041,11 @@ class ModbusDashboard {
         }
         nextSampleTime += samplesPerCh * this.chartPeriodMs;
 
+        if (softTrigger && !softTrigger.done) {
+          this.chartManager.updateTriggerStatus(
+              softTrigger.collecting ? 'Triggered' : 'Armed');
+        }
+
         const sampleCountEl = document.getElementById('chartSampleCount');
         if (sampleCountEl) sampleCountEl.textContent = totalSamples;
       }
@@ -15619,6 +21053,17 @@ class ModbusDashboard {
       // Status=done이면 짧게 대기 후 재요청, stay이면 즉시 재요청
       if (parsed.status === 0x00) await this.delay(5);
 
+      if (pollAlarm && this.chartRunning &&
+          Date.now() - lastAlarmRead >= 200) {
+        lastAlarmRead = Date.now();
+        const alarmFrame =
+            this.modbus.buildCANopenUpload(slaveId, 0x603F, 0x00, 0, 2);
+        const result =
+            await this.sendCANopenAndWaitResponse(alarmFrame, slaveId);
+        if (result && !result.error && result.value != null)
+          this.chartSoftTriggerAlarm = result.value;
+      }
+
       // FC64 요청 사이에 대기 중인 큐 명령 소진 (버스 충돌 방지)
       if (this.commandQueue.length > 0) await this._drainCommandQueue();
     }
@@ -15641,12 +21086,13 @@ class ModbusDashboard {
     this.chartRunning = false;
     await this.delay(50);  // 루프 종료 대기
 
-    if (this.writer) {
+    if (this.writer || this.simulatorEnabled) {
       const stopFrame = this.modbus.buildContinuousStop(this.chartSlaveId || 1);
       await this.sendAndReceiveFC64(stopFrame, 0x00, 300);
     }
 
     this.chartManager.stopCapture();
+    await this.finishChartRecording();
 
     // 현재값 표시 리셋
     for (let i = 0; i < 4; i++) {
@@ -15661,12 +21107,33 @@ class ModbusDashboard {
   // ─────────────────────────────────────────────────────────
   //  FC 0x65 Trigger Capture
 
+  /** Chart 탭에서 활성화된 채널 슬롯 수집: [{ chIdx: 0~3, chNum: 0~254 }] */
+  getConfiguredChartSlots() {
+    const configuredChannels = [];
+    for (let i = 0; i < 4; i++) {
+      const enableEl = document.getElementById(`chartCh${i + 1}Enable`);
+      const triggerEl = document.getElementById(`chartCh${i + 1}Trigger`);
+      if (enableEl?.dataset.enabled === 'true') {
+        const chNum = parseInt(triggerEl?.dataset.selectedValue);
+        if (!isNaN(chNum) && chNum >= 0 && chNum <= 254) {
+          configuredChannels.push({chIdx: i, chNum});
+        }
+      }
+    }
+    return configuredChannels;
+  }
+
   /**
    * FC 0x65 Trigger 캡처 시작.
    * 1) Stop → Configure → Start/Poll → 데이터 수집 → 차트 렌더링 순서로 진행.
+   * 2) Normal 모드는 Stop 을 누를 때까지 다시 Configure(재무장)하며 세그먼트를
+   *    Triggered Date 목록에 쌓고, Single 모드는 첫 세그먼트에서 종료한다.
+   * @param {Object|null} hwTrigger - ComplexTrigger.toHardware() 결과. 지정 시
+   *     Source/Edge/Level 입력 대신 이 조건으로 설정하고, verify 이면 수신
+   *     버퍼를 복합 조건으로 재검증해 맞지 않는 세그먼트는 버린다.
    */
-  async startTriggerCapture() {
-    if (!this.writer) {
+  async startTriggerCapture(hwTrigger = null) {
+    if (!this.writer && !this.simulatorEnabled) {
       this.showToast('시리얼 포트가 연결되지 않았습니다', 'error');
       this._restoreChartButtons();
       return;
@@ -15676,17 +21143,7 @@ class ModbusDashboard {
     while (this.isPolling) await this.delay(5);
 
     // 활성화된 채널 수집
-    const configuredChannels = [];
-    for (let i = 0; i < 4; i++) {
-      const enableEl = document.getElementById(`chartCh${i + 1}Enable`);
-      const triggerEl = document.getElementById(`chartCh${i + 1}Trigger`);
-      if (enableEl?.dataset.enabled === 'true') {
-        const chNum = parseInt(triggerEl?.dataset.selectedValue);
-        if (!isNaN(chNum) && chNum >= 0 && chNum <= 254) {
-          configuredChannels.push({chIdx: i, chNum});
-        }
-      }
-    }
+    const configuredChannels = this.getConfiguredChartSlots();
 
     if (configuredChannels.length === 0) {
       this.showToast('활성화된 채널이 없습니다 (Ch# 1~254 범위 확인)', 'error');
@@ -15705,16 +21162,16 @@ class ModbusDashboard {
         Math.max(
             256,
             parseInt(document.getElementById('triggerNumData')?.value ?? 512)));
-    const level =
+    let level =
         parseFloat(document.getElementById('triggerLevel')?.value ?? 0);
     const edgeStr = document.getElementById('triggerEdge')?.value ?? 'rising';
-    const edge = edgeStr === 'falling' ? 1 : 0;  // 0=Rising, 1=Falling
+    let edge = edgeStr === 'falling' ? 1 : 0;  // 0=Rising, 1=Falling
 
     // 트리거 소스 채널: 피커에서 읽은 chNum (0xFF=Immediate, 그 외=Chart
     // Channel)
     const pickerBtn = document.getElementById('triggerSourcePicker');
     const pickerVal = parseInt(pickerBtn?.dataset.selectedValue ?? 255);
-    const sourceSelect =
+    let sourceSelect =
         (!isNaN(pickerVal) && pickerVal >= 0 && pickerVal <= 255) ? pickerVal :
                                                                     0xFF;
 
@@ -15724,115 +21181,300 @@ class ModbusDashboard {
       chSel4[c.chIdx] = c.chNum;
     });
 
+    // 복합 조건 → H/W 매핑: 소스는 조건 채널 슬롯에 설정된 Ch#
+    if (hwTrigger) {
+      if (chSel4[hwTrigger.channel] === 0xFF) {
+        this.showToast(
+            `트리거 조건 채널 CH${hwTrigger.channel + 1}이(가) 활성화되어 있지 않습니다`,
+            'error');
+        this._restoreChartButtons();
+        return;
+      }
+      sourceSelect = chSel4[hwTrigger.channel];
+      edge = hwTrigger.edge === 'falling' ? 1 : 0;
+      level = hwTrigger.level;
+    }
+    const verifyConfig =
+        hwTrigger?.verify ? this.readComplexTriggerConfig() : null;
+    const singleShot =
+        document.querySelector('input[name="triggerMode"]:checked')?.value ===
+        'single';
+
     this.triggerRunning = true;
     this.chartSlaveId = slaveId;
     this.chartManager.clearData();
+    this.clearTriggerSegments();
 
-    this.chartManager.updateStatus('Configuring...');
-    this.chartManager.updateTriggerStatus('Waiting');
+    const periodMs = period * 0.125;
+    const preTriggerSamples = Math.round(numOfData * position / 100);
+    let captured = 0;
+    let rejected = 0;
 
-    // ── 1. Stop (이전 세션 초기화) ──────────────────────────
-    const stopFrame = this.modbus.buildTriggerStop(slaveId);
-    await this.sendAndReceiveFC65(stopFrame, 0x00, 300);
+    while (this.triggerRunning) {
+      this.chartManager.updateStatus('Configuring...');
+      this.chartManager.updateTriggerStatus('Waiting');
 
-    // ── 2. Configure ────────────────────────────────────────
-    const configFrame = this.modbus.buildTriggerConfigure(
-        slaveId, period, chSel4, sourceSelect, edge, position, level,
-        numOfData);
-    const configResp = await this.sendAndReceiveFC65(configFrame, 0x02, 1000);
-    if (!configResp) {
-      this.showToast('Trigger Configure 실패: 디바이스 응답 없음', 'error');
-      this.triggerRunning = false;
-      this.chartManager.updateStatus('Stopped');
-      this._restoreChartButtons();
-      return;
-    }
+      // ── 1. Stop (이전 세션 초기화) ──────────────────────────
+      const stopFrame = this.modbus.buildTriggerStop(slaveId);
+      await this.sendAndReceiveFC65(stopFrame, 0x00, 300);
 
-    this.chartManager.updateStatus('Armed');
-    this.chartManager.updateTriggerStatus('Armed');
+      // ── 2. Configure ────────────────────────────────────────
+      const configFrame = this.modbus.buildTriggerConfigure(
+          slaveId, period, chSel4, sourceSelect, edge, position, level,
+          numOfData);
+      const configResp =
+          await this.sendAndReceiveFC65(configFrame, 0x02, 1000);
+      if (!configResp) {
+        this.showToast('Trigger Configure 실패: 디바이스 응답 없음', 'error');
+        this.triggerRunning = false;
+        this.chartManager.updateStatus('Stopped');
+        this._restoreChartButtons();
+        return;
+      }
 
-    // ── 3. Start + Poll (트리거 대기) ───────────────────────
-    let triggered = false;
-    while (this.triggerRunning) {
-      const pollFrame = this.modbus.buildTriggerStartPoll(slaveId);
-      const pollResp = await this.sendAndReceiveFC65(pollFrame, 0x01, 500);
+      this.chartManager.updateStatus(
+          captured + rejected > 0 ? `Armed (#${captured + 1})` : 'Armed');
+      this.chartManager.updateTriggerStatus('Armed');
 
-      if (!this.triggerRunning) break;  // 사용자가 Stop 누름
+      // ── 3. Start + Poll (트리거 대기) ───────────────────────
+      let triggered = false;
+      while (this.triggerRunning) {
+        const pollFrame = this.modbus.buildTriggerStartPoll(slaveId);
+        const pollResp = await this.sendAndReceiveFC65(pollFrame, 0x01, 500);
 
-      if (pollResp) {
-        const parsed = this.modbus.parseTriggerStatusResponse(pollResp);
-        if (parsed?.status === 1) {
-          triggered = true;
-          break;
+        if (!this.triggerRunning) break;  // 사용자가 Stop 누름
+
+        if (pollResp) {
+          const parsed = this.modbus.parseTriggerStatusResponse(pollResp);
+          if (parsed?.status === 1) {
+            triggered = true;
+            break;
+          }
+        }
+        await this.delay(200);  // 200ms 간격으로 폴링
+      }
+
+      if (!triggered || !this.triggerRunning) {
+        // 사용자 취소
+        const abortFrame = this.modbus.buildTriggerStop(slaveId);
+        await this.sendAndReceiveFC65(abortFrame, 0x00, 300);
+        this.triggerRunning = false;
+        this.chartManager.updateStatus(
+            captured > 0 ? `Stopped (${captured} captured)` : 'Stopped');
+        this.chartManager.updateTriggerStatus('Waiting');
+        this._restoreChartButtons();
+        return;
+      }
+
+      this.chartManager.updateTriggerStatus('Triggered');
+      this.chartManager.updateStatus('Download 0%');
+
+      // ── 4. 데이터 수집 (채널별 순차) ────────────────────────
+      const channelData = {};  // chIdx → float[]
+      const totalWork = configuredChannels.length * numOfData;
+
+      for (let chI = 0; chI < configuredChannels.length; chI++) {
+        const {chIdx} = configuredChannels[chI];
+        const samples = [];
+        let startAddr = 0;
+
+        while (startAddr < numOfData) {
+          const reqFrame =
+              this.modbus.buildTriggerDataRequest(slaveId, chIdx, startAddr);
+          const resp = await this.sendAndReceiveFC65(reqFrame, 0x03, 500);
+
+          if (!resp) {
+            this.showToast(
+                `CH${chIdx + 1} 데이터 수신 실패 (addr=${startAddr})`,
+                'warning');
+            break;
+          }
+
+          const parsed = this.modbus.parseTriggerDataResponse(resp);
+          if (!parsed || parsed.length === 0) break;
+
+          samples.push(...parsed.data);
+          startAddr += parsed.length;
+
+          const pct = Math.min(
+              99,
+              Math.round((chI * numOfData + startAddr) / totalWork * 100));
+          this.chartManager.updateStatus(`Download ${pct}%`);
+
+          if (parsed.length < 14) break;  // 마지막 패킷 (end-of-data)
         }
+
+        channelData[chIdx] = samples;
+      }
+
+      // ── 5. Stop ─────────────────────────────────────────────
+      const finalStop = this.modbus.buildTriggerStop(slaveId);
+      await this.sendAndReceiveFC65(finalStop, 0x00, 300);
+
+      // ── 6. 펄스 폭 조건 재검증 (H/W 는 펄스 시작 에지로만 트리거) ──
+      if (verifyConfig &&
+          ComplexTrigger.verify(
+              verifyConfig, channelData, periodMs, preTriggerSamples) < 0) {
+        rejected++;
+        this.chartManager.updateStatus(`Rejected ${rejected}`);
+        continue;
       }
-      await this.delay(200);  // 200ms 간격으로 폴링
+
+      // ── 7. 세그먼트 추가 + 차트 렌더링 ──────────────────────
+      captured++;
+      this.addTriggerSegment({
+        date: new Date(),
+        channelData,
+        periodMs,
+        preTriggerSamples,
+        numOfData
+      });
+
+      if (singleShot) break;
     }
 
-    if (!triggered || !this.triggerRunning) {
-      // 사용자 취소
-      const abortFrame = this.modbus.buildTriggerStop(slaveId);
-      await this.sendAndReceiveFC65(abortFrame, 0x00, 300);
-      this.triggerRunning = false;
-      this.chartManager.updateStatus('Stopped');
-      this.chartManager.updateTriggerStatus('Waiting');
+    this.triggerRunning = false;
+    this.chartManager.updateStatus('Done');
+    this._restoreChartButtons();
+  }
+
+  /**
+   * S/W 복합 트리거 캡처 시작.
+   * FC 0x64 연속 스트림을 받아 chartDataLoop 에서 샘플 행마다 ComplexTrigger 로
+   * 판정하고, Position/Samples 설정대로 트리거 전후 구간을 세그먼트로 자른다.
+   * 연속 스트림이므로 샘플 주기는 Continuous 모드와 같이 20ms 이상으로 제한.
+   * @param {Object} config - ComplexTrigger 설정 (readComplexTriggerConfig)
+   */
+  async startSoftwareTriggerCapture(config) {
+    if (!this.writer && !this.simulatorEnabled) {
+      this.showToast('시리얼 포트가 연결되지 않았습니다', 'error');
       this._restoreChartButtons();
       return;
     }
 
-    this.chartManager.updateTriggerStatus('Triggered');
-    this.chartManager.updateStatus('Download 0%');
+    // 진행 중인 폴링 사이클 완료 대기
+    while (this.isPolling) await this.delay(5);
 
-    // ── 4. 데이터 수집 (채널별 순차) ────────────────────────
-    const periodMs = period * 0.125;
-    const preTriggerSamples = Math.round(numOfData * position / 100);
-    const channelData = {};  // chIdx → float[]
-    const totalWork = configuredChannels.length * numOfData;
+    const configuredChannels = this.getConfiguredChartSlots();
+    if (configuredChannels.length === 0) {
+      this.showToast('활성화된 채널이 없습니다 (Ch# 1~254 범위 확인)', 'error');
+      this._restoreChartButtons();
+      return;
+    }
 
-    for (let chI = 0; chI < configuredChannels.length; chI++) {
-      const {chIdx, chNum} = configuredChannels[chI];
-      const samples = [];
-      let startAddr = 0;
+    const trigger = new ComplexTrigger(config);
+    const missing = trigger.config.conditions.filter(
+        c => c.type !== 'alarm' &&
+            !configuredChannels.some(ch => ch.chIdx === c.channel));
+    if (missing.length > 0) {
+      this.showToast(
+          `트리거 조건 채널 ${
+              missing.map(c => `CH${c.channel + 1}`)
+                  .join(', ')}이(가) 활성화되어 있지 않습니다`,
+          'error');
+      this._restoreChartButtons();
+      return;
+    }
 
-      while (startAddr < numOfData) {
-        const reqFrame =
-            this.modbus.buildTriggerDataRequest(slaveId, chIdx, startAddr);
-        const resp = await this.sendAndReceiveFC65(reqFrame, 0x03, 500);
+    const slaveId =
+        parseInt(document.getElementById('chartSlaveId')?.value) || 1;
+    let period =
+        parseInt(document.getElementById('chartSampleRate')?.value) || 1600;
+    if (period < 160) {  // Continuous 모드 최소 주기 (20ms)
+      period = 160;
+      this.showToast(
+          'S/W 트리거는 연속 스트림을 사용하므로 샘플 주기를 20ms 로 제한합니다',
+          'warning');
+    }
+    const position =
+        parseInt(document.getElementById('triggerPosition')?.value ?? 25);
+    const numOfData = Math.min(
+        1024,
+        Math.max(
+            256,
+            parseInt(document.getElementById('triggerNumData')?.value ?? 512)));
+    const preSamples = Math.round(numOfData * position / 100);
+    const singleShot =
+        document.querySelector('input[name="triggerMode"]:checked')?.value ===
+        'single';
 
-        if (!resp) {
-          this.showToast(
-              `CH${chIdx + 1} 데이터 수신 실패 (addr=${startAddr})`, 'warning');
-          break;
+    this.chartSlaveId = slaveId;
+    this.chartConfiguredChannels = configuredChannels;
+    this.chartPeriodMs = period * 0.125;  // 1 unit = 125μs
+    this.chartManager.clearData();
+    this.clearTriggerSegments();
+    this.chartSoftTriggerAlarm = null;
+
+    const capture = new TriggerSegmentCapture({
+      trigger,
+      slots: configuredChannels.map(c => c.chIdx),
+      preSamples,
+      postSamples: numOfData - preSamples,
+      maxSegments: singleShot ? 1 : 0,
+      onSegment: (segment) => {
+        this.addTriggerSegment({...segment, periodMs: this.chartPeriodMs});
+        if (capture.done) {
+          this.stopSoftwareTriggerCapture().then(
+              () => this._restoreChartButtons());
         }
+      }
+    });
+    this.chartSoftTrigger = capture;
+    this.chartRunning = true;
 
-        const parsed = this.modbus.parseTriggerDataResponse(resp);
-        if (!parsed || parsed.length === 0) break;
-
-        samples.push(...parsed.data);
-        startAddr += parsed.length;
+    this.chartManager.updateStatus('Configuring...');
+    this.chartManager.updateTriggerStatus('Waiting');
 
-        const pct = Math.min(
-            99, Math.round((chI * numOfData + startAddr) / totalWork * 100));
-        this.chartManager.updateStatus(`Download ${pct}%`);
+    // 이전 스트리밍 상태 초기화: Stop 먼저 전송
+    const stopFrame = this.modbus.buildContinuousStop(slaveId);
+    await this.sendAndReceiveFC64(stopFrame, 0x00, 300);
 
-        if (parsed.length < 14) break;  // 마지막 패킷 (end-of-data)
-      }
+    const channelSlots = [0xFF, 0xFF, 0xFF, 0xFF];
+    configuredChannels.forEach(c => {
+      channelSlots[c.chIdx] = c.chNum;
+    });
+    const configFrame =
+        this.modbus.buildContinuousConfigure(slaveId, period, channelSlots);
+    const configResp = await this.sendAndReceiveFC64(configFrame, 0x02, 1000);
 
-      channelData[chIdx] = samples;
+    if (!configResp) {
+      this.showToast('Configure 실패: 디바이스 응답 없음', 'error');
+      this.chartRunning = false;
+      this.chartSoftTrigger = null;
+      this.chartManager.updateStatus('Stopped');
+      this._restoreChartButtons();
+      return;
     }
 
-    // ── 5. Stop ─────────────────────────────────────────────
-    const finalStop = this.modbus.buildTriggerStop(slaveId);
-    await this.sendAndReceiveFC65(finalStop, 0x00, 300);
+    this.chartManager.updateStatus('Armed (S/W)');
+    this.chartManager.updateTriggerStatus('Armed');
 
-    this.triggerRunning = false;
+    // 데이터 루프 시작 (비동기, await 불필요)
+    this.chartDataLoop();
+  }
 
-    // ── 6. 차트 렌더링 ───────────────────────────────────────
-    this.chartManager.loadTriggerData(
-        channelData, periodMs, preTriggerSamples, numOfData);
+  /** S/W 복합 트리거 캡처 정지 — FC 0x64 스트림 Stop */
+  async stopSoftwareTriggerCapture() {
+    const capture = this.chartSoftTrigger;
+    if (!capture) return;
+    this.chartRunning = false;
+    await this.delay(50);  // 루프 종료 대기
 
-    this.chartManager.updateStatus('Done');
-    this._restoreChartButtons();
+    if (this.writer || this.simulatorEnabled) {
+      const stopFrame = this.modbus.buildContinuousStop(this.chartSlaveId || 1);
+      await this.sendAndReceiveFC64(stopFrame, 0x00, 300);
+    }
+    if (this.chartSoftTrigger === capture) this.chartSoftTrigger = null;
+
+    this.chartManager.updateTriggerStatus('Waiting');
+    this.chartManager.updateStatus(
+        capture.segmentCount > 0 ? `Done (${capture.segmentCount} captured)` :
+                                   'Stopped');
+
+    for (let i = 0; i < 4; i++) {
+      const el = document.getElementById(`chartCh${i + 1}Value`);
+      if (el) el.textContent = '--';
+    }
   }
 
   /**
@@ -15841,10 +21483,15 @@ class ModbusDashboard {
    * 프레임을 전송한다.
    */
   async stopTriggerCapture() {
+    if (this.chartSoftTrigger) {
+      await this.stopSoftwareTriggerCapture();
+      return;
+    }
+
     this.triggerRunning = false;
     await this.delay(100);  // 루프 종료 대기
 
-    if (this.writer) {
+    if (this.writer || this.simulatorEnabled) {
       const stopFrame = this.modbus.buildTriggerStop(this.chartSlaveId || 1);
       await this.sendAndReceiveFC65(stopFrame, 0x00, 300);
     }
@@ -15869,6 +21516,277 @@ class ModbusDashboard {
     if (stopBtn) stopBtn.disabled = true;
   }
 
+  // ─────────────────────────────────────────────────────────
+  //  Complex trigger 조건 편집 / Triggered Date 세그먼트 목록
+
+  /** Triggered Date 목록에 보관할 최대 세그먼트 수 (오래된 것부터 삭제) */
+  static TRIGGER_SEGMENT_LIMIT = 100;
+
+  initChartComplexTrigger() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem('chartComplexTrigger') || '{}');
+    } catch (e) {
+      saved = {};
+    }
+    const config = ComplexTrigger.normalize(saved);
+    this.triggerConditions = config.conditions;
+
+    const enableEl = document.getElementById('triggerComplexEnable');
+    const logicEl = document.getElementById('triggerCondLogic');
+    const occurrenceEl = document.getElementById('triggerCondOccurrence');
+    const holdoffEl = document.getElementById('triggerCondHoldoff');
+    if (enableEl) enableEl.checked = saved.enabled === true;
+    if (logicEl) logicEl.value = config.logic;
+    if (occurrenceEl) occurrenceEl.value = config.occurrence;
+    if (holdoffEl) holdoffEl.value = config.holdoffMs;
+
+    [enableEl, logicEl, occurrenceEl, holdoffEl].forEach(
+        el => el?.addEventListener('change', () => {
+          this.saveComplexTriggerConfig();
+          this.renderTriggerConditions();
+        }));
+
+    document.getElementById('triggerCondType')
+        ?.addEventListener('change', () => this.updateTriggerCondForm());
+    document.getElementById('triggerCondCompare')
+        ?.addEventListener('change', () => this.updateTriggerCondForm(false));
+    document.getElementById('triggerCondAddBtn')
+        ?.addEventListener('click', () => this.addTriggerCondition());
+
+    document.getElementById('triggerCondList')
+        ?.addEventListener('click', (e) => {
+          const btn = e.target.closest('.chart-math-remove');
+          const row = e.target.closest('[data-cond-index]');
+          if (btn && row)
+            this.removeTriggerCondition(parseInt(row.dataset.condIndex));
+        });
+
+    document.getElementById('triggerDateList')
+        ?.addEventListener('click', (e) => {
+          const row = e.target.closest('tr[data-seg-index]');
+          if (row) this.showTriggerSegment(parseInt(row.dataset.segIndex));
+        });
+
+    this.updateTriggerCondForm();
+    this.renderTriggerConditions();
+  }
+
+  /** 조건 유형에 따라 Option/Compare 목록과 파라미터 라벨·활성화 갱신 */
+  updateTriggerCondForm(resetOptions = true) {
+    const type = document.getElementById('triggerCondType')?.value || 'edge';
+    const optionEl = document.getElementById('triggerCondOption');
+    const compareEl = document.getElementById('triggerCondCompare');
+    const toOptions = (list) =>
+        list.map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+
+    if (resetOptions) {
+      const options = {
+        edge: [['rising', 'Rising ↑'], ['falling', 'Falling ↓'], ['both', 'Both ↕']],
+        window: [['inside', 'Inside'], ['outside', 'Outside']],
+        pulse: [['high', 'High pulse'], ['low', 'Low pulse']],
+        alarm: []
+      }[type];
+      if (optionEl) {
+        optionEl.innerHTML = toOptions(options);
+        optionEl.disabled = options.length === 0;
+      }
+      if (compareEl) {
+        compareEl.innerHTML = type === 'pulse' ?
+            toOptions([
+              ['longer', 'Longer than'], ['shorter', 'Shorter than'],
+              ['between', 'Between']
+            ]) :
+            '';
+        compareEl.hidden = type !== 'pulse';
+      }
+    }
+
+    const compare = compareEl?.value;
+    const labels = {
+      edge: ['Level', '-', '-'],
+      window: ['Low', 'High', '-'],
+      pulse: [
+        'Level', compare !== 'shorter' ? 'Min (ms)' : '-',
+        compare !== 'longer' ? 'Max (ms)' : '-'
+      ],
+      alarm: ['From', 'To', '-']
+    }[type];
+    labels.forEach((label, k) => {
+      const labelEl = document.getElementById(`triggerCondP${k}Label`);
+      const inputEl = document.getElementById(`triggerCondP${k}`);
+      if (labelEl) labelEl.textContent = label;
+      if (!inputEl) return;
+      inputEl.disabled = label === '-';
+      // 알람 코드는 0x 접두 16진수 입력 허용, 비워 두면 임의 값
+      inputEl.type = type === 'alarm' ? 'text' : 'number';
+      inputEl.placeholder = type === 'alarm' ? '* (0x..)' : '';
+    });
+
+    const channelEl = document.getElementById('triggerCondChannel');
+    if (channelEl) channelEl.disabled = type === 'alarm';
+  }
+
+  addTriggerCondition() {
+    const type = document.getElementById('triggerCondType')?.value || 'edge';
+    const option = document.getElementById('triggerCondOption')?.value;
+    const compare = document.getElementById('triggerCondCompare')?.value;
+    const text = (k) =>
+        document.getElementById(`triggerCondP${k}`)?.value.trim() ?? '';
+    const value = (k) => parseFloat(text(k));
+
+    const raw = {
+      type,
+      channel: parseInt(document.getElementById('triggerCondChannel')?.value)
+    };
+    let required = [];
+    if (type === 'edge') {
+      Object.assign(raw, {edge: option, level: value(0)});
+      required = [raw.level];
+    } else if (type === 'window') {
+      Object.assign(raw, {mode: option, low: value(0), high: value(1)});
+      required = [raw.low, raw.high];
+    } else if (type === 'pulse') {
+      Object.assign(raw, {
+        polarity: option,
+        compare,
+        level: value(0),
+        minMs: value(1),
+        maxMs: value(2)
+      });
+      required = [
+        raw.level, ...(compare !== 'shorter' ? [raw.minMs] : []),
+        ...(compare !== 'longer' ? [raw.maxMs] : [])
+      ];
+    } else {
+      const code = (k) => text(k) === '' ? null : parseInt(text(k));
+      Object.assign(raw, {from: code(0), to: code(1)});
+      required = [raw.from ?? 0, raw.to ?? 0];
+    }
+
+    if (required.some(isNaN)) {
+      this.showToast('조건 파라미터를 입력하세요', 'warning');
+      return;
+    }
+
+    const [cond] = ComplexTrigger.normalize({conditions: [raw]}).conditions;
+    if (!cond) return;
+    this.triggerConditions = [...this.triggerConditions, cond];
+    this.saveComplexTriggerConfig();
+    this.renderTriggerConditions();
+  }
+
+  removeTriggerCondition(index) {
+    this.triggerConditions = this.triggerConditions.filter((_, i) => i !== index);
+    this.saveComplexTriggerConfig();
+    this.renderTriggerConditions();
+  }
+
+  /** Trigger 탭 입력 + 조건 목록 → ComplexTrigger 설정 (enabled 포함) */
+  readComplexTriggerConfig() {
+    return {
+      enabled: document.getElementById('triggerComplexEnable')?.checked === true,
+      logic: document.getElementById('triggerCondLogic')?.value,
+      occurrence:
+          parseInt(document.getElementById('triggerCondOccurrence')?.value) || 1,
+      holdoffMs:
+          parseFloat(document.getElementById('triggerCondHoldoff')?.value) || 0,
+      conditions: this.triggerConditions
+    };
+  }
+
+  saveComplexTriggerConfig() {
+    localStorage.setItem(
+        'chartComplexTrigger', JSON.stringify(this.readComplexTriggerConfig()));
+  }
+
+  renderTriggerConditions() {
+    const listEl = document.getElementById('triggerCondList');
+    if (listEl) {
+      listEl.innerHTML = this.triggerConditions.length === 0 ?
+          '<span class="chart-tab-hint">정의된 조건이 없습니다.</span>' :
+          this.triggerConditions
+              .map((cond, i) => `
+        <div class="chart-math-row" data-cond-index="${i}">
+          <span class="chart-math-name">${COMPLEX_TRIGGER_TYPES[cond.type].label}</span>
+          <span class="chart-math-formula">${ComplexTrigger.describe(cond)}</span>
+          <button class="chart-tool-btn chart-math-remove" title="삭제">✕</button>
+        </div>`).join('');
+    }
+
+    // 실행 경로 표시: H/W(FC 0x65) 로 옮길 수 있는지
+    const targetEl = document.getElementById('triggerCondTarget');
+    if (!targetEl) return;
+    const config = this.readComplexTriggerConfig();
+    if (!config.enabled || config.conditions.length === 0) {
+      targetEl.textContent = '→ Source / Edge / Level 설정으로 H/W 트리거 (FC 0x65)';
+      targetEl.className = 'trigger-cond-target';
+      return;
+    }
+    const hw = ComplexTrigger.toHardware(config);
+    targetEl.textContent = hw ?
+        `→ H/W 트리거 (FC 0x65)${hw.verify ? ' + 수신 버퍼 펄스 폭 재검증' : ''}` :
+        '→ S/W 트리거 (FC 0x64 연속 스트림, 샘플 주기 ≥ 20ms)';
+    targetEl.className = `trigger-cond-target ${hw ? 'hw' : 'sw'}`;
+  }
+
+  /**
+   * 캡처한 트리거 세그먼트를 목록에 추가하고 차트에 표시.
+   * @param {{date: Date, channelData: Object, periodMs: number,
+   *     preTriggerSamples: number, numOfData: number}} segment
+   */
+  addTriggerSegment(segment) {
+    const last = this.triggerSegments[this.triggerSegments.length - 1];
+    this.triggerSegments.push({...segment, no: (last?.no ?? 0) + 1});
+    if (this.triggerSegments.length > ModbusDashboard.TRIGGER_SEGMENT_LIMIT) {
+      this.triggerSegments.shift();
+    }
+    this.showTriggerSegment(this.triggerSegments.length - 1);
+  }
+
+  clearTriggerSegments() {
+    this.triggerSegments = [];
+    this.triggerSegmentIndex = -1;
+    this.renderTriggerSegments();
+  }
+
+  /** 목록의 세그먼트를 차트에 로드 (t=0 = 트리거 시점) */
+  showTriggerSegment(index) {
+    const segment = this.triggerSegments[index];
+    if (!segment) return;
+    this.triggerSegmentIndex = index;
+    this.chartManager.loadTriggerData(
+        segment.channelData, segment.periodMs, segment.preTriggerSamples,
+        segment.numOfData);
+
+    // "Show charts by FFT" → 캡처 결과를 스펙트럼으로 표시
+    if (document.getElementById('triggerShowFFT')?.checked) {
+      const spectrumEl = document.getElementById('chartSpectrumEnable');
+      if (spectrumEl) spectrumEl.checked = true;
+      this.updateSpectrumSpeedSource();
+      this.chartManager.setViewMode('spectrum');
+    }
+    this.renderTriggerSegments();
+  }
+
+  renderTriggerSegments() {
+    const listEl = document.getElementById('triggerDateList');
+    if (!listEl) return;
+    // 최신 세그먼트를 위에 표시
+    listEl.innerHTML = this.triggerSegments
+                           .map((segment, i) => {
+                             const cls =
+                                 i === this.triggerSegmentIndex ? 'selected' : '';
+                             const time =
+                                 this.formatMonitorTime(segment.date.getTime());
+                             return `<tr data-seg-index="${i}" class="${
+                                 cls}"><td>${segment.no}</td><td>${time}</td></tr>`;
+                           })
+                           .reverse()
+                           .join('');
+  }
+
   // ─────────────────────────────────────────────────────────
   //  Mini Chart — HW Overview 인라인 차트
   // ─────────────────────────────────────────────────────────
@@ -15987,7 +21905,7 @@ class ModbusDashboard {
   }
 
   async startMiniChart(type) {
-    if (!this.writer) {
+    if (!this.writer && !this.simulatorEnabled) {
       this.showToast('시리얼 포트가 연결되지 않았습니다', 'error');
       return;
     }
@@ -15995,6 +21913,11 @@ class ModbusDashboard {
       this.showToast('Chart 탭이 실행 중입니다. 먼저 중지해주세요.', 'warning');
       return;
     }
+    if (this.miniChartRunning.capture) {
+      this.showToast('OS 테스트가 차트 데이터를 수집 중입니다. 완료 후 다시 시도해주세요.',
+                     'warning');
+      return;
+    }
     // 다른 미니 차트가 실행 중이면 먼저 중지
     for (const [key, running] of Object.entries(this.miniChartRunning)) {
       if (key !== type && running) await this.stopMiniChart(key);
@@ -16100,7 +22023,7 @@ class ModbusDashboard {
         type === 'current' ? ['ov-iu-rms', 'ov-iv-rms', 'ov-iw-rms'] : null;
 
     while (this.miniChartRunning[type]) {
-      if (!this.writer) {
+      if (!this.writer && !this.simulatorEnabled) {
         await this.delay(50);
         continue;
       }
@@ -16229,7 +22152,7 @@ class ModbusDashboard {
     // 진행 중인 FC64 콜백이 일반 폴링 버퍼를 오염시키지 않도록 즉시 제거
     this._serialDataCb = null;
     await this.delay(50);
-    if (this.writer) {
+    if (this.writer || this.simulatorEnabled) {
       const slaveId = this._getMiniChartSlaveId();
       const stopFrame = this.modbus.buildContinuousStop(slaveId);
       await this.sendAndReceiveFC64(stopFrame, 0x00, 300);
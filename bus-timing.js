@@ -0,0 +1,394 @@
+/**
+ * BusTimingAnalyzer — 통신 모니터 기록으로 RS-485 버스 타이밍을 분석하는 모듈
+ *
+ * 입력은 MonitorCapture 레코드 { t, dir: 'tx'|'rx'|'error'|'system', bytes, text, errorMsg }
+ * (라이브 항목은 MonitorCapture.toRecord() 로 변환). 타임스탬프는 모니터 기록 시각
+ * (Date.now(), 1ms 해상도) 이므로 프레임 간격은 추정치다.
+ *
+ *   TX 로그 시각 ≈ 요청 송신 시작, RX 로그 시각 ≈ 응답 수신 완료
+ *
+ * 분석 항목:
+ *   - Slave 별 응답 지연 (TX → 같은 Slave 의 RX) min/avg/p95/max + 히스토그램
+ *   - 타임아웃 (응답 없이 다음 TX 또는 timeout 로그) 과 재시도 (실패 직후 같은 프레임 재전송)
+ *   - 프레임 간격 vs 3.5 문자 시간 (19200bps 초과는 사양대로 1.75ms 고정)
+ *       master gap : 응답 수신 완료 → 다음 요청 송신 시작
+ *       turnaround : 요청 송신 완료 → 응답 송신 시작 (= 지연 − TX/RX 프레임 전송 시간)
+ *   - 시간대별 요청/타임아웃/재시도/평균 지연 (timeline)
+ *   - 지연 드리프트: 앞 1/4 구간 대비 뒤 1/4 구간 지연 중앙값 증가
+ *
+ * 사용 예:
+ *   const records = monitorEntries.map(e => MonitorCapture.toRecord(e));
+ *   const result = BusTimingAnalyzer.analyze(records, { baudRate: 19200, bitsPerChar: 11 });
+ *   BusTimingAnalyzer.drawHistogram(canvas, result.slaves[0]);
+ *   BusTimingAnalyzer.drawTimeline(canvas, result.timeline);
+ */
+window.BusTimingAnalyzer = {
+
+    /**
+     * 1 문자 비트 수 (Start 1 + Data + Parity + Stop)
+     *
+     * @param {{dataBits?: number, parity?: string, stopBits?: number}} serial
+     */
+    bitsPerChar({ dataBits = 8, parity = 'even', stopBits = 1 } = {}) {
+        return 1 + dataBits + (parity === 'none' ? 0 : 1) + stopBits;
+    },
+
+    /** Modbus RTU t3.5 (ms) — 19200bps 초과 시 1.75ms 고정 */
+    t35Ms(baudRate, bitsPerChar = 11) {
+        return baudRate > 19200 ? 1.75 : 3.5 * bitsPerChar * 1000 / baudRate;
+    },
+
+    percentile(sorted, p) {
+        if (sorted.length === 0) return null;
+        const rank = Math.ceil(p / 100 * sorted.length) - 1;
+        return sorted[Math.min(sorted.length - 1, Math.max(0, rank))];
+    },
+
+    median(values) {
+        return this.percentile([...values].sort((a, b) => a - b), 50);
+    },
+
+    /** 1·2·5 × 10^n 눈금 간격 */
+    niceStep(raw) {
+        if (!(raw > 0)) return 1;
+        const exp = Math.pow(10, Math.floor(Math.log10(raw)));
+        const f = raw / exp;
+        return (f <= 1 ? 1 : f <= 2 ? 2 : f <= 5 ? 5 : 10) * exp;
+    },
+
+    /**
+     * 값 분포 히스토그램
+     *
+     * @param {number[]} values
+     * @param {number} [bins=20]
+     * @returns {{startMs: number, binMs: number, counts: number[]}}
+     */
+    histogram(values, bins = 20) {
+        if (values.length === 0) return { startMs: 0, binMs: 1, counts: [] };
+        // 캡처가 길면 수십만 개 — spread 는 인자 수 제한(RangeError)에 걸린다
+        const min = values.reduce((a, b) => Math.min(a, b), Infinity);
+        const max = values.reduce((a, b) => Math.max(a, b), -Infinity);
+        const binMs = Math.max(1, this.niceStep((max - min) / bins));
+        const startMs = Math.floor(min / binMs) * binMs;
+        const counts = new Array(Math.floor((max - startMs) / binMs) + 1).fill(0);
+        values.forEach(v => counts[Math.floor((v - startMs) / binMs)]++);
+        return { startMs, binMs, counts };
+    },
+
+    /**
+     * 지연 드리프트 — 앞/뒤 1/4 구간 중앙값 비교 + 최소제곱 기울기
+     *
+     * @param {Array<{t: number, ms: number}>} series  시간순 지연
+     * @param {Object} options
+     * @returns {Object|null}  샘플이 minSamples 미만이면 null
+     */
+    drift(series, { minSamples = 20, thresholdMs = 5, thresholdPct = 50 } = {}) {
+        if (series.length < minSamples) return null;
+        const q = Math.max(5, Math.floor(series.length / 4));
+        const baselineMs = this.median(series.slice(0, q).map(p => p.ms));
+        const recentMs = this.median(series.slice(-q).map(p => p.ms));
+        const deltaMs = recentMs - baselineMs;
+
+        const t0 = series[0].t;
+        const n = series.length;
+        let sx = 0, sy = 0, sxx = 0, sxy = 0;
+        series.forEach(({ t, ms }) => {
+            const x = (t - t0) / 60000;     // 분
+            sx += x; sy += ms; sxx += x * x; sxy += x * ms;
+        });
+        const den = n * sxx - sx * sx;
+        const slopeMsPerMin = den > 0 ? (n * sxy - sx * sy) / den : 0;
+
+        return {
+            baselineMs, recentMs, deltaMs, slopeMsPerMin,
+            flagged: deltaMs > Math.max(thresholdMs, baselineMs * thresholdPct / 100)
+        };
+    },
+
+    /**
+     * 레코드 목록 분석
+     *
+     * @param {Object[]} records  MonitorCapture 레코드
+     * @param {Object} options
+     * @param {number} options.baudRate
+     * @param {number} options.bitsPerChar     1 문자 비트 수 (기본 11)
+     * @param {number} options.retryWindowMs   실패 후 이 시간 안의 같은 프레임 재전송 = 재시도
+     * @param {Object} options.drift           drift() 옵션
+     * @returns {Object}
+     */
+    analyze(records, { baudRate = 19200, bitsPerChar = 11, retryWindowMs = 5000, drift = {} } = {}) {
+        const charMs = bitsPerChar * 1000 / baudRate;
+        const t35Ms = this.t35Ms(baudRate, bitsPerChar);
+        const sorted = records.filter(r => r && typeof r.t === 'number')
+                              .sort((a, b) => a.t - b.t);
+
+        const slaves = new Map();
+        const slave = (id) => {
+            if (!slaves.has(id)) {
+                slaves.set(id, {
+                    slaveId: id, requests: 0, responses: 0, timeouts: 0, retries: 0,
+                    errors: 0, exceptions: 0, series: []
+                });
+            }
+            return slaves.get(id);
+        };
+        const events = [];                  // timeline 용 { t, kind, ms? }
+        const masterGaps = [], turnarounds = [];
+        const failed = new Map();           // slaveId → 마지막 실패 요청 { t, bytes }
+        let pending = null;                 // 응답 대기 중 요청 { slaveId, t, bytes }
+        let lastRx = null;
+        let broadcasts = 0, unsolicited = 0, frames = 0;
+
+        const sameBytes = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+        const fail = (kind) => {
+            const s = slave(pending.slaveId);
+            if (kind === 'timeout') s.timeouts++; else s.errors++;
+            events.push({ t: pending.t, kind: 'timeout' });
+            failed.set(pending.slaveId, pending);
+            pending = null;
+        };
+
+        for (const rec of sorted) {
+            const bytes = rec.bytes;
+            const isFrame = bytes && bytes.length >= 2;
+
+            if (rec.dir === 'tx' && isFrame) {
+                frames++;
+                if (pending) fail('timeout');          // 응답 없이 다음 요청
+                if (lastRx) masterGaps.push(rec.t - lastRx.t);
+                lastRx = null;
+
+                const slaveId = bytes[0];
+                if (slaveId === 0) {                   // Broadcast 는 응답 없음
+                    broadcasts++;
+                    continue;
+                }
+                const s = slave(slaveId);
+                s.requests++;
+                const prev = failed.get(slaveId);
+                if (prev && rec.t - prev.t <= retryWindowMs && sameBytes(prev.bytes, bytes)) {
+                    s.retries++;
+                    events.push({ t: rec.t, kind: 'retry' });
+                }
+                failed.delete(slaveId);
+                pending = { slaveId, t: rec.t, bytes };
+                events.push({ t: rec.t, kind: 'request' });
+            } else if (rec.dir === 'rx' && isFrame) {
+                frames++;
+                lastRx = rec;
+                if (!pending || pending.slaveId !== bytes[0]) {
+                    unsolicited++;
+                    continue;
+                }
+                const ms = rec.t - pending.t;
+                const s = slave(pending.slaveId);
+                s.responses++;
+                if (bytes[1] & 0x80) s.exceptions++;
+                s.series.push({ t: rec.t, ms });
+                turnarounds.push(ms - (pending.bytes.length + bytes.length) * charMs);
+                events.push({ t: rec.t, kind: 'response', ms });
+                pending = null;
+            } else if (rec.dir === 'error' && pending) {
+                // 텍스트 timeout 로그, 또는 CRC 오류 등으로 버려진 응답 바이트
+                const text = `${rec.text || ''} ${rec.errorMsg || ''}`;
+                if (/timeout/i.test(text)) fail('timeout');
+                else if (isFrame) fail('error');
+            }
+        }
+
+        const gapStats = (gaps) => ({
+            count: gaps.length,
+            minMs: gaps.length ? gaps.reduce((a, b) => Math.min(a, b), Infinity) : null,
+            avgMs: gaps.length ? gaps.reduce((a, b) => a + b, 0) / gaps.length : null,
+            violations: gaps.filter(g => g < t35Ms).length
+        });
+
+        const slaveList = [...slaves.values()].sort((a, b) => a.slaveId - b.slaveId).map(s => {
+            const lat = s.series.map(p => p.ms).sort((a, b) => a - b);
+            return {
+                ...s,
+                minMs: lat.length ? lat[0] : null,
+                avgMs: lat.length ? lat.reduce((a, b) => a + b, 0) / lat.length : null,
+                p95Ms: this.percentile(lat, 95),
+                maxMs: lat.length ? lat[lat.length - 1] : null,
+                timeoutRate: s.requests ? s.timeouts / s.requests : 0,
+                histogram: this.histogram(lat),
+                drift: this.drift(s.series, drift)
+            };
+        });
+
+        const t0 = sorted.length ? sorted[0].t : 0;
+        const t1 = sorted.length ? sorted[sorted.length - 1].t : 0;
+        const maxLatency = Math.max(0, ...slaveList.map(s => s.maxMs ?? 0));
+
+        return {
+            baudRate, bitsPerChar, charMs, t35Ms,
+            span: { t0, t1 },
+            frames, broadcasts, unsolicited,
+            pending: pending ? 1 : 0,           // 분석 구간 끝에서 응답 대기 중 (판정 보류)
+            slaves: slaveList,
+            gaps: { master: gapStats(masterGaps), turnaround: gapStats(turnarounds) },
+            timeline: this.timeline(events, t0, t1),
+            // 응답 timeout 은 실측 최대 지연의 1.5배 이상 권장
+            recommendedTimeoutMs: maxLatency > 0 ? Math.ceil(maxLatency * 1.5) : null,
+            driftingSlaves: slaveList.filter(s => s.drift?.flagged).map(s => s.slaveId)
+        };
+    },
+
+    /**
+     * 시간 구간별 집계 (구간 수 최대 ~60)
+     *
+     * @returns {{bucketMs: number, buckets: Array<{t: number, requests: number,
+     *     responses: number, timeouts: number, retries: number, avgMs: number|null}>}}
+     */
+    timeline(events, t0, t1) {
+        const bucketMs = Math.max(1000, this.niceStep((t1 - t0) / 60));
+        const count = Math.floor((t1 - t0) / bucketMs) + 1;
+        const buckets = Array.from({ length: count }, (_, i) => ({
+            t: t0 + i * bucketMs, requests: 0, responses: 0, timeouts: 0, retries: 0,
+            sumMs: 0, avgMs: null
+        }));
+        events.forEach(ev => {
+            const b = buckets[Math.min(count - 1, Math.floor((ev.t - t0) / bucketMs))];
+            if (ev.kind === 'request') b.requests++;
+            else if (ev.kind === 'timeout') b.timeouts++;
+            else if (ev.kind === 'retry') b.retries++;
+            else if (ev.kind === 'response') {
+                b.responses++;
+                b.sumMs += ev.ms;
+            }
+        });
+        buckets.forEach(b => {
+            b.avgMs = b.responses ? b.sumMs / b.responses : null;
+            delete b.sumMs;
+        });
+        return { bucketMs, buckets };
+    },
+
+    /**
+     * Slave 지연 히스토그램 (p95 / avg 표시선)
+     *
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} slave  analyze() 결과의 slaves[i]
+     */
+    drawHistogram(canvas, slave) {
+        const area = this._prepareCanvas(canvas);
+        if (!area) return;
+        const { ctx, w, h } = area;
+        const pad = { l: 32, r: 10, t: 22, b: 22 };
+        const pw = w - pad.l - pad.r, ph = h - pad.t - pad.b;
+        const { startMs, binMs, counts } = slave.histogram;
+        if (counts.length === 0) {
+            this._drawTitle(ctx, `Slave ${slave.slaveId} — 응답 없음`);
+            return;
+        }
+        const max = counts.reduce((a, b) => Math.max(a, b), 0);
+        const endMs = startMs + counts.length * binMs;
+        const x = ms => pad.l + (ms - startMs) / (endMs - startMs) * pw;
+
+        ctx.fillStyle = '#3498db';
+        counts.forEach((c, i) => {
+            const bh = c / max * ph;
+            ctx.fillRect(x(startMs + i * binMs) + 1, pad.t + ph - bh,
+                         Math.max(1, pw / counts.length - 2), bh);
+        });
+
+        const marker = (ms, color, label) => {
+            ctx.strokeStyle = color;
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x(ms), pad.t); ctx.lineTo(x(ms), pad.t + ph);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = color;
+            ctx.textAlign = 'left';
+            ctx.fillText(label, x(ms) + 3, pad.t + 10);
+        };
+        ctx.font = '10px sans-serif';
+        marker(slave.avgMs, '#27ae60', 'avg');
+        marker(slave.p95Ms, '#e67e22', 'p95');
+
+        ctx.fillStyle = '#6c757d';
+        ctx.textAlign = 'center';
+        ctx.fillText(`${startMs}ms`, pad.l, h - 6);
+        ctx.fillText(`${endMs}ms`, pad.l + pw, h - 6);
+        ctx.textAlign = 'right';
+        ctx.fillText(String(max), pad.l - 4, pad.t + 8);
+
+        this._drawTitle(ctx, `Slave ${slave.slaveId} 응답 지연 분포 (bin ${binMs}ms)`);
+    },
+
+    /**
+     * 시간대별 평균 지연(선) + 타임아웃/재시도(막대)
+     *
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} timeline  analyze() 결과의 timeline
+     */
+    drawTimeline(canvas, timeline) {
+        const area = this._prepareCanvas(canvas);
+        if (!area) return;
+        const { ctx, w, h } = area;
+        const pad = { l: 40, r: 32, t: 22, b: 22 };
+        const pw = w - pad.l - pad.r, ph = h - pad.t - pad.b;
+        const { buckets, bucketMs } = timeline;
+        if (buckets.length === 0) return;
+        const slot = pw / buckets.length;
+        const maxMs = buckets.reduce((m, b) => Math.max(m, b.avgMs ?? 0), 1);
+        const maxFail = buckets.reduce((m, b) => Math.max(m, b.timeouts + b.retries), 1);
+
+        buckets.forEach((b, i) => {
+            const x0 = pad.l + i * slot;
+            const ht = b.timeouts / maxFail * ph, hr = b.retries / maxFail * ph;
+            ctx.fillStyle = 'rgba(231, 76, 60, 0.6)';
+            ctx.fillRect(x0 + 1, pad.t + ph - ht, Math.max(1, slot / 2 - 1), ht);
+            ctx.fillStyle = 'rgba(243, 156, 18, 0.6)';
+            ctx.fillRect(x0 + slot / 2, pad.t + ph - hr, Math.max(1, slot / 2 - 1), hr);
+        });
+
+        ctx.strokeStyle = '#3498db';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        let started = false;
+        buckets.forEach((b, i) => {
+            if (b.avgMs === null) return;
+            const px = pad.l + (i + 0.5) * slot, py = pad.t + (1 - b.avgMs / maxMs) * ph;
+            if (!started) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+            started = true;
+        });
+        ctx.stroke();
+
+        ctx.font = '10px sans-serif';
+        ctx.fillStyle = '#3498db';
+        ctx.textAlign = 'right';
+        ctx.fillText(`${maxMs.toFixed(1)}ms`, pad.l - 4, pad.t + 8);
+        ctx.fillStyle = '#e74c3c';
+        ctx.textAlign = 'left';
+        ctx.fillText(String(maxFail), w - pad.r + 4, pad.t + 8);
+        ctx.fillStyle = '#6c757d';
+        ctx.textAlign = 'center';
+        ctx.fillText(`구간 ${bucketMs / 1000}s × ${buckets.length}`, pad.l + pw / 2, h - 6);
+
+        this._drawTitle(ctx, '평균 지연(파랑) / 타임아웃(빨강) · 재시도(주황)');
+    },
+
+    /** canvas 를 표시 크기 × devicePixelRatio 로 맞추고 { ctx, w, h } 반환 */
+    _prepareCanvas(canvas) {
+        if (!canvas) return null;
+        const dpr = window.devicePixelRatio || 1;
+        const w = canvas.offsetWidth || canvas.width;
+        const h = canvas.offsetHeight || canvas.height;
+        canvas.width = w * dpr;
+        canvas.height = h * dpr;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(dpr, dpr);
+        ctx.clearRect(0, 0, w, h);
+        return { ctx, w, h };
+    },
+
+    _drawTitle(ctx, text) {
+        ctx.font = '11px sans-serif';
+        ctx.fillStyle = '#495057';
+        ctx.textAlign = 'left';
+        ctx.fillText(text, 6, 13);
+    },
+};
@@ -0,0 +1,499 @@
+/**
+ * ChartRecorder — FC 0x64 연속 캡처를 IndexedDB 에 청크 단위로 기록하는 모듈
+ *
+ * 장시간(수 시간) 내구 시험용. 메모리에는 전체 기록의 min/max 오버뷰(버킷 수 상한 고정)와
+ * 최근/조회한 청크 캐시만 두고, 원본 샘플은 chunkSize 행마다 IndexedDB 로 내보낸다.
+ * 선택적으로 같은 데이터를 사용자가 고른 CSV 파일(File System Access API)에도 이어 쓴다.
+ *
+ * 샘플 k 의 시각 = k × periodMs (기록 시작 = 0ms)
+ *
+ * 저장 구조 (DB 'chartRecordings'):
+ *   recordings: { id, name, createdAt, names[], periodMs, chunkSize,
+ *                 sampleCount, chunkCount, overview }
+ *   chunks:     { recordingId, index, columns: Float32Array[] }   key = [recordingId, index]
+ *
+ * 사용 예:
+ *   const rec = new ChartRecorder({ names: ['Vel FB', 'Iu'], periodMs: 1 });
+ *   await rec.start();
+ *   rec.append([vel, iu]);                 // 한 샘플 시점의 채널 값들
+ *   await rec.finish();
+ *
+ *   const past = await ChartRecorder.open(id);
+ *   await past.ensureRange(t0, t1);
+ *   const cols = past.getRange(t0, t1, 2000);   // 채널별 [{t, v}] (캐시에 없으면 null)
+ *   const blob = await past.exportRange(t0, t1, 'csv');
+ */
+
+const CHART_RECORDER_DB = 'chartRecordings';
+const CHART_RECORDER_DB_VERSION = 1;
+
+class ChartRecorder {
+    /**
+     * @param {Object} options
+     * @param {string[]} options.names    - 채널 이름 (append 값 순서)
+     * @param {number} options.periodMs   - 샘플 간격 (ms)
+     * @param {number} options.chunkSize  - IndexedDB 청크당 샘플 수
+     * @param {number} options.maxBuckets - 오버뷰 버킷 수 상한
+     * @param {number} options.cacheChunks - 메모리에 유지할 청크 수 (LRU)
+     */
+    constructor({ names, periodMs, chunkSize = 8192, maxBuckets = 4096, cacheChunks = 64 }) {
+        this.id = null;
+        this.name = '';
+        this.createdAt = null;
+        this.names = names;
+        this.periodMs = periodMs;
+        this.chunkSize = chunkSize;
+        this.maxBuckets = maxBuckets;
+        this.cacheChunks = cacheChunks;
+
+        this.sampleCount = 0;
+        this.chunkCount = 0;    // IndexedDB 로 넘긴 청크 수
+        this.pending = names.map(() => new Float32Array(chunkSize));
+        this.pendingCount = 0;
+
+        // 오버뷰: 컬럼별 버킷 min/max. 버킷 수가 maxBuckets 에 닿으면 2개씩 합치고 bucketSize 2배
+        this.bucketSize = 16;
+        this.mins = names.map(() => []);
+        this.maxs = names.map(() => []);
+        this.runMin = names.map(() => null);
+        this.runMax = names.map(() => null);
+
+        this.cache = new Map();     // chunk index → Float32Array[] (삽입 순서 = LRU)
+        this.loading = new Map();   // chunk index → Promise
+        this.db = null;
+        this.writeChain = Promise.resolve();
+        this.fileWriter = null;
+        this.readOnly = false;
+        this.error = null;
+        this.onError = null;        // (error) => void — 저장 실패 (용량 초과 등)
+    }
+
+    /** 마지막 샘플 시각 (ms) */
+    get lastTime() {
+        return Math.max(0, this.sampleCount - 1) * this.periodMs;
+    }
+
+    // ─────────────────────────────────────────────────────────
+    //  IndexedDB
+
+    static openDb() {
+        return IdbStore.open(CHART_RECORDER_DB, CHART_RECORDER_DB_VERSION, db => {
+            if (!db.objectStoreNames.contains('recordings')) {
+                db.createObjectStore('recordings', { keyPath: 'id', autoIncrement: true });
+            }
+            if (!db.objectStoreNames.contains('chunks')) {
+                db.createObjectStore('chunks', { keyPath: ['recordingId', 'index'] });
+            }
+        });
+    }
+
+    /**
+     * 저장된 기록 목록 (오버뷰 제외, 최신순)
+     * @returns {Promise<Array<{id, name, createdAt, names, periodMs, sampleCount}>>}
+     */
+    static async list() {
+        const db = await ChartRecorder.openDb();
+        try {
+            const tx = db.transaction('recordings', 'readonly');
+            const records = await IdbStore.request(tx.objectStore('recordings').getAll());
+            return records
+                .map(({ id, name, createdAt, names, periodMs, sampleCount }) =>
+                    ({ id, name, createdAt, names, periodMs, sampleCount }))
+                .sort((a, b) => b.createdAt - a.createdAt);
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * 저장된 기록을 읽기 전용으로 열기 (오버뷰는 메타에서 복원, 청크는 필요할 때 로드)
+     * @param {number} id
+     * @returns {Promise<ChartRecorder>}
+     */
+    static async open(id) {
+        const db = await ChartRecorder.openDb();
+        const tx = db.transaction('recordings', 'readonly');
+        const meta = await IdbStore.request(tx.objectStore('recordings').get(id));
+        if (!meta) {
+            db.close();
+            throw new Error(`기록을 찾을 수 없습니다 (id ${id})`);
+        }
+
+        const recorder = new ChartRecorder({
+            names: meta.names, periodMs: meta.periodMs, chunkSize: meta.chunkSize
+        });
+        recorder.db = db;
+        recorder.id = meta.id;
+        recorder.name = meta.name;
+        recorder.createdAt = meta.createdAt;
+        recorder.sampleCount = meta.sampleCount;
+        recorder.chunkCount = meta.chunkCount;
+        recorder.bucketSize = meta.overview.bucketSize;
+        recorder.mins = meta.overview.mins;
+        recorder.maxs = meta.overview.maxs;
+        recorder.runMin = meta.overview.runMin;
+        recorder.runMax = meta.overview.runMax;
+        recorder.pending = [];
+        recorder.readOnly = true;
+        return recorder;
+    }
+
+    /**
+     * 기록 삭제 (메타 + 모든 청크)
+     * @param {number} id
+     */
+    static async remove(id) {
+        const db = await ChartRecorder.openDb();
+        try {
+            const tx = db.transaction(['recordings', 'chunks'], 'readwrite');
+            tx.objectStore('recordings').delete(id);
+            tx.objectStore('chunks').delete(IDBKeyRange.bound([id, 0], [id, Infinity]));
+            await IdbStore.done(tx);
+        } finally {
+            db.close();
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────
+    //  Recording
+
+    /**
+     * 기록 시작 — 메타 레코드 생성
+     * @param {Object} [options]
+     * @param {string} [options.name]
+     * @param {FileSystemFileHandle} [options.fileHandle] - CSV 로도 이어 쓸 파일
+     */
+    async start({ name = '', fileHandle = null } = {}) {
+        this.db = await ChartRecorder.openDb();
+        this.createdAt = Date.now();
+        this.name = name || new Date(this.createdAt).toLocaleString();
+
+        const tx = this.db.transaction('recordings', 'readwrite');
+        this.id = await IdbStore.request(tx.objectStore('recordings').add(this._meta()));
+
+        if (fileHandle) {
+            this.fileWriter = await fileHandle.createWritable();
+            await this.fileWriter.write(['Time(ms)', ...this.names].join(',') + '\n');
+        }
+    }
+
+    /**
+     * 한 샘플 시점의 채널 값 추가 (값이 없는 채널은 NaN)
+     * @param {number[]} values - names 순서
+     */
+    append(values) {
+        if (this.readOnly || this.error) return;
+
+        const index = this.sampleCount;
+        let bucket = Math.floor(index / this.bucketSize);
+        if (bucket >= this.mins[0].length) {
+            if (bucket >= this.maxBuckets) {
+                this._compactOverview();
+                bucket = Math.floor(index / this.bucketSize);
+            }
+            if (bucket >= this.mins[0].length) {
+                this.mins.forEach(mins => mins.push(Infinity));
+                this.maxs.forEach(maxs => maxs.push(-Infinity));
+            }
+        }
+
+        for (let c = 0; c < this.names.length; c++) {
+            const v = values[c] ?? NaN;
+            this.pending[c][this.pendingCount] = v;
+            if (!Number.isFinite(v)) continue;
+            if (v < this.mins[c][bucket]) this.mins[c][bucket] = v;
+            if (v > this.maxs[c][bucket]) this.maxs[c][bucket] = v;
+            if (this.runMin[c] === null || v < this.runMin[c]) this.runMin[c] = v;
+            if (this.runMax[c] === null || v > this.runMax[c]) this.runMax[c] = v;
+        }
+
+        this.sampleCount++;
+        this.pendingCount++;
+        if (this.pendingCount === this.chunkSize) this._flushChunk();
+    }
+
+    /**
+     * 기록 종료 — 남은 샘플 저장, 파일 닫기
+     */
+    async finish() {
+        if (this.readOnly) return;
+        if (this.pendingCount > 0) this._flushChunk();
+        await this.writeChain;
+        if (this.fileWriter) {
+            await this.fileWriter.close().catch(error => this._fail(error));
+            this.fileWriter = null;
+        }
+        this.pending = [];
+        this.readOnly = true;
+    }
+
+    /** 버킷 2개씩 병합 → 버킷 수 절반, bucketSize 2배 */
+    _compactOverview() {
+        const merge = (values, pick) => {
+            const merged = [];
+            for (let b = 0; b < values.length; b += 2) {
+                merged.push(b + 1 < values.length ? pick(values[b], values[b + 1]) : values[b]);
+            }
+            return merged;
+        };
+        this.mins = this.mins.map(mins => merge(mins, Math.min));
+        this.maxs = this.maxs.map(maxs => merge(maxs, Math.max));
+        this.bucketSize *= 2;
+    }
+
+    _flushChunk() {
+        const index = this.chunkCount++;
+        const count = this.pendingCount;
+        const columns = this.pending.map(column => column.slice(0, count));
+        this.pending = this.names.map(() => new Float32Array(this.chunkSize));
+        this.pendingCount = 0;
+        this._cachePut(index, columns);
+
+        // 메타는 청크와 같은 트랜잭션으로 갱신 → 중간에 탭이 닫혀도 저장된 청크까지는 열림
+        const meta = this._meta();
+        this.writeChain = this.writeChain
+            .then(() => this._writeChunk(index, columns, meta))
+            .catch(error => this._fail(error));
+    }
+
+    async _writeChunk(index, columns, meta) {
+        if (this.error) return;
+        const tx = this.db.transaction(['chunks', 'recordings'], 'readwrite');
+        tx.objectStore('chunks').put({ recordingId: this.id, index, columns });
+        tx.objectStore('recordings').put({ ...meta, id: this.id });
+        await IdbStore.done(tx);
+
+        if (this.fileWriter) {
+            await this.fileWriter.write(this._toCsvRows(index * this.chunkSize, columns, 0, columns[0].length));
+        }
+    }
+
+    _meta() {
+        return {
+            name: this.name,
+            createdAt: this.createdAt,
+            names: this.names,
+            periodMs: this.periodMs,
+            chunkSize: this.chunkSize,
+            sampleCount: this.sampleCount - this.pendingCount,
+            chunkCount: this.chunkCount,
+            overview: {
+                bucketSize: this.bucketSize,
+                mins: this.mins.map(mins => mins.slice()),
+                maxs: this.maxs.map(maxs => maxs.slice()),
+                runMin: this.runMin.slice(),
+                runMax: this.runMax.slice()
+            }
+        };
+    }
+
+    _fail(error) {
+        if (this.error) return;
+        this.error = error;
+        console.error('[ChartRecorder] 저장 실패:', error);
+        if (this.onError) this.onError(error);
+    }
+
+    // ─────────────────────────────────────────────────────────
+    //  Reading
+
+    _cachePut(index, columns) {
+        this.cache.delete(index);
+        this.cache.set(index, columns);
+        while (this.cache.size > this.cacheChunks) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+
+    /** 청크 컬럼 (아직 저장 전인 마지막 부분 청크 포함, 캐시에 없으면 null) */
+    _getChunk(index) {
+        if (!this.readOnly && index === this.chunkCount) {
+            return this.pending.map(column => column.subarray(0, this.pendingCount));
+        }
+        const columns = this.cache.get(index);
+        if (!columns) return null;
+        this._cachePut(index, columns);
+        return columns;
+    }
+
+    _loadChunk(index) {
+        if (this.loading.has(index)) return this.loading.get(index);
+        const promise = (async () => {
+            await this.writeChain;  // 캐시에서 밀려난 청크가 아직 저장 중일 수 있음
+            const tx = this.db.transaction('chunks', 'readonly');
+            const record = await IdbStore.request(tx.objectStore('chunks').get([this.id, index]));
+            if (record) this._cachePut(index, record.columns);
+            return record ? record.columns : null;
+        })().finally(() => this.loading.delete(index));
+        this.loading.set(index, promise);
+        return promise;
+    }
+
+    /** [t0, t1] 구간의 샘플 index 범위와 청크 index 범위 */
+    _sampleRange(t0, t1) {
+        const first = Math.max(0, Math.floor(t0 / this.periodMs));
+        const last = Math.min(this.sampleCount - 1, Math.ceil(t1 / this.periodMs));
+        return {
+            first, last,
+            firstChunk: Math.floor(first / this.chunkSize),
+            lastChunk: Math.floor(last / this.chunkSize)
+        };
+    }
+
+    /** 구간을 읽는 데 필요한 청크 수 */
+    chunksInRange(t0, t1) {
+        const { first, last, firstChunk, lastChunk } = this._sampleRange(t0, t1);
+        return last < first ? 0 : lastChunk - firstChunk + 1;
+    }
+
+    /**
+     * [t0, t1] 구간 청크를 IndexedDB 에서 캐시로 로드
+     */
+    async ensureRange(t0, t1) {
+        const { first, last, firstChunk, lastChunk } = this._sampleRange(t0, t1);
+        if (last < first) return;
+        const loads = [];
+        for (let index = firstChunk; index <= lastChunk; index++) {
+            if (!this._getChunk(index)) loads.push(this._loadChunk(index));
+        }
+        await Promise.all(loads);
+    }
+
+    /**
+     * [t0, t1] 구간의 원본 해상도 데이터. maxPoints 를 넘으면 구간별 min/max 로 줄인다.
+     * @param {number} t0 - ms
+     * @param {number} t1 - ms
+     * @param {number} [maxPoints] - 채널당 최대 점 수
+     * @returns {Array<Array<{t: number, v: number}>>|null} 필요한 청크가 캐시에 없으면 null
+     */
+    getRange(t0, t1, maxPoints = Infinity) {
+        const { first, last, firstChunk, lastChunk } = this._sampleRange(t0, t1);
+        const result = this.names.map(() => []);
+        if (last < first) return result;
+
+        const chunks = [];
+        for (let index = firstChunk; index <= lastChunk; index++) {
+            const columns = this._getChunk(index);
+            if (!columns) return null;
+            chunks.push(columns);
+        }
+
+        const step = Math.max(1, Math.ceil((last - first + 1) / (maxPoints / 2)));
+        for (let c = 0; c < this.names.length; c++) {
+            const points = result[c];
+            let groupMin = null;
+            let groupMax = null;
+            for (let k = first; k <= last; k++) {
+                const offset = k - firstChunk * this.chunkSize;
+                const column = chunks[Math.floor(offset / this.chunkSize)][c];
+                const v = column[offset % this.chunkSize];
+                if (step === 1) {
+                    if (Number.isFinite(v)) points.push({ t: k * this.periodMs, v });
+                    continue;
+                }
+                if (Number.isFinite(v)) {
+                    if (!groupMin || v < groupMin.v) groupMin = { t: k * this.periodMs, v };
+                    if (!groupMax || v > groupMax.v) groupMax = { t: k * this.periodMs, v };
+                }
+                if ((k - first + 1) % step === 0 || k === last) {
+                    if (groupMin) {
+                        if (groupMin.t <= groupMax.t) points.push(groupMin, groupMax);
+                        else points.push(groupMax, groupMin);
+                    }
+                    groupMin = null;
+                    groupMax = null;
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 오버뷰(버킷 min/max)로 [t0, t1] 구간 점 목록 생성
+     * @param {number} c - 채널 index (names 순서)
+     * @returns {Array<{t: number, v: number}>}
+     */
+    getOverview(c, t0, t1) {
+        const bucketMs = this.bucketSize * this.periodMs;
+        const mins = this.mins[c];
+        const maxs = this.maxs[c];
+        const first = Math.max(0, Math.floor(t0 / bucketMs) - 1);
+        const last = Math.min(mins.length - 1, Math.ceil(t1 / bucketMs));
+
+        const points = [];
+        for (let b = first; b <= last; b++) {
+            if (!(mins[b] <= maxs[b])) continue;  // 값 없는 버킷
+            const t = b * bucketMs;
+            points.push({ t, v: mins[b] }, { t: t + bucketMs / 2, v: maxs[b] });
+        }
+        return points;
+    }
+
+    /** 오버뷰 버킷 하나가 덮는 시간 (ms) */
+    get bucketMs() {
+        return this.bucketSize * this.periodMs;
+    }
+
+    // ─────────────────────────────────────────────────────────
+    //  Export
+
+    _toCsvRows(baseIndex, columns, from, to) {
+        let text = '';
+        for (let k = from; k < to; k++) {
+            let row = ((baseIndex + k) * this.periodMs).toFixed(3);
+            for (const column of columns) {
+                const v = column[k];
+                row += ',' + (Number.isFinite(v) ? Number(v.toPrecision(7)) : '');
+            }
+            text += row + '\n';
+        }
+        return text;
+    }
+
+    /**
+     * [t0, t1] 구간을 청크 단위로 읽어 파일 내용 생성 (전체 기록을 메모리에 올리지 않음)
+     * @param {number} t0 - ms
+     * @param {number} t1 - ms
+     * @param {'csv'|'lsm'} format - csv: 차트 Export CSV 와 같은 형식 (Import 가능)
+     * @returns {Promise<Blob|null>} 구간에 샘플이 없으면 null
+     */
+    async exportRange(t0, t1, format = 'csv') {
+        const { first, last, firstChunk, lastChunk } = this._sampleRange(t0, t1);
+        if (last < first) return null;
+
+        const readChunk = async (index) => this._getChunk(index) || await this._loadChunk(index);
+
+        if (format === 'lsm') {
+            const channels = this.names.map(name => ({ name, data: [] }));
+            for (let index = firstChunk; index <= lastChunk; index++) {
+                const columns = await readChunk(index);
+                if (!columns) throw new Error(`청크 ${index} 를 읽을 수 없습니다`);
+                const base = index * this.chunkSize;
+                const from = Math.max(first, base) - base;
+                const to = Math.min(last + 1, base + columns[0].length) - base;
+                columns.forEach((column, c) => {
+                    for (let k = from; k < to; k++) channels[c].data.push(column[k]);
+                });
+            }
+            return new Blob([LsmExporter.generate(channels, this.periodMs)],
+                { type: 'text/plain;charset=utf-8' });
+        }
+
+        const parts = [['Time(ms)', ...this.names].join(',') + '\n'];
+        for (let index = firstChunk; index <= lastChunk; index++) {
+            const columns = await readChunk(index);
+            if (!columns) throw new Error(`청크 ${index} 를 읽을 수 없습니다`);
+            const base = index * this.chunkSize;
+            parts.push(this._toCsvRows(base, columns,
+                Math.max(first, base) - base,
+                Math.min(last + 1, base + columns[0].length) - base));
+        }
+        return new Blob(parts, { type: 'text/csv' });
+    }
+
+    /** DB 연결 해제 (다른 기록으로 전환할 때) */
+    close() {
+        if (this.db) this.db.close();
+        this.db = null;
+    }
+}
@@ -0,0 +1,334 @@
+/**
+ * ComplexTrigger — 차트 캡처용 소프트웨어 복합 트리거 조건 평가기
+ *
+ * FC 0x65 하드웨어 트리거는 채널 1개 · 에지 1개 · 레벨 1개만 지원한다.
+ * 이 모듈은 FC 0x64 연속 스트림의 샘플 행(row)마다 아래 조건들을 평가한다.
+ *
+ *   edge   : { type, channel, edge: 'rising'|'falling'|'both', level }
+ *   window : { type, channel, mode: 'inside'|'outside', low, high }   (레벨 상태)
+ *   pulse  : { type, channel, level, polarity: 'high'|'low',
+ *              compare: 'longer'|'shorter'|'between', minMs, maxMs }
+ *   alarm  : { type, from, to }   알람 코드(0x603F) 변화 (from/to = null 이면 임의 값)
+ *
+ * 조건들은 logic('and' | 'or') 으로 결합되며, 결합 결과가 false→true 로 바뀌는
+ * 시점이 하나의 "이벤트"다. occurrence = N 이면 N 번째 이벤트마다 발사하고,
+ * holdoffMs 동안은 직전 발사 이후의 이벤트를 세지 않는다.
+ *
+ * channel 은 차트 슬롯 번호(0~3, CH1~CH4) 이며 push() 의 values 배열 index 와 같다.
+ *
+ * 사용 예:
+ *   const trig = new ComplexTrigger({ logic: 'and', conditions: [...], occurrence: 3 });
+ *   if (trig.push(t, [ch1, ch2, ch3, ch4], alarmCode)) { ... }   // 발사 샘플
+ *
+ *   const capture = new TriggerSegmentCapture({
+ *       trigger: trig, slots: [0, 1], preSamples: 256, postSamples: 256,
+ *       onSegment: (seg) => { ... } });
+ *   capture.push(t, values, alarmCode);
+ */
+
+const COMPLEX_TRIGGER_TYPES = {
+    edge:   { label: 'Edge' },
+    window: { label: 'Window' },
+    pulse:  { label: 'Pulse width' },
+    alarm:  { label: 'Alarm change' }
+};
+
+class ComplexTrigger {
+    /**
+     * @param {Object} config
+     * @param {'and'|'or'} config.logic
+     * @param {Object[]} config.conditions
+     * @param {number} config.occurrence - N 번째 이벤트마다 발사 (1 = 매번)
+     * @param {number} config.holdoffMs  - 발사 후 이벤트 무시 구간 (ms)
+     */
+    constructor(config) {
+        this.config = ComplexTrigger.normalize(config);
+        this.reset();
+    }
+
+    /** 설정값 정리 (잘못된 조건은 제외) */
+    static normalize(raw = {}) {
+        const num = (v, fallback = null) => {
+            const n = parseFloat(v);
+            return isFinite(n) ? n : fallback;
+        };
+        const conditions = (Array.isArray(raw.conditions) ? raw.conditions : [])
+            .filter(c => c && COMPLEX_TRIGGER_TYPES[c.type])
+            .map(c => {
+                const channel = parseInt(c.channel);
+                switch (c.type) {
+                    case 'edge':
+                        return { type: 'edge', channel,
+                                 edge: ['falling', 'both'].includes(c.edge) ? c.edge : 'rising',
+                                 level: num(c.level, 0) };
+                    case 'window': {
+                        const a = num(c.low, 0);
+                        const b = num(c.high, 0);
+                        return { type: 'window', channel,
+                                 mode: c.mode === 'outside' ? 'outside' : 'inside',
+                                 low: Math.min(a, b), high: Math.max(a, b) };
+                    }
+                    case 'pulse':
+                        return { type: 'pulse', channel,
+                                 level: num(c.level, 0),
+                                 polarity: c.polarity === 'low' ? 'low' : 'high',
+                                 compare: ['shorter', 'between'].includes(c.compare) ? c.compare : 'longer',
+                                 minMs: Math.max(0, num(c.minMs, 0)),
+                                 maxMs: Math.max(0, num(c.maxMs, 0)) };
+                    default:
+                        return { type: 'alarm',
+                                 from: num(c.from), to: num(c.to) };
+                }
+            })
+            .filter(c => c.type === 'alarm' || (c.channel >= 0 && c.channel <= 3));
+
+        return {
+            logic: raw.logic === 'and' ? 'and' : 'or',
+            conditions,
+            occurrence: Math.max(1, parseInt(raw.occurrence) || 1),
+            holdoffMs: Math.max(0, num(raw.holdoffMs, 0))
+        };
+    }
+
+    /** 조건 한 줄 요약 (UI 목록용) */
+    static describe(cond) {
+        const ch = `CH${cond.channel + 1}`;
+        const hex = (v) => v == null ? '*' : `0x${v.toString(16).toUpperCase()}`;
+        switch (cond.type) {
+            case 'edge':
+                return `${ch} ${{ rising: '↑', falling: '↓', both: '↕' }[cond.edge]} ${cond.level}`;
+            case 'window':
+                return `${ch} ${cond.mode === 'inside' ? 'inside' : 'outside'} [${cond.low}, ${cond.high}]`;
+            case 'pulse': {
+                const range = cond.compare === 'longer' ? `> ${cond.minMs}ms` :
+                              cond.compare === 'shorter' ? `< ${cond.maxMs}ms` :
+                              `${cond.minMs}~${cond.maxMs}ms`;
+                return `${ch} ${cond.polarity} pulse (level ${cond.level}) ${range}`;
+            }
+            default:
+                return `Alarm ${hex(cond.from)} → ${hex(cond.to)}`;
+        }
+    }
+
+    /** 알람 코드 값이 필요한지 (0x603F 폴링 여부 판단) */
+    static needsAlarm(config) {
+        return ComplexTrigger.normalize(config).conditions.some(c => c.type === 'alarm');
+    }
+
+    /**
+     * FC 0x65 하드웨어 트리거로 옮길 수 있으면 그 설정을 반환, 아니면 null.
+     *  - 단일 edge(rising/falling) 조건 → 그대로 매핑
+     *  - 단일 pulse 조건 → 펄스 시작 에지로 하드웨어 트리거, 받은 버퍼를
+     *    verify() 로 재검증 (verify = true)
+     * occurrence / holdoff / AND·OR / window / alarm 은 소프트웨어 전용.
+     * @returns {{channel: number, edge: 'rising'|'falling', level: number, verify: boolean}|null}
+     */
+    static toHardware(config) {
+        const cfg = ComplexTrigger.normalize(config);
+        if (cfg.conditions.length !== 1 || cfg.occurrence > 1 || cfg.holdoffMs > 0) return null;
+        const cond = cfg.conditions[0];
+        if (cond.type === 'edge' && cond.edge !== 'both') {
+            return { channel: cond.channel, edge: cond.edge, level: cond.level, verify: false };
+        }
+        if (cond.type === 'pulse') {
+            return { channel: cond.channel,
+                     edge: cond.polarity === 'high' ? 'rising' : 'falling',
+                     level: cond.level, verify: true };
+        }
+        return null;
+    }
+
+    /**
+     * 하드웨어로 받은 버퍼를 조건으로 다시 훑어 트리거 지점(fromIndex) 이후에
+     * 조건이 성립하는 첫 샘플 index 를 반환 (없으면 -1).
+     * @param {Object} config
+     * @param {Object<number, number[]>} channelData - { chIdx: float[] }
+     * @param {number} periodMs
+     * @param {number} fromIndex
+     */
+    static verify(config, channelData, periodMs, fromIndex = 0) {
+        const trig = new ComplexTrigger(config);
+        const slots = Object.keys(channelData).map(Number);
+        const length = Math.max(0, ...slots.map(s => channelData[s].length));
+        const values = [];
+        for (let i = 0; i < length; i++) {
+            for (const s of slots) values[s] = channelData[s][i];
+            if (trig.push(i * periodMs, values, null) && i >= fromIndex) return i;
+        }
+        return -1;
+    }
+
+    reset() {
+        this.states = this.config.conditions.map(() => ({ prev: null, start: null, fired: false }));
+        this.prevCombined = false;
+        this.count = 0;
+        this.lastFireT = -Infinity;
+    }
+
+    /** 다음 발사까지 세어 둔 이벤트 수 (occurrence 진행 표시용) */
+    get pendingCount() {
+        return this.count;
+    }
+
+    /**
+     * 샘플 한 행을 평가한다.
+     * @param {number} t       - 샘플 시각 (ms)
+     * @param {number[]} values - 슬롯별 값 (미사용 슬롯 = undefined)
+     * @param {number|null} alarm - 현재 알람 코드 (모르면 null)
+     * @returns {boolean} 이 샘플에서 트리거가 발사되었는지
+     */
+    push(t, values, alarm = null) {
+        const { conditions, logic, occurrence, holdoffMs } = this.config;
+        if (conditions.length === 0) return false;
+
+        // 조건별 상태(이전값·펄스 시작)는 결합 결과와 무관하게 매 샘플 갱신해야 한다
+        const hits = conditions.map((cond, i) => this._evaluate(cond, this.states[i], t, values, alarm));
+        const combined = logic === 'and' ? hits.every(Boolean) : hits.some(Boolean);
+        const event = combined && !this.prevCombined;
+        this.prevCombined = combined;
+
+        if (!event || t - this.lastFireT < holdoffMs) return false;
+        if (++this.count < occurrence) return false;
+
+        this.count = 0;
+        this.lastFireT = t;
+        return true;
+    }
+
+    _evaluate(cond, state, t, values, alarm) {
+        if (cond.type === 'alarm') {
+            if (alarm == null) return false;
+            const prev = state.prev;
+            state.prev = alarm;
+            return prev !== null && alarm !== prev &&
+                (cond.from == null || prev === cond.from) &&
+                (cond.to == null || alarm === cond.to);
+        }
+
+        const v = values[cond.channel];
+        if (v === undefined || v === null || isNaN(v)) return false;
+        const prev = state.prev;
+        state.prev = v;
+
+        switch (cond.type) {
+            case 'edge': {
+                if (prev === null) return false;
+                const up = prev < cond.level && v >= cond.level;
+                const down = prev > cond.level && v <= cond.level;
+                return cond.edge === 'rising' ? up : cond.edge === 'falling' ? down : up || down;
+            }
+            case 'window': {
+                const inside = v >= cond.low && v <= cond.high;
+                return cond.mode === 'inside' ? inside : !inside;
+            }
+            case 'pulse': {
+                const isActive = (x) => cond.polarity === 'high' ? x >= cond.level : x < cond.level;
+                const active = isActive(v);
+                if (prev === null) return false;      // 시작 시점에 이미 active 면 폭을 모르므로 무시
+                const wasActive = isActive(prev);
+
+                if (active && !wasActive) {
+                    state.start = t;
+                    state.fired = false;
+                    return false;
+                }
+                if (active) {
+                    // 'longer' 는 폭이 minMs 를 넘는 순간 바로 발사 (펄스 끝을 기다리지 않음)
+                    if (cond.compare === 'longer' && state.start !== null && !state.fired &&
+                        t - state.start > cond.minMs) {
+                        state.fired = true;
+                        return true;
+                    }
+                    return false;
+                }
+                if (wasActive && state.start !== null) {
+                    const width = t - state.start;
+                    state.start = null;
+                    if (cond.compare === 'shorter') return width < cond.maxMs;
+                    if (cond.compare === 'between') return width >= cond.minMs && width <= cond.maxMs;
+                }
+                return false;
+            }
+        }
+        return false;
+    }
+}
+
+/**
+ * TriggerSegmentCapture — ComplexTrigger 로 연속 스트림에서 세그먼트를 잘라낸다.
+ *
+ * 직전 preSamples 행을 링 버퍼로 유지하다가 트리거가 발사되면 postSamples 행을
+ * 더 모아 세그먼트 하나를 만든다. 세그먼트를 모으는 동안의 발사는 무시하며
+ * (조건 상태는 계속 갱신), maxSegments 개를 채우면 done = true.
+ */
+class TriggerSegmentCapture {
+    /**
+     * @param {Object} options
+     * @param {ComplexTrigger} options.trigger
+     * @param {number[]} options.slots        - 기록할 차트 슬롯 (chIdx)
+     * @param {number} options.preSamples
+     * @param {number} options.postSamples    - 트리거 샘플 포함
+     * @param {number} options.maxSegments    - 0 = 무제한
+     * @param {Function} options.onSegment    - (segment) => void
+     */
+    constructor({ trigger, slots, preSamples, postSamples, maxSegments = 0, onSegment }) {
+        this.trigger = trigger;
+        this.slots = slots;
+        this.preSamples = Math.max(0, preSamples);
+        this.postSamples = Math.max(1, postSamples);
+        this.maxSegments = maxSegments;
+        this.onSegment = onSegment;
+
+        this.ring = [];
+        this.active = null;     // 수집 중인 세그먼트 { triggerT, pre, rows }
+        this.segmentCount = 0;
+    }
+
+    get done() {
+        return this.maxSegments > 0 && this.segmentCount >= this.maxSegments;
+    }
+
+    /** 세그먼트 수집 중인지 (UI 상태 표시용) */
+    get collecting() {
+        return this.active !== null;
+    }
+
+    push(t, values, alarm = null) {
+        if (this.done) return;
+        const fired = this.trigger.push(t, values, alarm);
+        const row = this.slots.map(s => values[s]);
+
+        if (this.active) {
+            this.active.rows.push(row);
+            if (this.active.rows.length - this.active.pre >= this.postSamples) this._emit();
+            return;
+        }
+
+        if (fired) {
+            this.active = { triggerT: t, pre: this.ring.length, rows: this.ring.concat([row]) };
+            this.ring = [];
+            if (this.postSamples <= 1) this._emit();
+            return;
+        }
+
+        this.ring.push(row);
+        if (this.ring.length > this.preSamples) this.ring.shift();
+    }
+
+    _emit() {
+        const { triggerT, pre, rows } = this.active;
+        this.active = null;
+        this.segmentCount++;
+
+        const channelData = {};
+        this.slots.forEach((s, k) => {
+            channelData[s] = rows.map(r => r[k]);
+        });
+        this.onSegment?.({
+            date: new Date(triggerT),
+            channelData,
+            preTriggerSamples: pre,
+            numOfData: rows.length
+        });
+    }
+}
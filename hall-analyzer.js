@@ -0,0 +1,498 @@
+/**
+ * HallUvwAnalyzer — Hall U/V/W 신호로 편심(Eccentricity)/편축(Misalignment) 진단
+ *
+ * hall_uvw_analyzer.html 의 분석 로직을 대시보드에서 직접 쓰도록 옮긴 모듈.
+ * 외부 라이브러리(Chart.js 등) 없이 Canvas 2D 로만 그리므로 오프라인에서도 동작한다.
+ *
+ * 분석 순서:
+ *   DC 제거 → Clarke 변환(α, β, 영상분) → 기계각 bin 평균 → DFT
+ *   편심 지수 = (Amp max − Amp min) / (Amp max + Amp min) × 100
+ *   편축 지수 = 영상분 RMS / 평균 Amplitude × 100
+ *
+ * 사용 예:
+ *   // Charts 탭 (FC 0x64/0x65 캡처 또는 Import)
+ *   const roles  = HallUvwAnalyzer.autoAssign(channels);      // { U, V, W }
+ *   const result = HallUvwAnalyzer.analyze(channels, roles.U, roles.V, roles.W, 4, 180);
+ *   HallUvwAnalyzer.renderVerdict(container, result.metrics);
+ *
+ *   // OS 테스트 판정
+ *   const { pass, message } = HallUvwAnalyzer.evaluate(result.metrics,
+ *       { maxEccentricity: 3, maxMisalignment: 3 });
+ */
+window.HallUvwAnalyzer = {
+
+    // 판정 단계 기준 (%) — hall_uvw_analyzer.html 과 동일
+    SEVERITY: [
+        { max: 1,        cls: 'good', label: '정상', color: '#27ae60' },
+        { max: 3,        cls: 'mild', label: '경미', color: '#d4a017' },
+        { max: 10,       cls: 'warn', label: '주의', color: '#e67e22' },
+        { max: Infinity, cls: 'crit', label: '심각', color: '#e74c3c' },
+    ],
+
+    mean(arr) {
+        return arr.reduce((a, b) => a + b, 0) / arr.length;
+    },
+
+    rms(arr) {
+        return Math.sqrt(this.mean(arr.map(v => v * v)));
+    },
+
+    /**
+     * 이산 푸리에 변환 크기 (0 ~ N/2 차 고조파)
+     *
+     * @param {number[]} signal
+     * @returns {number[]} 차수별 크기 / N
+     */
+    dft(signal) {
+        const N = signal.length;
+        const mags = [];
+        for (let k = 0; k < Math.floor(N / 2) + 1; k++) {
+            let re = 0, im = 0;
+            for (let n = 0; n < N; n++) {
+                const phi = 2 * Math.PI * k * n / N;
+                re += signal[n] * Math.cos(phi);
+                im -= signal[n] * Math.sin(phi);
+            }
+            mags.push(Math.sqrt(re * re + im * im) / N);
+        }
+        return mags;
+    },
+
+    /**
+     * 1차 정현파 피팅: A0 + A1·cos(θ − φ)
+     *
+     * @param {number[]} anglesRad
+     * @param {number[]} values
+     * @returns {{A0: number, A1: number, phiDeg: number}}  phiDeg: 0 ~ 360
+     */
+    fitSine1x(anglesRad, values) {
+        const N = anglesRad.length;
+        const A0 = this.mean(values);
+        let sc = 0, ss = 0;
+        for (let i = 0; i < N; i++) {
+            const v = values[i] - A0;
+            sc += v * Math.cos(anglesRad[i]);
+            ss += v * Math.sin(anglesRad[i]);
+        }
+        const A1 = Math.sqrt(sc * sc + ss * ss) / (N / 2);
+        const phi = Math.atan2(ss, sc) * 180 / Math.PI;
+        return { A0, A1, phiDeg: ((phi % 360) + 360) % 360 };
+    },
+
+    /**
+     * U/V/W 채널 분석
+     *
+     * @param {Array<{name: string, data: number[]}>} channels
+     * @param {number} uIdx, vIdx, wIdx  channels 내 인덱스
+     * @param {number} polePairs  극쌍수 (기계 1회전 = 전기 polePairs 회전)
+     * @param {number} numBins    기계각 분할 수
+     * @returns {Object} { alpha, beta, zero, amplitude, mechAngle, ampProfile, zeroProfile,
+     *                     fftAmp, fftZero, numBins, metrics }
+     * @throws {Error} 샘플 부족 또는 Hall 진폭이 없을 때
+     */
+    analyze(channels, uIdx, vIdx, wIdx, polePairs = 1, numBins = 180) {
+        const picked = [uIdx, vIdx, wIdx].map(i => channels[i]?.data || []);
+        const N = Math.min(...picked.map(d => d.length));
+        if (N < 3) throw new Error('U/V/W 샘플이 부족합니다');
+        const [U, V, W] = picked.map(d => d.slice(0, N));
+
+        // DC 제거
+        const dcU = this.mean(U), dcV = this.mean(V), dcW = this.mean(W);
+        const u = U.map(x => x - dcU), v = V.map(x => x - dcV), w = W.map(x => x - dcW);
+
+        // Clarke 변환
+        const K = 2 / 3, S3 = Math.sqrt(3);
+        const alpha = u.map((_, i) => K * (u[i] - v[i] / 2 - w[i] / 2));
+        const beta  = u.map((_, i) => K * (S3 / 2 * (v[i] - w[i])));
+        const zero  = u.map((_, i) => (u[i] + v[i] + w[i]) / 3);
+
+        // Amplitude, 전기각 → 기계각
+        const TWO_PI = 2 * Math.PI;
+        const amplitude = alpha.map((a, i) => Math.sqrt(a * a + beta[i] * beta[i]));
+        const mechAngle = alpha.map((a, i) => {
+            const elec = ((Math.atan2(beta[i], a) % TWO_PI) + TWO_PI) % TWO_PI;
+            return ((elec / polePairs) % TWO_PI + TWO_PI) % TWO_PI;
+        });
+
+        // 기계각 bin 평균
+        const binSize = TWO_PI / numBins;
+        const ampBins  = Array.from({ length: numBins }, () => []);
+        const zeroBins = Array.from({ length: numBins }, () => []);
+        mechAngle.forEach((th, i) => {
+            const b = Math.min(Math.floor(th / binSize), numBins - 1);
+            ampBins[b].push(amplitude[i]);
+            zeroBins[b].push(zero[i]);
+        });
+
+        const ampProfile = [], zeroProfile = [];
+        for (let b = 0; b < numBins; b++) {
+            const angle = (b + 0.5) * binSize * 180 / Math.PI;
+            if (ampBins[b].length) {
+                ampProfile.push({
+                    angle,
+                    mean: this.mean(ampBins[b]),
+                    min: Math.min(...ampBins[b]),
+                    max: Math.max(...ampBins[b]),
+                    n: ampBins[b].length
+                });
+                zeroProfile.push({ angle, mean: this.mean(zeroBins[b]), n: zeroBins[b].length });
+            }
+        }
+
+        // 빈 bin 은 이웃 평균으로 채운 뒤 DFT
+        const fillBins = (profile) => {
+            const vals = Array(numBins).fill(null);
+            profile.forEach(p => {
+                const idx = Math.round(p.angle / (360 / numBins));
+                if (idx < numBins) vals[idx] = p.mean;
+            });
+            for (let i = 0; i < numBins; i++) {
+                if (vals[i] === null) {
+                    const prev = vals[(i - 1 + numBins) % numBins] ?? 0;
+                    const next = vals[(i + 1) % numBins] ?? 0;
+                    vals[i] = (prev + next) / 2;
+                }
+            }
+            return vals;
+        };
+        const fftAmp  = this.dft(fillBins(ampProfile));
+        const fftZero = this.dft(fillBins(zeroProfile));
+
+        // 지표
+        const ampMeans = ampProfile.map(p => p.mean);
+        const ampMean  = this.mean(ampMeans);
+        if (!(ampMean > 0)) throw new Error('Hall 신호 진폭이 없습니다 (모터 회전 여부 확인)');
+        const ampMax   = Math.max(...ampMeans);
+        const ampMin   = Math.min(...ampMeans);
+        const eccIndex = (ampMax - ampMin) / (ampMax + ampMin) * 100;
+
+        const zeroMeans = zeroProfile.map(p => p.mean);
+        const misIndex  = this.rms(zeroMeans) / ampMean * 100;
+
+        // 방향 피팅
+        const angRad = ampProfile.map(p => p.angle * Math.PI / 180);
+        const eccFit = this.fitSine1x(angRad, ampMeans);
+        const misFit = this.fitSine1x(angRad, zeroMeans);
+
+        return {
+            alpha, beta, zero, amplitude, mechAngle,
+            ampProfile, zeroProfile, fftAmp, fftZero, numBins,
+            metrics: {
+                ampMean, ampMax, ampMin, eccIndex, misIndex,
+                eccDir: eccFit.phiDeg, misDir: misFit.phiDeg,
+                dcU, dcV, dcW,
+                // 샘플이 들어간 bin 비율 (기계각은 0 ~ 360°/polePairs 범위만 채워짐)
+                coverage: Math.min(1, ampProfile.length / Math.ceil(numBins / polePairs)),
+                samples: N
+            }
+        };
+    },
+
+    /**
+     * U/V/W 채널 자동 지정
+     * 이름에 Hall U/V/W 가 있으면 우선, 없으면 정수값 비율이 낮은(아날로그) 채널 3개
+     *
+     * @param {Array<{name: string, data: number[]}>} channels
+     * @returns {{U: number, V: number, W: number}}  찾지 못한 역할은 -1
+     */
+    autoAssign(channels) {
+        const roles = { U: -1, V: -1, W: -1 };
+        channels.forEach((ch, i) => {
+            const m = String(ch.name || '').match(/hall\s*[-_]?\s*([uvw])\b/i);
+            if (m && roles[m[1].toUpperCase()] < 0) roles[m[1].toUpperCase()] = i;
+        });
+        if (roles.U >= 0 && roles.V >= 0 && roles.W >= 0) return roles;
+
+        // 각도/비트 채널은 정수값 비율이 높으므로 뒤로 보냄
+        const intRatio = ch => {
+            const data = ch.data || [];
+            return data.length ? data.filter(v => Number.isInteger(v)).length / data.length : 1;
+        };
+        const ratios = channels.map(intRatio);
+        const sorted = channels.map((_, i) => i).sort((a, b) => ratios[a] - ratios[b]);
+        return {
+            U: sorted[0] ?? -1,
+            V: sorted[1] ?? -1,
+            W: sorted[2] ?? -1
+        };
+    },
+
+    /**
+     * 지수(%) → 단계 { cls, label, color }
+     */
+    severity(pct) {
+        return this.SEVERITY.find(s => pct < s.max);
+    },
+
+    /**
+     * 진단 결과 문구
+     *
+     * @param {Object} metrics  analyze() 결과의 metrics
+     * @returns {{level: string, title: string, detail: string[]}}  level: good|mild|warn|crit
+     */
+    judge(metrics) {
+        const { eccIndex, misIndex, eccDir, misDir } = metrics;
+        const eccDom = eccIndex > misIndex * 1.5;
+        const misDom = misIndex > eccIndex * 1.5;
+
+        let title, detail;
+        if (eccIndex < 1 && misIndex < 1) {
+            title  = '✓ 정상';
+            detail = ['편심·편축 모두 허용 범위 이내입니다.'];
+        } else if (eccDom && misIndex < 1) {
+            title  = '⚠ 편심 (Eccentricity) 주요 원인';
+            detail = ['샤프트 중심과 자석 중심이 어긋남.',
+                      'Gap 불균일로 Amplitude가 각도에 따라 변동.',
+                      `최대 Amplitude 방향: ${eccDir.toFixed(1)}°`];
+        } else if (misDom && eccIndex < 1) {
+            title  = '⚠ 편축 (Misalignment) 주요 원인';
+            detail = ['샤프트 축이 기울어짐 (Axial Tilt).',
+                      '영상분(Zero Sequence)에 1× 성분 발생.',
+                      `최대 Zero Seq 방향: ${misDir.toFixed(1)}°`];
+        } else if (eccIndex >= 1 && misIndex >= 1) {
+            title  = '⚠ 편심 + 편축 복합';
+            detail = [`편심 ${eccIndex.toFixed(1)}% · 편축 ${misIndex.toFixed(1)}% 동시 발생.`,
+                      `편심 방향: ${eccDir.toFixed(1)}° · 편축 방향: ${misDir.toFixed(1)}°`];
+        } else if (eccIndex >= 1) {
+            title  = '⚠ 편심 의심';
+            detail = ['편축 지수는 허용 수준이나 Amplitude 변동 존재.',
+                      `최대 방향: ${eccDir.toFixed(1)}°`];
+        } else {
+            title  = '⚠ 편축 의심';
+            detail = ['편심 지수는 허용 수준이나 영상분 변동 존재.',
+                      `최대 방향: ${misDir.toFixed(1)}°`];
+        }
+
+        const worst = Math.max(eccIndex, misIndex);
+        return { level: this.severity(worst).cls, title, detail };
+    },
+
+    /**
+     * 합격/불합격 판정 (OS 테스트용)
+     *
+     * @param {Object} metrics
+     * @param {Object} [limits]
+     * @param {number} [limits.maxEccentricity=3]  편심 지수 상한 (%)
+     * @param {number} [limits.maxMisalignment=3]  편축 지수 상한 (%)
+     * @param {number} [limits.minCoverage=0.5]    기계각 bin 최소 커버리지 (0~1)
+     * @returns {{pass: boolean, message: string}}
+     */
+    evaluate(metrics, { maxEccentricity = 3, maxMisalignment = 3, minCoverage = 0.5 } = {}) {
+        const { eccIndex, misIndex, coverage } = metrics;
+        const summary = `편심 ${eccIndex.toFixed(2)}% (≤${maxEccentricity}%) / ` +
+                        `편축 ${misIndex.toFixed(2)}% (≤${maxMisalignment}%)`;
+
+        if (coverage < minCoverage) {
+            return {
+                pass: false,
+                message: `기계각 커버리지 부족 (${(coverage * 100).toFixed(0)}%) — 캡처 시간 또는 회전 속도 확인`
+            };
+        }
+        const pass = eccIndex <= maxEccentricity && misIndex <= maxMisalignment;
+        return { pass, message: `${this.judge(metrics).title} — ${summary}` };
+    },
+
+    /**
+     * 판정 카드 렌더링
+     *
+     * @param {HTMLElement} container
+     * @param {Object} metrics
+     */
+    renderVerdict(container, metrics) {
+        if (!container) return;
+        const { eccIndex, misIndex, eccDir, misDir } = metrics;
+        const eS = this.severity(eccIndex), mS = this.severity(misIndex);
+        const { level, title, detail } = this.judge(metrics);
+        const bar = (pct, s) =>
+            `<div class="hall-vc-bar"><div style="width:${Math.min(pct * 5, 100).toFixed(1)}%;background:${s.color}"></div></div>`;
+
+        container.innerHTML = `
+          <div class="hall-vc">
+            <div class="hall-vc-label">편심 지수 (Eccentricity)</div>
+            <div class="hall-vc-value ${eS.cls}">${eccIndex.toFixed(2)}%</div>
+            <div class="hall-vc-sub">${eS.label} · 방향 ${eccDir.toFixed(1)}°</div>
+            ${bar(eccIndex, eS)}
+          </div>
+          <div class="hall-vc">
+            <div class="hall-vc-label">편축 지수 (Misalignment)</div>
+            <div class="hall-vc-value ${mS.cls}">${misIndex.toFixed(2)}%</div>
+            <div class="hall-vc-sub">${mS.label} · 방향 ${misDir.toFixed(1)}°</div>
+            ${bar(misIndex, mS)}
+          </div>
+          <div class="hall-vc">
+            <div class="hall-vc-label">진단 상세</div>
+            <div class="hall-vc-row"><span>평균 Amplitude</span><b>${metrics.ampMean.toFixed(1)}</b></div>
+            <div class="hall-vc-row"><span>Amp Max / Min</span><b>${metrics.ampMax.toFixed(1)} / ${metrics.ampMin.toFixed(1)}</b></div>
+            <div class="hall-vc-row"><span>DC offset U/V/W</span><b>${metrics.dcU.toFixed(0)}/${metrics.dcV.toFixed(0)}/${metrics.dcW.toFixed(0)}</b></div>
+            <div class="hall-vc-row"><span>각도 커버리지</span><b>${(metrics.coverage * 100).toFixed(0)}%</b></div>
+          </div>
+          <div class="hall-vc hall-vc-main">
+            <div class="hall-vc-label">판정 결과</div>
+            <div class="hall-vc-result ${level}">${title}</div>
+            <div class="hall-vc-sub">${detail.join('<br>')}</div>
+          </div>`;
+    },
+
+    /**
+     * α-β 궤적 (원에서 벗어난 정도 = 편심)
+     *
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} result  analyze() 결과
+     */
+    drawTrajectory(canvas, result) {
+        const area = this._prepareCanvas(canvas);
+        if (!area) return;
+        const { ctx, w, h } = area;
+        const cx = w / 2, cy = h / 2;
+        const r = Math.min(w, h) / 2 - 16;
+        const max = Math.max(...result.amplitude) || 1;
+        const scale = r / max;
+
+        ctx.strokeStyle = '#e9ecef';
+        ctx.lineWidth = 1;
+        [0.5, 1].forEach(f => {
+            ctx.beginPath();
+            ctx.arc(cx, cy, r * f, 0, 2 * Math.PI);
+            ctx.stroke();
+        });
+        ctx.beginPath();
+        ctx.moveTo(cx - r, cy); ctx.lineTo(cx + r, cy);
+        ctx.moveTo(cx, cy - r); ctx.lineTo(cx, cy + r);
+        ctx.stroke();
+
+        // 평균 Amplitude 원
+        ctx.strokeStyle = '#adb5bd';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.arc(cx, cy, result.metrics.ampMean * scale, 0, 2 * Math.PI);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // 점이 많으면 간격을 두고 찍음
+        const step = Math.max(1, Math.floor(result.alpha.length / 4000));
+        ctx.fillStyle = 'rgba(52, 152, 219, 0.45)';
+        for (let i = 0; i < result.alpha.length; i += step) {
+            ctx.fillRect(cx + result.alpha[i] * scale - 1, cy - result.beta[i] * scale - 1, 2, 2);
+        }
+
+        this._drawTitle(ctx, 'α-β 궤적');
+    },
+
+    /**
+     * 기계각별 Amplitude / 영상분 프로파일
+     *
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} result
+     */
+    drawProfile(canvas, result) {
+        const area = this._prepareCanvas(canvas);
+        if (!area) return;
+        const { ctx, w, h } = area;
+        const pad = { l: 44, r: 44, t: 22, b: 22 };
+        const pw = w - pad.l - pad.r, ph = h - pad.t - pad.b;
+        const x = deg => pad.l + deg / 360 * pw;
+
+        const range = (vals) => {
+            let lo = Math.min(...vals), hi = Math.max(...vals);
+            if (hi - lo < 1e-9) { lo -= 1; hi += 1; }
+            const m = (hi - lo) * 0.1;
+            return [lo - m, hi + m];
+        };
+        const ampRange  = range(result.ampProfile.map(p => p.mean));
+        const zeroRange = range(result.zeroProfile.map(p => p.mean));
+        const y = (v, [lo, hi]) => pad.t + (1 - (v - lo) / (hi - lo)) * ph;
+
+        // 그리드 + 축 라벨
+        ctx.strokeStyle = '#e9ecef';
+        ctx.lineWidth = 1;
+        ctx.font = '10px sans-serif';
+        ctx.fillStyle = '#6c757d';
+        ctx.textAlign = 'center';
+        for (let deg = 0; deg <= 360; deg += 90) {
+            ctx.beginPath();
+            ctx.moveTo(x(deg), pad.t); ctx.lineTo(x(deg), pad.t + ph);
+            ctx.stroke();
+            ctx.fillText(`${deg}°`, x(deg), h - 6);
+        }
+        [ampRange, zeroRange].forEach(([lo, hi], side) => {
+            ctx.textAlign = side === 0 ? 'right' : 'left';
+            ctx.fillStyle = side === 0 ? '#3498db' : '#e67e22';
+            ctx.fillText(hi.toFixed(1), side === 0 ? pad.l - 4 : w - pad.r + 4, pad.t + 8);
+            ctx.fillText(lo.toFixed(1), side === 0 ? pad.l - 4 : w - pad.r + 4, pad.t + ph);
+        });
+
+        const line = (profile, rng, color) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            profile.forEach((p, i) => {
+                const px = x(p.angle), py = y(p.mean, rng);
+                if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+            });
+            ctx.stroke();
+        };
+        line(result.ampProfile, ampRange, '#3498db');
+        line(result.zeroProfile, zeroRange, '#e67e22');
+
+        this._drawTitle(ctx, '기계각 프로파일 — Amplitude(파랑) / 영상분(주황)');
+    },
+
+    /**
+     * 프로파일 고조파 스펙트럼 (1× 성분 = 편심/편축)
+     *
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} result
+     * @param {number} [maxOrder=20]
+     */
+    drawSpectrum(canvas, result, maxOrder = 20) {
+        const area = this._prepareCanvas(canvas);
+        if (!area) return;
+        const { ctx, w, h } = area;
+        const pad = { l: 10, r: 10, t: 22, b: 22 };
+        const pw = w - pad.l - pad.r, ph = h - pad.t - pad.b;
+        const orders = Math.min(maxOrder, result.fftAmp.length - 1);
+        const amp  = result.fftAmp.slice(1, orders + 1);
+        const zero = result.fftZero.slice(1, orders + 1);
+        const max = Math.max(...amp, ...zero) || 1;
+        const slot = pw / orders;
+        const bw = Math.max(1, slot / 2 - 2);
+
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        for (let k = 0; k < orders; k++) {
+            const x0 = pad.l + k * slot + 2;
+            const ha = amp[k] / max * ph, hz = zero[k] / max * ph;
+            ctx.fillStyle = '#3498db';
+            ctx.fillRect(x0, pad.t + ph - ha, bw, ha);
+            ctx.fillStyle = '#e67e22';
+            ctx.fillRect(x0 + bw, pad.t + ph - hz, bw, hz);
+            if (k === 0 || (k + 1) % 5 === 0) {
+                ctx.fillStyle = '#6c757d';
+                ctx.fillText(`${k + 1}×`, x0 + bw, h - 6);
+            }
+        }
+
+        this._drawTitle(ctx, '고조파 스펙트럼 (1×~)');
+    },
+
+    /** canvas 를 표시 크기 × devicePixelRatio 로 맞추고 { ctx, w, h } 반환 */
+    _prepareCanvas(canvas) {
+        if (!canvas) return null;
+        const dpr = window.devicePixelRatio || 1;
+        const w = canvas.offsetWidth || canvas.width;
+        const h = canvas.offsetHeight || canvas.height;
+        canvas.width = w * dpr;
+        canvas.height = h * dpr;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(dpr, dpr);
+        ctx.clearRect(0, 0, w, h);
+        return { ctx, w, h };
+    },
+
+    _drawTitle(ctx, text) {
+        ctx.font = '11px sans-serif';
+        ctx.fillStyle = '#495057';
+        ctx.textAlign = 'left';
+        ctx.fillText(text, 6, 13);
+    },
+};
@@ -0,0 +1,51 @@
+/**
+ * IdbStore — IndexedDB 요청/트랜잭션을 Promise 로 감싸는 공용 헬퍼
+ *
+ * ChartRecorder / MonitorCapture / OSTestHistory 가 같은 방식으로 DB 를 연다.
+ * 각 모듈은 DB 이름·버전과 object store 를 만드는 upgrade 콜백만 넘긴다.
+ *
+ * 사용 예:
+ *   const db = await IdbStore.open('myDb', 1, db => {
+ *       if (!db.objectStoreNames.contains('items')) db.createObjectStore('items', { keyPath: 'id' });
+ *   });
+ *   const tx = db.transaction('items', 'readwrite');
+ *   const id = await IdbStore.request(tx.objectStore('items').add(item));
+ *   await IdbStore.done(tx);
+ *   db.close();
+ */
+
+window.IdbStore = {
+
+    /**
+     * DB 열기 (필요 시 upgrade 콜백으로 store/index 생성)
+     * @param {string} name
+     * @param {number} version
+     * @param {Function} upgrade - (db: IDBDatabase) => void
+     * @returns {Promise<IDBDatabase>}
+     */
+    open(name, version, upgrade) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(name, version);
+            request.onupgradeneeded = () => upgrade(request.result);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /** IDBRequest → 결과 */
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /** 트랜잭션 완료 대기 (abort 도 실패로 처리) */
+    done(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+};
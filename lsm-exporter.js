@@ -1,5 +1,5 @@
 /**
- * LsmExporter — .lsm (LMS SCADAS CSV) 파일 생성/저장 모듈
+ * LsmExporter — .lsm (LMS SCADAS CSV) 파일 생성/저장/읽기 모듈
  *
  * 포맷:
  *   1행: CH1 : name;CH2 : name;...;CHn : name;
@@ -14,6 +14,9 @@
  *     { name: 'Vel FB',  data: [...] },
  *     { name: 'Trq CMD', data: [...] },
  *   ], 20, 'capture.lsm');
+ *
+ *   // 저장된 파일 다시 읽기 (Charts 탭 Import)
+ *   const { channels, periodMs } = LsmExporter.parse(text);
  */
 window.LsmExporter = {
 
@@ -72,4 +75,44 @@ window.LsmExporter = {
         a.click();
         URL.revokeObjectURL(url);
     },
+
+    /**
+     * LSM 포맷 문자열 파싱 (generate의 역변환)
+     *
+     * @param {string} text
+     * @returns {{channels: Array<{name: string, times: number[], data: number[]}>, periodMs: number}}
+     *          times: 초 단위 (파일 값 그대로)
+     * @throws {Error} 헤더가 LSM 포맷이 아닐 때
+     */
+    parse(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length === 0) throw new Error('빈 파일입니다');
+
+        // 헤더: "CH1 : name;CH2 : name;..."
+        const names = lines[0].split(';').filter(cell => cell.trim() !== '').map(cell => {
+            const match = cell.match(/^\s*CH\d+\s*:\s?(.*)$/);
+            if (!match) throw new Error(`LSM 헤더 형식이 아닙니다: "${cell.trim()}"`);
+            return match[1].trim();
+        });
+        const channels = names.map(name => ({ name, times: [], data: [] }));
+
+        for (let row = 1; row < lines.length; row++) {
+            const cells = lines[row].split(';');
+            channels.forEach((ch, i) => {
+                const [t, v] = (cells[i] || '').trim().split(/\s+/).map(Number);
+                if (Number.isFinite(t) && Number.isFinite(v)) {
+                    ch.times.push(t);
+                    ch.data.push(v);
+                }
+            });
+        }
+
+        // 샘플 주기: 첫 채널의 전체 구간 / 간격 수 (ms, 0.001ms 단위로 반올림)
+        const times = channels[0]?.times || [];
+        const periodMs = times.length > 1
+            ? Math.round((times[times.length - 1] - times[0]) / (times.length - 1) * 1e6) / 1000
+            : 0;
+
+        return { channels, periodMs };
+    },
 };
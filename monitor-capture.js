@@ -0,0 +1,442 @@
+/**
+ * MonitorCapture — 통신 모니터 프레임을 IndexedDB 에 무제한 기록하는 모듈
+ *
+ * 화면 모니터는 최근 500개만 메모리에 두므로, 현장 트레이스를 통째로 남기려면
+ * 캡처를 켜서 모든 TX/RX/오류/시스템 항목을 세션 단위로 저장한다.
+ * 쓰기는 batchSize 개 또는 flushMs 마다 한 트랜잭션으로 묶어 버스 루프를 막지 않는다.
+ *
+ * 저장 구조 (DB 'monitorCapture'):
+ *   sessions: { id, name, createdAt, frameCount, firstTime, lastTime }
+ *   frames:   { seq, sessionId, t, dir, type, bytes, text, errorMsg }
+ *             index 'session_t' = [sessionId, t]
+ *   dir: 'tx' | 'rx' | 'error' | 'system'
+ *
+ * 필터 (matches / query):
+ *   { slaveId, fc, dir, errorsOnly, t0, t1, search }
+ *   fc 는 예외 응답(FC | 0x80)도 같은 FC 로 취급. search 는 HEX 바이트 열
+ *   ("01 03 00") 또는 메시지 텍스트(대소문자 무시)로 찾는다.
+ *
+ * 파일 포맷 (export / import, JSON):
+ *   { format: 'monitor-capture', version: 1, name, createdAt,
+ *     frames: [{ t, type, hex, text, errorMsg }] }
+ */
+
+const MONITOR_CAPTURE_DB = 'monitorCapture';
+const MONITOR_CAPTURE_DB_VERSION = 1;
+const MONITOR_CAPTURE_FORMAT = 'monitor-capture';
+
+class MonitorCapture {
+    /**
+     * @param {Object} options
+     * @param {number} options.batchSize - 이 개수가 쌓이면 즉시 저장
+     * @param {number} options.flushMs   - 마지막 저장 후 최대 대기 시간
+     */
+    constructor({ batchSize = 200, flushMs = 500 } = {}) {
+        this.batchSize = batchSize;
+        this.flushMs = flushMs;
+
+        this.session = null;       // { id, name, createdAt, frameCount, firstTime, lastTime }
+        this.pending = [];
+        this.flushTimer = null;
+        this.writeChain = Promise.resolve();
+        this.db = null;
+        this.onError = null;       // (error) => void — 저장 실패 (용량 초과 등)
+    }
+
+    get sessionId() {
+        return this.session ? this.session.id : null;
+    }
+
+    /** 저장 대기 포함 현재 세션 프레임 수 */
+    get frameCount() {
+        return this.session ? this.session.frameCount + this.pending.length : 0;
+    }
+
+    // ─────────────────────────────────────────────────────────
+    //  IndexedDB
+
+    static openDb() {
+        return IdbStore.open(MONITOR_CAPTURE_DB, MONITOR_CAPTURE_DB_VERSION, db => {
+            if (!db.objectStoreNames.contains('sessions')) {
+                db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+            }
+            if (!db.objectStoreNames.contains('frames')) {
+                const frames = db.createObjectStore('frames', { keyPath: 'seq', autoIncrement: true });
+                frames.createIndex('session_t', ['sessionId', 't']);
+            }
+        });
+    }
+
+    /**
+     * 저장된 세션 목록 (최신순)
+     * @returns {Promise<Array<{id, name, createdAt, frameCount, firstTime, lastTime}>>}
+     */
+    static async listSessions() {
+        const db = await MonitorCapture.openDb();
+        try {
+            const tx = db.transaction('sessions', 'readonly');
+            const sessions = await IdbStore.request(tx.objectStore('sessions').getAll());
+            return sessions.sort((a, b) => b.createdAt - a.createdAt);
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * 세션과 프레임 삭제
+     * @param {number} id
+     */
+    static async removeSession(id) {
+        const db = await MonitorCapture.openDb();
+        try {
+            const tx = db.transaction(['sessions', 'frames'], 'readwrite');
+            tx.objectStore('sessions').delete(id);
+            tx.objectStore('frames').index('session_t')
+                .openKeyCursor(MonitorCapture._sessionRange(id)).onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (!cursor) return;
+                    tx.objectStore('frames').delete(cursor.primaryKey);
+                    cursor.continue();
+                };
+            await IdbStore.done(tx);
+        } finally {
+            db.close();
+        }
+    }
+
+    static _sessionRange(id, t0 = -Infinity, t1 = Infinity) {
+        return IDBKeyRange.bound([id, t0], [id, t1]);
+    }
+
+    /**
+     * 세션 프레임 조회 (시간순). 일치 항목이 limit 을 넘으면 마지막 limit 개만 반환
+     * @param {number} sessionId
+     * @param {Object} filter - normalizeFilter() 결과
+     * @param {number} limit
+     * @returns {Promise<{frames: Object[], total: number}>}
+     */
+    static async query(sessionId, filter = {}, limit = 2000) {
+        const db = await MonitorCapture.openDb();
+        try {
+            const tx = db.transaction('frames', 'readonly');
+            const range = MonitorCapture._sessionRange(
+                sessionId, filter.t0 ?? -Infinity, filter.t1 ?? Infinity);
+            const frames = [];
+            let total = 0;
+            await new Promise((resolve, reject) => {
+                const request = tx.objectStore('frames').index('session_t').openCursor(range);
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) {
+                        resolve();
+                        return;
+                    }
+                    if (MonitorCapture.matches(cursor.value, filter)) {
+                        total++;
+                        frames.push(cursor.value);
+                        if (frames.length > limit) frames.shift();
+                    }
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
+            });
+            return { frames, total };
+        } finally {
+            db.close();
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────
+    //  필터
+
+    /**
+     * 모니터 항목 → 저장 레코드 (sessionId 제외)
+     * @param {{type, dataOrMessage, errorMsg, timestamp}} entry - addMonitorEntry 항목
+     */
+    static toRecord(entry) {
+        const { type, dataOrMessage, errorMsg = null, timestamp } = entry;
+        const isFrame = dataOrMessage instanceof Uint8Array;
+        return {
+            t: timestamp,
+            dir: MonitorCapture.direction(type),
+            type,
+            bytes: isFrame ? new Uint8Array(dataOrMessage) : null,
+            text: isFrame ? null : String(dataOrMessage ?? ''),
+            errorMsg: errorMsg || null
+        };
+    }
+
+    /** addMonitorEntry type → 방향 ('sent'/'tx' → 'tx', 'received'/'rx' → 'rx') */
+    static direction(type) {
+        if (type === 'sent' || type === 'tx') return 'tx';
+        if (type === 'received' || type === 'rx') return 'rx';
+        if (type === 'error') return 'error';
+        return 'system';
+    }
+
+    /** 오류 항목 여부 — 오류 로그, 경고 메시지, Modbus 예외 응답 */
+    static isError(record) {
+        if (record.dir === 'error' || record.errorMsg) return true;
+        const bytes = record.bytes;
+        return !!bytes && bytes.length >= 2 && record.dir === 'rx' && (bytes[1] & 0x80) !== 0;
+    }
+
+    /**
+     * 입력값 → 필터 (빈 값은 조건에서 제외)
+     * @param {Object} raw - { slaveId, fc, dir, errorsOnly, t0, t1, search } (문자열 허용)
+     */
+    static normalizeFilter(raw = {}) {
+        const toInt = (v) => {
+            if (v === undefined || v === null || String(v).trim() === '') return null;
+            const s = String(v).trim();
+            const n = /^0x/i.test(s) ? parseInt(s, 16) : parseInt(s, 10);
+            return isNaN(n) ? null : n;
+        };
+        const toTime = (v) => {
+            if (v === undefined || v === null || v === '') return null;
+            const t = typeof v === 'number' ? v : new Date(v).getTime();
+            return isNaN(t) ? null : t;
+        };
+
+        const filter = {
+            slaveId: toInt(raw.slaveId),
+            fc: toInt(raw.fc),
+            dir: raw.dir || null,
+            errorsOnly: !!raw.errorsOnly,
+            t0: toTime(raw.t0),
+            t1: toTime(raw.t1),
+            search: null,
+            searchBytes: null
+        };
+
+        const search = String(raw.search ?? '').trim();
+        if (search) {
+            filter.search = search.toLowerCase();
+            // "01 03 00", "010300", "0x01,0x03" → 바이트 열 (홀수 자리 등은 텍스트 검색만)
+            const hex = search.replace(/0x/gi, '').replace(/[\s,:-]/g, '');
+            if (/^[0-9a-f]+$/i.test(hex) && hex.length % 2 === 0) {
+                filter.searchBytes = hex.match(/../g).map(b => parseInt(b, 16));
+            }
+        }
+        return filter;
+    }
+
+    /** 바이트 열 포함 여부 */
+    static _containsBytes(bytes, pattern) {
+        outer:
+        for (let i = 0; i + pattern.length <= bytes.length; i++) {
+            for (let k = 0; k < pattern.length; k++) {
+                if (bytes[i + k] !== pattern[k]) continue outer;
+            }
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * 레코드가 필터 조건을 모두 만족하는지
+     * @param {Object} record - toRecord() 형식
+     * @param {Object} filter - normalizeFilter() 결과
+     */
+    static matches(record, filter) {
+        const bytes = record.bytes;
+        if (filter.slaveId !== null && filter.slaveId !== undefined) {
+            if (!bytes || bytes[0] !== filter.slaveId) return false;
+        }
+        if (filter.fc !== null && filter.fc !== undefined) {
+            if (!bytes || bytes.length < 2 || (bytes[1] & 0x7F) !== (filter.fc & 0x7F)) return false;
+        }
+        if (filter.dir && record.dir !== filter.dir) return false;
+        if (filter.errorsOnly && !MonitorCapture.isError(record)) return false;
+        if (filter.t0 !== null && filter.t0 !== undefined && record.t < filter.t0) return false;
+        if (filter.t1 !== null && filter.t1 !== undefined && record.t > filter.t1) return false;
+
+        if (filter.search) {
+            const inBytes = !!bytes && !!filter.searchBytes &&
+                MonitorCapture._containsBytes(bytes, filter.searchBytes);
+            const text = `${record.text || ''} ${record.errorMsg || ''}`.toLowerCase();
+            if (!inBytes && !text.includes(filter.search)) return false;
+        }
+        return true;
+    }
+
+    // ─────────────────────────────────────────────────────────
+    //  기록
+
+    /**
+     * 새 세션 시작
+     * @param {string} name - 비우면 시작 시각으로 이름 생성
+     */
+    async start(name = '') {
+        this.db = await MonitorCapture.openDb();
+        const createdAt = Date.now();
+        const session = {
+            name: name || `capture ${new Date(createdAt).toLocaleString()}`,
+            createdAt,
+            frameCount: 0,
+            firstTime: null,
+            lastTime: null
+        };
+        const tx = this.db.transaction('sessions', 'readwrite');
+        session.id = await IdbStore.request(tx.objectStore('sessions').add(session));
+        await IdbStore.done(tx);
+        this.session = session;
+        return session.id;
+    }
+
+    /**
+     * 모니터 항목 1개 기록 (배치로 모아서 저장)
+     * @param {Object} entry - addMonitorEntry 항목
+     */
+    append(entry) {
+        if (!this.session) return;
+        this.pending.push(MonitorCapture.toRecord(entry));
+        if (this.pending.length >= this.batchSize) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.flushMs);
+        }
+    }
+
+    /** 대기 중인 프레임 저장 (순서 보장) */
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (!this.session || this.pending.length === 0) return this.writeChain;
+
+        const records = this.pending;
+        this.pending = [];
+        const session = this.session;
+        this.writeChain = this.writeChain.then(async () => {
+            const tx = this.db.transaction(['sessions', 'frames'], 'readwrite');
+            const frames = tx.objectStore('frames');
+            records.forEach(record => frames.add({ ...record, sessionId: session.id }));
+
+            session.frameCount += records.length;
+            session.firstTime = session.firstTime ?? records[0].t;
+            session.lastTime = records[records.length - 1].t;
+            tx.objectStore('sessions').put(session);
+            await IdbStore.done(tx);
+        }).catch(error => {
+            console.error('[MonitorCapture] 저장 실패:', error);
+            if (this.onError) this.onError(error);
+        });
+        return this.writeChain;
+    }
+
+    /** 세션 종료 — 남은 프레임 저장 후 DB 닫기 */
+    async stop() {
+        await this.flush();
+        this.session = null;
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────
+    //  파일 export / import
+
+    static _toHex(bytes) {
+        return Array.from(bytes)
+            .map(b => b.toString(16).toUpperCase().padStart(2, '0'))
+            .join(' ');
+    }
+
+    /**
+     * 세션 → JSON Blob
+     * @param {number} sessionId
+     * @param {Object} filter - 지정 시 일치 항목만 내보냄
+     */
+    static async exportSession(sessionId, filter = {}) {
+        const db = await MonitorCapture.openDb();
+        let session;
+        try {
+            const tx = db.transaction('sessions', 'readonly');
+            session = await IdbStore.request(tx.objectStore('sessions').get(sessionId));
+        } finally {
+            db.close();
+        }
+        if (!session) throw new Error(`세션을 찾을 수 없습니다 (id ${sessionId})`);
+
+        const { frames } = await MonitorCapture.query(sessionId, filter, Infinity);
+        return MonitorCapture.toFile(session.name, session.createdAt, frames);
+    }
+
+    /**
+     * 레코드 목록 → JSON Blob (메모리 모니터 항목 내보내기에도 사용)
+     */
+    static toFile(name, createdAt, records) {
+        const file = {
+            format: MONITOR_CAPTURE_FORMAT,
+            version: 1,
+            name,
+            createdAt,
+            frames: records.map(r => ({
+                t: r.t,
+                type: r.type,
+                hex: r.bytes ? MonitorCapture._toHex(r.bytes) : null,
+                text: r.text,
+                errorMsg: r.errorMsg
+            }))
+        };
+        return new Blob([JSON.stringify(file)], { type: 'application/json' });
+    }
+
+    /**
+     * 캡처 파일(JSON 텍스트) → 새 세션으로 저장
+     * @param {string} text
+     * @returns {Promise<number>} 새 세션 id
+     */
+    static async importFile(text) {
+        const file = JSON.parse(text);
+        if (file.format !== MONITOR_CAPTURE_FORMAT || !Array.isArray(file.frames)) {
+            throw new Error('모니터 캡처 파일 형식이 아닙니다');
+        }
+
+        const records = file.frames.map(f => ({
+            t: Number(f.t),
+            type: f.type,
+            dir: MonitorCapture.direction(f.type),
+            bytes: f.hex ? new Uint8Array(f.hex.trim().split(/\s+/).map(b => parseInt(b, 16))) : null,
+            text: f.text ?? null,
+            errorMsg: f.errorMsg ?? null
+        })).sort((a, b) => a.t - b.t);
+
+        const db = await MonitorCapture.openDb();
+        try {
+            const tx = db.transaction(['sessions', 'frames'], 'readwrite');
+            const session = {
+                name: `${file.name || 'imported'} (import)`,
+                createdAt: Date.now(),
+                frameCount: records.length,
+                firstTime: records.length ? records[0].t : null,
+                lastTime: records.length ? records[records.length - 1].t : null
+            };
+            const id = await IdbStore.request(tx.objectStore('sessions').add(session));
+            const frames = tx.objectStore('frames');
+            records.forEach(record => frames.add({ ...record, sessionId: id }));
+            await IdbStore.done(tx);
+            return id;
+        } finally {
+            db.close();
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────
+    //  리플레이
+
+    /**
+     * TX 레코드 → 원래 간격을 유지한 전송 계획
+     * @param {Object[]} records - 시간순 레코드 (TX 외 항목은 무시)
+     * @param {number} speed - 재생 배속 (0 = 대기 없이 연속 전송)
+     * @returns {Array<{frame: Uint8Array, delayMs: number}>} delayMs = 직전 TX 로부터의 간격
+     */
+    static replayPlan(records, speed = 1) {
+        const txs = records.filter(r => r.dir === 'tx' && r.bytes && r.bytes.length >= 4);
+        return txs.map((r, i) => ({
+            frame: r.bytes,
+            delayMs: i === 0 || !speed ? 0 : Math.max(0, (r.t - txs[i - 1].t) / speed)
+        }));
+    }
+}
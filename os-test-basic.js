@@ -31,7 +31,7 @@ window._basicAlarmResetExecutor = async function() {
   // Phase 2-1: 현재 상태 읽기 (Motor Status)
   self.addLog('[Phase 2-1] Motor Status 읽기 (0xD011, FC04)', 'info');
   const motorStatus =
-      await window.dashboard.readInputRegisterWithTimeout(1, 0xD011);
+      await window.dashboard.readInputRegisterWithTimeout(self.targetSlaveId, 0xD011);
   if (motorStatus === null || motorStatus === undefined) {
     return {
       status: 'fail',
@@ -46,7 +46,7 @@ window._basicAlarmResetExecutor = async function() {
 
   // Phase 2-2: 정상 구동 중 Alarm Reset 전송
   self.addLog('[Phase 2-2] Alarm Reset 명령 전송 (0x800E ← 0x0001)', 'info');
-  await window.dashboard.writeRegister(1, 0x800E, 0x0001);
+  await window.dashboard.writeRegister(self.targetSlaveId, 0x800E, 0x0001);
   await new Promise(r => setTimeout(r, 300));
 
   // Phase 3: 알람 유발 안내 + 카운트다운
@@ -63,11 +63,11 @@ window._basicAlarmResetExecutor = async function() {
       0);
 
   self.addLog('[Phase 3] Alarm Reset 재전송', 'info');
-  await window.dashboard.writeRegister(1, 0x800E, 0x0001);
+  await window.dashboard.writeRegister(self.targetSlaveId, 0x800E, 0x0001);
   await new Promise(r => setTimeout(r, 500));
 
   const statusAfter =
-      await window.dashboard.readInputRegisterWithTimeout(1, 0xD011);
+      await window.dashboard.readInputRegisterWithTimeout(self.targetSlaveId, 0xD011);
   self.addLog(
       `리셋 후 Motor Status: ${
           statusAfter !== null ?
@@ -78,10 +78,10 @@ window._basicAlarmResetExecutor = async function() {
   // Phase 4: 비정상 코드 쓰기 → 예외 확인
   self.addLog(
       '[Phase 4] 비정상 Alarm Reset 코드 전송 (0x800E ← 0xFFFF)', 'info');
-  await window.dashboard.writeRegister(1, 0x800E, 0xFFFF);
+  await window.dashboard.writeRegister(self.targetSlaveId, 0x800E, 0xFFFF);
   await new Promise(r => setTimeout(r, 300));
   const statusAfterInvalid =
-      await window.dashboard.readInputRegisterWithTimeout(1, 0xD011);
+      await window.dashboard.readInputRegisterWithTimeout(self.targetSlaveId, 0xD011);
   self.addLog(
       `비정상 코드 후 Motor Status: ${
           statusAfterInvalid !== null ? '0x' +
@@ -307,7 +307,7 @@ window.OSTestModules.push(
         'basic01': async function() {
           const self = this;
           const d = window.dashboard;
-          const slaveId = 1;
+          const slaveId = self.targetSlaveId;
           self.checkConnection();
 
           const passed = [];
@@ -576,7 +576,7 @@ window.OSTestModules.push(
           const self = this;
           const d = window.dashboard;
           const modbus = d.modbus;
-          const slaveId = 1;
+          const slaveId = self.targetSlaveId;
 
           self.checkConnection();
 
@@ -1186,7 +1186,7 @@ window.OSTestModules.push(
           self.checkConnection();
           const d = window.dashboard;
           const modbus = d.modbus;
-          const slaveId = 1;
+          const slaveId = self.targetSlaveId;
           const _wait = ms => new Promise(r => setTimeout(r, ms));
           const dirLabel = v =>
               v === 0 ? 'CCW(0)' : v === 1 ? 'CW(1)' : `Unknown(${v})`;
@@ -1685,7 +1685,7 @@ window.OSTestModules.push(
         'basic06': async function() {
           const self = this;
           const d = window.dashboard;
-          const slaveId = 1;
+          const slaveId = self.targetSlaveId;
 
           self.checkConnection();
 
@@ -1974,7 +1974,7 @@ window.OSTestModules.push(
         'basic07': async function() {
           const self = this;
           const d = window.dashboard;
-          const slaveId = 1;
+          const slaveId = self.targetSlaveId;
 
           self.checkConnection();
 
@@ -2140,7 +2140,7 @@ window.OSTestModules.push(
         'basic08': async function() {
           const self = this;
           const d = window.dashboard;
-          const slaveId = 1;
+          const slaveId = self.targetSlaveId;
 
           self.checkConnection();
 
@@ -2297,7 +2297,7 @@ window.OSTestModules.push(
         'basic09': async function() {
           const self = this;
           const d = window.dashboard;
-          const slaveId = 1;
+          const slaveId = self.targetSlaveId;
 
           self.checkConnection();
 
@@ -1,6 +1,6 @@
 /**
  * OS Test Module - 구동동작
- * 4-1 ~ 4-9. Set Value Source (PWM/Analog V/Analog I/RS485), FG PPR, Operation Mode, Set Value, Open-loop, Closed-loop
+ * 4-1 ~ 4-9. Set Value Source (PWM/Analog V/Analog I/RS485), FG PPR, Operation Mode, Hall UVW 진단, Set Value, Open-loop, Closed-loop
  */
 
 window.OSTestModules = window.OSTestModules || [];
@@ -133,6 +133,44 @@ window.OSTestModules.push({
             ],
         },
 
+        // ── 4-7. Hall UVW 편심/편축 진단 ──────────────────────────────────────
+        'drive07': {
+            id: 'drive07',
+            category: '구동동작',
+            number: '4-7',
+            title: 'Hall UVW 편심/편축 진단',
+            description: '정속 구동 중 Hall U/V/W 신호를 수집해 자석 편심·샤프트 편축 여부 판정',
+            purpose: '모터를 일정 속도로 구동하면서 FC 0x64로 Hall U/V/W(Ch# 22/23/24) 신호를 수집하고, Clarke 변환 기반 분석으로 편심 지수(Amplitude 변동)와 편축 지수(영상분 크기)를 산출해 조립 품질을 판정한다.',
+            model: 'EC-FAN',
+            equipment: 'EC FAN 1EA, USB to RS485 Converter',
+            criteria: '편심 지수 ≤ 3% / 편축 지수 ≤ 3% (각도 180 bin 기준)',
+            steps: [
+                { type: 'check_connection' },
+                {
+                    type: 'read_holding', slaveId: 1, address: 0xD001, storeAs: 'hallOrigSetpoint',
+                    label: 'Setpoint [0xD001] 백업'
+                },
+                {
+                    type: 'write_holding', slaveId: 1, address: 0xD001, value: 24000,
+                    label: 'Setpoint = 600 RPM (Hall 신호 수집용 정속 구동)'
+                },
+                { type: 'delay', ms: 5000, label: '5초 대기 (속도 안정화)' },
+                {
+                    type: 'hall_uvw_analysis', slaveId: 1, durationMs: 3000,
+                    polePairs: 1, numBins: 180, maxEccentricity: 3, maxMisalignment: 3,
+                    label: 'Hall U/V/W 3초 수집 → 편심/편축 판정\n판정 기준: 편심 지수 ≤ 3% / 편축 지수 ≤ 3%'
+                },
+                {
+                    type: 'write_holding', slaveId: 1, address: 0xD001, value: 0,
+                    label: 'Setpoint = 0 (정지)'
+                },
+                {
+                    type: 'restore_holding', slaveId: 1, address: 0xD001, from: 'hallOrigSetpoint',
+                    label: 'Setpoint [0xD001] 원래 값으로 복원'
+                },
+            ]
+        },
+
 
     }, // end tests
 
@@ -143,7 +181,7 @@ window.OSTestModules.push({
             const self    = this;
             const d       = window.dashboard;
             const modbus  = d.modbus;
-            const slaveId = 1;
+            const slaveId = self.targetSlaveId;
             self.checkConnection();
 
             // ── 인라인 차트 삽입 ──────────────────────────────────────────────
@@ -601,7 +639,7 @@ window.OSTestModules.push({
             const self    = this;
             const d       = window.dashboard;
             const modbus  = d.modbus;
-            const slaveId = 1;
+            const slaveId = self.targetSlaveId;
             self.checkConnection();
 
             // ── 인라인 차트 삽입 ──────────────────────────────────────────────
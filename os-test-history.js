@@ -0,0 +1,188 @@
+/**
+ * OSTestHistory — OS 검증 실행 이력을 IndexedDB 에 디바이스별로 보관하는 모듈
+ *
+ * OSTestManager.results 는 Run All 때마다 초기화되므로, 실행이 끝나면
+ * OSTestReport.build() 결과(판정/스텝/로그/스냅샷/패킷)를 이름 붙은 Run 으로 저장한다.
+ * 목록 조회가 가볍도록 메타데이터와 보고서 본문을 다른 store 에 둔다.
+ *
+ * 저장 구조 (DB 'osTestHistory'):
+ *   runs:    { id, name, scope, createdAt, operator, serialNumber, osVersions, summary }
+ *            index 'serialNumber'
+ *   reports: { runId, report }   report = OSTestReport.build() 결과
+ *   scope: null (Run All / 수동 저장) | 카테고리 이름 (카테고리 Run)
+ *
+ * 비교 (compare):
+ *   기준 Run(A) → 비교 Run(B) 의 테스트별 판정 변화
+ *   change: 'new-failure' | 'fixed' | 'changed' | 'same' | 'added' | 'removed'
+ */
+
+const OS_HISTORY_DB = 'osTestHistory';
+const OS_HISTORY_DB_VERSION = 1;
+
+class OSTestHistory {
+    static CHANGE_LABELS = {
+        'new-failure': '신규 불합격',
+        'fixed':       '해결',
+        'changed':     '변경',
+        'same':        '동일',
+        'added':       '추가',
+        'removed':     '제외',
+    };
+
+    // ─────────────────────────────────────────────────────────
+    //  IndexedDB
+
+    static openDb() {
+        return IdbStore.open(OS_HISTORY_DB, OS_HISTORY_DB_VERSION, db => {
+            if (!db.objectStoreNames.contains('runs')) {
+                const runs = db.createObjectStore('runs', { keyPath: 'id', autoIncrement: true });
+                runs.createIndex('serialNumber', 'serialNumber');
+            }
+            if (!db.objectStoreNames.contains('reports')) {
+                db.createObjectStore('reports', { keyPath: 'runId' });
+            }
+        });
+    }
+
+    // ─────────────────────────────────────────────────────────
+    //  Run 저장 / 조회
+
+    /**
+     * 저장된 Run 목록 (최신순)
+     * @param {string|null} [serialNumber] - 지정 시 해당 디바이스만
+     * @returns {Promise<Array<{id, name, scope, createdAt, operator, serialNumber, osVersions, summary}>>}
+     */
+    static async listRuns(serialNumber = null) {
+        const db = await OSTestHistory.openDb();
+        try {
+            const store = db.transaction('runs', 'readonly').objectStore('runs');
+            const runs = await IdbStore.request(serialNumber
+                ? store.index('serialNumber').getAll(serialNumber)
+                : store.getAll());
+            return runs.sort((a, b) => b.createdAt - a.createdAt);
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * 보고서를 Run 으로 저장
+     * @param {Object} report - OSTestReport.build() 결과
+     * @param {Object} options
+     * @param {string} options.name
+     * @param {string|null} [options.scope]
+     * @returns {Promise<number>} run id
+     */
+    static async saveRun(report, { name, scope = null }) {
+        const run = {
+            name,
+            scope,
+            createdAt: Date.parse(report.generatedAt) || Date.now(),
+            operator: report.operator,
+            // index 키는 null 불가 → 빈 문자열로 저장
+            serialNumber: report.device.serialNumber || '',
+            osVersions: report.device.osVersions,
+            summary: report.summary
+        };
+        const db = await OSTestHistory.openDb();
+        try {
+            const tx = db.transaction(['runs', 'reports'], 'readwrite');
+            const id = await IdbStore.request(tx.objectStore('runs').add(run));
+            tx.objectStore('reports').put({ runId: id, report });
+            await IdbStore.done(tx);
+            return id;
+        } finally {
+            db.close();
+        }
+    }
+
+    /** Run 의 보고서 본문 (없으면 null) */
+    static async getReport(runId) {
+        const db = await OSTestHistory.openDb();
+        try {
+            const tx = db.transaction('reports', 'readonly');
+            const entry = await IdbStore.request(tx.objectStore('reports').get(runId));
+            return entry ? entry.report : null;
+        } finally {
+            db.close();
+        }
+    }
+
+    static async renameRun(runId, name) {
+        const db = await OSTestHistory.openDb();
+        try {
+            const tx = db.transaction('runs', 'readwrite');
+            const store = tx.objectStore('runs');
+            const run = await IdbStore.request(store.get(runId));
+            if (!run) throw new Error(`Run 없음: ${runId}`);
+            run.name = name;
+            store.put(run);
+            await IdbStore.done(tx);
+        } finally {
+            db.close();
+        }
+    }
+
+    static async removeRun(runId) {
+        const db = await OSTestHistory.openDb();
+        try {
+            const tx = db.transaction(['runs', 'reports'], 'readwrite');
+            tx.objectStore('runs').delete(runId);
+            tx.objectStore('reports').delete(runId);
+            await IdbStore.done(tx);
+        } finally {
+            db.close();
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────
+    //  비교
+
+    /** 보고서 → { testId: { category, number, title, result } } */
+    static _flatten(report) {
+        const map = new Map();
+        (report?.categories || []).forEach(cat => cat.tests.forEach(t => {
+            map.set(t.id, { category: cat.name, number: t.number, title: t.title, result: t.result });
+        }));
+        return map;
+    }
+
+    /** 판정 변화 분류 (a/b 는 'pass'|'fail'|'pending', 없으면 undefined) */
+    static classify(a, b) {
+        if (a === undefined) return b === 'fail' ? 'new-failure' : 'added';
+        if (b === undefined) return 'removed';
+        if (a === b) return 'same';
+        if (b === 'fail') return 'new-failure';
+        if (a === 'fail' && b === 'pass') return 'fixed';
+        return 'changed';
+    }
+
+    /**
+     * 두 Run 의 테스트별 비교
+     * @param {Object} base  - 기준(이전) 보고서
+     * @param {Object} other - 비교(이후) 보고서
+     * @returns {{rows: Array<{id, category, number, title, a, b, change}>, counts: Object}}
+     */
+    static compare(base, other) {
+        const a = OSTestHistory._flatten(base);
+        const b = OSTestHistory._flatten(other);
+        const ids = [...b.keys(), ...[...a.keys()].filter(id => !b.has(id))];
+
+        const counts = Object.fromEntries(Object.keys(OSTestHistory.CHANGE_LABELS).map(k => [k, 0]));
+        const rows = ids.map(id => {
+            const info = b.get(id) || a.get(id);
+            const change = OSTestHistory.classify(a.get(id)?.result, b.get(id)?.result);
+            counts[change]++;
+            return {
+                id,
+                category: info.category,
+                number: info.number,
+                title: info.title,
+                a: a.get(id)?.result ?? null,
+                b: b.get(id)?.result ?? null,
+                change
+            };
+        });
+        return { rows, counts };
+    }
+}
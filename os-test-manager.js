@@ -10,6 +10,8 @@
  * 2. steps 배열을 선언형(declarative) 스텝 객체로 작성
  * 3. executor 함수는 복잡한 로직이 필요한 경우에만 별도 작성
  *    (없으면 자동으로 선언형 스텝 엔진이 실행)
+ * 소스 수정 없이 추가하려면 같은 스텝 객체로 JSON 스위트를 작성해 Suites → Import
+ * (형식·검증 규칙은 os-test-suite.js). 목록/카드는 renderTestList() 가 매번 새로 그린다.
  *
  * [지원하는 스텝 타입]
  *  { type: 'check_connection' }
@@ -21,6 +23,19 @@
  *  { type: 'restore_holding', slaveId, address, from, label? }
  *  { type: 'wait_countdown', seconds, message? }
  *  { type: 'delay', ms }
+ *  { type: 'hall_uvw_analysis', slaveId, channels?, durationMs?, period?, polePairs?, numBins?,
+ *                               maxEccentricity?, maxMisalignment?, storeAs? }
+ *  { type: 'reference_compare', slaveId, reference, channels?, durationMs?, period?, align?,
+ *                               tolerancePct?, toleranceAbs?, maxViolationPct?, storeAs? }
+ *  { type: 'poll_until',    slaveId, address, until, fc?, signed?, intervalMs?, timeoutMs?, storeAs? }
+ *  { type: 'chart_capture', slaveId, channels, durationMs?, period?, zeroLevel?, assert?, storeAs? }
+ *  { type: 'read_canopen',  slaveId, index, subIndex?, size?, expect?, softMatch?, storeAs? }
+ *  { type: 'write_canopen', slaveId, index, subIndex?, value?, valueFrom?, verifyAfterWrite?,
+ *                            expectReject? }
+ *  { type: 'sw_reset',      slaveId, timeoutMs?, pollIntervalMs? }
+ *  { type: 'operator_prompt', message, yesLabel?, noLabel?, failOnNo?, storeAs? }
+ *  { type: 'branch', if, then?, else? }
+ *  { type: 'loop',   steps, times?, while?, indexAs?, maxIterations? }
  *
  * [스텝 파라미터]
  *  storeAs          : 읽은 값을 this.stepContext[key] 에 저장
@@ -28,10 +43,50 @@
  *  softMatch        : expect 불일치 시 경고만 하고 계속 진행 (기본: false = 실패 처리)
  *  softFail         : 스텝 자체 실패(Timeout 등) 시 경고만 하고 계속 진행
  *  verifyAfterWrite : write 후 read-back 으로 검증
+ *  channels         : hall_uvw_analysis 의 FC 0x64 Ch# [U, V, W] (기본: [0x16, 0x17, 0x18])
+ *  maxEccentricity / maxMisalignment : 편심/편축 지수 상한 % (기본: 3)
+ *  reference        : reference_compare 의 기준 파형 이름 (Charts 탭 Reference 에서 저장)
+ *                     channels 생략 시 기준 파형에 저장된 Ch# 로 캡처, align 기본 'xcorr'
+ *  until / if / while : 조건 객체 { eq?, ne?, gt?, gte?, lt?, lte?, mask? } — 모든 키가 참이어야 함
+ *                     mask 가 있으면 (값 & mask) 를 비교. if / while 은 var 로 stepContext 값을 지정
+ *                     ('hall.eccIndex' 처럼 점 경로 가능), exists: true|false 로 저장 여부 검사
+ *  fc               : poll_until 의 읽기 대상 'input'(FC04, 기본) | 'holding'(FC03)
+ *  assert           : chart_capture 채널별 통계 조건 배열
+ *                     [{ min?, max?, mean?, p2p?, rms?, zeroCrossings? }]  (각 값은 조건 객체)
+ *  zeroLevel        : zeroCrossings 기준 레벨 (숫자, 'mean' = 채널 평균, 기본 0)
+ *  expectReject     : write_canopen 이 거부(Abort/에코)되어야 합격
+ *  failOnNo         : operator_prompt 에서 '아니오' 를 불합격 처리 (기본 true)
+ *  then / else / steps : 중첩 스텝 배열 (Step 3.1, 3.2 … 로 로그에 표시)
+ *  indexAs          : loop 반복 번호(0부터)를 stepContext[key] 에 저장
+ *
+ * [보고서]
+ * 선언형 스텝은 단계마다 기대/측정값을 testStepDetails 에 남기고, hall_uvw_analysis /
+ * reference_compare 는 차트 스냅샷을 첨부한다. 커스텀 executor 는 attachSnapshot() 으로
+ * 직접 첨부할 수 있다. exportSuiteReport() 가 OSTestReport 로 전체 보고서를 만든다.
+ * Run All / 카테고리 Run 이 끝나면 archiveRun() 이 같은 보고서를 OSTestHistory 에 보관한다.
+ *
+ * [검증 대상 Slave ID]
+ * 스텝 정의와 커스텀 executor 는 Node 1 을 기준으로 작성한다. 선언형 스텝의 slaveId 1 은
+ * 실행 시 targetSlaveId 로 바뀌고, executor 는 self.targetSlaveId 를 쓴다.
+ * Raw 프레임 / Node ID 재설정 / Broadcast 처럼 Node 1 자체를 다루는 테스트는
+ * fixedSlaveId: true 로 표시한다.
+ *
+ * [배치 검증]
+ * runBatch() 는 여러 디바이스에 같은 테스트 계획을 실행한다. 디바이스마다
+ * _createDeviceRunner() 로 결과·로그를 따로 모으고, 화면의 테스트 카드는 건드리지 않는다.
+ *   mode 'sequential' : 디바이스 하나씩 계획 전체 실행
+ *   mode 'parallel'   : 테스트 순서대로, 읽기 전용 테스트(getBatchMode → 'parallel')는
+ *                       모든 디바이스에서 동시에, 나머지(쓰기·리셋·차트·커스텀 executor —
+ *                       펌웨어 다운로드, Baudrate 변경 등)는 디바이스 하나씩 실행
+ *   테스트 정의의 batch: 'parallel' | 'serial' 로 자동 판정을 덮어쓸 수 있다.
+ *   fixedSlaveId 테스트는 Slave ID 1 디바이스에서만 실행하고 나머지는 'skipped'.
+ *   계획 실행 전에 디바이스별 OS 버전(0x27F0~0x27F3)을 읽어 보고서·실행 이력에 남긴다.
  */
 
 window.OSTestModules = window.OSTestModules || [];
 
+const OS_TEST_DEFAULT_SLAVE_ID = 1;
+
 class OSTestManager {
     static HIDDEN_CATEGORIES = new Set(['보호동작']);
 
@@ -45,6 +100,9 @@ class OSTestManager {
             Object.assign(this.executors, module.executors || {});
         });
 
+        this.suites = {}; // { name: suite } — JSON 으로 가져온 스위트 (OSTestSuite)
+        this.restoreSuites();
+
         this.results          = this.loadResults();
         this.currentTest      = null;
         this.isTestRunning    = false;
@@ -53,7 +111,12 @@ class OSTestManager {
         this.testLogs         = {}; // { testId: [{message, type, ts}] }
         this.testStepResults  = {}; // { testId: { index: status } }
         this.testTimeRange    = {}; // { testId: { start, end } }
+        this.testStepDetails  = {}; // { testId: [{ label, status, expected, measured, detail }] } (보고서용)
+        this.testSnapshots    = {}; // { testId: [{ label, image }] }  image = PNG data URL
+        this.stepMeasurement  = null; // 실행 중인 스텝의 { expected, measured } (_runStep 이 채움)
         this.singleStepTarget = null; // 단일 step 실행 시 대상 index
+        this.targetSlaveId    = OS_TEST_DEFAULT_SLAVE_ID; // 검증 대상 디바이스 (배치 실행기가 바꿈)
+        this.lastBatch        = null; // 마지막 runBatch() 결과 (배치 보고서용)
     }
 
     // ================================================================
@@ -71,6 +134,76 @@ class OSTestManager {
         localStorage.setItem('osTestResults', JSON.stringify(this.results));
     }
 
+    // ================================================================
+    //  JSON 테스트 스위트
+    // ================================================================
+
+    /** 다른 출처(내장 모듈 / 다른 스위트)가 쓰고 있는 테스트 ID */
+    _reservedTestIds(suiteName) {
+        return Object.values(this.tests).filter(t => t.suite !== suiteName).map(t => t.id);
+    }
+
+    /** 검증된 스위트의 테스트를 등록 (같은 이름의 스위트는 교체) */
+    registerSuite(suite) {
+        this.unregisterSuite(suite.name);
+        suite.tests.forEach(test => { this.tests[test.id] = { ...test, suite: suite.name }; });
+        this.suites[suite.name] = suite;
+    }
+
+    unregisterSuite(name) {
+        Object.values(this.tests)
+            .filter(t => t.suite === name)
+            .forEach(t => { delete this.tests[t.id]; });
+        delete this.suites[name];
+    }
+
+    /** localStorage 에 보관된 스위트 다시 등록 (검증 실패 항목은 건너뜀) */
+    restoreSuites() {
+        OSTestSuite.loadStored().forEach(raw => {
+            const { valid, errors, suite } = OSTestSuite.validate(raw, {
+                reservedIds: this._reservedTestIds(raw?.name)
+            });
+            if (valid) this.registerSuite(suite);
+            else console.warn(`[OSTestManager] 저장된 스위트 "${raw?.name}" 건너뜀:\n${OSTestSuite.formatErrors(errors)}`);
+        });
+    }
+
+    _saveSuites() {
+        OSTestSuite.saveStored(Object.values(this.suites));
+    }
+
+    /**
+     * JSON 스위트 가져오기 — 검증 통과 시 등록·보관 후 목록 다시 그림
+     * @param {string} text - 파일 내용
+     * @returns {{valid: boolean, errors: Array<{path, message}>, suite: Object|null}}
+     */
+    importSuite(text) {
+        if (this.isTestRunning) {
+            return { valid: false, errors: [{ path: '$', message: '테스트 실행 중에는 가져올 수 없습니다' }], suite: null };
+        }
+        let raw;
+        try {
+            raw = JSON.parse(text);
+        } catch (e) {
+            return { valid: false, errors: [{ path: '$', message: `JSON 문법 오류: ${e.message}` }], suite: null };
+        }
+        const result = OSTestSuite.validate(raw, { reservedIds: this._reservedTestIds(raw?.name) });
+        if (!result.valid) return result;
+
+        this.registerSuite(result.suite);
+        this._saveSuites();
+        this.renderTestList();
+        return result;
+    }
+
+    removeSuite(name) {
+        if (this.isTestRunning || !this.suites[name]) return false;
+        this.unregisterSuite(name);
+        this._saveSuites();
+        this.renderTestList();
+        return true;
+    }
+
     getTest(testId)       { return this.tests[testId]; }
     getTestResult(testId) { return this.results[testId]; }
 
@@ -189,7 +322,7 @@ class OSTestManager {
                             : '클릭하여 이 단계만 실행';
                         // Phase 태그를 텍스트에서 제거하여 부제목과 중복 방지
                         const displayText = hasPhases ? text.replace(/^\[Phase [^\]]+\]\s*/i, '') : text;
-                        const renderedText = displayText.split('\n').map(line => {
+                        const renderedText = displayText.split('\n').map(OSTestReport.escape).map(line => {
                             if (line.startsWith('TX:'))
                                 return `<div style="margin-top:5px;padding:2px 6px;font-family:monospace;font-size:11px;color:#555;background:#e2e4e8;border-radius:3px;display:inline-block;">${line}</div>`;
                             if (line.startsWith('판정 기준:'))
@@ -294,7 +427,9 @@ class OSTestManager {
         const [color, prefix] = MAP[type] || ['#d4d4d4', '[INFO]'];
         const entry = document.createElement('div');
         entry.style.marginBottom = '4px';
-        entry.innerHTML = `<span style="color:#6c757d;">[${ts}]</span> <span style="color:${color};">${prefix}</span> ${message}`;
+        entry.innerHTML = `<span style="color:#6c757d;">[${ts}]</span> <span style="color:${color};">${prefix}</span> `;
+        // JSON 스위트의 스텝 문구·메시지가 그대로 들어오므로 텍스트로만 붙인다
+        entry.append(String(message));
         container.appendChild(entry);
         container.scrollTop = container.scrollHeight;
     }
@@ -315,6 +450,8 @@ class OSTestManager {
         const id = testId || this.currentTest;
         delete this.testLogs[id];
         delete this.testStepResults[id];
+        delete this.testStepDetails[id];
+        delete this.testSnapshots[id];
 
         const testItem = document.querySelector(`.os-test-item[data-test-id="${id}"]`);
 
@@ -797,6 +934,46 @@ class OSTestManager {
              + `_${String(d.getHours()).padStart(2,'0')}${String(d.getMinutes()).padStart(2,'0')}${String(d.getSeconds()).padStart(2,'0')}`;
     }
 
+    /**
+     * 스위트 전체 보고서 저장 (OSTestReport)
+     * @param {'html'|'json'|'pdf'} format - pdf 는 HTML 을 새 창에서 인쇄 대화상자로 연다
+     * @param {string} [operator]
+     */
+    async exportSuiteReport(format, operator = '') {
+        if (this.isTestRunning) {
+            window.dashboard?.showToast('테스트 실행 중에는 보고서를 만들 수 없습니다.', 'warning');
+            return;
+        }
+        // 팝업 차단을 피하려면 클릭 직후(비동기 작업 전)에 창을 열어야 한다
+        const printWin = format === 'pdf' ? window.open('', '_blank') : null;
+        if (format === 'pdf' && !printWin) {
+            alert('팝업이 차단되어 인쇄 창을 열 수 없습니다.');
+            return;
+        }
+
+        try {
+            const report = await OSTestReport.build(this, { operator });
+            const serial = (report.device.serialNumber || 'unknown').replace(/[\\/:*?"<>|]/g, '-');
+            const base   = `OS_Report_${serial}_${this._fileTimestamp()}`;
+
+            if (format === 'json') {
+                OSTestReport.download(JSON.stringify(report, null, 2), `${base}.json`, 'application/json');
+            } else if (format === 'pdf') {
+                printWin.document.open();
+                printWin.document.write(OSTestReport.toHtml(report));
+                printWin.document.close();
+                printWin.focus();
+                printWin.print();
+            } else {
+                OSTestReport.download(OSTestReport.toHtml(report), `${base}.html`, 'text/html;charset=utf-8');
+            }
+            return report;
+        } catch (e) {
+            printWin?.close();
+            alert(`보고서 생성 실패: ${e.message}`);
+        }
+    }
+
     // ================================================================
     //  Run All / Reset All
     // ================================================================
@@ -814,6 +991,9 @@ class OSTestManager {
         this.results = {};
         this.testLogs = {};
         this.testStepResults = {};
+        this.testStepDetails = {};
+        this.testSnapshots = {};
+        this.testTimeRange = {};
         this.saveResults();
         this.updateTestStatus();
 
@@ -839,6 +1019,7 @@ class OSTestManager {
             this.isTestRunning  = true;
             this.shouldStopTest = false;
             this.stepContext    = {};
+            this.testTimeRange[testId] = { start: Date.now(), end: null };
 
             try {
                 const executor = this.executors[testId];
@@ -864,6 +1045,7 @@ class OSTestManager {
                 failCount++;
             } finally {
                 this.isTestRunning = false;
+                this.testTimeRange[testId].end = Date.now();
             }
 
             this._setTestBadge(testId, this.results[testId].result);
@@ -874,6 +1056,8 @@ class OSTestManager {
         this.saveResults();
         this.updateTestStatus();
 
+        await this.archiveRun(null, passCount + failCount < testIds.length);
+
         if (btn) { btn.disabled = false; btn.textContent = '▶ Run All Tests'; }
 
         window.dashboard?.showToast(
@@ -900,6 +1084,8 @@ class OSTestManager {
             delete this.results[id];
             delete this.testLogs[id];
             delete this.testStepResults[id];
+            delete this.testStepDetails[id];
+            delete this.testSnapshots[id];
         }
         this.saveResults();
         this.updateTestStatus();
@@ -923,6 +1109,7 @@ class OSTestManager {
             this.isTestRunning  = true;
             this.shouldStopTest = false;
             this.stepContext    = {};
+            this.testTimeRange[testId] = { start: Date.now(), end: null };
 
             try {
                 const executor = this.executors[testId];
@@ -948,6 +1135,7 @@ class OSTestManager {
                 failCount++;
             } finally {
                 this.isTestRunning = false;
+                this.testTimeRange[testId].end = Date.now();
             }
 
             this._setTestBadge(testId, this.results[testId].result);
@@ -958,6 +1146,8 @@ class OSTestManager {
         this.saveResults();
         this.updateTestStatus();
 
+        await this.archiveRun(category, passCount + failCount < testIds.length);
+
         if (btn) { btn.disabled = false; btn.textContent = '▶ Run'; }
 
         window.dashboard?.showToast(
@@ -966,10 +1156,39 @@ class OSTestManager {
         );
     }
 
+    /**
+     * 현재 결과를 실행 이력(OSTestHistory)에 이름 붙은 Run 으로 저장
+     * @param {string|null} scope   - 카테고리 Run 이면 카테고리 이름 (해당 카테고리만 저장)
+     * @param {boolean} [stopped]   - 중간에 중단된 Run
+     * @param {string} [name]       - 생략 시 '<범위> <S/N> <일시>'
+     * @returns {Promise<number|null>} run id
+     */
+    async archiveRun(scope, stopped = false, name = '') {
+        try {
+            const report = await OSTestReport.build(this, {
+                operator:   localStorage.getItem('osReportOperator') || '',
+                categories: scope ? [scope] : null
+            });
+            if (!name) {
+                const when = new Date(report.generatedAt).toLocaleString('ko-KR');
+                name = `${scope || 'Run All'} ${report.device.serialNumber || ''} ${when}`
+                     .replace(/\s+/g, ' ') + (stopped ? ' (중단)' : '');
+            }
+            return await OSTestHistory.saveRun(report, { name, scope });
+        } catch (e) {
+            console.error('[OSTestManager] 실행 이력 저장 실패:', e);
+            window.dashboard?.showToast(`실행 이력 저장 실패: ${e.message}`, 'warning');
+            return null;
+        }
+    }
+
     resetAllTests() {
         this.results = {};
         this.testLogs = {};
         this.testStepResults = {};
+        this.testStepDetails = {};
+        this.testSnapshots = {};
+        this.testTimeRange = {};
         this.saveResults();
         this.updateTestStatus();
     }
@@ -990,6 +1209,242 @@ class OSTestManager {
         badge.style.color = s.color;
     }
 
+    // ================================================================
+    //  배치 검증 (여러 디바이스)
+    // ================================================================
+
+    /** 버스 상태를 바꾸지 않는 스텝 — 이 타입만으로 된 테스트는 디바이스 간 병렬 실행 */
+    static READ_ONLY_STEP_TYPES = new Set([
+        'check_connection', 'check_comm_settings', 'read_holding', 'read_input', 'read_canopen',
+        'poll_until', 'delay', 'wait_countdown', 'branch', 'loop'
+    ]);
+
+    /** 스텝에 적힌 기준 Slave ID(1) → 검증 대상 Slave ID (Broadcast 등 다른 ID 는 그대로) */
+    resolveSlaveId(slaveId) {
+        return slaveId === OS_TEST_DEFAULT_SLAVE_ID ? this.targetSlaveId : slaveId;
+    }
+
+    /**
+     * 배치 실행 방식
+     * @returns {'parallel'|'serial'} parallel = 다른 디바이스와 동시에 실행해도 되는 읽기 전용 테스트
+     */
+    getBatchMode(testId) {
+        const test = this.tests[testId];
+        if (test.batch) return test.batch;
+        // 커스텀 executor 는 무엇을 쓰는지 알 수 없으므로 직렬
+        if (this.executors[testId]) return 'serial';
+        return this._isReadOnlySteps(test.steps) ? 'parallel' : 'serial';
+    }
+
+    _isReadOnlySteps(steps) {
+        return steps.every(step => typeof step === 'string' || (
+            OSTestManager.READ_ONLY_STEP_TYPES.has(step.type) &&
+            [step.then, step.else, step.steps].every(nested => !nested || this._isReadOnlySteps(nested))));
+    }
+
+    /** 배치 계획 — 숨김 카테고리를 뺀 테스트 ID (category 지정 시 해당 카테고리만) */
+    getBatchPlan(category = null) {
+        return Object.values(this.tests)
+            .filter(t => !OSTestManager.HIDDEN_CATEGORIES.has(t.category || '기타'))
+            .filter(t => !category || (t.category || '기타') === category)
+            .map(t => t.id);
+    }
+
+    /**
+     * 디바이스 전용 실행기 — 매니저를 프로토타입으로 두고 결과·로그·컨텍스트만 따로 가진다.
+     * Stop(shouldStopTest) 과 테스트 정의는 매니저 것을 그대로 본다.
+     */
+    _createDeviceRunner(device) {
+        const runner = Object.create(this);
+        Object.assign(runner, {
+            targetSlaveId:   device.slaveId,
+            batchDevice:     device,
+            results:         {},
+            testLogs:        {},
+            testStepResults: {},
+            testTimeRange:   {},
+            testStepDetails: {},
+            testSnapshots:   {},
+            stepContext:     {},
+            stepMeasurement: null,
+            currentTest:     null
+        });
+        // 여러 디바이스가 같은 테스트 카드를 번갈아 그리지 않도록 화면 갱신은 끈다
+        runner._appendLogEntry  = () => {};
+        runner._applyStepStatus = () => {};
+        runner.updateProgress   = () => {};
+        runner.askOperator = (message, options) =>
+            this.askOperator(`[${device.name} · ID ${device.slaveId}] ${message}`, options);
+        return runner;
+    }
+
+    /** 실행기 하나로 테스트 하나 실행 → 'pass' | 'fail' (중단되면 null, 결과 미기록) */
+    async _runBatchTest(runner, testId) {
+        const test = this.tests[testId];
+        runner.currentTest = testId;
+        runner.stepContext = {};
+        runner.testTimeRange[testId] = { start: Date.now(), end: null };
+        let result;
+        try {
+            const executor = this.executors[testId];
+            result = executor
+                ? await executor.call(runner)
+                : await runner.executeStepDefinitions(test.steps);
+        } catch (e) {
+            result = { status: 'fail', details: `오류: ${e.message}` };
+        } finally {
+            runner.testTimeRange[testId].end = Date.now();
+        }
+        if (this.shouldStopTest) return null;
+
+        runner.results[testId] = {
+            result: result.status,
+            notes: result.details || '',
+            timestamp: new Date().toISOString(),
+            completedSteps: result.status === 'pass' ? test.steps.length : 0
+        };
+        return result.status;
+    }
+
+    /**
+     * 여러 디바이스에 같은 테스트 계획 실행
+     * @param {Array<{name, slaveId, serialNumber?}>} devices
+     * @param {Object} [options]
+     * @param {string|null} [options.category]  - null 이면 전체 (숨김 카테고리 제외)
+     * @param {'sequential'|'parallel'} [options.mode]
+     * @param {Function} [options.onUpdate]     - (slaveId, testId, state) 셀 상태 변경 알림
+     *                                            state: 'running' | 'pass' | 'fail' | 'skipped'
+     * @returns {Promise<Object|null>} { mode, category, testIds, startedAt, endedAt, stopped,
+     *                                   devices: [{ device, runner, cells: { testId: state },
+     *                                               osVersions }] }
+     */
+    async runBatch(devices, { category = null, mode = 'sequential', onUpdate = () => {} } = {}) {
+        if (this.isTestRunning) {
+            window.dashboard?.showToast('테스트가 이미 실행 중입니다.', 'warning');
+            return null;
+        }
+        const testIds = this.getBatchPlan(category);
+        const batch = {
+            mode,
+            category,
+            testIds,
+            startedAt: Date.now(),
+            endedAt:   null,
+            stopped:   false,
+            devices:   devices.map(device => ({
+                device, runner: this._createDeviceRunner(device), cells: {}, osVersions: null
+            }))
+        };
+        this.lastBatch      = batch;
+        this.isTestRunning  = true;
+        this.shouldStopTest = false;
+
+        const run = async (entry, testId) => {
+            if (this.shouldStopTest) return;
+            const set = state => { entry.cells[testId] = state; onUpdate(entry.device.slaveId, testId, state); };
+            if (this.tests[testId].fixedSlaveId && entry.device.slaveId !== OS_TEST_DEFAULT_SLAVE_ID) {
+                set('skipped');
+                return;
+            }
+            set('running');
+            const state = await this._runBatchTest(entry.runner, testId);
+            if (state) set(state);
+            else delete entry.cells[testId];
+        };
+
+        try {
+            // 실행 이력을 펌웨어 버전으로 비교할 수 있도록 계획 실행 전에 디바이스별로 읽는다
+            for (const entry of batch.devices) {
+                if (this.shouldStopTest) break;
+                entry.osVersions = await OSTestReport.readDeviceVersions(entry.device.slaveId);
+            }
+
+            if (mode === 'parallel') {
+                for (const testId of testIds) {
+                    if (this.shouldStopTest) break;
+                    if (this.getBatchMode(testId) === 'parallel') {
+                        await Promise.all(batch.devices.map(entry => run(entry, testId)));
+                    } else {
+                        for (const entry of batch.devices) await run(entry, testId);
+                    }
+                }
+            } else {
+                for (const entry of batch.devices) {
+                    for (const testId of testIds) await run(entry, testId);
+                }
+            }
+        } finally {
+            batch.stopped       = this.shouldStopTest;
+            batch.endedAt       = Date.now();
+            this.isTestRunning  = false;
+            this.shouldStopTest = false;
+        }
+
+        await this.archiveBatch(batch);
+        return batch;
+    }
+
+    /** 배치 결과 → 디바이스별 보고서 + 통합 보고서 (OSTestReport.buildBatch) */
+    async buildBatchReport(batch = this.lastBatch, operator = '') {
+        return OSTestReport.buildBatch(this, batch, {
+            operator: operator || localStorage.getItem('osReportOperator') || ''
+        });
+    }
+
+    /** 디바이스별 보고서를 실행 이력(OSTestHistory)에 각각 저장 */
+    async archiveBatch(batch) {
+        try {
+            const combined = await this.buildBatchReport(batch);
+            const when = new Date(combined.generatedAt).toLocaleString('ko-KR');
+            for (const { report } of combined.devices) {
+                const name = `Batch ${batch.category || 'Run All'} ${report.device.serialNumber || report.device.name || ''} ${when}`
+                    .replace(/\s+/g, ' ') + (batch.stopped ? ' (중단)' : '');
+                await OSTestHistory.saveRun(report, { name, scope: batch.category });
+            }
+        } catch (e) {
+            console.error('[OSTestManager] 배치 이력 저장 실패:', e);
+            window.dashboard?.showToast(`배치 이력 저장 실패: ${e.message}`, 'warning');
+        }
+    }
+
+    /**
+     * 마지막 배치의 통합 보고서 저장
+     * @param {'html'|'json'|'pdf'} format
+     * @param {string} [operator]
+     */
+    async exportBatchReport(format, operator = '') {
+        if (!this.lastBatch || this.isTestRunning) {
+            window.dashboard?.showToast('완료된 배치 결과가 없습니다.', 'warning');
+            return;
+        }
+        const printWin = format === 'pdf' ? window.open('', '_blank') : null;
+        if (format === 'pdf' && !printWin) {
+            alert('팝업이 차단되어 인쇄 창을 열 수 없습니다.');
+            return;
+        }
+
+        try {
+            const combined = await this.buildBatchReport(this.lastBatch, operator);
+            const base = `OS_Batch_Report_${combined.devices.length}dev_${this._fileTimestamp()}`;
+
+            if (format === 'json') {
+                OSTestReport.download(JSON.stringify(combined, null, 2), `${base}.json`, 'application/json');
+            } else if (format === 'pdf') {
+                printWin.document.open();
+                printWin.document.write(OSTestReport.toBatchHtml(combined));
+                printWin.document.close();
+                printWin.focus();
+                printWin.print();
+            } else {
+                OSTestReport.download(OSTestReport.toBatchHtml(combined), `${base}.html`, 'text/html;charset=utf-8');
+            }
+            return combined;
+        } catch (e) {
+            printWin?.close();
+            alert(`배치 보고서 생성 실패: ${e.message}`);
+        }
+    }
+
     // ================================================================
     //  선언형 스텝 실행 엔진
     // ================================================================
@@ -1014,23 +1469,28 @@ class OSTestManager {
                 this.updateStepStatus(i, 'running');
                 this.updateProgress(progress, `Step ${stepNum}/${total}: ${label.split('\n')[0]}`);
                 this.addLog(`Step ${stepNum}: ${label}`, 'step');
+                this.stepMeasurement = null;
 
                 let detail;
                 if (typeof step === 'object' && step.softFail) {
                     try {
                         detail = await this._runStep(step, stepNum);
                         this.updateStepStatus(i, 'success');
+                        this._recordStepDetail(i, label, 'success', detail);
                     } catch (e) {
                         this.addLog(`⚠ ${e.message} (계속 진행)`, 'warning');
                         detail = `Step ${stepNum}: (soft fail) ${e.message}`;
                         this.updateStepStatus(i, 'error');
+                        this._recordStepDetail(i, label, 'error', detail);
                     }
                 } else {
                     try {
                         detail = await this._runStep(step, stepNum);
                         this.updateStepStatus(i, 'success');
+                        this._recordStepDetail(i, label, 'success', detail);
                     } catch (e) {
                         this.updateStepStatus(i, 'error'); // 실패 단계 ✗ 표시
+                        this._recordStepDetail(i, label, 'error', e.message);
                         throw e;                           // 상위 catch 로 전달
                     }
                 }
@@ -1057,14 +1517,18 @@ class OSTestManager {
         }
     }
 
-    /** 실패 시 restore_holding 스텝만 골라서 실행 */
+    /** 실패 시 restore_holding 스텝만 골라서 실행 (branch / loop 안쪽 포함) */
     async _runRestoreSteps(steps) {
         for (const step of steps) {
-            if (typeof step === 'object' && step.type === 'restore_holding') {
+            if (typeof step !== 'object') continue;
+            for (const nested of [step.then, step.else, step.steps]) {
+                if (Array.isArray(nested)) await this._runRestoreSteps(nested);
+            }
+            if (step.type === 'restore_holding') {
                 try {
                     const val = this.stepContext[step.from];
                     if (val !== null && val !== undefined && window.dashboard) {
-                        await window.dashboard.writeRegister(step.slaveId, step.address, val);
+                        await window.dashboard.writeRegister(this.resolveSlaveId(step.slaveId), step.address, val);
                         this.addLog(`정리: [0x${this.toHex4(step.address)}] 원래 값(${val})으로 복원`, 'info');
                     }
                 } catch (e) { /* 복원 실패는 무시 */ }
@@ -1072,12 +1536,47 @@ class OSTestManager {
         }
     }
 
+    /** 보고서용 스텝 결과 기록 (기대/측정값은 _runStep 이 남긴 stepMeasurement) */
+    _recordStepDetail(index, label, status, detail) {
+        if (!this.currentTest) return;
+        if (!this.testStepDetails[this.currentTest]) this.testStepDetails[this.currentTest] = [];
+        this.testStepDetails[this.currentTest][index] = {
+            label,
+            status,
+            expected: this.stepMeasurement?.expected ?? null,
+            measured: this.stepMeasurement?.measured ?? null,
+            detail:   detail ?? null
+        };
+        this.stepMeasurement = null;
+    }
+
+    /** 현재 스텝의 기대/측정값 (보고서 표시용 문자열) */
+    _measure(expected, measured) {
+        this.stepMeasurement = {
+            expected: expected === undefined || expected === null ? null : String(expected),
+            measured: measured === undefined || measured === null ? null : String(measured)
+        };
+    }
+
+    /**
+     * 현재 테스트에 차트 스냅샷 첨부 (보고서에 포함)
+     * @param {string} label
+     * @param {HTMLCanvasElement|string} source - canvas 또는 PNG data URL
+     */
+    attachSnapshot(label, source, testId = this.currentTest) {
+        if (!testId || !source) return;
+        const image = typeof source === 'string' ? source : source.toDataURL('image/png');
+        if (!this.testSnapshots[testId]) this.testSnapshots[testId] = [];
+        this.testSnapshots[testId].push({ label, image });
+    }
+
     /**
      * 스텝 타입별 실행 함수
      * @returns {string} 결과 상세 텍스트 (details 에 누적됨)
      */
     async _runStep(step, stepNum) {
         if (typeof step === 'string') return `Step ${stepNum}: ${step}`;
+        if (step.slaveId !== undefined) step = { ...step, slaveId: this.resolveSlaveId(step.slaveId) };
 
         switch (step.type) {
 
@@ -1130,6 +1629,7 @@ class OSTestManager {
                     const rb = await window.dashboard.readRegisterWithTimeout(step.slaveId, step.address);
                     if (rb === null || rb === undefined) throw new Error('재읽기 응답 없음 (Timeout)');
                     const expected = step.expectAfterWrite !== undefined ? step.expectAfterWrite : writeVal;
+                    this._measure(expected, rb);
                     if (rb === expected) {
                         this.addLog(`✓ 쓰기 검증 성공 (0x${this.toHex4(rb)})`, 'success');
                     } else {
@@ -1167,14 +1667,399 @@ class OSTestManager {
                 return `Step ${stepNum}: ${step.ms || 500}ms 대기`;
             }
 
+            case 'hall_uvw_analysis': {
+                const chNums     = step.channels || [0x16, 0x17, 0x18];
+                const durationMs = step.durationMs || 3000;
+                this.addLog(`Hall U/V/W 수집 중... (FC 0x64, ${durationMs}ms)`, 'info');
+                const capture = await window.dashboard.captureContinuousSamples(
+                    step.slaveId, chNums,
+                    { period: step.period || 160, durationMs, shouldStop: () => this.shouldStopTest });
+                if (this.shouldStopTest) throw new Error('테스트 중단됨');
+
+                const channels = capture.channels.map((data, i) => ({ name: `Hall ${'UVW'[i]}`, data }));
+                this.addLog(`✓ ${channels[0].data.length} 샘플 수집 (${capture.periodMs}ms 주기)`, 'success');
+
+                const analysis = HallUvwAnalyzer.analyze(
+                    channels, 0, 1, 2, step.polePairs || 1, step.numBins || 180);
+                const { metrics } = analysis;
+                this.addLog(`편심 지수 ${metrics.eccIndex.toFixed(2)}% (방향 ${metrics.eccDir.toFixed(1)}°) / ` +
+                            `편축 지수 ${metrics.misIndex.toFixed(2)}% (방향 ${metrics.misDir.toFixed(1)}°)`, 'info');
+                if (step.storeAs) this.stepContext[step.storeAs] = metrics;
+
+                const limits = {
+                    maxEccentricity: step.maxEccentricity ?? 3,
+                    maxMisalignment: step.maxMisalignment ?? 3
+                };
+                const verdict = HallUvwAnalyzer.evaluate(metrics, limits);
+                this._measure(`편심 ≤ ${limits.maxEccentricity}% / 편축 ≤ ${limits.maxMisalignment}%`,
+                              `편심 ${metrics.eccIndex.toFixed(2)}% / 편축 ${metrics.misIndex.toFixed(2)}%`);
+                this.attachSnapshot('Hall α-β 궤적',
+                    OSTestReport.snapshot(360, 360, c => HallUvwAnalyzer.drawTrajectory(c, analysis)));
+                this.attachSnapshot('Hall 기계각 프로파일',
+                    OSTestReport.snapshot(640, 240, c => HallUvwAnalyzer.drawProfile(c, analysis)));
+                if (!verdict.pass) throw new Error(`Hall 진단 불합격: ${verdict.message}`);
+                this.addLog(`✓ ${verdict.message}`, 'success');
+                return `Step ${stepNum}: Hall UVW 진단 — ${verdict.message}`;
+            }
+
+            case 'reference_compare': {
+                const reference = window.dashboard.getChartReference(step.reference);
+                if (!reference) throw new Error(`기준 파형 없음: "${step.reference}"`);
+
+                const chNums = step.channels || reference.channels.map(ch => ch.chNum);
+                if (chNums.some(chNum => chNum === undefined || chNum === null)) {
+                    throw new Error('기준 파형에 Ch# 정보가 없습니다 (channels 파라미터 지정 필요)');
+                }
+                const durationMs = step.durationMs || 2000;
+                const period = step.period || Math.max(1, Math.round(reference.periodMs / 0.125));
+                this.addLog(`기준 파형 "${reference.name}" 비교용 수집 중... (FC 0x64, ${durationMs}ms)`, 'info');
+                const capture = await window.dashboard.captureContinuousSamples(
+                    step.slaveId, chNums, { period, durationMs, shouldStop: () => this.shouldStopTest });
+                if (this.shouldStopTest) throw new Error('테스트 중단됨');
+
+                const live = capture.channels.map((data, i) => ({
+                    name: reference.channels[i]?.name || `CH${i + 1}`,
+                    points: data.map((v, k) => ({ t: k * capture.periodMs, v }))
+                }));
+                const result = ChartManager.compareToReference(live, reference.channels, {
+                    align:           step.align || 'xcorr',
+                    alignChannel:    step.alignChannel || 0,
+                    tolerancePct:    step.tolerancePct ?? 5,
+                    toleranceAbs:    step.toleranceAbs ?? 0,
+                    maxViolationPct: step.maxViolationPct ?? 0
+                });
+                result.channels.forEach(ch => this.addLog(
+                    `${ch.name}: RMS 오차 ${ch.rmsError.toPrecision(4)}, 최대 편차 ${ch.maxDeviation.toPrecision(4)}, ` +
+                    `밴드 ±${ch.tolerance.toPrecision(4)} 이탈 ${ch.violationPct.toFixed(2)}%, 겹침 ${(ch.coverage * 100).toFixed(0)}%`,
+                    ch.pass ? 'info' : 'warning'));
+                if (step.storeAs) this.stepContext[step.storeAs] = result;
+
+                this._measure(`밴드 이탈 ≤ ${step.maxViolationPct ?? 0}%`,
+                              result.channels.map(ch => `${ch.name} ${ch.violationPct.toFixed(2)}%`).join(', '));
+                live.forEach((ch, i) => {
+                    const ref = reference.channels[i];
+                    if (!ref) return;
+                    this.attachSnapshot(`${ch.name} — 기준 "${reference.name}" 비교`,
+                        OSTestReport.snapshot(640, 220, c => OSTestReport.drawSeries(c, [
+                            { name: '기준', color: '#adb5bd', dashed: true,
+                              points: ref.points.map(p => ({ t: p.t + result.offsetMs, v: p.v })) },
+                            { name: ch.name, points: ch.points }
+                        ], `${ch.name} (offset ${result.offsetMs.toFixed(2)}ms)`)));
+                });
+
+                if (!result.pass) {
+                    const failed = result.channels.filter(ch => !ch.pass).map(ch => ch.name).join(', ');
+                    throw new Error(`기준 파형 비교 불합격: ${failed}`);
+                }
+                this.addLog(`✓ 기준 파형 일치 (offset ${result.offsetMs.toFixed(2)}ms)`, 'success');
+                return `Step ${stepNum}: 기준 파형 비교 — 합격`;
+            }
+
+            case 'poll_until': {
+                const fc       = step.fc === 'holding' ? 'FC03' : 'FC04';
+                const timeout  = step.timeoutMs ?? 10000;
+                const interval = step.intervalMs ?? 500;
+                const cond     = this._describeCondition(step.until);
+                const deadline = Date.now() + timeout;
+                this.addLog(`${fc} [0x${this.toHex4(step.address)}] ${cond} 대기 (최대 ${timeout}ms)`, 'info');
+
+                let val = null;
+                for (let attempt = 1; ; attempt++) {
+                    if (this.shouldStopTest) throw new Error('테스트 중단됨');
+                    const raw = step.fc === 'holding'
+                        ? await window.dashboard.readRegisterWithTimeout(step.slaveId, step.address)
+                        : await window.dashboard.readInputRegisterWithTimeout(step.slaveId, step.address);
+                    if (raw !== null && raw !== undefined) {
+                        val = step.signed && raw >= 0x8000 ? raw - 0x10000 : raw;
+                        if (this._checkCondition(val, step.until)) {
+                            this._measure(cond, val);
+                            if (step.storeAs) this.stepContext[step.storeAs] = val;
+                            this.addLog(`✓ 조건 충족: ${val} (${attempt}회, ${timeout - (deadline - Date.now())}ms)`, 'success');
+                            return `Step ${stepNum}: ${fc} [0x${this.toHex4(step.address)}] = ${val} (${cond})`;
+                        }
+                    }
+                    if (Date.now() + interval > deadline) break;
+                    await this.delay(interval);
+                }
+                this._measure(cond, val);
+                throw new Error(`조건 미충족 (${cond}, 마지막 값: ${val ?? '응답 없음'}, ${timeout}ms 초과)`);
+            }
+
+            case 'chart_capture': {
+                const durationMs = step.durationMs || 2000;
+                this.addLog(`차트 수집 중... (FC 0x64, Ch# ${step.channels.map(ch => '0x' + ch.toString(16).toUpperCase()).join(', ')}, ${durationMs}ms)`, 'info');
+                const capture = await window.dashboard.captureContinuousSamples(
+                    step.slaveId, step.channels,
+                    { period: step.period || 160, durationMs, shouldStop: () => this.shouldStopTest });
+                if (this.shouldStopTest) throw new Error('테스트 중단됨');
+
+                const stats = capture.channels.map(data => this._sampleStats(data, step.zeroLevel ?? 0));
+                stats.forEach((st, i) => this.addLog(
+                    `CH${i + 1}: ${st.samples} 샘플, min ${st.min}, max ${st.max}, p-p ${st.p2p}, ` +
+                    `mean ${st.mean.toFixed(2)}, rms ${st.rms.toFixed(2)}, zero-crossing ${st.zeroCrossings}`, 'info'));
+                if (step.storeAs) this.stepContext[step.storeAs] = stats;
+
+                this.attachSnapshot(`차트 수집 (Step ${stepNum})`,
+                    OSTestReport.snapshot(640, 220, c => OSTestReport.drawSeries(c,
+                        capture.channels.map((data, i) => ({
+                            name: `CH${i + 1}`,
+                            points: data.map((v, k) => ({ t: k * capture.periodMs, v }))
+                        })), `FC 0x64 ${durationMs}ms`)));
+
+                const failed = [];
+                const expected = [];
+                const measured = [];
+                (step.assert || []).forEach((checks, i) => {
+                    const st = stats[i];
+                    if (!checks || !st) return;
+                    Object.entries(checks).forEach(([key, cond]) => {
+                        const ok = st.samples > 0 && this._checkCondition(st[key], cond);
+                        expected.push(`CH${i + 1} ${key} ${this._describeCondition(cond)}`);
+                        measured.push(`CH${i + 1} ${key} ${Number.isInteger(st[key]) ? st[key] : st[key].toFixed(2)}`);
+                        if (!ok) failed.push(`CH${i + 1} ${key}=${st[key]} (${this._describeCondition(cond)})`);
+                    });
+                });
+                this._measure(expected.join(', ') || null, measured.join(', ') || null);
+                if (stats.some(st => st.samples === 0)) throw new Error('샘플 수집 실패 (데이터 없음)');
+                if (failed.length > 0) throw new Error(`차트 통계 불합격: ${failed.join(', ')}`);
+                this.addLog('✓ 차트 통계 조건 충족', 'success');
+                return `Step ${stepNum}: 차트 수집 ${stats[0].samples} 샘플 — 합격`;
+            }
+
+            case 'read_canopen': {
+                const sub    = step.subIndex ?? 0;
+                const obj    = `0x${this.toHex4(step.index)}:${sub.toString(16).toUpperCase().padStart(2, '0')}`;
+                const result = await window.dashboard.readCANopenObject(step.slaveId, step.index, sub, step.size ?? 2);
+                if (!result || result.error || result.value === null || result.value === undefined) {
+                    throw new Error(`FC 0x2B 읽기 실패 [${obj}] (${result?.error || 'Timeout / Abort'})`);
+                }
+                const val = result.value;
+                this.addLog(`✓ FC 0x2B 응답: ${obj} = 0x${this.toHex4(val)} (${val})`, 'success');
+                if (step.storeAs) this.stepContext[step.storeAs] = val;
+                this._checkExpect(val, step);
+                return `Step ${stepNum}: FC 0x2B [${obj}] = 0x${this.toHex4(val)}`;
+            }
+
+            case 'write_canopen': {
+                const sub = step.subIndex ?? 0;
+                const obj = `0x${this.toHex4(step.index)}:${sub.toString(16).toUpperCase().padStart(2, '0')}`;
+                const writeVal = step.valueFrom !== undefined
+                    ? this.stepContext[step.valueFrom]
+                    : step.value;
+                if (writeVal === null || writeVal === undefined)
+                    throw new Error(`쓰기 값 없음 (valueFrom: "${step.valueFrom}")`);
+
+                let result = null;
+                try {
+                    result = await window.dashboard.writeCANopenObject(step.slaveId, step.index, sub, writeVal);
+                } catch (e) {
+                    if (!step.expectReject) throw e;
+                }
+                // protocolCtrl=0x80 에코 응답 = 디바이스의 묵시적 거부
+                const rejected = !result || !!result.error || result.protocolCtrl === 0x80;
+                if (step.expectReject) {
+                    this._measure('거부', rejected ? '거부' : '허용');
+                    if (!rejected) throw new Error(`쓰기가 허용됨 [${obj}] (거부 예상)`);
+                    this.addLog(`✓ 쓰기 거부 확인 [${obj}]`, 'success');
+                    return `Step ${stepNum}: FC 0x2B [${obj}] 쓰기 거부 확인`;
+                }
+                if (rejected) throw new Error(`FC 0x2B 쓰기 실패 [${obj}] (${result?.error || 'Abort / Timeout'})`);
+                this.addLog(`✓ FC 0x2B 쓰기 완료: ${obj} = ${writeVal}`, 'success');
+
+                if (step.verifyAfterWrite) {
+                    await this.delay(200);
+                    const rb = await window.dashboard.readCANopenObject(step.slaveId, step.index, sub, step.size ?? 2);
+                    if (!rb || rb.value === null || rb.value === undefined) throw new Error('재읽기 응답 없음 (Timeout)');
+                    this._measure(writeVal, rb.value);
+                    if (rb.value !== writeVal) throw new Error(`쓰기 검증 실패 (예상: ${writeVal}, 실제: ${rb.value})`);
+                    this.addLog(`✓ 쓰기 검증 성공 (0x${this.toHex4(rb.value)})`, 'success');
+                }
+                return `Step ${stepNum}: FC 0x2B [${obj}] = ${writeVal}`;
+            }
+
+            case 'sw_reset': {
+                const { ok, elapsedMs } = await this.swResetAndWait(step.slaveId, {
+                    timeoutMs:      step.timeoutMs ?? 60000,
+                    pollIntervalMs: step.pollIntervalMs ?? 1000
+                });
+                if (this.shouldStopTest) throw new Error('테스트 중단됨');
+                this._measure(`재부팅 ≤ ${step.timeoutMs ?? 60000}ms`, ok ? `${elapsedMs}ms` : '응답 없음');
+                if (!ok) throw new Error('SW Reset 후 재부팅 응답 없음');
+                return `Step ${stepNum}: SW Reset 재부팅 ${elapsedMs}ms`;
+            }
+
+            case 'operator_prompt': {
+                this.addLog(`작업자 확인 대기: ${step.message}`, 'warning');
+                const answer = await this.askOperator(step.message, step);
+                if (answer === null) throw new Error('테스트 중단됨');
+                if (step.storeAs) this.stepContext[step.storeAs] = answer;
+                const label = answer ? (step.yesLabel || '예') : (step.noLabel || '아니오');
+                this._measure(step.yesLabel || '예', label);
+                if (!answer && step.failOnNo !== false) throw new Error(`작업자 판정: ${label}`);
+                this.addLog(`✓ 작업자 판정: ${label}`, answer ? 'success' : 'warning');
+                return `Step ${stepNum}: 작업자 판정 — ${label}`;
+            }
+
+            case 'branch': {
+                const taken = this._checkContextCondition(step.if);
+                const steps = (taken ? step.then : step.else) || [];
+                this.addLog(`분기: ${this._describeCondition(step.if)} → ${taken ? 'then' : 'else'} (${steps.length} 스텝)`, 'info');
+                const details = await this._runNestedSteps(steps, stepNum);
+                return [`Step ${stepNum}: 분기 ${taken ? 'then' : 'else'}`, ...details].join('\n');
+            }
+
+            case 'loop': {
+                const max     = step.maxIterations ?? 100;
+                const details = [];
+                let i = 0;
+                for (; i < max; i++) {
+                    if (step.times !== undefined && i >= step.times) break;
+                    if (step.indexAs) this.stepContext[step.indexAs] = i;
+                    if (step.while && !this._checkContextCondition(step.while)) break;
+                    if (this.shouldStopTest) throw new Error('테스트 중단됨');
+                    this.addLog(`반복 ${i + 1}${step.times !== undefined ? `/${step.times}` : ''}`, 'info');
+                    details.push(...await this._runNestedSteps(step.steps, `${stepNum}.${i + 1}`));
+                }
+                if (i >= max && step.while && this._checkContextCondition(step.while)) {
+                    throw new Error(`반복 상한 초과 (maxIterations ${max})`);
+                }
+                return [`Step ${stepNum}: 반복 ${i}회`, ...details].join('\n');
+            }
+
             default:
                 throw new Error(`알 수 없는 step type: "${step.type}"`);
         }
     }
 
+    /**
+     * branch / loop 의 중첩 스텝 실행 — 화면 단계 표시는 바깥 스텝 하나로 유지
+     * @returns {string[]} 스텝별 결과 상세
+     */
+    async _runNestedSteps(steps, prefix) {
+        const details = [];
+        for (let k = 0; k < steps.length; k++) {
+            if (this.shouldStopTest) throw new Error('테스트 중단됨');
+            const step = steps[k];
+            const num  = `${prefix}.${k + 1}`;
+            this.addLog(`Step ${num}: ${this._getStepLabel(step)}`, 'step');
+            try {
+                details.push(await this._runStep(step, num));
+            } catch (e) {
+                if (!(typeof step === 'object' && step.softFail)) throw e;
+                this.addLog(`⚠ ${e.message} (계속 진행)`, 'warning');
+                details.push(`Step ${num}: (soft fail) ${e.message}`);
+            }
+            await this.delay(typeof step === 'object' ? (step.delayAfter ?? 300) : 300);
+        }
+        return details;
+    }
+
+    /** 조건 객체 검사 — 지정한 모든 비교가 참이어야 함 (mask 는 비교 전에 적용) */
+    _checkCondition(value, cond) {
+        if (!cond) return true;
+        if (cond.exists !== undefined && (value !== undefined && value !== null) !== cond.exists) return false;
+        if (value === undefined || value === null) return cond.exists === false;
+        const v = cond.mask !== undefined ? (value & cond.mask) : value;
+        if (cond.eq  !== undefined && !(v === cond.eq)) return false;
+        if (cond.ne  !== undefined && !(v !== cond.ne)) return false;
+        if (cond.gt  !== undefined && !(v >   cond.gt)) return false;
+        if (cond.gte !== undefined && !(v >=  cond.gte)) return false;
+        if (cond.lt  !== undefined && !(v <   cond.lt)) return false;
+        if (cond.lte !== undefined && !(v <=  cond.lte)) return false;
+        return true;
+    }
+
+    /** { var, ... } 조건을 stepContext 값으로 검사 */
+    _checkContextCondition(cond) {
+        return this._checkCondition(this._getContextValue(cond?.var), cond);
+    }
+
+    /** 'hall.eccIndex' / 'stats.0.p2p' 같은 점 경로로 stepContext 값 조회 */
+    _getContextValue(path) {
+        if (!path) return undefined;
+        return String(path).split('.').reduce((obj, key) => obj?.[key], this.stepContext);
+    }
+
+    /** 조건 객체 → 표시용 문자열 (예: "& 0x0004 == 4", "≥ 100 && ≤ 200") */
+    _describeCondition(cond) {
+        if (!cond) return '-';
+        const ops = { eq: '==', ne: '!=', gt: '>', gte: '≥', lt: '<', lte: '≤' };
+        const parts = Object.entries(ops)
+            .filter(([key]) => cond[key] !== undefined)
+            .map(([key, op]) => `${op} ${cond[key]}`);
+        if (cond.exists !== undefined) parts.push(cond.exists ? '저장됨' : '저장 안 됨');
+        const head = [cond.var, cond.mask !== undefined ? `& 0x${this.toHex4(cond.mask)}` : '']
+            .filter(Boolean).join(' ');
+        return [head, parts.join(' && ')].filter(Boolean).join(' ');
+    }
+
+    /** 샘플 통계 (chart_capture) */
+    _sampleStats(data, zeroLevel = 0) {
+        const n = data.length;
+        if (n === 0) return { samples: 0, min: NaN, max: NaN, mean: NaN, p2p: NaN, rms: NaN, zeroCrossings: 0 };
+        let min = Infinity, max = -Infinity, sum = 0, sumSq = 0;
+        for (const v of data) {
+            if (v < min) min = v;
+            if (v > max) max = v;
+            sum += v;
+            sumSq += v * v;
+        }
+        const mean  = sum / n;
+        const level = zeroLevel === 'mean' ? mean : zeroLevel;
+        // 레벨과 같은 샘플은 건너뛰고 부호가 바뀐 횟수를 센다
+        let zeroCrossings = 0, prevSign = 0;
+        for (const v of data) {
+            const sign = Math.sign(v - level);
+            if (sign === 0) continue;
+            if (prevSign !== 0 && sign !== prevSign) zeroCrossings++;
+            prevSign = sign;
+        }
+        return { samples: n, min, max, mean, p2p: max - min, rms: Math.sqrt(sumSq / n), zeroCrossings };
+    }
+
+    /**
+     * 작업자 예/아니오 판정 창 (operator_prompt)
+     * @returns {Promise<boolean|null>} 예 = true, 아니오 = false, 테스트 중단 = null
+     */
+    askOperator(message, { yesLabel = '예', noLabel = '아니오' } = {}) {
+        const overlay = document.createElement('div');
+        overlay.className = 'os-operator-prompt';
+        overlay.innerHTML = `
+            <div class="os-operator-prompt-box">
+                <div class="os-operator-prompt-title">작업자 확인</div>
+                <div class="os-operator-prompt-message"></div>
+                <div class="os-operator-prompt-actions">
+                    <button class="btn btn-primary btn-sm" data-answer="yes"></button>
+                    <button class="btn btn-secondary btn-sm" data-answer="no"></button>
+                </div>
+            </div>`;
+        overlay.querySelector('.os-operator-prompt-message').textContent = message;
+        overlay.querySelector('[data-answer="yes"]').textContent = yesLabel;
+        overlay.querySelector('[data-answer="no"]').textContent  = noLabel;
+        document.body.appendChild(overlay);
+
+        return new Promise(resolve => {
+            const finish = answer => {
+                clearInterval(stopWatch);
+                overlay.remove();
+                resolve(answer);
+            };
+            // Stop 버튼으로 테스트가 중단되면 창을 닫는다
+            const stopWatch = setInterval(() => { if (this.shouldStopTest) finish(null); }, 200);
+            overlay.addEventListener('click', e => {
+                const btn = e.target.closest('[data-answer]');
+                if (btn) finish(btn.dataset.answer === 'yes');
+            });
+        });
+    }
+
     /** expect 값 검사 (softMatch 이면 경고만, 아니면 예외) */
     _checkExpect(value, step) {
-        if (step.expect === undefined || step.expect === null) return;
+        if (step.expect === undefined || step.expect === null) {
+            this._measure(null, `0x${this.toHex4(value)} (${value})`);
+            return;
+        }
+        this._measure(`0x${this.toHex4(step.expect)}`, `0x${this.toHex4(value)}`);
         if (value === step.expect) {
             this.addLog(`✓ 값 일치 (0x${this.toHex4(value)})`, 'success');
         } else if (step.softMatch) {
@@ -1197,6 +2082,16 @@ class OSTestManager {
             restore_holding:    `FC06 복원 [0x${step.address != null ? this.toHex4(step.address) : '????'}]`,
             wait_countdown:     `${step.seconds}초 대기`,
             delay:              `${step.ms}ms 대기`,
+            hall_uvw_analysis:  'Hall UVW 편심/편축 진단',
+            reference_compare:  `기준 파형 비교 [${step.reference ?? '?'}]`,
+            poll_until:         `${step.fc === 'holding' ? 'FC03' : 'FC04'} [0x${step.address != null ? this.toHex4(step.address) : '????'}] ${this._describeCondition(step.until)} 대기`,
+            chart_capture:      `차트 수집 ${step.durationMs || 2000}ms / 통계 판정`,
+            read_canopen:       `FC 0x2B 읽기 [0x${step.index != null ? this.toHex4(step.index) : '????'}:${(step.subIndex ?? 0).toString(16).toUpperCase().padStart(2, '0')}]`,
+            write_canopen:      `FC 0x2B 쓰기 [0x${step.index != null ? this.toHex4(step.index) : '????'}:${(step.subIndex ?? 0).toString(16).toUpperCase().padStart(2, '0')}]${step.expectReject ? ' (거부 예상)' : ` = ${step.value ?? step.valueFrom ?? '?'}`}`,
+            sw_reset:           'SW Reset 후 재부팅 대기',
+            operator_prompt:    `작업자 확인: ${step.message ?? ''}`,
+            branch:             `분기 (${this._describeCondition(step.if)})`,
+            loop:               `반복${step.times !== undefined ? ` ${step.times}회` : ''}${step.while ? ` (${this._describeCondition(step.while)})` : ''}`,
         };
         return defaults[step.type] || step.type;
     }
@@ -1269,7 +2164,7 @@ class OSTestManager {
             section.dataset.category = cat;
             section.innerHTML = `
                 <div style="display:flex;align-items:center;justify-content:space-between;margin-bottom:10px;padding:0 4px;">
-                    <h3 style="margin:0;font-size:15px;font-weight:700;color:#191f28;letter-spacing:-0.2px;">${cat}</h3>
+                    <h3 style="margin:0;font-size:15px;font-weight:700;color:#191f28;letter-spacing:-0.2px;">${OSTestReport.escape(cat)}</h3>
                     <div style="display:flex;align-items:center;gap:8px;">
                         <span style="font-size:12px;color:#b0b8c1;font-weight:500;">${tests.length}개 항목</span>
                         <button class="os-run-category-btn" style="padding:6px 14px;background:#f0f6ff;color:#3182f6;border:none;border-radius:8px;font-size:12px;font-weight:600;cursor:pointer;letter-spacing:-0.1px;">▶ Run</button>
@@ -1292,6 +2187,9 @@ class OSTestManager {
         const manualBadge = test.manual
             ? `<span style="padding:3px 9px;background:#fff8e1;color:#b45309;border:1px solid #fde68a;border-radius:20px;font-size:11px;font-weight:600;">수동</span>`
             : '';
+        const suiteBadge = test.suite
+            ? `<span title="JSON 스위트: ${esc(test.suite).replace(/"/g, '&quot;')}" style="padding:3px 9px;background:#f0f6ff;color:#3182f6;border:1px solid #d0e3ff;border-radius:20px;font-size:11px;font-weight:600;">JSON</span>`
+            : '';
         const executionSection = test.manual ? `
     <div style="padding:16px 18px;background:#fffbf0;border-top:1px solid #f0f0f5;">
       <div style="font-size:13px;font-weight:600;color:#191f28;margin-bottom:8px;">수동 테스트</div>
@@ -1324,7 +2222,7 @@ class OSTestManager {
       <div style="font-size:12px;color:#8b95a1;">${esc(test.description)}</div>
     </div>
     <div style="display:flex;align-items:center;gap:10px;flex-shrink:0;margin-left:12px;">
-      ${manualBadge}
+      ${suiteBadge}${manualBadge}
       <span class="test-status-badge" style="padding:4px 12px;background:#f2f4f6;color:#8b95a1;border-radius:20px;font-size:12px;font-weight:500;">Pending</span>
       <span class="test-expand-icon" style="font-size:16px;color:#b0b8c1;transition:transform 0.3s;">▼</span>
     </div>
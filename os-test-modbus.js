@@ -13,6 +13,9 @@
  *   0xD001  Set Point         : FC03 R/W Holding Register
  *   0xD011  Motor Status      : FC04 Read-Only Input Register
  *   0xD013  DC Link Voltage   : FC04 Read-Only Input Register
+ *
+ * 모든 항목이 Node 1 기준 Raw 프레임(CRC 포함)으로 규격을 검증하므로 fixedSlaveId 로
+ * 표시한다 — 배치 검증에서는 Slave ID 1 디바이스에서만 실행된다.
  */
 
 window.OSTestModules = window.OSTestModules || [];
@@ -33,6 +36,7 @@ window.OSTestModules.push({
           'Modbus RTU Read Holding Registers [0x03] 명령을 Raw Hex Frame으로 전송하여 파라미터의 정상 반환을 확인하고, 비정상 주소/길이 초과/CRC 오류/잘린 프레임(Truncated) 전송 시 규격에 맞는 Exception Code 응답 여부와 통신 버퍼 자가 복구 능력을 종합적으로 검증한다.',
       model: 'EC-FAN',
       equipment: 'EC FAN 1EA, USB to RS485 Converter',
+      fixedSlaveId: true,
       criteria: 'FC03 정상 응답 · 경계값 Byte Count · Exception 처리 · 버퍼 복구 확인',
       steps: [
         '[Phase 2-1] FC03 단일 읽기 — Set Point [0xD001] qty=1\n판정 기준: 정상 응답값 수신',
@@ -56,6 +60,7 @@ window.OSTestModules.push({
           'Modbus RTU Read Input Registers [0x04] 명령을 Raw Hex Frame으로 전송하여 실시간 모니터링 데이터 정상 반환을 확인하고, 비정상 주소·길이 초과·CRC 오류·잘린 프레임 전송 시 규격에 맞는 Exception Code 응답 여부와 통신 버퍼 자가 복구 능력을 종합적으로 검증한다.',
       model: 'EC-FAN',
       equipment: 'EC FAN 1EA, USB to RS485 Converter',
+      fixedSlaveId: true,
       criteria: 'FC04 정상 응답 · 경계값 Byte Count · Exception 처리 · 잘린 프레임 버퍼 복구 확인',
       steps: [
         '[Phase 2-1] FC04 단일 읽기 — Motor Status [0xD011] qty=1\n판정 기준: 정상 응답 수신 (Byte Count = 0x02)',
@@ -79,6 +84,7 @@ window.OSTestModules.push({
           'Modbus RTU Write Single Register [0x06] 명령으로 최솟값/최댓값 경계값 쓰기 후 Echo 응답 및 FC03 Read-back 일치를 확인하고, 쓰기 금지 영역 접근·범위 초과 값·CRC 오류·잘린 프레임 시 규격에 맞는 예외 응답과 버퍼 자가 복구 능력을 검증한다.',
       model: 'EC-FAN',
       equipment: 'EC FAN 1EA, USB to RS485 Converter',
+      fixedSlaveId: true,
       criteria: 'FC06 Echo 응답 · FC03 Read-back 일치 · Exception 처리 · 잘린 프레임 버퍼 복구 확인',
       steps: [
         '[Phase 2-1] Set Point [0xD001] = 0 (최솟값) Write\n판정 기준: FC06 Echo 응답 수신 + FC03 Read-back = 0 일치',
@@ -102,6 +108,7 @@ window.OSTestModules.push({
           'Modbus RTU Write Multiple Registers [0x10] 명령으로 레지스터 쓰기 성공 응답을 확인하고, 쓰기 개수 초과·Byte Count 불일치·CRC 오류·잘린 프레임 시 규격에 맞는 예외 응답과 버퍼 자가 복구 능력을 검증한다.',
       model: 'EC-FAN',
       equipment: 'EC FAN 1EA, USB to RS485 Converter',
+      fixedSlaveId: true,
       criteria: 'FC10 성공 응답 · FC03 Read-back 일치 · Exception 처리 · 잘린 프레임 버퍼 복구 확인',
       steps: [
         '[Phase 2] FC10 단일 쓰기 — Set Point [0xD001] qty=1\n판정 기준: 성공 응답(01 10 D0 01 00 01 [CRC]) + FC03 Read-back 일치',
@@ -124,6 +131,7 @@ window.OSTestModules.push({
           'Modbus RTU FC 0x2B MEI Transport(CANopen SDO) 명령으로 드라이브 내부 오브젝트 정상 응답과 3회 반복 일관성을 확인하고, 비존재 오브젝트 접근·Read-Only 쓰기·CRC 오류 시 규격에 맞는 예외 응답과 버퍼 자가 복구 능력을 검증한다.',
       model: 'EC-FAN',
       equipment: 'EC FAN 1EA, USB to RS485 Converter',
+      fixedSlaveId: true,
       criteria: 'FC 0x2B 정상 응답 3회 일관성 · AbortCode 예외 처리 · CRC 훼손 무응답 · 버퍼 복구 확인',
       steps: [
         '[Phase 2] CANopen Upload [0x2000:00] × 3회 반복\n판정 기준: 3회 모두 정상 응답 수신 및 일관된 값 반환',
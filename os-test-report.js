@@ -0,0 +1,625 @@
+/**
+ * OSTestReport — OS 검증 스위트 전체 보고서 (LQC 승인용) 생성 모듈
+ *
+ * OSTestManager 의 결과(localStorage 'osTestResults') / 스텝별 기대·측정값 /
+ * 실행 로그 / 차트 스냅샷과 테스트 구간의 패킷 로그를 한 문서로 묶는다.
+ *
+ *   build(manager, { operator, categories?, device? }) → JSON 보고서 객체 (기계 판독용)
+ *   toHtml(report)                            → 외부 리소스 없는 단일 HTML
+ *                                               (인라인 CSS, 스냅샷은 PNG data URL)
+ *   buildBatch(manager, batch, { operator })  → 여러 디바이스 통합 보고서 (runBatch 결과)
+ *   toBatchHtml(combined)                     → 결과 매트릭스 + 디바이스별 상세 HTML
+ *   PDF 는 toHtml() 결과를 새 창에 열어 브라우저 인쇄(PDF 로 저장)로 만든다.
+ *
+ * JSON 구조:
+ *   { format: 'os-verification-report', version: 1, generatedAt, operator,
+ *     device:  { name, slaveId, serialNumber,
+ *                osVersions: { mcuBoot, mcuFw, invBoot, invFw } },
+ *     summary: { total, passed, failed, pending },
+ *     categories: [{ name, summary, tests: [{
+ *         id, number, title, purpose, result, timestamp, startedAt, endedAt, notes,
+ *         steps:     [{ index, label, status, expected, measured, detail }],
+ *         snapshots: [{ label, image }],
+ *         log:       [{ ts, type, message }],
+ *         packets:   { total, frames: [{ t, dir, hex, text }] } }] }] }
+ *   result : 'pass' | 'fail' | 'pending'
+ *   status : 'pass' | 'fail' | 'warning' | null (미실행)
+ *
+ * 스텝 상세·로그·스냅샷은 현재 세션에서 실행한 테스트만 담긴다
+ * (새로고침 후에는 localStorage 의 판정/메모만 남음).
+ *
+ * 통합 보고서 JSON:
+ *   { format: 'os-batch-report', version: 1, generatedAt, operator, mode, category,
+ *     startedAt, endedAt, stopped,
+ *     tests:   [{ id, number, title, category, batchMode, fixedSlaveId }],
+ *     summary: { devices, passed, failed, incomplete },   (디바이스 단위)
+ *     devices: [{ device, summary: { total, passed, failed, pending, skipped },
+ *                 cells: { testId: state }, report }] }
+ *   state  : 'pass' | 'fail' | 'skipped' (fixedSlaveId) — 미실행 테스트는 키 없음
+ *   report : 해당 디바이스의 build() 결과 (패킷은 그 디바이스 주소 프레임만)
+ *   device.osVersions : 배치 시작 시 디바이스별로 읽은 값 (runBatch → readDeviceVersions)
+ */
+const OS_REPORT_FORMAT = 'os-verification-report';
+const OS_BATCH_REPORT_FORMAT = 'os-batch-report';
+
+window.OSTestReport = {
+
+    PACKET_LIMIT: 200,  // 테스트당 패킷 발췌 최대 개수 (구간의 마지막 N개)
+
+    /** OS 버전 표시 요소 (Manufacture 탭 runOvOsVersion 이 채움) / CANopen 객체 */
+    OS_VERSION_FIELDS: [
+        { key: 'mcuBoot', id: 'ov-mcu-boot-ascii', index: 0x27F0, label: 'MCU Boot' },
+        { key: 'mcuFw',   id: 'ov-mcu-fw-ascii',   index: 0x27F1, label: 'MCU FW'   },
+        { key: 'invBoot', id: 'ov-inv-boot-ascii', index: 0x27F2, label: 'INV Boot' },
+        { key: 'invFw',   id: 'ov-inv-fw-ascii',   index: 0x27F3, label: 'INV FW'   },
+    ],
+
+    STEP_STATUS: { success: 'pass', error: 'fail', warning: 'warning' },
+
+    /** toHtml / toBatchHtml 공용 CSS */
+    STYLE: `
+    body { font-family: -apple-system, 'Segoe UI', 'Malgun Gothic', sans-serif; color: #191f28; margin: 32px; font-size: 13px; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    h2 { font-size: 17px; margin: 32px 0 12px; padding-bottom: 6px; border-bottom: 2px solid #191f28; }
+    h3 { font-size: 14px; margin: 0 0 8px; }
+    h4 { font-size: 12px; margin: 14px 0 6px; color: #4e5968; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 8px; }
+    th, td { border: 1px solid #e5e8eb; padding: 5px 8px; text-align: left; vertical-align: top; }
+    th { background: #f7f8fa; font-weight: 600; white-space: nowrap; }
+    tr.cat td { background: #f2f4f6; font-weight: 600; }
+    .meta { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; margin: 16px 0; }
+    .meta table th { width: 120px; }
+    .muted { color: #8b95a1; font-weight: 400; }
+    .badge { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 11px; font-weight: 700; }
+    .badge.pass { background: #d4edda; color: #155724; }
+    .badge.fail { background: #f8d7da; color: #721c24; }
+    .badge.warning { background: #fff3cd; color: #856404; }
+    .badge.pending, .badge.none, .badge.skipped { background: #e9ecef; color: #6c757d; }
+    .overall { font-size: 15px; margin-left: 8px; }
+    .test { border: 1px solid #e5e8eb; border-radius: 8px; padding: 14px; margin-bottom: 14px; page-break-inside: avoid; }
+    .test pre { background: #f7f8fa; border-radius: 6px; padding: 8px; font-size: 11px; white-space: pre-wrap; word-break: break-all; margin: 0; }
+    .snapshots { display: flex; flex-wrap: wrap; gap: 10px; }
+    .snapshots figure { margin: 0; }
+    .snapshots img { max-width: 100%; border: 1px solid #e5e8eb; border-radius: 6px; }
+    .snapshots figcaption { font-size: 11px; color: #4e5968; }
+    a { color: #3182f6; text-decoration: none; }
+    .matrix td, .matrix th { text-align: center; }
+    .matrix td:nth-child(2), .matrix th:nth-child(2) { text-align: left; }
+    @media print { body { margin: 12mm; } h2 { page-break-before: always; } }
+`,
+
+    SERIES_COLORS: ['#3498db', '#e74c3c', '#27ae60', '#8e44ad'],
+
+    /**
+     * 보고서 대상 디바이스 정보
+     * Manufacture 탭에서 선택한 디바이스 → 없으면 첫 번째 디바이스
+     */
+    readDeviceIdentity() {
+        const d = window.dashboard;
+        const device = d?._getManufactureDevice?.() || d?.devices?.[0] || null;
+        const osVersions = {};
+        this.OS_VERSION_FIELDS.forEach(({ key, id }) => {
+            const text = document.getElementById(id)?.textContent.trim();
+            osVersions[key] = text && text !== '—' && text !== '-' ? text : null;
+        });
+        return {
+            name: device?.name ?? null,
+            slaveId: device?.slaveId ?? null,
+            serialNumber: device?.serialNumber ?? null,
+            osVersions
+        };
+    },
+
+    /**
+     * 디바이스에서 OS 버전 문자열을 직접 읽는다 (FC 0x2B, 0x27F0~0x27F3)
+     * 배치 검증처럼 Manufacture 탭에 표시된 디바이스가 아닌 경우에 쓴다.
+     * @param {number} slaveId
+     * @returns {Promise<Object>} { mcuBoot, mcuFw, invBoot, invFw } — 읽지 못한 항목은 null
+     */
+    async readDeviceVersions(slaveId) {
+        const osVersions = {};
+        for (const { key, index } of this.OS_VERSION_FIELDS) {
+            let text = null;
+            try {
+                const result = await window.dashboard.readCANopenObject(slaveId, index, 0x00, 16);
+                if (result && !result.error) {
+                    text = (result.rawBytes ?? [])
+                        .filter(b => b !== 0x00)
+                        .map(b => (b >= 0x20 && b < 0x7F) ? String.fromCharCode(b) : '.')
+                        .join('') || null;
+                }
+            } catch (e) {
+                console.warn(`[OSTestReport] OS 버전 읽기 실패 (ID ${slaveId}, 0x${index.toString(16)}):`, e);
+            }
+            osVersions[key] = text;
+        }
+        return osVersions;
+    },
+
+    /**
+     * 테스트 구간의 패킷 발췌
+     * 모니터 캡처가 켜져 있으면 IndexedDB 세션에서, 아니면 화면 모니터(최근 500개)에서 찾는다.
+     * @param {{start: number, end: number|null}} range
+     * @param {number|null} [slaveId] - 지정 시 해당 주소 프레임만 (배치 병렬 실행 구간 분리)
+     * @returns {Promise<{total: number, frames: Array<{t, dir, hex, text}>}>}
+     */
+    async collectPackets(range, slaveId = null) {
+        if (!range?.start) return { total: 0, frames: [] };
+        const t0 = range.start;
+        const t1 = range.end ?? Date.now();
+        const filter = { t0, t1, slaveId };
+
+        let records = null;
+        let total = 0;
+        const capture = window.dashboard?.monitorCapture;
+        if (capture?.sessionId) {
+            try {
+                await capture.flush();
+                const result = await MonitorCapture.query(capture.sessionId, filter, this.PACKET_LIMIT);
+                if (result.total > 0) {
+                    records = result.frames;
+                    total = result.total;
+                }
+            } catch (e) {
+                console.warn('[OSTestReport] 캡처 세션 조회 실패:', e);
+            }
+        }
+        if (!records) {
+            const inRange = (window.dashboard?.monitorEntries || [])
+                .filter(e => e.timestamp >= t0 && e.timestamp <= t1)
+                .map(e => MonitorCapture.toRecord(e))
+                .filter(r => MonitorCapture.matches(r, filter));
+            total = inRange.length;
+            records = inRange.slice(-this.PACKET_LIMIT);
+        }
+
+        return {
+            total,
+            frames: records.map(r => ({
+                t: r.t,
+                dir: r.dir,
+                hex: r.bytes ? this._toHex(r.bytes) : null,
+                text: r.text || r.errorMsg || null
+            }))
+        };
+    },
+
+    /**
+     * 스위트 전체 보고서 생성
+     * @param {OSTestManager} manager
+     * @param {Object} [options]
+     * @param {string} [options.operator]
+     * @param {string[]} [options.categories] - 지정 시 해당 카테고리만 포함
+     * @param {Object} [options.device] - 대상 디바이스 정보 (생략 시 readDeviceIdentity())
+     * @returns {Promise<Object>} JSON 보고서 객체
+     */
+    async build(manager, { operator = '', categories: only = null, device = null } = {}) {
+        const byCategory = new Map();
+        Object.values(manager.tests).forEach(test => {
+            const category = test.category || '기타';
+            if (OSTestManager.HIDDEN_CATEGORIES.has(category)) return;
+            if (only && !only.includes(category)) return;
+            if (!byCategory.has(category)) byCategory.set(category, []);
+            byCategory.get(category).push(test);
+        });
+
+        const categories = [];
+        for (const [name, tests] of byCategory) {
+            const entries = [];
+            for (const test of tests) entries.push(await this._buildTest(manager, test));
+            categories.push({ name, summary: this._summarize(entries), tests: entries });
+        }
+
+        return {
+            format: OS_REPORT_FORMAT,
+            version: 1,
+            generatedAt: new Date().toISOString(),
+            operator: operator || null,
+            device: device || this.readDeviceIdentity(),
+            summary: this._summarize(categories.flatMap(c => c.tests)),
+            categories
+        };
+    },
+
+    async _buildTest(manager, test) {
+        const saved   = manager.getTestResult(test.id);
+        const range   = manager.testTimeRange[test.id];
+        const details = manager.testStepDetails[test.id] || [];
+        const marks   = manager.testStepResults[test.id] || {};
+
+        const steps = (test.steps || []).map((step, index) => {
+            const rec = details[index];
+            const status = rec?.status ?? marks[index];
+            return {
+                index: index + 1,
+                label: rec?.label ?? manager._getStepLabel(step),
+                status: this.STEP_STATUS[status] ?? null,
+                expected: rec?.expected ?? null,
+                measured: rec?.measured ?? null,
+                detail: rec?.detail ?? null
+            };
+        });
+
+        return {
+            id: test.id,
+            number: test.number ?? null,
+            title: test.title,
+            purpose: test.purpose ?? null,
+            result: saved?.result || 'pending',
+            timestamp: saved?.timestamp ?? null,
+            startedAt: range?.start ? new Date(range.start).toISOString() : null,
+            endedAt: range?.end ? new Date(range.end).toISOString() : null,
+            notes: saved?.notes?.trim() || null,
+            steps,
+            snapshots: (manager.testSnapshots[test.id] || []).map(s => ({ ...s })),
+            log: (manager.testLogs[test.id] || []).map(({ ts, type, message }) => ({ ts, type, message })),
+            // 배치 실행기는 자기 주소 프레임만 (병렬 실행 시 구간이 겹침)
+            packets: await this.collectPackets(range, manager.batchDevice ? manager.targetSlaveId : null)
+        };
+    },
+
+    /**
+     * 배치 통합 보고서
+     * @param {OSTestManager} manager
+     * @param {Object} batch - runBatch() 결과
+     * @param {Object} [options]
+     * @param {string} [options.operator]
+     * @returns {Promise<Object>}
+     */
+    async buildBatch(manager, batch, { operator = '' } = {}) {
+        // 직접 읽지 못한 항목은 Manufacture 탭에 표시된 같은 디바이스의 값으로 채운다
+        const identity = this.readDeviceIdentity();
+        const devices = [];
+        for (const { device, runner, cells, osVersions: read } of batch.devices) {
+            const shown = identity.slaveId === device.slaveId ? identity.osVersions : {};
+            const osVersions = Object.fromEntries(this.OS_VERSION_FIELDS.map(
+                ({ key }) => [key, read?.[key] ?? shown[key] ?? null]));
+            const report = await this.build(runner, {
+                operator,
+                categories: batch.category ? [batch.category] : null,
+                device: {
+                    name: device.name ?? null,
+                    slaveId: device.slaveId,
+                    serialNumber: device.serialNumber ?? null,
+                    osVersions
+                }
+            });
+            // fixedSlaveId 로 건너뛴 테스트는 판정 대상에서 뺀다
+            const states = batch.testIds.map(id => cells[id]).filter(state => state !== 'skipped');
+            const summary = {
+                total: states.length,
+                passed: states.filter(state => state === 'pass').length,
+                failed: states.filter(state => state === 'fail').length,
+                skipped: batch.testIds.length - states.length
+            };
+            summary.pending = summary.total - summary.passed - summary.failed;
+            devices.push({ device: report.device, summary, cells: { ...cells }, report });
+        }
+
+        const passed = devices.filter(d => d.summary.failed === 0 && d.summary.pending === 0).length;
+        const failed = devices.filter(d => d.summary.failed > 0).length;
+        return {
+            format: OS_BATCH_REPORT_FORMAT,
+            version: 1,
+            generatedAt: new Date().toISOString(),
+            operator: operator || null,
+            mode: batch.mode,
+            category: batch.category,
+            startedAt: new Date(batch.startedAt).toISOString(),
+            endedAt: batch.endedAt ? new Date(batch.endedAt).toISOString() : null,
+            stopped: batch.stopped,
+            tests: batch.testIds.map(id => {
+                const test = manager.tests[id];
+                return {
+                    id,
+                    number: test?.number ?? null,
+                    title: test?.title ?? id,
+                    category: test?.category || '기타',
+                    batchMode: test ? manager.getBatchMode(id) : null,
+                    fixedSlaveId: !!test?.fixedSlaveId
+                };
+            }),
+            summary: { devices: devices.length, passed, failed, incomplete: devices.length - passed - failed },
+            devices
+        };
+    },
+
+    _summarize(tests) {
+        const passed = tests.filter(t => t.result === 'pass').length;
+        const failed = tests.filter(t => t.result === 'fail').length;
+        return { total: tests.length, passed, failed, pending: tests.length - passed - failed };
+    },
+
+    _toHex(bytes) {
+        return Array.from(bytes)
+            .map(b => b.toString(16).toUpperCase().padStart(2, '0'))
+            .join(' ');
+    },
+
+    // ─────────────────────────────────────────────────────────
+    //  HTML
+
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    _time(iso) {
+        return iso ? new Date(iso).toLocaleString('ko-KR') : '-';
+    },
+
+    _badge(result) {
+        const label = { pass: 'PASS', fail: 'FAIL', warning: 'WARN', pending: 'PENDING', skipped: 'N/A' }[result] || '-';
+        return `<span class="badge ${result || 'none'}">${label}</span>`;
+    },
+
+    /**
+     * 보고서 → 단일 HTML 문서 문자열
+     * @param {Object} report - build() 결과
+     * @returns {string}
+     */
+    toHtml(report) {
+        const esc = v => this.escape(v);
+        const { device, summary } = report;
+        const overall = summary.failed > 0 ? 'fail' : summary.pending > 0 ? 'pending' : 'pass';
+
+        const versionRows = this.OS_VERSION_FIELDS
+            .map(f => `<tr><th>${f.label}</th><td>${esc(device.osVersions[f.key] ?? '-')}</td></tr>`)
+            .join('');
+
+        const overview = report.categories.map(cat => `
+            <tr class="cat"><td colspan="4">${esc(cat.name)}
+                <span class="muted">— ${cat.summary.passed}/${cat.summary.total} 합격, ${cat.summary.failed} 불합격</span></td></tr>
+            ${cat.tests.map(t => `
+            <tr><td>${esc(t.number ?? t.id)}</td><td><a href="#${esc(t.id)}">${esc(t.title)}</a></td>
+                <td>${this._badge(t.result)}</td><td>${this._time(t.timestamp)}</td></tr>`).join('')}`).join('');
+
+        const sections = report.categories.map(cat => `
+            <h2>${esc(cat.name)}</h2>
+            ${cat.tests.map(t => this._testHtml(t)).join('')}`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="utf-8">
+<title>OS 검증 보고서 ${esc(device.serialNumber ?? '')}</title>
+<style>${this.STYLE}</style>
+</head>
+<body>
+    <h1>OS 검증 보고서 ${this._badge(overall)}</h1>
+    <div class="muted">생성 ${this._time(report.generatedAt)}</div>
+    <div class="meta">
+        <table>
+            <tr><th>디바이스</th><td>${esc(device.name ?? '-')}${device.slaveId != null ? ` (ID ${device.slaveId})` : ''}</td></tr>
+            <tr><th>시리얼 번호</th><td>${esc(device.serialNumber ?? '-')}</td></tr>
+            <tr><th>작업자</th><td>${esc(report.operator ?? '-')}</td></tr>
+            <tr><th>결과</th><td>${summary.passed}/${summary.total} 합격 · ${summary.failed} 불합격 · ${summary.pending} 미실행</td></tr>
+        </table>
+        <table>${versionRows}</table>
+    </div>
+    <h2>요약</h2>
+    <table>
+        <tr><th>No.</th><th>항목</th><th>판정</th><th>시각</th></tr>
+        ${overview}
+    </table>
+    ${sections}
+</body>
+</html>`;
+    },
+
+    /**
+     * 통합 보고서 → 단일 HTML (결과 매트릭스 + 디바이스별 상세)
+     * @param {Object} combined - buildBatch() 결과
+     * @returns {string}
+     */
+    toBatchHtml(combined) {
+        const esc = v => this.escape(v);
+        const { summary } = combined;
+        const overall = summary.failed > 0 ? 'fail' : summary.incomplete > 0 ? 'pending' : 'pass';
+        const anchor = (d, id) => `d${d.device.slaveId}-${id}`;
+
+        const header = combined.devices.map(d => `
+            <th><a href="#dev-${d.device.slaveId}">${esc(d.device.name ?? '-')}</a>
+                <div class="muted">ID ${d.device.slaveId}${d.device.serialNumber ? ` · ${esc(d.device.serialNumber)}` : ''}</div></th>`).join('');
+        const rows = combined.tests.map(t => `
+            <tr><td>${esc(t.number ?? t.id)}</td><td>${esc(t.title)}
+                <span class="muted">${t.batchMode === 'parallel' ? '· 병렬' : '· 직렬'}</span></td>
+                ${combined.devices.map(d => {
+                    const state = d.cells[t.id];
+                    return `<td>${state ? `<a href="#${esc(anchor(d, t.id))}">${this._badge(state)}</a>` : this._badge('pending')}</td>`;
+                }).join('')}</tr>`).join('');
+        const totals = combined.devices.map(d =>
+            `<td>${d.summary.passed}/${d.summary.total}</td>`).join('');
+
+        const sections = combined.devices.map(d => {
+            const overallDev = d.summary.failed > 0 ? 'fail' : d.summary.pending > 0 ? 'pending' : 'pass';
+            return `
+            <h2 id="dev-${d.device.slaveId}">${esc(d.device.name ?? '-')} (ID ${d.device.slaveId}) ${this._badge(overallDev)}</h2>
+            <div class="muted">시리얼 번호 ${esc(d.device.serialNumber ?? '-')} ·
+                ${d.summary.passed}/${d.summary.total} 합격 · ${d.summary.failed} 불합격 · ${d.summary.pending} 미실행${d.summary.skipped ? ` · ${d.summary.skipped} N/A` : ''}</div>
+            <div class="muted">${this.OS_VERSION_FIELDS
+                .map(({ key, label }) => `${label} ${esc(d.device.osVersions?.[key] ?? '-')}`).join(' · ')}</div>
+            ${d.report.categories.flatMap(cat => cat.tests)
+                .filter(t => d.cells[t.id] && d.cells[t.id] !== 'skipped')
+                .map(t => this._testHtml(t, anchor(d, t.id))).join('')}`;
+        }).join('');
+
+        return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="utf-8">
+<title>OS 배치 검증 보고서 (${combined.devices.length}대)</title>
+<style>${this.STYLE}</style>
+</head>
+<body>
+    <h1>OS 배치 검증 보고서 ${this._badge(overall)}</h1>
+    <div class="muted">생성 ${this._time(combined.generatedAt)}</div>
+    <div class="meta">
+        <table>
+            <tr><th>계획</th><td>${esc(combined.category ?? '전체')}</td></tr>
+            <tr><th>실행 방식</th><td>${combined.mode === 'parallel' ? '병렬 (읽기 전용 테스트 동시 실행)' : '순차 (디바이스별)'}${combined.stopped ? ' — 중단됨' : ''}</td></tr>
+            <tr><th>작업자</th><td>${esc(combined.operator ?? '-')}</td></tr>
+        </table>
+        <table>
+            <tr><th>실행</th><td>${this._time(combined.startedAt)} ~ ${this._time(combined.endedAt)}</td></tr>
+            <tr><th>결과</th><td>${summary.passed}/${summary.devices}대 합격 · ${summary.failed}대 불합격 · ${summary.incomplete}대 미완료</td></tr>
+        </table>
+    </div>
+    <h2>결과 매트릭스</h2>
+    <table class="matrix">
+        <tr><th>No.</th><th>항목</th>${header}</tr>
+        ${rows}
+        <tr class="cat"><td colspan="2">합격</td>${totals}</tr>
+    </table>
+    <div class="muted">N/A — Node 1 기준 프레임을 쓰는 테스트 (Slave ID 1 디바이스에서만 실행)</div>
+    ${sections}
+</body>
+</html>`;
+    },
+
+    _testHtml(test, anchor = test.id) {
+        const esc = v => this.escape(v);
+
+        const steps = test.steps.length === 0 ? '' : `
+            <table>
+                <tr><th>#</th><th>단계</th><th>기대값</th><th>측정값</th><th>판정</th></tr>
+                ${test.steps.map(s => `
+                <tr><td>${s.index}</td><td>${esc(s.label).replace(/\n/g, '<br>')}</td>
+                    <td>${esc(s.expected ?? '-')}</td><td>${esc(s.measured ?? '-')}</td>
+                    <td>${s.status ? this._badge(s.status) : '-'}</td></tr>`).join('')}
+            </table>`;
+
+        const snapshots = test.snapshots.length === 0 ? '' : `
+            <h4>차트 스냅샷</h4>
+            <div class="snapshots">${test.snapshots.map(s => `
+                <figure><img src="${s.image}" alt="${esc(s.label)}"><figcaption>${esc(s.label)}</figcaption></figure>`).join('')}
+            </div>`;
+
+        const log = test.log.length === 0 ? '' : `
+            <h4>실행 로그</h4>
+            <pre>${test.log.map(l => `[${esc(l.ts)}] [${esc(l.type.toUpperCase())}] ${esc(l.message)}`).join('\n')}</pre>`;
+
+        const { total, frames } = test.packets;
+        const packets = frames.length === 0 ? '' : `
+            <h4>패킷 로그 ${total > frames.length ? `<span class="muted">(전체 ${total}개 중 마지막 ${frames.length}개)</span>` : ''}</h4>
+            <pre>${frames.map(f => {
+                const time = window.dashboard?.formatMonitorTime?.(f.t) ?? new Date(f.t).toISOString();
+                return `[${esc(time)}] ${f.dir.toUpperCase().padEnd(6)} ${esc(f.hex ?? f.text ?? '')}`;
+            }).join('\n')}</pre>`;
+
+        return `
+            <div class="test" id="${esc(anchor)}">
+                <h3>[${esc(test.number ?? test.id)}] ${esc(test.title)} ${this._badge(test.result)}</h3>
+                <div class="muted">판정 ${this._time(test.timestamp)} · 실행 ${this._time(test.startedAt)} ~ ${this._time(test.endedAt)}</div>
+                ${test.purpose ? `<p>${esc(test.purpose)}</p>` : ''}
+                ${steps}
+                ${snapshots}
+                ${test.notes ? `<h4>메모 / 상세</h4><pre>${esc(test.notes)}</pre>` : ''}
+                ${log}
+                ${packets}
+            </div>`;
+    },
+
+    // ─────────────────────────────────────────────────────────
+    //  차트 스냅샷
+
+    /**
+     * 화면 밖 canvas 에 그려 PNG data URL 로 반환
+     * @param {number} width
+     * @param {number} height
+     * @param {function(HTMLCanvasElement)} draw
+     */
+    snapshot(width, height, draw) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        draw(canvas);
+        return canvas.toDataURL('image/png');
+    },
+
+    /**
+     * 시계열 겹쳐 그리기 (기준 파형 비교 등)
+     * @param {HTMLCanvasElement} canvas
+     * @param {Array<{name: string, points: Array<{t, v}>, color?: string, dashed?: boolean}>} series
+     * @param {string} title
+     */
+    drawSeries(canvas, series, title) {
+        const area = this._prepareCanvas(canvas);
+        if (!area) return;
+        const { ctx, w, h } = area;
+        const pad = { l: 48, r: 10, t: 22, b: 22 };
+        const pw = w - pad.l - pad.r, ph = h - pad.t - pad.b;
+
+        let tMin = Infinity, tMax = -Infinity, vMin = Infinity, vMax = -Infinity;
+        series.forEach(s => s.points.forEach(({ t, v }) => {
+            if (t < tMin) tMin = t;
+            if (t > tMax) tMax = t;
+            if (v < vMin) vMin = v;
+            if (v > vMax) vMax = v;
+        }));
+        if (!isFinite(tMin)) {
+            this._drawTitle(ctx, `${title} (데이터 없음)`);
+            return;
+        }
+        if (tMax === tMin) tMax = tMin + 1;
+        if (vMax === vMin) { vMax += 1; vMin -= 1; }
+        const x = t => pad.l + (t - tMin) / (tMax - tMin) * pw;
+        const y = v => pad.t + (1 - (v - vMin) / (vMax - vMin)) * ph;
+
+        ctx.strokeStyle = '#e9ecef';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(pad.l, pad.t, pw, ph);
+        ctx.font = '10px sans-serif';
+        ctx.fillStyle = '#868e96';
+        ctx.textAlign = 'right';
+        ctx.fillText(vMax.toPrecision(4), pad.l - 4, pad.t + 8);
+        ctx.fillText(vMin.toPrecision(4), pad.l - 4, pad.t + ph);
+        ctx.textAlign = 'center';
+        ctx.fillText(`${(tMax - tMin).toFixed(0)} ms`, pad.l + pw / 2, h - 6);
+
+        series.forEach((s, i) => {
+            // 점이 많으면 간격을 두고 그림
+            const step = Math.max(1, Math.floor(s.points.length / (pw * 2)));
+            ctx.strokeStyle = s.color || this.SERIES_COLORS[i % this.SERIES_COLORS.length];
+            ctx.setLineDash(s.dashed ? [4, 3] : []);
+            ctx.beginPath();
+            for (let k = 0; k < s.points.length; k += step) {
+                const { t, v } = s.points[k];
+                if (k === 0) ctx.moveTo(x(t), y(v));
+                else ctx.lineTo(x(t), y(v));
+            }
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+
+        ctx.textAlign = 'right';
+        series.forEach((s, i) => {
+            ctx.fillStyle = s.color || this.SERIES_COLORS[i % this.SERIES_COLORS.length];
+            ctx.fillText(s.name, w - pad.r - 4, pad.t + 12 + i * 12);
+        });
+        this._drawTitle(ctx, title);
+    },
+
+    _prepareCanvas(canvas) {
+        return HallUvwAnalyzer._prepareCanvas(canvas);
+    },
+
+    _drawTitle(ctx, text) {
+        HallUvwAnalyzer._drawTitle(ctx, text);
+    },
+
+    // ─────────────────────────────────────────────────────────
+    //  저장
+
+    download(text, filename, type) {
+        const blob = new Blob([text], { type });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(a.href);
+    },
+};
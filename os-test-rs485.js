@@ -14,6 +14,9 @@
  *   0x0001  Run/Stop  : 1=Run / 0=Stop
  *   0x0002  Target RPM
  *   0xD02D  Actual Speed (FC04 Input Register)
+ *
+ * rs1 은 검증 대상 Slave ID(targetSlaveId)로 동작하고, rs2 / rs3 은 Node 1 과 Broadcast 를
+ * 직접 다루므로 fixedSlaveId 로 표시한다 (배치 검증에서 Node 1 디바이스만 실행).
  */
 
 window.OSTestModules = window.OSTestModules || [];
@@ -140,6 +143,7 @@ window.OSTestModules.push({
             purpose:     'Modbus 표준 Node ID 허용 범위(1~247)의 경계값 최솟값·최댓값에서 설정 유지 및 통신 무결성을 검증하고, 범위 외 값 Write 시 드라이브가 설정을 거부하고 기존 값을 유지하는지 검증한다.',
             model:       'EC-FAN',
             equipment:   'EC FAN 1EA, USB to RS485 Converter',
+            fixedSlaveId: true,
             steps: [
                 '[Phase 2-1] Node ID = 1  (BVA 최솟값) — Write → SW Reset → 재부팅 → 유지 확인 → 20회 폴링\n판정 기준: SW Reset 후 Node ID = 1 유지 + 20회 폴링 응답률 100%',
                 '[Phase 2-2] Node ID = 247  (BVA 최댓값) — Write → SW Reset → 재부팅 → 유지 확인 → 20회 폴링 → 복원\n판정 기준: SW Reset 후 Node ID = 247 유지 + 20회 폴링 응답률 100% + Node ID 1 복원 완료',
@@ -157,6 +161,7 @@ window.OSTestModules.push({
             purpose:     'Broadcast(Node ID 0) FC06 Write 시 명령 실행 및 응답 수신 확인, FC03 Read 시 완전 폐기(Drop), Broadcast 연속 인가 직후 Unicast 즉각 복구 여부를 순차 검증한다.',
             model:       'EC-FAN',
             equipment:   'EC FAN 2EA 이상, USB to RS485 Converter',
+            fixedSlaveId: true,
             steps: [
                 '[Phase 2-1] Broadcast FC06 Write — Node ID 0 RPM·Run 송신, 물리 구동 확인, 응답 수신 검증\n판정 기준: RPM·Run 중 하나 이상 응답 수신 시 합격 / 둘 다 무응답(Timeout) 시 불합격 / 모터 속도(0xD02D ≤ 100 RPM)는 육안 확인 권고 (자동 판정 제외)',
                 '[Phase 2-2] Broadcast FC03 Drop — Node ID 0 Read 송신, Exception 없는 완전 Drop 검증\n판정 기준: Broadcast FC03 응답 없음 — Exception 포함 완전 Drop',
@@ -202,7 +207,7 @@ window.OSTestModules.push({
 
             // ── 테스트 루프 ───────────────────────────────────────────────────
             self.addLog(`총 ${total}개 조합 순차 검증 시작`, 'info');
-            self.addLog('초기 설정: 19200bps, Even, Stop1, Node 1', 'info');
+            self.addLog(`초기 설정: 19200bps, Even, Stop1, Node ${self.targetSlaveId}`, 'info');
 
             for (let i = 0; i < combos.length; i++) {
                 if (self.shouldStopTest) throw new Error('테스트 중단됨');
@@ -218,30 +223,30 @@ window.OSTestModules.push({
                 try {
                     if (c.isDefault) {
                         self.addLog('기본값 조합 — 설정 변경 없이 10회 폴링 진행', 'info');
-                        await self._rs1Poll(1, c.baudReg, label);
+                        await self._rs1Poll(self.targetSlaveId, c.baudReg, label);
                     } else {
                         self.addLog(`[0xD149] Baudrate = ${c.baudReg}  (${c.baud}bps)`, 'step');
-                        await window.dashboard.writeRegister(1, 0xD149, c.baudReg);
+                        await window.dashboard.writeRegister(self.targetSlaveId, 0xD149, c.baudReg);
                         self.addLog(`[0xD14A] Parity = ${c.parityReg}  (${c.parity})`, 'step');
-                        await window.dashboard.writeRegister(1, 0xD14A, c.parityReg);
+                        await window.dashboard.writeRegister(self.targetSlaveId, 0xD14A, c.parityReg);
 
                         self.addLog('Software Reset  (0xD000 = 0x0008)', 'step');
-                        await window.dashboard.writeRegister(1, 0xD000, 0x0008);
+                        await window.dashboard.writeRegister(self.targetSlaveId, 0xD000, 0x0008);
                         self.addLog('재부팅 대기 (3초)...', 'info');
                         await self.delay(3000);
 
                         self.addLog(`자동 재접속: ${c.baud}bps, ${c.parity}`, 'step');
                         await window.dashboard.reconnectSerial(c.baud, c.webParity, c.webStop);
 
-                        await self._rs1Poll(1, c.baudReg, label);
+                        await self._rs1Poll(self.targetSlaveId, c.baudReg, label);
 
                         self.addLog('[0xD149] 기본값 복원: 19200bps (4)', 'step');
-                        await window.dashboard.writeRegister(1, 0xD149, 4);
+                        await window.dashboard.writeRegister(self.targetSlaveId, 0xD149, 4);
                         self.addLog('[0xD14A] 기본값 복원: 8E1 (0)', 'step');
-                        await window.dashboard.writeRegister(1, 0xD14A, 0);
+                        await window.dashboard.writeRegister(self.targetSlaveId, 0xD14A, 0);
 
                         self.addLog('Software Reset  (0xD000 = 0x0008)', 'step');
-                        await window.dashboard.writeRegister(1, 0xD000, 0x0008);
+                        await window.dashboard.writeRegister(self.targetSlaveId, 0xD000, 0x0008);
                         self.addLog('재부팅 대기 (3초)...', 'info');
                         await self.delay(3000);
 
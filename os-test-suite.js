@@ -0,0 +1,480 @@
+/**
+ * OSTestSuite — 외부 JSON 테스트 스위트 검증 / 등록 모듈
+ *
+ * os-test-*.js 모듈을 고치지 않고도 선언형 스텝 엔진(executeStepDefinitions)으로
+ * 돌아가는 테스트를 JSON 파일로 추가한다. 가져온 스위트는 localStorage 'osTestSuites'
+ * 에 보관되어 새로고침 후에도 다시 등록된다.
+ *
+ * 파일 포맷:
+ *   { format: 'os-test-suite', version: 1, name, description?,
+ *     tests: [{ id, title, steps, category?, number?, description?, purpose?,
+ *               model?, equipment?, manual?, batch?, fixedSlaveId? }] }
+ *   - category 생략 시 스위트 이름
+ *   - slaveId 1 은 검증 대상 디바이스를 뜻한다 (배치 검증 시 각 디바이스 ID 로 바뀜)
+ *   - batch 생략 시 스텝으로 자동 판정 (읽기 전용이면 병렬, 아니면 직렬)
+ *   - steps 항목은 문자열(수동 확인 단계) 또는 스텝 객체 (os-test-manager.js 의 스텝 타입)
+ *   - slaveId / address / expect 등 정수는 10진수 또는 "0xD011" 형식 문자열
+ *
+ * 검증 (validate):
+ *   필수/알 수 없는 필드, 값 타입·범위, 스텝 타입, write_holding 의 value/valueFrom,
+ *   valueFrom/from 이 앞선 storeAs 를 가리키는지, 테스트 ID 중복·내장 테스트와의 충돌.
+ *   branch / loop 의 중첩 스텝도 같은 규칙으로 검사하며, 앞선 storeAs 집합을 공유한다
+ *   (if / while 의 var 는 점 경로의 첫 키가 storeAs 또는 loop indexAs 여야 함).
+ *   오류는 [{ path: 'tests[2].steps[1].address', message }] 로 모두 모아 반환한다.
+ */
+
+const OS_TEST_SUITE_FORMAT = 'os-test-suite';
+const OS_TEST_SUITE_STORAGE_KEY = 'osTestSuites';
+
+class OSTestSuite {
+    /** 테스트 항목 필드 → 값 타입 */
+    static TEST_FIELDS = {
+        required: { id: 'testId', title: 'string', steps: 'array' },
+        optional: {
+            category: 'string', number: 'string', description: 'string', purpose: 'string',
+            model: 'string', equipment: 'string', manual: 'boolean',
+            batch: 'enum:parallel|serial', fixedSlaveId: 'boolean'
+        }
+    };
+
+    /** 모든 스텝 객체에 허용되는 필드 */
+    static COMMON_STEP_FIELDS = {
+        type: 'string', label: 'string', softFail: 'boolean', delayAfter: 'uint'
+    };
+
+    /**
+     * 스텝 타입 → 필드 스키마 (OSTestManager._runStep 과 짝을 맞춘다)
+     * 값 타입: string | boolean | number | uint | uint16 | slaveId | channels | enum:a|b
+     *         condition (조건 객체) | contextCondition (var + 조건) | assertions | steps (중첩 스텝)
+     */
+    static STEP_SCHEMA = {
+        check_connection: {},
+        check_comm_settings: {
+            optional: { required: 'object' }
+        },
+        read_holding: {
+            required: { slaveId: 'slaveId', address: 'uint16' },
+            optional: { txHex: 'string', rxHex: 'string', expect: 'uint16', softMatch: 'boolean', storeAs: 'string' }
+        },
+        read_input: {
+            required: { slaveId: 'slaveId', address: 'uint16' },
+            optional: { txHex: 'string', rxHex: 'string', expect: 'uint16', softMatch: 'boolean', storeAs: 'string' }
+        },
+        write_holding: {
+            required: { slaveId: 'slaveId', address: 'uint16' },
+            optional: {
+                value: 'uint16', valueFrom: 'string', txHex: 'string', rxHex: 'string',
+                verifyAfterWrite: 'boolean', expectAfterWrite: 'uint16'
+            }
+        },
+        restore_holding: {
+            required: { slaveId: 'slaveId', address: 'uint16', from: 'string' }
+        },
+        wait_countdown: {
+            required: { seconds: 'uint' },
+            optional: { message: 'string' }
+        },
+        delay: {
+            required: { ms: 'uint' }
+        },
+        hall_uvw_analysis: {
+            required: { slaveId: 'slaveId' },
+            optional: {
+                channels: 'channels', durationMs: 'uint', period: 'uint', polePairs: 'uint', numBins: 'uint',
+                maxEccentricity: 'number', maxMisalignment: 'number', storeAs: 'string'
+            }
+        },
+        reference_compare: {
+            required: { slaveId: 'slaveId', reference: 'string' },
+            optional: {
+                channels: 'channels', durationMs: 'uint', period: 'uint', align: 'enum:xcorr|trigger|none',
+                alignChannel: 'uint', tolerancePct: 'number', toleranceAbs: 'number',
+                maxViolationPct: 'number', storeAs: 'string'
+            }
+        },
+        poll_until: {
+            required: { slaveId: 'slaveId', address: 'uint16', until: 'condition' },
+            optional: {
+                fc: 'enum:input|holding', signed: 'boolean', intervalMs: 'uint', timeoutMs: 'uint', storeAs: 'string'
+            }
+        },
+        chart_capture: {
+            required: { slaveId: 'slaveId', channels: 'channels' },
+            optional: {
+                durationMs: 'uint', period: 'uint', zeroLevel: 'zeroLevel', assert: 'assertions', storeAs: 'string'
+            }
+        },
+        read_canopen: {
+            required: { slaveId: 'slaveId', index: 'uint16' },
+            optional: { subIndex: 'uint8', size: 'uint', expect: 'uint', softMatch: 'boolean', storeAs: 'string' }
+        },
+        write_canopen: {
+            required: { slaveId: 'slaveId', index: 'uint16' },
+            optional: {
+                subIndex: 'uint8', size: 'uint', value: 'uint', valueFrom: 'string',
+                verifyAfterWrite: 'boolean', expectReject: 'boolean'
+            }
+        },
+        sw_reset: {
+            required: { slaveId: 'slaveId' },
+            optional: { timeoutMs: 'uint', pollIntervalMs: 'uint' }
+        },
+        operator_prompt: {
+            required: { message: 'string' },
+            optional: { yesLabel: 'string', noLabel: 'string', failOnNo: 'boolean', storeAs: 'string' }
+        },
+        branch: {
+            required: { if: 'contextCondition' },
+            optional: { then: 'steps', else: 'steps' }
+        },
+        loop: {
+            required: { steps: 'steps' },
+            optional: { times: 'uint', while: 'contextCondition', indexAs: 'string', maxIterations: 'uint' }
+        },
+    };
+
+    /** 조건 객체의 비교 키 (OSTestManager._checkCondition 과 짝) */
+    static CONDITION_KEYS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte'];
+
+    /** chart_capture assert 항목에 쓸 수 있는 통계 (OSTestManager._sampleStats 결과 키) */
+    static STAT_KEYS = ['min', 'max', 'mean', 'p2p', 'rms', 'zeroCrossings'];
+
+    /** Template 버튼으로 내려받는 예시 스위트 */
+    static TEMPLATE = {
+        format: OS_TEST_SUITE_FORMAT,
+        version: 1,
+        name: '추가 검증',
+        description: '예시 — 파라미터 쓰기/읽기 후 원래 값 복원',
+        tests: [{
+            id: 'ext-1',
+            number: 'X-1',
+            title: 'Holding 레지스터 쓰기/읽기 검증',
+            description: '0xD001 에 값을 쓰고 다시 읽어 일치 여부 확인',
+            purpose: '파라미터 쓰기가 즉시 반영되는지 확인한다.',
+            equipment: 'EC FAN 1EA, USB to RS485 Converter',
+            steps: [
+                { type: 'check_connection' },
+                { type: 'read_holding', slaveId: 1, address: '0xD001', storeAs: 'orig' },
+                { type: 'write_holding', slaveId: 1, address: '0xD001', value: 100, verifyAfterWrite: true },
+                { type: 'restore_holding', slaveId: 1, address: '0xD001', from: 'orig' },
+                '팬 동작 상태를 육안으로 확인'
+            ]
+        }, {
+            id: 'ext-2',
+            number: 'X-2',
+            title: '운전 상태 폴링 / 작업자 판정',
+            description: '상태 레지스터 비트가 설정될 때까지 대기한 뒤 작업자가 회전 상태를 판정',
+            purpose: '조건 폴링·분기·작업자 확인 스텝 사용 예시.',
+            equipment: 'EC FAN 1EA, USB to RS485 Converter',
+            steps: [
+                { type: 'check_connection' },
+                { type: 'poll_until', slaveId: 1, address: '0xD011', until: { mask: '0x0001', eq: 1 }, timeoutMs: 10000, storeAs: 'status' },
+                { type: 'branch', if: { var: 'status', mask: '0x0004', ne: 0 },
+                  then: [{ type: 'operator_prompt', message: '경고 비트가 설정되었습니다. 팬이 정상 회전합니까?' }] }
+            ]
+        }]
+    };
+
+    /** 이 필드들은 앞선 스텝의 storeAs 를 가리켜야 한다 */
+    static CONTEXT_REFERENCES = ['valueFrom', 'from'];
+
+    /** 값 또는 valueFrom 중 하나가 필요한 스텝 */
+    static VALUE_STEPS = ['write_holding', 'write_canopen'];
+
+    // ─────────────────────────────────────────────────────────
+    //  값 검사
+
+    /** 정수 또는 "0x..." 문자열 → 정수 (아니면 NaN) */
+    static parseInteger(value) {
+        if (typeof value === 'number') return Number.isInteger(value) ? value : NaN;
+        if (typeof value !== 'string') return NaN;
+        const text = value.trim();
+        if (/^0x[0-9a-f]+$/i.test(text)) return parseInt(text, 16);
+        if (/^-?\d+$/.test(text)) return parseInt(text, 10);
+        return NaN;
+    }
+
+    /**
+     * 타입 검사 + 정규화
+     * @returns {{value?: *, error?: string}}
+     */
+    static checkValue(type, value) {
+        const int = (min, max) => {
+            const n = OSTestSuite.parseInteger(value);
+            if (Number.isNaN(n)) return { error: '정수(또는 0x.. 문자열)여야 합니다' };
+            if (n < min || n > max) return { error: `${min}~${max} 범위를 벗어났습니다 (${n})` };
+            return { value: n };
+        };
+
+        if (type.startsWith('enum:')) {
+            const options = type.slice(5).split('|');
+            return options.includes(value) ? { value } : { error: `${options.join(' / ')} 중 하나여야 합니다` };
+        }
+        switch (type) {
+            case 'string':
+                return typeof value === 'string' && value.length > 0 ? { value } : { error: '비어 있지 않은 문자열이어야 합니다' };
+            case 'testId':
+                return typeof value === 'string' && /^[A-Za-z0-9_-]+$/.test(value)
+                    ? { value } : { error: '영문/숫자/-/_ 로 된 문자열이어야 합니다' };
+            case 'boolean':
+                return typeof value === 'boolean' ? { value } : { error: 'true / false 여야 합니다' };
+            case 'number':
+                return typeof value === 'number' && Number.isFinite(value) ? { value } : { error: '숫자여야 합니다' };
+            case 'array':
+                return Array.isArray(value) ? { value } : { error: '배열이어야 합니다' };
+            case 'object':
+                return value && typeof value === 'object' && !Array.isArray(value) ? { value } : { error: '객체여야 합니다' };
+            case 'uint':    return int(0, Number.MAX_SAFE_INTEGER);
+            case 'uint8':   return int(0, 0xFF);
+            case 'uint16':  return int(0, 0xFFFF);
+            case 'slaveId': return int(0, 247);
+            case 'channels': {
+                if (!Array.isArray(value) || value.length === 0) return { error: 'Ch# 배열이어야 합니다' };
+                const channels = [];
+                for (const ch of value) {
+                    const r = OSTestSuite.checkValue('uint16', ch);
+                    if (r.error) return { error: `Ch# ${JSON.stringify(ch)}: ${r.error}` };
+                    channels.push(r.value);
+                }
+                return { value: channels };
+            }
+            case 'zeroLevel':
+                if (value === 'mean') return { value };
+                return typeof value === 'number' && Number.isFinite(value) ? { value } : { error: '숫자 또는 "mean" 이어야 합니다' };
+            case 'condition':
+                return OSTestSuite._checkCondition(value, false);
+            case 'contextCondition':
+                return OSTestSuite._checkCondition(value, true);
+            case 'assertions': {
+                if (!Array.isArray(value) || value.length === 0) return { error: '채널별 조건 배열이어야 합니다' };
+                const out = [];
+                for (let i = 0; i < value.length; i++) {
+                    const checks = value[i];
+                    // 검사하지 않는 채널은 null 로 자리만 채운다
+                    if (checks === null) { out.push(null); continue; }
+                    if (!checks || typeof checks !== 'object' || Array.isArray(checks)) return { error: `[${i}]: 객체여야 합니다` };
+                    const normalized = {};
+                    for (const [key, cond] of Object.entries(checks)) {
+                        if (!OSTestSuite.STAT_KEYS.includes(key)) {
+                            return { error: `[${i}].${key}: ${OSTestSuite.STAT_KEYS.join(' / ')} 중 하나여야 합니다` };
+                        }
+                        const r = OSTestSuite._checkCondition(cond, false);
+                        if (r.error) return { error: `[${i}].${key}: ${r.error}` };
+                        normalized[key] = r.value;
+                    }
+                    out.push(normalized);
+                }
+                return { value: out };
+            }
+            case 'steps':
+                // 항목 검사는 _checkStep 이 storeAs 집합과 함께 재귀로 처리
+                return Array.isArray(value) && value.length > 0 ? { value } : { error: '비어 있지 않은 스텝 배열이어야 합니다' };
+            default:
+                return { error: `알 수 없는 스키마 타입 "${type}"` };
+        }
+    }
+
+    /**
+     * 조건 객체 검사 — { eq?, ne?, gt?, gte?, lt?, lte?, mask? } (+ withVar 이면 var, exists)
+     * @returns {{value?: Object, error?: string}}
+     */
+    static _checkCondition(value, withVar) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: '조건 객체여야 합니다' };
+        const out = {};
+        for (const [key, v] of Object.entries(value)) {
+            if (withVar && key === 'var') {
+                if (typeof v !== 'string' || !v) return { error: 'var 는 비어 있지 않은 문자열이어야 합니다' };
+                out.var = v;
+            } else if (withVar && key === 'exists') {
+                if (typeof v !== 'boolean') return { error: 'exists 는 true / false 여야 합니다' };
+                out.exists = v;
+            } else if (key === 'mask') {
+                const r = OSTestSuite.checkValue('uint16', v);
+                if (r.error) return { error: `mask: ${r.error}` };
+                out.mask = r.value;
+            } else if (OSTestSuite.CONDITION_KEYS.includes(key)) {
+                // 0x 문자열은 정수로, 통계 비교용 실수는 그대로
+                const n = typeof v === 'number' ? v : OSTestSuite.parseInteger(v);
+                if (!Number.isFinite(n)) return { error: `${key}: 숫자(또는 0x.. 문자열)여야 합니다` };
+                out[key] = n;
+            } else {
+                const allowed = [...(withVar ? ['var', 'exists'] : []), ...OSTestSuite.CONDITION_KEYS, 'mask'];
+                return { error: `알 수 없는 조건 키 "${key}" (지원: ${allowed.join(', ')})` };
+            }
+        }
+        if (withVar && !out.var) return { error: 'var 가 필요합니다' };
+        if (!OSTestSuite.CONDITION_KEYS.some(k => k in out) && out.exists === undefined) {
+            return { error: `비교 키(${OSTestSuite.CONDITION_KEYS.join(', ')}) 가 하나 이상 필요합니다` };
+        }
+        return { value: out };
+    }
+
+    /**
+     * 객체 필드 검사 (required / optional / 알 수 없는 필드)
+     * @returns {Object} 정규화된 사본
+     */
+    static _checkFields(obj, { required = {}, optional = {} }, path, errors) {
+        const out = {};
+        const known = { ...required, ...optional };
+        for (const key of Object.keys(required)) {
+            if (obj[key] === undefined || obj[key] === null) {
+                errors.push({ path: `${path}.${key}`, message: '필수 항목이 없습니다' });
+            }
+        }
+        for (const [key, value] of Object.entries(obj)) {
+            const type = known[key];
+            if (!type) {
+                errors.push({ path: `${path}.${key}`, message: '알 수 없는 필드입니다' });
+                continue;
+            }
+            if (value === undefined || value === null) continue;
+            const r = OSTestSuite.checkValue(type, value);
+            if (r.error) errors.push({ path: `${path}.${key}`, message: r.error });
+            else out[key] = r.value;
+        }
+        return out;
+    }
+
+    static _checkStep(step, path, stored, errors) {
+        if (typeof step === 'string') {
+            if (!step.trim()) errors.push({ path, message: '빈 문자열 스텝입니다' });
+            return step;
+        }
+        if (!step || typeof step !== 'object' || Array.isArray(step)) {
+            errors.push({ path, message: '스텝은 문자열 또는 객체여야 합니다' });
+            return step;
+        }
+        const schema = OSTestSuite.STEP_SCHEMA[step.type];
+        if (!schema) {
+            errors.push({
+                path: `${path}.type`,
+                message: `알 수 없는 스텝 타입 "${step.type}" (지원: ${Object.keys(OSTestSuite.STEP_SCHEMA).join(', ')})`
+            });
+            return step;
+        }
+
+        const out = OSTestSuite._checkFields(step, {
+            required: schema.required,
+            optional: { ...OSTestSuite.COMMON_STEP_FIELDS, ...schema.optional }
+        }, path, errors);
+
+        if (OSTestSuite.VALUE_STEPS.includes(step.type) && step.value === undefined && step.valueFrom === undefined) {
+            errors.push({ path, message: 'value 또는 valueFrom 이 필요합니다' });
+        }
+        if (step.type === 'loop' && step.times === undefined && step.while === undefined) {
+            errors.push({ path, message: 'times 또는 while 이 필요합니다' });
+        }
+        OSTestSuite.CONTEXT_REFERENCES.forEach(key => {
+            if (typeof out[key] === 'string' && !stored.has(out[key])) {
+                errors.push({ path: `${path}.${key}`, message: `앞선 스텝의 storeAs "${out[key]}" 가 없습니다` });
+            }
+        });
+        if (typeof out.indexAs === 'string') stored.add(out.indexAs);
+        ['if', 'while'].forEach(key => {
+            const name = out[key]?.var?.split('.')[0];
+            // exists 조건은 아직 저장되지 않은 키를 검사하는 용도이므로 예외
+            if (name && out[key].exists === undefined && !stored.has(name)) {
+                errors.push({ path: `${path}.${key}.var`, message: `앞선 스텝의 storeAs "${name}" 가 없습니다` });
+            }
+        });
+        ['then', 'else', 'steps'].forEach(key => {
+            if (!Array.isArray(out[key])) return;
+            out[key] = out[key].map((nested, k) =>
+                OSTestSuite._checkStep(nested, `${path}.${key}[${k}]`, stored, errors));
+        });
+        if (typeof out.storeAs === 'string') stored.add(out.storeAs);
+        return out;
+    }
+
+    /**
+     * 스위트 JSON 검증 + 정규화
+     * @param {Object} raw - JSON.parse 결과
+     * @param {Object} [options]
+     * @param {Iterable<string>} [options.reservedIds] - 이미 쓰이는 테스트 ID (내장 테스트)
+     * @returns {{valid: boolean, errors: Array<{path, message}>, suite: Object|null}}
+     */
+    static validate(raw, { reservedIds = [] } = {}) {
+        const errors = [];
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            return { valid: false, errors: [{ path: '$', message: 'JSON 객체가 아닙니다' }], suite: null };
+        }
+        if (raw.format !== OS_TEST_SUITE_FORMAT) {
+            errors.push({ path: 'format', message: `"${OS_TEST_SUITE_FORMAT}" 이어야 합니다` });
+        }
+        if (raw.version !== 1) {
+            errors.push({ path: 'version', message: `지원하지 않는 버전입니다 (${raw.version})` });
+        }
+        const header = OSTestSuite._checkFields(raw, {
+            required: { format: 'string', version: 'number', name: 'string', tests: 'array' },
+            optional: { description: 'string' }
+        }, '$', errors);
+
+        const reserved = new Set(reservedIds);
+        const seen = new Set();
+        const tests = (Array.isArray(raw.tests) ? raw.tests : []).map((test, i) => {
+            const path = `tests[${i}]`;
+            if (!test || typeof test !== 'object' || Array.isArray(test)) {
+                errors.push({ path, message: '테스트 항목은 객체여야 합니다' });
+                return null;
+            }
+            const out = OSTestSuite._checkFields(test, OSTestSuite.TEST_FIELDS, path, errors);
+            if (typeof out.id === 'string') {
+                if (seen.has(out.id)) errors.push({ path: `${path}.id`, message: `중복된 테스트 ID "${out.id}"` });
+                if (reserved.has(out.id)) errors.push({ path: `${path}.id`, message: `내장 테스트 ID "${out.id}" 와 겹칩니다` });
+                seen.add(out.id);
+            }
+            if (Array.isArray(test.steps)) {
+                if (test.steps.length === 0) errors.push({ path: `${path}.steps`, message: '스텝이 없습니다' });
+                const stored = new Set();
+                out.steps = test.steps.map((step, k) =>
+                    OSTestSuite._checkStep(step, `${path}.steps[${k}]`, stored, errors));
+                if (out.manual && out.steps.some(s => typeof s !== 'string')) {
+                    errors.push({ path: `${path}.steps`, message: 'manual 테스트는 문자열 스텝만 쓸 수 있습니다' });
+                }
+            }
+            out.category = out.category || header.name;
+            out.model = out.model || 'EC-FAN';
+            return out;
+        });
+        if (Array.isArray(raw.tests) && raw.tests.length === 0) {
+            errors.push({ path: 'tests', message: '테스트가 없습니다' });
+        }
+
+        if (errors.length > 0) return { valid: false, errors, suite: null };
+        return {
+            valid: true,
+            errors: [],
+            suite: {
+                format: OS_TEST_SUITE_FORMAT,
+                version: 1,
+                name: header.name,
+                description: header.description || '',
+                tests
+            }
+        };
+    }
+
+    /** 검증 오류 목록 → 표시용 여러 줄 문자열 */
+    static formatErrors(errors, max = 20) {
+        const lines = errors.slice(0, max).map(e => `${e.path}: ${e.message}`);
+        if (errors.length > max) lines.push(`… 외 ${errors.length - max}개`);
+        return lines.join('\n');
+    }
+
+    // ─────────────────────────────────────────────────────────
+    //  보관 (localStorage)
+
+    /** @returns {Object[]} 저장된 스위트 (검증 전 원본) */
+    static loadStored() {
+        try {
+            const saved = localStorage.getItem(OS_TEST_SUITE_STORAGE_KEY);
+            const parsed = saved ? JSON.parse(saved) : [];
+            // 손상된 값이 배열이 아니면 OSTestManager 생성자가 깨지지 않도록 무시
+            return Array.isArray(parsed) ? parsed : [];
+        } catch { return []; }
+    }
+
+    static saveStored(suites) {
+        localStorage.setItem(OS_TEST_SUITE_STORAGE_KEY, JSON.stringify(suites));
+    }
+}
@@ -4,9 +4,10 @@
  */
 
 class ModbusSimulator {
-    constructor() {
+    constructor(slaveId = 1) {
         this.enabled = false;
-        this.slaveId = 1;
+        this.online = true;               // false → 버스에서 분리된 것처럼 무응답
+        this.slaveId = slaveId;
 
         // Virtual memory areas (65536 to support full address range 0x0000-0xFFFF)
         this.coils = new Array(65536).fill(false);
@@ -17,6 +18,18 @@ class ModbusSimulator {
         // Response delay (ms)
         this.responseDelay = 50;
 
+        // Register profile: 'generic' (demo sensor data) or 'drive' (EC-FAN register map)
+        this.profile = 'generic';
+        this.driveMap = null;             // {holding, input} address sets from parameters.csv
+        this.driveConfig = {
+            maxReadHolding: 15,           // FC03 최대 수량
+            maxReadInput: 20,             // FC04 최대 수량
+            ratedSpeed: 2000,             // 모터 정격 속도 (rpm)
+            rebootTime: 1200              // SW Reset 후 무응답 시간 (ms)
+        };
+        this.drive = null;
+        this.variationTimer = null;
+
         // Firmware update state (for 0x66 function code)
         this.fwUpdate = {
             active: false,
@@ -27,6 +40,38 @@ class ModbusSimulator {
             done: false
         };
 
+        // Continuous streaming state (for 0x64 function code)
+        this.continuous = {
+            active: false,
+            period: 0,        // 1 unit = 0.125 ms
+            channels: [],     // configured channel numbers, in slot order
+            buffer: [],       // pending samples: one array of values per sample
+            lastFillTime: 0,
+            sampleTime: 0     // simulated time of the next sample (s)
+        };
+
+        // Trigger capture state (for 0x65 function code)
+        this.resetTriggerCapture();
+
+        // Fast firmware download state (for 0x23 function code)
+        this.fastFwConfig = {
+            eraseTime: 1500,              // ms until 0x91 reports erase done
+            maxDataLen: 244,              // device RX buffer limit (BUFFER_OVERFLOW above)
+            supportedTargets: [0x01, 0x02]
+        };
+        this.fastFwFaults = [];
+        this.fastFwFlash = null;          // committed image, checked by 0x9A Verify
+        this.resetFastFirmware();
+
+        // Waveform generator state shared by the 0x64/0x65 streams
+        this.waveform = {
+            elecAngle: 0,     // rad
+            mechAngle: 0,     // rad
+            position: 0,      // accumulated encoder pulses
+            polePairs: 4,
+            encoderResolution: 4096
+        };
+
         this.initializeSimulatedData();
     }
 
@@ -34,6 +79,16 @@ class ModbusSimulator {
      * Initialize simulated data with realistic values
      */
     initializeSimulatedData() {
+        // CANopen object dictionary (FC 0x2B)
+        this.initializeObjectDictionary();
+
+        this.drive = null;
+        if (this.profile === 'drive') {
+            this.initializeDriveRegisters();
+            this.startDataVariation();
+            return;
+        }
+
         // Simulate some sensor values in holding registers
         this.holdingRegisters[0] = 2350;  // Temperature (23.50°C)
         this.holdingRegisters[1] = 6520;  // Humidity (65.20%)
@@ -78,10 +133,17 @@ class ModbusSimulator {
      * Simulate realistic data variation over time
      */
     startDataVariation() {
+        if (this.variationTimer) return;
+
         // Faster variation for chart demo (every 100ms)
-        setInterval(() => {
+        this.variationTimer = setInterval(() => {
             if (!this.enabled) return;
 
+            if (this.profile === 'drive') {
+                this.updateDriveModel();
+                return;
+            }
+
             // Vary temperature slightly
             this.holdingRegisters[0] += Math.floor(Math.random() * 20) - 10;
             this.holdingRegisters[0] = Math.max(1500, Math.min(3500, this.holdingRegisters[0]));
@@ -135,7 +197,7 @@ class ModbusSimulator {
      * Process Modbus request and generate response
      */
     processRequest(requestFrame) {
-        if (!this.enabled) return null;
+        if (!this.enabled || !this.online) return null;
 
         try {
             const slaveId = requestFrame[0];
@@ -143,6 +205,9 @@ class ModbusSimulator {
             // Ignore if not our slave ID
             if (slaveId !== this.slaveId) return null;
 
+            // Rebooting after software reset
+            if (this.isDriveRebooting()) return null;
+
             const functionCode = requestFrame[1];
 
             // Simulate processing delay
@@ -162,6 +227,30 @@ class ModbusSimulator {
         }
     }
 
+    /**
+     * Apply a broadcast (slave 0) write after the processing delay; never replies
+     */
+    processBroadcast(requestFrame) {
+        if (!this.enabled || !this.online || this.isDriveRebooting()) return;
+        if (![0x05, 0x06, 0x0F, 0x10].includes(requestFrame[1])) return;
+
+        setTimeout(() => {
+            try {
+                this.handleFunction(requestFrame);
+            } catch (error) {
+                // 브로드캐스트는 예외 응답도 보내지 않음
+            }
+        }, this.responseDelay);
+    }
+
+    /**
+     * Stop the data variation timer (slave removed from the bus)
+     */
+    dispose() {
+        clearInterval(this.variationTimer);
+        this.variationTimer = null;
+    }
+
     /**
      * Handle different function codes
      */
@@ -171,6 +260,12 @@ class ModbusSimulator {
         const startAddress = (frame[2] << 8) | frame[3];
         const quantity = (frame[4] << 8) | frame[5];
 
+        if (this.profile === 'drive') {
+            this.updateDriveModel();
+            const exception = this.checkDriveRequest(functionCode, frame);
+            if (exception) return this.buildExceptionResponse(slaveId, functionCode, exception);
+        }
+
         switch (functionCode) {
             case 0x01: return this.handleReadCoils(slaveId, startAddress, quantity);
             case 0x02: return this.handleReadDiscreteInputs(slaveId, startAddress, quantity);
@@ -180,6 +275,10 @@ class ModbusSimulator {
             case 0x06: return this.handleWriteSingleRegister(slaveId, startAddress, (frame[4] << 8) | frame[5]);
             case 0x0F: return this.handleWriteMultipleCoils(slaveId, frame);
             case 0x10: return this.handleWriteMultipleRegisters(slaveId, frame);
+            case 0x23: return this.handleFastFirmware(slaveId, frame);
+            case 0x2B: return this.handleMeiTransport(slaveId, frame);
+            case 0x64: return this.handleContinuousStreaming(slaveId, frame);
+            case 0x65: return this.handleTriggerStreaming(slaveId, frame);
             case 0x66: return this.handleFirmwareUpdate(slaveId, frame);
             default:
                 return this.buildExceptionResponse(slaveId, functionCode, 0x01);
@@ -329,6 +428,7 @@ class ModbusSimulator {
         }
 
         this.holdingRegisters[address] = value;
+        this.onRegisterWrite(address, value);
 
         const response = new Uint8Array(6 + 2);
         response[0] = slaveId;
@@ -392,6 +492,7 @@ class ModbusSimulator {
         for (let i = 0; i < quantity; i++) {
             const value = (frame[7 + i * 2] << 8) | frame[7 + i * 2 + 1];
             this.holdingRegisters[startAddress + i] = value;
+            this.onRegisterWrite(startAddress + i, value);
         }
 
         const response = new Uint8Array(6 + 2);
@@ -417,13 +518,12 @@ class ModbusSimulator {
     }
 
     /**
-     * Add CRC to frame
+     * Calculate Modbus CRC-16 over the first `length` bytes
      */
-    addCRC(frame) {
-        const dataLength = frame.length - 2;
+    calculateCRC(frame, length) {
         let crc = 0xFFFF;
 
-        for (let i = 0; i < dataLength; i++) {
+        for (let i = 0; i < length; i++) {
             crc ^= frame[i];
             for (let j = 0; j < 8; j++) {
                 if (crc & 0x0001) {
@@ -434,11 +534,31 @@ class ModbusSimulator {
             }
         }
 
+        return crc;
+    }
+
+    /**
+     * Add CRC to frame
+     */
+    addCRC(frame) {
+        const dataLength = frame.length - 2;
+        const crc = this.calculateCRC(frame, dataLength);
+
         frame[dataLength] = crc & 0xFF;
         frame[dataLength + 1] = (crc >> 8) & 0xFF;
         return frame;
     }
 
+    /**
+     * Check the trailing CRC-16 of a request frame
+     */
+    verifyCRC(frame) {
+        if (frame.length < 4) return false;
+        const dataLength = frame.length - 2;
+        const crc = this.calculateCRC(frame, dataLength);
+        return frame[dataLength] === (crc & 0xFF) && frame[dataLength + 1] === ((crc >> 8) & 0xFF);
+    }
+
     /**
      * Get current memory state
      */
@@ -461,6 +581,11 @@ class ModbusSimulator {
         this.inputRegisters.fill(0);
         this.initializeSimulatedData();
         this.resetFirmwareUpdate();
+        this.resetContinuousStreaming();
+        this.resetTriggerCapture();
+        this.resetFastFirmware();
+        this.fastFwFaults = [];
+        this.fastFwFlash = null;
     }
 
     /**
@@ -627,4 +752,1816 @@ class ModbusSimulator {
 
         return this.addCRC(response);
     }
+
+    // ===== Continuous Data Streaming (Function Code 0x64) =====
+    // 참고: docs/protocol/FC64_Continuous_프로토콜_정의.md
+
+    /**
+     * Reset continuous streaming state
+     */
+    resetContinuousStreaming() {
+        this.continuous = {
+            active: false,
+            period: 0,
+            channels: [],
+            buffer: [],
+            lastFillTime: 0,
+            sampleTime: 0
+        };
+    }
+
+    /**
+     * Handle Continuous Data Streaming (FC 0x64)
+     */
+    handleContinuousStreaming(slaveId, frame) {
+        const control = frame[2];
+
+        switch (control) {
+            case 0x00: // Stop
+                return this.handleContinuousStop(slaveId);
+
+            case 0x02: // Configure
+                return this.handleContinuousConfigure(slaveId, frame);
+
+            case 0x03: // Request Data
+                return this.handleContinuousRequest(slaveId);
+
+            default:
+                return this.buildExceptionResponse(slaveId, 0x64, 0x03);
+        }
+    }
+
+    /**
+     * Handle Continuous Stop (Control 0x00)
+     */
+    handleContinuousStop(slaveId) {
+        if (this.continuous.active) {
+            console.log('[Simulator] FC64 Stop');
+        }
+        this.continuous.active = false;
+        this.continuous.buffer = [];
+
+        const response = new Uint8Array(3 + 2);
+        response[0] = slaveId;
+        response[1] = 0x64;
+        response[2] = 0x00;
+        return this.addCRC(response);
+    }
+
+    /**
+     * Handle Continuous Configure (Control 0x02)
+     * Channel list runs from byte 5 up to the CRC; unused slots and the
+     * terminator are 0xFF and are skipped.
+     */
+    handleContinuousConfigure(slaveId, frame) {
+        const period = (frame[3] << 8) | frame[4];
+        const channels = [];
+        for (let i = 5; i < frame.length - 2; i++) {
+            if (frame[i] !== 0xFF) channels.push(frame[i]);
+        }
+
+        if (period < 160 || channels.length === 0 || channels.length > 4) {
+            return this.buildExceptionResponse(slaveId, 0x64, 0x03);
+        }
+
+        this.continuous.active = true;
+        this.continuous.period = period;
+        this.continuous.channels = channels;
+        this.continuous.buffer = [];
+        this.continuous.lastFillTime = Date.now();
+        this.continuous.sampleTime = 0;
+
+        console.log(`[Simulator] FC64 Configure: period=${period} (${period * 0.125}ms), channels=[${channels.join(', ')}]`);
+
+        // Echo back the configure frame
+        return this.addCRC(new Uint8Array(frame));
+    }
+
+    /**
+     * Handle Continuous Request Data (Control 0x03)
+     * Returns up to 15 float32 values in channel-first order:
+     * [CH1_s0..CH1_sN, CH2_s0..CH2_sN, ...]
+     */
+    handleContinuousRequest(slaveId) {
+        const stream = this.continuous;
+        if (!stream.active) {
+            return this.buildContinuousDataResponse(slaveId, 0x00, []);
+        }
+
+        this.fillContinuousBuffer();
+
+        const numCh = stream.channels.length;
+        const maxSamples = Math.floor(15 / numCh);
+        const samples = stream.buffer.splice(0, maxSamples);
+
+        const values = [];
+        for (let ch = 0; ch < numCh; ch++) {
+            for (const sample of samples) values.push(sample[ch]);
+        }
+
+        const status = stream.buffer.length > 0 ? 0x01 : 0x00;
+        return this.buildContinuousDataResponse(slaveId, status, values);
+    }
+
+    /**
+     * Generate the samples that the drive would have buffered since the
+     * last request, one every configured period.
+     */
+    fillContinuousBuffer() {
+        const stream = this.continuous;
+        const periodMs = stream.period * 0.125;
+        const now = Date.now();
+        const count = Math.floor((now - stream.lastFillTime) / periodMs);
+        if (count <= 0) return;
+
+        stream.lastFillTime += count * periodMs;
+
+        // Drive ring buffer holds at most 1024 samples — older ones are lost
+        const bufferLimit = 1024;
+        const skip = Math.max(0, stream.buffer.length + count - bufferLimit);
+        const dt = periodMs / 1000;
+
+        for (let i = 0; i < count; i++) {
+            const sample = this.generateSample(i >= skip ? stream.channels : [], dt);
+            stream.sampleTime += dt;
+            if (i >= skip) stream.buffer.push(sample);
+        }
+    }
+
+    /**
+     * Advance the motor waveform by dt seconds and sample the given channels
+     * @param {number[]} channels - Chart channel numbers
+     * @param {number} dt - Time step in seconds
+     * @returns {number[]} One value per channel
+     */
+    generateSample(channels, dt) {
+        const wf = this.waveform;
+        const speed = this.getSimulatedSpeed();
+        const rpm = speed.feedback;
+
+        // Electrical frequency = mechanical rev/s × pole pairs
+        const mechStep = 2 * Math.PI * (rpm / 60) * dt;
+        wf.mechAngle = (wf.mechAngle + mechStep) % (2 * Math.PI);
+        if (wf.mechAngle < 0) wf.mechAngle += 2 * Math.PI;
+        wf.elecAngle = (wf.elecAngle + mechStep * wf.polePairs) % (2 * Math.PI);
+        if (wf.elecAngle < 0) wf.elecAngle += 2 * Math.PI;
+        wf.position += (rpm / 60) * dt * wf.encoderResolution;
+
+        return channels.map(chNum => this.getChannelValue(chNum, speed));
+    }
+
+    /**
+     * Current speed command/feedback used by the waveform generator (rpm)
+     */
+    getSimulatedSpeed() {
+        if (this.profile === 'drive') {
+            return {
+                command: this.drive.target,
+                feedback: this.drive.speed,
+                max: this.holdingRegisters[0xD119] || 1600
+            };
+        }
+
+        const maxSpeed = this.holdingRegisters[0xD119] || 6000;
+        return {
+            command: this.holdingRegisters[0xD001],
+            feedback: this.holdingRegisters[0xD002],
+            max: maxSpeed
+        };
+    }
+
+    /**
+     * Synthesize the value of one chart channel
+     * (see docs/protocol/Chart_Channel_Definitions.md)
+     */
+    getChannelValue(chNum, speed) {
+        const wf = this.waveform;
+        const noise = (amp) => (Math.random() * 2 - 1) * amp;
+        const load = Math.min(1, Math.abs(speed.feedback) / speed.max);
+        const theta = wf.elecAngle;
+        const phaseShift = 2 * Math.PI / 3;
+
+        // Fan load: current and torque rise with the square of speed
+        const currentPeak = 0.1 + 2.9 * load * load;
+        const torque = 80 * load * load;
+
+        // Hall sensors: analog sine outputs around mid-scale ADC counts
+        const hall = (k) => 2048 + 1200 * Math.cos(theta - k * phaseShift);
+        const hallBit = (k) => (Math.cos(theta - k * phaseShift) >= 0 ? 1 : 0);
+
+        switch (chNum) {
+            case 0x00: return speed.feedback + noise(2);                     // Velocity Feedback
+            case 0x01: return speed.command;                                  // Velocity Command
+            case 0x02: return speed.command - speed.feedback + noise(2);     // Velocity Error
+            case 0x03: return torque + noise(0.5);                            // Torque Feedback
+            case 0x04: return torque;                                         // Torque Command
+            case 0x05: return 0;                                              // Following Error
+            case 0x06: return 20 * load;                                      // Accum. Operation Overload
+            case 0x07: return 310 - 15 * load + 4 * Math.sin(2 * Math.PI * 120 * this.continuous.sampleTime) + noise(0.5); // DC Link Voltage
+            case 0x08: return 0;                                              // Accum. Regen. Overload
+            case 0x09: return Math.floor(wf.mechAngle / (2 * Math.PI) * wf.encoderResolution); // Encoder SingleTurn
+            case 0x0A: return 100;                                            // Inertia Ratio
+            case 0x0B: return 0;                                              // Following Error Actual
+            case 0x0C: return 40 + 15 * load + noise(0.2);                    // Drive Temperature 1
+            case 0x0D: return 35 + 10 * load + noise(0.2);                    // Drive Temperature 2
+            case 0x0E: return 30 + 5 * load + noise(0.2);                     // Encoder Temperature
+            case 0x0F: return hallBit(0) | (hallBit(1) << 1) | (hallBit(2) << 2); // Hall Signal Value
+            case 0x10: return currentPeak * Math.sin(theta) + noise(0.02);                  // U Phase Current
+            case 0x11: return currentPeak * Math.sin(theta - phaseShift) + noise(0.02);     // V Phase Current
+            case 0x12: return currentPeak * Math.sin(theta - 2 * phaseShift) + noise(0.02); // W Phase Current
+            case 0x13:                                                        // Position Actual
+            case 0x14: return Math.floor(wf.position);                        // Position Demand
+            case 0x15: return speed.command;                                  // Position Command Velocity
+            case 0x16: return hall(0) + noise(5);                             // Hall U
+            case 0x17: return hall(1) + noise(5);                             // Hall V
+            case 0x18: return hall(2) + noise(5);                             // Hall W
+            case 0x19: return theta * 180 / Math.PI;                          // Commanded Motor Phase Angle
+            case 0x1A: return Math.floor(theta / (Math.PI / 3)) * 60;         // Hall Phase Angle
+            case 0x1B: return theta * 180 / Math.PI;                          // Electric Angle
+            case 0x36: return currentPeak * Math.sin(theta);                  // FFT Input
+            case 0x37: return 0;                                              // FFT Output
+        }
+
+        // 1-bit channels (C100 ~ C195)
+        if (chNum >= 100 && chNum <= 195) {
+            const running = Math.abs(speed.feedback) > 10;
+            switch (chNum) {
+                case 0x86: return 1;                                          // READY
+                case 0x87: return running ? 0 : 1;                            // ZSPD
+                case 0x8B: return Math.abs(speed.command - speed.feedback) < 50 ? 1 : 0; // INSPD
+                case 0x8D: return running ? 1 : 0;                            // TGON
+            }
+            return 0;
+        }
+
+        return 0;
+    }
+
+    /**
+     * Build FC 0x64 Request Data response frame
+     * [NodeID][0x64][0x03][Status][Len][Data...][CRC_L][CRC_H]
+     */
+    buildContinuousDataResponse(slaveId, status, values) {
+        const response = new Uint8Array(5 + values.length * 4 + 2);
+        const view = new DataView(response.buffer);
+
+        response[0] = slaveId;
+        response[1] = 0x64;
+        response[2] = 0x03;
+        response[3] = status;
+        response[4] = values.length;
+
+        values.forEach((value, i) => {
+            view.setFloat32(5 + i * 4, value, true); // little-endian (ARM)
+        });
+
+        return this.addCRC(response);
+    }
+
+    // ===== Trigger Data Streaming (Function Code 0x65) =====
+    // 참고: docs/protocol/FC65_Trigger_프로토콜_정의.md
+
+    /**
+     * Reset trigger capture state (InitTriggerMonitoring)
+     */
+    resetTriggerCapture() {
+        this.trigger = {
+            configured: false,
+            monitoring: false,    // MONI flag: sampling into the ring buffer
+            triggered: false,     // Flag1.Triggered: capture complete
+            period: 0,
+            chSel: [0xFF, 0xFF, 0xFF, 0xFF],
+            sourceSelect: 0xFF,
+            edge: 0,
+            position: 0,
+            level: 0,
+            numOfData: 0,
+            postSamples: 0,       // TMON.Position
+            ring: [],             // pre-trigger samples
+            prevSource: null,
+            captured: null,       // per-sample values once the trigger fired
+            postRemaining: 0,
+            lastFillTime: 0
+        };
+    }
+
+    /**
+     * Handle Trigger Data Streaming (FC 0x65)
+     */
+    handleTriggerStreaming(slaveId, frame) {
+        const control = frame[2];
+
+        switch (control) {
+            case 0x00: // Stop
+                return this.handleTriggerStop(slaveId);
+
+            case 0x01: // Start / Check Status
+                return this.handleTriggerStartPoll(slaveId);
+
+            case 0x02: // Configure
+                return this.handleTriggerConfigure(slaveId, frame);
+
+            case 0x03: // Request Data
+                return this.handleTriggerDataRequest(slaveId, frame);
+
+            default:
+                return this.buildExceptionResponse(slaveId, 0x65, 0x03);
+        }
+    }
+
+    /**
+     * Handle Trigger Stop (Control 0x00) — clears the buffer, echoes 5 bytes
+     */
+    handleTriggerStop(slaveId) {
+        const configured = this.trigger.configured;
+        this.resetTriggerCapture();
+        if (configured) {
+            console.log('[Simulator] FC65 Stop');
+        }
+
+        const response = new Uint8Array(3 + 2);
+        response[0] = slaveId;
+        response[1] = 0x65;
+        response[2] = 0x00;
+        return this.addCRC(response);
+    }
+
+    /**
+     * Handle Trigger Configure (Control 0x02)
+     * [Per_H][Per_L][CH0..CH3][SrcSel][Edge][Pos][Level f32 LE][Num_H][Num_L]
+     */
+    handleTriggerConfigure(slaveId, frame) {
+        if (frame.length < 20) {
+            return this.buildExceptionResponse(slaveId, 0x65, 0x03);
+        }
+
+        const view = new DataView(frame.buffer, frame.byteOffset, frame.length);
+        const period = (frame[3] << 8) | frame[4];
+        const chSel = Array.from(frame.slice(5, 9));
+        const numOfData = Math.min(1024, Math.max(256, (frame[16] << 8) | frame[17]));
+        const position = Math.min(99, frame[11]);
+
+        if (period === 0) {
+            return this.buildExceptionResponse(slaveId, 0x65, 0x03);
+        }
+
+        this.resetTriggerCapture();
+        Object.assign(this.trigger, {
+            configured: true,
+            period,
+            chSel,
+            sourceSelect: frame[9],
+            edge: frame[10],
+            position,
+            level: view.getFloat32(12, true),
+            numOfData,
+            postSamples: Math.floor((100 - position) * numOfData / 100)
+        });
+
+        console.log(`[Simulator] FC65 Configure: period=${period}, ch=[${chSel.join(', ')}], src=${frame[9]}, ` +
+            `edge=${frame[10] ? 'falling' : 'rising'}, pos=${position}%, level=${this.trigger.level}, num=${numOfData}`);
+
+        // Echo back the configure frame
+        return this.addCRC(new Uint8Array(frame));
+    }
+
+    /**
+     * Handle Trigger Start / Check Status (Control 0x01)
+     * First call starts monitoring; later calls report whether the capture
+     * is complete. Once triggered, MONI is not re-armed.
+     */
+    handleTriggerStartPoll(slaveId) {
+        const trig = this.trigger;
+
+        if (trig.configured && !trig.triggered) {
+            if (!trig.monitoring) {
+                trig.monitoring = true;
+                trig.lastFillTime = Date.now();
+                console.log('[Simulator] FC65 Start: monitoring');
+                // Immediate trigger: capture the whole buffer right away
+                if (trig.sourceSelect === 0xFF) {
+                    this.captureTriggerSamples(trig.numOfData, true);
+                }
+            } else {
+                this.fillTriggerBuffer();
+            }
+        }
+
+        // 24 bytes: [NodeID][0x65][0x01][Status][19 unused][CRC]
+        const response = new Uint8Array(24);
+        response[0] = slaveId;
+        response[1] = 0x65;
+        response[2] = 0x01;
+        response[3] = trig.triggered ? 1 : 0;
+        return this.addCRC(response);
+    }
+
+    /**
+     * Sample the trigger buffer for the wall-clock time elapsed since the
+     * last poll, one sample per configured period
+     */
+    fillTriggerBuffer() {
+        const trig = this.trigger;
+        const periodMs = trig.period * 0.125;
+        const count = Math.floor((Date.now() - trig.lastFillTime) / periodMs);
+        if (count <= 0) return;
+
+        trig.lastFillTime += count * periodMs;
+        this.captureTriggerSamples(count, false);
+    }
+
+    /**
+     * Run the trigger state machine over `count` new samples
+     * @param {number} count - Number of samples to generate
+     * @param {boolean} immediate - Trigger on the first sample
+     */
+    captureTriggerSamples(count, immediate) {
+        const trig = this.trigger;
+        const slots = trig.chSel;
+        const hasSource = trig.sourceSelect !== 0xFF;
+        const channels = hasSource ? [...slots, trig.sourceSelect] : slots;
+        const preSamples = trig.numOfData - trig.postSamples;
+        const dt = trig.period * 0.125 / 1000;
+
+        for (let i = 0; i < count && !trig.triggered; i++) {
+            const values = this.generateSample(channels, dt);
+            const sample = values.slice(0, 4);
+
+            if (trig.captured) {
+                // Post-trigger: fill the remaining window
+                trig.captured.push(sample);
+                trig.postRemaining--;
+            } else {
+                const source = hasSource ? values[4] : null;
+                const prev = trig.prevSource;
+                trig.prevSource = source;
+
+                let fire = immediate;
+                if (!fire && prev !== null && trig.ring.length >= preSamples) {
+                    fire = trig.edge === 0
+                        ? (prev < trig.level && source >= trig.level)
+                        : (prev > trig.level && source <= trig.level);
+                }
+
+                if (fire) {
+                    // Trigger point is sample index preSamples (time 0)
+                    trig.captured = preSamples > 0 ? trig.ring.slice(-preSamples) : [];
+                    trig.captured.push(sample);
+                    trig.postRemaining = trig.postSamples - 1;
+                    trig.ring = [];
+                    console.log(`[Simulator] FC65 Triggered (pre=${preSamples}, post=${trig.postSamples})`);
+                } else {
+                    trig.ring.push(sample);
+                    if (trig.ring.length > trig.numOfData) trig.ring.shift();
+                }
+            }
+
+            if (trig.captured && trig.postRemaining <= 0) {
+                // Immediate trigger has no pre-trigger history to draw from
+                while (trig.captured.length < trig.numOfData) {
+                    trig.captured.push(this.generateSample(slots, dt));
+                }
+                trig.triggered = true;
+                trig.monitoring = false;
+            }
+        }
+    }
+
+    /**
+     * Handle Trigger Request Data (Control 0x03)
+     * Response is always 68 bytes; Len tells how many floats are valid.
+     */
+    handleTriggerDataRequest(slaveId, frame) {
+        const trig = this.trigger;
+        const slot = frame[3];
+        const startAddress = (frame[4] << 8) | frame[5];
+
+        const values = [];
+        if (trig.triggered && slot < 4 && trig.chSel[slot] !== 0xFF) {
+            const end = Math.min(trig.numOfData, startAddress + 14);
+            for (let i = startAddress; i < end; i++) {
+                values.push(trig.captured[i][slot]);
+            }
+        }
+
+        const response = new Uint8Array(68);
+        const view = new DataView(response.buffer);
+        response[0] = slaveId;
+        response[1] = 0x65;
+        response[2] = 0x03;
+        response[3] = trig.triggered ? 1 : 0;
+        response[4] = slot;
+        response[5] = (startAddress >> 8) & 0xFF;
+        response[6] = startAddress & 0xFF;
+        response[7] = values.length;
+        values.forEach((value, i) => {
+            view.setFloat32(8 + i * 4, value, true); // little-endian (ARM)
+        });
+
+        return this.addCRC(response);
+    }
+
+    // ===== Fast Firmware Download (Function Code 0x23) =====
+    // 참고: docs/protocol/FC23_FastFirmwareDownload_프로토콜_정의.md
+
+    /**
+     * Reset fast firmware download session (Abort / power-on state)
+     */
+    resetFastFirmware() {
+        this.fastFw = {
+            initialized: false,
+            targetType: 0,
+            targetIndex: 0,
+            fileSize: 0,
+            image: null,          // Uint8Array(fileSize), erased to 0xFF on Init
+            eraseDoneAt: 0,       // Date.now() at which the background erase completes
+            eraseFailed: false,
+            expectedSeq: 0,       // null = resync: accept any SeqNum at the expected offset
+            totalReceived: 0,
+            lastAck: null         // {seq, offset} of the last ACKed packet (duplicate detection)
+        };
+    }
+
+    /**
+     * Inject a fault into the FC 0x23 flow.
+     * @param {Object} fault
+     * @param {string} fault.type  'drop' (request lost, no reply), 'dropResponse'
+     *     (processed but reply lost), 'nack', 'crcMismatch' (0x99/0x9A), 'eraseError' (0x91)
+     * @param {number} [fault.opCode=0x03]  target OpCode for 'drop'/'dropResponse'
+     * @param {number} [fault.seq]  SeqNum to match for 0x03 faults (omit = next packet)
+     * @param {number} [fault.errorCode=0x01]  NACK ErrorCode for 'nack'
+     * @param {number} [fault.count=1]  number of hits before the fault expires (Infinity = sticky)
+     * @returns {Object} the stored fault
+     */
+    injectFastFwFault(fault) {
+        const entry = {
+            type: fault.type,
+            opCode: fault.opCode ?? 0x03,
+            seq: fault.seq ?? null,
+            errorCode: fault.errorCode ?? 0x01,
+            count: fault.count ?? 1
+        };
+        this.fastFwFaults.push(entry);
+        console.log(`[Simulator] FC23 fault injected: ${JSON.stringify(entry)}`);
+        return entry;
+    }
+
+    /**
+     * Remove all injected FC 0x23 faults
+     */
+    clearFastFwFaults() {
+        this.fastFwFaults = [];
+    }
+
+    /**
+     * Find a matching fault and consume one hit of it
+     */
+    takeFastFwFault(types, opCode, seq = null) {
+        const index = this.fastFwFaults.findIndex(f =>
+            types.includes(f.type) &&
+            (f.type === 'drop' || f.type === 'dropResponse' ? f.opCode === opCode : true) &&
+            (opCode !== 0x03 || f.seq === null || f.seq === seq));
+        if (index < 0) return null;
+
+        const fault = this.fastFwFaults[index];
+        fault.count--;
+        if (fault.count <= 0) this.fastFwFaults.splice(index, 1);
+        console.log(`[Simulator] FC23 fault '${fault.type}' hit (op=0x${opCode.toString(16)}${seq !== null ? `, seq=${seq}` : ''})`);
+        return fault;
+    }
+
+    /**
+     * Handle Fast Firmware Download (FC 0x23)
+     */
+    handleFastFirmware(slaveId, frame) {
+        if (frame.length < 5) {
+            return this.buildExceptionResponse(slaveId, 0x23, 0x03);
+        }
+
+        const opCode = frame[2];
+        const seq = opCode === 0x03 && frame.length >= 12 ? (frame[3] << 8) | frame[4] : null;
+
+        if (this.takeFastFwFault(['drop'], opCode, seq)) return null;
+
+        if (!this.verifyCRC(frame)) {
+            // Data 패킷만 CRC_ERROR NACK, 그 외에는 무응답 (마스터 timeout 재시도)
+            if (opCode !== 0x03 || seq === null) return null;
+            return this.buildFastFwNack(slaveId, seq, 0x01);
+        }
+
+        let response;
+        switch (opCode) {
+            case 0x90: response = this.handleFastFwInit(slaveId, frame); break;
+            case 0x91: response = this.handleFastFwErasePoll(slaveId); break;
+            case 0x03: response = this.handleFastFwData(slaveId, frame); break;
+            case 0x99: response = this.handleFastFwComplete(slaveId, frame); break;
+            case 0x9A: response = this.handleFastFwVerify(slaveId, frame); break;
+            case 0xFF: response = this.handleFastFwAbort(slaveId); break;
+            default:
+                return this.buildExceptionResponse(slaveId, 0x23, 0x03);
+        }
+
+        if (this.takeFastFwFault(['dropResponse'], opCode, seq)) return null;
+        return response;
+    }
+
+    /**
+     * Handle Fast FW Init (OpCode 0x90)
+     * Reply: [ProtocolVersion][Status][LastOffset(4)]
+     */
+    handleFastFwInit(slaveId, frame) {
+        if (frame.length !== 11) {
+            return this.buildExceptionResponse(slaveId, 0x23, 0x03);
+        }
+
+        const fw = this.fastFw;
+        const targetType = frame[3];
+        const targetIndex = frame[4];
+        const fileSize = ((frame[5] << 24) | (frame[6] << 16) | (frame[7] << 8) | frame[8]) >>> 0;
+
+        if (!this.fastFwConfig.supportedTargets.includes(targetType) || targetIndex !== 0) {
+            return this.buildFastFwInitResponse(slaveId, 0x04, 0);
+        }
+
+        if (fw.initialized && (fw.targetType !== targetType || fw.targetIndex !== targetIndex)) {
+            console.log(`[Simulator] FC23 Init: target mismatch (session 0x${fw.targetType.toString(16)})`);
+            return this.buildFastFwInitResponse(slaveId, 0x03, 0);
+        }
+
+        // 동일 타겟/크기로 중단된 세션 → Resume (Erase 생략)
+        if (fw.initialized && fw.fileSize === fileSize && fw.totalReceived > 0 &&
+            !fw.eraseFailed && Date.now() >= fw.eraseDoneAt) {
+            fw.expectedSeq = null;
+            fw.lastAck = null;
+            console.log(`[Simulator] FC23 Init: RESUME from offset ${fw.totalReceived}`);
+            return this.buildFastFwInitResponse(slaveId, 0x01, fw.totalReceived);
+        }
+
+        if (fileSize === 0 || fileSize > 0x100000) {
+            return this.buildFastFwInitResponse(slaveId, 0x02, 0);
+        }
+
+        this.resetFastFirmware();
+        this.fastFw.initialized = true;
+        this.fastFw.targetType = targetType;
+        this.fastFw.targetIndex = targetIndex;
+        this.fastFw.fileSize = fileSize;
+        this.fastFw.image = new Uint8Array(fileSize).fill(0xFF);
+        this.fastFw.eraseDoneAt = Date.now() + this.fastFwConfig.eraseTime;
+        this.fastFwFlash = null;  // 기존 이미지는 Erase로 소거됨
+
+        console.log(`[Simulator] FC23 Init: target=0x${targetType.toString(16)}, fileSize=${fileSize} bytes, erase ${this.fastFwConfig.eraseTime}ms`);
+        return this.buildFastFwInitResponse(slaveId, 0x00, 0);
+    }
+
+    /**
+     * Handle Fast FW Erase Poll (OpCode 0x91)
+     * Reply: [EraseStatus] 0x00=busy, 0x01=done, 0x02=error
+     */
+    handleFastFwErasePoll(slaveId) {
+        const fw = this.fastFw;
+        let eraseStatus;
+
+        if (!fw.initialized) {
+            eraseStatus = 0x02;
+        } else if (fw.eraseFailed || this.takeFastFwFault(['eraseError'], 0x91)) {
+            fw.eraseFailed = true;
+            eraseStatus = 0x02;
+        } else {
+            eraseStatus = Date.now() >= fw.eraseDoneAt ? 0x01 : 0x00;
+        }
+
+        return this.buildFastFwResponse(slaveId, 0x91, [eraseStatus]);
+    }
+
+    /**
+     * Handle Fast FW Data Transfer (OpCode 0x03)
+     * Request: [SeqNum(2)][FlashOffset(4)][DataLen][Data...]
+     */
+    handleFastFwData(slaveId, frame) {
+        const fw = this.fastFw;
+        const seq = (frame[3] << 8) | frame[4];
+        const offset = ((frame[5] << 24) | (frame[6] << 16) | (frame[7] << 8) | frame[8]) >>> 0;
+        const dataLen = frame[9];
+
+        if (!fw.initialized) return this.buildFastFwNack(slaveId, seq, 0x06);
+        if (fw.eraseFailed || Date.now() < fw.eraseDoneAt) return this.buildFastFwNack(slaveId, seq, 0x07);
+        if (dataLen > this.fastFwConfig.maxDataLen) return this.buildFastFwNack(slaveId, seq, 0x05);
+        if (frame.length !== 12 + dataLen) return this.buildFastFwNack(slaveId, seq, 0x01);
+
+        const fault = this.takeFastFwFault(['nack'], 0x03, seq);
+        if (fault) return this.buildFastFwNack(slaveId, seq, fault.errorCode);
+
+        // ACK 유실 후 재전송된 패킷 → 다시 쓰지 않고 ACK만 재송신
+        if (fw.lastAck && fw.lastAck.seq === seq && fw.lastAck.offset === offset) {
+            return this.buildFastFwAck(slaveId, seq);
+        }
+
+        if (offset !== fw.totalReceived) {
+            fw.expectedSeq = null;
+            return this.buildFastFwNack(slaveId, seq, 0x02);
+        }
+        if (fw.expectedSeq !== null && seq !== fw.expectedSeq) {
+            fw.expectedSeq = null;
+            return this.buildFastFwNack(slaveId, seq, 0x03);
+        }
+        if (offset + dataLen > fw.fileSize) {
+            return this.buildFastFwNack(slaveId, seq, 0x04);
+        }
+
+        fw.image.set(frame.subarray(10, 10 + dataLen), offset);
+        fw.totalReceived += dataLen;
+        fw.expectedSeq = (seq + 1) & 0xFFFF;
+        fw.lastAck = { seq, offset };
+
+        return this.buildFastFwAck(slaveId, seq);
+    }
+
+    /**
+     * Handle Fast FW Complete (OpCode 0x99)
+     * Request: [FirmwareCRC32(4)][TotalSize(4)]
+     */
+    handleFastFwComplete(slaveId, frame) {
+        if (frame.length !== 13) {
+            return this.buildExceptionResponse(slaveId, 0x23, 0x03);
+        }
+
+        const fw = this.fastFw;
+        const hostCRC = ((frame[3] << 24) | (frame[4] << 16) | (frame[5] << 8) | frame[6]) >>> 0;
+        const totalSize = ((frame[7] << 24) | (frame[8] << 16) | (frame[9] << 8) | frame[10]) >>> 0;
+
+        if (!fw.initialized) {
+            return this.buildFastFwVerifyResponse(slaveId, 0x99, 0x03, 0);
+        }
+
+        let deviceCRC = this.calculateCRC32(fw.image.subarray(0, fw.totalReceived));
+        if (this.takeFastFwFault(['crcMismatch'], 0x99)) deviceCRC = (deviceCRC ^ 0xA5A5A5A5) >>> 0;
+
+        let result = 0x00;
+        if (totalSize !== fw.fileSize || fw.totalReceived !== fw.fileSize) result = 0x02;
+        else if (deviceCRC !== hostCRC) result = 0x01;
+
+        if (result === 0x00) {
+            this.fastFwFlash = { image: fw.image, size: fw.fileSize };
+            this.resetFastFirmware();
+            console.log(`[Simulator] FC23 Complete: image OK (${totalSize} bytes, CRC32=0x${deviceCRC.toString(16).padStart(8, '0')})`);
+        } else {
+            console.log(`[Simulator] FC23 Complete: VerifyResult=0x${result.toString(16).padStart(2, '0')} (received ${fw.totalReceived}/${fw.fileSize})`);
+        }
+
+        return this.buildFastFwVerifyResponse(slaveId, 0x99, result, deviceCRC);
+    }
+
+    /**
+     * Handle Fast FW Standalone Verify (OpCode 0x9A) - read-only
+     */
+    handleFastFwVerify(slaveId, frame) {
+        if (frame.length !== 13) {
+            return this.buildExceptionResponse(slaveId, 0x23, 0x03);
+        }
+
+        const hostCRC = ((frame[3] << 24) | (frame[4] << 16) | (frame[5] << 8) | frame[6]) >>> 0;
+        const expectedSize = ((frame[7] << 24) | (frame[8] << 16) | (frame[9] << 8) | frame[10]) >>> 0;
+
+        if (!this.fastFwFlash) {
+            return this.buildFastFwVerifyResponse(slaveId, 0x9A, 0x03, 0);
+        }
+
+        let deviceCRC = this.calculateCRC32(this.fastFwFlash.image);
+        if (this.takeFastFwFault(['crcMismatch'], 0x9A)) deviceCRC = (deviceCRC ^ 0xA5A5A5A5) >>> 0;
+
+        let result = 0x00;
+        if (expectedSize !== this.fastFwFlash.size) result = 0x02;
+        else if (deviceCRC !== hostCRC) result = 0x01;
+
+        return this.buildFastFwVerifyResponse(slaveId, 0x9A, result, deviceCRC);
+    }
+
+    /**
+     * Handle Fast FW Abort (OpCode 0xFF)
+     */
+    handleFastFwAbort(slaveId) {
+        if (this.fastFw.initialized) {
+            console.log(`[Simulator] FC23 Abort at offset ${this.fastFw.totalReceived}/${this.fastFw.fileSize}`);
+        }
+        this.resetFastFirmware();
+        return this.buildFastFwResponse(slaveId, 0xFF, [0x00]);
+    }
+
+    /**
+     * Calculate CRC-32/ISO-HDLC (same as ModbusRTU.calculateCRC32)
+     */
+    calculateCRC32(buffer) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < buffer.length; i++) {
+            crc ^= buffer[i];
+            for (let j = 0; j < 8; j++) {
+                crc = (crc >>> 1) ^ ((crc & 1) ? 0xEDB88320 : 0);
+            }
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Build FC 0x23 response: [NodeID][0x23][OpCode][payload...][CRC]
+     */
+    buildFastFwResponse(slaveId, opCode, payload) {
+        const response = new Uint8Array(3 + payload.length + 2);
+        response[0] = slaveId;
+        response[1] = 0x23;
+        response[2] = opCode;
+        response.set(payload, 3);
+        return this.addCRC(response);
+    }
+
+    /**
+     * 0x90 reply: [ProtocolVersion=0x01][Status][LastOffset(4)]
+     */
+    buildFastFwInitResponse(slaveId, status, lastOffset) {
+        return this.buildFastFwResponse(slaveId, 0x90, [
+            0x01, status,
+            (lastOffset >>> 24) & 0xFF, (lastOffset >>> 16) & 0xFF, (lastOffset >>> 8) & 0xFF, lastOffset & 0xFF
+        ]);
+    }
+
+    /**
+     * 0x03 ACK: [0x04][SeqNum(2)][TotalReceived(4)]
+     */
+    buildFastFwAck(slaveId, seq) {
+        const total = this.fastFw.totalReceived;
+        return this.buildFastFwResponse(slaveId, 0x03, [
+            0x04, (seq >> 8) & 0xFF, seq & 0xFF,
+            (total >>> 24) & 0xFF, (total >>> 16) & 0xFF, (total >>> 8) & 0xFF, total & 0xFF
+        ]);
+    }
+
+    /**
+     * 0x03 NACK: [0x05][SeqNum(2)][ErrorCode][ExpectedOffset(4)]
+     */
+    buildFastFwNack(slaveId, seq, errorCode) {
+        const expected = this.fastFw.totalReceived;
+        console.log(`[Simulator] FC23 NACK seq=${seq} err=0x${errorCode.toString(16).padStart(2, '0')} expOff=${expected}`);
+        return this.buildFastFwResponse(slaveId, 0x03, [
+            0x05, (seq >> 8) & 0xFF, seq & 0xFF, errorCode,
+            (expected >>> 24) & 0xFF, (expected >>> 16) & 0xFF, (expected >>> 8) & 0xFF, expected & 0xFF
+        ]);
+    }
+
+    /**
+     * 0x99 / 0x9A reply: [VerifyResult][DeviceCRC32(4)]
+     */
+    buildFastFwVerifyResponse(slaveId, opCode, result, deviceCRC) {
+        return this.buildFastFwResponse(slaveId, opCode, [
+            result,
+            (deviceCRC >>> 24) & 0xFF, (deviceCRC >>> 16) & 0xFF, (deviceCRC >>> 8) & 0xFF, deviceCRC & 0xFF
+        ]);
+    }
+
+    // ===== CANopen MEI Transport (Function Code 0x2B / MEI 0x0D) =====
+    // 참고: docs/protocol/FC2B_MEI_Transport_프로토콜_정의.md
+    //
+    // 프레임 구조는 modbus.js의 buildCANopenUpload/buildCANopenDownload/parseCANopenResponse 기준.
+    // 예외 응답 (0xAB):
+    //   0x02 = Object/Sub-Index 없음, 또는 StartAddress가 객체 크기 초과
+    //   0x03 = 접근 권한 위반 (ro/const 쓰기, wo 읽기), 값 범위 초과, 잘못된 길이
+
+    /**
+     * Build the simulated object dictionary (LSM parameters)
+     */
+    initializeObjectDictionary() {
+        this.objectDictionary = new Map();
+
+        const define = (index, name, type, access, value, extra = {}) =>
+            this.defineObject(index, 0x00, { name, type, access, value, ...extra });
+
+        // Device Setup
+        define(0x2000, 'Motor ID', 'u16', 'rw', 0x0012);
+        define(0x2003, 'Node ID', 'u16', 'rw', 1, { min: 1, max: 247 });
+
+        // Servo Tuning
+        define(0x2100, 'Inertia Ratio', 'u16', 'rw', 100, { max: 3000 });
+        define(0x2101, 'Position P Gain 1', 'u16', 'rw', 50, { max: 500 });
+        define(0x2102, 'Velocity P Gain 1', 'u16', 'rw', 75, { max: 2000 });
+        define(0x2103, 'Velocity Time Constant 1', 'u16', 'rw', 50, { min: 1, max: 1000 });
+        define(0x2104, 'Torque Command Filter TC 1', 'u16', 'rw', 5, { max: 1000 });
+        define(0x2111, 'Positive Torque Limit', 'u16', 'rw', 300, { max: 500 });
+        define(0x2112, 'Negative Torque Limit', 'u16', 'rw', 300, { max: 500 });
+        define(0x211F, 'Drive Control Input 1', 'u16', 'rw', 0);
+        define(0x2120, 'Drive Control Input 2', 'u16', 'rw', 0);
+
+        // Jog / Speed profile
+        define(0x2300, 'Jog Speed', 'i16', 'rw', 500, { min: -6000, max: 6000 });
+        define(0x2301, 'Speed Accel Time', 'u16', 'rw', 200);
+        define(0x2302, 'Speed Decel Time', 'u16', 'rw', 200);
+        define(0x2303, 'S-Curve Time', 'u16', 'rw', 0, { max: 1000 });
+        for (let i = 0; i < 4; i++) {
+            define(0x2304 + i, `Preset Jog Speed ${i}`, 'i16', 'rw', [0, 500, -500, 0][i], { min: -6000, max: 6000 });
+            define(0x2308 + i, `Preset Jog Time ${i}`, 'u16', 'rw', 1000);
+        }
+
+        // Identification
+        define(0x2424, 'Drive Serial Number', 'string', 'const', 'ECFSIM00000001', { size: 16 });
+        define(0x27F0, 'Main Boot Version', 'u16', 'const', 0x0100);
+        define(0x27F1, 'Main Firmware Version', 'u16', 'const', 0x0213);
+        define(0x27F2, 'Inverter Boot Version', 'u16', 'const', 0x0100);
+        define(0x27F3, 'Inverter Firmware Version', 'u16', 'const', 0x0108);
+
+        // Monitoring (live values)
+        define(0x2600, 'Feedback Speed', 'i16', 'ro', 0, { read: () => Math.round(this.getSimulatedSpeed().feedback) });
+        define(0x260B, 'Room Temperature 1', 'i16', 'ro', 0, { read: () => Math.round(this.holdingRegisters[0] / 10) });
+        define(0x260C, 'Room Temperature 2', 'i16', 'ro', 0, { read: () => Math.round(this.holdingRegisters[0] / 10) + 12 });
+        define(0x2617, '7-Segment Display Data', 'u16', 'ro', 0);
+        define(0x603F, 'Error Code', 'u16', 'ro', 0, { read: () => (this.drive ? this.drive.alarmCode : 0) });
+        define(0x261A, 'Commanded Phase Angle', 'i16', 'ro', 0, {
+            read: () => Math.round((this.waveform.elecAngle * 180 / Math.PI) * 10)
+        });
+
+        // Procedure
+        define(0x2700, 'Procedure Code', 'u16', 'rw', 0);
+        define(0x2701, 'Procedure Argument', 'u16', 'rw', 0);
+
+        // Factory
+        define(0x4004, 'Aging Overload Threshold', 'u16', 'rw', 100);
+        define(0x4005, 'Aging Speed', 'u16', 'rw', 1500, { max: 6000 });
+        define(0x4006, 'Aging Time', 'u16', 'rw', 60);
+        define(0x4009, 'Access Password', 'u16', 'wo', 0);
+    }
+
+    /**
+     * Add or replace an object dictionary entry
+     * @param {number} index
+     * @param {number} subIndex
+     * @param {Object} entry  {name, type: 'u8'|'u16'|'i16'|'u32'|'i32'|'string',
+     *     access: 'rw'|'ro'|'wo'|'const', value, size?, min?, max?, read?: () => value}
+     */
+    defineObject(index, subIndex, entry) {
+        const sizes = { u8: 1, u16: 2, i16: 2, u32: 4, i32: 4 };
+        this.objectDictionary.set(this.objectKey(index, subIndex), {
+            size: sizes[entry.type] ?? entry.size ?? 0,
+            ...entry
+        });
+    }
+
+    /**
+     * Get an object dictionary entry (undefined if not present)
+     */
+    getObject(index, subIndex) {
+        return this.objectDictionary.get(this.objectKey(index, subIndex));
+    }
+
+    objectKey(index, subIndex) {
+        return (index << 8) | subIndex;
+    }
+
+    /**
+     * Encode an object value as Big-Endian bytes (string: ASCII, zero padded)
+     */
+    encodeObjectValue(entry) {
+        const value = entry.read ? entry.read() : entry.value;
+        const bytes = new Uint8Array(entry.size);
+
+        if (entry.type === 'string') {
+            for (let i = 0; i < Math.min(value.length, entry.size); i++) {
+                bytes[i] = value.charCodeAt(i) & 0xFF;
+            }
+            return bytes;
+        }
+
+        for (let i = 0; i < entry.size; i++) {
+            bytes[entry.size - 1 - i] = (value >>> (i * 8)) & 0xFF;
+        }
+        return bytes;
+    }
+
+    /**
+     * Decode Big-Endian bytes written to a numeric object (sign-extended for i16/i32)
+     */
+    decodeObjectValue(entry, bytes) {
+        let value = 0;
+        for (const b of bytes) value = (value * 256) + b;
+
+        const bits = bytes.length * 8;
+        if (entry.type.startsWith('i') && value >= 2 ** (bits - 1)) {
+            value -= 2 ** bits;
+        }
+        return value;
+    }
+
+    /**
+     * Handle MEI Transport (FC 0x2B)
+     */
+    handleMeiTransport(slaveId, frame) {
+        if (frame.length < 15 || frame[2] !== 0x0D) {
+            return this.buildExceptionResponse(slaveId, 0x2B, 0x01);
+        }
+
+        const protocolCtrl = frame[3];
+        const index = (frame[6] << 8) | frame[7];
+        const subIndex = frame[8];
+        const startAddr = (frame[9] << 8) | frame[10];
+        const numData = (frame[11] << 8) | frame[12];
+
+        const entry = this.getObject(index, subIndex);
+        if (!entry || startAddr >= entry.size) {
+            return this.buildExceptionResponse(slaveId, 0x2B, 0x02);
+        }
+
+        if (protocolCtrl & 0x80) {
+            return this.handleCANopenDownload(slaveId, frame, entry, startAddr, numData);
+        }
+
+        if (entry.access === 'wo') {
+            return this.buildExceptionResponse(slaveId, 0x2B, 0x03);
+        }
+
+        const data = this.encodeObjectValue(entry).slice(startAddr, startAddr + numData);
+        return this.buildCANopenResponse(slaveId, frame, data);
+    }
+
+    /**
+     * Handle CANopen Download (ProtocolCtrl 0x80) - write object value
+     */
+    handleCANopenDownload(slaveId, frame, entry, startAddr, numData) {
+        if (entry.access === 'ro' || entry.access === 'const') {
+            console.log(`[Simulator] FC2B write to read-only object ${entry.name}`);
+            return this.buildExceptionResponse(slaveId, 0x2B, 0x03);
+        }
+        if (frame.length !== 15 + numData || numData === 0 || startAddr + numData > entry.size) {
+            return this.buildExceptionResponse(slaveId, 0x2B, 0x03);
+        }
+
+        const data = frame.slice(13, 13 + numData);
+
+        if (entry.type === 'string') {
+            const bytes = this.encodeObjectValue(entry);
+            bytes.set(data, startAddr);
+            entry.value = String.fromCharCode(...bytes.filter(b => b !== 0));
+        } else {
+            // 객체 크기보다 짧은 쓰기는 하위 바이트로 취급 (예: u32 객체에 16-bit 쓰기)
+            const value = this.decodeObjectValue(entry, data);
+            if ((entry.min !== undefined && value < entry.min) ||
+                (entry.max !== undefined && value > entry.max)) {
+                return this.buildExceptionResponse(slaveId, 0x2B, 0x03);
+            }
+            entry.value = value;
+        }
+
+        console.log(`[Simulator] FC2B write ${entry.name} = ${entry.value}`);
+        return this.buildCANopenResponse(slaveId, frame, data);
+    }
+
+    /**
+     * Build CANopen response:
+     * [NodeID][2B][0D][ProtocolCtrl][Reserved][node_id_ex][IdxH][IdxL][SubIdx][StartH][StartL][NumH][NumL][Data...][CRC]
+     */
+    buildCANopenResponse(slaveId, request, data) {
+        const response = new Uint8Array(13 + data.length + 2);
+        response[0] = slaveId;
+        response[1] = 0x2B;
+        response[2] = 0x0D;
+        response[3] = request[3];           // ProtocolCtrl
+        response[4] = 0x00;                 // Reserved
+        response[5] = request[4];           // node_id_ex
+        response.set(request.subarray(6, 11), 6);   // Index, SubIndex, StartAddress
+        response[11] = (data.length >> 8) & 0xFF;
+        response[12] = data.length & 0xFF;
+        response.set(data, 13);
+        return this.addCRC(response);
+    }
+
+    // ===== EC-FAN Drive Register Model =====
+    // 참고: parameters.csv, docs/Customer version of MODBUS series parameter specification V6.3.pdf
+    //
+    // profile === 'drive' 일 때 0xD0xx/0xD1xx 레지스터를 실제 드라이브 맵으로 동작시킨다.
+    //   - Holding(FC03/06/10)과 Input(FC04) 영역을 parameters.csv의 type으로 구분
+    //   - 맵에 있는 주소의 0x100 페이지 밖은 Exception 0x02, 읽기 수량 초과는 0x03
+    //   - 속도 피드백은 Setpoint를 Ramp-up/Ramp-down(0xD11F/0xD120) 기울기로 추종
+    //   - 0xD000 bit3(0x0008) SW Reset → rebootTime 동안 무응답
+
+    /**
+     * Switch between the generic demo data and the EC-FAN drive model
+     */
+    setProfile(profile) {
+        this.profile = profile === 'drive' ? 'drive' : 'generic';
+        this.reset();
+        console.log(`[Simulator] Profile: ${this.profile}`);
+    }
+
+    /**
+     * Load the register map: rows of {type: 'holding'|'input'|'lsm', address}
+     */
+    loadDriveMap(rows) {
+        this.driveMap = ModbusSimulator.buildDriveMap(rows);
+    }
+
+    /**
+     * Build {holding, input} address sets and their 0x100 pages from map rows
+     */
+    static buildDriveMap(rows) {
+        const map = {holding: new Set(), input: new Set()};
+        for (const row of rows) {
+            const set = map[row.type];
+            if (!set) continue;
+            const address = typeof row.address === 'number' ?
+                row.address : parseInt(row.address, 16);
+            if (!isNaN(address)) set.add(address);
+        }
+        map.holdingPages = new Set([...map.holding].map(a => a >> 8));
+        map.inputPages = new Set([...map.input].map(a => a >> 8));
+        return map;
+    }
+
+    /**
+     * Reset the drive state and seed holding/input registers with factory defaults
+     */
+    initializeDriveRegisters() {
+        const hr = this.holdingRegisters;
+        const ir = this.inputRegisters;
+
+        this.drive = {
+            speed: 0,           // signed feedback (rpm, CCW < 0)
+            target: 0,          // signed speed target after limits (rpm)
+            limited: false,     // open-loop speed clamped by 0xD119 → n_Limit
+            faultBits: 0,       // latched 0xD011 bits, cleared by alarm reset
+            alarmCode: 0,       // active alarm (getAlarmCodeName 테이블 코드)
+            alarmCauseActive: false,    // 원인 유지 중 → alarm reset 거부
+            warningBits: 0,     // 0xD012
+            rebootUntil: 0,
+            line: null,         // 적용 중인 통신 설정 {baud, parity} — 재부팅 시 0xD149/0xD14A 반영
+            lastUpdate: Date.now()
+        };
+
+        // Holding (FC03) — 펌웨어 공장 초기값
+        hr[0xD000] = 0x0000;    // Reset command
+        hr[0xD001] = 0;         // Setpoint
+        hr[0xD00F] = 1;         // Enable
+        hr[0xD100] = this.slaveId;
+        hr[0xD101] = 1;         // Set value source: RS485
+        hr[0xD102] = 1;         // Direction: CW
+        hr[0xD106] = 0;         // Operating mode: Speed control
+        hr[0xD112] = 1;         // Motor stop enable
+        hr[0xD119] = 1600;      // Maximum speed (rpm)
+        hr[0xD11A] = this.driveConfig.ratedSpeed;
+        hr[0xD11F] = 30;        // Ramp-up (0.1 s, 0 → max speed)
+        hr[0xD120] = 30;        // Ramp-down (0.1 s, max speed → 0)
+        hr[0xD12C] = 10000;     // Point 2 X
+        hr[0xD12D] = 64000;     // Point 2 Y
+        hr[0xD137] = 85;        // Module derating start (°C)
+        hr[0xD138] = 100;       // Module derating end (°C)
+        hr[0xD149] = 4;         // 19200 bps
+        hr[0xD14A] = 0;         // 8E1
+        hr[0xD1FF] = 0;         // Termination off
+        this.drive.line = { baud: hr[0xD149], parity: hr[0xD14A] };
+
+        // Serial number / date / fan type (ASCII, 2 chars per register)
+        hr[0xD1A2] = 0x2601;
+        hr[0xD1A3] = 0x0001;
+        hr[0xD1A4] = 0x1A03;    // 2026-03
+        this.writeAscii(hr, 0xD1A5, 6, 'ECF-SIM-1600');
+
+        // Input (FC04) — 식별 정보
+        ir[0xD000] = 0x4543;    // 'EC'
+        ir[0xD001] = this.driveConfig.maxReadInput * 2;
+        ir[0xD002] = 0x0100;    // Main boot version
+        ir[0xD003] = 0x0105;    // Main firmware version
+        ir[0xD004] = 0x0100;    // Inverter boot version
+        ir[0xD005] = 0x0103;    // Inverter firmware version
+
+        this.updateDriveModel();
+    }
+
+    /**
+     * Pack an ASCII string into consecutive registers (high byte first)
+     */
+    writeAscii(registers, address, count, text) {
+        for (let i = 0; i < count; i++) {
+            const hi = text.charCodeAt(i * 2) || 0x20;
+            const lo = text.charCodeAt(i * 2 + 1) || 0x20;
+            registers[address + i] = (hi << 8) | lo;
+        }
+    }
+
+    /**
+     * Advance the motor model to `now` and refresh the input registers
+     */
+    updateDriveModel(now = Date.now()) {
+        const hr = this.holdingRegisters;
+        const ir = this.inputRegisters;
+        const drive = this.drive;
+        const dt = Math.max(0, (now - drive.lastUpdate) / 1000);
+        drive.lastUpdate = now;
+
+        const maxSpeed = hr[0xD119];
+        const raw = hr[0xD001];
+        const source = hr[0xD101];
+        const direction = hr[0xD102] === 0 ? -1 : 1;
+
+        // 지령: RS485 소스만 0xD001 사용 (AIN/PWM 입력은 미연결 = 0)
+        const command = source === 1 ? raw : 0;
+        let target;
+        drive.limited = false;
+        if (hr[0xD106] === 2) {
+            // Open-loop: 변조율에 비례한 무부하 속도, 0xD119에서 제한
+            target = command / 65535 * this.driveConfig.ratedSpeed * 0.95;
+            if (target > maxSpeed) {
+                target = maxSpeed;
+                drive.limited = true;
+            }
+        } else {
+            target = command / 64000 * maxSpeed;
+        }
+        drive.target = target * direction;
+
+        if (drive.faultBits) {
+            // 알람 → 감속 없이 즉시 정지
+            drive.target = 0;
+            drive.speed = 0;
+        } else if (now < drive.rebootUntil) {
+            drive.target = 0;
+            drive.speed = 0;
+        } else {
+            const accelerating = Math.abs(drive.target) > Math.abs(drive.speed) &&
+                Math.sign(drive.target) * Math.sign(drive.speed) >= 0;
+            const rampTime = (accelerating ? hr[0xD11F] : hr[0xD120]) / 10;
+            const step = rampTime > 0 ? (maxSpeed || 1) / rampTime * dt : Infinity;
+            const diff = drive.target - drive.speed;
+            drive.speed = Math.abs(diff) <= step ?
+                drive.target : drive.speed + Math.sign(diff) * step;
+        }
+
+        const rpm = Math.abs(drive.speed);
+        const load = Math.min(1, rpm / this.driveConfig.ratedSpeed);
+        const status = drive.faultBits | (drive.limited ? 0x0100 : 0);
+
+        // 알람 중에는 모터가 정지(상대 속도 0)하므로 0xD010에 알람 코드를 싣는다
+        // (os-test-protection.js가 0xD010을 에러 코드로 읽음)
+        ir[0xD010] = drive.alarmCode ||
+            Math.min(65535, Math.round(maxSpeed ? rpm / maxSpeed * 64000 : 0));
+        ir[0xD011] = status;
+        ir[0xD012] = drive.warningBits;
+        ir[0xD013] = Math.round(310 - 8 * load);                // DC-link (V)
+        ir[0xD014] = Math.round(load * load * load * 250);      // DC-link (0.01 A)
+        ir[0xD015] = Math.round(35 + 25 * load);                // Module (°C)
+        ir[0xD017] = Math.round(32 + 10 * load);                // Electronics (°C)
+        ir[0xD018] = drive.speed < 0 ? 0 : (drive.speed > 0 ? 1 : hr[0xD102]);
+        ir[0xD019] = Math.round(rpm / this.driveConfig.ratedSpeed * 100);
+        ir[0xD01A] = command;
+        ir[0xD021] = Math.round(load * load * load * 100);
+        ir[0xD028] = source;
+        ir[0xD02D] = Math.round(rpm);
+        ir[0xD050] = Math.round(Math.abs(drive.target));
+        ir[0xD051] = Math.round(load * load * 100);
+    }
+
+    /**
+     * Validate a request against the drive map.
+     * Returns 0 when allowed, otherwise the Modbus exception code.
+     */
+    checkDriveRequest(functionCode, frame) {
+        const address = (frame[2] << 8) | frame[3];
+        const quantity = (frame[4] << 8) | frame[5];
+        const map = this.driveMap;
+        const inPages = (pages, start, count) =>
+            !map || (pages.has(start >> 8) && pages.has((start + count - 1) >> 8));
+
+        switch (functionCode) {
+            case 0x01:
+            case 0x02:
+            case 0x05:
+            case 0x0F:
+                return 0x01;    // 코일/디스크리트 입력 없음
+            case 0x03:
+                if (quantity < 1 || quantity > this.driveConfig.maxReadHolding) return 0x03;
+                return inPages(map && map.holdingPages, address, quantity) ? 0 : 0x02;
+            case 0x04:
+                if (quantity < 1 || quantity > this.driveConfig.maxReadInput) return 0x03;
+                return inPages(map && map.inputPages, address, quantity) ? 0 : 0x02;
+            case 0x06:
+                return this.checkDriveWrite(address, quantity);
+            case 0x10: {
+                if (quantity < 1 || quantity > 123 || frame[6] !== quantity * 2 ||
+                    frame.length < 9 + quantity * 2) {
+                    return 0x03;
+                }
+                for (let i = 0; i < quantity; i++) {
+                    const value = (frame[7 + i * 2] << 8) | frame[8 + i * 2];
+                    const exception = this.checkDriveWrite(address + i, value);
+                    if (exception) return exception;
+                }
+                return 0;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Check one holding register write (address/value) like the firmware
+     */
+    checkDriveWrite(address, value) {
+        // Command registers (0x800E Alarm Reset, 0x8001 SW Reset, 0x2000 EEPROM Save)
+        if (address === 0x800E || address === 0x8001) {
+            return value === 0x0001 ? 0 : 0x03;
+        }
+        if (address === 0x2000) return value === 0x5555 ? 0 : 0x03;
+        if (this.driveMap && !this.driveMap.holding.has(address)) return 0x02;
+
+        const hr = this.holdingRegisters;
+        const inRange = (min, max) => value >= min && value <= max;
+        switch (address) {
+            case 0xD001: return hr[0xD106] === 2 || value <= 64000 ? 0 : 0x03;
+            case 0xD100: return inRange(1, 247) ? 0 : 0x03;
+            case 0xD101: return inRange(0, 3) ? 0 : 0x03;
+            case 0xD102: return inRange(0, 1) ? 0 : 0x03;
+            case 0xD106: return value === 0 || value === 2 ? 0 : 0x03;
+            case 0xD119: return value <= hr[0xD11A] ? 0 : 0x03;
+            case 0xD149: return inRange(0, 7) ? 0 : 0x03;
+            case 0xD14A: return inRange(0, 3) ? 0 : 0x03;
+            case 0xD1FF: return inRange(0, 1) ? 0 : 0x03;
+        }
+        return 0;
+    }
+
+    /**
+     * Apply side effects of a holding register write (drive profile only)
+     */
+    onRegisterWrite(address, value) {
+        if (this.profile !== 'drive') return;
+
+        if (address === 0xD000 || address === 0x8001) {
+            this.holdingRegisters[address] = 0;
+            const swReset = address === 0x8001 || (value & 0x0008);
+            if (value & 0x0002 || swReset) this.clearDriveFaults();
+            if (swReset) {
+                // 응답 송신 후 재부팅: rebootTime 동안 무응답, 모터 정지
+                // 재부팅 후 0xD149/0xD14A 통신 설정 적용
+                this.drive.rebootUntil = Date.now() + this.driveConfig.rebootTime;
+                this.drive.speed = 0;
+                this.drive.line = { baud: this.holdingRegisters[0xD149], parity: this.holdingRegisters[0xD14A] };
+                console.log('[Simulator] Drive software reset');
+            }
+        } else if (address === 0x2000) {
+            this.holdingRegisters[address] = 0;
+            console.log('[Simulator] Drive parameters saved to EEPROM');
+        } else if (address === 0x800E) {
+            this.holdingRegisters[address] = 0;
+            this.clearDriveFaults();
+        }
+    }
+
+    /**
+     * Alarm reset: clear the latched alarm unless its cause is still present.
+     * Returns false when the reset is refused.
+     */
+    clearDriveFaults() {
+        const drive = this.drive;
+        if (drive.alarmCauseActive) {
+            console.log(`[Simulator] Alarm reset refused: 0x${drive.alarmCode.toString(16)} cause still active`);
+            return false;
+        }
+        drive.faultBits = 0;
+        drive.alarmCode = 0;
+        drive.warningBits = 0;
+        this.updateDriveModel();
+        return true;
+    }
+
+    // ===== Drive Fault Injection =====
+    // 참고: docs/기능정의/Alarm code.md, os-test-protection.js
+    //
+    // 알람: 0xD011 FB(0x0010) + 코드별 상태 비트, 0xD010/0x603F 알람 코드, 모터 즉시 정지.
+    //       Alarm Reset(0x800E ← 1 또는 0xD000 bit1)으로 해제, persistent면 원인 제거 전까지 거부.
+    // 경고: 0xD012 비트만 Set, 모터는 계속 운전.
+
+    /**
+     * Motor status (0xD011) bits raised by an alarm code, in addition to FB
+     */
+    getAlarmStatusBits(code) {
+        switch (code) {
+            case 0x24:
+            case 0x42: return 0x0001;               // PHA
+            case 0x11:
+            case 0x22:
+            case 0x25: return 0x0004;               // TFE
+            case 0x27: return 0x0020;               // TFM
+            case 0x39: return 0x0400;               // RL_Cal
+            case 0x40: return 0x1000;               // UzLow
+            case 0x50: return 0x0100;               // n_Limit
+            case 0x58: return 0x0080;               // BLK
+        }
+        if (code >= 0x30 && code <= 0x3F) return 0x0040;    // HLL (encoder/hall)
+        if (code >= 0x60 && code <= 0x6F) return 0x0008;    // SKF (communication)
+        return 0;
+    }
+
+    /**
+     * Raise an alarm: {code, persistent} — persistent keeps the cause active
+     * so alarm reset is refused until removeAlarmCause()
+     */
+    injectAlarm({ code, persistent = false }) {
+        if (this.profile !== 'drive') return false;
+
+        const drive = this.drive;
+        drive.alarmCode = code & 0xFF;
+        drive.alarmCauseActive = persistent;
+        drive.faultBits = 0x0010 | this.getAlarmStatusBits(drive.alarmCode);
+        this.holdingRegisters[0xD182] = drive.alarmCode;    // Error indicator
+        this.updateDriveModel();
+        console.log(`[Simulator] Alarm 0x${drive.alarmCode.toString(16)} injected${persistent ? ' (persistent)' : ''}`);
+        return true;
+    }
+
+    /**
+     * Remove the cause of a persistent alarm (the alarm stays latched until reset)
+     */
+    removeAlarmCause() {
+        if (this.drive) this.drive.alarmCauseActive = false;
+    }
+
+    /**
+     * Set or clear warning bits in 0xD012 (the motor keeps running)
+     */
+    setWarning(bits, active) {
+        if (this.profile !== 'drive') return false;
+
+        const drive = this.drive;
+        drive.warningBits = active ? (drive.warningBits | bits) : (drive.warningBits & ~bits);
+        this.updateDriveModel();
+        return true;
+    }
+
+    /**
+     * True while the drive is rebooting after a software reset
+     */
+    isDriveRebooting() {
+        return this.profile === 'drive' && Date.now() < this.drive.rebootUntil;
+    }
+
+    /**
+     * True when a port opened with `options` (Web Serial open options) can talk
+     * to this drive — baud rate and framing must match 0xD149/0xD14A as applied at boot
+     */
+    acceptsLineSettings(options) {
+        if (this.profile !== 'drive' || !options) return true;
+
+        const BAUDS = [1200, 2400, 4800, 9600, 19200, 38400, 57600, 115200];
+        const FRAMING = [
+            { parity: 'even', stopBits: 1 },
+            { parity: 'odd', stopBits: 1 },
+            { parity: 'none', stopBits: 2 },
+            { parity: 'none', stopBits: 1 }
+        ];
+        const { baud, parity } = this.drive.line;
+        const framing = FRAMING[parity];
+        return options.baudRate === BAUDS[baud] &&
+            (options.parity || 'none') === framing.parity &&
+            (options.stopBits || 1) === framing.stopBits;
+    }
+}
+
+/**
+ * Simulated multi-drop RS-485 bus
+ * Hosts several ModbusSimulator slaves and routes each request by slave ID
+ */
+class ModbusSimulatorBus {
+    constructor() {
+        this.enabled = false;
+        this.slaves = new Map();          // slaveId → ModbusSimulator
+        this.profile = 'generic';
+        this.driveMap = null;
+
+        // Line impairments (확률은 %, jitter는 ms)
+        // silence/jitter는 모든 요청에, 나머지 바이트 단위 손상은 SimulatedSerialPort 경유 시에만 적용
+        this.impairments = {
+            enabled: false,
+            crcError: 0,      // CRC 바이트 1비트 반전
+            truncate: 0,      // 프레임 뒷부분 유실
+            split: 0,         // 2~4개 read chunk로 분할 수신
+            garbage: 0,       // 선두 노이즈 1~3바이트
+            silence: 0,       // 처리는 하되 응답 유실
+            jitter: 0,        // 응답 지연에 0~jitter ms 추가
+            readError: 0      // 시리얼 read 오류 (포트 끊김)
+        };
+        this.impairmentCounts = {};
+    }
+
+    /**
+     * Add a slave: options {responseDelay, online}
+     */
+    addSlave(slaveId, options = {}) {
+        if (slaveId < 1 || slaveId > 247) return null;
+        if (this.slaves.has(slaveId)) return this.slaves.get(slaveId);
+
+        const slave = new ModbusSimulator(slaveId);
+        slave.enabled = this.enabled;
+        slave.responseDelay = options.responseDelay ?? slave.responseDelay;
+        slave.online = options.online ?? true;
+        if (this.driveMap) slave.driveMap = this.driveMap;
+        if (this.profile !== slave.profile) slave.setProfile(this.profile);
+
+        this.slaves.set(slaveId, slave);
+        return slave;
+    }
+
+    /**
+     * Remove a slave from the bus
+     */
+    removeSlave(slaveId) {
+        const slave = this.slaves.get(slaveId);
+        if (!slave) return false;
+        slave.dispose();
+        return this.slaves.delete(slaveId);
+    }
+
+    /**
+     * Get the slave with the given ID (undefined if absent)
+     */
+    getSlave(slaveId) {
+        return this.slaves.get(slaveId);
+    }
+
+    /**
+     * Slave IDs on the bus in ascending order (onlineOnly: skip offline slaves)
+     */
+    getSlaveIds(onlineOnly = false) {
+        return [...this.slaves.values()]
+            .filter(slave => !onlineOnly || slave.online)
+            .map(slave => slave.slaveId)
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Connect/disconnect a slave without removing its state
+     */
+    setSlaveOnline(slaveId, online) {
+        const slave = this.slaves.get(slaveId);
+        if (slave) slave.online = online;
+    }
+
+    /**
+     * Enable or disable every slave
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.slaves.forEach(slave => { slave.enabled = enabled; });
+    }
+
+    /**
+     * Switch the register profile of every slave (resets their memory)
+     */
+    setProfile(profile) {
+        this.profile = profile === 'drive' ? 'drive' : 'generic';
+        this.slaves.forEach(slave => slave.setProfile(this.profile));
+    }
+
+    /**
+     * Share the drive register map with every slave
+     */
+    loadDriveMap(rows) {
+        this.driveMap = ModbusSimulator.buildDriveMap(rows);
+        this.slaves.forEach(slave => { slave.driveMap = this.driveMap; });
+    }
+
+    /**
+     * Reset every slave
+     */
+    reset() {
+        this.slaves.forEach(slave => slave.reset());
+    }
+
+    /**
+     * Route a request frame: unicast → matching slave, slave 0 → all slaves (no reply)
+     * @param {Object} lineOptions - port open options; slaves on other line settings
+     *     see only garbage and stay silent (null: direct mode, no line check)
+     */
+    processRequest(requestFrame, lineOptions = null) {
+        if (!this.enabled || !requestFrame || requestFrame.length < 2) return null;
+
+        const slaveId = requestFrame[0];
+        if (slaveId === 0) {
+            this.slaves.forEach(slave => {
+                if (slave.acceptsLineSettings(lineOptions)) slave.processBroadcast(requestFrame);
+            });
+            return null;
+        }
+
+        const slave = this.slaves.get(slaveId);
+        const pending = slave && slave.acceptsLineSettings(lineOptions) ?
+            slave.processRequest(requestFrame) : null;
+        if (!pending || !this.impairments.enabled) return pending;
+
+        if (this.rollImpairment('silence')) {
+            return pending.then(() => null);
+        }
+        const jitter = Math.random() * this.impairments.jitter;
+        if (jitter < 1) return pending;
+        return pending.then(response =>
+            new Promise(resolve => setTimeout(() => resolve(response), jitter)));
+    }
+
+    /**
+     * True with the configured probability of impairment `name` (counted when hit)
+     */
+    rollImpairment(name) {
+        if (!this.impairments.enabled || !(Math.random() * 100 < this.impairments[name])) {
+            return false;
+        }
+        this.impairmentCounts[name] = (this.impairmentCounts[name] || 0) + 1;
+        return true;
+    }
+
+    /**
+     * Apply byte-level impairments to a reply.
+     * Returns the read chunks: [{bytes, gap}] with gap = ms after the previous chunk.
+     */
+    impairFrame(response) {
+        let bytes = Array.from(response);
+
+        if (this.rollImpairment('crcError')) {
+            const index = bytes.length - 1 - Math.floor(Math.random() * 2);
+            bytes[index] ^= 1 << Math.floor(Math.random() * 8);
+        }
+        if (this.rollImpairment('truncate')) {
+            bytes = bytes.slice(0, 1 + Math.floor(Math.random() * (bytes.length - 1)));
+        }
+        if (this.rollImpairment('garbage')) {
+            const count = 1 + Math.floor(Math.random() * 3);
+            const noise = Array.from({ length: count }, () => Math.floor(Math.random() * 256));
+            bytes = noise.concat(bytes);
+        }
+
+        if (bytes.length < 2 || !this.rollImpairment('split')) {
+            return [{ bytes: new Uint8Array(bytes), gap: 0 }];
+        }
+
+        // 2~4 조각, 조각 사이 1~10ms (USB-RS485 컨버터의 read chunk 분할 재현)
+        const pieces = Math.min(bytes.length, 2 + Math.floor(Math.random() * 3));
+        const cuts = new Set();
+        while (cuts.size < pieces - 1) {
+            cuts.add(1 + Math.floor(Math.random() * (bytes.length - 1)));
+        }
+        const bounds = [0, ...[...cuts].sort((a, b) => a - b), bytes.length];
+        const chunks = [];
+        for (let i = 0; i < bounds.length - 1; i++) {
+            chunks.push({
+                bytes: new Uint8Array(bytes.slice(bounds[i], bounds[i + 1])),
+                gap: i === 0 ? 0 : 1 + Math.floor(Math.random() * 10)
+            });
+        }
+        return chunks;
+    }
+}
+
+/**
+ * Web Serial SerialPort stand-in wired to a ModbusSimulatorBus.
+ * Lets the app use its real serial path (reader loop, tryParseFrame, polling queue)
+ * against the simulated bus, including the line impairments.
+ */
+class SimulatedSerialPort {
+    constructor(bus) {
+        this.bus = bus;
+        this.readable = null;
+        this.writable = null;
+        this.controller = null;
+        this.options = null;
+    }
+
+    /**
+     * Open the port (same contract as SerialPort.open)
+     */
+    async open(options) {
+        if (this.readable) throw new Error('The port is already open.');
+
+        this.options = { ...options };
+        this.readable = new ReadableStream({
+            start: (controller) => { this.controller = controller; }
+        });
+        this.writable = new WritableStream({
+            write: (chunk) => this.transmit(chunk)
+        });
+        this.bus.setEnabled(true);
+    }
+
+    /**
+     * Close the port; pending replies are discarded
+     */
+    async close() {
+        try {
+            if (this.controller) this.controller.close();
+        } catch (error) {
+            // 이미 오류/종료된 stream
+        }
+        this.readable = null;
+        this.writable = null;
+        this.controller = null;
+        // 포트가 닫히면 가상 slave 도 응답하지 않는다 (open() 에서 다시 켬)
+        this.bus.setEnabled(false);
+    }
+
+    /**
+     * SerialPort.getInfo() — no USB identifiers for a virtual port
+     */
+    getInfo() {
+        return {};
+    }
+
+    /**
+     * Deliver one written frame to the bus and stream the (impaired) reply back
+     */
+    transmit(chunk) {
+        const controller = this.controller;
+        const pending = this.bus.processRequest(new Uint8Array(chunk), this.options);
+
+        Promise.resolve(pending).then(response => {
+            if (!response || controller !== this.controller) return;
+
+            if (this.bus.rollImpairment('readError')) {
+                controller.error(new Error('Framing error (simulated line noise)'));
+                return;
+            }
+
+            let time = 0;
+            for (const { bytes, gap } of this.bus.impairFrame(response)) {
+                time += gap;
+                setTimeout(() => {
+                    if (controller === this.controller) controller.enqueue(bytes);
+                }, time);
+            }
+        });
+    }
+}
+
+/**
+ * Stand-in serial-to-Ethernet gateway (WebSocket-like object) wired to a ModbusSimulatorBus.
+ * Used as the socketFactory of WebSocketModbusPort so the TCP transports can be
+ * exercised without a real gateway.
+ */
+class SimulatedGatewaySocket {
+    constructor(bus, mode = TRANSPORT_MODES.TCP) {
+        this.bus = bus;
+        this.mode = mode;
+        this.modbus = new ModbusRTU();
+        this.binaryType = 'arraybuffer';
+        this.readyState = 0; // CONNECTING
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+        this.onerror = null;
+
+        this.bus.setEnabled(true);
+        setTimeout(() => {
+            if (this.readyState !== 0) return;
+            this.readyState = 1; // OPEN
+            if (this.onopen) this.onopen({});
+        }, 0);
+    }
+
+    /**
+     * Receive one message from the client and reply like a gateway would
+     */
+    send(data) {
+        if (this.readyState !== 1) throw new Error('WebSocket is not open');
+
+        const bytes = new Uint8Array(data);
+        let header = null;
+        let request;
+
+        if (this.mode === TRANSPORT_MODES.RTU_OVER_TCP) {
+            request = bytes;
+        } else {
+            // MBAP → RTU: 헤더 보관(TID 회신용), unit id + PDU에 CRC 부착
+            if (bytes.length < 8) return;
+            header = bytes.slice(0, 4);
+            const body = bytes.slice(6);
+            request = new Uint8Array(body.length + 2);
+            request.set(body);
+            const crc = this.modbus.calculateCRC16(body);
+            request[body.length] = crc & 0xFF;
+            request[body.length + 1] = (crc >> 8) & 0xFF;
+        }
+
+        Promise.resolve(this.bus.processRequest(request)).then(response => {
+            if (!response || this.readyState !== 1 || !this.onmessage) return;
+
+            let reply = response;
+            if (header) {
+                const body = response.slice(0, response.length - 2);
+                reply = new Uint8Array(6 + body.length);
+                reply.set(header);
+                reply[4] = (body.length >> 8) & 0xFF;
+                reply[5] = body.length & 0xFF;
+                reply.set(body, 6);
+            }
+            this.onmessage({ data: new Uint8Array(reply).buffer });
+        });
+    }
+
+    /**
+     * Close the connection
+     */
+    close() {
+        if (this.readyState === 3) return;
+        this.readyState = 3; // CLOSED
+        this.bus.setEnabled(false);
+        if (this.onclose) this.onclose({});
+    }
 }
@@ -0,0 +1,194 @@
+/**
+ * Modbus Transport Library
+ * SerialPort-compatible ports for reaching the RS-485 line through a
+ * serial-to-Ethernet gateway over a WebSocket bridge
+ *
+ * 앱은 Web Serial의 SerialPort 계약(open/close/readable/writable)만 사용하므로,
+ * 같은 계약을 구현한 포트를 this.port에 넣으면 sendAndWaitResponse, FC64/65 차트
+ * 루프, 펌웨어 다운로드 등 기존 호출부가 그대로 동작한다.
+ * - Modbus TCP: 송신 RTU 프레임 → CRC 제거 + MBAP 헤더, 수신 MBAP → RTU + CRC
+ * - RTU over TCP: 게이트웨이가 RTU 바이트를 그대로 중계 (변환 없음)
+ */
+
+const TRANSPORT_MODES = {
+    SERIAL: 'serial',
+    TCP: 'tcp',            // Modbus TCP (MBAP header)
+    RTU_OVER_TCP: 'rtu-tcp' // RTU frame as-is inside the TCP stream
+};
+
+// MBAP header: transaction id(2) + protocol id(2) + length(2) + unit id(1)
+const MBAP_HEADER_LENGTH = 7;
+
+class WebSocketModbusPort {
+    /**
+     * @param {string} url - WebSocket bridge URL (e.g. ws://192.168.0.50:8502)
+     * @param {Object} options
+     * @param {string} options.mode - TRANSPORT_MODES.TCP | TRANSPORT_MODES.RTU_OVER_TCP
+     * @param {Function} options.socketFactory - (url) => WebSocket-like object (stand-in gateway용)
+     */
+    constructor(url, { mode = TRANSPORT_MODES.TCP, socketFactory = null } = {}) {
+        this.url = url;
+        this.mode = mode;
+        this.socketFactory = socketFactory || (socketUrl => new WebSocket(socketUrl));
+        this.modbus = new ModbusRTU();
+
+        this.socket = null;
+        this.readable = null;
+        this.writable = null;
+        this.controller = null;
+
+        this.transactionId = 0;
+        this.rxBuffer = [];
+    }
+
+    /**
+     * Open the gateway connection (same contract as SerialPort.open;
+     * serial options are ignored — the gateway owns the line settings)
+     */
+    async open(options) {
+        if (this.readable) throw new Error('The port is already open.');
+
+        const socket = this.socketFactory(this.url);
+        socket.binaryType = 'arraybuffer';
+
+        await new Promise((resolve, reject) => {
+            socket.onopen = () => resolve();
+            socket.onerror = () => reject(new Error(`Gateway connection failed: ${this.url}`));
+            socket.onclose = () => reject(new Error(`Gateway refused connection: ${this.url}`));
+        });
+
+        this.socket = socket;
+        this.rxBuffer = [];
+        this.readable = new ReadableStream({
+            start: (controller) => { this.controller = controller; }
+        });
+        this.writable = new WritableStream({
+            write: (chunk) => this.transmit(chunk)
+        });
+
+        socket.onmessage = (event) => this.receive(new Uint8Array(event.data));
+        socket.onerror = null;
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+            // reader loop에서 Read error → autoReconnectAfterCollision()이 close/open으로 재접속
+            try {
+                this.controller.error(new Error('Gateway connection closed'));
+            } catch (error) {
+                // 이미 종료된 stream
+            }
+            this.socket = null;
+        };
+    }
+
+    /**
+     * Close the gateway connection
+     */
+    async close() {
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) {
+            socket.onclose = null;
+            socket.onmessage = null;
+            socket.close();
+        }
+
+        try {
+            if (this.controller) this.controller.close();
+        } catch (error) {
+            // 이미 오류/종료된 stream
+        }
+        this.readable = null;
+        this.writable = null;
+        this.controller = null;
+    }
+
+    /**
+     * SerialPort.getInfo() — no USB identifiers for a network port
+     */
+    getInfo() {
+        return {};
+    }
+
+    /**
+     * Send one RTU frame written by the app
+     */
+    transmit(chunk) {
+        if (!this.socket) throw new Error('Gateway connection closed');
+
+        const frame = new Uint8Array(chunk);
+        if (this.mode === TRANSPORT_MODES.RTU_OVER_TCP) {
+            this.socket.send(frame);
+            return;
+        }
+
+        this.socket.send(this.toMbapFrame(frame));
+    }
+
+    /**
+     * RTU frame (unit + PDU + CRC) → MBAP frame (header + PDU)
+     */
+    toMbapFrame(frame) {
+        // unit id + PDU, CRC 제거
+        const body = frame.slice(0, frame.length - 2);
+        this.transactionId = (this.transactionId + 1) & 0xFFFF;
+
+        const mbap = new Uint8Array(6 + body.length);
+        mbap[0] = (this.transactionId >> 8) & 0xFF;
+        mbap[1] = this.transactionId & 0xFF;
+        mbap[2] = 0x00; // protocol id = 0 (Modbus)
+        mbap[3] = 0x00;
+        mbap[4] = (body.length >> 8) & 0xFF;
+        mbap[5] = body.length & 0xFF;
+        mbap.set(body, 6);
+        return mbap;
+    }
+
+    /**
+     * Handle bytes from the gateway
+     */
+    receive(data) {
+        if (!this.controller) return;
+
+        if (this.mode === TRANSPORT_MODES.RTU_OVER_TCP) {
+            this.controller.enqueue(data);
+            return;
+        }
+
+        // WebSocket 메시지 경계와 MBAP 프레임 경계가 다를 수 있으므로 버퍼링
+        this.rxBuffer.push(...data);
+        while (this.rxBuffer.length >= MBAP_HEADER_LENGTH) {
+            const buffer = this.rxBuffer;
+            const protocolId = (buffer[2] << 8) | buffer[3];
+            const length = (buffer[4] << 8) | buffer[5];
+
+            // 헤더가 깨졌으면 1바이트씩 버리며 재동기화
+            if (protocolId !== 0 || length < 2 || length > 254) {
+                buffer.shift();
+                continue;
+            }
+            if (buffer.length < 6 + length) break;
+
+            const transactionId = (buffer[0] << 8) | buffer[1];
+            const body = buffer.splice(0, 6 + length).slice(6);
+
+            // 타임아웃으로 이미 포기한 요청의 늦은 응답은 버림
+            if (transactionId !== this.transactionId) {
+                console.warn(`[Transport] Stale MBAP reply discarded (TID ${transactionId})`);
+                continue;
+            }
+            this.controller.enqueue(this.toRtuFrame(body));
+        }
+    }
+
+    /**
+     * MBAP body (unit + PDU) → RTU frame with CRC
+     */
+    toRtuFrame(body) {
+        const frame = new Uint8Array(body.length + 2);
+        frame.set(body);
+        const crc = this.modbus.calculateCRC16(frame.subarray(0, body.length));
+        frame[body.length] = crc & 0xFF;
+        frame[body.length + 1] = (crc >> 8) & 0xFF;
+        return frame;
+    }
+}